@@ -1823,6 +1823,132 @@ var AnimationState = new Class({
         return anim;
     },
 
+    /**
+     * Creates a description of the playback state of this Animation component that can be stored as JSON,
+     * such as when saving a game. Use `fromJSON` to restore it.
+     *
+     * The current animation, and any chained animations, are stored by key, so they must exist in the Animation Manager,
+     * or have been created locally on this component, when the state is restored.
+     *
+     * @method Phaser.Animations.AnimationState#toJSON
+     * @since 3.60.0
+     *
+     * @return {Phaser.Types.Animations.AnimationStateJSON} The playback state of this Animation component.
+     */
+    toJSON: function ()
+    {
+        var anim = this.currentAnim;
+
+        var getKey = function (entry)
+        {
+            return (entry instanceof Animation) ? entry.key : entry;
+        };
+
+        var pendingStopValue = this._pendingStopValue;
+
+        if (this._pendingStop === 3 && anim)
+        {
+            //  Stopping on a frame, which is stored by its index
+            pendingStopValue = anim.frames.indexOf(pendingStopValue);
+        }
+
+        return {
+            key: (anim) ? anim.key : null,
+            frame: (anim) ? anim.frames.indexOf(this.currentFrame) : -1,
+            isPlaying: this.isPlaying,
+            hasStarted: this.hasStarted,
+            paused: this._paused,
+            wasPlaying: this._wasPlaying,
+            forward: this.forward,
+            inReverse: this.inReverse,
+            timeScale: this.timeScale,
+            frameRate: this.frameRate,
+            duration: this.duration,
+            msPerFrame: this.msPerFrame,
+            skipMissedFrames: this.skipMissedFrames,
+            delay: this.delay,
+            repeat: this.repeat,
+            repeatDelay: this.repeatDelay,
+            yoyo: this.yoyo,
+            showOnStart: this.showOnStart,
+            hideOnComplete: this.hideOnComplete,
+            accumulator: this.accumulator,
+            nextTick: this.nextTick,
+            delayCounter: this.delayCounter,
+            repeatCounter: this.repeatCounter,
+            pendingRepeat: this.pendingRepeat,
+            pendingStop: this._pendingStop,
+            pendingStopValue: pendingStopValue,
+            nextAnim: (this.nextAnim !== null) ? getKey(this.nextAnim) : null,
+            nextAnimsQueue: this.nextAnimsQueue.map(getKey)
+        };
+    },
+
+    /**
+     * Restores the playback state of this Animation component from a JSON object, as returned by `toJSON`.
+     *
+     * The current frame is set on the Game Object, but no animation events are emitted.
+     *
+     * @method Phaser.Animations.AnimationState#fromJSON
+     * @since 3.60.0
+     *
+     * @param {Phaser.Types.Animations.AnimationStateJSON} json - The playback state to restore.
+     *
+     * @return {Phaser.GameObjects.GameObject} The Game Object that owns this Animation component.
+     */
+    fromJSON: function (json)
+    {
+        this.isPlaying = false;
+
+        if (json.key !== null)
+        {
+            this.load(json.key);
+        }
+
+        var anim = this.currentAnim;
+
+        if (anim && json.frame !== -1 && anim.frames[json.frame])
+        {
+            //  Set it while isPlaying is false, so no update event is emitted
+            this.setCurrentFrame(anim.frames[json.frame]);
+        }
+
+        this.isPlaying = json.isPlaying;
+        this.hasStarted = json.hasStarted;
+        this._paused = json.paused;
+        this._wasPlaying = json.wasPlaying;
+        this.forward = json.forward;
+        this.inReverse = json.inReverse;
+        this.timeScale = json.timeScale;
+        this.frameRate = json.frameRate;
+        this.duration = json.duration;
+        this.msPerFrame = json.msPerFrame;
+        this.skipMissedFrames = json.skipMissedFrames;
+        this.delay = json.delay;
+        this.repeat = json.repeat;
+        this.repeatDelay = json.repeatDelay;
+        this.yoyo = json.yoyo;
+        this.showOnStart = json.showOnStart;
+        this.hideOnComplete = json.hideOnComplete;
+        this.accumulator = json.accumulator;
+        this.nextTick = json.nextTick;
+        this.delayCounter = json.delayCounter;
+        this.repeatCounter = json.repeatCounter;
+        this.pendingRepeat = json.pendingRepeat;
+        this._pendingStop = json.pendingStop;
+        this._pendingStopValue = json.pendingStopValue;
+
+        if (this._pendingStop === 3)
+        {
+            this._pendingStopValue = (anim) ? anim.frames[json.pendingStopValue] : null;
+        }
+
+        this.nextAnim = json.nextAnim;
+        this.nextAnimsQueue = json.nextAnimsQueue.slice();
+
+        return this.parent;
+    },
+
     /**
      * Destroy this Animation component.
      *
@@ -0,0 +1,35 @@
+/**
+ * The playback state of an Animation component, as returned by `AnimationState.toJSON` and used by `AnimationState.fromJSON`.
+ *
+ * @typedef {object} Phaser.Types.Animations.AnimationStateJSON
+ * @since 3.60.0
+ *
+ * @property {?string} key - The key of the current animation, or `null` if there isn't one.
+ * @property {number} frame - The index of the current frame in the frames of the current animation, or -1 if there isn't one.
+ * @property {boolean} isPlaying - Is an animation playing?
+ * @property {boolean} hasStarted - Has the current animation started playing, after any delay?
+ * @property {boolean} paused - Is the current animation paused?
+ * @property {boolean} wasPlaying - Was an animation playing before it was paused?
+ * @property {boolean} forward - Is the current animation moving forwards through its frames?
+ * @property {boolean} inReverse - Was the current animation played in reverse?
+ * @property {number} timeScale - The time scale factor.
+ * @property {number} frameRate - The frame rate of the current animation.
+ * @property {number} duration - The duration of the current animation, in ms.
+ * @property {number} msPerFrame - The ms per frame of the current animation.
+ * @property {boolean} skipMissedFrames - Are missed frames skipped?
+ * @property {number} delay - The delay before the current animation starts, in ms.
+ * @property {number} repeat - The number of times the current animation repeats.
+ * @property {number} repeatDelay - The delay before each repeat, in ms.
+ * @property {boolean} yoyo - Does the current animation yoyo?
+ * @property {boolean} showOnStart - Is the Game Object shown when the current animation starts?
+ * @property {boolean} hideOnComplete - Is the Game Object hidden when the current animation completes?
+ * @property {number} accumulator - The time accumulated towards the next frame.
+ * @property {number} nextTick - The time at which the next frame is shown.
+ * @property {number} delayCounter - The time left before the current animation starts.
+ * @property {number} repeatCounter - The number of repeats left.
+ * @property {boolean} pendingRepeat - Is a repeat waiting to start?
+ * @property {number} pendingStop - How the current animation is waiting to be stopped, if it is: 1 after a delay, 2 after a number of repeats, 3 on a frame.
+ * @property {number} [pendingStopValue] - The delay, number of repeats or frame index the current animation is waiting to be stopped after.
+ * @property {?(string|Phaser.Types.Animations.PlayAnimationConfig)} nextAnim - The animation that plays after the current one.
+ * @property {Array.<(string|Phaser.Types.Animations.PlayAnimationConfig)>} nextAnimsQueue - The animations that play after the next one, in order.
+ */
@@ -61,9 +61,12 @@ var CONST = {
     WEBGL: 2,
 
     /**
-     * A Headless Renderer doesn't create either a Canvas or WebGL Renderer. However, it still
-     * absolutely relies on the DOM being present and available. This mode is meant for unit testing,
-     * not for running Phaser on the server, which is something you really shouldn't do.
+     * A Headless Renderer doesn't create either a Canvas or WebGL Renderer. This mode is meant for unit testing
+     * and for running game logic, such as Scenes, Tweens, Timers and Animations, without displaying anything.
+     *
+     * It can run without a DOM, such as under Node.js. In that case Canvases are replaced with blank
+     * Headless Canvases, and the Loader reads files from the file system. Images are not decoded, but their
+     * size is read from the file, so Textures, Sprite Sheets and Atlases have the correct frames.
      *
      * @name Phaser.HEADLESS
      * @const
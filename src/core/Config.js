@@ -15,6 +15,9 @@
  var DefaultPlugins = require('../plugins/DefaultPlugins');
  var ValueToColor = require('../display/color/ValueToColor');
  
+ //  There is no window when running headless under Node.js
+ var globalWindow = (typeof window !== 'undefined') ? window : null;
+ 
  /**
   * @classdesc
   * The active game configuration settings, parsed from a {@link Phaser.Types.Core.GameConfig} object.
@@ -199,7 +202,7 @@
          /**
           * @const {*} Phaser.Core.Config#inputKeyboardEventTarget - The DOM Target to listen for keyboard events on. Defaults to `window` if not specified.
           */
-         this.inputKeyboardEventTarget = GetValue(config, 'input.keyboard.target', window);
+         this.inputKeyboardEventTarget = GetValue(config, 'input.keyboard.target', globalWindow);
  
          /**
           * @const {?number[]} Phaser.Core.Config#inputKeyboardCapture - `preventDefault` will be called on every non-modified key which has a key code in this array. By default, it is empty.
@@ -274,7 +277,22 @@
          /**
           * @const {*} Phaser.Core.Config#inputGamepadEventTarget - The DOM Target to listen for gamepad events on. Defaults to `window` if not specified.
           */
-         this.inputGamepadEventTarget = GetValue(config, 'input.gamepad.target', window);
+         this.inputGamepadEventTarget = GetValue(config, 'input.gamepad.target', globalWindow);
+ 
+         /**
+          * @const {?(string|string[])} Phaser.Core.Config#inputGamepadMappings - Gamepad Mappings, in the SDL GameControllerDB format, used to convert non-standard controllers into the standard gamepad layout.
+          */
+         this.inputGamepadMappings = GetValue(config, 'input.gamepad.mappings', null);
+ 
+         /**
+          * @const {(boolean|Phaser.Types.Input.Gestures.GestureConfig)} Phaser.Core.Config#inputGestures - Enable the Gesture Plugin, optionally with the default configuration of its Gestures. Set `input.gestures` to `true`, or to a Gesture Config, in games that need gesture input.
+          */
+         this.inputGestures = GetValue(config, 'input.gestures', false);
+ 
+         /**
+          * @const {boolean} Phaser.Core.Config#inputActions - Enable the Actions Plugin. Set `input.actions` to `true` in games that map input to Actions.
+          */
+         this.inputActions = GetValue(config, 'input.actions', false);
  
          /**
           * @const {boolean} Phaser.Core.Config#disableContextMenu - Set to `true` to disable the right-click context menu.
@@ -433,7 +451,12 @@
          this.postBoot = GetValue(config, 'callbacks.postBoot', NOOP);
  
          /**
-          * @const {(boolean|string)} Phaser.Core.Config#defaultPhysicsSystem - The default physics system. It will be started for each scene. Either 'arcade', 'impact' or 'matter'.
+          * @const {Phaser.Types.Core.PhysicsConfig} Phaser.Core.Config#physics - The Physics Configuration object.
+          */
+         this.physics = GetValue(config, 'physics', {});
+ 
+         /**
+          * @const {(boolean|string)} Phaser.Core.Config#defaultPhysicsSystem - The default physics system. It will be started for each scene. Only 'arcade' is currently available.
           */
          this.defaultPhysicsSystem = GetValue(this.physics, 'default', false);
  
@@ -571,7 +594,7 @@
           */
          this.whiteImage = GetValue(config, 'images.white', 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAQAAAAECAIAAAAmkwkpAAAAGXRFWHRTb2Z0d2FyZQBBZG9iZSBJbWFnZVJlYWR5ccllPAAAABdJREFUeNpi/P//PwMMMDEgAdwcgAADAJZuAwXJYZOzAAAAAElFTkSuQmCC');
  
-         if (window)
+         if (globalWindow)
          {
              if (window.FORCE_WEBGL)
              {
@@ -439,6 +439,8 @@ var Game = new Class({
      * Request Animation Frame, or Set Timeout on very old browsers.)
      *
      * The step will update the global managers first, then proceed to update each Scene in turn, via the Scene Manager.
+     * If the Time Step is in fixed step mode, set via the `fps.fixedStep` Game Config property, this update runs
+     * once for each fixed step that is due, which may be zero or more times per frame. See `Game.runUpdate`.
      *
      * It will then render each Scene in turn, via the Renderer. This process emits `prerender` and `postrender` events.
      *
@@ -460,24 +462,9 @@ var Game = new Class({
             return this.runDestroy();
         }
 
-        var eventEmitter = this.events;
-
-        //  Global Managers like Input and Sound update in the prestep
-
-        eventEmitter.emit(Events.PRE_STEP, time, delta);
-
-        //  This is mostly meant for user-land code and plugins
-
-        eventEmitter.emit(Events.STEP, time, delta);
-
-        //  Update the Scene Manager and all active Scenes
-
-        this.scene.update(time, delta);
-
-        //  Our final event before rendering starts
-
-        eventEmitter.emit(Events.POST_STEP, time, delta);
+        this.runUpdate(time, delta);
 
+        var eventEmitter = this.events;
         var renderer = this.renderer;
 
         //  Run the Pre-render (clearing the canvas, setting background colors, etc)
@@ -499,6 +486,74 @@ var Game = new Class({
         eventEmitter.emit(Events.POST_RENDER, renderer, time, delta);
     },
 
+    /**
+     * Runs the update part of the Game Step, once per frame, or if the Time Step is in fixed step mode,
+     * once for each fixed step that is due this frame, which may be zero or more times.
+     *
+     * In fixed step mode the time and delta values given to the global managers and Scenes are
+     * `TimeStep.fixedTime` and `TimeStep.fixedDelta`, so every system sees identical deltas.
+     *
+     * @method Phaser.Game#runUpdate
+     * @protected
+     * @fires Phaser.Core.Events#PRE_STEP
+     * @fires Phaser.Core.Events#STEP
+     * @fires Phaser.Core.Events#POST_STEP
+     * @since 3.60.0
+     *
+     * @param {number} time - The current time.
+     * @param {number} delta - The delta time in ms since the last frame.
+     */
+    runUpdate: function (time, delta)
+    {
+        var loop = this.loop;
+
+        if (loop.fixedStep > 0)
+        {
+            while (!this.pendingDestroy && loop.nextFixedStep())
+            {
+                this.update(loop.fixedTime, loop.fixedDelta);
+            }
+        }
+        else
+        {
+            this.update(time, delta);
+        }
+    },
+
+    /**
+     * Updates the global managers and then each Scene in turn, via the Scene Manager.
+     *
+     * @method Phaser.Game#update
+     * @protected
+     * @fires Phaser.Core.Events#PRE_STEP
+     * @fires Phaser.Core.Events#STEP
+     * @fires Phaser.Core.Events#POST_STEP
+     * @since 3.60.0
+     *
+     * @param {number} time - The current time.
+     * @param {number} delta - The delta time in ms.
+     */
+    update: function (time, delta)
+    {
+        var eventEmitter = this.events;
+
+        //  Global Managers like Input and Sound update in the prestep
+
+        eventEmitter.emit(Events.PRE_STEP, time, delta);
+
+        //  This is mostly meant for user-land code and plugins
+
+        eventEmitter.emit(Events.STEP, time, delta);
+
+        //  Update the Scene Manager and all active Scenes
+
+        this.scene.update(time, delta);
+
+        //  Our final event before rendering starts
+
+        eventEmitter.emit(Events.POST_STEP, time, delta);
+    },
+
     /**
      * A special version of the Game Step for the HEADLESS renderer only.
      *
@@ -524,24 +579,18 @@ var Game = new Class({
             return this.runDestroy();
         }
 
-        var eventEmitter = this.events;
+        this.runUpdate(time, delta);
 
-        //  Global Managers
-
-        eventEmitter.emit(Events.PRE_STEP, time, delta);
-
-        eventEmitter.emit(Events.STEP, time, delta);
-
-        //  Scenes
-
-        this.scene.update(time, delta);
-
-        eventEmitter.emit(Events.POST_STEP, time, delta);
+        var eventEmitter = this.events;
 
         //  Render
 
         eventEmitter.emit(Events.PRE_RENDER);
 
+        //  The Scene Manager render clears this flag, so without it, Scene operations made between
+        //  steps, such as adding or starting a Scene, would be queued until the next step
+        this.scene.isProcessing = false;
+
         eventEmitter.emit(Events.POST_RENDER);
     },
 
@@ -357,6 +357,98 @@
           * @since 3.22.0
           */
          this.smoothStep = GetValue(config, 'smoothStep', true);
+ 
+         /**
+          * The duration, in seconds, of each fixed step, or zero if the Time Step isn't running in fixed step mode.
+          * 
+          * This is set in the Game Config via the `fps.fixedStep` property, i.e. `1 / 60`.
+          * 
+          * In fixed step mode the real time that has passed is added to an accumulator every frame. The Game then
+          * runs its update logic once for every whole fixed step in the accumulator, which may be zero or more times
+          * per frame, always passing the same delta value. It renders once per frame, after the updates. The part
+          * of a step that is left in the accumulator is available in the `alpha` property, so rendering code can
+          * interpolate between the previous and current simulation states.
+          * 
+          * The Scene Systems, such as the Clock, Tween Manager and Animations, all receive the same fixed delta,
+          * which makes the simulation deterministic for replays and lockstep multiplayer. No more than
+          * `1000 / fps.min` ms of real time is added to the accumulator in a single frame.
+          *
+          * @name Phaser.Core.TimeStep#fixedStep
+          * @type {number}
+          * @readonly
+          * @default 0
+          * @since 3.60.0
+          */
+         this.fixedStep = GetValue(config, 'fixedStep', 0);
+ 
+         /**
+          * The duration of each fixed step in ms. This is the delta value passed to the Game update in fixed step mode.
+          *
+          * @name Phaser.Core.TimeStep#fixedDelta
+          * @type {number}
+          * @readonly
+          * @since 3.60.0
+          */
+         this.fixedDelta = this.fixedStep * 1000;
+ 
+         /**
+          * The real time, in ms, that has been added to the fixed step accumulator but not yet simulated.
+          *
+          * @name Phaser.Core.TimeStep#accumulator
+          * @type {number}
+          * @readonly
+          * @default 0
+          * @since 3.60.0
+          */
+         this.accumulator = 0;
+ 
+         /**
+          * How far, between 0 and 1, the accumulator is through the next fixed step, after this frame's steps have run.
+          * 
+          * Use it to interpolate rendering between the previous and current simulation states.
+          * It is always 0 if the Time Step isn't running in fixed step mode.
+          *
+          * @name Phaser.Core.TimeStep#alpha
+          * @type {number}
+          * @readonly
+          * @default 0
+          * @since 3.60.0
+          */
+         this.alpha = 0;
+ 
+         /**
+          * The number of fixed steps still to be run this frame.
+          *
+          * @name Phaser.Core.TimeStep#fixedSteps
+          * @type {number}
+          * @readonly
+          * @default 0
+          * @since 3.60.0
+          */
+         this.fixedSteps = 0;
+ 
+         /**
+          * The total number of fixed steps that have been run.
+          *
+          * @name Phaser.Core.TimeStep#fixedFrame
+          * @type {number}
+          * @readonly
+          * @default 0
+          * @since 3.60.0
+          */
+         this.fixedFrame = 0;
+ 
+         /**
+          * The simulation time of the current fixed step, in ms. It starts at the time the Time Step started
+          * and advances by exactly `fixedDelta` each fixed step, so it doesn't include time spent paused.
+          *
+          * @name Phaser.Core.TimeStep#fixedTime
+          * @type {number}
+          * @readonly
+          * @default 0
+          * @since 3.60.0
+          */
+         this.fixedTime = 0;
      },
  
      /**
@@ -391,7 +483,7 @@
       */
      pause: function ()
      {
-         this._pauseTime = window.performance.now();
+         this._pauseTime = performance.now();
      },
  
      /**
@@ -416,7 +508,7 @@
       */
      resetDelta: function ()
      {
-         var now = window.performance.now();
+         var now = performance.now();
  
          this.time = now;
          this.lastTime = now;
@@ -462,7 +554,9 @@
  
          this.resetDelta();
  
-         this.startTime = window.performance.now();
+         this.startTime = performance.now();
+ 
+         this.fixedTime = this.startTime;
  
          this.callback = callback;
  
@@ -483,7 +577,7 @@
          //  not the actual time now, and as we want to compare this time value against Event timeStamps and the like, we need a
          //  more accurate one:
  
-         var time = window.performance.now();
+         var time = performance.now();
  
          this.now = time;
  
@@ -596,6 +690,20 @@
          //  Interpolation - how far between what is expected and where we are?
          var interpolation = avg / this._target;
  
+         if (this.fixedStep > 0)
+         {
+             //  Real time, capped to the minimum fps rate so a long stall can't flood the Game with steps
+             this.accumulator += Math.min(this.rawDelta, this._min);
+ 
+             this.fixedSteps = Math.floor(this.accumulator / this.fixedDelta);
+ 
+             this.accumulator -= this.fixedSteps * this.fixedDelta;
+ 
+             interpolation = this.accumulator / this.fixedDelta;
+ 
+             this.alpha = interpolation;
+         }
+ 
          this.callback(time, avg, interpolation);
  
          //  Shift time value over
@@ -615,6 +723,32 @@
          this.step();
      },
  
+     /**
+      * Advances the fixed step simulation time by one step, if there are any fixed steps still to run this frame.
+      * 
+      * This is called by the Game when the Time Step is in fixed step mode, which runs its update logic once
+      * for every step this returns `true`.
+      *
+      * @method Phaser.Core.TimeStep#nextFixedStep
+      * @since 3.60.0
+      *
+      * @return {boolean} `true` if a fixed step should be run, otherwise `false`.
+      */
+     nextFixedStep: function ()
+     {
+         if (this.fixedSteps <= 0)
+         {
+             return false;
+         }
+ 
+         this.fixedSteps--;
+         this.fixedFrame++;
+ 
+         this.fixedTime += this.fixedDelta;
+ 
+         return true;
+     },
+ 
      /**
       * Sends the TimeStep to sleep, stopping Request Animation Frame (or SetTimeout) and toggling the `running` flag to false.
       *
@@ -648,7 +782,7 @@
          }
          else if (seamless)
          {
-             this.startTime += -this.lastTime + (this.lastTime + window.performance.now());
+             this.startTime += -this.lastTime + (this.lastTime + performance.now());
          }
  
          this.raf.start(this.step.bind(this), this.forceSetTimeOut, this._target);
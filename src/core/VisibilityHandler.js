@@ -11,6 +11,8 @@
   * This includes `visibilitychange` if the browser supports it, and blur and focus events. It then uses
   * the provided Event Emitter and fires the related events.
   *
+  * It does nothing if there is no document, such as when running under Node.js.
+  *
   * @function Phaser.Core.VisibilityHandler
   * @fires Phaser.Core.Events#BLUR
   * @fires Phaser.Core.Events#FOCUS
@@ -25,6 +27,12 @@
      var hiddenVar;
      var eventEmitter = game.events;
  
+     if (typeof document === 'undefined')
+     {
+         //  Running headless without a DOM, such as under Node.js, so the game is never hidden
+         return;
+     }
+
      if (document.hidden !== undefined)
      {
          hiddenVar = 'visibilitychange';
@@ -7,6 +7,7 @@
  * @property {boolean} [disableWebAudio=false] - Use HTML5 Audio instead of Web Audio.
  * @property {AudioContext} [context] - An existing Web Audio context.
  * @property {boolean} [noAudio=false] - Disable all audio output.
+ * @property {Phaser.Types.Sound.WebAudioBusConfig[]} [buses] - The buses to create in the Web Audio Sound Manager, such as `music`, `sfx`, `voice` and `ui`.
  *
  * @see Phaser.Sound.SoundManagerCreator
  */
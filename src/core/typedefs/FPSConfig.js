@@ -8,4 +8,5 @@
  * @property {number} [deltaHistory=10] - Calculate the average frame delta from this many consecutive frame intervals.
  * @property {number} [panicMax=120] - The amount of frames the time step counts before we trust the delta values again.
  * @property {boolean} [smoothStep=true] - Apply delta smoothing during the game update to help avoid spikes?
+ * @property {number} [fixedStep=0] - Run the game update at a fixed rate, this many seconds per step, i.e. `1 / 60`. The update runs zero or more times per frame, always with the same delta, and the game renders once per frame. Zero disables fixed step mode. See `Phaser.Core.TimeStep#fixedStep`.
  */
@@ -3,4 +3,5 @@
  * @since 3.0.0
  *
  * @property {*} [target=window] - Where the Gamepad Manager listens for gamepad input events.
+ * @property {(string|string[])} [mappings] - Gamepad Mappings, in the SDL GameControllerDB format, one per line or array element. Non-standard controllers that match them are converted into the standard gamepad layout. See `Phaser.Input.Gamepad.Mapping.MappingDatabase`.
  */
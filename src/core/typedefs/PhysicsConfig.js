@@ -0,0 +1,7 @@
+/**
+ * @typedef {object} Phaser.Types.Core.PhysicsConfig
+ * @since 3.0.0
+ *
+ * @property {string} [default] - The default physics system. It will be started for each scene. Phaser provides 'arcade'.
+ * @property {Phaser.Types.Physics.Arcade.ArcadeWorldConfig} [arcade] - Arcade Physics configuration.
+ */
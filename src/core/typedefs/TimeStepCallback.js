@@ -4,5 +4,5 @@
  *
  * @param {number} time - The current time. Either a High Resolution Timer value if it comes from Request Animation Frame, or Date.now if using SetTimeout.
  * @param {number} average - The Delta Average.
- * @param {number} interpolation - Interpolation - how far between what is expected and where we are?
+ * @param {number} interpolation - Interpolation - how far between what is expected and where we are? In fixed step mode this is the `TimeStep.alpha` value.
  */
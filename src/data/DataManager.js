@@ -5,6 +5,7 @@
  */
 
 var Class = require('../utils/Class');
+var DataPersistence = require('./DataPersistence');
 var Events = require('./events');
 
 /**
@@ -107,6 +108,17 @@ var DataManager = new Class({
          */
         this._frozen = false;
 
+        /**
+         * The Data Persistence object that saves and loads the values of this Data Manager, if any.
+         * Create it with `setStorage`.
+         *
+         * @name Phaser.Data.DataManager#storage
+         * @type {?Phaser.Data.DataPersistence}
+         * @default null
+         * @since 3.60.0
+         */
+        this.storage = null;
+
         if (!parent.hasOwnProperty('sys') && this.events)
         {
             this.events.once(Events.DESTROY, this.destroy, this);
@@ -610,6 +622,93 @@ var DataManager = new Class({
         return this;
     },
 
+    /**
+     * Sets where the values of this Data Manager are saved to and loaded from, by creating a Data Persistence object
+     * for it, which is then available as `storage`. Any previous Data Persistence object is destroyed.
+     *
+     * ```javascript
+     * this.registry.setStorage({ namespace: 'mygame', autoSave: true });
+     *
+     * this.registry.load();
+     * ```
+     *
+     * @method Phaser.Data.DataManager#setStorage
+     * @since 3.60.0
+     *
+     * @param {Phaser.Types.Data.DataPersistenceConfig} [config] - The Data Persistence configuration object. Pass `null` to remove the storage.
+     *
+     * @return {this} This DataManager object.
+     */
+    setStorage: function (config)
+    {
+        if (this.storage)
+        {
+            this.storage.destroy();
+            this.storage = null;
+        }
+
+        if (config !== null)
+        {
+            this.storage = new DataPersistence(this, config);
+        }
+
+        return this;
+    },
+
+    /**
+     * Saves the values of this Data Manager to its storage. See `DataPersistence.save` for details.
+     *
+     * Call `setStorage` before using this method.
+     *
+     * @method Phaser.Data.DataManager#save
+     * @since 3.60.0
+     *
+     * @param {Phaser.Types.Data.StorageCallback} [callback] - The callback, which is sent an error if the values couldn't be saved.
+     * @param {*} [context] - The context of the callback.
+     *
+     * @return {this} This DataManager object.
+     */
+    save: function (callback, context)
+    {
+        if (!this.storage)
+        {
+            console.warn('DataManager.save: No storage set');
+        }
+        else
+        {
+            this.storage.save(callback, context);
+        }
+
+        return this;
+    },
+
+    /**
+     * Loads the values saved in the storage of this Data Manager. See `DataPersistence.load` for details.
+     *
+     * Call `setStorage` before using this method.
+     *
+     * @method Phaser.Data.DataManager#load
+     * @since 3.60.0
+     *
+     * @param {Phaser.Types.Data.StorageCallback} [callback] - The callback, which is sent the loaded values, or an error.
+     * @param {*} [context] - The context of the callback.
+     *
+     * @return {this} This DataManager object.
+     */
+    load: function (callback, context)
+    {
+        if (!this.storage)
+        {
+            console.warn('DataManager.load: No storage set');
+        }
+        else
+        {
+            this.storage.load(callback, context);
+        }
+
+        return this;
+    },
+
     /**
      * Delete all data in this Data Manager and unfreeze it.
      *
@@ -639,6 +738,12 @@ var DataManager = new Class({
      */
     destroy: function ()
     {
+        if (this.storage)
+        {
+            this.storage.destroy();
+            this.storage = null;
+        }
+
         this.reset();
 
         this.events.off(Events.CHANGE_DATA);
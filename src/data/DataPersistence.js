@@ -0,0 +1,684 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var Class = require('../utils/Class');
+var EventEmitter = require('eventemitter3');
+var Events = require('./events');
+var GetFastValue = require('../utils/object/GetFastValue');
+var IndexedDBStorage = require('./storage/IndexedDBStorage');
+var MemoryStorage = require('./storage/MemoryStorage');
+var WebStorage = require('./storage/WebStorage');
+
+/**
+ * @classdesc
+ * Data Persistence saves the values of a Data Manager to a Storage Adapter, and loads them back again,
+ * so they can survive the game being closed. It is usually created via `DataManager.setStorage`, on either
+ * the Game registry or a Scene's Data Manager:
+ *
+ * ```javascript
+ * this.registry.setStorage({ namespace: 'mygame', slot: 'slot1', version: 2, autoSave: true });
+ *
+ * this.registry.load(function (error, values)
+ * {
+ *     //  values is null if nothing has been saved to this slot yet
+ * });
+ * ```
+ *
+ * The values are stored as JSON, under the key `namespace.slot`, along with the schema version. When saved values
+ * with an older version are loaded, the functions in the `migrations` config object are run on them in order,
+ * from the version after the saved one up to the current version, each returning the upgraded values:
+ *
+ * ```javascript
+ * migrations: {
+ *     2: function (values) { values.gold = values.coins; delete values.coins; return values; }
+ * }
+ * ```
+ *
+ * With `autoSave` enabled the values are saved a short `delay` after they are set, changed or removed, so that
+ * lots of changes in one frame only cause one save. Changes made inside a stored object or array don't emit
+ * Data Manager events, so call `save` yourself after making them.
+ *
+ * All storage is treated as asynchronous, so the results of `save` and `load` are sent to callbacks and events.
+ *
+ * @class DataPersistence
+ * @extends Phaser.Events.EventEmitter
+ * @memberof Phaser.Data
+ * @constructor
+ * @since 3.60.0
+ *
+ * @param {Phaser.Data.DataManager} dataManager - The Data Manager to save and load the values of.
+ * @param {Phaser.Types.Data.DataPersistenceConfig} [config] - The configuration object.
+ */
+var DataPersistence = new Class({
+
+    Extends: EventEmitter,
+
+    initialize:
+
+    function DataPersistence (dataManager, config)
+    {
+        EventEmitter.call(this);
+
+        /**
+         * The Data Manager whose values are saved and loaded.
+         *
+         * @name Phaser.Data.DataPersistence#dataManager
+         * @type {Phaser.Data.DataManager}
+         * @since 3.60.0
+         */
+        this.dataManager = dataManager;
+
+        /**
+         * The Storage Adapter the values are saved to.
+         *
+         * @name Phaser.Data.DataPersistence#storage
+         * @type {Phaser.Types.Data.StorageAdapter}
+         * @since 3.60.0
+         */
+        this.storage = DataPersistence.createStorage(GetFastValue(config, 'storage', 'local'));
+
+        /**
+         * The namespace of the storage keys, which keeps the saves of different games on the same domain apart.
+         *
+         * @name Phaser.Data.DataPersistence#namespace
+         * @type {string}
+         * @default 'phaser'
+         * @since 3.60.0
+         */
+        this.namespace = GetFastValue(config, 'namespace', 'phaser');
+
+        /**
+         * The save slot that `save` and `load` use. Change it with `setSlot`.
+         *
+         * @name Phaser.Data.DataPersistence#slot
+         * @type {string}
+         * @default 'default'
+         * @since 3.60.0
+         */
+        this.slot = GetFastValue(config, 'slot', 'default');
+
+        /**
+         * The current schema version of the values. It is saved with them, and used to migrate older saves.
+         *
+         * @name Phaser.Data.DataPersistence#version
+         * @type {number}
+         * @default 1
+         * @since 3.60.0
+         */
+        this.version = GetFastValue(config, 'version', 1);
+
+        /**
+         * The functions that upgrade saved values to each schema version, keyed by the version they upgrade to.
+         *
+         * @name Phaser.Data.DataPersistence#migrations
+         * @type {Object.<number, Phaser.Types.Data.DataMigration>}
+         * @since 3.60.0
+         */
+        this.migrations = GetFastValue(config, 'migrations', {});
+
+        /**
+         * The keys of the values to save. If `null`, all of the values are saved.
+         *
+         * @name Phaser.Data.DataPersistence#keys
+         * @type {?string[]}
+         * @default null
+         * @since 3.60.0
+         */
+        this.keys = GetFastValue(config, 'keys', null);
+
+        /**
+         * The time, in ms, that an automatic save waits after the last change.
+         *
+         * @name Phaser.Data.DataPersistence#delay
+         * @type {number}
+         * @default 500
+         * @since 3.60.0
+         */
+        this.delay = GetFastValue(config, 'delay', 500);
+
+        /**
+         * Are the values saved automatically when they change? Change it with `setAutoSave`.
+         *
+         * @name Phaser.Data.DataPersistence#autoSave
+         * @type {boolean}
+         * @readonly
+         * @default false
+         * @since 3.60.0
+         */
+        this.autoSave = false;
+
+        /**
+         * The id of the timeout of a pending automatic save, or `null` if there isn't one.
+         *
+         * @name Phaser.Data.DataPersistence#_timer
+         * @type {?number}
+         * @private
+         * @default null
+         * @since 3.60.0
+         */
+        this._timer = null;
+
+        /**
+         * Are the values being loaded? Changes made by loading don't cause an automatic save.
+         *
+         * @name Phaser.Data.DataPersistence#_loading
+         * @type {boolean}
+         * @private
+         * @default false
+         * @since 3.60.0
+         */
+        this._loading = false;
+
+        this.setAutoSave(GetFastValue(config, 'autoSave', false));
+    },
+
+    /**
+     * Gets the storage key of a save slot.
+     *
+     * @method Phaser.Data.DataPersistence#getKey
+     * @since 3.60.0
+     *
+     * @param {string} [slot] - The save slot. Defaults to the current slot.
+     *
+     * @return {string} The storage key.
+     */
+    getKey: function (slot)
+    {
+        if (slot === undefined) { slot = this.slot; }
+
+        return this.namespace + '.' + slot;
+    },
+
+    /**
+     * Sets the save slot that `save` and `load` use. It doesn't load the slot.
+     *
+     * @method Phaser.Data.DataPersistence#setSlot
+     * @since 3.60.0
+     *
+     * @param {string} slot - The save slot.
+     *
+     * @return {this} This Data Persistence object.
+     */
+    setSlot: function (slot)
+    {
+        this.slot = slot;
+
+        return this;
+    },
+
+    /**
+     * Turns automatic saving on or off. Turning it off cancels any pending automatic save.
+     *
+     * @method Phaser.Data.DataPersistence#setAutoSave
+     * @since 3.60.0
+     *
+     * @param {boolean} value - Save the values automatically when they change?
+     *
+     * @return {this} This Data Persistence object.
+     */
+    setAutoSave: function (value)
+    {
+        var events = this.dataManager.events;
+
+        if (value && !this.autoSave)
+        {
+            events.on(Events.SET_DATA, this.onChange, this);
+            events.on(Events.CHANGE_DATA, this.onChange, this);
+            events.on(Events.REMOVE_DATA, this.onChange, this);
+        }
+        else if (!value && this.autoSave)
+        {
+            events.off(Events.SET_DATA, this.onChange, this);
+            events.off(Events.CHANGE_DATA, this.onChange, this);
+            events.off(Events.REMOVE_DATA, this.onChange, this);
+
+            this.cancelAutoSave();
+        }
+
+        this.autoSave = value;
+
+        return this;
+    },
+
+    /**
+     * Data Manager event handler that schedules an automatic save.
+     *
+     * @method Phaser.Data.DataPersistence#onChange
+     * @private
+     * @since 3.60.0
+     *
+     * @param {*} parent - The parent of the Data Manager that emitted the event.
+     * @param {string} key - The key of the value that changed.
+     */
+    onChange: function (parent, key)
+    {
+        //  Scene Data Managers share their emitter with the Scene, so ignore events from anything else
+        if (this._loading || parent !== this.dataManager.parent)
+        {
+            return;
+        }
+
+        if (this.keys && this.keys.indexOf(key) === -1)
+        {
+            return;
+        }
+
+        this.cancelAutoSave();
+
+        var _this = this;
+
+        this._timer = setTimeout(function ()
+        {
+            _this._timer = null;
+
+            _this.save();
+
+        }, this.delay);
+    },
+
+    /**
+     * Cancels a pending automatic save.
+     *
+     * @method Phaser.Data.DataPersistence#cancelAutoSave
+     * @since 3.60.0
+     *
+     * @return {this} This Data Persistence object.
+     */
+    cancelAutoSave: function ()
+    {
+        if (this._timer !== null)
+        {
+            clearTimeout(this._timer);
+
+            this._timer = null;
+        }
+
+        return this;
+    },
+
+    /**
+     * Gets the values of the Data Manager that are saved, filtered by `keys`.
+     *
+     * @method Phaser.Data.DataPersistence#getValues
+     * @since 3.60.0
+     *
+     * @return {Object.<string, *>} The values to save.
+     */
+    getValues: function ()
+    {
+        var values = this.dataManager.getAll();
+        var keys = this.keys;
+
+        if (!keys)
+        {
+            return values;
+        }
+
+        var output = {};
+
+        for (var i = 0; i < keys.length; i++)
+        {
+            var key = keys[i];
+
+            if (values.hasOwnProperty(key))
+            {
+                output[key] = values[key];
+            }
+        }
+
+        return output;
+    },
+
+    /**
+     * Saves the values of the Data Manager to the current slot, replacing anything saved there before.
+     * Any pending automatic save is cancelled, as it is no longer needed.
+     *
+     * The values must be able to be converted to JSON.
+     *
+     * @method Phaser.Data.DataPersistence#save
+     * @fires Phaser.Data.Events#SAVE
+     * @fires Phaser.Data.Events#STORAGE_ERROR
+     * @since 3.60.0
+     *
+     * @param {Phaser.Types.Data.StorageCallback} [callback] - The callback, which is sent an error if the values couldn't be saved.
+     * @param {*} [context] - The context of the callback.
+     *
+     * @return {this} This Data Persistence object.
+     */
+    save: function (callback, context)
+    {
+        this.cancelAutoSave();
+
+        var _this = this;
+        var values = this.getValues();
+        var slot = this.slot;
+        var json;
+
+        try
+        {
+            json = JSON.stringify({ version: this.version, values: values });
+        }
+        catch (error)
+        {
+            this.onError(error, callback, context);
+
+            return this;
+        }
+
+        this.storage.setItem(this.getKey(slot), json, function (error)
+        {
+            if (error)
+            {
+                _this.onError(error, callback, context);
+
+                return;
+            }
+
+            _this.emit(Events.SAVE, _this, slot, values);
+
+            if (callback)
+            {
+                callback.call(context, null, values);
+            }
+        });
+
+        return this;
+    },
+
+    /**
+     * Loads the values saved in the current slot into the Data Manager, migrating them to the current version first.
+     *
+     * The loaded values are set on the Data Manager, replacing any with the same keys, so values that weren't saved
+     * keep their current values. If nothing has been saved in the slot the Data Manager isn't changed and the
+     * callback is sent `null`.
+     *
+     * @method Phaser.Data.DataPersistence#load
+     * @fires Phaser.Data.Events#LOAD
+     * @fires Phaser.Data.Events#STORAGE_ERROR
+     * @since 3.60.0
+     *
+     * @param {Phaser.Types.Data.StorageCallback} [callback] - The callback, which is sent the loaded values, or an error.
+     * @param {*} [context] - The context of the callback.
+     *
+     * @return {this} This Data Persistence object.
+     */
+    load: function (callback, context)
+    {
+        var _this = this;
+        var slot = this.slot;
+
+        this.storage.getItem(this.getKey(slot), function (error, json)
+        {
+            if (error)
+            {
+                _this.onError(error, callback, context);
+
+                return;
+            }
+
+            if (json === null || json === undefined)
+            {
+                if (callback)
+                {
+                    callback.call(context, null, null);
+                }
+
+                return;
+            }
+
+            var values;
+
+            try
+            {
+                var saved = JSON.parse(json);
+
+                values = _this.migrate(saved.values, saved.version);
+            }
+            catch (loadError)
+            {
+                _this.onError(loadError, callback, context);
+
+                return;
+            }
+
+            //  The Data Manager may have been destroyed while waiting for the storage
+            if (!_this.dataManager)
+            {
+                return;
+            }
+
+            _this._loading = true;
+
+            _this.dataManager.set(values);
+
+            _this._loading = false;
+
+            _this.emit(Events.LOAD, _this, slot, values);
+
+            if (callback)
+            {
+                callback.call(context, null, values);
+            }
+        });
+
+        return this;
+    },
+
+    /**
+     * Runs the migrations needed to upgrade saved values to the current version.
+     *
+     * @method Phaser.Data.DataPersistence#migrate
+     * @since 3.60.0
+     *
+     * @param {Object.<string, *>} values - The saved values.
+     * @param {number} version - The version the values were saved with.
+     *
+     * @return {Object.<string, *>} The upgraded values.
+     */
+    migrate: function (values, version)
+    {
+        if (version > this.version)
+        {
+            throw new Error('Saved data version ' + version + ' is newer than ' + this.version);
+        }
+
+        var migrations = this.migrations;
+
+        for (var next = version + 1; next <= this.version; next++)
+        {
+            var migration = migrations[next];
+
+            if (migration)
+            {
+                var result = migration.call(this, values, next);
+
+                if (result !== undefined)
+                {
+                    values = result;
+                }
+            }
+        }
+
+        return values;
+    },
+
+    /**
+     * Deletes the values saved in a slot. It doesn't change the Data Manager.
+     *
+     * @method Phaser.Data.DataPersistence#remove
+     * @fires Phaser.Data.Events#STORAGE_ERROR
+     * @since 3.60.0
+     *
+     * @param {string} [slot] - The save slot to delete. Defaults to the current slot.
+     * @param {Phaser.Types.Data.StorageCallback} [callback] - The callback, which is sent an error if the slot couldn't be deleted.
+     * @param {*} [context] - The context of the callback.
+     *
+     * @return {this} This Data Persistence object.
+     */
+    remove: function (slot, callback, context)
+    {
+        var _this = this;
+
+        this.storage.removeItem(this.getKey(slot), function (error)
+        {
+            if (error)
+            {
+                _this.onError(error, callback, context);
+            }
+            else if (callback)
+            {
+                callback.call(context, null);
+            }
+        });
+
+        return this;
+    },
+
+    /**
+     * Gets the names of all of the slots that have been saved in this namespace.
+     *
+     * @method Phaser.Data.DataPersistence#getSlots
+     * @fires Phaser.Data.Events#STORAGE_ERROR
+     * @since 3.60.0
+     *
+     * @param {Phaser.Types.Data.StorageCallback} callback - The callback, which is sent an array of the slot names.
+     * @param {*} [context] - The context of the callback.
+     *
+     * @return {this} This Data Persistence object.
+     */
+    getSlots: function (callback, context)
+    {
+        var _this = this;
+        var prefix = this.namespace + '.';
+
+        this.storage.getKeys(function (error, keys)
+        {
+            if (error)
+            {
+                _this.onError(error, callback, context);
+
+                return;
+            }
+
+            var slots = [];
+
+            for (var i = 0; i < keys.length; i++)
+            {
+                var key = String(keys[i]);
+
+                if (key.indexOf(prefix) === 0)
+                {
+                    slots.push(key.substr(prefix.length));
+                }
+            }
+
+            callback.call(context, null, slots);
+        });
+
+        return this;
+    },
+
+    /**
+     * Emits a storage error and sends it to the callback.
+     *
+     * @method Phaser.Data.DataPersistence#onError
+     * @private
+     * @fires Phaser.Data.Events#STORAGE_ERROR
+     * @since 3.60.0
+     *
+     * @param {Error} error - The error.
+     * @param {Phaser.Types.Data.StorageCallback} [callback] - The callback.
+     * @param {*} [context] - The context of the callback.
+     */
+    onError: function (error, callback, context)
+    {
+        this.emit(Events.STORAGE_ERROR, this, error);
+
+        if (callback)
+        {
+            callback.call(context, error);
+        }
+        else if (this.listenerCount(Events.STORAGE_ERROR) === 0)
+        {
+            console.warn('Data storage error: ' + error);
+        }
+    },
+
+    /**
+     * Saves straight away if an automatic save is pending, then stops listening to the Data Manager
+     * and removes all external references.
+     *
+     * @method Phaser.Data.DataPersistence#destroy
+     * @since 3.60.0
+     */
+    destroy: function ()
+    {
+        if (!this.dataManager)
+        {
+            return;
+        }
+
+        if (this._timer !== null)
+        {
+            this.save();
+        }
+
+        this.setAutoSave(false);
+
+        this.removeAllListeners();
+
+        if (this.storage.destroy)
+        {
+            this.storage.destroy();
+        }
+
+        this.dataManager = null;
+    }
+
+});
+
+/**
+ * Creates a Storage Adapter from the `storage` property of a Data Persistence config.
+ *
+ * The strings `local`, `session`, `indexeddb` and `memory` create a new adapter of that type. `local` falls back
+ * to `memory`, with a warning, if Web Storage isn't available, such as under Node.js. Any other value is returned as-is.
+ *
+ * @function Phaser.Data.DataPersistence.createStorage
+ * @since 3.60.0
+ *
+ * @param {(string|Phaser.Types.Data.StorageAdapter)} storage - The type of storage, or a Storage Adapter.
+ *
+ * @return {Phaser.Types.Data.StorageAdapter} The Storage Adapter.
+ */
+DataPersistence.createStorage = function (storage)
+{
+    if (storage === 'local' || storage === 'session')
+    {
+        var adapter = new WebStorage(storage);
+
+        if (adapter.storage)
+        {
+            return adapter;
+        }
+
+        console.warn('Web Storage unavailable. Data will not persist');
+
+        storage = 'memory';
+    }
+
+    if (storage === 'indexeddb')
+    {
+        return new IndexedDBStorage();
+    }
+    else if (storage === 'memory')
+    {
+        return new MemoryStorage();
+    }
+
+    return storage;
+};
+
+module.exports = DataPersistence;
@@ -0,0 +1,21 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+/**
+ * The Data Load Event.
+ *
+ * This event is dispatched by a Data Persistence object when it has loaded values from storage into its Data Manager.
+ *
+ * For the Game registry you would listen for it using: `this.registry.storage.on('load', listener)`.
+ *
+ * @event Phaser.Data.Events#LOAD
+ * @since 3.60.0
+ *
+ * @param {Phaser.Data.DataPersistence} persistence - The Data Persistence object that loaded the values.
+ * @param {string} slot - The save slot the values were loaded from.
+ * @param {Object.<string, *>} values - The loaded values, after migration.
+ */
+module.exports = 'load';
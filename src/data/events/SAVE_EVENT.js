@@ -0,0 +1,21 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+/**
+ * The Data Save Event.
+ *
+ * This event is dispatched by a Data Persistence object when it has saved the values of its Data Manager to storage.
+ *
+ * For the Game registry you would listen for it using: `this.registry.storage.on('save', listener)`.
+ *
+ * @event Phaser.Data.Events#SAVE
+ * @since 3.60.0
+ *
+ * @param {Phaser.Data.DataPersistence} persistence - The Data Persistence object that saved the values.
+ * @param {string} slot - The save slot the values were saved to.
+ * @param {Object.<string, *>} values - The saved values.
+ */
+module.exports = 'save';
@@ -0,0 +1,21 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+/**
+ * The Data Storage Error Event.
+ *
+ * This event is dispatched by a Data Persistence object when values couldn't be saved or loaded. This can happen if the
+ * storage quota has been exceeded, storage is disabled by the browser, the saved values are corrupt, or a migration failed.
+ *
+ * For the Game registry you would listen for it using: `this.registry.storage.on('storageerror', listener)`.
+ *
+ * @event Phaser.Data.Events#STORAGE_ERROR
+ * @since 3.60.0
+ *
+ * @param {Phaser.Data.DataPersistence} persistence - The Data Persistence object that had the error.
+ * @param {Error} error - The error.
+ */
+module.exports = 'storageerror';
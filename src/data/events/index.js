@@ -13,7 +13,10 @@ module.exports = {
     CHANGE_DATA: require('./CHANGE_DATA_EVENT'),
     CHANGE_DATA_KEY: require('./CHANGE_DATA_KEY_EVENT'),
     DESTROY: require('./DESTROY_EVENT'),
+    LOAD: require('./LOAD_EVENT'),
     REMOVE_DATA: require('./REMOVE_DATA_EVENT'),
-    SET_DATA: require('./SET_DATA_EVENT')
+    SAVE: require('./SAVE_EVENT'),
+    SET_DATA: require('./SET_DATA_EVENT'),
+    STORAGE_ERROR: require('./STORAGE_ERROR_EVENT')
 
 };
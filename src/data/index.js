@@ -12,6 +12,8 @@ module.exports = {
 
     DataManager: require('./DataManager'),
     DataManagerPlugin: require('./DataManagerPlugin'),
-    Events: require('./events')
+    DataPersistence: require('./DataPersistence'),
+    Events: require('./events'),
+    Storage: require('./storage')
 
 };
@@ -0,0 +1,339 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var Class = require('../../utils/Class');
+
+/**
+ * @classdesc
+ * A Storage Adapter that keeps its items in an IndexedDB object store.
+ *
+ * IndexedDB is asynchronous and can hold far more data than Web Storage. The database is opened the first
+ * time an item is requested, and any requests made while it is opening are run once it has opened.
+ *
+ * @class IndexedDBStorage
+ * @memberof Phaser.Data.Storage
+ * @constructor
+ * @since 3.60.0
+ *
+ * @param {string} [databaseName='phaser'] - The name of the IndexedDB database.
+ * @param {string} [storeName='data'] - The name of the object store within the database.
+ */
+var IndexedDBStorage = new Class({
+
+    initialize:
+
+    function IndexedDBStorage (databaseName, storeName)
+    {
+        if (databaseName === undefined) { databaseName = 'phaser'; }
+        if (storeName === undefined) { storeName = 'data'; }
+
+        /**
+         * The name of the IndexedDB database.
+         *
+         * @name Phaser.Data.Storage.IndexedDBStorage#databaseName
+         * @type {string}
+         * @since 3.60.0
+         */
+        this.databaseName = databaseName;
+
+        /**
+         * The name of the object store within the database.
+         *
+         * @name Phaser.Data.Storage.IndexedDBStorage#storeName
+         * @type {string}
+         * @since 3.60.0
+         */
+        this.storeName = storeName;
+
+        /**
+         * The open database, or `null` if it hasn't been opened yet.
+         *
+         * @name Phaser.Data.Storage.IndexedDBStorage#database
+         * @type {?IDBDatabase}
+         * @default null
+         * @since 3.60.0
+         */
+        this.database = null;
+
+        /**
+         * The requests waiting for the database to open.
+         *
+         * @name Phaser.Data.Storage.IndexedDBStorage#_queue
+         * @type {function[]}
+         * @private
+         * @since 3.60.0
+         */
+        this._queue = [];
+
+        /**
+         * Is the database being opened?
+         *
+         * @name Phaser.Data.Storage.IndexedDBStorage#_opening
+         * @type {boolean}
+         * @private
+         * @default false
+         * @since 3.60.0
+         */
+        this._opening = false;
+
+        /**
+         * Was this adapter destroyed while the database was opening? If so, the database is closed
+         * as soon as the requests waiting for it have been run.
+         *
+         * @name Phaser.Data.Storage.IndexedDBStorage#_closePending
+         * @type {boolean}
+         * @private
+         * @default false
+         * @since 3.60.0
+         */
+        this._closePending = false;
+    },
+
+    /**
+     * Opens the database, if needed, then invokes the callback with it.
+     *
+     * @method Phaser.Data.Storage.IndexedDBStorage#open
+     * @since 3.60.0
+     *
+     * @param {Phaser.Types.Data.StorageCallback} callback - The callback, which is sent the open database.
+     */
+    open: function (callback)
+    {
+        if (this.database)
+        {
+            callback(null, this.database);
+
+            return;
+        }
+
+        this._queue.push(callback);
+
+        if (this._opening)
+        {
+            return;
+        }
+
+        var _this = this;
+        var storeName = this.storeName;
+
+        var flush = function (error, database)
+        {
+            var queue = _this._queue;
+
+            _this._queue = [];
+            _this._opening = false;
+
+            for (var i = 0; i < queue.length; i++)
+            {
+                queue[i](error, database);
+            }
+
+            if (_this._closePending)
+            {
+                _this._closePending = false;
+
+                //  Closing waits for the transactions started by the queued requests to complete
+                _this.destroy();
+            }
+        };
+
+        var request;
+
+        try
+        {
+            request = window.indexedDB.open(this.databaseName, 1);
+        }
+        catch (error)
+        {
+            flush(error);
+
+            return;
+        }
+
+        this._opening = true;
+
+        request.onupgradeneeded = function ()
+        {
+            var database = request.result;
+
+            if (!database.objectStoreNames.contains(storeName))
+            {
+                database.createObjectStore(storeName);
+            }
+        };
+
+        request.onsuccess = function ()
+        {
+            _this.database = request.result;
+
+            flush(null, _this.database);
+        };
+
+        request.onerror = function ()
+        {
+            flush(request.error);
+        };
+    },
+
+    /**
+     * Runs a request against the object store, once the database is open.
+     *
+     * @method Phaser.Data.Storage.IndexedDBStorage#request
+     * @since 3.60.0
+     *
+     * @param {IDBTransactionMode} mode - The transaction mode, either `readonly` or `readwrite`.
+     * @param {function} create - A function that is sent the object store and returns the request to run.
+     * @param {Phaser.Types.Data.StorageCallback} callback - The callback, which is sent the result of the request.
+     */
+    request: function (mode, create, callback)
+    {
+        var storeName = this.storeName;
+
+        this.open(function (error, database)
+        {
+            if (error)
+            {
+                callback(error);
+
+                return;
+            }
+
+            var request;
+
+            try
+            {
+                request = create(database.transaction(storeName, mode).objectStore(storeName));
+            }
+            catch (transactionError)
+            {
+                callback(transactionError);
+
+                return;
+            }
+
+            request.onsuccess = function ()
+            {
+                callback(null, request.result);
+            };
+
+            request.onerror = function ()
+            {
+                callback(request.error);
+            };
+        });
+    },
+
+    /**
+     * Gets an item.
+     *
+     * @method Phaser.Data.Storage.IndexedDBStorage#getItem
+     * @since 3.60.0
+     *
+     * @param {string} key - The key of the item.
+     * @param {Phaser.Types.Data.StorageCallback} callback - The callback, which is sent the item, or `null` if there isn't one.
+     */
+    getItem: function (key, callback)
+    {
+        this.request('readonly', function (store)
+        {
+            return store.get(key);
+
+        }, function (error, value)
+        {
+            callback(error, (value === undefined) ? null : value);
+        });
+    },
+
+    /**
+     * Sets an item.
+     *
+     * @method Phaser.Data.Storage.IndexedDBStorage#setItem
+     * @since 3.60.0
+     *
+     * @param {string} key - The key of the item.
+     * @param {string} value - The item to store.
+     * @param {Phaser.Types.Data.StorageCallback} callback - The callback, which is invoked when the item has been stored.
+     */
+    setItem: function (key, value, callback)
+    {
+        this.request('readwrite', function (store)
+        {
+            return store.put(value, key);
+
+        }, function (error)
+        {
+            callback(error);
+        });
+    },
+
+    /**
+     * Removes an item.
+     *
+     * @method Phaser.Data.Storage.IndexedDBStorage#removeItem
+     * @since 3.60.0
+     *
+     * @param {string} key - The key of the item.
+     * @param {Phaser.Types.Data.StorageCallback} callback - The callback, which is invoked when the item has been removed.
+     */
+    removeItem: function (key, callback)
+    {
+        this.request('readwrite', function (store)
+        {
+            return store.delete(key);
+
+        }, function (error)
+        {
+            callback(error);
+        });
+    },
+
+    /**
+     * Gets the keys of all stored items.
+     *
+     * @method Phaser.Data.Storage.IndexedDBStorage#getKeys
+     * @since 3.60.0
+     *
+     * @param {Phaser.Types.Data.StorageCallback} callback - The callback, which is sent an array of the keys.
+     */
+    getKeys: function (callback)
+    {
+        this.request('readonly', function (store)
+        {
+            return store.getAllKeys();
+
+        }, callback);
+    },
+
+    /**
+     * Closes the database, if it is open.
+     *
+     * If the database is still opening, the requests waiting for it, such as a final save, are run
+     * once it has opened, and then it is closed.
+     *
+     * @method Phaser.Data.Storage.IndexedDBStorage#destroy
+     * @since 3.60.0
+     */
+    destroy: function ()
+    {
+        if (this._opening)
+        {
+            this._closePending = true;
+
+            return;
+        }
+
+        if (this.database)
+        {
+            this.database.close();
+            this.database = null;
+        }
+
+        this._queue = [];
+    }
+
+});
+
+module.exports = IndexedDBStorage;
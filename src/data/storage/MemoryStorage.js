@@ -0,0 +1,105 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var Class = require('../../utils/Class');
+
+/**
+ * @classdesc
+ * A Storage Adapter that keeps its items in memory, so they are lost when the page is closed.
+ *
+ * It is useful for tests and for running under Node.js, or as a fallback when no other storage is available.
+ * Pass the same `store` object to several adapters for them to share their items.
+ *
+ * @class MemoryStorage
+ * @memberof Phaser.Data.Storage
+ * @constructor
+ * @since 3.60.0
+ *
+ * @param {Object.<string, string>} [store] - The object to keep the items in. A new one is created if not given.
+ */
+var MemoryStorage = new Class({
+
+    initialize:
+
+    function MemoryStorage (store)
+    {
+        if (store === undefined) { store = {}; }
+
+        /**
+         * The object the items are kept in, by key.
+         *
+         * @name Phaser.Data.Storage.MemoryStorage#store
+         * @type {Object.<string, string>}
+         * @since 3.60.0
+         */
+        this.store = store;
+    },
+
+    /**
+     * Gets an item.
+     *
+     * @method Phaser.Data.Storage.MemoryStorage#getItem
+     * @since 3.60.0
+     *
+     * @param {string} key - The key of the item.
+     * @param {Phaser.Types.Data.StorageCallback} callback - The callback, which is sent the item, or `null` if there isn't one.
+     */
+    getItem: function (key, callback)
+    {
+        var store = this.store;
+
+        callback(null, store.hasOwnProperty(key) ? store[key] : null);
+    },
+
+    /**
+     * Sets an item.
+     *
+     * @method Phaser.Data.Storage.MemoryStorage#setItem
+     * @since 3.60.0
+     *
+     * @param {string} key - The key of the item.
+     * @param {string} value - The item to store.
+     * @param {Phaser.Types.Data.StorageCallback} callback - The callback, which is invoked when the item has been stored.
+     */
+    setItem: function (key, value, callback)
+    {
+        this.store[key] = value;
+
+        callback(null);
+    },
+
+    /**
+     * Removes an item.
+     *
+     * @method Phaser.Data.Storage.MemoryStorage#removeItem
+     * @since 3.60.0
+     *
+     * @param {string} key - The key of the item.
+     * @param {Phaser.Types.Data.StorageCallback} callback - The callback, which is invoked when the item has been removed.
+     */
+    removeItem: function (key, callback)
+    {
+        delete this.store[key];
+
+        callback(null);
+    },
+
+    /**
+     * Gets the keys of all stored items.
+     *
+     * @method Phaser.Data.Storage.MemoryStorage#getKeys
+     * @since 3.60.0
+     *
+     * @param {Phaser.Types.Data.StorageCallback} callback - The callback, which is sent an array of the keys.
+     */
+    getKeys: function (callback)
+    {
+        callback(null, Object.keys(this.store));
+    }
+
+});
+
+module.exports = MemoryStorage;
@@ -0,0 +1,166 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var Class = require('../../utils/Class');
+
+/**
+ * @classdesc
+ * A Storage Adapter that keeps its items in a Web Storage object, either `window.localStorage`,
+ * `window.sessionStorage` or another object with the same interface.
+ *
+ * Web Storage is synchronous and usually limited to around 5MB per domain. Errors, such as the quota being exceeded,
+ * or storage being disabled by the browser privacy settings, are sent to the callbacks rather than thrown.
+ *
+ * @class WebStorage
+ * @memberof Phaser.Data.Storage
+ * @constructor
+ * @since 3.60.0
+ *
+ * @param {(string|Storage)} [storage='local'] - Either `local` or `session`, to use the browser's Web Storage of that type, or a Web Storage object.
+ */
+var WebStorage = new Class({
+
+    initialize:
+
+    function WebStorage (storage)
+    {
+        if (storage === undefined) { storage = 'local'; }
+
+        if (typeof storage === 'string')
+        {
+            try
+            {
+                storage = window[storage + 'Storage'] || null;
+            }
+            catch (error)
+            {
+                //  There is no window under Node.js, and accessing Web Storage throws if the browser has disabled it
+                storage = null;
+            }
+        }
+
+        /**
+         * The Web Storage object the items are kept in, or `null` if it isn't available.
+         *
+         * @name Phaser.Data.Storage.WebStorage#storage
+         * @type {?Storage}
+         * @since 3.60.0
+         */
+        this.storage = storage;
+    },
+
+    /**
+     * Gets an item.
+     *
+     * @method Phaser.Data.Storage.WebStorage#getItem
+     * @since 3.60.0
+     *
+     * @param {string} key - The key of the item.
+     * @param {Phaser.Types.Data.StorageCallback} callback - The callback, which is sent the item, or `null` if there isn't one.
+     */
+    getItem: function (key, callback)
+    {
+        var value;
+
+        try
+        {
+            value = this.storage.getItem(key);
+        }
+        catch (error)
+        {
+            callback(error);
+
+            return;
+        }
+
+        callback(null, value);
+    },
+
+    /**
+     * Sets an item.
+     *
+     * @method Phaser.Data.Storage.WebStorage#setItem
+     * @since 3.60.0
+     *
+     * @param {string} key - The key of the item.
+     * @param {string} value - The item to store.
+     * @param {Phaser.Types.Data.StorageCallback} callback - The callback, which is invoked when the item has been stored.
+     */
+    setItem: function (key, value, callback)
+    {
+        try
+        {
+            this.storage.setItem(key, value);
+        }
+        catch (error)
+        {
+            callback(error);
+
+            return;
+        }
+
+        callback(null);
+    },
+
+    /**
+     * Removes an item.
+     *
+     * @method Phaser.Data.Storage.WebStorage#removeItem
+     * @since 3.60.0
+     *
+     * @param {string} key - The key of the item.
+     * @param {Phaser.Types.Data.StorageCallback} callback - The callback, which is invoked when the item has been removed.
+     */
+    removeItem: function (key, callback)
+    {
+        try
+        {
+            this.storage.removeItem(key);
+        }
+        catch (error)
+        {
+            callback(error);
+
+            return;
+        }
+
+        callback(null);
+    },
+
+    /**
+     * Gets the keys of all stored items.
+     *
+     * @method Phaser.Data.Storage.WebStorage#getKeys
+     * @since 3.60.0
+     *
+     * @param {Phaser.Types.Data.StorageCallback} callback - The callback, which is sent an array of the keys.
+     */
+    getKeys: function (callback)
+    {
+        var keys = [];
+
+        try
+        {
+            var storage = this.storage;
+
+            for (var i = 0; i < storage.length; i++)
+            {
+                keys.push(storage.key(i));
+            }
+        }
+        catch (error)
+        {
+            callback(error);
+
+            return;
+        }
+
+        callback(null, keys);
+    }
+
+});
+
+module.exports = WebStorage;
@@ -0,0 +1,9 @@
+/**
+ * @callback Phaser.Types.Data.DataMigration
+ * @since 3.60.0
+ *
+ * @param {Object.<string, *>} values - The saved values, upgraded to the previous version.
+ * @param {number} version - The version the values are being upgraded to.
+ *
+ * @return {Object.<string, *>} The upgraded values. If nothing is returned, the values passed in are used, so they can be changed in place.
+ */
@@ -0,0 +1,13 @@
+/**
+ * @typedef {object} Phaser.Types.Data.DataPersistenceConfig
+ * @since 3.60.0
+ *
+ * @property {(string|Phaser.Types.Data.StorageAdapter)} [storage='local'] - Where to save the values: `local` or `session` for Web Storage, `indexeddb`, `memory`, or your own Storage Adapter.
+ * @property {string} [namespace='phaser'] - The namespace of the storage keys, which keeps the saves of different games on the same domain apart.
+ * @property {string} [slot='default'] - The save slot to use.
+ * @property {number} [version=1] - The current schema version of the values.
+ * @property {Object.<number, Phaser.Types.Data.DataMigration>} [migrations] - The functions that upgrade saved values to each schema version, keyed by the version they upgrade to.
+ * @property {string[]} [keys] - The keys of the values to save. If not given, all of the values are saved.
+ * @property {boolean} [autoSave=false] - Save the values automatically when they are set, changed or removed?
+ * @property {number} [delay=500] - The time, in ms, that an automatic save waits after the last change.
+ */
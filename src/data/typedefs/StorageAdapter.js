@@ -0,0 +1,14 @@
+/**
+ * A Storage Adapter saves the strings given to it by a Data Persistence object. Phaser has adapters for Web Storage,
+ * IndexedDB and memory in the `Phaser.Data.Storage` namespace. To save somewhere else, such as a server or a platform's
+ * cloud saves, create an object with these methods. They must always invoke the callback, either straight away or later.
+ *
+ * @typedef {object} Phaser.Types.Data.StorageAdapter
+ * @since 3.60.0
+ *
+ * @property {function(string, Phaser.Types.Data.StorageCallback)} getItem - Gets the item with the given key, sending `null` to the callback if there isn't one.
+ * @property {function(string, string, Phaser.Types.Data.StorageCallback)} setItem - Sets the item with the given key.
+ * @property {function(string, Phaser.Types.Data.StorageCallback)} removeItem - Removes the item with the given key.
+ * @property {function(Phaser.Types.Data.StorageCallback)} getKeys - Sends an array of the keys of all stored items to the callback.
+ * @property {function} [destroy] - Called when the Data Persistence object is destroyed.
+ */
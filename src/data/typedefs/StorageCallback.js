@@ -0,0 +1,7 @@
+/**
+ * @callback Phaser.Types.Data.StorageCallback
+ * @since 3.60.0
+ *
+ * @param {?Error} error - The error, if the request failed, otherwise `null`.
+ * @param {*} [result] - The result of the request, if it has one.
+ */
@@ -51,6 +51,12 @@ var Browser = {
 
 function init ()
 {
+    if (typeof navigator === 'undefined')
+    {
+        //  Running headless without a DOM, such as under Node.js
+        return Browser;
+    }
+
     var ua = navigator.userAgent;
 
     if ((/Edge\/\d+/).test(ua))
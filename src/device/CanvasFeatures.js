@@ -96,7 +96,7 @@ function checkInverseAlpha ()
 
 function init ()
 {
-    if (typeof importScripts !== 'function' && document !== undefined)
+    if (typeof importScripts !== 'function' && typeof document !== 'undefined')
     {
         CanvasFeatures.supportNewBlendModes = checkBlendMode();
         CanvasFeatures.supportInverseAlpha = checkInverseAlpha();
@@ -34,8 +34,9 @@ var Fullscreen = {
 */
 function init ()
 {
-    if (typeof importScripts === 'function')
+    if (typeof importScripts === 'function' || typeof window === 'undefined')
     {
+        //  Running in a Web Worker, or headless without a DOM, such as under Node.js
         return Fullscreen;
     }
 
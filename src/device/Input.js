@@ -31,8 +31,9 @@ var Input = {
 
 function init ()
 {
-    if (typeof importScripts === 'function')
+    if (typeof importScripts === 'function' || typeof window === 'undefined')
     {
+        //  Running in a Web Worker, or headless without a DOM, such as under Node.js
         return Input;
     }
 
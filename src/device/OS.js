@@ -66,6 +66,14 @@ function init ()
         return OS;
     }
 
+    if (typeof window === 'undefined')
+    {
+        //  Running headless without a DOM, such as under Node.js
+        OS.node = (typeof process !== 'undefined' && !!process.versions && !!process.versions.node);
+
+        return OS;
+    }
+
     var ua = navigator.userAgent;
 
     if ((/Windows/).test(ua))
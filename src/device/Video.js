@@ -35,8 +35,9 @@ var Video = {
 
 function init ()
 {
-    if (typeof importScripts === 'function')
+    if (typeof importScripts === 'function' || typeof window === 'undefined')
     {
+        //  Running in a Web Worker, or headless without a DOM, such as under Node.js
         return Video;
     }
 
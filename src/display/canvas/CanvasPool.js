@@ -5,6 +5,7 @@
  */
 
 var CONST = require('../../const');
+var HeadlessCanvas = require('./HeadlessCanvas');
 var Smoothing = require('./Smoothing');
 
 // The pool into which the canvas elements are placed.
@@ -52,9 +53,10 @@ var CanvasPool = function ()
 
         if (container === null)
         {
+            //  Without a DOM, such as under Node.js, a Headless Canvas stands in for the canvas element
             container = {
                 parent: parent,
-                canvas: document.createElement('canvas'),
+                canvas: (typeof document !== 'undefined') ? document.createElement('canvas') : new HeadlessCanvas(),
                 type: canvasType
             };
 
@@ -166,7 +168,7 @@ var CanvasPool = function ()
     var remove = function (parent)
     {
         //  Check to see if the parent is a canvas object
-        var isCanvas = parent instanceof HTMLCanvasElement;
+        var isCanvas = (parent instanceof HeadlessCanvas) || (typeof HTMLCanvasElement !== 'undefined' && parent instanceof HTMLCanvasElement);
 
         pool.forEach(function (container)
         {
@@ -0,0 +1,220 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var Class = require('../../utils/Class');
+var NOOP = require('../../utils/NOOP');
+
+/**
+ * The Canvas Rendering Context methods that draw, or change the drawing state, and so do nothing on a Headless Canvas.
+ *
+ * @ignore
+ */
+var DRAW_METHODS = [
+    'arc', 'arcTo', 'beginPath', 'bezierCurveTo', 'clearRect', 'clip', 'closePath', 'drawImage', 'ellipse',
+    'fill', 'fillRect', 'fillText', 'lineTo', 'moveTo', 'putImageData', 'quadraticCurveTo', 'rect', 'resetTransform',
+    'restore', 'rotate', 'save', 'scale', 'setLineDash', 'setTransform', 'stroke', 'strokeRect', 'strokeText',
+    'transform', 'translate'
+];
+
+/**
+ * @classdesc
+ * A Headless Canvas stands in for a Canvas Element when Phaser runs without a DOM, such as under Node.js.
+ *
+ * It has a size and a 2D context, so Textures, Frames and Game Objects that use a canvas can be created as normal,
+ * but nothing is ever drawn to it. Reading its pixels always returns transparent black.
+ *
+ * The Canvas Pool creates Headless Canvases automatically when there is no `document`. They are also used as the
+ * source of any image loaded while running headless.
+ *
+ * @class HeadlessCanvas
+ * @memberof Phaser.Display.Canvas
+ * @constructor
+ * @since 3.60.0
+ *
+ * @param {number} [width=1] - The width of the canvas.
+ * @param {number} [height=1] - The height of the canvas.
+ */
+var HeadlessCanvas = new Class({
+
+    initialize:
+
+    function HeadlessCanvas (width, height)
+    {
+        if (width === undefined) { width = 1; }
+        if (height === undefined) { height = 1; }
+
+        /**
+         * The width of the canvas.
+         *
+         * @name Phaser.Display.Canvas.HeadlessCanvas#width
+         * @type {number}
+         * @since 3.60.0
+         */
+        this.width = width;
+
+        /**
+         * The height of the canvas.
+         *
+         * @name Phaser.Display.Canvas.HeadlessCanvas#height
+         * @type {number}
+         * @since 3.60.0
+         */
+        this.height = height;
+
+        /**
+         * An empty style object, so code that styles the canvas can run.
+         *
+         * @name Phaser.Display.Canvas.HeadlessCanvas#style
+         * @type {object}
+         * @since 3.60.0
+         */
+        this.style = {};
+
+        /**
+         * The 2D context of this canvas, created the first time `getContext` is called.
+         *
+         * @name Phaser.Display.Canvas.HeadlessCanvas#context
+         * @type {?object}
+         * @default null
+         * @since 3.60.0
+         */
+        this.context = null;
+    },
+
+    /**
+     * Gets the 2D context of this canvas. Its drawing methods do nothing.
+     *
+     * No other context types are supported.
+     *
+     * @method Phaser.Display.Canvas.HeadlessCanvas#getContext
+     * @since 3.60.0
+     *
+     * @param {string} type - The type of context. Only `2d` is supported.
+     *
+     * @return {?object} The 2D context, or `null` if any other type is requested.
+     */
+    getContext: function (type)
+    {
+        if (type !== '2d')
+        {
+            return null;
+        }
+
+        if (!this.context)
+        {
+            this.context = this.createContext();
+        }
+
+        return this.context;
+    },
+
+    /**
+     * Creates the 2D context of this canvas.
+     *
+     * @method Phaser.Display.Canvas.HeadlessCanvas#createContext
+     * @private
+     * @since 3.60.0
+     *
+     * @return {object} The 2D context.
+     */
+    createContext: function ()
+    {
+        var context = {
+            canvas: this,
+            fillStyle: '#000000',
+            strokeStyle: '#000000',
+            font: '10px sans-serif',
+            globalAlpha: 1,
+            globalCompositeOperation: 'source-over',
+            imageSmoothingEnabled: true,
+            lineWidth: 1,
+            textAlign: 'start',
+            textBaseline: 'alphabetic'
+        };
+
+        for (var i = 0; i < DRAW_METHODS.length; i++)
+        {
+            context[DRAW_METHODS[i]] = NOOP;
+        }
+
+        context.createImageData = function (width, height)
+        {
+            return { width: width, height: height, data: new Uint8ClampedArray(width * height * 4) };
+        };
+
+        context.getImageData = function (x, y, width, height)
+        {
+            return context.createImageData(width, height);
+        };
+
+        context.measureText = function ()
+        {
+            return { width: 0, actualBoundingBoxAscent: 0, actualBoundingBoxDescent: 0 };
+        };
+
+        context.createLinearGradient = function ()
+        {
+            return { addColorStop: NOOP };
+        };
+
+        context.createRadialGradient = context.createLinearGradient;
+
+        context.createPattern = function ()
+        {
+            return {};
+        };
+
+        return context;
+    },
+
+    /**
+     * A Headless Canvas never dispatches DOM events, so listeners added to it are ignored.
+     *
+     * @method Phaser.Display.Canvas.HeadlessCanvas#addEventListener
+     * @since 3.60.0
+     */
+    addEventListener: NOOP,
+
+    /**
+     * A Headless Canvas never dispatches DOM events, so there are no listeners to remove.
+     *
+     * @method Phaser.Display.Canvas.HeadlessCanvas#removeEventListener
+     * @since 3.60.0
+     */
+    removeEventListener: NOOP,
+
+    /**
+     * Gets the bounds of this canvas. A Headless Canvas is never on a page, so it is always at 0 x 0.
+     *
+     * @method Phaser.Display.Canvas.HeadlessCanvas#getBoundingClientRect
+     * @since 3.60.0
+     *
+     * @return {object} An object with the same properties as a DOMRect.
+     */
+    getBoundingClientRect: function ()
+    {
+        var width = this.width;
+        var height = this.height;
+
+        return { x: 0, y: 0, left: 0, top: 0, right: width, bottom: height, width: width, height: height };
+    },
+
+    /**
+     * Headless Canvases have no image data to encode, so this always returns an empty data URI.
+     *
+     * @method Phaser.Display.Canvas.HeadlessCanvas#toDataURL
+     * @since 3.60.0
+     *
+     * @return {string} An empty data URI.
+     */
+    toDataURL: function ()
+    {
+        return 'data:,';
+    }
+
+});
+
+module.exports = HeadlessCanvas;
@@ -12,6 +12,7 @@ module.exports = {
 
     CanvasInterpolation: require('./CanvasInterpolation'),
     CanvasPool: require('./CanvasPool'),
+    HeadlessCanvas: require('./HeadlessCanvas'),
     Smoothing: require('./Smoothing'),
     TouchAction: require('./TouchAction'),
     UserSelect: require('./UserSelect')
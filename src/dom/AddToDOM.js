@@ -20,6 +20,12 @@ var AddToDOM = function (element, parent)
 {
     var target;
 
+    if (typeof document === 'undefined')
+    {
+        //  Running headless without a DOM, such as under Node.js
+        return element;
+    }
+
     if (parent)
     {
         if (typeof parent === 'string')
@@ -13,6 +13,7 @@ var OS = require('../device/OS');
 /**
  * Inspects the readyState of the document. If the document is already complete then it invokes the given callback.
  * If not complete it sets up several event listeners such as `deviceready`, and once those fire, it invokes the callback.
+ * If there is no document, such as when running under Node.js, it invokes the callback immediately.
  * Called automatically by the Phaser.Game instance. Should not usually be accessed directly.
  *
  * @function Phaser.DOM.DOMContentLoaded
@@ -22,7 +23,8 @@ var OS = require('../device/OS');
  */
 var DOMContentLoaded = function (callback)
 {
-    if (document.readyState === 'complete' || document.readyState === 'interactive')
+    //  Without a DOM, such as under Node.js, there is nothing to wait for
+    if (typeof document === 'undefined' || document.readyState === 'complete' || document.readyState === 'interactive')
     {
         callback();
 
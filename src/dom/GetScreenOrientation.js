@@ -19,6 +19,12 @@ var CONST = require('../scale/const');
  */
 var GetScreenOrientation = function (width, height)
 {
+    if (typeof window === 'undefined')
+    {
+        //  Without a DOM, such as under Node.js, the orientation comes from the viewport size
+        return (height > width) ? CONST.ORIENTATION.PORTRAIT : CONST.ORIENTATION.LANDSCAPE;
+    }
+
     var screen = window.screen;
     var orientation = (screen) ? screen.orientation || screen.mozOrientation || screen.msOrientation : false;
 
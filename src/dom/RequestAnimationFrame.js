@@ -106,7 +106,7 @@ var RequestAnimationFrame = new Class({
         this.step = function step ()
         {
             //  Because we cannot trust the time passed to this callback from the browser and need it kept in sync with event times
-            var timestamp = window.performance.now();
+            var timestamp = performance.now();
 
             //  DOMHighResTimeStamp
             _this.lastTime = _this.tick;
@@ -138,7 +138,11 @@ var RequestAnimationFrame = new Class({
 
             _this.callback(d);
 
-            _this.timeOutID = window.setTimeout(stepTimeout, delay);
+            //  The callback may have stopped the loop, such as when the game is destroyed
+            if (_this.isRunning)
+            {
+                _this.timeOutID = setTimeout(stepTimeout, delay);
+            }
         };
     },
 
@@ -161,13 +165,19 @@ var RequestAnimationFrame = new Class({
 
         this.callback = callback;
 
+        //  There is no requestAnimationFrame without a DOM, such as under Node.js
+        if (typeof window === 'undefined' || !window.requestAnimationFrame)
+        {
+            forceSetTimeOut = true;
+        }
+
         this.isSetTimeOut = forceSetTimeOut;
 
         this.target = targetFPS;
 
         this.isRunning = true;
 
-        this.timeOutID = (forceSetTimeOut) ? window.setTimeout(this.stepTimeout, 0) : window.requestAnimationFrame(this.step);
+        this.timeOutID = (forceSetTimeOut) ? setTimeout(this.stepTimeout, 0) : window.requestAnimationFrame(this.step);
     },
 
     /**
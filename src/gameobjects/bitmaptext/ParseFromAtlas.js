@@ -4,10 +4,14 @@
  * @license      {@link https://opensource.org/licenses/MIT|MIT License}
  */
 
+var ParseJSONBitmapFont = require('./ParseJSONBitmapFont');
+var ParseTextBitmapFont = require('./ParseTextBitmapFont');
 var ParseXMLBitmapFont = require('./ParseXMLBitmapFont');
 
 /**
- * Parse an XML Bitmap Font from an Atlas.
+ * Parse an XML, JSON or text Bitmap Font from an Atlas.
+ *
+ * The font data is looked for in the XML cache first, then the JSON cache, then the text cache.
  *
  * Adds the parsed Bitmap Font data to the cache with the `fontName` key.
  *
@@ -19,23 +23,38 @@ var ParseXMLBitmapFont = require('./ParseXMLBitmapFont');
  * @param {string} fontName - The key of the font to add to the Bitmap Font cache.
  * @param {string} textureKey - The key of the BitmapFont's texture.
  * @param {string} frameKey - The key of the BitmapFont texture's frame.
- * @param {string} xmlKey - The key of the XML data of the font to parse.
+ * @param {string} dataKey - The key of the XML, JSON or text data of the font to parse.
  * @param {number} [xSpacing] - The x-axis spacing to add between each letter.
  * @param {number} [ySpacing] - The y-axis spacing to add to the line height.
  *
  * @return {boolean} Whether the parsing was successful or not.
  */
-var ParseFromAtlas = function (scene, fontName, textureKey, frameKey, xmlKey, xSpacing, ySpacing)
+var ParseFromAtlas = function (scene, fontName, textureKey, frameKey, dataKey, xSpacing, ySpacing)
 {
     var texture = scene.sys.textures.get(textureKey);
     var frame = texture.get(frameKey);
-    var xml = scene.sys.cache.xml.get(xmlKey);
+    var cache = scene.sys.cache;
+    var data = null;
 
-    if (frame && xml)
+    if (frame)
     {
-        var data = ParseXMLBitmapFont(xml, frame, xSpacing, ySpacing, texture);
+        if (cache.xml.exists(dataKey))
+        {
+            data = ParseXMLBitmapFont(cache.xml.get(dataKey), frame, xSpacing, ySpacing, texture);
+        }
+        else if (cache.json.exists(dataKey))
+        {
+            data = ParseJSONBitmapFont(cache.json.get(dataKey), frame, xSpacing, ySpacing, texture);
+        }
+        else if (cache.text.exists(dataKey))
+        {
+            data = ParseTextBitmapFont(cache.text.get(dataKey), frame, xSpacing, ySpacing, texture);
+        }
+    }
 
-        scene.sys.cache.bitmapFont.add(fontName, { data: data, texture: textureKey, frame: frameKey, fromAtlas: true });
+    if (data)
+    {
+        cache.bitmapFont.add(fontName, { data: data, texture: textureKey, frame: frameKey, fromAtlas: true });
 
         return true;
     }
@@ -0,0 +1,154 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+/**
+ * Parse a JSON font to Bitmap Font data for the Bitmap Font cache.
+ *
+ * The JSON must be in the format created by [msdf-bmfont](https://github.com/soimy/msdf-bmfont-xml), which follows
+ * the structure of the BMFont format, with `info`, `common`, `chars` and `kernings` properties, plus an optional
+ * `distanceField` property for signed distance field fonts.
+ *
+ * The XML and text BMFont parsers convert their data to this structure, then use this parser.
+ *
+ * Only single page fonts are supported. The `page` of each character is ignored.
+ *
+ * @function ParseJSONBitmapFont
+ * @since 3.60.0
+ * @private
+ *
+ * @param {object} json - The JSON font data to parse.
+ * @param {Phaser.Textures.Frame} frame - The texture frame to take into account when creating the uv data.
+ * @param {number} [xSpacing=0] - The x-axis spacing to add between each letter.
+ * @param {number} [ySpacing=0] - The y-axis spacing to add to the line height.
+ * @param {Phaser.Textures.Texture} [texture] - If provided, each glyph in the Bitmap Font will be added to this texture as a frame.
+ *
+ * @return {Phaser.Types.GameObjects.BitmapText.BitmapFontData} The parsed Bitmap Font data.
+ */
+var ParseJSONBitmapFont = function (json, frame, xSpacing, ySpacing, texture)
+{
+    if (xSpacing === undefined) { xSpacing = 0; }
+    if (ySpacing === undefined) { ySpacing = 0; }
+
+    var textureX = frame.cutX;
+    var textureY = frame.cutY;
+    var textureWidth = frame.source.width;
+    var textureHeight = frame.source.height;
+    var sourceIndex = frame.sourceIndex;
+
+    var data = {};
+    var info = json.info;
+    var common = json.common;
+    var distanceField = json.distanceField;
+
+    data.font = info.face;
+    data.size = info.size;
+    data.lineHeight = common.lineHeight + ySpacing;
+    data.chars = {};
+    data.distanceField = null;
+
+    if (distanceField)
+    {
+        data.distanceField = {
+            fieldType: distanceField.fieldType,
+            distanceRange: distanceField.distanceRange
+        };
+    }
+
+    var letters = json.chars;
+
+    var adjustForTrim = (frame !== undefined && frame.trimmed);
+
+    if (adjustForTrim)
+    {
+        var top = frame.height;
+        var left = frame.width;
+    }
+
+    for (var i = 0; i < letters.length; i++)
+    {
+        var letter = letters[i];
+
+        var charCode = letter.id;
+        var gx = letter.x;
+        var gy = letter.y;
+        var gw = letter.width;
+        var gh = letter.height;
+
+        //  Handle frame trim issues
+
+        if (adjustForTrim)
+        {
+            if (gx < left)
+            {
+                left = gx;
+            }
+
+            if (gy < top)
+            {
+                top = gy;
+            }
+        }
+
+        if (adjustForTrim && top !== 0 && left !== 0)
+        {
+            //  Now we know the top and left coordinates of the glyphs in the original data
+            //  so we can work out how much to adjust the glyphs by
+
+            gx -= frame.x;
+            gy -= frame.y;
+        }
+
+        var u0 = (textureX + gx) / textureWidth;
+        var v0 = (textureY + gy) / textureHeight;
+        var u1 = (textureX + gx + gw) / textureWidth;
+        var v1 = (textureY + gy + gh) / textureHeight;
+
+        data.chars[charCode] =
+        {
+            x: gx,
+            y: gy,
+            width: gw,
+            height: gh,
+            centerX: Math.floor(gw / 2),
+            centerY: Math.floor(gh / 2),
+            xOffset: letter.xoffset,
+            yOffset: letter.yoffset,
+            xAdvance: letter.xadvance + xSpacing,
+            data: {},
+            kerning: {},
+            u0: u0,
+            v0: v0,
+            u1: u1,
+            v1: v1
+        };
+
+        if (texture && gw !== 0 && gh !== 0)
+        {
+            var charFrame = texture.add(String.fromCharCode(charCode), sourceIndex, gx, gy, gw, gh);
+
+            if (charFrame)
+            {
+                charFrame.setUVs(gw, gh, u0, v0, u1, v1);
+            }
+        }
+    }
+
+    var kernings = json.kernings || [];
+
+    for (i = 0; i < kernings.length; i++)
+    {
+        var kern = kernings[i];
+
+        if (data.chars[kern.second])
+        {
+            data.chars[kern.second].kerning[kern.first] = kern.amount;
+        }
+    }
+
+    return data;
+};
+
+module.exports = ParseJSONBitmapFont;
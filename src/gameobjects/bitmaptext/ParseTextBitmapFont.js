@@ -0,0 +1,116 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var ParseJSONBitmapFont = require('./ParseJSONBitmapFont');
+
+/**
+ * Reads the attributes from a line of a BMFont text file, such as `char id=65 x=10 y=0`.
+ *
+ * Integer values are returned as numbers. All other values, such as `fieldType=msdf` or `padding=0,0,0,0`,
+ * are returned as strings, without any quotes around them.
+ *
+ * @function getAttributes
+ * @since 3.60.0
+ * @private
+ *
+ * @param {string} line - The line to read.
+ *
+ * @return {object} The attributes of the line, keyed by name.
+ */
+function getAttributes (line)
+{
+    var attributes = {};
+    var pattern = (/(\w+)=("[^"]*"|\S+)/g);
+    var match = pattern.exec(line);
+
+    while (match)
+    {
+        var value = match[2];
+
+        if (value.charAt(0) === '"')
+        {
+            value = value.substr(1, value.length - 2);
+        }
+        else if ((/^-?\d+$/).test(value))
+        {
+            value = parseInt(value, 10);
+        }
+
+        attributes[match[1]] = value;
+
+        match = pattern.exec(line);
+    }
+
+    return attributes;
+}
+
+/**
+ * Parse a BMFont text file to Bitmap Font data for the Bitmap Font cache.
+ *
+ * This is the plain text format created by the [Angelcode Bitmap Font Generator](http://www.angelcode.com/products/bmfont/),
+ * Hiero and msdf-bmfont, where each line is a tag followed by its attributes:
+ *
+ * ```
+ * info face="Roboto" size=42
+ * common lineHeight=50 base=39 scaleW=512 scaleH=512 pages=1
+ * char id=65 x=2 y=2 width=30 height=36 xoffset=-1 yoffset=5 xadvance=27 page=0 chnl=15
+ * kerning first=65 second=86 amount=-2
+ * distanceField fieldType=msdf distanceRange=4
+ * ```
+ *
+ * The text is converted to the structure used by the JSON format, then parsed by `ParseJSONBitmapFont`.
+ *
+ * @function ParseTextBitmapFont
+ * @since 3.60.0
+ * @private
+ *
+ * @param {string} text - The contents of the BMFont text file.
+ * @param {Phaser.Textures.Frame} frame - The texture frame to take into account when creating the uv data.
+ * @param {number} [xSpacing=0] - The x-axis spacing to add between each letter.
+ * @param {number} [ySpacing=0] - The y-axis spacing to add to the line height.
+ * @param {Phaser.Textures.Texture} [texture] - If provided, each glyph in the Bitmap Font will be added to this texture as a frame.
+ *
+ * @return {Phaser.Types.GameObjects.BitmapText.BitmapFontData} The parsed Bitmap Font data.
+ */
+var ParseTextBitmapFont = function (text, frame, xSpacing, ySpacing, texture)
+{
+    var json = {
+        info: {},
+        common: {},
+        distanceField: null,
+        chars: [],
+        kernings: []
+    };
+
+    var lines = text.split(/\r?\n/);
+
+    for (var i = 0; i < lines.length; i++)
+    {
+        var line = lines[i].trim();
+        var tag = line.split(/\s/, 1)[0];
+
+        switch (tag)
+        {
+            case 'info':
+            case 'common':
+            case 'distanceField':
+                json[tag] = getAttributes(line);
+                break;
+
+            case 'char':
+                json.chars.push(getAttributes(line));
+                break;
+
+            case 'kerning':
+                json.kernings.push(getAttributes(line));
+                break;
+        }
+    }
+
+    return ParseJSONBitmapFont(json, frame, xSpacing, ySpacing, texture);
+};
+
+module.exports = ParseTextBitmapFont;
@@ -4,6 +4,8 @@
  * @license      {@link https://opensource.org/licenses/MIT|MIT License}
  */
 
+var ParseJSONBitmapFont = require('./ParseJSONBitmapFont');
+
 /**
  * Read an integer value from an XML Node.
  *
@@ -24,6 +26,8 @@ function getValue (node, attribute)
 /**
  * Parse an XML font to Bitmap Font data for the Bitmap Font cache.
  *
+ * The XML is converted to the structure used by the JSON format, then parsed by `ParseJSONBitmapFont`.
+ *
  * @function ParseXMLBitmapFont
  * @since 3.0.0
  * @private
@@ -38,102 +42,47 @@ function getValue (node, attribute)
  */
 var ParseXMLBitmapFont = function (xml, frame, xSpacing, ySpacing, texture)
 {
-    if (xSpacing === undefined) { xSpacing = 0; }
-    if (ySpacing === undefined) { ySpacing = 0; }
-
-    var textureX = frame.cutX;
-    var textureY = frame.cutY;
-    var textureWidth = frame.source.width;
-    var textureHeight = frame.source.height;
-    var sourceIndex = frame.sourceIndex;
-
-    var data = {};
     var info = xml.getElementsByTagName('info')[0];
     var common = xml.getElementsByTagName('common')[0];
-
-    data.font = info.getAttribute('face');
-    data.size = getValue(info, 'size');
-    data.lineHeight = getValue(common, 'lineHeight') + ySpacing;
-    data.chars = {};
-
-    var letters = xml.getElementsByTagName('char');
-
-    var adjustForTrim = (frame !== undefined && frame.trimmed);
-
-    if (adjustForTrim)
+    var distanceField = xml.getElementsByTagName('distanceField')[0];
+
+    var json = {
+        info: {
+            face: info.getAttribute('face'),
+            size: getValue(info, 'size')
+        },
+        common: {
+            lineHeight: getValue(common, 'lineHeight')
+        },
+        distanceField: null,
+        chars: [],
+        kernings: []
+    };
+
+    if (distanceField)
     {
-        var top = frame.height;
-        var left = frame.width;
+        json.distanceField = {
+            fieldType: distanceField.getAttribute('fieldType'),
+            distanceRange: getValue(distanceField, 'distanceRange')
+        };
     }
 
+    var letters = xml.getElementsByTagName('char');
+
     for (var i = 0; i < letters.length; i++)
     {
         var node = letters[i];
 
-        var charCode = getValue(node, 'id');
-        var letter = String.fromCharCode(charCode);
-        var gx = getValue(node, 'x');
-        var gy = getValue(node, 'y');
-        var gw = getValue(node, 'width');
-        var gh = getValue(node, 'height');
-
-        //  Handle frame trim issues
-
-        if (adjustForTrim)
-        {
-            if (gx < left)
-            {
-                left = gx;
-            }
-
-            if (gy < top)
-            {
-                top = gy;
-            }
-        }
-
-        if (adjustForTrim && top !== 0 && left !== 0)
-        {
-            //  Now we know the top and left coordinates of the glyphs in the original data
-            //  so we can work out how much to adjust the glyphs by
-
-            gx -= frame.x;
-            gy -= frame.y;
-        }
-
-        var u0 = (textureX + gx) / textureWidth;
-        var v0 = (textureY + gy) / textureHeight;
-        var u1 = (textureX + gx + gw) / textureWidth;
-        var v1 = (textureY + gy + gh) / textureHeight;
-
-        data.chars[charCode] =
-        {
-            x: gx,
-            y: gy,
-            width: gw,
-            height: gh,
-            centerX: Math.floor(gw / 2),
-            centerY: Math.floor(gh / 2),
-            xOffset: getValue(node, 'xoffset'),
-            yOffset: getValue(node, 'yoffset'),
-            xAdvance: getValue(node, 'xadvance') + xSpacing,
-            data: {},
-            kerning: {},
-            u0: u0,
-            v0: v0,
-            u1: u1,
-            v1: v1
-        };
-
-        if (texture && gw !== 0 && gh !== 0)
-        {
-            var charFrame = texture.add(letter, sourceIndex, gx, gy, gw, gh);
-
-            if (charFrame)
-            {
-                charFrame.setUVs(gw, gh, u0, v0, u1, v1);
-            }
-        }
+        json.chars.push({
+            id: getValue(node, 'id'),
+            x: getValue(node, 'x'),
+            y: getValue(node, 'y'),
+            width: getValue(node, 'width'),
+            height: getValue(node, 'height'),
+            xoffset: getValue(node, 'xoffset'),
+            yoffset: getValue(node, 'yoffset'),
+            xadvance: getValue(node, 'xadvance')
+        });
     }
 
     var kernings = xml.getElementsByTagName('kerning');
@@ -142,14 +91,14 @@ var ParseXMLBitmapFont = function (xml, frame, xSpacing, ySpacing, texture)
     {
         var kern = kernings[i];
 
-        var first = getValue(kern, 'first');
-        var second = getValue(kern, 'second');
-        var amount = getValue(kern, 'amount');
-
-        data.chars[second].kerning[first] = amount;
+        json.kernings.push({
+            first: getValue(kern, 'first'),
+            second: getValue(kern, 'second'),
+            amount: getValue(kern, 'amount')
+        });
     }
 
-    return data;
+    return ParseJSONBitmapFont(json, frame, xSpacing, ySpacing, texture);
 };
 
 module.exports = ParseXMLBitmapFont;
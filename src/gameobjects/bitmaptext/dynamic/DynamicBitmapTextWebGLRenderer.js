@@ -70,6 +70,11 @@ var DynamicBitmapTextWebGLRenderer = function (renderer, src, camera, parentMatr
 
     var textureUnit = pipeline.setGameObject(src);
 
+    if (src.fontData.distanceField && pipeline.setBitmapText)
+    {
+        pipeline.setBitmapText(src, calcMatrix);
+    }
+
     var xAdvance = 0;
     var yAdvance = 0;
     var charCode = 0;
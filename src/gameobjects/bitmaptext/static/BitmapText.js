@@ -10,7 +10,10 @@ var Components = require('../../components');
 var GameObject = require('../../GameObject');
 var GetBitmapTextSize = require('../GetBitmapTextSize');
 var ParseFromAtlas = require('../ParseFromAtlas');
+var ParseJSONBitmapFont = require('../ParseJSONBitmapFont');
+var ParseTextBitmapFont = require('../ParseTextBitmapFont');
 var ParseXMLBitmapFont = require('../ParseXMLBitmapFont');
+var PIPELINE_CONST = require('../../../renderer/webgl/pipelines/const');
 var Rectangle = require('../../../geom/rectangle/Rectangle');
 var Render = require('./BitmapTextRender');
 
@@ -33,8 +36,11 @@ var Render = require('./BitmapTextRender');
  * Glyph Designer (OS X, commercial): {@link http://www.71squared.com/en/glyphdesigner|http://www.71squared.com/en/glyphdesigner}
  * Littera (Web-based, free): {@link http://kvazars.com/littera/|http://kvazars.com/littera/}
  *
- * For most use cases it is recommended to use XML. If you wish to use JSON, the formatting should be equal to the result of
- * converting a valid XML file through the popular X2JS library. An online tool for conversion can be found here: {@link http://codebeautify.org/xmltojson|http://codebeautify.org/xmltojson}
+ * The font data can be in the XML, JSON or text formats of a BMFont file. The JSON format is the one created by
+ * msdf-bmfont: {@link https://github.com/soimy/msdf-bmfont-xml|https://github.com/soimy/msdf-bmfont-xml}
+ *
+ * Fonts created by msdf-bmfont can have a signed distance field texture. Under WebGL these are rendered by the SDF Text Pipeline,
+ * which keeps the text sharp at any scale and can add an outline and glow, see `setOutline` and `setGlow`.
  *
  * @class BitmapText
  * @extends Phaser.GameObjects.GameObject
@@ -264,6 +270,90 @@ var BitmapText = new Class({
          */
         this.dropShadowAlpha = 0.5;
 
+        /**
+         * The amount the edge of the drop shadow is blurred by, in pixels of the font texture.
+         *
+         * This only has an effect if the font is a signed distance field font.
+         *
+         * You can set this directly, or use `Phaser.GameObjects.BitmapText#setDropShadow`.
+         *
+         * @name Phaser.GameObjects.BitmapText#dropShadowBlur
+         * @type {number}
+         * @since 3.60.0
+         */
+        this.dropShadowBlur = 0;
+
+        /**
+         * The width of the outline drawn around each glyph, in pixels of the font texture. Zero means no outline.
+         *
+         * This only has an effect if the font is a signed distance field font. The outline and glow together
+         * can't be wider than half the `distanceRange` of the font.
+         *
+         * You can set this directly, or use `Phaser.GameObjects.BitmapText#setOutline`.
+         *
+         * @name Phaser.GameObjects.BitmapText#outlineWidth
+         * @type {number}
+         * @since 3.60.0
+         */
+        this.outlineWidth = 0;
+
+        /**
+         * The color of the outline.
+         *
+         * You can set this directly, or use `Phaser.GameObjects.BitmapText#setOutline`.
+         *
+         * @name Phaser.GameObjects.BitmapText#outlineColor
+         * @type {number}
+         * @since 3.60.0
+         */
+        this.outlineColor = 0x000000;
+
+        /**
+         * The alpha value of the outline.
+         *
+         * You can set this directly, or use `Phaser.GameObjects.BitmapText#setOutline`.
+         *
+         * @name Phaser.GameObjects.BitmapText#outlineAlpha
+         * @type {number}
+         * @since 3.60.0
+         */
+        this.outlineAlpha = 1;
+
+        /**
+         * The width of the glow around each glyph, outside of its outline, in pixels of the font texture. Zero means no glow.
+         *
+         * This only has an effect if the font is a signed distance field font.
+         *
+         * You can set this directly, or use `Phaser.GameObjects.BitmapText#setGlow`.
+         *
+         * @name Phaser.GameObjects.BitmapText#glowWidth
+         * @type {number}
+         * @since 3.60.0
+         */
+        this.glowWidth = 0;
+
+        /**
+         * The color of the glow.
+         *
+         * You can set this directly, or use `Phaser.GameObjects.BitmapText#setGlow`.
+         *
+         * @name Phaser.GameObjects.BitmapText#glowColor
+         * @type {number}
+         * @since 3.60.0
+         */
+        this.glowColor = 0xffffff;
+
+        /**
+         * The alpha value of the glow, at its most intense.
+         *
+         * You can set this directly, or use `Phaser.GameObjects.BitmapText#setGlow`.
+         *
+         * @name Phaser.GameObjects.BitmapText#glowAlpha
+         * @type {number}
+         * @since 3.60.0
+         */
+        this.glowAlpha = 0.5;
+
         /**
          * Indicates whether the font texture is from an atlas or not.
          *
@@ -278,6 +368,7 @@ var BitmapText = new Class({
         this.setPosition(x, y);
         this.setOrigin(0, 0);
         this.initPipeline();
+        this.setFontPipeline();
 
         this.setText(text);
     },
@@ -426,6 +517,8 @@ var BitmapText = new Class({
      *
      * If you wish to clear the shadow, call this method with no parameters specified.
      *
+     * If the font is a signed distance field font, the shadow follows the outline of the text and its edge can be blurred.
+     *
      * @method Phaser.GameObjects.BitmapText#setDropShadow
      * @webglOnly
      * @since 3.50.0
@@ -434,20 +527,87 @@ var BitmapText = new Class({
      * @param {number} [y=0] - The vertical offset of the drop shadow.
      * @param {number} [color=0x000000] - The color of the drop shadow, given as a hex value, i.e. `0x000000` for black.
      * @param {number} [alpha=0.5] - The alpha of the drop shadow, given as a float between 0 and 1. This is combined with the Bitmap Text alpha as well.
+     * @param {number} [blur=0] - The amount the edge of the drop shadow is blurred by, in pixels of the font texture. Signed distance field fonts only.
      *
      * @return {this} This BitmapText Object.
      */
-    setDropShadow: function (x, y, color, alpha)
+    setDropShadow: function (x, y, color, alpha, blur)
     {
         if (x === undefined) { x = 0; }
         if (y === undefined) { y = 0; }
         if (color === undefined) { color = 0x000000; }
         if (alpha === undefined) { alpha = 0.5; }
+        if (blur === undefined) { blur = 0; }
 
         this.dropShadowX = x;
         this.dropShadowY = y;
         this.dropShadowColor = color;
         this.dropShadowAlpha = alpha;
+        this.dropShadowBlur = blur;
+
+        return this;
+    },
+
+    /**
+     * Sets an outline around each glyph of this Bitmap Text.
+     *
+     * This is a WebGL only feature and only works with signed distance field fonts, such as those created by msdf-bmfont.
+     * The width is given in pixels of the font texture, so the outline scales with the text. The outline and glow together
+     * can't be wider than half the `distanceRange` of the font.
+     *
+     * If you wish to clear the outline, call this method with no parameters specified.
+     *
+     * @method Phaser.GameObjects.BitmapText#setOutline
+     * @webglOnly
+     * @since 3.60.0
+     *
+     * @param {number} [width=0] - The width of the outline, in pixels of the font texture.
+     * @param {number} [color=0x000000] - The color of the outline, given as a hex value, i.e. `0x000000` for black.
+     * @param {number} [alpha=1] - The alpha of the outline, given as a float between 0 and 1. This is combined with the Bitmap Text alpha as well.
+     *
+     * @return {this} This BitmapText Object.
+     */
+    setOutline: function (width, color, alpha)
+    {
+        if (width === undefined) { width = 0; }
+        if (color === undefined) { color = 0x000000; }
+        if (alpha === undefined) { alpha = 1; }
+
+        this.outlineWidth = width;
+        this.outlineColor = color;
+        this.outlineAlpha = alpha;
+
+        return this;
+    },
+
+    /**
+     * Sets a glow around each glyph of this Bitmap Text, outside of its outline.
+     *
+     * This is a WebGL only feature and only works with signed distance field fonts, such as those created by msdf-bmfont.
+     * The width is given in pixels of the font texture, so the glow scales with the text. The outline and glow together
+     * can't be wider than half the `distanceRange` of the font.
+     *
+     * If you wish to clear the glow, call this method with no parameters specified.
+     *
+     * @method Phaser.GameObjects.BitmapText#setGlow
+     * @webglOnly
+     * @since 3.60.0
+     *
+     * @param {number} [width=0] - The width of the glow, in pixels of the font texture.
+     * @param {number} [color=0xffffff] - The color of the glow, given as a hex value, i.e. `0xffffff` for white.
+     * @param {number} [alpha=0.5] - The alpha of the glow where it is most intense, given as a float between 0 and 1. This is combined with the Bitmap Text alpha as well.
+     *
+     * @return {this} This BitmapText Object.
+     */
+    setGlow: function (width, color, alpha)
+    {
+        if (width === undefined) { width = 0; }
+        if (color === undefined) { color = 0xffffff; }
+        if (alpha === undefined) { alpha = 0.5; }
+
+        this.glowWidth = width;
+        this.glowColor = color;
+        this.glowAlpha = alpha;
 
         return this;
     },
@@ -771,6 +931,7 @@ var BitmapText = new Class({
                 this.fromAtlas = entry.fromAtlas === true;
 
                 this.setTexture(entry.texture, entry.frame);
+                this.setFontPipeline();
 
                 GetBitmapTextSize(this, false, true, this._bounds);
             }
@@ -779,6 +940,39 @@ var BitmapText = new Class({
         return this;
     },
 
+    /**
+     * Sets the default pipeline of this Bitmap Text to suit its font. Signed distance field fonts are
+     * rendered by the SDF Text Pipeline, all other fonts by the Multi Pipeline.
+     *
+     * If the pipeline has been changed from the default, for example by calling `setPipeline`, it is left alone.
+     *
+     * @method Phaser.GameObjects.BitmapText#setFontPipeline
+     * @private
+     * @since 3.60.0
+     */
+    setFontPipeline: function ()
+    {
+        var renderer = this.scene.sys.renderer;
+
+        if (!renderer || !renderer.pipelines)
+        {
+            return;
+        }
+
+        var name = (this.fontData.distanceField) ? PIPELINE_CONST.SDF_TEXT_PIPELINE : PIPELINE_CONST.MULTI_PIPELINE;
+        var instance = renderer.pipelines.get(name);
+
+        if (instance && instance !== this.defaultPipeline)
+        {
+            if (this.pipeline === this.defaultPipeline)
+            {
+                this.pipeline = instance;
+            }
+
+            this.defaultPipeline = instance;
+        }
+    },
+
     /**
      * Sets the maximum display width of this BitmapText in pixels.
      *
@@ -1068,7 +1262,7 @@ BitmapText.ALIGN_RIGHT = 2;
  * @param {string} fontName - The key of the font to add to the Bitmap Font cache.
  * @param {string} textureKey - The key of the BitmapFont's texture.
  * @param {string} frameKey - The key of the BitmapFont texture's frame.
- * @param {string} xmlKey - The key of the XML data of the font to parse.
+ * @param {string} dataKey - The key of the XML, JSON or text data of the font to parse.
  * @param {number} [xSpacing] - The x-axis spacing to add between each letter.
  * @param {number} [ySpacing] - The y-axis spacing to add to the line height.
  *
@@ -1091,4 +1285,34 @@ BitmapText.ParseFromAtlas = ParseFromAtlas;
  */
 BitmapText.ParseXMLBitmapFont = ParseXMLBitmapFont;
 
+/**
+ * Parse a JSON font, in the format created by msdf-bmfont, to Bitmap Font data for the Bitmap Font cache.
+ *
+ * @method Phaser.GameObjects.BitmapText.ParseJSONBitmapFont
+ * @since 3.60.0
+ *
+ * @param {object} json - The JSON font data to parse.
+ * @param {Phaser.Textures.Frame} frame - The texture frame to take into account when creating the uv data.
+ * @param {number} [xSpacing=0] - The x-axis spacing to add between each letter.
+ * @param {number} [ySpacing=0] - The y-axis spacing to add to the line height.
+ *
+ * @return {Phaser.Types.GameObjects.BitmapText.BitmapFontData} The parsed Bitmap Font data.
+ */
+BitmapText.ParseJSONBitmapFont = ParseJSONBitmapFont;
+
+/**
+ * Parse a BMFont text file to Bitmap Font data for the Bitmap Font cache.
+ *
+ * @method Phaser.GameObjects.BitmapText.ParseTextBitmapFont
+ * @since 3.60.0
+ *
+ * @param {string} text - The contents of the BMFont text file.
+ * @param {Phaser.Textures.Frame} frame - The texture frame to take into account when creating the uv data.
+ * @param {number} [xSpacing=0] - The x-axis spacing to add between each letter.
+ * @param {number} [ySpacing=0] - The y-axis spacing to add to the line height.
+ *
+ * @return {Phaser.Types.GameObjects.BitmapText.BitmapFontData} The parsed Bitmap Font data.
+ */
+BitmapText.ParseTextBitmapFont = ParseTextBitmapFont;
+
 module.exports = BitmapText;
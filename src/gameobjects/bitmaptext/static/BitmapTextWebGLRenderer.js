@@ -56,6 +56,17 @@ var BitmapTextWebGLRenderer = function (renderer, src, camera, parentMatrix)
     var texture = src.frame.glTexture;
     var textureUnit = pipeline.setGameObject(src);
 
+    //  Signed distance field fonts draw their shadow with its own tint effect, so the shader can blur and outline it
+    var distanceField = (src.fontData.distanceField && pipeline.setBitmapText);
+    var shadowEffect = 1;
+
+    if (distanceField)
+    {
+        pipeline.setBitmapText(src, calcMatrix);
+
+        shadowEffect = 2;
+    }
+
     //  Update the bounds - skipped internally if not dirty
     var bounds = src.getTextBounds(false);
 
@@ -92,7 +103,7 @@ var BitmapTextWebGLRenderer = function (renderer, src, camera, parentMatrix)
                 continue;
             }
 
-            BatchChar(pipeline, src, char, glyph, dropShadowX, dropShadowY, calcMatrix, roundPixels, shadowTL, shadowTR, shadowBL, shadowBR, 1, texture, textureUnit);
+            BatchChar(pipeline, src, char, glyph, dropShadowX, dropShadowY, calcMatrix, roundPixels, shadowTL, shadowTR, shadowBL, shadowBR, shadowEffect, texture, textureUnit);
         }
     }
 
@@ -8,5 +8,6 @@
  * @property {number} size - The size of the font.
  * @property {number} lineHeight - The line height of the font.
  * @property {boolean} retroFont - Whether this font is a retro font (monospace).
+ * @property {?Phaser.Types.GameObjects.BitmapText.BitmapFontDistanceField} [distanceField] - The distance field settings of the font, if its texture is a signed distance field. Otherwise `null`.
  * @property {Object.<number, Phaser.Types.GameObjects.BitmapText.BitmapFontCharacterData>} chars - The character data of the font, keyed by character code. Each character datum includes a position, size, offset and more.
  */
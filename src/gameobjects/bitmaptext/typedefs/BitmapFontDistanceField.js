@@ -0,0 +1,9 @@
+/**
+ * The distance field settings of a Bitmap Font whose texture is a signed distance field, as created by msdf-bmfont.
+ *
+ * @typedef {object} Phaser.Types.GameObjects.BitmapText.BitmapFontDistanceField
+ * @since 3.60.0
+ *
+ * @property {string} fieldType - The type of distance field: `sdf` or `psdf` for a single channel field, `msdf` for a multi-channel field, or `mtsdf` for a multi-channel field with a true distance field in the alpha channel.
+ * @property {number} distanceRange - The range of the distance field, in pixels of the font texture.
+ */
@@ -42,8 +42,10 @@ var GameObjects = {
     Sprite: require('./sprite/Sprite'),
 
     Text: require('./text/Text'),
+    GetMarkupTextSize: require('./text/GetMarkupTextSize'),
     GetTextSize: require('./text/GetTextSize'),
     MeasureText: require('./text/MeasureText'),
+    ParseMarkup: require('./text/ParseMarkup'),
     TextStyle: require('./text/TextStyle'),
 
     TileSprite: require('./tilesprite/TileSprite'),
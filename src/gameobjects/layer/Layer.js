@@ -864,7 +864,10 @@ var Layer = new Class({
 
         this.removeAllListeners();
 
-        this.resetPostPipeline(true);
+        if (this.postPipelines)
+        {
+            this.resetPostPipeline(true);
+        }
 
         if (this.displayList)
         {
@@ -6,6 +6,7 @@
 
 var Class = require('../../utils/Class');
 var FloatBetween = require('../../math/FloatBetween');
+var GetColor = require('../../display/color/GetColor');
 var GetEaseFunction = require('../../tweens/builders/GetEaseFunction');
 var GetFastValue = require('../../utils/object/GetFastValue');
 var Wrap = require('../../math/Wrap');
@@ -114,6 +115,19 @@ var EmitterOp = new Class({
          */
         this.ease;
 
+        /**
+         * The keys of the curve, or color gradient, this property follows over the life of each particle.
+         *
+         * Each key has a `t` value between 0 and 1, a `value` and the `ease` function used to reach the next key.
+         * The keys are sorted by their `t` value.
+         *
+         * @name Phaser.GameObjects.Particles.EmitterOp#keys
+         * @type {?object[]}
+         * @default null
+         * @since 3.60.0
+         */
+        this.keys = null;
+
         /**
          * Whether this property can only be modified when a Particle is emitted.
          *
@@ -237,6 +251,7 @@ var EmitterOp = new Class({
         //  Reset them in case they're not changed below
         this.onEmit = this.defaultEmit;
         this.onUpdate = this.defaultUpdate;
+        this.keys = null;
 
         if (t === 'number')
         {
@@ -274,6 +289,20 @@ var EmitterOp = new Class({
                 this.onUpdate = value;
             }
         }
+        else if (t === 'object' && this.hasEither(value, 'curve', 'colors'))
+        {
+            //  Follows a curve of keys over the particle's life, spread evenly unless keyed:
+
+            //  scale: { curve: [ 0, 1.2, 0.8, 0 ], [ ease: 'Linear' ] }
+            //  tint: { colors: [ { t: 0, color: 0xffffff }, { t: 0.2, color: 0xff8800, ease: 'Quad.easeOut' }, { t: 1, color: 0x220000 } ] }
+
+            var isColor = this.has(value, 'colors');
+
+            this.keys = this.getKeys((isColor) ? value.colors : value.curve, (isColor) ? 'color' : 'value', value.ease, value.easeParams);
+
+            this.onEmit = this.curveEmit;
+            this.onUpdate = (isColor) ? this.colorCurveUpdate : this.curveUpdate;
+        }
         else if (t === 'object' && this.hasBoth(value, 'start', 'end'))
         {
             this.start = value.start;
@@ -425,6 +454,82 @@ var EmitterOp = new Class({
         return object.hasOwnProperty(key1) || object.hasOwnProperty(key2);
     },
 
+    /**
+     * Converts the keys of a curve, or color gradient, configuration into the format stored in
+     * {@link Phaser.GameObjects.Particles.EmitterOp#keys}.
+     *
+     * Numbers are spread evenly between 0 and 1. Objects give their own `t` value. The configuration is not modified.
+     *
+     * @method Phaser.GameObjects.Particles.EmitterOp#getKeys
+     * @since 3.60.0
+     *
+     * @param {(number[]|Phaser.Types.GameObjects.Particles.EmitterOpCurveKey[]|Phaser.Types.GameObjects.Particles.EmitterOpColorKey[])} config - The keys configuration.
+     * @param {string} valueKey - The name of the property of a key object that holds its value, either `value` or `color`.
+     * @param {(string|function)} [ease='Linear'] - The ease used between keys that don't set their own.
+     * @param {number[]} [easeParams] - An optional array of ease parameters to go with the ease.
+     *
+     * @return {object[]} The keys, sorted by their `t` value.
+     */
+    getKeys: function (config, valueKey, ease, easeParams)
+    {
+        if (ease === undefined) { ease = 'Linear'; }
+
+        var keys = [];
+        var total = config.length;
+
+        for (var i = 0; i < total; i++)
+        {
+            var key = config[i];
+
+            if (typeof key === 'number')
+            {
+                keys.push({
+                    t: (total > 1) ? i / (total - 1) : 0,
+                    value: key,
+                    ease: GetEaseFunction(ease, easeParams)
+                });
+            }
+            else
+            {
+                keys.push({
+                    t: key.t,
+                    value: key[valueKey],
+                    ease: (this.has(key, 'ease')) ? GetEaseFunction(key.ease, key.easeParams) : GetEaseFunction(ease, easeParams)
+                });
+            }
+        }
+
+        keys.sort(function (a, b)
+        {
+            return a.t - b.t;
+        });
+
+        return keys;
+    },
+
+    /**
+     * Gets the index of the key at the start of the curve segment that the given T value is in.
+     *
+     * @method Phaser.GameObjects.Particles.EmitterOp#getKeyIndex
+     * @since 3.60.0
+     *
+     * @param {number} t - The T value (between 0 and 1)
+     *
+     * @return {number} The index of the key, or -1 if the T value is before the first key.
+     */
+    getKeyIndex: function (t)
+    {
+        var keys = this.keys;
+        var i = keys.length - 1;
+
+        while (i >= 0 && keys[i].t > t)
+        {
+            i--;
+        }
+
+        return i;
+    },
+
     /**
      * The returned value sets what the property will be at the START of the particles life, on emit.
      *
@@ -591,6 +696,121 @@ var EmitterOp = new Class({
         var data = particle.data[key];
 
         return (data.max - data.min) * this.ease(t) + data.min;
+    },
+
+    /**
+     * An `onEmit` callback that returns the value of the curve at the start of the particle's life.
+     *
+     * @method Phaser.GameObjects.Particles.EmitterOp#curveEmit
+     * @since 3.60.0
+     *
+     * @param {Phaser.GameObjects.Particles.Particle} particle - The particle.
+     * @param {string} key - The name of the property.
+     *
+     * @return {number} The new value of the property.
+     */
+    curveEmit: function (particle, key)
+    {
+        var keys = this.keys;
+
+        if (keys.length === 0)
+        {
+            return this.defaultValue;
+        }
+
+        //  Properties that can't change over the particle's life take the value of the first key
+        return (this.emitOnly) ? keys[0].value : this.onUpdate(particle, key, 0, keys[0].value);
+    },
+
+    /**
+     * An `onUpdate` callback that returns the value of the curve at the given point in the particle's life.
+     *
+     * @method Phaser.GameObjects.Particles.EmitterOp#curveUpdate
+     * @since 3.60.0
+     *
+     * @param {Phaser.GameObjects.Particles.Particle} particle - The particle.
+     * @param {string} key - The name of the property.
+     * @param {number} t - The T value (between 0 and 1)
+     * @param {number} value - The current value of the property.
+     *
+     * @return {number} The new value of the property.
+     */
+    curveUpdate: function (particle, key, t, value)
+    {
+        var keys = this.keys;
+        var i = this.getKeyIndex(t);
+
+        if (keys.length === 0)
+        {
+            return value;
+        }
+        else if (i === -1)
+        {
+            return keys[0].value;
+        }
+        else if (i === keys.length - 1)
+        {
+            return keys[i].value;
+        }
+
+        var from = keys[i];
+        var to = keys[i + 1];
+
+        var v = from.ease((t - from.t) / (to.t - from.t));
+
+        return from.value + (to.value - from.value) * v;
+    },
+
+    /**
+     * An `onUpdate` callback that returns the color of the gradient at the given point in the particle's life.
+     * The red, green and blue channels are interpolated separately.
+     *
+     * @method Phaser.GameObjects.Particles.EmitterOp#colorCurveUpdate
+     * @since 3.60.0
+     *
+     * @param {Phaser.GameObjects.Particles.Particle} particle - The particle.
+     * @param {string} key - The name of the property.
+     * @param {number} t - The T value (between 0 and 1)
+     * @param {number} value - The current value of the property.
+     *
+     * @return {number} The new color of the property.
+     */
+    colorCurveUpdate: function (particle, key, t, value)
+    {
+        var keys = this.keys;
+        var i = this.getKeyIndex(t);
+
+        if (keys.length === 0)
+        {
+            return value;
+        }
+        else if (i === -1)
+        {
+            return keys[0].value;
+        }
+        else if (i === keys.length - 1)
+        {
+            return keys[i].value;
+        }
+
+        var from = keys[i];
+        var to = keys[i + 1];
+
+        var v = from.ease((t - from.t) / (to.t - from.t));
+
+        var r1 = (from.value >> 16) & 0xff;
+        var g1 = (from.value >> 8) & 0xff;
+        var b1 = from.value & 0xff;
+
+        var r2 = (to.value >> 16) & 0xff;
+        var g2 = (to.value >> 8) & 0xff;
+        var b2 = to.value & 0xff;
+
+        return GetColor(
+            Math.round(r1 + (r2 - r1) * v),
+            Math.round(g1 + (g2 - g1) * v),
+            Math.round(b1 + (b2 - b1) * v)
+        );
     }
 });
 
@@ -477,6 +477,43 @@ var Particle = new Class({
         }
     },
 
+    /**
+     * Checks if this Particle has moved into any of the Collision Zones of the given Emitter.
+     * If so, it bounces off, sticks to, or is killed by the first one it hit.
+     *
+     * @method Phaser.GameObjects.Particles.Particle#checkCollisionZones
+     * @since 3.60.0
+     *
+     * @param {Phaser.GameObjects.Particles.ParticleEmitter} emitter - The Emitter to check the Collision Zones of.
+     * @param {number} prevX - The x coordinate of this Particle before it moved.
+     * @param {number} prevY - The y coordinate of this Particle before it moved.
+     *
+     * @return {boolean} Returns `true` if this Particle was killed, otherwise `false`.
+     */
+    checkCollisionZones: function (emitter, prevX, prevY)
+    {
+        var zones = emitter.collisionZones;
+
+        for (var i = 0; i < zones.length; i++)
+        {
+            var x = this.x;
+            var y = this.y;
+
+            if (zones[i].collide(this, prevX, prevY))
+            {
+                return true;
+            }
+
+            if (this.x !== x || this.y !== y)
+            {
+                //  Collided, so don't test the position it was moved out of against the other zones
+                break;
+            }
+        }
+
+        return false;
+    },
+
     /**
      * The main update method for this Particle.
      *
@@ -509,6 +546,9 @@ var Particle = new Class({
 
         this.computeVelocity(emitter, delta, step, processors);
 
+        var prevX = this.x;
+        var prevY = this.y;
+
         this.x += this.velocityX * step;
         this.y += this.velocityY * step;
 
@@ -517,6 +557,12 @@ var Particle = new Class({
             this.checkBounds(emitter);
         }
 
+        if (emitter.collisionZones.length > 0 && this.checkCollisionZones(emitter, prevX, prevY))
+        {
+            //  No need to go any further, particle has been killed
+            return true;
+        }
+
         if (emitter.deathZone && emitter.deathZone.willKill(this))
         {
             this.lifeCurrent = 0;
@@ -6,10 +6,12 @@
 
 var BlendModes = require('../../renderer/BlendModes');
 var Class = require('../../utils/Class');
+var CollisionZone = require('./zones/CollisionZone');
 var Components = require('../components');
 var DeathZone = require('./zones/DeathZone');
 var EdgeZone = require('./zones/EdgeZone');
 var EmitterOp = require('./EmitterOp');
+var GEOM_CONST = require('../../geom/const');
 var GetFastValue = require('../../utils/object/GetFastValue');
 var GetRandom = require('../../utils/array/GetRandom');
 var HasAny = require('../../utils/object/HasAny');
@@ -18,6 +20,7 @@ var Particle = require('./Particle');
 var RandomZone = require('./zones/RandomZone');
 var Rectangle = require('../../geom/rectangle/Rectangle');
 var StableSort = require('../../utils/array/StableSort');
+var SubEmitter = require('./SubEmitter');
 var Vector2 = require('../../math/Vector2');
 var Wrap = require('../../math/Wrap');
 
@@ -369,6 +372,9 @@ var ParticleEmitter = new Class({
         /**
          * Color tint applied to emitted particles. Value must not include the alpha channel.
          *
+         * To fade the tint through several colors over the life of each particle, use a color gradient,
+         * such as `{ colors: [ 0xffffff, 0xff8800, 0x220000 ] }`.
+         *
          * @name Phaser.GameObjects.Particles.ParticleEmitter#tint
          * @type {Phaser.GameObjects.Particles.EmitterOp}
          * @default 0xffffff
@@ -459,6 +465,18 @@ var ParticleEmitter = new Class({
          */
         this.deathCallbackScope = null;
 
+        /**
+         * The Sub Emitters of this emitter, which spawn particles from other emitters when particles
+         * of this emitter are emitted, die, or at an interval during their life.
+         *
+         * @name Phaser.GameObjects.Particles.ParticleEmitter#subEmitters
+         * @type {Phaser.GameObjects.Particles.SubEmitter[]}
+         * @since 3.60.0
+         *
+         * @see Phaser.GameObjects.Particles.ParticleEmitter#addSubEmitter
+         */
+        this.subEmitters = [];
+
         /**
          * Set to hard limit the amount of particle objects this emitter is allowed to create.
          * 0 means unlimited.
@@ -562,6 +580,16 @@ var ParticleEmitter = new Class({
          */
         this.deathZone = null;
 
+        /**
+         * Shapes or Tilemap Layers that particles bounce off, stick to, or die on, when they move into them.
+         *
+         * @name Phaser.GameObjects.Particles.ParticleEmitter#collisionZones
+         * @type {Phaser.GameObjects.Particles.Zones.CollisionZone[]}
+         * @since 3.60.0
+         * @see Phaser.GameObjects.Particles.ParticleEmitter#addCollisionZone
+         */
+        this.collisionZones = [];
+
         /**
          * A rectangular boundary constraining particle movement.
          *
@@ -848,6 +876,23 @@ var ParticleEmitter = new Class({
             this.setDeathZone(config.deathZone);
         }
 
+        if (HasValue(config, 'collisionZones'))
+        {
+            this.removeCollisionZones();
+
+            var collisionZones = config.collisionZones;
+
+            if (!Array.isArray(collisionZones))
+            {
+                collisionZones = [ collisionZones ];
+            }
+
+            for (i = 0; i < collisionZones.length; i++)
+            {
+                this.addCollisionZone(collisionZones[i]);
+            }
+        }
+
         if (HasValue(config, 'bounds'))
         {
             this.setBounds(config.bounds);
@@ -868,6 +913,18 @@ var ParticleEmitter = new Class({
             this.reserve(config.reserve);
         }
 
+        if (HasValue(config, 'subEmitters'))
+        {
+            this.removeSubEmitters();
+
+            var subEmitters = config.subEmitters;
+
+            for (i = 0; i < subEmitters.length; i++)
+            {
+                this.addSubEmitter(subEmitters[i]);
+            }
+        }
+
         return this;
     },
 
@@ -918,6 +975,14 @@ var ParticleEmitter = new Class({
             output.scale = this.scaleX.toJSON();
         }
 
+        if (this.subEmitters.length > 0)
+        {
+            output.subEmitters = this.subEmitters.map(function (subEmitter)
+            {
+                return subEmitter.toJSON();
+            });
+        }
+
         return output;
     },
 
@@ -1331,6 +1396,8 @@ var ParticleEmitter = new Class({
     /**
      * Sets the color tint of emitted particles.
      *
+     * Give a color gradient, such as `{ colors: [ 0xffffff, 0xff0000 ] }`, to change the tint over the life of each particle.
+     *
      * @method Phaser.GameObjects.Particles.ParticleEmitter#setTint
      * @since 3.22.0
      *
@@ -1528,6 +1595,75 @@ var ParticleEmitter = new Class({
         return this;
     },
 
+    /**
+     * Adds a {@link Phaser.GameObjects.Particles.Zones.CollisionZone} to this emitter. Particles that move into
+     * its source shape, or into a colliding tile of its source Tilemap Layer, bounce off, stick to, or die on it.
+     *
+     * ```javascript
+     * emitter.addCollisionZone({ source: groundLayer, mode: 'bounce', restitution: 0.3, friction: 0.2 });
+     * emitter.addCollisionZone({ source: new Phaser.Geom.Circle(400, 300, 50), mode: 'kill' });
+     * ```
+     *
+     * @method Phaser.GameObjects.Particles.ParticleEmitter#addCollisionZone
+     * @since 3.60.0
+     *
+     * @param {Phaser.Types.GameObjects.Particles.ParticleEmitterCollisionZoneConfig} zoneConfig - An object describing the zone.
+     *
+     * @return {?Phaser.GameObjects.Particles.Zones.CollisionZone} The Collision Zone that was created, or `null` if the source isn't supported.
+     */
+    addCollisionZone: function (zoneConfig)
+    {
+        var source = GetFastValue(zoneConfig, 'source', null);
+
+        if (!source || (typeof source.contains !== 'function' && typeof source.getTileAtWorldXY !== 'function' && source.type !== GEOM_CONST.LINE))
+        {
+            return null;
+        }
+
+        var zone = new CollisionZone(source, zoneConfig);
+
+        this.collisionZones.push(zone);
+
+        return zone;
+    },
+
+    /**
+     * Removes a Collision Zone from this emitter.
+     *
+     * @method Phaser.GameObjects.Particles.ParticleEmitter#removeCollisionZone
+     * @since 3.60.0
+     *
+     * @param {Phaser.GameObjects.Particles.Zones.CollisionZone} zone - The Collision Zone to remove.
+     *
+     * @return {this} This Particle Emitter.
+     */
+    removeCollisionZone: function (zone)
+    {
+        var index = this.collisionZones.indexOf(zone);
+
+        if (index !== -1)
+        {
+            this.collisionZones.splice(index, 1);
+        }
+
+        return this;
+    },
+
+    /**
+     * Removes all Collision Zones from this emitter.
+     *
+     * @method Phaser.GameObjects.Particles.ParticleEmitter#removeCollisionZones
+     * @since 3.60.0
+     *
+     * @return {this} This Particle Emitter.
+     */
+    removeCollisionZones: function ()
+    {
+        this.collisionZones.length = 0;
+
+        return this;
+    },
+
     /**
      * Creates inactive particles and adds them to this emitter's pool.
      *
@@ -1666,6 +1802,111 @@ var ParticleEmitter = new Class({
         return this;
     },
 
+    /**
+     * Adds a Sub Emitter to this emitter. It spawns particles from another emitter, at the position of a particle
+     * of this emitter, when the particle is emitted, when it dies, or at an interval during its life.
+     *
+     * ```javascript
+     * emitter.addSubEmitter({ emitter: smoke, trigger: 'interval', interval: 50, quantity: 1 });
+     * ```
+     *
+     * @method Phaser.GameObjects.Particles.ParticleEmitter#addSubEmitter
+     * @since 3.60.0
+     *
+     * @param {Phaser.Types.GameObjects.Particles.ParticleEmitterSubEmitterConfig} config - The Sub Emitter configuration.
+     *
+     * @return {Phaser.GameObjects.Particles.SubEmitter} The Sub Emitter that was created.
+     */
+    addSubEmitter: function (config)
+    {
+        var subEmitter = new SubEmitter(this, config);
+
+        this.subEmitters.push(subEmitter);
+
+        return subEmitter;
+    },
+
+    /**
+     * Removes a Sub Emitter from this emitter and destroys it.
+     *
+     * @method Phaser.GameObjects.Particles.ParticleEmitter#removeSubEmitter
+     * @since 3.60.0
+     *
+     * @param {Phaser.GameObjects.Particles.SubEmitter} subEmitter - The Sub Emitter to remove.
+     *
+     * @return {this} This Particle Emitter.
+     */
+    removeSubEmitter: function (subEmitter)
+    {
+        var index = this.subEmitters.indexOf(subEmitter);
+
+        if (index !== -1)
+        {
+            this.subEmitters.splice(index, 1);
+
+            subEmitter.destroy();
+        }
+
+        return this;
+    },
+
+    /**
+     * Removes all Sub Emitters from this emitter and destroys them.
+     *
+     * @method Phaser.GameObjects.Particles.ParticleEmitter#removeSubEmitters
+     * @since 3.60.0
+     *
+     * @return {this} This Particle Emitter.
+     */
+    removeSubEmitters: function ()
+    {
+        var subEmitters = this.subEmitters;
+
+        for (var i = 0; i < subEmitters.length; i++)
+        {
+            subEmitters[i].destroy();
+        }
+
+        subEmitters.length = 0;
+
+        return this;
+    },
+
+    /**
+     * Queues the Sub Emitters with the given trigger to spawn particles at the position of a particle.
+     * The particles are spawned by the Particle Emitter Manager once all of its emitters have updated.
+     *
+     * @method Phaser.GameObjects.Particles.ParticleEmitter#triggerSubEmitters
+     * @private
+     * @since 3.60.0
+     *
+     * @param {string} trigger - The trigger: `emit`, `death` or `interval`.
+     * @param {Phaser.GameObjects.Particles.Particle} particle - The particle that triggered the Sub Emitters.
+     * @param {number} [elapsed] - How long the particle had been alive, in ms, before it was updated. Required for the `interval` trigger.
+     */
+    triggerSubEmitters: function (trigger, particle, elapsed)
+    {
+        var subEmitters = this.subEmitters;
+        var current = Math.min(particle.life, particle.life - particle.lifeCurrent);
+
+        for (var i = 0; i < subEmitters.length; i++)
+        {
+            var subEmitter = subEmitters[i];
+
+            if (!subEmitter.active || subEmitter.trigger !== trigger)
+            {
+                continue;
+            }
+
+            if (trigger === SubEmitter.INTERVAL && !subEmitter.hasInterval(elapsed, current))
+            {
+                continue;
+            }
+
+            this.manager.queueSubEmitter(subEmitter, particle);
+        }
+    },
+
     /**
      * Deactivates every particle in this emitter.
      *
@@ -1950,6 +2191,11 @@ var ParticleEmitter = new Class({
                 this.emitCallback.call(this.emitCallbackScope, particle, this);
             }
 
+            if (this.subEmitters.length > 0)
+            {
+                this.triggerSubEmitters(SubEmitter.EMIT, particle);
+            }
+
             if (this.atLimit())
             {
                 break;
@@ -1989,13 +2235,22 @@ var ParticleEmitter = new Class({
         var i = 0;
         var rip = [];
         var length = particles.length;
+        var hasSubEmitters = (this.subEmitters.length > 0);
 
         for (i = 0; i < length; i++)
         {
             var particle = particles[i];
+            var elapsed = particle.life - particle.lifeCurrent;
 
             //  update returns `true` if the particle is now dead (lifeCurrent <= 0)
-            if (particle.update(delta, step, processors))
+            var isDead = particle.update(delta, step, processors);
+
+            if (hasSubEmitters)
+            {
+                this.triggerSubEmitters(SubEmitter.INTERVAL, particle, elapsed);
+            }
+
+            if (isDead)
             {
                 rip.push({ index: i, particle: particle });
             }
@@ -2025,6 +2280,11 @@ var ParticleEmitter = new Class({
                     deathCallback.call(deathCallbackScope, entry.particle);
                 }
 
+                if (hasSubEmitters)
+                {
+                    this.triggerSubEmitters(SubEmitter.DEATH, entry.particle);
+                }
+
                 entry.particle.resetPosition();
             }
         }
@@ -134,6 +134,26 @@ var ParticleEmitterManager = new Class({
          */
         this.wells = new List(this);
 
+        /**
+         * The Sub Emitter spawns queued during the current update, waiting to be processed once all emitters have updated.
+         *
+         * @name Phaser.GameObjects.Particles.ParticleEmitterManager#_spawnQueue
+         * @type {object[]}
+         * @private
+         * @since 3.60.0
+         */
+        this._spawnQueue = [];
+
+        /**
+         * Processed Sub Emitter spawns, kept for reuse so that queueing spawns doesn't allocate.
+         *
+         * @name Phaser.GameObjects.Particles.ParticleEmitterManager#_spawnPool
+         * @type {object[]}
+         * @private
+         * @since 3.60.0
+         */
+        this._spawnPool = [];
+
         if (emitters)
         {
             //  An array of emitter configs?
@@ -452,6 +472,86 @@ var ParticleEmitterManager = new Class({
                 emitter.preUpdate(time, delta);
             }
         }
+
+        this.processSubEmitters();
+    },
+
+    /**
+     * Queues a Sub Emitter to spawn particles at the position of a particle, once all emitters have updated.
+     *
+     * The position and velocity of the particle are copied, as it may die and be re-emitted before the spawn is processed.
+     *
+     * @method Phaser.GameObjects.Particles.ParticleEmitterManager#queueSubEmitter
+     * @since 3.60.0
+     *
+     * @param {Phaser.GameObjects.Particles.SubEmitter} subEmitter - The Sub Emitter to spawn particles from.
+     * @param {Phaser.GameObjects.Particles.Particle} particle - The particle that triggered the Sub Emitter.
+     */
+    queueSubEmitter: function (subEmitter, particle)
+    {
+        var spawn = this._spawnPool.pop();
+
+        if (!spawn)
+        {
+            spawn = { subEmitter: null, x: 0, y: 0, velocityX: 0, velocityY: 0 };
+        }
+
+        spawn.subEmitter = subEmitter;
+        spawn.x = particle.x;
+        spawn.y = particle.y;
+        spawn.velocityX = particle.velocityX;
+        spawn.velocityY = particle.velocityY;
+
+        this._spawnQueue.push(spawn);
+    },
+
+    /**
+     * Spawns the particles of all queued Sub Emitters, in the order they were triggered.
+     *
+     * Spawns queued while this runs, by the Sub Emitters of the emitters spawned from, are left for the next update.
+     * This stops Sub Emitters that trigger each other from spawning forever.
+     *
+     * @method Phaser.GameObjects.Particles.ParticleEmitterManager#processSubEmitters
+     * @since 3.60.0
+     */
+    processSubEmitters: function ()
+    {
+        var queue = this._spawnQueue;
+        var pool = this._spawnPool;
+        var emitters = this.emitters;
+        var length = queue.length;
+        var i;
+
+        if (length === 0)
+        {
+            return;
+        }
+
+        for (i = 0; i < length; i++)
+        {
+            var spawn = queue[i];
+            var subEmitter = spawn.subEmitter;
+
+            //  Skip Sub Emitters destroyed, or whose emitter was removed, since they were queued
+            if (subEmitter.parent && emitters.exists(subEmitter.parent) && emitters.exists(subEmitter.getEmitter()))
+            {
+                subEmitter.spawn(spawn.x, spawn.y, spawn.velocityX, spawn.velocityY);
+            }
+
+            spawn.subEmitter = null;
+
+            pool.push(spawn);
+        }
+
+        //  Move any spawns queued during processing to the front
+        var remaining = queue.length - length;
+
+        for (i = 0; i < remaining; i++)
+        {
+            queue[i] = queue[length + i];
+        }
+
+        queue.length = remaining;
     },
 
     /**
@@ -488,6 +588,19 @@ var ParticleEmitterManager = new Class({
      */
     setBlendMode: function ()
     {
+    },
+
+    /**
+     * Internal destroy handler, called as part of the destroy process.
+     *
+     * @method Phaser.GameObjects.Particles.ParticleEmitterManager#preDestroy
+     * @protected
+     * @since 3.60.0
+     */
+    preDestroy: function ()
+    {
+        this._spawnQueue.length = 0;
+        this._spawnPool.length = 0;
     }
 
 });
@@ -0,0 +1,284 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var Class = require('../../utils/Class');
+var GetFastValue = require('../../utils/object/GetFastValue');
+
+/**
+ * @classdesc
+ * A Sub Emitter spawns particles from another Particle Emitter whenever a particle of its parent emitter is
+ * emitted, dies, or at a regular interval during its life. The new particles start at the position of the particle
+ * that triggered them and can inherit some of its velocity.
+ *
+ * For example, to make each rocket of a firework burst into sparks when it dies:
+ *
+ * ```javascript
+ * var sparks = particles.createEmitter({ name: 'sparks', on: false, speed: 100, lifespan: 500 });
+ *
+ * var rockets = particles.createEmitter({
+ *     speedY: -300,
+ *     lifespan: 1000,
+ *     subEmitters: [ { emitter: 'sparks', trigger: 'death', quantity: 20 } ]
+ * });
+ * ```
+ *
+ * The particles are spawned by the Particle Emitter Manager at the end of its update, after all of its emitters
+ * have updated, so they start moving on the next update, just like particles emitted normally. Particles spawned
+ * by the Sub Emitters of other Sub Emitters are spawned at the end of the following update.
+ *
+ * The emitter the particles are spawned from is usually turned off, so it only emits when triggered.
+ * It shouldn't follow a Game Object, as it would then ignore the position of the triggering particle.
+ *
+ * Sub Emitters are created via `ParticleEmitter.addSubEmitter`, or the `subEmitters` Particle Emitter config property.
+ *
+ * @class SubEmitter
+ * @memberof Phaser.GameObjects.Particles
+ * @constructor
+ * @since 3.60.0
+ *
+ * @param {Phaser.GameObjects.Particles.ParticleEmitter} parent - The Particle Emitter whose particles trigger this Sub Emitter.
+ * @param {Phaser.Types.GameObjects.Particles.ParticleEmitterSubEmitterConfig} config - The configuration of this Sub Emitter.
+ */
+var SubEmitter = new Class({
+
+    initialize:
+
+    function SubEmitter (parent, config)
+    {
+        /**
+         * The Particle Emitter whose particles trigger this Sub Emitter.
+         *
+         * @name Phaser.GameObjects.Particles.SubEmitter#parent
+         * @type {Phaser.GameObjects.Particles.ParticleEmitter}
+         * @since 3.60.0
+         */
+        this.parent = parent;
+
+        /**
+         * The Particle Emitter that the particles are spawned from, or its name, or its index in the list of emitters
+         * of the parent's Particle Emitter Manager. Names and indexes are resolved the first time particles are spawned.
+         *
+         * @name Phaser.GameObjects.Particles.SubEmitter#emitter
+         * @type {(Phaser.GameObjects.Particles.ParticleEmitter|string|number)}
+         * @since 3.60.0
+         */
+        this.emitter = GetFastValue(config, 'emitter', null);
+
+        /**
+         * When particles are spawned: `emit` when a particle of the parent emitter is emitted, `death` when it dies,
+         * or `interval` every {@link Phaser.GameObjects.Particles.SubEmitter#interval} ms of its life.
+         *
+         * @name Phaser.GameObjects.Particles.SubEmitter#trigger
+         * @type {string}
+         * @default 'death'
+         * @since 3.60.0
+         */
+        this.trigger = GetFastValue(config, 'trigger', SubEmitter.DEATH);
+
+        /**
+         * The number of particles spawned each time this Sub Emitter is triggered.
+         *
+         * @name Phaser.GameObjects.Particles.SubEmitter#quantity
+         * @type {number}
+         * @default 1
+         * @since 3.60.0
+         */
+        this.quantity = GetFastValue(config, 'quantity', 1);
+
+        /**
+         * The time, in ms, between spawns during a particle's life, when the trigger is `interval`.
+         *
+         * @name Phaser.GameObjects.Particles.SubEmitter#interval
+         * @type {number}
+         * @default 100
+         * @since 3.60.0
+         */
+        this.interval = GetFastValue(config, 'interval', 100);
+
+        /**
+         * The fraction of the velocity of the triggering particle that is added to the velocity of each spawned particle.
+         * 0 inherits none of it, 1 inherits all of it.
+         *
+         * @name Phaser.GameObjects.Particles.SubEmitter#inheritVelocity
+         * @type {number}
+         * @default 0
+         * @since 3.60.0
+         */
+        this.inheritVelocity = GetFastValue(config, 'inheritVelocity', 0);
+
+        /**
+         * Is this Sub Emitter spawning particles?
+         *
+         * @name Phaser.GameObjects.Particles.SubEmitter#active
+         * @type {boolean}
+         * @default true
+         * @since 3.60.0
+         */
+        this.active = GetFastValue(config, 'active', true);
+    },
+
+    /**
+     * Gets the Particle Emitter that the particles are spawned from, resolving it from its name or index if needed.
+     *
+     * @method Phaser.GameObjects.Particles.SubEmitter#getEmitter
+     * @since 3.60.0
+     *
+     * @return {?Phaser.GameObjects.Particles.ParticleEmitter} The Particle Emitter, or `null` if it can't be found.
+     */
+    getEmitter: function ()
+    {
+        var emitter = this.emitter;
+
+        if (emitter === null || typeof emitter === 'object')
+        {
+            return emitter;
+        }
+
+        var emitters = this.parent.manager.emitters;
+
+        emitter = (typeof emitter === 'number') ? emitters.getAt(emitter) : emitters.getByName(emitter);
+
+        if (emitter)
+        {
+            this.emitter = emitter;
+        }
+
+        return emitter;
+    },
+
+    /**
+     * Checks if a particle of the parent emitter has passed an interval spawn point since it was last updated.
+     *
+     * @method Phaser.GameObjects.Particles.SubEmitter#hasInterval
+     * @since 3.60.0
+     *
+     * @param {number} previous - How long the particle had been alive, in ms, before the update.
+     * @param {number} current - How long the particle has been alive, in ms, after the update.
+     *
+     * @return {boolean} `true` if this Sub Emitter should spawn particles.
+     */
+    hasInterval: function (previous, current)
+    {
+        var interval = this.interval;
+
+        return (interval > 0 && Math.floor(current / interval) > Math.floor(previous / interval));
+    },
+
+    /**
+     * Spawns particles from the Particle Emitter. This is called by the Particle Emitter Manager.
+     *
+     * @method Phaser.GameObjects.Particles.SubEmitter#spawn
+     * @since 3.60.0
+     *
+     * @param {number} x - The x coordinate to spawn the particles at.
+     * @param {number} y - The y coordinate to spawn the particles at.
+     * @param {number} velocityX - The x velocity of the triggering particle.
+     * @param {number} velocityY - The y velocity of the triggering particle.
+     */
+    spawn: function (x, y, velocityX, velocityY)
+    {
+        var emitter = this.getEmitter();
+
+        if (!emitter)
+        {
+            return;
+        }
+
+        var inherit = this.inheritVelocity;
+
+        for (var i = 0; i < this.quantity; i++)
+        {
+            var particle = emitter.emitParticle(1, x, y);
+
+            if (!particle)
+            {
+                //  The emitter is at its limit
+                break;
+            }
+
+            if (inherit)
+            {
+                particle.velocityX += velocityX * inherit;
+                particle.velocityY += velocityY * inherit;
+            }
+        }
+    },
+
+    /**
+     * Creates a description of this Sub Emitter suitable for JSON serialization.
+     *
+     * The Particle Emitter is stored by name or, if it doesn't have one, by its index in the list of emitters of the
+     * parent's Particle Emitter Manager.
+     *
+     * @method Phaser.GameObjects.Particles.SubEmitter#toJSON
+     * @since 3.60.0
+     *
+     * @return {Phaser.Types.GameObjects.Particles.ParticleEmitterSubEmitterConfig} The Sub Emitter configuration.
+     */
+    toJSON: function ()
+    {
+        var emitter = this.emitter;
+
+        if (emitter && typeof emitter === 'object')
+        {
+            emitter = (emitter.name !== '') ? emitter.name : this.parent.manager.emitters.getIndex(emitter);
+        }
+
+        return {
+            emitter: emitter,
+            trigger: this.trigger,
+            quantity: this.quantity,
+            interval: this.interval,
+            inheritVelocity: this.inheritVelocity,
+            active: this.active
+        };
+    },
+
+    /**
+     * Removes all external references.
+     *
+     * @method Phaser.GameObjects.Particles.SubEmitter#destroy
+     * @since 3.60.0
+     */
+    destroy: function ()
+    {
+        this.parent = null;
+        this.emitter = null;
+    }
+
+});
+
+/**
+ * Spawn particles when a particle of the parent emitter is emitted.
+ *
+ * @name Phaser.GameObjects.Particles.SubEmitter.EMIT
+ * @type {string}
+ * @const
+ * @since 3.60.0
+ */
+SubEmitter.EMIT = 'emit';
+
+/**
+ * Spawn particles when a particle of the parent emitter dies.
+ *
+ * @name Phaser.GameObjects.Particles.SubEmitter.DEATH
+ * @type {string}
+ * @const
+ * @since 3.60.0
+ */
+SubEmitter.DEATH = 'death';
+
+/**
+ * Spawn particles at a regular interval during the life of a particle of the parent emitter.
+ *
+ * @name Phaser.GameObjects.Particles.SubEmitter.INTERVAL
+ * @type {string}
+ * @const
+ * @since 3.60.0
+ */
+SubEmitter.INTERVAL = 'interval';
+
+module.exports = SubEmitter;
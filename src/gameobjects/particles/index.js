@@ -15,6 +15,7 @@ module.exports = {
     Particle: require('./Particle'),
     ParticleEmitter: require('./ParticleEmitter'),
     ParticleEmitterManager: require('./ParticleEmitterManager'),
+    SubEmitter: require('./SubEmitter'),
     Zones: require('./zones')
 
 };
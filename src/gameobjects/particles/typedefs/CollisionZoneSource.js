@@ -0,0 +1,6 @@
+/**
+ * A shape or Tilemap Layer that Particles collide with.
+ *
+ * @typedef {(Phaser.Geom.Circle|Phaser.Geom.Ellipse|Phaser.Geom.Line|Phaser.Geom.Polygon|Phaser.Geom.Rectangle|Phaser.Geom.Triangle|Phaser.Tilemaps.TilemapLayer)} Phaser.Types.GameObjects.Particles.CollisionZoneSource
+ * @since 3.60.0
+ */
@@ -0,0 +1,17 @@
+/**
+ * Defines an operation yielding a color that follows a gradient of keys over the particle's life.
+ * The red, green and blue channels are interpolated separately.
+ *
+ * For example, a tint that goes from white, through orange, to dark red:
+ *
+ * ```javascript
+ * tint: { colors: [ 0xffffff, 0xff8800, 0x220000 ] }
+ * ```
+ *
+ * @typedef {object} Phaser.Types.GameObjects.Particles.EmitterOpColorConfig
+ * @since 3.60.0
+ *
+ * @property {(number[]|Phaser.Types.GameObjects.Particles.EmitterOpColorKey[])} colors - The keys of the gradient. An array of colors is spread evenly over the particle's life.
+ * @property {(string|function)} [ease='Linear'] - The ease used between keys that don't set their own. This can be either a string from the EaseMap, or a custom function.
+ * @property {number[]} [easeParams] - An optional array of ease parameters to go with the ease.
+ */
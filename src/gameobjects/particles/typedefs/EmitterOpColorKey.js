@@ -0,0 +1,11 @@
+/**
+ * Defines a key of an Emitter Op color gradient.
+ *
+ * @typedef {object} Phaser.Types.GameObjects.Particles.EmitterOpColorKey
+ * @since 3.60.0
+ *
+ * @property {number} t - The point in the particle's life at which the property has this color, between 0 and 1.
+ * @property {number} color - The color at this point, as an RGB value, such as `0xff0000`.
+ * @property {(string|function)} [ease] - The ease used between this key and the next one. If not given, the ease of the gradient is used.
+ * @property {number[]} [easeParams] - An optional array of ease parameters to go with the ease.
+ */
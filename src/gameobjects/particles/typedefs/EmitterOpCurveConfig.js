@@ -0,0 +1,16 @@
+/**
+ * Defines an operation yielding a value that follows a curve of keys over the particle's life.
+ *
+ * For example, a scale that grows to 1.2, shrinks back to 0.8 and then disappears:
+ *
+ * ```javascript
+ * scale: { curve: [ 0, 1.2, 0.8, 0 ], ease: 'Sine.easeInOut' }
+ * ```
+ *
+ * @typedef {object} Phaser.Types.GameObjects.Particles.EmitterOpCurveConfig
+ * @since 3.60.0
+ *
+ * @property {(number[]|Phaser.Types.GameObjects.Particles.EmitterOpCurveKey[])} curve - The keys of the curve. An array of numbers is spread evenly over the particle's life.
+ * @property {(string|function)} [ease='Linear'] - The ease used between keys that don't set their own. This can be either a string from the EaseMap, or a custom function.
+ * @property {number[]} [easeParams] - An optional array of ease parameters to go with the ease.
+ */
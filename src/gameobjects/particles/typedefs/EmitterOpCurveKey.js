@@ -0,0 +1,11 @@
+/**
+ * Defines a key of an Emitter Op curve.
+ *
+ * @typedef {object} Phaser.Types.GameObjects.Particles.EmitterOpCurveKey
+ * @since 3.60.0
+ *
+ * @property {number} t - The point in the particle's life at which the property has this value, between 0 and 1.
+ * @property {number} value - The value of the property at this point.
+ * @property {(string|function)} [ease] - The ease used between this key and the next one. If not given, the ease of the curve is used.
+ * @property {number[]} [easeParams] - An optional array of ease parameters to go with the ease.
+ */
@@ -1,4 +1,4 @@
 /**
- * @typedef {(Phaser.Types.GameObjects.Particles.EmitterOpOnUpdateCallback|Phaser.Types.GameObjects.Particles.EmitterOpEaseConfig|Phaser.Types.GameObjects.Particles.EmitterOpCustomUpdateConfig)} Phaser.Types.GameObjects.Particles.EmitterOpOnUpdateType
+ * @typedef {(Phaser.Types.GameObjects.Particles.EmitterOpOnUpdateCallback|Phaser.Types.GameObjects.Particles.EmitterOpEaseConfig|Phaser.Types.GameObjects.Particles.EmitterOpCurveConfig|Phaser.Types.GameObjects.Particles.EmitterOpColorConfig|Phaser.Types.GameObjects.Particles.EmitterOpCustomUpdateConfig)} Phaser.Types.GameObjects.Particles.EmitterOpOnUpdateType
  * @since 3.18.0
  */
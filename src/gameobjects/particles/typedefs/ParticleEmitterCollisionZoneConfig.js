@@ -0,0 +1,9 @@
+/**
+ * @typedef {object} Phaser.Types.GameObjects.Particles.ParticleEmitterCollisionZoneConfig
+ * @since 3.60.0
+ *
+ * @property {Phaser.Types.GameObjects.Particles.CollisionZoneSource} source - A shape or Tilemap Layer representing the zone. See {@link Phaser.GameObjects.Particles.Zones.CollisionZone#source}.
+ * @property {string} [mode='bounce'] - 'bounce', 'stick' or 'kill'.
+ * @property {number} [restitution=0.5] - The fraction of the velocity towards the surface that a bouncing particle keeps, from 0 to 1.
+ * @property {number} [friction=0] - The fraction of the velocity along the surface that a bouncing particle loses, from 0 to 1.
+ */
@@ -0,0 +1,11 @@
+/**
+ * @typedef {object} Phaser.Types.GameObjects.Particles.ParticleEmitterSubEmitterConfig
+ * @since 3.60.0
+ *
+ * @property {(Phaser.GameObjects.Particles.ParticleEmitter|string|number)} emitter - The Particle Emitter to spawn particles from, or its name, or its index in the Particle Emitter Manager.
+ * @property {string} [trigger='death'] - When to spawn particles: `emit`, `death` or `interval`.
+ * @property {number} [quantity=1] - The number of particles to spawn each time.
+ * @property {number} [interval=100] - The time, in ms, between spawns during a particle's life, when the trigger is `interval`.
+ * @property {number} [inheritVelocity=0] - The fraction of the velocity of the triggering particle given to the spawned particles, from 0 to 1.
+ * @property {boolean} [active=true] - Whether the Sub Emitter spawns particles.
+ */
@@ -0,0 +1,543 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var Class = require('../../../utils/Class');
+var GEOM_CONST = require('../../../geom/const');
+var GetFastValue = require('../../../utils/object/GetFastValue');
+var Vector2 = require('../../../math/Vector2');
+
+/**
+ * How far, in pixels, a colliding Particle is moved away from the surface it hit,
+ * so it isn't found inside the shape again on the next update.
+ *
+ * @ignore
+ */
+var EPSILON = 0.01;
+
+/**
+ * @classdesc
+ * A Collision Zone.
+ *
+ * A Collision Zone is a shape that Particles can't pass into. When a Particle moves into it, it either bounces off
+ * the surface it hit, sticks to it, or is killed.
+ *
+ * The zone's `source` can be a Circle, Ellipse, Line, Polygon, Rectangle or Triangle from `Phaser.Geom`, or a
+ * Tilemap Layer, in which case the Particles collide with all of its tiles that have collision enabled.
+ *
+ * Collisions are tested against the position of a Particle at the end of each update, so a Particle moving fast
+ * enough to pass right through a thin shape in a single update won't collide with it, except for Lines and the tiles
+ * of orthogonal Tilemap Layers, which are tested against the whole path of the Particle. Particles that start inside
+ * a shape are free to move out of it.
+ *
+ * @class CollisionZone
+ * @memberof Phaser.GameObjects.Particles.Zones
+ * @constructor
+ * @since 3.60.0
+ *
+ * @param {Phaser.Types.GameObjects.Particles.CollisionZoneSource} source - The shape or Tilemap Layer the Particles collide with.
+ * @param {Phaser.Types.GameObjects.Particles.ParticleEmitterCollisionZoneConfig} [config] - The collision settings.
+ */
+var CollisionZone = new Class({
+
+    initialize:
+
+    function CollisionZone (source, config)
+    {
+        /**
+         * The shape or Tilemap Layer the Particles collide with.
+         *
+         * @name Phaser.GameObjects.Particles.Zones.CollisionZone#source
+         * @type {Phaser.Types.GameObjects.Particles.CollisionZoneSource}
+         * @since 3.60.0
+         */
+        this.source = source;
+
+        /**
+         * What happens to a Particle when it collides: `bounce`, `stick` or `kill`.
+         *
+         * @name Phaser.GameObjects.Particles.Zones.CollisionZone#mode
+         * @type {string}
+         * @default 'bounce'
+         * @since 3.60.0
+         */
+        this.mode = GetFastValue(config, 'mode', CollisionZone.BOUNCE);
+
+        /**
+         * The fraction of the velocity towards the surface that a bouncing Particle keeps, from 0 to 1.
+         * 0 stops it dead against the surface, 1 rebounds it at full speed.
+         *
+         * @name Phaser.GameObjects.Particles.Zones.CollisionZone#restitution
+         * @type {number}
+         * @default 0.5
+         * @since 3.60.0
+         */
+        this.restitution = GetFastValue(config, 'restitution', 0.5);
+
+        /**
+         * The fraction of the velocity along the surface that a bouncing Particle loses, from 0 to 1.
+         * 0 lets it slide freely, 1 stops it sliding.
+         *
+         * @name Phaser.GameObjects.Particles.Zones.CollisionZone#friction
+         * @type {number}
+         * @default 0
+         * @since 3.60.0
+         */
+        this.friction = GetFastValue(config, 'friction', 0);
+
+        /**
+         * How far along the path of the Particle, from 0 to 1, the closest surface crossing found so far is.
+         *
+         * @name Phaser.GameObjects.Particles.Zones.CollisionZone#_hitT
+         * @type {number}
+         * @private
+         * @since 3.60.0
+         */
+        this._hitT = 2;
+
+        /**
+         * The normal of the surface crossed at `_hitT`.
+         *
+         * @name Phaser.GameObjects.Particles.Zones.CollisionZone#_normal
+         * @type {Phaser.Math.Vector2}
+         * @private
+         * @since 3.60.0
+         */
+        this._normal = new Vector2();
+    },
+
+    /**
+     * Checks if the given Particle has moved into this zone and, if so, makes it bounce, stick or die.
+     *
+     * @method Phaser.GameObjects.Particles.Zones.CollisionZone#collide
+     * @since 3.60.0
+     *
+     * @param {Phaser.GameObjects.Particles.Particle} particle - The Particle to be checked against this zone.
+     * @param {number} prevX - The x coordinate of the Particle before it moved.
+     * @param {number} prevY - The y coordinate of the Particle before it moved.
+     *
+     * @return {boolean} Returns `true` if the Particle was killed, otherwise `false`.
+     */
+    collide: function (particle, prevX, prevY)
+    {
+        var source = this.source;
+        var x = particle.x;
+        var y = particle.y;
+
+        this._hitT = 2;
+
+        if (source.type === GEOM_CONST.LINE)
+        {
+            this.testEdge(prevX, prevY, x, y, source.x1, source.y1, source.x2, source.y2);
+
+            if (this._hitT > 1)
+            {
+                return false;
+            }
+        }
+        else if (typeof source.getTileAtWorldXY === 'function')
+        {
+            if (!this.testTiles(prevX, prevY, x, y))
+            {
+                return false;
+            }
+        }
+        else
+        {
+            if (!source.contains(x, y) || source.contains(prevX, prevY))
+            {
+                return false;
+            }
+
+            this.testShape(prevX, prevY, x, y);
+        }
+
+        var normal = this._normal;
+        var hitX = prevX;
+        var hitY = prevY;
+
+        if (this._hitT <= 1)
+        {
+            hitX += (x - prevX) * this._hitT;
+            hitY += (y - prevY) * this._hitT;
+        }
+        else
+        {
+            //  No surface was crossed, such as when the shape moved onto the Particle, so push it back the way it came
+            normal.set(prevX - x, prevY - y).normalize();
+        }
+
+        particle.x = hitX + normal.x * EPSILON;
+        particle.y = hitY + normal.y * EPSILON;
+
+        return this.respond(particle, normal);
+    },
+
+    /**
+     * Gets the tile with collision enabled at the given world position, if the source is a Tilemap Layer.
+     *
+     * @method Phaser.GameObjects.Particles.Zones.CollisionZone#getCollidingTile
+     * @since 3.60.0
+     *
+     * @param {number} x - The x coordinate, in world space.
+     * @param {number} y - The y coordinate, in world space.
+     *
+     * @return {?Phaser.Tilemaps.Tile} The colliding tile, or `null` if there isn't one.
+     */
+    getCollidingTile: function (x, y)
+    {
+        var tile = this.source.getTileAtWorldXY(x, y);
+
+        return (tile && tile.collides) ? tile : null;
+    },
+
+    /**
+     * Finds where the path of a Particle first crossed a colliding tile of the source Tilemap Layer.
+     *
+     * The tiles of orthogonal maps are walked along the whole path, so fast Particles can't pass through thin walls
+     * or floors. For other orientations only the tile at the end of the path is tested.
+     *
+     * @method Phaser.GameObjects.Particles.Zones.CollisionZone#testTiles
+     * @private
+     * @since 3.60.0
+     *
+     * @param {number} x1 - The x coordinate of the Particle before it moved.
+     * @param {number} y1 - The y coordinate of the Particle before it moved.
+     * @param {number} x2 - The x coordinate of the Particle after it moved.
+     * @param {number} y2 - The y coordinate of the Particle after it moved.
+     *
+     * @return {boolean} `true` if the path entered a colliding tile, otherwise `false`.
+     */
+    testTiles: function (x1, y1, x2, y2)
+    {
+        var layer = this.source;
+        var tile;
+
+        //  Particles that start inside a tile are free to move out of it
+        if (this.getCollidingTile(x1, y1))
+        {
+            return false;
+        }
+
+        var startX = layer.worldToTileX(x1, false);
+        var startY = layer.worldToTileY(y1, false);
+        var endX = layer.worldToTileX(x2, false);
+        var endY = layer.worldToTileY(y2, false);
+
+        if (typeof startX !== 'number' || typeof startY !== 'number')
+        {
+            //  Not an orthogonal map, so only the end of the path can be tested
+            tile = this.getCollidingTile(x2, y2);
+
+            if (!tile)
+            {
+                return false;
+            }
+
+            this.testRectangle(x1, y1, x2, y2, tile.getLeft(), tile.getTop(), tile.getRight(), tile.getBottom());
+
+            return true;
+        }
+
+        //  Step through every tile the path crosses, in order, until one of them is hit
+        var tileX = Math.floor(startX);
+        var tileY = Math.floor(startY);
+        var dx = endX - startX;
+        var dy = endY - startY;
+        var stepX = (dx > 0) ? 1 : -1;
+        var stepY = (dy > 0) ? 1 : -1;
+        var deltaX = (dx !== 0) ? Math.abs(1 / dx) : Infinity;
+        var deltaY = (dy !== 0) ? Math.abs(1 / dy) : Infinity;
+        var nextX = (dx > 0) ? (tileX + 1 - startX) * deltaX : (startX - tileX) * deltaX;
+        var nextY = (dy > 0) ? (tileY + 1 - startY) * deltaY : (startY - tileY) * deltaY;
+        var steps = Math.abs(Math.floor(endX) - tileX) + Math.abs(Math.floor(endY) - tileY);
+        var found = false;
+
+        for (var i = 0; i < steps; i++)
+        {
+            if (nextX < nextY)
+            {
+                tileX += stepX;
+                nextX += deltaX;
+            }
+            else
+            {
+                tileY += stepY;
+                nextY += deltaY;
+            }
+
+            tile = layer.getTileAt(tileX, tileY);
+
+            if (tile && tile.collides)
+            {
+                found = true;
+
+                this.testRectangle(x1, y1, x2, y2, tile.getLeft(), tile.getTop(), tile.getRight(), tile.getBottom());
+
+                if (this._hitT <= 1)
+                {
+                    break;
+                }
+            }
+        }
+
+        return found;
+    },
+
+    /**
+     * Finds where the path of a Particle first crossed the surface of the source Geom shape.
+     *
+     * @method Phaser.GameObjects.Particles.Zones.CollisionZone#testShape
+     * @private
+     * @since 3.60.0
+     *
+     * @param {number} x1 - The x coordinate of the Particle before it moved.
+     * @param {number} y1 - The y coordinate of the Particle before it moved.
+     * @param {number} x2 - The x coordinate of the Particle after it moved.
+     * @param {number} y2 - The y coordinate of the Particle after it moved.
+     */
+    testShape: function (x1, y1, x2, y2)
+    {
+        var source = this.source;
+
+        switch (source.type)
+        {
+            case GEOM_CONST.CIRCLE:
+                this.testEllipse(x1, y1, x2, y2, source.x, source.y, source.radius, source.radius);
+                break;
+
+            case GEOM_CONST.ELLIPSE:
+                this.testEllipse(x1, y1, x2, y2, source.x, source.y, source.width / 2, source.height / 2);
+                break;
+
+            case GEOM_CONST.RECTANGLE:
+                this.testRectangle(x1, y1, x2, y2, source.x, source.y, source.right, source.bottom);
+                break;
+
+            case GEOM_CONST.TRIANGLE:
+                this.testEdge(x1, y1, x2, y2, source.x1, source.y1, source.x2, source.y2);
+                this.testEdge(x1, y1, x2, y2, source.x2, source.y2, source.x3, source.y3);
+                this.testEdge(x1, y1, x2, y2, source.x3, source.y3, source.x1, source.y1);
+                break;
+
+            case GEOM_CONST.POLYGON:
+                var points = source.points;
+
+                for (var i = 0; i < points.length; i++)
+                {
+                    var a = points[i];
+                    var b = points[(i + 1) % points.length];
+
+                    this.testEdge(x1, y1, x2, y2, a.x, a.y, b.x, b.y);
+                }
+
+                break;
+        }
+    },
+
+    /**
+     * Tests the path of a Particle against the edges of a rectangle.
+     *
+     * @method Phaser.GameObjects.Particles.Zones.CollisionZone#testRectangle
+     * @private
+     * @since 3.60.0
+     *
+     * @param {number} x1 - The x coordinate of the Particle before it moved.
+     * @param {number} y1 - The y coordinate of the Particle before it moved.
+     * @param {number} x2 - The x coordinate of the Particle after it moved.
+     * @param {number} y2 - The y coordinate of the Particle after it moved.
+     * @param {number} left - The left of the rectangle.
+     * @param {number} top - The top of the rectangle.
+     * @param {number} right - The right of the rectangle.
+     * @param {number} bottom - The bottom of the rectangle.
+     */
+    testRectangle: function (x1, y1, x2, y2, left, top, right, bottom)
+    {
+        this.testEdge(x1, y1, x2, y2, left, top, right, top);
+        this.testEdge(x1, y1, x2, y2, right, top, right, bottom);
+        this.testEdge(x1, y1, x2, y2, right, bottom, left, bottom);
+        this.testEdge(x1, y1, x2, y2, left, bottom, left, top);
+    },
+
+    /**
+     * Tests the path of a Particle against a line segment. If the path crosses it closer to the start
+     * than any surface found so far, the crossing and the normal of the segment, facing the start of the path, are stored.
+     *
+     * @method Phaser.GameObjects.Particles.Zones.CollisionZone#testEdge
+     * @private
+     * @since 3.60.0
+     *
+     * @param {number} x1 - The x coordinate of the Particle before it moved.
+     * @param {number} y1 - The y coordinate of the Particle before it moved.
+     * @param {number} x2 - The x coordinate of the Particle after it moved.
+     * @param {number} y2 - The y coordinate of the Particle after it moved.
+     * @param {number} x3 - The x coordinate of the start of the segment.
+     * @param {number} y3 - The y coordinate of the start of the segment.
+     * @param {number} x4 - The x coordinate of the end of the segment.
+     * @param {number} y4 - The y coordinate of the end of the segment.
+     */
+    testEdge: function (x1, y1, x2, y2, x3, y3, x4, y4)
+    {
+        var dx = x2 - x1;
+        var dy = y2 - y1;
+        var ex = x4 - x3;
+        var ey = y4 - y3;
+
+        var denom = dx * ey - dy * ex;
+
+        if (denom === 0)
+        {
+            //  Parallel
+            return;
+        }
+
+        var t = ((x3 - x1) * ey - (y3 - y1) * ex) / denom;
+        var u = ((x3 - x1) * dy - (y3 - y1) * dx) / denom;
+
+        if (t < 0 || t > 1 || u < 0 || u > 1 || t >= this._hitT)
+        {
+            return;
+        }
+
+        var normal = this._normal.set(-ey, ex).normalize();
+
+        //  Face the side the Particle came from
+        if (normal.x * dx + normal.y * dy > 0)
+        {
+            normal.negate();
+        }
+
+        this._hitT = t;
+    },
+
+    /**
+     * Tests the path of a Particle against an ellipse, or a circle when both radii are equal.
+     *
+     * @method Phaser.GameObjects.Particles.Zones.CollisionZone#testEllipse
+     * @private
+     * @since 3.60.0
+     *
+     * @param {number} x1 - The x coordinate of the Particle before it moved.
+     * @param {number} y1 - The y coordinate of the Particle before it moved.
+     * @param {number} x2 - The x coordinate of the Particle after it moved.
+     * @param {number} y2 - The y coordinate of the Particle after it moved.
+     * @param {number} cx - The x coordinate of the center of the ellipse.
+     * @param {number} cy - The y coordinate of the center of the ellipse.
+     * @param {number} rx - The horizontal radius of the ellipse.
+     * @param {number} ry - The vertical radius of the ellipse.
+     */
+    testEllipse: function (x1, y1, x2, y2, cx, cy, rx, ry)
+    {
+        //  Scale the path so the ellipse becomes a unit circle
+        var px = (x1 - cx) / rx;
+        var py = (y1 - cy) / ry;
+        var dx = (x2 - x1) / rx;
+        var dy = (y2 - y1) / ry;
+
+        var a = dx * dx + dy * dy;
+        var b = 2 * (px * dx + py * dy);
+        var c = px * px + py * py - 1;
+
+        var discriminant = b * b - 4 * a * c;
+
+        if (a === 0 || discriminant < 0)
+        {
+            return;
+        }
+
+        var t = (-b - Math.sqrt(discriminant)) / (2 * a);
+
+        if (t < 0 || t > 1)
+        {
+            return;
+        }
+
+        //  The normal of an ellipse is the gradient of its equation at the crossing
+        var hitX = px + dx * t;
+        var hitY = py + dy * t;
+
+        this._normal.set(hitX / rx, hitY / ry).normalize();
+
+        this._hitT = t;
+    },
+
+    /**
+     * Makes a Particle that has been moved back to the surface it hit bounce off it, stick to it or die.
+     *
+     * @method Phaser.GameObjects.Particles.Zones.CollisionZone#respond
+     * @since 3.60.0
+     *
+     * @param {Phaser.GameObjects.Particles.Particle} particle - The colliding Particle.
+     * @param {Phaser.Math.Vector2} normal - The normal of the surface it hit.
+     *
+     * @return {boolean} Returns `true` if the Particle was killed, otherwise `false`.
+     */
+    respond: function (particle, normal)
+    {
+        switch (this.mode)
+        {
+            case CollisionZone.KILL:
+                particle.lifeCurrent = 0;
+                return true;
+
+            case CollisionZone.STICK:
+                particle.velocityX = 0;
+                particle.velocityY = 0;
+                break;
+
+            default:
+                var vx = particle.velocityX;
+                var vy = particle.velocityY;
+                var speed = vx * normal.x + vy * normal.y;
+
+                //  Only rebound if moving into the surface
+                if (speed < 0)
+                {
+                    var slide = 1 - this.friction;
+                    var rebound = -speed * this.restitution;
+
+                    particle.velocityX = (vx - speed * normal.x) * slide + normal.x * rebound;
+                    particle.velocityY = (vy - speed * normal.y) * slide + normal.y * rebound;
+                }
+
+                break;
+        }
+
+        return false;
+    }
+
+});
+
+/**
+ * Colliding Particles bounce off the surface they hit.
+ *
+ * @name Phaser.GameObjects.Particles.Zones.CollisionZone.BOUNCE
+ * @type {string}
+ * @const
+ * @since 3.60.0
+ */
+CollisionZone.BOUNCE = 'bounce';
+
+/**
+ * Colliding Particles stick to the surface they hit until they die.
+ *
+ * @name Phaser.GameObjects.Particles.Zones.CollisionZone.STICK
+ * @type {string}
+ * @const
+ * @since 3.60.0
+ */
+CollisionZone.STICK = 'stick';
+
+/**
+ * Colliding Particles are killed.
+ *
+ * @name Phaser.GameObjects.Particles.Zones.CollisionZone.KILL
+ * @type {string}
+ * @const
+ * @since 3.60.0
+ */
+CollisionZone.KILL = 'kill';
+
+module.exports = CollisionZone;
@@ -10,6 +10,7 @@
 
 module.exports = {
 
+    CollisionZone: require('./CollisionZone'),
     DeathZone: require('./DeathZone'),
     EdgeZone: require('./EdgeZone'),
     RandomZone: require('./RandomZone')
@@ -0,0 +1,171 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+/**
+ * Returns an object containing dimensions of a Text object that uses markup, along with the
+ * layout of each line of styled text.
+ *
+ * Each line is split in to pieces, where each piece is either a single run of text without
+ * spaces, a run of spaces or an inline image.
+ *
+ * @function Phaser.GameObjects.GetMarkupTextSize
+ * @since 3.60.0
+ *
+ * @param {Phaser.GameObjects.Text} text - The Text object to calculate the size from.
+ * @param {Phaser.Types.GameObjects.Text.TextMarkup} markup - The parsed markup of the Text object.
+ * @param {number[][]} lines - The indexes of the characters of the plain text on each line, as returned by `Text.runMarkupWordWrap`.
+ *
+ * @return {Phaser.Types.GameObjects.Text.GetTextSizeObject} An object containing dimensions of the Text object.
+ */
+var GetMarkupTextSize = function (text, markup, lines)
+{
+    var context = text.context;
+    var style = text.style;
+    var plain = markup.text;
+    var runs = markup.runs;
+
+    //  The run each character of the plain text belongs to
+    var charRuns = [];
+    var i;
+    var j;
+
+    for (i = 0; i < runs.length; i++)
+    {
+        for (j = runs[i].start; j < runs[i].end; j++)
+        {
+            charRuns[j] = runs[i];
+        }
+    }
+
+    var drawnLines = lines.length;
+
+    if (style.maxLines > 0 && style.maxLines < lines.length)
+    {
+        drawnLines = style.maxLines;
+    }
+
+    var markupLines = [];
+    var lineWidths = [];
+    var maxLineWidth = 0;
+    var maxLineHeight = 0;
+    var height = 0;
+
+    for (i = 0; i < drawnLines; i++)
+    {
+        var indexes = lines[i];
+        var pieces = [];
+        var piece = null;
+        var ascent = 0;
+        var descent = 0;
+        var strokeThickness = 0;
+        var spaces = 0;
+
+        for (j = 0; j < indexes.length; j++)
+        {
+            var index = indexes[j];
+            var char = plain.charAt(index);
+            var run = charRuns[index];
+            var isSpace = (char === ' ');
+
+            if (!piece || piece.run !== run || run.image || piece.isSpace !== isSpace || index !== piece.end)
+            {
+                piece = {
+                    run: run,
+                    text: '',
+                    x: 0,
+                    width: 0,
+                    isSpace: isSpace,
+                    spaces: spaces,
+                    end: index
+                };
+
+                pieces.push(piece);
+
+                ascent = Math.max(ascent, run.metrics.ascent);
+                descent = Math.max(descent, run.metrics.descent);
+                strokeThickness = Math.max(strokeThickness, run.strokeThickness);
+            }
+
+            piece.text += char;
+            piece.end = index + 1;
+
+            if (isSpace)
+            {
+                spaces++;
+            }
+        }
+
+        if (pieces.length === 0)
+        {
+            ascent = style.metrics.ascent;
+            descent = style.metrics.descent;
+            strokeThickness = style.strokeThickness;
+        }
+
+        var x = 0;
+
+        for (j = 0; j < pieces.length; j++)
+        {
+            piece = pieces[j];
+
+            if (piece.run.image)
+            {
+                piece.width = piece.run.imageWidth;
+            }
+            else
+            {
+                context.font = piece.run.font;
+
+                piece.width = context.measureText(piece.text).width;
+            }
+
+            piece.x = x;
+
+            x += piece.width;
+
+            delete piece.end;
+        }
+
+        var lineWidth = Math.ceil(x + strokeThickness);
+        var lineHeight = ascent + descent + strokeThickness;
+
+        markupLines.push({
+            pieces: pieces,
+            width: lineWidth,
+            height: lineHeight,
+            ascent: ascent,
+            descent: descent,
+            strokeThickness: strokeThickness,
+            spaces: spaces
+        });
+
+        lineWidths[i] = lineWidth;
+        maxLineWidth = Math.max(maxLineWidth, lineWidth);
+        maxLineHeight = Math.max(maxLineHeight, lineHeight);
+
+        height += lineHeight;
+    }
+
+    var lineSpacing = text.lineSpacing;
+
+    //  Adjust for line spacing
+    if (drawnLines > 1)
+    {
+        height += lineSpacing * (drawnLines - 1);
+    }
+
+    return {
+        width: maxLineWidth,
+        height: height,
+        lines: drawnLines,
+        lineWidths: lineWidths,
+        lineSpacing: lineSpacing,
+        lineHeight: maxLineHeight,
+        markupLines: markupLines
+    };
+};
+
+module.exports = GetMarkupTextSize;
@@ -0,0 +1,374 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var Clone = require('../../utils/object/Clone');
+var MeasureText = require('./MeasureText');
+
+//  The character that takes the place of an inline image in the plain text
+var IMAGE_CHAR = '\uFFFC';
+
+//  Tag name: true if the tag needs a value
+var TAGS = {
+    b: false,
+    color: true,
+    colour: true,
+    font: true,
+    i: false,
+    img: true,
+    shadow: false,
+    size: true,
+    stroke: false,
+    u: false,
+    weight: true
+};
+
+/**
+ * Splits a tag value into a color and a list of numbers, i.e. `rgba(0,0,0,0.5),2,2`.
+ *
+ * @ignore
+ */
+var SplitValue = function (value)
+{
+    var result = (/^\s*([a-z]+\([^)]*\)|[^,]*)\s*(?:,(.*))?$/i).exec(value || '');
+    var numbers = [];
+
+    if (result[2])
+    {
+        var parts = result[2].split(',');
+
+        for (var i = 0; i < parts.length; i++)
+        {
+            numbers.push(parseFloat(parts[i]) || 0);
+        }
+    }
+
+    return { color: result[1], numbers: numbers };
+};
+
+/**
+ * Applies a tag to the given markup state.
+ *
+ * @ignore
+ */
+var ApplyTag = function (state, name, value, style)
+{
+    var parts;
+
+    switch (name)
+    {
+        case 'b':
+            state.weight = 'bold';
+            break;
+
+        case 'i':
+            state.italic = true;
+            break;
+
+        case 'weight':
+            state.weight = value;
+            break;
+
+        case 'color':
+        case 'colour':
+            state.color = value;
+            break;
+
+        case 'size':
+            state.fontSize = ((/^\d+(\.\d+)?$/).test(value)) ? value + 'px' : value;
+            break;
+
+        case 'font':
+            state.fontFamily = value;
+            break;
+
+        case 'stroke':
+            parts = SplitValue(value);
+
+            state.stroke = parts.color || style.stroke;
+            state.strokeThickness = (parts.numbers.length) ? parts.numbers[0] : (style.strokeThickness || 2);
+            break;
+
+        case 'shadow':
+            parts = SplitValue(value);
+
+            var x = style.shadowOffsetX;
+            var y = style.shadowOffsetY;
+            var blur = style.shadowBlur;
+
+            if (parts.numbers.length)
+            {
+                x = parts.numbers[0];
+                y = (parts.numbers.length > 1) ? parts.numbers[1] : x;
+                blur = (parts.numbers.length > 2) ? parts.numbers[2] : 0;
+            }
+            else if (x === 0 && y === 0 && blur === 0)
+            {
+                x = 2;
+                y = 2;
+            }
+
+            state.shadow = {
+                color: parts.color || style.shadowColor,
+                offsetX: x,
+                offsetY: y,
+                blur: blur,
+                stroke: true,
+                fill: true
+            };
+            break;
+
+        case 'u':
+            state.underline = value || true;
+            break;
+    }
+};
+
+/**
+ * Parses the inline markup in the text of a Text Game Object into a list of styled runs.
+ *
+ * The markup uses BBCode style tags. Each tag changes the style of the text that follows it, until the matching
+ * closing tag, such as `[/color]`. Tags can be nested. Anything that isn't a known tag is left in the text as it is.
+ * To write a literal `[` that would otherwise start a tag, escape it with a backslash: `\[b]`, written as `'\\[b]'`
+ * in a JavaScript string, shows `[b]`.
+ *
+ * | Tag | Effect |
+ * | --- | --- |
+ * | `[color=#ff0]` or `[colour=#ff0]` | The fill color, as a CSS color string. |
+ * | `[size=24]` | The font size, in pixels, or as a CSS size such as `2em`. |
+ * | `[font=Arial]` | The font family. |
+ * | `[b]`, `[weight=600]` | The font weight. |
+ * | `[i]` | Italic text. |
+ * | `[stroke]`, `[stroke=#000]`, `[stroke=#000,4]` | A stroke, with an optional color and thickness. |
+ * | `[shadow]`, `[shadow=#000]`, `[shadow=#000,2,2,4]` | A shadow, with an optional color, offset x, offset y and blur. |
+ * | `[u]`, `[u=#f00]` | An underline, with an optional color. The fill color is used by default. |
+ * | `[img=key]`, `[img=key:frame]` | An image from the Texture Manager. This tag has no closing tag. |
+ *
+ * Strokes and shadows without values use the stroke and shadow settings of the Text Style.
+ *
+ * Inline images are represented by a single `\uFFFC` character in the plain text.
+ *
+ * @function Phaser.GameObjects.ParseMarkup
+ * @since 3.60.0
+ *
+ * @param {string} text - The text to parse.
+ * @param {Phaser.GameObjects.TextStyle} style - The Text Style the runs are based on.
+ * @param {Phaser.Textures.TextureManager} [textures] - The Texture Manager to get inline images from. If not given, images have no size.
+ *
+ * @return {Phaser.Types.GameObjects.Text.TextMarkup} The plain text and its styled runs.
+ */
+var ParseMarkup = function (text, style, textures)
+{
+    var fontStyle = style.fontStyle;
+
+    var base = {
+        italic: (/\bitalic\b/i).test(fontStyle),
+        weight: fontStyle.replace(/\bitalic\b/i, '').trim(),
+        fontSize: style.fontSize,
+        fontFamily: style.fontFamily,
+        color: style.color,
+        stroke: style.stroke,
+        strokeThickness: style.strokeThickness,
+        shadow: null,
+        underline: null
+    };
+
+    if (style.shadowStroke || style.shadowFill)
+    {
+        base.shadow = {
+            color: style.shadowColor,
+            offsetX: style.shadowOffsetX,
+            offsetY: style.shadowOffsetY,
+            blur: style.shadowBlur,
+            stroke: style.shadowStroke,
+            fill: style.shadowFill
+        };
+    }
+
+    //  The metrics of each font are cached by the Text Style, starting with those it has already measured
+    var metrics = style._markupMetrics || {};
+
+    metrics[style._font] = style.metrics;
+
+    var stack = [];
+    var state = base;
+    var plain = '';
+    var runs = [];
+    var run = null;
+
+    var getState = function ()
+    {
+        var result = Clone(base);
+
+        for (var i = 0; i < stack.length; i++)
+        {
+            ApplyTag(result, stack[i].name, stack[i].value, style);
+        }
+
+        return result;
+    };
+
+    var addRun = function (chars, image)
+    {
+        if (!run || run.state !== state || image || run.image)
+        {
+            var font = [ (state.italic) ? 'italic' : '', state.weight, state.fontSize, state.fontFamily ].join(' ').replace(/\s+/g, ' ').trim();
+
+            if (!metrics.hasOwnProperty(font))
+            {
+                metrics[font] = MeasureText({
+                    testString: style.testString,
+                    baselineX: style.baselineX,
+                    baselineY: style.baselineY,
+                    syncFont: function (canvas, context)
+                    {
+                        context.font = font;
+                    }
+                });
+            }
+
+            var underline = state.underline;
+
+            run = {
+                state: state,
+                start: plain.length,
+                end: plain.length,
+                text: '',
+                font: font,
+                metrics: metrics[font],
+                color: state.color,
+                stroke: state.stroke,
+                strokeThickness: state.strokeThickness,
+                shadow: state.shadow,
+                underline: (underline === true) ? state.color : underline,
+                image: image || null,
+                frame: null,
+                imageWidth: 0,
+                imageHeight: 0
+            };
+
+            //  Images are scaled to the height of the font
+            var frame = (image && textures) ? textures.getFrame(image.key, image.frame) : null;
+
+            if (frame)
+            {
+                run.frame = frame;
+                run.imageHeight = run.metrics.fontSize;
+                run.imageWidth = frame.width * run.imageHeight / frame.height;
+            }
+
+            runs.push(run);
+        }
+
+        plain += chars;
+
+        run.text += chars;
+        run.end = plain.length;
+    };
+
+    var regex = /\\\[|\[(\/?)([a-z]+)(?:=([^\]]*))?\]/gi;
+    var last = 0;
+    var result;
+
+    while ((result = regex.exec(text)) !== null)
+    {
+        if (result[0] === '\\[')
+        {
+            //  An escaped bracket
+            addRun(text.substring(last, result.index) + '[');
+
+            last = regex.lastIndex;
+
+            continue;
+        }
+
+        var closing = (result[1] === '/');
+        var name = result[2].toLowerCase();
+        var value = result[3];
+        var valid = TAGS.hasOwnProperty(name);
+
+        if (valid)
+        {
+            if (closing)
+            {
+                valid = (value === undefined && name !== 'img');
+            }
+            else if (TAGS[name])
+            {
+                valid = !!value;
+            }
+        }
+
+        var index = -1;
+
+        if (valid && closing)
+        {
+            for (var i = stack.length - 1; i >= 0; i--)
+            {
+                if (stack[i].name === name || (name === 'colour' && stack[i].name === 'color') || (name === 'color' && stack[i].name === 'colour'))
+                {
+                    index = i;
+                    break;
+                }
+            }
+
+            valid = (index !== -1);
+        }
+
+        if (!valid)
+        {
+            continue;
+        }
+
+        if (result.index > last)
+        {
+            addRun(text.substring(last, result.index));
+        }
+
+        last = regex.lastIndex;
+
+        if (name === 'img')
+        {
+            var split = value.indexOf(':');
+
+            addRun(IMAGE_CHAR, {
+                key: (split === -1) ? value : value.substr(0, split),
+                frame: (split === -1) ? undefined : value.substr(split + 1)
+            });
+        }
+        else
+        {
+            if (closing)
+            {
+                stack.splice(index, 1);
+            }
+            else
+            {
+                stack.push({ name: name, value: value });
+            }
+
+            state = getState();
+        }
+    }
+
+    if (last < text.length)
+    {
+        addRun(text.substr(last));
+    }
+
+    for (var r = 0; r < runs.length; r++)
+    {
+        delete runs[r].state;
+    }
+
+    return {
+        text: plain,
+        runs: runs
+    };
+};
+
+ParseMarkup.IMAGE_CHAR = IMAGE_CHAR;
+
+module.exports = ParseMarkup;
@@ -10,8 +10,10 @@ var Class = require('../../utils/Class');
 var Components = require('../components');
 var GameEvents = require('../../core/events');
 var GameObject = require('../GameObject');
+var GetMarkupTextSize = require('./GetMarkupTextSize');
 var GetTextSize = require('./GetTextSize');
 var GetValue = require('../../utils/object/GetValue');
+var ParseMarkup = require('./ParseMarkup');
 var RemoveFromDOM = require('../../dom/RemoveFromDOM');
 var TextRender = require('./TextRender');
 var TextStyle = require('./TextStyle');
@@ -240,6 +242,16 @@ var Text = new Class({
          */
         this.dirty = false;
 
+        /**
+         * The layout of the lines of styled text, from the last time the text was updated with markup enabled.
+         *
+         * @name Phaser.GameObjects.Text#_markupLines
+         * @type {?Phaser.Types.GameObjects.Text.TextMarkupLine[]}
+         * @private
+         * @since 3.60.0
+         */
+        this._markupLines = null;
+
         //  If resolution wasn't set, force it to 1
         if (this.style.resolution === 0)
         {
@@ -326,6 +338,9 @@ var Text = new Class({
      * Greedy wrapping algorithm that will wrap words as the line grows longer than its horizontal
      * bounds.
      *
+     * If markup is enabled the tags are removed from the text and each run is measured in its own
+     * style, so the result is the wrapped plain text.
+     *
      * @method Phaser.GameObjects.Text#runWordWrap
      * @since 3.0.0
      *
@@ -337,7 +352,26 @@ var Text = new Class({
     {
         var style = this.style;
 
-        if (style.wordWrapCallback)
+        if (style.markup)
+        {
+            var markup = ParseMarkup(text, style, this.scene.sys.textures);
+            var lines = this.runMarkupWordWrap(markup);
+
+            for (var i = 0; i < lines.length; i++)
+            {
+                var line = '';
+
+                for (var j = 0; j < lines[i].length; j++)
+                {
+                    line += markup.text.charAt(lines[i][j]);
+                }
+
+                lines[i] = line;
+            }
+
+            return lines.join('\n');
+        }
+        else if (style.wordWrapCallback)
         {
             var wrappedLines = style.wordWrapCallback.call(style.wordWrapCallbackScope, text, this);
 
@@ -557,6 +591,318 @@ var Text = new Class({
         return result;
     },
 
+    /**
+     * Runs the plain text of parsed markup through the word wrapping of this Text object.
+     *
+     * A word wrap callback is given the plain text and its result is matched back to the characters
+     * of the runs. Otherwise the text is wrapped by `markupWordWrap`, with the basic or advanced rules.
+     *
+     * @method Phaser.GameObjects.Text#runMarkupWordWrap
+     * @since 3.60.0
+     *
+     * @param {Phaser.Types.GameObjects.Text.TextMarkup} markup - The parsed markup to wrap.
+     *
+     * @return {number[][]} The indexes of the characters of the plain text on each line.
+     */
+    runMarkupWordWrap: function (markup)
+    {
+        var style = this.style;
+
+        if (style.wordWrapCallback)
+        {
+            var wrappedLines = style.wordWrapCallback.call(style.wordWrapCallbackScope, markup.text, this);
+
+            if (Array.isArray(wrappedLines))
+            {
+                wrappedLines = wrappedLines.join('\n');
+            }
+
+            return this.getMarkupLines(markup.text, wrappedLines);
+        }
+
+        return this.markupWordWrap(markup, this.context, style.wordWrapWidth, style.wordWrapUseAdvanced);
+    },
+
+    /**
+     * Wrapping algorithm for text with markup. Each word is measured using the styles of the runs it
+     * is made of and inline images are treated as part of the word they touch.
+     *
+     * The basic rules keep all white space. The advanced rules collapse consecutive spaces, trim
+     * white space from the start and end of the lines and break words that are longer than the
+     * word wrap width.
+     *
+     * @method Phaser.GameObjects.Text#markupWordWrap
+     * @since 3.60.0
+     *
+     * @param {Phaser.Types.GameObjects.Text.TextMarkup} markup - The parsed markup to wrap.
+     * @param {CanvasRenderingContext2D} context - The Canvas Rendering Context.
+     * @param {?number} wordWrapWidth - The word wrap width. If not set, the text is only split on its line breaks.
+     * @param {boolean} [useAdvanced=false] - Use the advanced wrapping rules?
+     *
+     * @return {number[][]} The indexes of the characters of the plain text on each line.
+     */
+    markupWordWrap: function (markup, context, wordWrapWidth, useAdvanced)
+    {
+        var text = markup.text;
+        var output = [];
+        var start = 0;
+        var i;
+
+        for (var end = 0; end <= text.length; end++)
+        {
+            var char = text.charAt(end);
+
+            if (end < text.length && char !== '\n' && char !== '\r')
+            {
+                continue;
+            }
+
+            var line = [];
+
+            if (!wordWrapWidth)
+            {
+                for (i = start; i < end; i++)
+                {
+                    line.push(i);
+                }
+            }
+            else
+            {
+                var lineWidth = 0;
+                var hasWord = false;
+                var spaceStart = start;
+                var pos = start;
+
+                while (pos < end)
+                {
+                    if (text.charAt(pos) === ' ')
+                    {
+                        pos++;
+
+                        continue;
+                    }
+
+                    var wordStart = pos;
+
+                    while (pos < end && text.charAt(pos) !== ' ')
+                    {
+                        pos++;
+                    }
+
+                    var spaceEnd = wordStart;
+
+                    if (useAdvanced)
+                    {
+                        spaceEnd = (hasWord) ? spaceStart + 1 : spaceStart;
+                    }
+
+                    var spaceWidth = this.measureMarkupText(markup, context, spaceStart, spaceEnd);
+                    var wordWidth = this.measureMarkupText(markup, context, wordStart, pos);
+
+                    if (hasWord && lineWidth + spaceWidth + wordWidth > wordWrapWidth)
+                    {
+                        output.push(line);
+
+                        line = [];
+                        lineWidth = 0;
+                    }
+                    else
+                    {
+                        for (i = spaceStart; i < spaceEnd; i++)
+                        {
+                            line.push(i);
+                        }
+
+                        lineWidth += spaceWidth;
+                    }
+
+                    if (useAdvanced && wordWidth > wordWrapWidth)
+                    {
+                        //  Shave off letters from the word until each piece is small enough, keeping at least one
+                        var pieceStart = wordStart;
+
+                        while (pieceStart < pos)
+                        {
+                            var pieceEnd = pieceStart + 1;
+
+                            while (pieceEnd < pos && this.measureMarkupText(markup, context, pieceStart, pieceEnd + 1) <= wordWrapWidth)
+                            {
+                                pieceEnd++;
+                            }
+
+                            for (i = pieceStart; i < pieceEnd; i++)
+                            {
+                                line.push(i);
+                            }
+
+                            if (pieceEnd < pos)
+                            {
+                                output.push(line);
+
+                                line = [];
+                            }
+                            else
+                            {
+                                lineWidth = this.measureMarkupText(markup, context, pieceStart, pieceEnd);
+                            }
+
+                            pieceStart = pieceEnd;
+                        }
+                    }
+                    else
+                    {
+                        for (i = wordStart; i < pos; i++)
+                        {
+                            line.push(i);
+                        }
+
+                        lineWidth += wordWidth;
+                    }
+
+                    hasWord = true;
+                    spaceStart = pos;
+                }
+
+                if (!useAdvanced)
+                {
+                    for (i = spaceStart; i < end; i++)
+                    {
+                        line.push(i);
+                    }
+                }
+            }
+
+            output.push(line);
+
+            if (char === '\r' && text.charAt(end + 1) === '\n')
+            {
+                end++;
+            }
+
+            start = end + 1;
+        }
+
+        return output;
+    },
+
+    /**
+     * Measures the width of part of the plain text of parsed markup, using the styles of its runs.
+     *
+     * @method Phaser.GameObjects.Text#measureMarkupText
+     * @private
+     * @since 3.60.0
+     *
+     * @param {Phaser.Types.GameObjects.Text.TextMarkup} markup - The parsed markup.
+     * @param {CanvasRenderingContext2D} context - The Canvas Rendering Context.
+     * @param {number} start - The index of the first character to measure.
+     * @param {number} end - The index after the last character to measure.
+     *
+     * @return {number} The width of the text.
+     */
+    measureMarkupText: function (markup, context, start, end)
+    {
+        var runs = markup.runs;
+        var width = 0;
+
+        for (var i = 0; i < runs.length; i++)
+        {
+            var run = runs[i];
+            var from = Math.max(start, run.start);
+            var to = Math.min(end, run.end);
+
+            if (from >= to)
+            {
+                continue;
+            }
+
+            if (run.image)
+            {
+                width += run.imageWidth;
+            }
+            else
+            {
+                context.font = run.font;
+
+                width += context.measureText(run.text.substring(from - run.start, to - run.start)).width;
+            }
+        }
+
+        return width;
+    },
+
+    /**
+     * Matches the result of a word wrap callback back to the characters of the plain text it was given.
+     *
+     * Characters the callback removed are skipped and line breaks it added start a new line.
+     *
+     * @method Phaser.GameObjects.Text#getMarkupLines
+     * @private
+     * @since 3.60.0
+     *
+     * @param {string} text - The plain text that was wrapped.
+     * @param {string} wrapped - The wrapped text.
+     *
+     * @return {number[][]} The indexes of the characters of the plain text on each line.
+     */
+    getMarkupLines: function (text, wrapped)
+    {
+        var output = [];
+        var line = [];
+        var j = 0;
+
+        var isBreak = function (char)
+        {
+            return (char === '\n' || char === '\r');
+        };
+
+        for (var i = 0; i < wrapped.length; i++)
+        {
+            var char = wrapped.charAt(i);
+
+            if (isBreak(char))
+            {
+                output.push(line);
+
+                line = [];
+
+                if (char === '\r' && wrapped.charAt(i + 1) === '\n')
+                {
+                    i++;
+                }
+
+                //  Consume the line break, if it was in the original text
+                if (isBreak(text.charAt(j)))
+                {
+                    j += (text.charAt(j) === '\r' && text.charAt(j + 1) === '\n') ? 2 : 1;
+                }
+
+                continue;
+            }
+
+            //  Skip the characters that were removed
+            while (j < text.length && text.charAt(j) !== char && !(char === ' ' && isBreak(text.charAt(j))))
+            {
+                j++;
+            }
+
+            if (j === text.length)
+            {
+                break;
+            }
+
+            if (!isBreak(text.charAt(j)))
+            {
+                line.push(j);
+            }
+
+            j++;
+        }
+
+        output.push(line);
+
+        return output;
+    },
+
     /**
      * Runs the given text through this Text objects word wrapping and returns the results as an
      * array, where each element of the array corresponds to a wrapped line of text.
@@ -1112,17 +1458,33 @@ var Text = new Class({
 
         style.syncFont(canvas, context);
 
-        var outputText = this._text;
+        var lines;
+        var textSize;
 
-        if (style.wordWrapWidth || style.wordWrapCallback)
+        if (style.markup)
         {
-            outputText = this.runWordWrap(this._text);
+            var markup = ParseMarkup(this._text, style, this.scene.sys.textures);
+
+            textSize = GetMarkupTextSize(this, markup, this.runMarkupWordWrap(markup));
+
+            this._markupLines = textSize.markupLines;
         }
+        else
+        {
+            var outputText = this._text;
 
-        //  Split text into lines
-        var lines = outputText.split(this.splitRegExp);
+            if (style.wordWrapWidth || style.wordWrapCallback)
+            {
+                outputText = this.runWordWrap(this._text);
+            }
+
+            //  Split text into lines
+            lines = outputText.split(this.splitRegExp);
 
-        var textSize = GetTextSize(this, size, lines);
+            textSize = GetTextSize(this, size, lines);
+
+            this._markupLines = null;
+        }
 
         var padding = this.padding;
 
@@ -1198,78 +1560,85 @@ var Text = new Class({
         //  Apply padding
         context.translate(padding.left, padding.top);
 
-        var linePositionX;
-        var linePositionY;
-
-        //  Draw text line by line
-        for (var i = 0; i < textSize.lines; i++)
+        if (textSize.markupLines)
         {
-            linePositionX = style.strokeThickness / 2;
-            linePositionY = (style.strokeThickness / 2 + i * textSize.lineHeight) + size.ascent;
+            this.drawMarkupText(textSize, textWidth);
+        }
+        else
+        {
+            var linePositionX;
+            var linePositionY;
 
-            if (i > 0)
+            //  Draw text line by line
+            for (var i = 0; i < textSize.lines; i++)
             {
-                linePositionY += (textSize.lineSpacing * i);
-            }
+                linePositionX = style.strokeThickness / 2;
+                linePositionY = (style.strokeThickness / 2 + i * textSize.lineHeight) + size.ascent;
 
-            if (style.rtl)
-            {
-                linePositionX = w - linePositionX;
-            }
-            else if (style.align === 'right')
-            {
-                linePositionX += textWidth - textSize.lineWidths[i];
-            }
-            else if (style.align === 'center')
-            {
-                linePositionX += (textWidth - textSize.lineWidths[i]) / 2;
-            }
-            else if (style.align === 'justify')
-            {
-                //  To justify text line its width must be no less than 85% of defined width
-                var minimumLengthToApplyJustification = 0.85;
+                if (i > 0)
+                {
+                    linePositionY += (textSize.lineSpacing * i);
+                }
 
-                if (textSize.lineWidths[i] / textSize.width >= minimumLengthToApplyJustification)
+                if (style.rtl)
+                {
+                    linePositionX = w - linePositionX;
+                }
+                else if (style.align === 'right')
+                {
+                    linePositionX += textWidth - textSize.lineWidths[i];
+                }
+                else if (style.align === 'center')
+                {
+                    linePositionX += (textWidth - textSize.lineWidths[i]) / 2;
+                }
+                else if (style.align === 'justify')
                 {
-                    var extraSpace = textSize.width - textSize.lineWidths[i];
-                    var spaceSize = context.measureText(' ').width;
-                    var trimmedLine = lines[i].trim();
-                    var array = trimmedLine.split(' ');
+                    //  To justify text line its width must be no less than 85% of defined width
+                    var minimumLengthToApplyJustification = 0.85;
 
-                    extraSpace += (lines[i].length - trimmedLine.length) * spaceSize;
+                    if (textSize.lineWidths[i] / textSize.width >= minimumLengthToApplyJustification)
+                    {
+                        var extraSpace = textSize.width - textSize.lineWidths[i];
+                        var spaceSize = context.measureText(' ').width;
+                        var trimmedLine = lines[i].trim();
+                        var array = trimmedLine.split(' ');
 
-                    var extraSpaceCharacters = Math.floor(extraSpace / spaceSize);
-                    var idx = 0;
+                        extraSpace += (lines[i].length - trimmedLine.length) * spaceSize;
 
-                    while (extraSpaceCharacters > 0)
-                    {
-                        array[idx] += ' ';
-                        idx = (idx + 1) % (array.length - 1 || 1);
-                        --extraSpaceCharacters;
-                    }
+                        var extraSpaceCharacters = Math.floor(extraSpace / spaceSize);
+                        var idx = 0;
+
+                        while (extraSpaceCharacters > 0)
+                        {
+                            array[idx] += ' ';
+                            idx = (idx + 1) % (array.length - 1 || 1);
+                            --extraSpaceCharacters;
+                        }
 
-                    lines[i] = array.join(' ');
+                        lines[i] = array.join(' ');
+                    }
                 }
-            }
 
-            if (this.autoRound)
-            {
-                linePositionX = Math.round(linePositionX);
-                linePositionY = Math.round(linePositionY);
-            }
+                if (this.autoRound)
+                {
+                    linePositionX = Math.round(linePositionX);
+                    linePositionY = Math.round(linePositionY);
+                }
 
-            if (style.strokeThickness)
-            {
-                this.style.syncShadow(context, style.shadowStroke);
+                if (style.strokeThickness)
+                {
+                    this.style.syncShadow(context, style.shadowStroke);
 
-                context.strokeText(lines[i], linePositionX, linePositionY);
-            }
+                    context.strokeText(lines[i], linePositionX, linePositionY);
+                }
 
-            if (style.color)
-            {
-                this.style.syncShadow(context, style.shadowFill);
+                if (style.color)
+                {
+                    this.style.syncShadow(context, style.shadowFill);
 
-                context.fillText(lines[i], linePositionX, linePositionY);
+                    context.fillText(lines[i], linePositionX, linePositionY);
+                }
             }
         }
 
@@ -1295,9 +1664,172 @@ var Text = new Class({
         return this;
     },
 
+    /**
+     * Draws the lines of text with markup, run by run, in to the canvas of this Text object.
+     *
+     * @method Phaser.GameObjects.Text#drawMarkupText
+     * @private
+     * @since 3.60.0
+     *
+     * @param {Phaser.Types.GameObjects.Text.GetTextSizeObject} textSize - The size and layout of the text, as returned by `GetMarkupTextSize`.
+     * @param {number} textWidth - The width of the area the text is aligned within.
+     */
+    drawMarkupText: function (textSize, textWidth)
+    {
+        var context = this.context;
+        var style = this.style;
+        var lines = textSize.markupLines;
+        var lineTop = 0;
+
+        for (var i = 0; i < lines.length; i++)
+        {
+            var line = lines[i];
+            var lineX = line.strokeThickness / 2;
+            var baseline = lineTop + line.strokeThickness / 2 + line.ascent;
+            var extraSpace = 0;
+
+            if (style.align === 'right')
+            {
+                lineX += textWidth - line.width;
+            }
+            else if (style.align === 'center')
+            {
+                lineX += (textWidth - line.width) / 2;
+            }
+            else if (style.align === 'justify' && line.spaces > 0)
+            {
+                //  To justify text line its width must be no less than 85% of defined width
+                if (line.width / textSize.width >= 0.85)
+                {
+                    extraSpace = (textSize.width - line.width) / line.spaces;
+                }
+            }
+
+            for (var j = 0; j < line.pieces.length; j++)
+            {
+                var piece = line.pieces[j];
+                var run = piece.run;
+                var x = lineX + piece.x + piece.spaces * extraSpace;
+                var y = baseline;
+
+                if (this.autoRound)
+                {
+                    x = Math.round(x);
+                    y = Math.round(y);
+                }
+
+                if (run.image)
+                {
+                    var frame = run.frame;
+
+                    if (frame)
+                    {
+                        this.syncMarkupShadow(run.shadow, run.shadow && run.shadow.fill);
+
+                        context.drawImage(frame.source.image, frame.cutX, frame.cutY, frame.cutWidth, frame.cutHeight, x, y - run.metrics.ascent, run.imageWidth, run.imageHeight);
+                    }
+                }
+                else
+                {
+                    context.font = run.font;
+
+                    if (run.strokeThickness && !piece.isSpace)
+                    {
+                        this.syncMarkupShadow(run.shadow, run.shadow && run.shadow.stroke);
+
+                        context.strokeStyle = run.stroke;
+                        context.lineWidth = run.strokeThickness;
+
+                        context.strokeText(piece.text, x, y);
+                    }
+
+                    if (run.color && !piece.isSpace)
+                    {
+                        this.syncMarkupShadow(run.shadow, run.shadow && run.shadow.fill);
+
+                        context.fillStyle = run.color;
+
+                        context.fillText(piece.text, x, y);
+                    }
+                }
+
+                if (run.underline)
+                {
+                    var thickness = Math.max(1, Math.round(run.metrics.fontSize / 16));
+
+                    this.syncMarkupShadow(run.shadow, run.shadow && run.shadow.fill);
+
+                    context.fillStyle = run.underline;
+
+                    context.fillRect(x, y + Math.ceil(run.metrics.descent / 3), piece.width + ((piece.isSpace) ? piece.text.length * extraSpace : 0), thickness);
+                }
+            }
+
+            lineTop += line.height + textSize.lineSpacing;
+        }
+    },
+
+    /**
+     * Sets the shadow of the canvas context to draw a run of text with markup.
+     *
+     * @method Phaser.GameObjects.Text#syncMarkupShadow
+     * @private
+     * @since 3.60.0
+     *
+     * @param {?object} shadow - The shadow settings of the run.
+     * @param {boolean} enabled - Whether the shadow is enabled or not.
+     */
+    syncMarkupShadow: function (shadow, enabled)
+    {
+        var context = this.context;
+
+        if (enabled)
+        {
+            context.shadowOffsetX = shadow.offsetX;
+            context.shadowOffsetY = shadow.offsetY;
+            context.shadowColor = shadow.color;
+            context.shadowBlur = shadow.blur;
+        }
+        else
+        {
+            context.shadowOffsetX = 0;
+            context.shadowOffsetY = 0;
+            context.shadowColor = 0;
+            context.shadowBlur = 0;
+        }
+    },
+
+    /**
+     * Enables or disables inline markup in the text of this Text object.
+     *
+     * With markup enabled, BBCode style tags in the text change the style of the runs of text
+     * between them:
+     *
+     * ```javascript
+     * this.add.text(0, 0, 'Find the [color=#ff0][b]golden key[/b][/color] [img=icons:key]', { markup: true });
+     * ```
+     *
+     * See {@link Phaser.GameObjects.ParseMarkup} for the list of tags. Right to left text is
+     * not supported with markup.
+     *
+     * @method Phaser.GameObjects.Text#setMarkup
+     * @since 3.60.0
+     *
+     * @param {boolean} [enabled=true] - Whether markup is enabled or not.
+     *
+     * @return {this} This Text object.
+     */
+    setMarkup: function (enabled)
+    {
+        return this.style.setMarkup(enabled);
+    },
+
     /**
      * Get the current text metrics.
      *
+     * If markup is enabled, the metrics cover all of the styled runs of the text, using the
+     * largest ascent and descent found in them.
+     *
      * @method Phaser.GameObjects.Text#getTextMetrics
      * @since 3.0.0
      *
@@ -1305,7 +1837,27 @@ var Text = new Class({
      */
     getTextMetrics: function ()
     {
-        return this.style.getTextMetrics();
+        var lines = this._markupLines;
+
+        if (!lines || lines.length === 0)
+        {
+            return this.style.getTextMetrics();
+        }
+
+        var ascent = 0;
+        var descent = 0;
+
+        for (var i = 0; i < lines.length; i++)
+        {
+            ascent = Math.max(ascent, lines[i].ascent);
+            descent = Math.max(descent, lines[i].descent);
+        }
+
+        return {
+            ascent: ascent,
+            descent: descent,
+            fontSize: ascent + descent
+        };
     },
 
     /**
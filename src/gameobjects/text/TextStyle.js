@@ -31,6 +31,7 @@ var propertyMap = {
     fixedHeight: [ 'fixedHeight', 0 ],
     resolution: [ 'resolution', 0 ],
     rtl: [ 'rtl', false ],
+    markup: [ 'markup', false ],
     testString: [ 'testString', '|MÃ‰qgy' ],
     baselineX: [ 'baselineX', 1.2 ],
     baselineY: [ 'baselineY', 1.4 ],
@@ -264,6 +265,18 @@ var TextStyle = new Class({
          */
         this.rtl;
 
+        /**
+         * Whether inline markup tags in the text are used to style runs of the text.
+         *
+         * See {@link Phaser.GameObjects.ParseMarkup} for the list of tags.
+         *
+         * @name Phaser.GameObjects.TextStyle#markup
+         * @type {boolean}
+         * @default false
+         * @since 3.60.0
+         */
+        this.markup;
+
         /**
          * The test string to use when measuring the font.
          *
@@ -356,6 +369,17 @@ var TextStyle = new Class({
          */
         this._font;
 
+        /**
+         * The metrics of the fonts used by the inline markup of the text, keyed by font string.
+         * Cleared whenever the style changes.
+         *
+         * @name Phaser.GameObjects.TextStyle#_markupMetrics
+         * @type {Object.<string, Phaser.Types.GameObjects.Text.TextMetrics>}
+         * @private
+         * @since 3.60.0
+         */
+        this._markupMetrics = {};
+
         //  Set to defaults + user style
         this.setStyle(style, false, true);
 
@@ -435,6 +459,8 @@ var TextStyle = new Class({
 
         this._font = [ this.fontStyle, this.fontSize, this.fontFamily ].join(' ').trim();
 
+        this._markupMetrics = {};
+
         //  Allow for 'fill' to be used in place of 'color'
         var fill = GetValue(style, 'fill', null);
 
@@ -532,6 +558,8 @@ var TextStyle = new Class({
             this._font = [ this.fontStyle, this.fontSize, this.fontFamily ].join(' ').trim();
 
             this.metrics = MeasureText(this);
+
+            this._markupMetrics = {};
         }
 
         return this.parent.updateText();
@@ -1043,6 +1071,25 @@ var TextStyle = new Class({
         return this.update(false);
     },
 
+    /**
+     * Enables or disables inline markup in the text.
+     *
+     * @method Phaser.GameObjects.TextStyle#setMarkup
+     * @since 3.60.0
+     *
+     * @param {boolean} [enabled=true] - Whether markup is enabled or not.
+     *
+     * @return {Phaser.GameObjects.Text} The parent Text object.
+     */
+    setMarkup: function (enabled)
+    {
+        if (enabled === undefined) { enabled = true; }
+
+        this.markup = enabled;
+
+        return this.update(false);
+    },
+
     /**
      * Get the current text metrics.
      *
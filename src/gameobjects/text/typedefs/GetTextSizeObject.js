@@ -10,4 +10,5 @@
  * @property {number[]} lineWidths - An array of the lines for each line in the Text object.
  * @property {number} lineSpacing - The line spacing of the Text object.
  * @property {number} lineHeight - The height of a line factoring in font and stroke.
+ * @property {Phaser.Types.GameObjects.Text.TextMarkupLine[]} [markupLines] - The layout of each line, if the Text object uses markup. The `lineHeight` is then the height of the tallest line.
  */
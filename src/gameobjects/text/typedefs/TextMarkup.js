@@ -0,0 +1,9 @@
+/**
+ * The result of parsing the inline markup of a Text object.
+ *
+ * @typedef {object} Phaser.Types.GameObjects.Text.TextMarkup
+ * @since 3.60.0
+ *
+ * @property {string} text - The text with the tags removed. Each inline image is a single `\uFFFC` character.
+ * @property {Phaser.Types.GameObjects.Text.TextMarkupRun[]} runs - The runs of styled text, in order.
+ */
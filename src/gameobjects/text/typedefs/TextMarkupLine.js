@@ -0,0 +1,14 @@
+/**
+ * The layout of a line of text with markup.
+ *
+ * @typedef {object} Phaser.Types.GameObjects.Text.TextMarkupLine
+ * @since 3.60.0
+ *
+ * @property {Phaser.Types.GameObjects.Text.TextMarkupPiece[]} pieces - The pieces of the line, from left to right.
+ * @property {number} width - The width of the line, including the stroke.
+ * @property {number} height - The height of the line, including the stroke.
+ * @property {number} ascent - The largest ascent of the runs in the line.
+ * @property {number} descent - The largest descent of the runs in the line.
+ * @property {number} strokeThickness - The thickest stroke of the runs in the line.
+ * @property {number} spaces - The number of spaces in the line.
+ */
@@ -0,0 +1,13 @@
+/**
+ * A piece of a line of text with markup. This is a part of a single run that is either a word, some spaces or an inline image.
+ *
+ * @typedef {object} Phaser.Types.GameObjects.Text.TextMarkupPiece
+ * @since 3.60.0
+ *
+ * @property {Phaser.Types.GameObjects.Text.TextMarkupRun} run - The run this piece is a part of.
+ * @property {string} text - The text of the piece.
+ * @property {number} x - The horizontal position of the piece within the line.
+ * @property {number} width - The width of the piece.
+ * @property {boolean} isSpace - Whether the piece is made of spaces.
+ * @property {number} spaces - The number of spaces in the line before this piece.
+ */
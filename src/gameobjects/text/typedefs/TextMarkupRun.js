@@ -0,0 +1,21 @@
+/**
+ * A run of text that shares the same style, or a single inline image, parsed from the markup of a Text object.
+ *
+ * @typedef {object} Phaser.Types.GameObjects.Text.TextMarkupRun
+ * @since 3.60.0
+ *
+ * @property {number} start - The index of the first character of the run in the plain text.
+ * @property {number} end - The index after the last character of the run in the plain text.
+ * @property {string} text - The text of the run.
+ * @property {string} font - The font of the run, as a CSS font string.
+ * @property {Phaser.Types.GameObjects.Text.TextMetrics} metrics - The metrics of the font.
+ * @property {string} color - The fill color.
+ * @property {string} stroke - The stroke color.
+ * @property {number} strokeThickness - The thickness of the stroke. Zero for no stroke.
+ * @property {?object} shadow - The shadow `color`, `offsetX`, `offsetY` and `blur`, and whether it applies to the `stroke` and `fill`, or `null` for no shadow.
+ * @property {?string} underline - The underline color, or `null` for no underline.
+ * @property {?{key: string, frame: (string|number|undefined)}} image - The texture key and frame of an inline image, or `null` if this is a run of text.
+ * @property {?Phaser.Textures.Frame} frame - The Texture Frame of the inline image, if found.
+ * @property {number} imageWidth - The width the inline image is drawn at.
+ * @property {number} imageHeight - The height the inline image is drawn at, which is the size of the font.
+ */
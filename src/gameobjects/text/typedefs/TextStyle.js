@@ -20,6 +20,7 @@
  * @property {number} [fixedHeight=0] - Force the Text object to have the exact height specified in this property. Leave as zero for it to change accordingly to content.
  * @property {number} [resolution=0] - Sets the resolution (DPI setting) of the Text object. Leave at zero for it to use the game resolution.
  * @property {boolean} [rtl=false] - Set to `true` if this Text object should render from right-to-left.
+ * @property {boolean} [markup=false] - Set to `true` to style runs of the text with inline tags, such as `[color=#ff0]gold[/color]`. See `Phaser.GameObjects.ParseMarkup` for the list of tags.
  * @property {string} [testString='|MÃ‰qgy'] - This is the string used to aid Canvas in calculating the height of the font.
  * @property {number} [baselineX=1.2] - The amount of horizontal padding added to the width of the text when calculating the font metrics.
  * @property {number} [baselineY=1.4] - The amount of vertical padding added to the height of the text when calculating the font metrics.
@@ -9,6 +9,8 @@ var CONST = require('./const');
 var EventEmitter = require('eventemitter3');
 var Events = require('./events');
 var GameEvents = require('../core/events');
+var InputPlayer = require('./replay/InputPlayer');
+var InputRecorder = require('./replay/InputRecorder');
 var Keyboard = require('./keyboard/KeyboardManager');
 var Mouse = require('./mouse/MouseManager');
 var Pointer = require('./Pointer');
@@ -301,6 +303,24 @@ var InputManager = new Class({
          */
         this.mousePointerContainer = [ this.mousePointer ];
 
+        /**
+         * The Input Recorder. Use it to record the input the game receives, so it can be replayed later.
+         *
+         * @name Phaser.Input.InputManager#recorder
+         * @type {Phaser.Input.Replay.InputRecorder}
+         * @since 3.60.0
+         */
+        this.recorder = new InputRecorder(this);
+
+        /**
+         * The Input Player. Use it to replay a recording made by the Input Recorder.
+         *
+         * @name Phaser.Input.InputManager#player
+         * @type {Phaser.Input.Replay.InputPlayer}
+         * @since 3.60.0
+         */
+        this.player = new InputPlayer(this);
+
         game.events.once(GameEvents.BOOT, this.boot, this);
     },
 
@@ -338,6 +358,11 @@ var InputManager = new Class({
      */
     setCanvasOver: function (event)
     {
+        if (!this.filterEvent(event))
+        {
+            return;
+        }
+
         this.isOver = true;
 
         this.events.emit(Events.GAME_OVER, event);
@@ -355,6 +380,11 @@ var InputManager = new Class({
      */
     setCanvasOut: function (event)
     {
+        if (!this.filterEvent(event))
+        {
+            return;
+        }
+
         this.isOver = false;
 
         this.events.emit(Events.GAME_OUT, event);
@@ -560,6 +590,11 @@ var InputManager = new Class({
      */
     onTouchStart: function (event)
     {
+        if (!this.filterEvent(event))
+        {
+            return;
+        }
+
         var pointers = this.pointers;
         var changed = [];
 
@@ -598,6 +633,11 @@ var InputManager = new Class({
      */
     onTouchMove: function (event)
     {
+        if (!this.filterEvent(event))
+        {
+            return;
+        }
+
         var pointers = this.pointers;
         var changed = [];
 
@@ -640,6 +680,11 @@ var InputManager = new Class({
      */
     onTouchEnd: function (event)
     {
+        if (!this.filterEvent(event))
+        {
+            return;
+        }
+
         var pointers = this.pointers;
         var changed = [];
 
@@ -676,6 +721,11 @@ var InputManager = new Class({
      */
     onTouchCancel: function (event)
     {
+        if (!this.filterEvent(event))
+        {
+            return;
+        }
+
         var pointers = this.pointers;
         var changed = [];
 
@@ -712,6 +762,11 @@ var InputManager = new Class({
      */
     onMouseDown: function (event)
     {
+        if (!this.filterEvent(event))
+        {
+            return;
+        }
+
         var mousePointer = this.mousePointer;
 
         mousePointer.down(event);
@@ -734,6 +789,11 @@ var InputManager = new Class({
      */
     onMouseMove: function (event)
     {
+        if (!this.filterEvent(event))
+        {
+            return;
+        }
+
         var mousePointer = this.mousePointer;
 
         mousePointer.move(event);
@@ -756,6 +816,11 @@ var InputManager = new Class({
      */
     onMouseUp: function (event)
     {
+        if (!this.filterEvent(event))
+        {
+            return;
+        }
+
         var mousePointer = this.mousePointer;
 
         mousePointer.up(event);
@@ -778,6 +843,11 @@ var InputManager = new Class({
      */
     onMouseWheel: function (event)
     {
+        if (!this.filterEvent(event))
+        {
+            return;
+        }
+
         var mousePointer = this.mousePointer;
 
         mousePointer.wheel(event);
@@ -806,6 +876,56 @@ var InputManager = new Class({
         this.events.emit(Events.POINTERLOCK_CHANGE, event, isLocked);
     },
 
+    /**
+     * Called for every DOM input event, before it is processed.
+     *
+     * While the Input Player is replaying a recording, DOM events are ignored, so only the recorded input reaches the game.
+     * While the Input Recorder is running, the event is added to the recording.
+     *
+     * @method Phaser.Input.InputManager#filterEvent
+     * @private
+     * @since 3.60.0
+     *
+     * @param {(MouseEvent|WheelEvent|TouchEvent|KeyboardEvent|GamepadEvent)} event - The DOM event.
+     *
+     * @return {boolean} `true` if the event should be processed, `false` if it should be ignored.
+     */
+    filterEvent: function (event)
+    {
+        var player = this.player;
+
+        if (player.isPlaying && !player.isDispatching)
+        {
+            return false;
+        }
+
+        if (this.recorder.isRecording)
+        {
+            this.recorder.record(event);
+        }
+
+        return true;
+    },
+
+    /**
+     * Gets the connected gamepads. This is the result of `navigator.getGamepads`, unless the Input Player
+     * is replaying a recording, in which case it's the recorded gamepads.
+     *
+     * @method Phaser.Input.InputManager#getGamepads
+     * @since 3.60.0
+     *
+     * @return {?Array.<?Gamepad>} The connected gamepads.
+     */
+    getGamepads: function ()
+    {
+        if (this.player.isPlaying)
+        {
+            return this.player.getGamepads();
+        }
+
+        return navigator.getGamepads();
+    },
+
     /**
      * Checks if the given Game Object should be considered as a candidate for input or not.
      *
@@ -1054,6 +1174,9 @@ var InputManager = new Class({
     {
         this.events.removeAllListeners();
 
+        this.recorder.destroy();
+        this.player.destroy();
+
         this.game.events.off(GameEvents.PRE_RENDER);
 
         if (this.keyboard)
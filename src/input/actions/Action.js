@@ -0,0 +1,537 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var Class = require('../../utils/Class');
+var EventEmitter = require('eventemitter3');
+var Events = require('./events');
+var GetFastValue = require('../../utils/object/GetFastValue');
+var KeyCodes = require('../keyboard/keys/KeyCodes');
+var Vector2 = require('../../math/Vector2');
+
+/**
+ * @classdesc
+ * An Action is something the player can do, such as `jump` or `move`, which can be triggered by any of its bindings
+ * to keyboard keys, gamepad buttons and axes, or regions of the screen that are pressed by a Pointer.
+ *
+ * Query an Action rather than the devices, so the controls can be remapped without changing your game code:
+ *
+ * ```javascript
+ * var jump = this.input.actions.add('jump', [ 'SPACE', { button: 0 }, { pointer: { x: 700, y: 500, width: 100, height: 100 } } ]);
+ *
+ * if (jump.justDown) { ... }
+ * ```
+ *
+ * Each binding has a value. Keys and pointer regions are 0 or 1, gamepad buttons are between 0 and 1, and gamepad
+ * axes are between -1 and 1, unless they have a `direction`. The value of the Action is the binding value furthest
+ * from 0, and it is down when that is at least its `threshold`.
+ *
+ * Bindings can also have `x` and `y` weights, which are used to combine them into a vector for movement:
+ *
+ * ```javascript
+ * var move = this.input.actions.add('move', [
+ *     { key: 'A', x: -1 }, { key: 'D', x: 1 }, { key: 'W', y: -1 }, { key: 'S', y: 1 },
+ *     { axis: 0, x: 1 }, { axis: 1, y: 1 }
+ * ]);
+ *
+ * player.setVelocity(move.vector.x * speed, move.vector.y * speed);
+ * ```
+ *
+ * Actions are created by the Actions Plugin, which updates them at the start of every Scene step.
+ *
+ * @class Action
+ * @extends Phaser.Events.EventEmitter
+ * @memberof Phaser.Input.Actions
+ * @constructor
+ * @since 3.60.0
+ *
+ * @param {Phaser.Input.Actions.ActionsPlugin} plugin - The Actions Plugin that owns this Action.
+ * @param {string} name - The unique name of this Action.
+ * @param {(Phaser.Types.Input.Actions.ActionBindingConfig[]|Phaser.Types.Input.Actions.ActionConfig)} [config] - The bindings of this Action, or its configuration object.
+ */
+var Action = new Class({
+
+    Extends: EventEmitter,
+
+    initialize:
+
+    function Action (plugin, name, config)
+    {
+        EventEmitter.call(this);
+
+        var bindings = (Array.isArray(config)) ? config : GetFastValue(config, 'bindings', []);
+
+        /**
+         * The Actions Plugin that owns this Action.
+         *
+         * @name Phaser.Input.Actions.Action#plugin
+         * @type {Phaser.Input.Actions.ActionsPlugin}
+         * @since 3.60.0
+         */
+        this.plugin = plugin;
+
+        /**
+         * The unique name of this Action.
+         *
+         * @name Phaser.Input.Actions.Action#name
+         * @type {string}
+         * @since 3.60.0
+         */
+        this.name = name;
+
+        /**
+         * The bindings of this Action. Change them with `addBinding`, `setBinding` and `removeBinding`,
+         * or `ActionsPlugin.rebind` to check for conflicts.
+         *
+         * @name Phaser.Input.Actions.Action#bindings
+         * @type {Phaser.Types.Input.Actions.ActionBinding[]}
+         * @since 3.60.0
+         */
+        this.bindings = [];
+
+        /**
+         * Can this Action be triggered? A disabled Action is always up, with a value of 0.
+         *
+         * @name Phaser.Input.Actions.Action#enabled
+         * @type {boolean}
+         * @default true
+         * @since 3.60.0
+         */
+        this.enabled = GetFastValue(config, 'enabled', true);
+
+        /**
+         * The value, away from 0, at which this Action is down.
+         *
+         * @name Phaser.Input.Actions.Action#threshold
+         * @type {number}
+         * @default 0.5
+         * @since 3.60.0
+         */
+        this.threshold = GetFastValue(config, 'threshold', 0.5);
+
+        /**
+         * The value of the binding that is furthest from 0.
+         *
+         * @name Phaser.Input.Actions.Action#value
+         * @type {number}
+         * @readonly
+         * @since 3.60.0
+         */
+        this.value = 0;
+
+        /**
+         * The combined value of the bindings with `x` and `y` weights, limited to a length of 1.
+         *
+         * @name Phaser.Input.Actions.Action#vector
+         * @type {Phaser.Math.Vector2}
+         * @readonly
+         * @since 3.60.0
+         */
+        this.vector = new Vector2();
+
+        /**
+         * Is this Action down?
+         *
+         * @name Phaser.Input.Actions.Action#isDown
+         * @type {boolean}
+         * @readonly
+         * @since 3.60.0
+         */
+        this.isDown = false;
+
+        /**
+         * Did this Action go down at the start of this Scene step?
+         *
+         * @name Phaser.Input.Actions.Action#justDown
+         * @type {boolean}
+         * @readonly
+         * @since 3.60.0
+         */
+        this.justDown = false;
+
+        /**
+         * Did this Action go up at the start of this Scene step?
+         *
+         * @name Phaser.Input.Actions.Action#justUp
+         * @type {boolean}
+         * @readonly
+         * @since 3.60.0
+         */
+        this.justUp = false;
+
+        /**
+         * The time this Action last went down.
+         *
+         * @name Phaser.Input.Actions.Action#timeDown
+         * @type {number}
+         * @readonly
+         * @since 3.60.0
+         */
+        this.timeDown = 0;
+
+        /**
+         * The time this Action last went up.
+         *
+         * @name Phaser.Input.Actions.Action#timeUp
+         * @type {number}
+         * @readonly
+         * @since 3.60.0
+         */
+        this.timeUp = 0;
+
+        /**
+         * How long, in ms, this Action has been down, or was down for if it is up.
+         *
+         * @name Phaser.Input.Actions.Action#duration
+         * @type {number}
+         * @readonly
+         * @since 3.60.0
+         */
+        this.duration = 0;
+
+        for (var i = 0; i < bindings.length; i++)
+        {
+            this.addBinding(bindings[i]);
+        }
+    },
+
+    /**
+     * Adds a binding to this Action. It doesn't check for conflicts with other Actions.
+     *
+     * @method Phaser.Input.Actions.Action#addBinding
+     * @since 3.60.0
+     *
+     * @param {Phaser.Types.Input.Actions.ActionBindingConfig} binding - The binding to add.
+     *
+     * @return {this} This Action.
+     */
+    addBinding: function (binding)
+    {
+        binding = Action.createBinding(binding);
+
+        if (binding)
+        {
+            this.bindings.push(binding);
+        }
+
+        return this;
+    },
+
+    /**
+     * Replaces a binding of this Action. It doesn't check for conflicts with other Actions.
+     *
+     * @method Phaser.Input.Actions.Action#setBinding
+     * @since 3.60.0
+     *
+     * @param {number} index - The index of the binding to replace. If it is the length of `bindings`, the binding is added.
+     * @param {Phaser.Types.Input.Actions.ActionBindingConfig} binding - The new binding.
+     *
+     * @return {this} This Action.
+     */
+    setBinding: function (index, binding)
+    {
+        binding = Action.createBinding(binding);
+
+        if (binding && index >= 0 && index <= this.bindings.length)
+        {
+            this.bindings[index] = binding;
+        }
+
+        return this;
+    },
+
+    /**
+     * Removes a binding from this Action.
+     *
+     * @method Phaser.Input.Actions.Action#removeBinding
+     * @since 3.60.0
+     *
+     * @param {number} index - The index of the binding to remove.
+     *
+     * @return {this} This Action.
+     */
+    removeBinding: function (index)
+    {
+        if (index >= 0 && index < this.bindings.length)
+        {
+            this.bindings.splice(index, 1);
+        }
+
+        return this;
+    },
+
+    /**
+     * Removes all of the bindings from this Action.
+     *
+     * @method Phaser.Input.Actions.Action#clearBindings
+     * @since 3.60.0
+     *
+     * @return {this} This Action.
+     */
+    clearBindings: function ()
+    {
+        this.bindings.length = 0;
+
+        return this;
+    },
+
+    /**
+     * Updates the state of this Action from the values of its bindings.
+     * This is called automatically by the Actions Plugin at the start of every Scene step.
+     *
+     * @method Phaser.Input.Actions.Action#update
+     * @fires Phaser.Input.Actions.Events#DOWN
+     * @fires Phaser.Input.Actions.Events#UP
+     * @since 3.60.0
+     *
+     * @param {number} time - The current time.
+     */
+    update: function (time)
+    {
+        var plugin = this.plugin;
+        var bindings = this.bindings;
+        var value = 0;
+        var x = 0;
+        var y = 0;
+
+        if (this.enabled)
+        {
+            for (var i = 0; i < bindings.length; i++)
+            {
+                var binding = bindings[i];
+                var bindingValue = plugin.getBindingValue(binding);
+
+                if (Math.abs(bindingValue) > Math.abs(value))
+                {
+                    value = bindingValue;
+                }
+
+                x += bindingValue * binding.x;
+                y += bindingValue * binding.y;
+            }
+        }
+
+        this.value = value;
+
+        this.vector.set(x, y);
+
+        if (this.vector.lengthSq() > 1)
+        {
+            this.vector.normalize();
+        }
+
+        var isDown = (Math.abs(value) >= this.threshold && value !== 0);
+
+        this.justDown = (isDown && !this.isDown);
+        this.justUp = (!isDown && this.isDown);
+
+        this.isDown = isDown;
+
+        if (this.justDown)
+        {
+            this.timeDown = time;
+            this.duration = 0;
+
+            this.emit(Events.DOWN, this);
+
+            plugin.emit(Events.ACTION_DOWN, this);
+        }
+        else if (this.justUp)
+        {
+            this.timeUp = time;
+            this.duration = time - this.timeDown;
+
+            this.emit(Events.UP, this);
+
+            plugin.emit(Events.ACTION_UP, this);
+        }
+        else if (isDown)
+        {
+            this.duration = time - this.timeDown;
+        }
+    },
+
+    /**
+     * Puts this Action up, without emitting any events, and clears its value.
+     *
+     * @method Phaser.Input.Actions.Action#reset
+     * @since 3.60.0
+     *
+     * @return {this} This Action.
+     */
+    reset: function ()
+    {
+        this.value = 0;
+        this.vector.reset();
+        this.isDown = false;
+        this.justDown = false;
+        this.justUp = false;
+        this.duration = 0;
+
+        return this;
+    },
+
+    /**
+     * Returns a copy of the bindings of this Action, suitable for JSON serialization.
+     *
+     * @method Phaser.Input.Actions.Action#toJSON
+     * @since 3.60.0
+     *
+     * @return {Phaser.Types.Input.Actions.ActionBinding[]} The bindings of this Action.
+     */
+    toJSON: function ()
+    {
+        return JSON.parse(JSON.stringify(this.bindings));
+    },
+
+    /**
+     * Removes all listeners and external references.
+     *
+     * @method Phaser.Input.Actions.Action#destroy
+     * @since 3.60.0
+     */
+    destroy: function ()
+    {
+        this.removeAllListeners();
+
+        this.bindings.length = 0;
+
+        this.plugin = null;
+    }
+
+});
+
+/**
+ * Creates an Action binding from a binding config, filling in the default values.
+ *
+ * A number, or a string such as `SPACE`, creates a key binding. See `Phaser.Types.Input.Actions.ActionBindingConfig`
+ * for the other types of binding.
+ *
+ * @function Phaser.Input.Actions.Action.createBinding
+ * @since 3.60.0
+ *
+ * @param {Phaser.Types.Input.Actions.ActionBindingConfig} config - The binding config.
+ *
+ * @return {?Phaser.Types.Input.Actions.ActionBinding} The binding, or `null` if the config is invalid.
+ */
+Action.createBinding = function (config)
+{
+    if (typeof config === 'number' || typeof config === 'string')
+    {
+        config = { key: config };
+    }
+
+    if (!config || typeof config !== 'object')
+    {
+        console.warn('Invalid Action binding: ' + config);
+
+        return null;
+    }
+
+    var binding;
+
+    if (config.hasOwnProperty('key'))
+    {
+        var key = config.key;
+
+        if (typeof key === 'string')
+        {
+            key = KeyCodes[key.toUpperCase()];
+        }
+
+        if (key === undefined)
+        {
+            console.warn('Unknown Action key: ' + config.key);
+
+            return null;
+        }
+
+        binding = { key: key };
+    }
+    else if (config.hasOwnProperty('button'))
+    {
+        binding = { button: config.button, pad: GetFastValue(config, 'pad', -1) };
+    }
+    else if (config.hasOwnProperty('axis'))
+    {
+        binding = {
+            axis: config.axis,
+            pad: GetFastValue(config, 'pad', -1),
+            direction: GetFastValue(config, 'direction', 0),
+            deadzone: GetFastValue(config, 'deadzone', 0.2)
+        };
+    }
+    else if (config.hasOwnProperty('pointer') && config.pointer)
+    {
+        var region = config.pointer;
+
+        //  Geom Rectangles and Circles are stored as plain objects, so they can be serialized
+        if (typeof region.contains === 'function')
+        {
+            if (region.radius !== undefined)
+            {
+                region = { x: region.x, y: region.y, radius: region.radius };
+            }
+            else if (region.width !== undefined)
+            {
+                region = { x: region.x, y: region.y, width: region.width, height: region.height };
+            }
+        }
+
+        binding = { pointer: region };
+    }
+    else
+    {
+        console.warn('Invalid Action binding: ' + JSON.stringify(config));
+
+        return null;
+    }
+
+    binding.x = GetFastValue(config, 'x', 0);
+    binding.y = GetFastValue(config, 'y', 0);
+
+    return binding;
+};
+
+/**
+ * Checks if two Action bindings are triggered by the same input.
+ *
+ * Keys and buttons match if they have the same code. Axes match if they have the same index and their directions
+ * overlap. Gamepad bindings for any pad (`pad: -1`) match those for a specific pad. Pointer regions never match.
+ *
+ * @function Phaser.Input.Actions.Action.bindingsMatch
+ * @since 3.60.0
+ *
+ * @param {Phaser.Types.Input.Actions.ActionBinding} a - The first binding.
+ * @param {Phaser.Types.Input.Actions.ActionBinding} b - The second binding.
+ *
+ * @return {boolean} `true` if the bindings are triggered by the same input.
+ */
+Action.bindingsMatch = function (a, b)
+{
+    if (a.hasOwnProperty('key'))
+    {
+        return (a.key === b.key);
+    }
+
+    if (a.pad !== b.pad && a.pad !== -1 && b.pad !== -1)
+    {
+        return false;
+    }
+
+    if (a.hasOwnProperty('button'))
+    {
+        return (a.button === b.button);
+    }
+
+    if (a.hasOwnProperty('axis'))
+    {
+        return (a.axis === b.axis && (a.direction === 0 || b.direction === 0 || a.direction === b.direction));
+    }
+
+    return false;
+};
+
+module.exports = Action;
@@ -0,0 +1,895 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var Action = require('./Action');
+var CircleContains = require('../../geom/circle/Contains');
+var Class = require('../../utils/Class');
+var EventEmitter = require('eventemitter3');
+var Events = require('./events');
+var GetFastValue = require('../../utils/object/GetFastValue');
+var GetValue = require('../../utils/object/GetValue');
+var InputEvents = require('../events');
+var InputPluginCache = require('../InputPluginCache');
+var KeyboardEvents = require('../keyboard/events');
+var RectangleContains = require('../../geom/rectangle/Contains');
+var SceneEvents = require('../../scene/events');
+
+/**
+ * @classdesc
+ * The Actions Plugin is an input plugin that belongs to the Scene-owned Input system.
+ *
+ * It maps Actions, such as `jump` or `move`, to any number of keyboard keys, gamepad buttons and axes,
+ * and regions of the screen, so your game can query the Actions rather than the devices, and the player
+ * can remap the controls at run-time:
+ *
+ * ```javascript
+ * this.input.actions.add('jump', [ 'SPACE', 'W', { button: 0 } ]);
+ *
+ * //  Later, in a controls menu
+ * this.input.actions.listen(function (binding) {
+ *     this.input.actions.rebind('jump', 0, binding, true);
+ * }, this);
+ * ```
+ *
+ * The Actions are updated at the start of every Scene step, before the Scene `update` method is called,
+ * so `justDown` and `justUp` are true for the whole of the step in which the Action changed.
+ *
+ * Gamepad bindings need the Gamepad Plugin, which is disabled by default. Enable it via the `input.gamepad`
+ * Game Config property.
+ *
+ * You do not need to create this class directly, the Input system will create an instance of it automatically,
+ * if the `input.actions` Game or Scene Config property is set, i.e. `input: { actions: true }`.
+ * You can access it from within a Scene using `this.input.actions`.
+ *
+ * @class ActionsPlugin
+ * @extends Phaser.Events.EventEmitter
+ * @memberof Phaser.Input.Actions
+ * @constructor
+ * @since 3.60.0
+ *
+ * @param {Phaser.Input.InputPlugin} sceneInputPlugin - A reference to the Scene Input Plugin that the Actions Plugin belongs to.
+ */
+var ActionsPlugin = new Class({
+
+    Extends: EventEmitter,
+
+    initialize:
+
+    function ActionsPlugin (sceneInputPlugin)
+    {
+        EventEmitter.call(this);
+
+        /**
+         * A reference to the Scene that this Input Plugin is responsible for.
+         *
+         * @name Phaser.Input.Actions.ActionsPlugin#scene
+         * @type {Phaser.Scene}
+         * @since 3.60.0
+         */
+        this.scene = sceneInputPlugin.scene;
+
+        /**
+         * A reference to the Scene Systems Settings.
+         *
+         * @name Phaser.Input.Actions.ActionsPlugin#settings
+         * @type {Phaser.Types.Scenes.SettingsObject}
+         * @since 3.60.0
+         */
+        this.settings = this.scene.sys.settings;
+
+        /**
+         * A reference to the Scene Input Plugin that created this Actions Plugin.
+         *
+         * @name Phaser.Input.Actions.ActionsPlugin#sceneInputPlugin
+         * @type {Phaser.Input.InputPlugin}
+         * @since 3.60.0
+         */
+        this.sceneInputPlugin = sceneInputPlugin;
+
+        /**
+         * A boolean that controls if the Actions can be triggered or not.
+         * Can be toggled on the fly. While disabled, all Actions are up.
+         *
+         * @name Phaser.Input.Actions.ActionsPlugin#enabled
+         * @type {boolean}
+         * @default true
+         * @since 3.60.0
+         */
+        this.enabled = true;
+
+        /**
+         * The Actions, by name.
+         *
+         * @name Phaser.Input.Actions.ActionsPlugin#actions
+         * @type {Object.<string, Phaser.Input.Actions.Action>}
+         * @since 3.60.0
+         */
+        this.actions = {};
+
+        /**
+         * Is the plugin listening for the next input, to create a binding from it?
+         *
+         * @name Phaser.Input.Actions.ActionsPlugin#isListening
+         * @type {boolean}
+         * @readonly
+         * @default false
+         * @since 3.60.0
+         */
+        this.isListening = false;
+
+        /**
+         * The callback, and its context, invoked with the binding created by `listen`.
+         *
+         * @name Phaser.Input.Actions.ActionsPlugin#_listener
+         * @type {?{callback: Phaser.Types.Input.Actions.ActionListenCallback, context: *}}
+         * @private
+         * @since 3.60.0
+         */
+        this._listener = null;
+
+        /**
+         * The gamepad inputs that were already active when listening started, which are ignored until released.
+         *
+         * @name Phaser.Input.Actions.ActionsPlugin#_ignore
+         * @type {Object.<string, boolean>}
+         * @private
+         * @since 3.60.0
+         */
+        this._ignore = {};
+
+        /**
+         * Is the plugin active this step? If not, all bindings have a value of 0.
+         *
+         * @name Phaser.Input.Actions.ActionsPlugin#_active
+         * @type {boolean}
+         * @private
+         * @since 3.60.0
+         */
+        this._active = false;
+
+        sceneInputPlugin.pluginEvents.once(InputEvents.BOOT, this.boot, this);
+        sceneInputPlugin.pluginEvents.on(InputEvents.START, this.start, this);
+    },
+
+    /**
+     * This method is called automatically, only once, when the Scene is first created.
+     * Do not invoke it directly.
+     *
+     * @method Phaser.Input.Actions.ActionsPlugin#boot
+     * @private
+     * @since 3.60.0
+     */
+    boot: function ()
+    {
+        this.enabled = GetValue(this.settings.input, 'actions', this.scene.sys.game.config.inputActions);
+
+        this.sceneInputPlugin.pluginEvents.once(InputEvents.DESTROY, this.destroy, this);
+    },
+
+    /**
+     * This method is called automatically by the Scene when it is starting up.
+     * It is responsible for creating local systems, properties and listening for Scene events.
+     * Do not invoke it directly.
+     *
+     * @method Phaser.Input.Actions.ActionsPlugin#start
+     * @private
+     * @since 3.60.0
+     */
+    start: function ()
+    {
+        this.scene.sys.events.on(SceneEvents.PRE_UPDATE, this.update, this);
+
+        this.sceneInputPlugin.pluginEvents.once(InputEvents.SHUTDOWN, this.shutdown, this);
+    },
+
+    /**
+     * Checks to see if both this plugin and the Scene to which it belongs is active.
+     *
+     * @method Phaser.Input.Actions.ActionsPlugin#isActive
+     * @since 3.60.0
+     *
+     * @return {boolean} `true` if the plugin and the Scene it belongs to is active.
+     */
+    isActive: function ()
+    {
+        return (this.enabled && this.sceneInputPlugin.isActive());
+    },
+
+    /**
+     * Adds an Action. If there is already an Action with the same name, it is destroyed and replaced.
+     *
+     * @method Phaser.Input.Actions.ActionsPlugin#add
+     * @since 3.60.0
+     *
+     * @param {string} name - The unique name of the Action.
+     * @param {(Phaser.Types.Input.Actions.ActionBindingConfig[]|Phaser.Types.Input.Actions.ActionConfig)} [config] - The bindings of the Action, or its configuration object.
+     *
+     * @return {Phaser.Input.Actions.Action} The Action that was added.
+     */
+    add: function (name, config)
+    {
+        this.remove(name);
+
+        var action = new Action(this, name, config);
+
+        this.actions[name] = action;
+
+        return action;
+    },
+
+    /**
+     * Adds several Actions at once.
+     *
+     * ```javascript
+     * var controls = this.input.actions.addActions({
+     *     jump: [ 'SPACE', { button: 0 } ],
+     *     fire: { bindings: [ 'X', { button: 7 } ], threshold: 0.2 }
+     * });
+     * ```
+     *
+     * @method Phaser.Input.Actions.ActionsPlugin#addActions
+     * @since 3.60.0
+     *
+     * @param {Object.<string, (Phaser.Types.Input.Actions.ActionBindingConfig[]|Phaser.Types.Input.Actions.ActionConfig)>} actions - The configs of the Actions, by name.
+     *
+     * @return {Object.<string, Phaser.Input.Actions.Action>} The Actions that were added, by name.
+     */
+    addActions: function (actions)
+    {
+        var output = {};
+
+        for (var name in actions)
+        {
+            output[name] = this.add(name, actions[name]);
+        }
+
+        return output;
+    },
+
+    /**
+     * Gets an Action.
+     *
+     * @method Phaser.Input.Actions.ActionsPlugin#get
+     * @since 3.60.0
+     *
+     * @param {string} name - The name of the Action.
+     *
+     * @return {?Phaser.Input.Actions.Action} The Action, or `null` if there isn't one with the name.
+     */
+    get: function (name)
+    {
+        return (this.actions.hasOwnProperty(name)) ? this.actions[name] : null;
+    },
+
+    /**
+     * Removes and destroys an Action.
+     *
+     * @method Phaser.Input.Actions.ActionsPlugin#remove
+     * @since 3.60.0
+     *
+     * @param {string} name - The name of the Action.
+     *
+     * @return {this} This Actions Plugin.
+     */
+    remove: function (name)
+    {
+        var action = this.get(name);
+
+        if (action)
+        {
+            delete this.actions[name];
+
+            action.destroy();
+        }
+
+        return this;
+    },
+
+    /**
+     * Removes and destroys all of the Actions.
+     *
+     * @method Phaser.Input.Actions.ActionsPlugin#removeAll
+     * @since 3.60.0
+     *
+     * @return {this} This Actions Plugin.
+     */
+    removeAll: function ()
+    {
+        for (var name in this.actions)
+        {
+            this.remove(name);
+        }
+
+        return this;
+    },
+
+    /**
+     * Finds the bindings of all Actions that are triggered by the same input as the given binding.
+     *
+     * @method Phaser.Input.Actions.ActionsPlugin#findConflicts
+     * @since 3.60.0
+     *
+     * @param {Phaser.Types.Input.Actions.ActionBindingConfig} binding - The binding to check.
+     * @param {Phaser.Input.Actions.Action} [ignoreAction] - An Action to skip the binding of.
+     * @param {number} [ignoreIndex=-1] - The index of the binding of `ignoreAction` to skip. If -1, all of its bindings are skipped.
+     *
+     * @return {Phaser.Types.Input.Actions.ActionBindingConflict[]} The conflicting bindings.
+     */
+    findConflicts: function (binding, ignoreAction, ignoreIndex)
+    {
+        if (ignoreIndex === undefined) { ignoreIndex = -1; }
+
+        var output = [];
+
+        binding = Action.createBinding(binding);
+
+        if (!binding)
+        {
+            return output;
+        }
+
+        for (var name in this.actions)
+        {
+            var action = this.actions[name];
+            var bindings = action.bindings;
+
+            for (var i = 0; i < bindings.length; i++)
+            {
+                if (action === ignoreAction && (ignoreIndex === -1 || ignoreIndex === i))
+                {
+                    continue;
+                }
+
+                if (Action.bindingsMatch(binding, bindings[i]))
+                {
+                    output.push({ action: action, index: i });
+                }
+            }
+        }
+
+        return output;
+    },
+
+    /**
+     * Replaces a binding of an Action, checking for conflicts with the bindings of all Actions, including
+     * the other bindings of the same Action. A `bindingconflict` event is emitted for each conflict, before
+     * the binding is replaced.
+     *
+     * If `swap` is true, each conflicting binding is replaced with the old binding, or removed if there wasn't one,
+     * so an input can't trigger two Actions. Otherwise the conflicting bindings are left as they are, and your
+     * `bindingconflict` listeners can resolve them.
+     *
+     * @method Phaser.Input.Actions.ActionsPlugin#rebind
+     * @fires Phaser.Input.Actions.Events#BINDING_CONFLICT
+     * @since 3.60.0
+     *
+     * @param {string} name - The name of the Action.
+     * @param {number} index - The index of the binding to replace. If it is the number of bindings, the binding is added.
+     * @param {Phaser.Types.Input.Actions.ActionBindingConfig} binding - The new binding.
+     * @param {boolean} [swap=false] - Replace the conflicting bindings with the old binding?
+     *
+     * @return {Phaser.Types.Input.Actions.ActionBindingConflict[]} The conflicting bindings.
+     */
+    rebind: function (name, index, binding, swap)
+    {
+        var action = this.get(name);
+
+        binding = Action.createBinding(binding);
+
+        if (!action || !binding)
+        {
+            return [];
+        }
+
+        var oldBinding = action.bindings[index];
+        var conflicts = this.findConflicts(binding, action, index);
+
+        for (var i = 0; i < conflicts.length; i++)
+        {
+            var conflict = conflicts[i];
+
+            this.emit(Events.BINDING_CONFLICT, action, binding, conflict.action, conflict.index);
+        }
+
+        if (swap)
+        {
+            //  Go backwards, so removing a binding doesn't change the index of the next conflict
+            for (i = conflicts.length - 1; i >= 0; i--)
+            {
+                conflict = conflicts[i];
+
+                if (oldBinding)
+                {
+                    conflict.action.setBinding(conflict.index, oldBinding);
+                }
+                else
+                {
+                    conflict.action.removeBinding(conflict.index);
+
+                    if (conflict.action === action && conflict.index < index)
+                    {
+                        index--;
+                    }
+                }
+            }
+        }
+
+        action.setBinding(index, binding);
+
+        return conflicts;
+    },
+
+    /**
+     * Listens for the next key pressed, or gamepad button pressed or axis moved, and sends a binding for it
+     * to the callback. Gamepad buttons and axes that are already active are ignored until they are released.
+     *
+     * The binding is for any gamepad. Set its `pad` property to bind it to one gamepad.
+     *
+     * Calling this again replaces the callback.
+     *
+     * @method Phaser.Input.Actions.ActionsPlugin#listen
+     * @since 3.60.0
+     *
+     * @param {Phaser.Types.Input.Actions.ActionListenCallback} callback - The callback, which is sent the binding.
+     * @param {*} [context] - The context of the callback.
+     *
+     * @return {this} This Actions Plugin.
+     */
+    listen: function (callback, context)
+    {
+        this.stopListening();
+
+        this._listener = { callback: callback, context: context };
+
+        this.isListening = true;
+
+        var keyboard = this.sceneInputPlugin.keyboard;
+
+        if (keyboard)
+        {
+            keyboard.on(KeyboardEvents.ANY_KEY_DOWN, this.onKeyDown, this);
+        }
+
+        //  Ignore the gamepad inputs that are already active
+        this._ignore = {};
+
+        this.checkGamepads(true);
+
+        return this;
+    },
+
+    /**
+     * Stops listening for input, without invoking the `listen` callback.
+     *
+     * @method Phaser.Input.Actions.ActionsPlugin#stopListening
+     * @since 3.60.0
+     *
+     * @return {this} This Actions Plugin.
+     */
+    stopListening: function ()
+    {
+        var keyboard = this.sceneInputPlugin.keyboard;
+
+        if (keyboard)
+        {
+            keyboard.off(KeyboardEvents.ANY_KEY_DOWN, this.onKeyDown, this);
+        }
+
+        this._listener = null;
+
+        this.isListening = false;
+
+        return this;
+    },
+
+    /**
+     * Keyboard event handler, used while listening.
+     *
+     * @method Phaser.Input.Actions.ActionsPlugin#onKeyDown
+     * @private
+     * @since 3.60.0
+     *
+     * @param {KeyboardEvent} event - The native DOM Keyboard Event.
+     */
+    onKeyDown: function (event)
+    {
+        this.capture({ key: event.keyCode });
+    },
+
+    /**
+     * Stops listening, and sends a binding to the `listen` callback.
+     *
+     * @method Phaser.Input.Actions.ActionsPlugin#capture
+     * @private
+     * @since 3.60.0
+     *
+     * @param {Phaser.Types.Input.Actions.ActionBindingConfig} binding - The binding.
+     */
+    capture: function (binding)
+    {
+        var listener = this._listener;
+
+        this.stopListening();
+
+        if (listener)
+        {
+            listener.callback.call(listener.context, Action.createBinding(binding));
+        }
+    },
+
+    /**
+     * Checks the gamepads for a newly pressed button or moved axis, while listening.
+     *
+     * @method Phaser.Input.Actions.ActionsPlugin#checkGamepads
+     * @private
+     * @since 3.60.0
+     *
+     * @param {boolean} [ignore=false] - Add the active inputs to the ignore list, rather than capturing them.
+     */
+    checkGamepads: function (ignore)
+    {
+        var gamepad = this.sceneInputPlugin.gamepad;
+
+        if (!gamepad || !gamepad.enabled)
+        {
+            return;
+        }
+
+        var pads = gamepad.getAll();
+        var ignored = this._ignore;
+        var id;
+        var i;
+
+        for (var p = 0; p < pads.length; p++)
+        {
+            var pad = pads[p];
+
+            for (i = 0; i < pad.buttons.length; i++)
+            {
+                id = p + 'b' + i;
+
+                if (pad.buttons[i].value < 0.5)
+                {
+                    delete ignored[id];
+                }
+                else if (ignore)
+                {
+                    ignored[id] = true;
+                }
+                else if (!ignored[id])
+                {
+                    this.capture({ button: i });
+
+                    return;
+                }
+            }
+
+            for (i = 0; i < pad.axes.length; i++)
+            {
+                var value = pad.axes[i].value;
+
+                id = p + 'a' + i;
+
+                if (Math.abs(value) < 0.5)
+                {
+                    delete ignored[id];
+                }
+                else if (ignore)
+                {
+                    ignored[id] = true;
+                }
+                else if (!ignored[id])
+                {
+                    this.capture({ axis: i, direction: (value < 0) ? -1 : 1 });
+
+                    return;
+                }
+            }
+        }
+    },
+
+    /**
+     * Gets the value of a binding.
+     *
+     * Keys and pointer regions are 0 or 1. Gamepad buttons are between 0 and 1. Gamepad axes are between -1 and 1
+     * with the deadzone removed, or between 0 and 1 if they have a direction. When a binding is for any gamepad,
+     * the value furthest from 0 of all of the connected gamepads is returned.
+     *
+     * @method Phaser.Input.Actions.ActionsPlugin#getBindingValue
+     * @since 3.60.0
+     *
+     * @param {Phaser.Types.Input.Actions.ActionBinding} binding - The binding.
+     *
+     * @return {number} The value of the binding.
+     */
+    getBindingValue: function (binding)
+    {
+        if (!this._active)
+        {
+            return 0;
+        }
+
+        var inputPlugin = this.sceneInputPlugin;
+
+        if (binding.hasOwnProperty('key'))
+        {
+            var keyboard = inputPlugin.keyboard;
+
+            //  Don't capture the key, so bound keys still reach the page and DOM inputs
+            return (keyboard && keyboard.enabled && keyboard.addKey(binding.key, false).isDown) ? 1 : 0;
+        }
+
+        if (binding.hasOwnProperty('pointer'))
+        {
+            return this.getPointerValue(binding.pointer);
+        }
+
+        var gamepad = inputPlugin.gamepad;
+
+        if (!gamepad || !gamepad.enabled)
+        {
+            return 0;
+        }
+
+        var pads = gamepad.getAll();
+        var output = 0;
+
+        for (var i = 0; i < pads.length; i++)
+        {
+            var pad = pads[i];
+
+            if (binding.pad !== -1 && binding.pad !== pad.index)
+            {
+                continue;
+            }
+
+            var value = 0;
+
+            if (binding.hasOwnProperty('button'))
+            {
+                var button = pad.buttons[binding.button];
+
+                value = (button) ? button.value : 0;
+            }
+            else
+            {
+                var axis = pad.axes[binding.axis];
+
+                value = (axis) ? this.getAxisValue(axis.value, binding.deadzone, binding.direction) : 0;
+            }
+
+            if (Math.abs(value) > Math.abs(output))
+            {
+                output = value;
+            }
+        }
+
+        return output;
+    },
+
+    /**
+     * Removes the deadzone from a gamepad axis value, and limits it to a direction.
+     *
+     * @method Phaser.Input.Actions.ActionsPlugin#getAxisValue
+     * @private
+     * @since 3.60.0
+     *
+     * @param {number} value - The value of the axis, between -1 and 1.
+     * @param {number} deadzone - The deadzone. Values closer to 0 than this are 0, and the rest are scaled to start from 0.
+     * @param {number} direction - 1 for only positive values, -1 for only negative values, which are made positive, or 0 for both.
+     *
+     * @return {number} The value.
+     */
+    getAxisValue: function (value, deadzone, direction)
+    {
+        var size = Math.abs(value);
+
+        if (size <= deadzone)
+        {
+            return 0;
+        }
+
+        value = (value < 0 ? -1 : 1) * Math.min(1, (size - deadzone) / (1 - deadzone));
+
+        if (direction !== 0)
+        {
+            value = Math.max(0, value * direction);
+        }
+
+        return value;
+    },
+
+    /**
+     * Checks if any pressed Pointer is within a region.
+     *
+     * @method Phaser.Input.Actions.ActionsPlugin#getPointerValue
+     * @private
+     * @since 3.60.0
+     *
+     * @param {object} region - The region, either a rectangle, a circle, or an object with a `contains` method.
+     *
+     * @return {number} 1 if a pressed Pointer is within the region, otherwise 0.
+     */
+    getPointerValue: function (region)
+    {
+        var pointers = this.sceneInputPlugin.manager.pointers;
+
+        for (var i = 0; i < pointers.length; i++)
+        {
+            var pointer = pointers[i];
+
+            if (!pointer.isDown)
+            {
+                continue;
+            }
+
+            var x = pointer.x;
+            var y = pointer.y;
+            var inside;
+
+            if (typeof region.contains === 'function')
+            {
+                inside = region.contains(x, y);
+            }
+            else if (region.radius !== undefined)
+            {
+                inside = CircleContains(region, x, y);
+            }
+            else
+            {
+                inside = RectangleContains(region, x, y);
+            }
+
+            if (inside)
+            {
+                return 1;
+            }
+        }
+
+        return 0;
+    },
+
+    /**
+     * Updates all of the Actions. This is called automatically at the start of every Scene step.
+     *
+     * @method Phaser.Input.Actions.ActionsPlugin#update
+     * @private
+     * @since 3.60.0
+     *
+     * @param {number} time - The current time.
+     */
+    update: function (time)
+    {
+        this._active = this.isActive();
+
+        if (this.isListening && this._active)
+        {
+            this.checkGamepads();
+        }
+
+        for (var name in this.actions)
+        {
+            this.actions[name].update(time);
+        }
+    },
+
+    /**
+     * Returns the bindings of all of the Actions, suitable for JSON serialization, such as for saving the player's controls.
+     *
+     * @method Phaser.Input.Actions.ActionsPlugin#toJSON
+     * @since 3.60.0
+     *
+     * @return {Object.<string, Phaser.Types.Input.Actions.ActionBinding[]>} The bindings of the Actions, by name.
+     */
+    toJSON: function ()
+    {
+        var output = {};
+
+        for (var name in this.actions)
+        {
+            output[name] = this.actions[name].toJSON();
+        }
+
+        return output;
+    },
+
+    /**
+     * Sets the bindings of Actions from JSON created by `toJSON`. The bindings of existing Actions are replaced,
+     * and Actions that don't exist are added. Actions not in the JSON are left as they are.
+     *
+     * @method Phaser.Input.Actions.ActionsPlugin#fromJSON
+     * @since 3.60.0
+     *
+     * @param {(string|Object.<string, (Phaser.Types.Input.Actions.ActionBindingConfig[]|Phaser.Types.Input.Actions.ActionConfig)>)} json - The bindings of the Actions, by name, either as an object or a JSON string. Each Action can be given an array of bindings or an Action Config.
+     *
+     * @return {this} This Actions Plugin.
+     */
+    fromJSON: function (json)
+    {
+        if (typeof json === 'string')
+        {
+            json = JSON.parse(json);
+        }
+
+        for (var name in json)
+        {
+            var action = this.get(name);
+
+            if (!action)
+            {
+                this.add(name, json[name]);
+
+                continue;
+            }
+
+            var config = json[name];
+            var bindings = (Array.isArray(config)) ? config : GetFastValue(config, 'bindings', null);
+
+            if (!Array.isArray(bindings))
+            {
+                console.warn('Invalid bindings for Action: ' + name);
+
+                continue;
+            }
+
+            action.clearBindings();
+
+            for (var i = 0; i < bindings.length; i++)
+            {
+                action.addBinding(bindings[i]);
+            }
+        }
+
+        return this;
+    },
+
+    /**
+     * Shuts this Actions Plugin down. All Actions are removed, and all listeners are removed.
+     *
+     * @method Phaser.Input.Actions.ActionsPlugin#shutdown
+     * @private
+     * @since 3.60.0
+     */
+    shutdown: function ()
+    {
+        this.stopListening();
+
+        this.removeAll();
+
+        this.removeAllListeners();
+
+        this.scene.sys.events.off(SceneEvents.PRE_UPDATE, this.update, this);
+    },
+
+    /**
+     * Destroys this Actions Plugin and releases internal references.
+     *
+     * @method Phaser.Input.Actions.ActionsPlugin#destroy
+     * @private
+     * @since 3.60.0
+     */
+    destroy: function ()
+    {
+        this.shutdown();
+
+        this.scene = null;
+        this.settings = null;
+        this.sceneInputPlugin = null;
+    }
+
+});
+
+/**
+ * An instance of the Actions Plugin class, if enabled via the `input.actions` Scene or Game Config property.
+ * Use this to map Actions to keyboard, gamepad and pointer input.
+ *
+ * @name Phaser.Input.InputPlugin#actions
+ * @type {?Phaser.Input.Actions.ActionsPlugin}
+ * @since 3.60.0
+ */
+InputPluginCache.register('ActionsPlugin', ActionsPlugin, 'actions', 'actions', 'inputActions');
+
+module.exports = ActionsPlugin;
@@ -0,0 +1,19 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+/**
+ * The Actions Plugin Action Down Event.
+ *
+ * This event is dispatched by the Actions Plugin when any of its Actions is pressed, after the Action has dispatched its own `down` event.
+ *
+ * Listen for it from a Scene using `this.input.actions.on('actiondown', listener)`.
+ *
+ * @event Phaser.Input.Actions.Events#ACTION_DOWN
+ * @since 3.60.0
+ *
+ * @param {Phaser.Input.Actions.Action} action - The Action that was pressed.
+ */
+module.exports = 'actiondown';
@@ -0,0 +1,19 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+/**
+ * The Actions Plugin Action Up Event.
+ *
+ * This event is dispatched by the Actions Plugin when any of its Actions is released, after the Action has dispatched its own `up` event.
+ *
+ * Listen for it from a Scene using `this.input.actions.on('actionup', listener)`.
+ *
+ * @event Phaser.Input.Actions.Events#ACTION_UP
+ * @since 3.60.0
+ *
+ * @param {Phaser.Input.Actions.Action} action - The Action that was released.
+ */
+module.exports = 'actionup';
@@ -0,0 +1,24 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+/**
+ * The Actions Plugin Binding Conflict Event.
+ *
+ * This event is dispatched by the Actions Plugin when `rebind` is given a binding that is triggered by the same input
+ * as a binding of another Action, or another binding of the same Action. It is dispatched once for each conflict,
+ * before the binding is replaced.
+ *
+ * Listen for it from a Scene using `this.input.actions.on('bindingconflict', listener)`.
+ *
+ * @event Phaser.Input.Actions.Events#BINDING_CONFLICT
+ * @since 3.60.0
+ *
+ * @param {Phaser.Input.Actions.Action} action - The Action being rebound.
+ * @param {Phaser.Types.Input.Actions.ActionBinding} binding - The new binding.
+ * @param {Phaser.Input.Actions.Action} conflictAction - The Action with the conflicting binding.
+ * @param {number} conflictIndex - The index of the conflicting binding.
+ */
+module.exports = 'bindingconflict';
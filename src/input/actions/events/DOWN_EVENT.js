@@ -0,0 +1,19 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+/**
+ * The Action Down Event.
+ *
+ * This event is dispatched by an Action when its value passes its threshold, because one or more of its bindings was pressed.
+ *
+ * Listen for it on an Action using `action.on('down', listener)`.
+ *
+ * @event Phaser.Input.Actions.Events#DOWN
+ * @since 3.60.0
+ *
+ * @param {Phaser.Input.Actions.Action} action - The Action that was pressed.
+ */
+module.exports = 'down';
@@ -0,0 +1,19 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+/**
+ * The Action Up Event.
+ *
+ * This event is dispatched by an Action when its value drops below its threshold, because all of its bindings were released.
+ *
+ * Listen for it on an Action using `action.on('up', listener)`.
+ *
+ * @event Phaser.Input.Actions.Events#UP
+ * @since 3.60.0
+ *
+ * @param {Phaser.Input.Actions.Action} action - The Action that was released.
+ */
+module.exports = 'up';
@@ -0,0 +1,19 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+/**
+ * @namespace Phaser.Input.Actions.Events
+ */
+
+module.exports = {
+
+    ACTION_DOWN: require('./ACTION_DOWN_EVENT'),
+    ACTION_UP: require('./ACTION_UP_EVENT'),
+    BINDING_CONFLICT: require('./BINDING_CONFLICT_EVENT'),
+    DOWN: require('./DOWN_EVENT'),
+    UP: require('./UP_EVENT')
+
+};
@@ -0,0 +1,17 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+/**
+ * @namespace Phaser.Input.Actions
+ */
+
+module.exports = {
+
+    Action: require('./Action'),
+    ActionsPlugin: require('./ActionsPlugin'),
+    Events: require('./events')
+
+};
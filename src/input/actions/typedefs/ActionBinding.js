@@ -0,0 +1,16 @@
+/**
+ * An Action binding, as created from an `ActionBindingConfig`. It has one of `key`, `button`, `axis` or `pointer`.
+ *
+ * @typedef {object} Phaser.Types.Input.Actions.ActionBinding
+ * @since 3.60.0
+ *
+ * @property {number} [key] - The key code.
+ * @property {number} [button] - The index of the gamepad button.
+ * @property {number} [axis] - The index of the gamepad axis.
+ * @property {object} [pointer] - The region of the screen.
+ * @property {number} [pad] - The index of the gamepad, or -1 for any gamepad. Only for buttons and axes.
+ * @property {number} [direction] - The direction of the axis: 1, -1 or 0 for both.
+ * @property {number} [deadzone] - The deadzone of the axis.
+ * @property {number} x - How much the binding adds to the x component of the Action `vector`.
+ * @property {number} y - How much the binding adds to the y component of the Action `vector`.
+ */
@@ -0,0 +1,19 @@
+/**
+ * A binding of an Action to a keyboard key, a gamepad button or axis, or a region of the screen.
+ *
+ * Give it one of `key`, `button`, `axis` or `pointer`. A number or a string can be used in place of the object,
+ * as a key code or `Phaser.Input.Keyboard.KeyCodes` name, such as `'SPACE'`.
+ *
+ * @typedef {(number|string|object)} Phaser.Types.Input.Actions.ActionBindingConfig
+ * @since 3.60.0
+ *
+ * @property {(number|string)} [key] - A key code, or the name of one of the `Phaser.Input.Keyboard.KeyCodes`.
+ * @property {number} [button] - The index of a gamepad button.
+ * @property {number} [axis] - The index of a gamepad axis.
+ * @property {(Phaser.Geom.Rectangle|Phaser.Geom.Circle|object)} [pointer] - A region of the screen, in screen coordinates, which triggers the Action while a Pointer is pressed within it. Either a Rectangle or Circle, or an object with a `contains(x, y)` method.
+ * @property {number} [pad=-1] - The index of the gamepad for a button or axis, or -1 for any gamepad.
+ * @property {number} [direction=0] - For an axis, 1 to use only its positive values, -1 to use only its negative values, made positive, or 0 to use both.
+ * @property {number} [deadzone=0.2] - For an axis, values closer to 0 than this are ignored.
+ * @property {number} [x=0] - How much the binding adds to the x component of the Action `vector`.
+ * @property {number} [y=0] - How much the binding adds to the y component of the Action `vector`.
+ */
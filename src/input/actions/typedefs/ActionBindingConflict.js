@@ -0,0 +1,7 @@
+/**
+ * @typedef {object} Phaser.Types.Input.Actions.ActionBindingConflict
+ * @since 3.60.0
+ *
+ * @property {Phaser.Input.Actions.Action} action - The Action with the conflicting binding.
+ * @property {number} index - The index of the conflicting binding.
+ */
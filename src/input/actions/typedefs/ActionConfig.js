@@ -0,0 +1,8 @@
+/**
+ * @typedef {object} Phaser.Types.Input.Actions.ActionConfig
+ * @since 3.60.0
+ *
+ * @property {Phaser.Types.Input.Actions.ActionBindingConfig[]} [bindings] - The bindings of the Action.
+ * @property {boolean} [enabled=true] - Can the Action be triggered?
+ * @property {number} [threshold=0.5] - The value the Action must reach to be down.
+ */
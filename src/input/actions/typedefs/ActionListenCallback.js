@@ -0,0 +1,6 @@
+/**
+ * @callback Phaser.Types.Input.Actions.ActionListenCallback
+ * @since 3.60.0
+ *
+ * @param {Phaser.Types.Input.Actions.ActionBinding} binding - The binding created from the input.
+ */
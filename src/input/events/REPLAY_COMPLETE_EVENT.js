@@ -0,0 +1,20 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+/**
+ * The Input Manager Replay Complete Event.
+ *
+ * This event is dispatched by the Input Manager when the Input Player reaches the end of the recording it is playing.
+ * Input from the DOM is processed again from this point on.
+ *
+ * Listen to this event from within a Scene using: `this.input.manager.events.on('replaycomplete', listener)`.
+ *
+ * @event Phaser.Input.Events#REPLAY_COMPLETE
+ * @since 3.60.0
+ *
+ * @param {Phaser.Types.Input.InputRecording} recording - The recording that finished playing.
+ */
+module.exports = 'replaycomplete';
@@ -53,6 +53,7 @@ module.exports = {
     POINTER_WHEEL: require('./POINTER_WHEEL_EVENT'),
     POINTERLOCK_CHANGE: require('./POINTERLOCK_CHANGE_EVENT'),
     PRE_UPDATE: require('./PRE_UPDATE_EVENT'),
+    REPLAY_COMPLETE: require('./REPLAY_COMPLETE_EVENT'),
     SHUTDOWN: require('./SHUTDOWN_EVENT'),
     START: require('./START_EVENT'),
     UPDATE: require('./UPDATE_EVENT')
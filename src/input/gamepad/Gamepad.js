@@ -8,6 +8,8 @@ var Axis = require('./Axis');
 var Button = require('./Button');
 var Class = require('../../utils/Class');
 var EventEmitter = require('eventemitter3');
+var GamepadCalibration = require('./mapping/GamepadCalibration');
+var GamepadMapping = require('./mapping/GamepadMapping');
 var Vector2 = require('../../math/Vector2');
 
 /**
@@ -24,6 +26,7 @@ var Vector2 = require('../../math/Vector2');
  *
  * @param {Phaser.Input.Gamepad.GamepadPlugin} manager - A reference to the Gamepad Plugin.
  * @param {Phaser.Types.Input.Gamepad.Pad} pad - The Gamepad object, as extracted from GamepadEvent.
+ * @param {?Phaser.Input.Gamepad.Mapping.GamepadMapping} [mapping] - The Gamepad Mapping that converts the raw buttons and axes into the standard gamepad layout.
  */
 var Gamepad = new Class({
 
@@ -31,7 +34,7 @@ var Gamepad = new Class({
 
     initialize:
 
-    function Gamepad (manager, pad)
+    function Gamepad (manager, pad, mapping)
     {
         EventEmitter.call(this);
 
@@ -79,12 +82,17 @@ var Gamepad = new Class({
          */
         this.index = pad.index;
 
-        var buttons = [];
-
-        for (var i = 0; i < pad.buttons.length; i++)
-        {
-            buttons.push(new Button(this, i));
-        }
+        /**
+         * The Gamepad Mapping that converts the raw buttons and axes of this Gamepad into the standard gamepad layout,
+         * or `null` if the browser already reports it in the standard layout, or it isn't in the mapping database.
+         *
+         * When set, `buttons` and `axes` are in the standard layout, and the raw values are available from the native `pad`.
+         *
+         * @name Phaser.Input.Gamepad.Gamepad#mapping
+         * @type {?Phaser.Input.Gamepad.Mapping.GamepadMapping}
+         * @since 3.60.0
+         */
+        this.mapping = (mapping) ? mapping : null;
 
         /**
          * An array of Gamepad Button objects, corresponding to the different buttons available on the Gamepad.
@@ -93,14 +101,7 @@ var Gamepad = new Class({
          * @type {Phaser.Input.Gamepad.Button[]}
          * @since 3.0.0
          */
-        this.buttons = buttons;
-
-        var axes = [];
-
-        for (i = 0; i < pad.axes.length; i++)
-        {
-            axes.push(new Axis(this, i));
-        }
+        this.buttons = [];
 
         /**
          * An array of Gamepad Axis objects, corresponding to the different axes available on the Gamepad, if any.
@@ -109,7 +110,7 @@ var Gamepad = new Class({
          * @type {Phaser.Input.Gamepad.Axis[]}
          * @since 3.0.0
          */
-        this.axes = axes;
+        this.axes = [];
 
         /**
          * The Gamepad's Haptic Actuator (Vibration / Rumble support).
@@ -122,6 +123,98 @@ var Gamepad = new Class({
          */
         this.vibration = pad.vibrationActuator;
 
+        /**
+         * The Gamepad Calibration that is recording a mapping for this Gamepad, if any.
+         *
+         * @name Phaser.Input.Gamepad.Gamepad#calibration
+         * @type {?Phaser.Input.Gamepad.Mapping.GamepadCalibration}
+         * @since 3.60.0
+         */
+        this.calibration = null;
+
+        /**
+         * A Vector2 containing the most recent values from the Gamepad's left axis stick.
+         * This is updated automatically as part of the Gamepad.update cycle.
+         * The H Axis is mapped to the `Vector2.x` property, and the V Axis to the `Vector2.y` property.
+         * The values are based on the Axis thresholds.
+         * If the Gamepad does not have a left axis stick, the values will always be zero.
+         *
+         * @name Phaser.Input.Gamepad.Gamepad#leftStick
+         * @type {Phaser.Math.Vector2}
+         * @since 3.10.0
+         */
+        this.leftStick = new Vector2();
+
+        /**
+         * A Vector2 containing the most recent values from the Gamepad's right axis stick.
+         * This is updated automatically as part of the Gamepad.update cycle.
+         * The H Axis is mapped to the `Vector2.x` property, and the V Axis to the `Vector2.y` property.
+         * The values are based on the Axis thresholds.
+         * If the Gamepad does not have a right axis stick, the values will always be zero.
+         *
+         * @name Phaser.Input.Gamepad.Gamepad#rightStick
+         * @type {Phaser.Math.Vector2}
+         * @since 3.10.0
+         */
+        this.rightStick = new Vector2();
+
+        /**
+         * When was this Gamepad created? Used to avoid duplicate event spamming in the update loop.
+         *
+         * @name Phaser.Input.Gamepad.Gamepad#_created
+         * @type {number}
+         * @private
+         * @since 3.50.0
+         */
+        this._created = performance.now();
+
+        this.createInputs();
+    },
+
+    /**
+     * Creates the Buttons and Axes of this Gamepad, either from the native gamepad, or in the standard layout if it has a mapping.
+     *
+     * @method Phaser.Input.Gamepad.Gamepad#createInputs
+     * @private
+     * @since 3.60.0
+     */
+    createInputs: function ()
+    {
+        var pad = this.pad;
+        var mapping = this.mapping;
+        var i;
+
+        for (i = 0; i < this.buttons.length; i++)
+        {
+            this.buttons[i].destroy();
+        }
+
+        for (i = 0; i < this.axes.length; i++)
+        {
+            this.axes[i].destroy();
+        }
+
+        var buttonTotal = (mapping) ? GamepadMapping.BUTTON_TOTAL : pad.buttons.length;
+        var axisTotal = (mapping) ? GamepadMapping.AXIS_TOTAL : pad.axes.length;
+
+        var buttons = [];
+
+        for (i = 0; i < buttonTotal; i++)
+        {
+            buttons.push(new Button(this, i));
+        }
+
+        this.buttons = buttons;
+
+        var axes = [];
+
+        for (i = 0; i < axisTotal; i++)
+        {
+            axes.push(new Axis(this, i));
+        }
+
+        this.axes = axes;
+
         // https://w3c.github.io/gamepad/#remapping
 
         var _noButton = { value: 0, pressed: false };
@@ -288,41 +381,70 @@ var Gamepad = new Class({
          */
         this._VAxisRight = (axes[3]) ? axes[3] : _noAxis;
 
-        /**
-         * A Vector2 containing the most recent values from the Gamepad's left axis stick.
-         * This is updated automatically as part of the Gamepad.update cycle.
-         * The H Axis is mapped to the `Vector2.x` property, and the V Axis to the `Vector2.y` property.
-         * The values are based on the Axis thresholds.
-         * If the Gamepad does not have a left axis stick, the values will always be zero.
-         *
-         * @name Phaser.Input.Gamepad.Gamepad#leftStick
-         * @type {Phaser.Math.Vector2}
-         * @since 3.10.0
-         */
-        this.leftStick = new Vector2();
+        this.leftStick.reset();
+        this.rightStick.reset();
+    },
 
-        /**
-         * A Vector2 containing the most recent values from the Gamepad's right axis stick.
-         * This is updated automatically as part of the Gamepad.update cycle.
-         * The H Axis is mapped to the `Vector2.x` property, and the V Axis to the `Vector2.y` property.
-         * The values are based on the Axis thresholds.
-         * If the Gamepad does not have a right axis stick, the values will always be zero.
-         *
-         * @name Phaser.Input.Gamepad.Gamepad#rightStick
-         * @type {Phaser.Math.Vector2}
-         * @since 3.10.0
-         */
-        this.rightStick = new Vector2();
+    /**
+     * Sets the Gamepad Mapping of this Gamepad, which converts its raw buttons and axes into the standard gamepad layout.
+     *
+     * The Buttons and Axes of this Gamepad are recreated, so any references you hold to them are no longer updated.
+     *
+     * @method Phaser.Input.Gamepad.Gamepad#setMapping
+     * @since 3.60.0
+     *
+     * @param {?Phaser.Input.Gamepad.Mapping.GamepadMapping} mapping - The mapping, or `null` to use the raw buttons and axes.
+     *
+     * @return {this} This Gamepad.
+     */
+    setMapping: function (mapping)
+    {
+        this.mapping = (mapping) ? mapping : null;
 
-        /**
-         * When was this Gamepad created? Used to avoid duplicate event spamming in the update loop.
-         *
-         * @name Phaser.Input.Gamepad.Gamepad#_created
-         * @type {number}
-         * @private
-         * @since 3.50.0
-         */
-        this._created = performance.now();
+        this.createInputs();
+
+        return this;
+    },
+
+    /**
+     * Starts a Gamepad Calibration, which records a Gamepad Mapping for this Gamepad by asking the player to press
+     * each button and move each stick in turn. Listen for its `calibrationstep` event to prompt the player, and its
+     * `calibrationcomplete` event to get the mapping, which is set on this Gamepad and added to the Gamepad Plugin
+     * mapping database.
+     *
+     * ```javascript
+     * var calibration = pad.calibrate();
+     *
+     * calibration.on('calibrationstep', function (target) {
+     *     prompt.setText('Press ' + target);
+     * });
+     *
+     * calibration.on('calibrationcomplete', function (mapping) {
+     *     localStorage.setItem('padMapping', mapping.toString());
+     * });
+     * ```
+     *
+     * Any calibration already running on this Gamepad is cancelled.
+     *
+     * @method Phaser.Input.Gamepad.Gamepad#calibrate
+     * @since 3.60.0
+     *
+     * @param {string[]} [targets] - The SDL names of the buttons and axes to record, in order. Defaults to all of the standard buttons and axes.
+     *
+     * @return {Phaser.Input.Gamepad.Mapping.GamepadCalibration} The Gamepad Calibration.
+     */
+    calibrate: function (targets)
+    {
+        if (this.calibration)
+        {
+            this.calibration.cancel();
+        }
+
+        this.calibration = new GamepadCalibration(this, targets);
+
+        this.calibration.start();
+
+        return this.calibration;
     },
 
     /**
@@ -436,6 +558,12 @@ var Gamepad = new Class({
         }
 
         var i;
+        var mapping = this.mapping;
+
+        if (this.calibration)
+        {
+            this.calibration.update(pad);
+        }
 
         //  Sync the button values
 
@@ -446,7 +574,7 @@ var Gamepad = new Class({
 
         for (i = 0; i < len; i++)
         {
-            localButtons[i].update(gamepadButtons[i].value);
+            localButtons[i].update((mapping) ? mapping.getButtonValue(i, pad) : gamepadButtons[i].value);
         }
 
         //  Sync the axis values
@@ -458,7 +586,7 @@ var Gamepad = new Class({
 
         for (i = 0; i < len; i++)
         {
-            localAxes[i].update(gamepadAxes[i]);
+            localAxes[i].update((mapping) ? mapping.getAxisValue(i, pad) : gamepadAxes[i]);
         }
 
         if (len >= 2)
@@ -480,10 +608,16 @@ var Gamepad = new Class({
      */
     destroy: function ()
     {
+        if (this.calibration)
+        {
+            this.calibration.cancel();
+        }
+
         this.removeAllListeners();
 
         this.manager = null;
         this.pad = null;
+        this.mapping = null;
 
         var i;
 
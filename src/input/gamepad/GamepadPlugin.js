@@ -11,6 +11,7 @@ var Gamepad = require('./Gamepad');
 var GetValue = require('../../utils/object/GetValue');
 var InputPluginCache = require('../InputPluginCache');
 var InputEvents = require('../events');
+var MappingDatabase = require('./mapping/MappingDatabase');
 
 /**
  * @classdesc
@@ -136,6 +137,19 @@ var GamepadPlugin = new Class({
          */
         this.queue = [];
 
+        /**
+         * The database of Gamepad Mappings, used to convert the raw buttons and axes of non-standard controllers
+         * into the standard gamepad layout when they connect.
+         *
+         * It starts empty, apart from any mappings in the `input.gamepad.mappings` Game Config property, as Phaser doesn't
+         * ship with any. Add to it via `addMappings`, so that Gamepads that are already connected are updated too.
+         *
+         * @name Phaser.Input.Gamepad.GamepadPlugin#mappings
+         * @type {Phaser.Input.Gamepad.Mapping.MappingDatabase}
+         * @since 3.60.0
+         */
+        this.mappings = new MappingDatabase();
+
         /**
          * Internal event handler.
          *
@@ -207,6 +221,36 @@ var GamepadPlugin = new Class({
         this.enabled = GetValue(settings, 'gamepad', config.inputGamepad) && game.device.input.gamepads;
         this.target = GetValue(settings, 'gamepad.target', config.inputGamepadEventTarget);
 
+        var os = game.device.os;
+
+        if (os.windows)
+        {
+            this.mappings.platform = 'Windows';
+        }
+        else if (os.macOS)
+        {
+            this.mappings.platform = 'Mac OS X';
+        }
+        else if (os.android)
+        {
+            this.mappings.platform = 'Android';
+        }
+        else if (os.iOS)
+        {
+            this.mappings.platform = 'iOS';
+        }
+        else if (os.linux)
+        {
+            this.mappings.platform = 'Linux';
+        }
+
+        var mappings = GetValue(settings, 'gamepad.mappings', config.inputGamepadMappings);
+
+        if (mappings)
+        {
+            this.mappings.add(mappings);
+        }
+
         this.sceneInputPlugin.pluginEvents.once(InputEvents.DESTROY, this.destroy, this);
     },
 
@@ -259,9 +303,9 @@ var GamepadPlugin = new Class({
 
         var handler = function (event)
         {
-            if (event.defaultPrevented || !_this.isActive())
+            if (event.defaultPrevented || !_this.isActive() || !_this.sceneInputPlugin.manager.filterEvent(event))
             {
-                // Do nothing if event already handled
+                // Do nothing if event already handled, or an input replay is playing
                 return;
             }
 
@@ -330,7 +374,7 @@ var GamepadPlugin = new Class({
      */
     refreshPads: function ()
     {
-        var connectedPads = navigator.getGamepads();
+        var connectedPads = this.sceneInputPlugin.manager.getGamepads();
 
         if (!connectedPads)
         {
@@ -357,7 +401,7 @@ var GamepadPlugin = new Class({
                 if (!currentPad)
                 {
                     //  A new Gamepad, not currently stored locally
-                    var newPad = new Gamepad(this, livePad);
+                    var newPad = new Gamepad(this, livePad, this.mappings.get(livePad));
 
                     currentPads[index] = newPad;
 
@@ -383,7 +427,7 @@ var GamepadPlugin = new Class({
                     //  A new Gamepad with a different vendor string, but it has got the same index as an old one
                     currentPad.destroy();
 
-                    currentPads[index] = new Gamepad(this, livePad);
+                    currentPads[index] = new Gamepad(this, livePad, this.mappings.get(livePad));
                 }
                 else
                 {
@@ -394,6 +438,46 @@ var GamepadPlugin = new Class({
         }
     },
 
+    /**
+     * Adds Gamepad Mappings to the `mappings` database, in the SDL GameControllerDB format, and applies them to any
+     * connected Gamepads they match.
+     *
+     * You can load the community maintained `gamecontrollerdb.txt` file with the Loader and add it in one go:
+     *
+     * ```javascript
+     * this.input.gamepad.addMappings(this.cache.text.get('gamecontrollerdb'));
+     * ```
+     *
+     * @method Phaser.Input.Gamepad.GamepadPlugin#addMappings
+     * @since 3.60.0
+     *
+     * @param {(string|string[]|Phaser.Input.Gamepad.Mapping.GamepadMapping)} mappings - A mapping, or one or more mapping strings, one per line.
+     *
+     * @return {number} The number of mappings added.
+     */
+    addMappings: function (mappings)
+    {
+        var total = this.mappings.add(mappings);
+        var pads = this.gamepads;
+
+        for (var i = 0; i < pads.length; i++)
+        {
+            var pad = pads[i];
+
+            if (pad)
+            {
+                var mapping = this.mappings.get(pad.pad);
+
+                if (mapping && mapping !== pad.mapping)
+                {
+                    pad.setMapping(mapping);
+                }
+            }
+        }
+
+        return total;
+    },
+
     /**
      * Returns an array of all currently connected Gamepads.
      *
@@ -0,0 +1,23 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+/**
+ * The Gamepad Calibration Complete Event.
+ *
+ * This event is dispatched by a Gamepad Calibration when all of its targets have been recorded or skipped.
+ * The mapping has already been set on the Gamepad and added to the Gamepad Plugin mapping database.
+ *
+ * Listen to this event from a Gamepad Calibration using: `pad.calibrate().once('calibrationcomplete', listener)`.
+ *
+ * Save `mapping.toString()` if you want to use the mapping again in a future session.
+ *
+ * @event Phaser.Input.Gamepad.Events#CALIBRATION_COMPLETE
+ * @since 3.60.0
+ *
+ * @param {Phaser.Input.Gamepad.Mapping.GamepadMapping} mapping - The recorded mapping.
+ * @param {Phaser.Input.Gamepad.Gamepad} pad - The Gamepad that was calibrated.
+ */
+module.exports = 'calibrationcomplete';
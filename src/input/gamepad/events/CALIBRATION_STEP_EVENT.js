@@ -0,0 +1,22 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+/**
+ * The Gamepad Calibration Step Event.
+ *
+ * This event is dispatched by a Gamepad Calibration when it starts recording a target. Use it to ask the player to
+ * press the button, or, for the `leftx`, `lefty`, `rightx` and `righty` axes, to push the stick left or up.
+ *
+ * Listen to this event from a Gamepad Calibration using: `pad.calibrate().on('calibrationstep', listener)`.
+ *
+ * @event Phaser.Input.Gamepad.Events#CALIBRATION_STEP
+ * @since 3.60.0
+ *
+ * @param {string} target - The SDL name of the button or axis being recorded, such as `a` or `leftx`.
+ * @param {number} index - The index of the target.
+ * @param {Phaser.Input.Gamepad.Mapping.GamepadCalibration} calibration - The Gamepad Calibration.
+ */
+module.exports = 'calibrationstep';
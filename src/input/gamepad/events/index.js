@@ -12,6 +12,8 @@ module.exports = {
 
     BUTTON_DOWN: require('./BUTTON_DOWN_EVENT'),
     BUTTON_UP: require('./BUTTON_UP_EVENT'),
+    CALIBRATION_COMPLETE: require('./CALIBRATION_COMPLETE_EVENT'),
+    CALIBRATION_STEP: require('./CALIBRATION_STEP_EVENT'),
     CONNECTED: require('./CONNECTED_EVENT'),
     DISCONNECTED: require('./DISCONNECTED_EVENT'),
     GAMEPAD_BUTTON_DOWN: require('./GAMEPAD_BUTTON_DOWN_EVENT'),
@@ -15,6 +15,7 @@ module.exports = {
     Events: require('./events'),
     Gamepad: require('./Gamepad'),
     GamepadPlugin: require('./GamepadPlugin'),
+    Mapping: require('./mapping'),
     
     Configs: require('./configs/')
 };
@@ -0,0 +1,527 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var Class = require('../../../utils/Class');
+var EventEmitter = require('eventemitter3');
+var Events = require('../events');
+var GamepadMapping = require('./GamepadMapping');
+
+/**
+ * @classdesc
+ * A Gamepad Calibration records a Gamepad Mapping for a controller that isn't in the mapping database, by asking the player
+ * to press each button, and move each stick, in turn.
+ *
+ * For each target it emits the `calibrationstep` event, which you should use to prompt the player. For the stick axes,
+ * ask the player to push the stick left for `leftx` and `rightx`, and up for `lefty` and `righty`. It then waits for
+ * all of the buttons and axes to be released, and records the next raw button, axis or hat that is pressed. Inputs that
+ * were already recorded for an earlier target are ignored. If the controller doesn't have a target, call `skip`.
+ *
+ * When all of the targets are recorded, the mapping is set on the Gamepad, added to the Gamepad Plugin mapping database,
+ * and sent with the `calibrationcomplete` event. Save `mapping.toString()` and add it to the database in future sessions,
+ * or via the `input.gamepad.mappings` Game Config property, so the player only has to calibrate once.
+ *
+ * Create a calibration with `Gamepad.calibrate`. It is updated by the Gamepad.
+ *
+ * @class GamepadCalibration
+ * @extends Phaser.Events.EventEmitter
+ * @memberof Phaser.Input.Gamepad.Mapping
+ * @constructor
+ * @since 3.60.0
+ *
+ * @param {Phaser.Input.Gamepad.Gamepad} gamepad - The Gamepad to calibrate.
+ * @param {string[]} [targets] - The SDL names of the buttons and axes to record, in order. Defaults to `GamepadCalibration.TARGETS`.
+ */
+var GamepadCalibration = new Class({
+
+    Extends: EventEmitter,
+
+    initialize:
+
+    function GamepadCalibration (gamepad, targets)
+    {
+        if (targets === undefined) { targets = GamepadCalibration.TARGETS; }
+
+        EventEmitter.call(this);
+
+        /**
+         * The Gamepad being calibrated.
+         *
+         * @name Phaser.Input.Gamepad.Mapping.GamepadCalibration#gamepad
+         * @type {Phaser.Input.Gamepad.Gamepad}
+         * @since 3.60.0
+         */
+        this.gamepad = gamepad;
+
+        /**
+         * The SDL names of the buttons and axes to record, in order.
+         *
+         * @name Phaser.Input.Gamepad.Mapping.GamepadCalibration#targets
+         * @type {string[]}
+         * @since 3.60.0
+         */
+        this.targets = targets.slice();
+
+        /**
+         * The index of the target being recorded, or -1 before the first update.
+         *
+         * @name Phaser.Input.Gamepad.Mapping.GamepadCalibration#index
+         * @type {number}
+         * @since 3.60.0
+         */
+        this.index = -1;
+
+        /**
+         * The sources recorded so far, by target, in SDL format.
+         *
+         * @name Phaser.Input.Gamepad.Mapping.GamepadCalibration#bindings
+         * @type {Object.<string, string>}
+         * @since 3.60.0
+         */
+        this.bindings = {};
+
+        /**
+         * Is this calibration recording?
+         *
+         * @name Phaser.Input.Gamepad.Mapping.GamepadCalibration#isRunning
+         * @type {boolean}
+         * @readonly
+         * @since 3.60.0
+         */
+        this.isRunning = false;
+
+        /**
+         * The recorded mapping, once the calibration is complete.
+         *
+         * @name Phaser.Input.Gamepad.Mapping.GamepadCalibration#mapping
+         * @type {?Phaser.Input.Gamepad.Mapping.GamepadMapping}
+         * @since 3.60.0
+         */
+        this.mapping = null;
+
+        /**
+         * The values of the raw axes at rest, taken on the first update.
+         *
+         * @name Phaser.Input.Gamepad.Mapping.GamepadCalibration#_rest
+         * @type {?number[]}
+         * @private
+         * @since 3.60.0
+         */
+        this._rest = null;
+
+        /**
+         * The indexes of the raw axes that are POV hats, which rest outside of the -1 to 1 range.
+         *
+         * @name Phaser.Input.Gamepad.Mapping.GamepadCalibration#_hatAxes
+         * @type {number[]}
+         * @private
+         * @since 3.60.0
+         */
+        this._hatAxes = [];
+
+        /**
+         * The raw inputs already recorded.
+         *
+         * @name Phaser.Input.Gamepad.Mapping.GamepadCalibration#_used
+         * @type {Object.<string, boolean>}
+         * @private
+         * @since 3.60.0
+         */
+        this._used = {};
+
+        /**
+         * Is the calibration waiting for all of the inputs to be released?
+         *
+         * @name Phaser.Input.Gamepad.Mapping.GamepadCalibration#_waiting
+         * @type {boolean}
+         * @private
+         * @since 3.60.0
+         */
+        this._waiting = true;
+    },
+
+    /**
+     * The SDL name of the target being recorded, or an empty string if the calibration isn't running.
+     *
+     * @name Phaser.Input.Gamepad.Mapping.GamepadCalibration#target
+     * @type {string}
+     * @readonly
+     * @since 3.60.0
+     */
+    target: {
+
+        get: function ()
+        {
+            return (this.isRunning && this.index >= 0) ? this.targets[this.index] : '';
+        }
+
+    },
+
+    /**
+     * Starts recording from the first target.
+     *
+     * The values of the axes at rest are taken on the next update, and then the `calibrationstep` event is emitted
+     * for the first target, so you can listen for it after calling this method.
+     *
+     * @method Phaser.Input.Gamepad.Mapping.GamepadCalibration#start
+     * @since 3.60.0
+     *
+     * @return {this} This Gamepad Calibration.
+     */
+    start: function ()
+    {
+        this.index = -1;
+        this.bindings = {};
+        this.mapping = null;
+        this.isRunning = true;
+
+        this._rest = null;
+        this._hatAxes = [];
+        this._used = {};
+
+        return this;
+    },
+
+    /**
+     * Skips the target being recorded, leaving it unmapped.
+     *
+     * @method Phaser.Input.Gamepad.Mapping.GamepadCalibration#skip
+     * @fires Phaser.Input.Gamepad.Events#CALIBRATION_STEP
+     * @fires Phaser.Input.Gamepad.Events#CALIBRATION_COMPLETE
+     * @since 3.60.0
+     *
+     * @return {this} This Gamepad Calibration.
+     */
+    skip: function ()
+    {
+        if (this.isRunning)
+        {
+            this.next();
+        }
+
+        return this;
+    },
+
+    /**
+     * Stops recording, without changing the mapping of the Gamepad.
+     *
+     * @method Phaser.Input.Gamepad.Mapping.GamepadCalibration#cancel
+     * @since 3.60.0
+     *
+     * @return {this} This Gamepad Calibration.
+     */
+    cancel: function ()
+    {
+        this.stop();
+
+        this.removeAllListeners();
+
+        return this;
+    },
+
+    /**
+     * Stops recording and releases the Gamepad.
+     *
+     * @method Phaser.Input.Gamepad.Mapping.GamepadCalibration#stop
+     * @private
+     * @since 3.60.0
+     */
+    stop: function ()
+    {
+        this.isRunning = false;
+
+        if (this.gamepad && this.gamepad.calibration === this)
+        {
+            this.gamepad.calibration = null;
+        }
+    },
+
+    /**
+     * Moves on to the next target, or completes the calibration if there are no more.
+     *
+     * @method Phaser.Input.Gamepad.Mapping.GamepadCalibration#next
+     * @fires Phaser.Input.Gamepad.Events#CALIBRATION_STEP
+     * @fires Phaser.Input.Gamepad.Events#CALIBRATION_COMPLETE
+     * @private
+     * @since 3.60.0
+     */
+    next: function ()
+    {
+        this.index++;
+
+        this._waiting = true;
+
+        if (this.index < this.targets.length)
+        {
+            this.emit(Events.CALIBRATION_STEP, this.targets[this.index], this.index, this);
+        }
+        else
+        {
+            this.complete();
+        }
+    },
+
+    /**
+     * Creates the mapping from the recorded sources, and sets it on the Gamepad.
+     *
+     * @method Phaser.Input.Gamepad.Mapping.GamepadCalibration#complete
+     * @fires Phaser.Input.Gamepad.Events#CALIBRATION_COMPLETE
+     * @private
+     * @since 3.60.0
+     */
+    complete: function ()
+    {
+        var gamepad = this.gamepad;
+        var guid = GamepadMapping.createGUID(GamepadMapping.getIdVendorProduct(gamepad.id));
+        var mapping = new GamepadMapping(guid, gamepad.id, this.bindings);
+
+        mapping.hatAxes = this._hatAxes.slice();
+
+        this.mapping = mapping;
+
+        this.stop();
+
+        if (gamepad.manager)
+        {
+            gamepad.manager.mappings.add(mapping);
+        }
+
+        gamepad.setMapping(mapping);
+
+        this.emit(Events.CALIBRATION_COMPLETE, mapping, gamepad);
+    },
+
+    /**
+     * Checks the raw inputs of the Gamepad and records the next one that is pressed.
+     * Called automatically by the Gamepad as part of its update.
+     *
+     * @method Phaser.Input.Gamepad.Mapping.GamepadCalibration#update
+     * @fires Phaser.Input.Gamepad.Events#CALIBRATION_STEP
+     * @fires Phaser.Input.Gamepad.Events#CALIBRATION_COMPLETE
+     * @private
+     * @since 3.60.0
+     *
+     * @param {Gamepad} pad - The native gamepad.
+     */
+    update: function (pad)
+    {
+        if (!this.isRunning)
+        {
+            return;
+        }
+
+        var buttons = pad.buttons;
+        var axes = pad.axes;
+        var rest = this._rest;
+        var i;
+
+        if (!rest)
+        {
+            rest = axes.slice();
+
+            for (i = 0; i < rest.length; i++)
+            {
+                if (Math.abs(rest[i]) > 1.01)
+                {
+                    this._hatAxes.push(i);
+                }
+            }
+
+            this._rest = rest;
+
+            this.next();
+
+            return;
+        }
+
+        if (this._waiting)
+        {
+            //  Wait until nothing is pressed, so the input for the last target isn't recorded again
+            if (this.isReleased(buttons, axes, rest))
+            {
+                this._waiting = false;
+            }
+
+            return;
+        }
+
+        var source = this.getActiveSource(buttons, axes, rest);
+
+        if (source)
+        {
+            this.bindings[this.targets[this.index]] = source.source;
+
+            for (i = 0; i < source.used.length; i++)
+            {
+                this._used[source.used[i]] = true;
+            }
+
+            this.next();
+        }
+    },
+
+    /**
+     * Checks if all of the raw buttons and axes are at rest.
+     *
+     * @method Phaser.Input.Gamepad.Mapping.GamepadCalibration#isReleased
+     * @private
+     * @since 3.60.0
+     *
+     * @param {GamepadButton[]} buttons - The native buttons.
+     * @param {number[]} axes - The native axes.
+     * @param {number[]} rest - The values of the axes at rest.
+     *
+     * @return {boolean} `true` if nothing is pressed.
+     */
+    isReleased: function (buttons, axes, rest)
+    {
+        var i;
+
+        for (i = 0; i < buttons.length; i++)
+        {
+            if (buttons[i].value >= 0.5)
+            {
+                return false;
+            }
+        }
+
+        for (i = 0; i < axes.length; i++)
+        {
+            if (this._hatAxes.indexOf(i) !== -1)
+            {
+                if (GamepadMapping.getHatMask(axes[i]) !== 0)
+                {
+                    return false;
+                }
+            }
+            else if (Math.abs(axes[i] - rest[i]) >= 0.5)
+            {
+                return false;
+            }
+        }
+
+        return true;
+    },
+
+    /**
+     * Finds the first raw input that is pressed and not already recorded, and creates the SDL source for it
+     * for the target being recorded.
+     *
+     * @method Phaser.Input.Gamepad.Mapping.GamepadCalibration#getActiveSource
+     * @private
+     * @since 3.60.0
+     *
+     * @param {GamepadButton[]} buttons - The native buttons.
+     * @param {number[]} axes - The native axes.
+     * @param {number[]} rest - The values of the axes at rest.
+     *
+     * @return {?{source: string, used: string[]}} The source, and the raw inputs it uses, or `null` if nothing new is pressed.
+     */
+    getActiveSource: function (buttons, axes, rest)
+    {
+        var used = this._used;
+        var isAxis = GamepadMapping.AXES.hasOwnProperty(this.targets[this.index]);
+        var source;
+        var i;
+
+        for (i = 0; i < buttons.length; i++)
+        {
+            source = 'b' + i;
+
+            if (buttons[i].value >= 0.5 && !used[source])
+            {
+                return { source: source, used: [ source ] };
+            }
+        }
+
+        for (i = 0; i < axes.length; i++)
+        {
+            var hat = this._hatAxes.indexOf(i);
+
+            if (hat !== -1)
+            {
+                var mask = GamepadMapping.getHatMask(axes[i]);
+
+                source = 'h' + hat + '.' + mask;
+
+                //  Only the 4 main directions, as the diagonals are two of them at once
+                if ((mask === 1 || mask === 2 || mask === 4 || mask === 8) && !used[source])
+                {
+                    return { source: source, used: [ source ] };
+                }
+
+                continue;
+            }
+
+            var delta = axes[i] - rest[i];
+
+            if (Math.abs(delta) < 0.5)
+            {
+                continue;
+            }
+
+            var axis = 'a' + i;
+
+            if (isAxis)
+            {
+                //  The player pushes left or up, which are negative in the standard layout
+                if (!used[axis])
+                {
+                    return { source: axis + ((delta > 0) ? '~' : ''), used: [ axis, '+' + axis, '-' + axis ] };
+                }
+            }
+            else if (Math.abs(rest[i]) > 0.5)
+            {
+                //  A trigger that rests at one end of the axis
+                if (!used[axis])
+                {
+                    return { source: axis + ((rest[i] > 0) ? '~' : ''), used: [ axis, '+' + axis, '-' + axis ] };
+                }
+            }
+            else
+            {
+                source = ((delta > 0) ? '+' : '-') + axis;
+
+                if (!used[source])
+                {
+                    return { source: source, used: [ source, axis ] };
+                }
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Destroys this Gamepad Calibration, cancelling it if it is running.
+     *
+     * @method Phaser.Input.Gamepad.Mapping.GamepadCalibration#destroy
+     * @since 3.60.0
+     */
+    destroy: function ()
+    {
+        this.cancel();
+
+        this.gamepad = null;
+    }
+
+});
+
+/**
+ * The default targets recorded by a Gamepad Calibration, in order.
+ *
+ * @name Phaser.Input.Gamepad.Mapping.GamepadCalibration.TARGETS
+ * @type {string[]}
+ * @since 3.60.0
+ */
+GamepadCalibration.TARGETS = [
+    'a', 'b', 'x', 'y',
+    'dpup', 'dpdown', 'dpleft', 'dpright',
+    'leftshoulder', 'rightshoulder', 'lefttrigger', 'righttrigger',
+    'back', 'start', 'guide', 'leftstick', 'rightstick',
+    'leftx', 'lefty', 'rightx', 'righty'
+];
+
+module.exports = GamepadCalibration;
@@ -0,0 +1,610 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var Class = require('../../../utils/Class');
+
+//  The d-pad directions of the 8 positions of a POV hat axis, starting at up and going clockwise, as SDL hat masks
+var HAT_POSITIONS = [ 1, 3, 2, 6, 4, 12, 8, 9 ];
+
+/**
+ * @classdesc
+ * A Gamepad Mapping converts the raw buttons and axes of a non-standard controller into the
+ * W3C standard gamepad layout, so that button 0 is always the bottom face button, axis 0 is always
+ * the left stick, and so on, whatever the controller.
+ *
+ * Mappings are created from strings in the format used by the SDL GameControllerDB:
+ *
+ * ```
+ * 03000000790000001100000000000000,Retro Controller,a:b1,b:b2,x:b0,y:b3,back:b8,start:b9,leftshoulder:b4,rightshoulder:b5,dpup:-a1,dpdown:+a1,dpleft:-a0,dpright:+a0,platform:Windows,
+ * ```
+ *
+ * The first field is the SDL GUID of the controller, which contains its USB vendor and product ids, and the second is its name.
+ * The rest are `target:source` pairs. Each source is a raw button (`b0`), axis (`a0`), or hat (`h0.1`).
+ * An axis can be prefixed with `+` or `-` to use only half of it, or suffixed with `~` to invert it. A target axis can be
+ * prefixed with `+` or `-` so that two sources can drive each half of it.
+ *
+ * Browsers don't expose hats directly. Most of them report a hat as a single axis, which rests outside of the -1 to 1 range
+ * and moves through 8 positions between -1 (up) and 1 (up-left), clockwise. By default hat 0 is read from the last axis of the
+ * controller. If it is a different axis, set it in the `hatAxes` array.
+ *
+ * You don't normally create these directly. Add mapping strings to the Gamepad Plugin `mappings` database, or record them with
+ * a Gamepad Calibration, and they are applied to matching Gamepads when they connect.
+ *
+ * @class GamepadMapping
+ * @memberof Phaser.Input.Gamepad.Mapping
+ * @constructor
+ * @since 3.60.0
+ *
+ * @param {string} guid - The SDL GUID of the controller, as 32 hexadecimal characters.
+ * @param {string} name - The name of the controller. A Gamepad with an `id` that is exactly this name always uses this mapping.
+ * @param {Object.<string, string>} [bindings] - The sources of the targets, such as `{ a: 'b1', leftx: 'a0' }`.
+ * @param {string} [platform=''] - The SDL platform the mapping is for, such as `Windows` or `Mac OS X`, or an empty string for any platform.
+ */
+var GamepadMapping = new Class({
+
+    initialize:
+
+    function GamepadMapping (guid, name, bindings, platform)
+    {
+        if (platform === undefined) { platform = ''; }
+
+        /**
+         * The SDL GUID of the controller, as 32 lower-case hexadecimal characters.
+         *
+         * @name Phaser.Input.Gamepad.Mapping.GamepadMapping#guid
+         * @type {string}
+         * @since 3.60.0
+         */
+        this.guid = guid.toLowerCase();
+
+        /**
+         * The name of the controller.
+         *
+         * @name Phaser.Input.Gamepad.Mapping.GamepadMapping#name
+         * @type {string}
+         * @since 3.60.0
+         */
+        this.name = name;
+
+        /**
+         * The SDL platform the mapping is for, such as `Windows`, or an empty string for any platform.
+         *
+         * @name Phaser.Input.Gamepad.Mapping.GamepadMapping#platform
+         * @type {string}
+         * @since 3.60.0
+         */
+        this.platform = platform;
+
+        /**
+         * The USB vendor and product ids of the controller, as 8 lower-case hexadecimal characters,
+         * or an empty string if the GUID doesn't contain them.
+         *
+         * @name Phaser.Input.Gamepad.Mapping.GamepadMapping#vendorProduct
+         * @type {string}
+         * @since 3.60.0
+         */
+        this.vendorProduct = GamepadMapping.getGUIDVendorProduct(this.guid);
+
+        /**
+         * The sources of the targets, in SDL format, such as `{ a: 'b1', leftx: 'a0', '+lefty': '+a1' }`.
+         *
+         * If you change these, call `compile` to apply them.
+         *
+         * @name Phaser.Input.Gamepad.Mapping.GamepadMapping#bindings
+         * @type {Object.<string, string>}
+         * @since 3.60.0
+         */
+        this.bindings = {};
+
+        /**
+         * The indexes of the raw axes that hats are read from. Hats without an entry are read from the last axis.
+         *
+         * These are stored in mapping strings in a `hataxes` field, such as `hataxes:9`, which is specific to Phaser.
+         *
+         * @name Phaser.Input.Gamepad.Mapping.GamepadMapping#hatAxes
+         * @type {number[]}
+         * @since 3.60.0
+         */
+        this.hatAxes = [];
+
+        /**
+         * The parsed sources of the standard buttons, by index. Missing buttons are `null`.
+         *
+         * @name Phaser.Input.Gamepad.Mapping.GamepadMapping#buttons
+         * @type {Array.<?object>}
+         * @private
+         * @since 3.60.0
+         */
+        this.buttons = [];
+
+        /**
+         * The parsed sources of the standard axes, by index. Each has a `full` source, or a `positive` and `negative` source.
+         *
+         * @name Phaser.Input.Gamepad.Mapping.GamepadMapping#axes
+         * @type {object[]}
+         * @private
+         * @since 3.60.0
+         */
+        this.axes = [];
+
+        for (var target in bindings)
+        {
+            this.bindings[target] = bindings[target];
+        }
+
+        this.compile();
+    },
+
+    /**
+     * Parses the `bindings` into the sources of the standard buttons and axes.
+     * Targets and sources that aren't recognized are ignored.
+     *
+     * @method Phaser.Input.Gamepad.Mapping.GamepadMapping#compile
+     * @since 3.60.0
+     *
+     * @return {this} This Gamepad Mapping.
+     */
+    compile: function ()
+    {
+        var buttons = [];
+        var axes = [];
+        var i;
+
+        for (i = 0; i < GamepadMapping.BUTTON_TOTAL; i++)
+        {
+            buttons.push(null);
+        }
+
+        for (i = 0; i < GamepadMapping.AXIS_TOTAL; i++)
+        {
+            axes.push({ full: null, positive: null, negative: null });
+        }
+
+        for (var target in this.bindings)
+        {
+            var source = GamepadMapping.parseSource(this.bindings[target]);
+
+            if (!source)
+            {
+                continue;
+            }
+
+            var half = target.charAt(0);
+
+            if (half === '+' || half === '-')
+            {
+                target = target.substr(1);
+            }
+
+            if (GamepadMapping.BUTTONS.hasOwnProperty(target))
+            {
+                buttons[GamepadMapping.BUTTONS[target]] = source;
+            }
+            else if (GamepadMapping.AXES.hasOwnProperty(target))
+            {
+                var axis = axes[GamepadMapping.AXES[target]];
+
+                if (half === '+')
+                {
+                    axis.positive = source;
+                }
+                else if (half === '-')
+                {
+                    axis.negative = source;
+                }
+                else
+                {
+                    axis.full = source;
+                }
+            }
+        }
+
+        this.buttons = buttons;
+        this.axes = axes;
+
+        return this;
+    },
+
+    /**
+     * Reads the value of a source from a native gamepad.
+     *
+     * @method Phaser.Input.Gamepad.Mapping.GamepadMapping#getSourceValue
+     * @private
+     * @since 3.60.0
+     *
+     * @param {object} source - The parsed source.
+     * @param {Gamepad} pad - The native gamepad.
+     * @param {boolean} toButton - Is the value for a button? If so, full axes are converted from -1 to 1, to 0 to 1.
+     *
+     * @return {number} The value of the source.
+     */
+    getSourceValue: function (source, pad, toButton)
+    {
+        var value;
+
+        if (source.type === 'b')
+        {
+            var button = pad.buttons[source.index];
+
+            return (button) ? button.value : 0;
+        }
+
+        if (source.type === 'h')
+        {
+            var hatAxis = this.hatAxes[source.index];
+
+            if (hatAxis === undefined)
+            {
+                hatAxis = pad.axes.length - 1;
+            }
+
+            return (GamepadMapping.getHatMask(pad.axes[hatAxis]) & source.mask) ? 1 : 0;
+        }
+
+        value = pad.axes[source.index] || 0;
+
+        if (source.invert)
+        {
+            value = -value;
+        }
+
+        if (source.half === 1)
+        {
+            value = Math.max(0, value);
+        }
+        else if (source.half === -1)
+        {
+            value = Math.max(0, -value);
+        }
+        else if (toButton)
+        {
+            value = (value + 1) / 2;
+        }
+
+        return value;
+    },
+
+    /**
+     * Gets the value of a standard button from a native gamepad.
+     *
+     * @method Phaser.Input.Gamepad.Mapping.GamepadMapping#getButtonValue
+     * @since 3.60.0
+     *
+     * @param {number} index - The index of the standard button.
+     * @param {Gamepad} pad - The native gamepad.
+     *
+     * @return {number} The value of the button, between 0 and 1. Buttons that aren't mapped are always 0.
+     */
+    getButtonValue: function (index, pad)
+    {
+        var source = this.buttons[index];
+
+        return (source) ? this.getSourceValue(source, pad, true) : 0;
+    },
+
+    /**
+     * Gets the value of a standard axis from a native gamepad.
+     *
+     * @method Phaser.Input.Gamepad.Mapping.GamepadMapping#getAxisValue
+     * @since 3.60.0
+     *
+     * @param {number} index - The index of the standard axis.
+     * @param {Gamepad} pad - The native gamepad.
+     *
+     * @return {number} The value of the axis, between -1 and 1. Axes that aren't mapped are always 0.
+     */
+    getAxisValue: function (index, pad)
+    {
+        var axis = this.axes[index];
+
+        if (axis.full)
+        {
+            return this.getSourceValue(axis.full, pad, false);
+        }
+
+        var value = 0;
+
+        if (axis.positive)
+        {
+            value += this.getSourceValue(axis.positive, pad, false);
+        }
+
+        if (axis.negative)
+        {
+            value -= this.getSourceValue(axis.negative, pad, false);
+        }
+
+        return value;
+    },
+
+    /**
+     * Returns this mapping in the SDL GameControllerDB format, so it can be saved and added to a mapping database later.
+     *
+     * @method Phaser.Input.Gamepad.Mapping.GamepadMapping#toString
+     * @since 3.60.0
+     *
+     * @return {string} The mapping string.
+     */
+    toString: function ()
+    {
+        var output = this.guid + ',' + this.name.replace(/,/g, ' ') + ',';
+
+        for (var target in this.bindings)
+        {
+            output += target + ':' + this.bindings[target] + ',';
+        }
+
+        if (this.hatAxes.length)
+        {
+            output += 'hataxes:' + this.hatAxes.join('|') + ',';
+        }
+
+        if (this.platform)
+        {
+            output += 'platform:' + this.platform + ',';
+        }
+
+        return output;
+    }
+
+});
+
+/**
+ * The names of the SDL target buttons, and the index of each in the standard gamepad layout.
+ *
+ * @name Phaser.Input.Gamepad.Mapping.GamepadMapping.BUTTONS
+ * @type {Object.<string, number>}
+ * @since 3.60.0
+ */
+GamepadMapping.BUTTONS = {
+    a: 0,
+    b: 1,
+    x: 2,
+    y: 3,
+    leftshoulder: 4,
+    rightshoulder: 5,
+    lefttrigger: 6,
+    righttrigger: 7,
+    back: 8,
+    start: 9,
+    leftstick: 10,
+    rightstick: 11,
+    dpup: 12,
+    dpdown: 13,
+    dpleft: 14,
+    dpright: 15,
+    guide: 16
+};
+
+/**
+ * The names of the SDL target axes, and the index of each in the standard gamepad layout.
+ *
+ * @name Phaser.Input.Gamepad.Mapping.GamepadMapping.AXES
+ * @type {Object.<string, number>}
+ * @since 3.60.0
+ */
+GamepadMapping.AXES = {
+    leftx: 0,
+    lefty: 1,
+    rightx: 2,
+    righty: 3
+};
+
+/**
+ * The number of buttons in the standard gamepad layout.
+ *
+ * @name Phaser.Input.Gamepad.Mapping.GamepadMapping.BUTTON_TOTAL
+ * @type {number}
+ * @since 3.60.0
+ */
+GamepadMapping.BUTTON_TOTAL = 17;
+
+/**
+ * The number of axes in the standard gamepad layout.
+ *
+ * @name Phaser.Input.Gamepad.Mapping.GamepadMapping.AXIS_TOTAL
+ * @type {number}
+ * @since 3.60.0
+ */
+GamepadMapping.AXIS_TOTAL = 4;
+
+/**
+ * Parses a single line in the SDL GameControllerDB format.
+ *
+ * @function Phaser.Input.Gamepad.Mapping.GamepadMapping.parse
+ * @since 3.60.0
+ *
+ * @param {string} line - The mapping string.
+ *
+ * @return {?Phaser.Input.Gamepad.Mapping.GamepadMapping} The Gamepad Mapping, or `null` if the string isn't a mapping.
+ */
+GamepadMapping.parse = function (line)
+{
+    var fields = line.trim().split(',');
+
+    if (fields.length < 3 || !(/^[0-9a-f]{32}$/i).test(fields[0]))
+    {
+        return null;
+    }
+
+    var bindings = {};
+    var platform = '';
+    var hatAxes = [];
+
+    for (var i = 2; i < fields.length; i++)
+    {
+        var field = fields[i];
+        var colon = field.indexOf(':');
+
+        if (colon === -1)
+        {
+            continue;
+        }
+
+        var target = field.substr(0, colon);
+        var source = field.substr(colon + 1);
+
+        if (target === 'platform')
+        {
+            platform = source;
+        }
+        else if (target === 'hataxes')
+        {
+            hatAxes = source.split('|').map(Number);
+        }
+        else
+        {
+            bindings[target] = source;
+        }
+    }
+
+    var mapping = new GamepadMapping(fields[0], fields[1], bindings, platform);
+
+    mapping.hatAxes = hatAxes;
+
+    return mapping;
+};
+
+/**
+ * Parses a source in the SDL GameControllerDB format, such as `b0`, `-a1`, `a2~` or `h0.4`.
+ *
+ * @function Phaser.Input.Gamepad.Mapping.GamepadMapping.parseSource
+ * @private
+ * @since 3.60.0
+ *
+ * @param {string} source - The source string.
+ *
+ * @return {?object} The parsed source, or `null` if the string isn't a source.
+ */
+GamepadMapping.parseSource = function (source)
+{
+    var match = (/^([+-]?)([abh])(\d+)(?:\.(\d+))?(~?)$/).exec(source);
+
+    if (!match)
+    {
+        return null;
+    }
+
+    var half = 0;
+
+    if (match[1] === '+')
+    {
+        half = 1;
+    }
+    else if (match[1] === '-')
+    {
+        half = -1;
+    }
+
+    return {
+        type: match[2],
+        index: parseInt(match[3], 10),
+        mask: (match[4]) ? parseInt(match[4], 10) : 0,
+        half: half,
+        invert: (match[5] === '~')
+    };
+};
+
+/**
+ * Converts the value of a POV hat axis into an SDL hat mask, where 1 is up, 2 is right, 4 is down and 8 is left.
+ *
+ * @function Phaser.Input.Gamepad.Mapping.GamepadMapping.getHatMask
+ * @since 3.60.0
+ *
+ * @param {number} value - The value of the hat axis. Values outside of -1 to 1 are the hat at rest.
+ *
+ * @return {number} The hat mask, or 0 if the hat is at rest.
+ */
+GamepadMapping.getHatMask = function (value)
+{
+    if (value === undefined || Math.abs(value) > 1.01)
+    {
+        return 0;
+    }
+
+    return HAT_POSITIONS[Math.round((value + 1) * 3.5) % 8];
+};
+
+/**
+ * Gets the USB vendor and product ids from an SDL GUID.
+ *
+ * @function Phaser.Input.Gamepad.Mapping.GamepadMapping.getGUIDVendorProduct
+ * @since 3.60.0
+ *
+ * @param {string} guid - The SDL GUID.
+ *
+ * @return {string} The vendor and product ids, as 8 lower-case hexadecimal characters, or an empty string if the GUID doesn't contain them.
+ */
+GamepadMapping.getGUIDVendorProduct = function (guid)
+{
+    guid = guid.toLowerCase();
+
+    //  The vendor and product are 16-bit little-endian, each followed by 2 zero bytes
+    if (guid.length !== 32 || guid.substr(12, 4) !== '0000' || guid.substr(20, 4) !== '0000')
+    {
+        return '';
+    }
+
+    var vendor = guid.substr(10, 2) + guid.substr(8, 2);
+    var product = guid.substr(18, 2) + guid.substr(16, 2);
+
+    return (vendor === '0000') ? '' : vendor + product;
+};
+
+/**
+ * Gets the USB vendor and product ids from the `id` of a native gamepad.
+ *
+ * Chrome ids contain `Vendor: 045e Product: 028e`, and Firefox and Safari ids start with `45e-28e-`.
+ *
+ * @function Phaser.Input.Gamepad.Mapping.GamepadMapping.getIdVendorProduct
+ * @since 3.60.0
+ *
+ * @param {string} id - The id of the gamepad.
+ *
+ * @return {string} The vendor and product ids, as 8 lower-case hexadecimal characters, or an empty string if the id doesn't contain them.
+ */
+GamepadMapping.getIdVendorProduct = function (id)
+{
+    var match = (/Vendor: ([0-9a-f]{1,4}) Product: ([0-9a-f]{1,4})/i).exec(id) || (/^([0-9a-f]{1,4})-([0-9a-f]{1,4})-/i).exec(id);
+
+    if (!match)
+    {
+        return '';
+    }
+
+    var vendor = ('0000' + match[1]).substr(-4);
+    var product = ('0000' + match[2]).substr(-4);
+
+    return (vendor + product).toLowerCase();
+};
+
+/**
+ * Creates an SDL GUID for a USB controller from its vendor and product ids.
+ *
+ * @function Phaser.Input.Gamepad.Mapping.GamepadMapping.createGUID
+ * @since 3.60.0
+ *
+ * @param {string} vendorProduct - The vendor and product ids, as 8 hexadecimal characters. If empty, a GUID of zeros is returned.
+ *
+ * @return {string} The SDL GUID.
+ */
+GamepadMapping.createGUID = function (vendorProduct)
+{
+    if (vendorProduct.length !== 8)
+    {
+        return '00000000000000000000000000000000';
+    }
+
+    vendorProduct = vendorProduct.toLowerCase();
+
+    //  Bus type 3 (USB), then the little-endian vendor and product
+    return '03000000' +
+        vendorProduct.substr(2, 2) + vendorProduct.substr(0, 2) + '0000' +
+        vendorProduct.substr(6, 2) + vendorProduct.substr(4, 2) + '0000' +
+        '00000000';
+};
+
+module.exports = GamepadMapping;
@@ -0,0 +1,328 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var Class = require('../../../utils/Class');
+var GamepadMapping = require('./GamepadMapping');
+
+/**
+ * @classdesc
+ * A database of Gamepad Mappings, used to find the mapping for a controller when it connects.
+ *
+ * Mappings are added from strings in the SDL GameControllerDB format, one per line. Phaser doesn't ship with any
+ * mappings, so the database starts empty and no non-standard controller is known until you add some. You can load
+ * the whole of the community maintained `gamecontrollerdb.txt` file with the Loader and add it in one go:
+ *
+ * ```javascript
+ * //  In preload
+ * this.load.text('gamecontrollerdb', 'gamecontrollerdb.txt');
+ *
+ * //  In create
+ * this.input.gamepad.addMappings(this.cache.text.get('gamecontrollerdb'));
+ * ```
+ *
+ * A controller is matched by its `id`. A mapping with a name that is exactly the id is used first, so mappings recorded
+ * by a Gamepad Calibration always win. Otherwise the USB vendor and product ids in the id are matched against the GUID of
+ * the mappings, preferring a mapping for the current platform.
+ *
+ * Controllers that the browser reports with the `standard` mapping are already in the standard layout, so they are only
+ * matched by name.
+ *
+ * @class MappingDatabase
+ * @memberof Phaser.Input.Gamepad.Mapping
+ * @constructor
+ * @since 3.60.0
+ *
+ * @param {string} [platform=''] - The SDL name of the current platform, such as `Windows`, used to choose between mappings for the same controller.
+ */
+var MappingDatabase = new Class({
+
+    initialize:
+
+    function MappingDatabase (platform)
+    {
+        if (platform === undefined) { platform = ''; }
+
+        /**
+         * The SDL name of the current platform, such as `Windows`, `Mac OS X`, `Linux`, `Android` or `iOS`.
+         *
+         * @name Phaser.Input.Gamepad.Mapping.MappingDatabase#platform
+         * @type {string}
+         * @since 3.60.0
+         */
+        this.platform = platform;
+
+        /**
+         * The mappings, by USB vendor and product ids. Mappings with GUIDs that don't contain the ids are not in here.
+         *
+         * @name Phaser.Input.Gamepad.Mapping.MappingDatabase#vendorProducts
+         * @type {Object.<string, Phaser.Input.Gamepad.Mapping.GamepadMapping[]>}
+         * @since 3.60.0
+         */
+        this.vendorProducts = {};
+
+        /**
+         * All of the mappings, in the order they were added.
+         *
+         * @name Phaser.Input.Gamepad.Mapping.MappingDatabase#list
+         * @type {Phaser.Input.Gamepad.Mapping.GamepadMapping[]}
+         * @since 3.60.0
+         */
+        this.list = [];
+    },
+
+    /**
+     * Adds mappings to this database.
+     *
+     * A later mapping for the same controller and platform replaces an earlier one.
+     *
+     * @method Phaser.Input.Gamepad.Mapping.MappingDatabase#add
+     * @since 3.60.0
+     *
+     * @param {(string|string[]|Phaser.Input.Gamepad.Mapping.GamepadMapping)} mappings - A mapping, or one or more mapping strings in the SDL GameControllerDB format. Blank lines and lines starting with `#` are ignored.
+     *
+     * @return {number} The number of mappings added.
+     */
+    add: function (mappings)
+    {
+        if (mappings instanceof GamepadMapping)
+        {
+            this.addMapping(mappings);
+
+            return 1;
+        }
+
+        if (typeof mappings === 'string')
+        {
+            mappings = mappings.split(/\r?\n/);
+        }
+
+        var total = 0;
+
+        for (var i = 0; i < mappings.length; i++)
+        {
+            var line = mappings[i].trim();
+
+            if (line === '' || line.charAt(0) === '#')
+            {
+                continue;
+            }
+
+            var mapping = GamepadMapping.parse(line);
+
+            if (mapping)
+            {
+                this.addMapping(mapping);
+
+                total++;
+            }
+            else
+            {
+                console.warn('Invalid gamepad mapping: ' + line);
+            }
+        }
+
+        return total;
+    },
+
+    /**
+     * Adds a single Gamepad Mapping to this database.
+     *
+     * @method Phaser.Input.Gamepad.Mapping.MappingDatabase#addMapping
+     * @private
+     * @since 3.60.0
+     *
+     * @param {Phaser.Input.Gamepad.Mapping.GamepadMapping} mapping - The mapping to add.
+     */
+    addMapping: function (mapping)
+    {
+        var list = this.list;
+
+        //  Controllers without vendor and product ids all share the same GUID, so they are replaced by name
+        for (var i = list.length - 1; i >= 0; i--)
+        {
+            var other = list[i];
+
+            if (other.platform === mapping.platform && ((mapping.vendorProduct) ? other.guid === mapping.guid : other.name === mapping.name))
+            {
+                this.removeMapping(other);
+            }
+        }
+
+        list.push(mapping);
+
+        var key = mapping.vendorProduct;
+
+        if (key)
+        {
+            if (!this.vendorProducts.hasOwnProperty(key))
+            {
+                this.vendorProducts[key] = [];
+            }
+
+            this.vendorProducts[key].push(mapping);
+        }
+    },
+
+    /**
+     * Removes the mappings for a controller.
+     *
+     * @method Phaser.Input.Gamepad.Mapping.MappingDatabase#remove
+     * @since 3.60.0
+     *
+     * @param {string} guid - The SDL GUID of the controller.
+     * @param {string} [platform] - The platform of the mapping to remove. If not given, the mappings for all platforms are removed.
+     *
+     * @return {this} This Mapping Database.
+     */
+    remove: function (guid, platform)
+    {
+        guid = guid.toLowerCase();
+
+        var list = this.list;
+
+        for (var i = list.length - 1; i >= 0; i--)
+        {
+            var mapping = list[i];
+
+            if (mapping.guid === guid && (platform === undefined || mapping.platform === platform))
+            {
+                this.removeMapping(mapping);
+            }
+        }
+
+        return this;
+    },
+
+    /**
+     * Removes a single Gamepad Mapping from this database.
+     *
+     * @method Phaser.Input.Gamepad.Mapping.MappingDatabase#removeMapping
+     * @since 3.60.0
+     *
+     * @param {Phaser.Input.Gamepad.Mapping.GamepadMapping} mapping - The mapping to remove.
+     *
+     * @return {this} This Mapping Database.
+     */
+    removeMapping: function (mapping)
+    {
+        var index = this.list.indexOf(mapping);
+
+        if (index !== -1)
+        {
+            this.list.splice(index, 1);
+        }
+
+        var key = mapping.vendorProduct;
+        var list = this.vendorProducts[key];
+
+        if (list)
+        {
+            index = list.indexOf(mapping);
+
+            if (index !== -1)
+            {
+                list.splice(index, 1);
+            }
+
+            if (list.length === 0)
+            {
+                delete this.vendorProducts[key];
+            }
+        }
+
+        return this;
+    },
+
+    /**
+     * Removes all of the mappings from this database.
+     *
+     * @method Phaser.Input.Gamepad.Mapping.MappingDatabase#clear
+     * @since 3.60.0
+     *
+     * @return {this} This Mapping Database.
+     */
+    clear: function ()
+    {
+        this.vendorProducts = {};
+        this.list = [];
+
+        return this;
+    },
+
+    /**
+     * Finds the mapping for a native gamepad.
+     *
+     * @method Phaser.Input.Gamepad.Mapping.MappingDatabase#get
+     * @since 3.60.0
+     *
+     * @param {Phaser.Types.Input.Gamepad.Pad} pad - The native gamepad, or any object with its `id` and `mapping` properties.
+     *
+     * @return {?Phaser.Input.Gamepad.Mapping.GamepadMapping} The mapping, or `null` if the controller isn't in the database or doesn't need one.
+     */
+    get: function (pad)
+    {
+        var id = pad.id;
+        var list = this.list;
+        var i;
+
+        for (i = list.length - 1; i >= 0; i--)
+        {
+            if (list[i].name === id)
+            {
+                return list[i];
+            }
+        }
+
+        if (pad.mapping === 'standard')
+        {
+            return null;
+        }
+
+        list = this.vendorProducts[GamepadMapping.getIdVendorProduct(id)];
+
+        if (!list)
+        {
+            return null;
+        }
+
+        var platform = this.platform;
+
+        //  The last one added for this platform, then the last one for any platform
+        for (i = list.length - 1; i >= 0; i--)
+        {
+            if (list[i].platform === platform)
+            {
+                return list[i];
+            }
+        }
+
+        for (i = list.length - 1; i >= 0; i--)
+        {
+            if (list[i].platform === '')
+            {
+                return list[i];
+            }
+        }
+
+        return list[list.length - 1];
+    },
+
+    /**
+     * Returns all of the mappings in this database as a string in the SDL GameControllerDB format, one mapping per line.
+     *
+     * @method Phaser.Input.Gamepad.Mapping.MappingDatabase#toString
+     * @since 3.60.0
+     *
+     * @return {string} The mappings.
+     */
+    toString: function ()
+    {
+        return this.list.join('\n');
+    }
+
+});
+
+module.exports = MappingDatabase;
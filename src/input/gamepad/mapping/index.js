@@ -0,0 +1,17 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+/**
+ * @namespace Phaser.Input.Gamepad.Mapping
+ */
+
+module.exports = {
+
+    GamepadCalibration: require('./GamepadCalibration'),
+    GamepadMapping: require('./GamepadMapping'),
+    MappingDatabase: require('./MappingDatabase')
+
+};
@@ -0,0 +1,1005 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var Class = require('../../utils/Class');
+var DistanceBetween = require('../../math/distance/DistanceBetween');
+var AngleBetween = require('../../math/angle/Between');
+var Events = require('./events');
+var GetFastValue = require('../../utils/object/GetFastValue');
+var Wrap = require('../../math/angle/Wrap');
+
+/**
+ * @classdesc
+ * A Gesture recognizes the taps, double taps, long presses, swipes, pans, pinches and rotations made by
+ * the Pointers pressed on its target, which is either a Game Object or, if `gameObject` is `null`, the whole Scene.
+ *
+ * You don't create Gestures directly. The Gesture Plugin creates one for the Scene, and one for each Game Object
+ * passed to `GesturePlugin.enable`. The Gesture is passed to all of the gesture event listeners, so read the
+ * properties you need from it, such as `deltaX`, `deltaScale` or `velocityX`. Its properties change as the
+ * gesture continues, so copy any values you need to keep.
+ *
+ * The position properties are in game coordinates, not world coordinates, so when panning a Camera
+ * divide the deltas by its zoom.
+ *
+ * Pinches and rotations use the first two Pointers pressed. Pans use the center of all of the Pointers pressed.
+ *
+ * @class Gesture
+ * @memberof Phaser.Input.Gestures
+ * @constructor
+ * @since 3.60.0
+ *
+ * @param {Phaser.Input.Gestures.GesturePlugin} plugin - The Gesture Plugin that owns this Gesture.
+ * @param {?Phaser.GameObjects.GameObject} gameObject - The Game Object that this Gesture belongs to, or `null` for the Scene.
+ * @param {Phaser.Types.Input.Gestures.GestureConfig} [config] - The configuration of this Gesture. Missing properties are taken from the Gesture Plugin defaults.
+ */
+var Gesture = new Class({
+
+    initialize:
+
+    function Gesture (plugin, gameObject, config)
+    {
+        var defaults = plugin.defaults;
+
+        /**
+         * The Gesture Plugin that owns this Gesture.
+         *
+         * @name Phaser.Input.Gestures.Gesture#plugin
+         * @type {Phaser.Input.Gestures.GesturePlugin}
+         * @since 3.60.0
+         */
+        this.plugin = plugin;
+
+        /**
+         * The Game Object that this Gesture belongs to, or `null` if it belongs to the Scene.
+         *
+         * @name Phaser.Input.Gestures.Gesture#gameObject
+         * @type {?Phaser.GameObjects.GameObject}
+         * @since 3.60.0
+         */
+        this.gameObject = gameObject;
+
+        /**
+         * Are taps recognized?
+         *
+         * @name Phaser.Input.Gestures.Gesture#tap
+         * @type {boolean}
+         * @since 3.60.0
+         */
+        this.tap = GetFastValue(config, 'tap', defaults.tap);
+
+        /**
+         * Are double taps recognized?
+         *
+         * @name Phaser.Input.Gestures.Gesture#doubleTap
+         * @type {boolean}
+         * @since 3.60.0
+         */
+        this.doubleTap = GetFastValue(config, 'doubleTap', defaults.doubleTap);
+
+        /**
+         * Are long presses recognized?
+         *
+         * @name Phaser.Input.Gestures.Gesture#longPress
+         * @type {boolean}
+         * @since 3.60.0
+         */
+        this.longPress = GetFastValue(config, 'longPress', defaults.longPress);
+
+        /**
+         * Are swipes recognized?
+         *
+         * @name Phaser.Input.Gestures.Gesture#swipe
+         * @type {boolean}
+         * @since 3.60.0
+         */
+        this.swipe = GetFastValue(config, 'swipe', defaults.swipe);
+
+        /**
+         * Are pans recognized?
+         *
+         * @name Phaser.Input.Gestures.Gesture#pan
+         * @type {boolean}
+         * @since 3.60.0
+         */
+        this.pan = GetFastValue(config, 'pan', defaults.pan);
+
+        /**
+         * Are pinches recognized?
+         *
+         * @name Phaser.Input.Gestures.Gesture#pinch
+         * @type {boolean}
+         * @since 3.60.0
+         */
+        this.pinch = GetFastValue(config, 'pinch', defaults.pinch);
+
+        /**
+         * Are rotations recognized?
+         *
+         * @name Phaser.Input.Gestures.Gesture#rotate
+         * @type {boolean}
+         * @since 3.60.0
+         */
+        this.rotate = GetFastValue(config, 'rotate', defaults.rotate);
+
+        /**
+         * The distance, in pixels, the Pointers must move before a pan starts, or a pinch starts by changing the
+         * distance between the first two Pointers. Taps and long presses are cancelled by moving this far.
+         *
+         * @name Phaser.Input.Gestures.Gesture#threshold
+         * @type {number}
+         * @since 3.60.0
+         */
+        this.threshold = GetFastValue(config, 'threshold', defaults.threshold);
+
+        /**
+         * The angle, in radians, the first two Pointers must turn before a rotation starts.
+         *
+         * @name Phaser.Input.Gestures.Gesture#rotateThreshold
+         * @type {number}
+         * @since 3.60.0
+         */
+        this.rotateThreshold = GetFastValue(config, 'rotateThreshold', defaults.rotateThreshold);
+
+        /**
+         * The longest time, in ms, a Pointer can be pressed for a tap.
+         *
+         * @name Phaser.Input.Gestures.Gesture#tapTime
+         * @type {number}
+         * @since 3.60.0
+         */
+        this.tapTime = GetFastValue(config, 'tapTime', defaults.tapTime);
+
+        /**
+         * The longest time, in ms, between two taps for them to be a double tap.
+         *
+         * @name Phaser.Input.Gestures.Gesture#doubleTapTime
+         * @type {number}
+         * @since 3.60.0
+         */
+        this.doubleTapTime = GetFastValue(config, 'doubleTapTime', defaults.doubleTapTime);
+
+        /**
+         * The greatest distance, in pixels, between two taps for them to be a double tap.
+         *
+         * @name Phaser.Input.Gestures.Gesture#doubleTapDistance
+         * @type {number}
+         * @since 3.60.0
+         */
+        this.doubleTapDistance = GetFastValue(config, 'doubleTapDistance', defaults.doubleTapDistance);
+
+        /**
+         * The time, in ms, a Pointer must be held still for a long press.
+         *
+         * @name Phaser.Input.Gestures.Gesture#longPressTime
+         * @type {number}
+         * @since 3.60.0
+         */
+        this.longPressTime = GetFastValue(config, 'longPressTime', defaults.longPressTime);
+
+        /**
+         * The shortest distance, in pixels, a Pointer must move for a swipe.
+         *
+         * @name Phaser.Input.Gestures.Gesture#swipeDistance
+         * @type {number}
+         * @since 3.60.0
+         */
+        this.swipeDistance = GetFastValue(config, 'swipeDistance', defaults.swipeDistance);
+
+        /**
+         * The lowest speed, in pixels per ms, a Pointer must be moving at when released for a swipe.
+         *
+         * @name Phaser.Input.Gestures.Gesture#swipeVelocity
+         * @type {number}
+         * @since 3.60.0
+         */
+        this.swipeVelocity = GetFastValue(config, 'swipeVelocity', defaults.swipeVelocity);
+
+        /**
+         * The Pointers pressed on this Gesture, in the order they were pressed.
+         *
+         * @name Phaser.Input.Gestures.Gesture#pointers
+         * @type {Phaser.Input.Pointer[]}
+         * @since 3.60.0
+         */
+        this.pointers = [];
+
+        /**
+         * The time the first Pointer was pressed, as given by the Input Plugin update.
+         *
+         * @name Phaser.Input.Gestures.Gesture#startTime
+         * @type {number}
+         * @since 3.60.0
+         */
+        this.startTime = 0;
+
+        /**
+         * The time, in ms, since the first Pointer was pressed.
+         *
+         * @name Phaser.Input.Gestures.Gesture#duration
+         * @type {number}
+         * @since 3.60.0
+         */
+        this.duration = 0;
+
+        /**
+         * The x coordinate of the center of the Pointers when the first one was pressed.
+         *
+         * @name Phaser.Input.Gestures.Gesture#startX
+         * @type {number}
+         * @since 3.60.0
+         */
+        this.startX = 0;
+
+        /**
+         * The y coordinate of the center of the Pointers when the first one was pressed.
+         *
+         * @name Phaser.Input.Gestures.Gesture#startY
+         * @type {number}
+         * @since 3.60.0
+         */
+        this.startY = 0;
+
+        /**
+         * The x coordinate of the center of the Pointers.
+         *
+         * @name Phaser.Input.Gestures.Gesture#x
+         * @type {number}
+         * @since 3.60.0
+         */
+        this.x = 0;
+
+        /**
+         * The y coordinate of the center of the Pointers.
+         *
+         * @name Phaser.Input.Gestures.Gesture#y
+         * @type {number}
+         * @since 3.60.0
+         */
+        this.y = 0;
+
+        /**
+         * The horizontal distance the center of the Pointers has moved since the last pan event.
+         *
+         * @name Phaser.Input.Gestures.Gesture#deltaX
+         * @type {number}
+         * @since 3.60.0
+         */
+        this.deltaX = 0;
+
+        /**
+         * The vertical distance the center of the Pointers has moved since the last pan event.
+         *
+         * @name Phaser.Input.Gestures.Gesture#deltaY
+         * @type {number}
+         * @since 3.60.0
+         */
+        this.deltaY = 0;
+
+        /**
+         * The horizontal distance the center of the Pointers has moved since the first one was pressed.
+         * Pressing or releasing other Pointers doesn't change it.
+         *
+         * @name Phaser.Input.Gestures.Gesture#distanceX
+         * @type {number}
+         * @since 3.60.0
+         */
+        this.distanceX = 0;
+
+        /**
+         * The vertical distance the center of the Pointers has moved since the first one was pressed.
+         * Pressing or releasing other Pointers doesn't change it.
+         *
+         * @name Phaser.Input.Gestures.Gesture#distanceY
+         * @type {number}
+         * @since 3.60.0
+         */
+        this.distanceY = 0;
+
+        /**
+         * The horizontal velocity of the center of the Pointers, in pixels per ms.
+         *
+         * @name Phaser.Input.Gestures.Gesture#velocityX
+         * @type {number}
+         * @since 3.60.0
+         */
+        this.velocityX = 0;
+
+        /**
+         * The vertical velocity of the center of the Pointers, in pixels per ms.
+         *
+         * @name Phaser.Input.Gestures.Gesture#velocityY
+         * @type {number}
+         * @since 3.60.0
+         */
+        this.velocityY = 0;
+
+        /**
+         * The scale of the pinch: the distance between the first two Pointers divided by their distance when the pinch started.
+         *
+         * @name Phaser.Input.Gestures.Gesture#scale
+         * @type {number}
+         * @since 3.60.0
+         */
+        this.scale = 1;
+
+        /**
+         * The change in scale since the last pinch event. Multiply by it to follow the pinch, i.e. `camera.zoom *= gesture.deltaScale`.
+         *
+         * @name Phaser.Input.Gestures.Gesture#deltaScale
+         * @type {number}
+         * @since 3.60.0
+         */
+        this.deltaScale = 1;
+
+        /**
+         * The angle, in radians, the first two Pointers have turned since the rotation started.
+         *
+         * @name Phaser.Input.Gestures.Gesture#rotation
+         * @type {number}
+         * @since 3.60.0
+         */
+        this.rotation = 0;
+
+        /**
+         * The angle, in radians, the first two Pointers have turned since the last rotate event.
+         *
+         * @name Phaser.Input.Gestures.Gesture#deltaRotation
+         * @type {number}
+         * @since 3.60.0
+         */
+        this.deltaRotation = 0;
+
+        /**
+         * The direction of the last swipe: `left`, `right`, `up` or `down`.
+         *
+         * @name Phaser.Input.Gestures.Gesture#direction
+         * @type {string}
+         * @since 3.60.0
+         */
+        this.direction = '';
+
+        /**
+         * Is a pan in progress?
+         *
+         * @name Phaser.Input.Gestures.Gesture#isPanning
+         * @type {boolean}
+         * @readonly
+         * @since 3.60.0
+         */
+        this.isPanning = false;
+
+        /**
+         * Is a pinch in progress?
+         *
+         * @name Phaser.Input.Gestures.Gesture#isPinching
+         * @type {boolean}
+         * @readonly
+         * @since 3.60.0
+         */
+        this.isPinching = false;
+
+        /**
+         * Is a rotation in progress?
+         *
+         * @name Phaser.Input.Gestures.Gesture#isRotating
+         * @type {boolean}
+         * @readonly
+         * @since 3.60.0
+         */
+        this.isRotating = false;
+
+        /**
+         * Have the Pointers moved further than the threshold since the first one was pressed?
+         *
+         * @name Phaser.Input.Gestures.Gesture#_moved
+         * @type {boolean}
+         * @private
+         * @since 3.60.0
+         */
+        this._moved = false;
+
+        /**
+         * Has a long press been recognized since the first Pointer was pressed?
+         *
+         * @name Phaser.Input.Gestures.Gesture#_longPressed
+         * @type {boolean}
+         * @private
+         * @since 3.60.0
+         */
+        this._longPressed = false;
+
+        /**
+         * The most Pointers that have been pressed at once since the first one was pressed.
+         *
+         * @name Phaser.Input.Gestures.Gesture#_maxPointers
+         * @type {number}
+         * @private
+         * @since 3.60.0
+         */
+        this._maxPointers = 0;
+
+        /**
+         * The center of the Pointers at the last update.
+         *
+         * @name Phaser.Input.Gestures.Gesture#_last
+         * @type {{x: number, y: number}}
+         * @private
+         * @since 3.60.0
+         */
+        this._last = { x: 0, y: 0 };
+
+        /**
+         * The first two Pointers, whose distance and angle are used for pinches and rotations.
+         *
+         * @name Phaser.Input.Gestures.Gesture#_pair
+         * @type {Phaser.Input.Pointer[]}
+         * @private
+         * @since 3.60.0
+         */
+        this._pair = [ null, null ];
+
+        /**
+         * The distance and angle between the first two Pointers when they were pressed, and at the last update.
+         *
+         * @name Phaser.Input.Gestures.Gesture#_span
+         * @type {{startDistance: number, startAngle: number, distance: number, angle: number}}
+         * @private
+         * @since 3.60.0
+         */
+        this._span = { startDistance: 0, startAngle: 0, distance: 0, angle: 0 };
+
+        /**
+         * The time and position of the last tap, used to recognize double taps.
+         *
+         * @name Phaser.Input.Gestures.Gesture#_lastTap
+         * @type {{time: number, x: number, y: number}}
+         * @private
+         * @since 3.60.0
+         */
+        this._lastTap = { time: -1, x: 0, y: 0 };
+    },
+
+    /**
+     * Is a Pointer pressed on this Gesture?
+     *
+     * @name Phaser.Input.Gestures.Gesture#isDown
+     * @type {boolean}
+     * @readonly
+     * @since 3.60.0
+     */
+    isDown: {
+
+        get: function ()
+        {
+            return (this.pointers.length > 0);
+        }
+
+    },
+
+    /**
+     * Adds a Pointer that has been pressed. This is called by the Gesture Plugin.
+     *
+     * @method Phaser.Input.Gestures.Gesture#addPointer
+     * @since 3.60.0
+     *
+     * @param {Phaser.Input.Pointer} pointer - The Pointer.
+     * @param {number} time - The current time.
+     */
+    addPointer: function (pointer, time)
+    {
+        var pointers = this.pointers;
+
+        if (pointers.indexOf(pointer) !== -1)
+        {
+            return;
+        }
+
+        pointers.push(pointer);
+
+        if (pointers.length === 1)
+        {
+            this.startTime = time;
+            this.duration = 0;
+            this.velocityX = 0;
+            this.velocityY = 0;
+            this._moved = false;
+            this._longPressed = false;
+            this._maxPointers = 0;
+
+            this.updateCenter();
+
+            this.startX = this.x;
+            this.startY = this.y;
+            this.distanceX = 0;
+            this.distanceY = 0;
+
+            this._last.x = this.x;
+            this._last.y = this.y;
+        }
+
+        this._maxPointers = Math.max(this._maxPointers, pointers.length);
+
+        this.rebase();
+    },
+
+    /**
+     * Removes a Pointer that has been released, ending any gestures that needed it.
+     * This is called by the Gesture Plugin.
+     *
+     * @method Phaser.Input.Gestures.Gesture#removePointer
+     * @fires Phaser.Input.Gestures.Events#TAP
+     * @fires Phaser.Input.Gestures.Events#DOUBLE_TAP
+     * @fires Phaser.Input.Gestures.Events#SWIPE
+     * @fires Phaser.Input.Gestures.Events#PAN_END
+     * @fires Phaser.Input.Gestures.Events#PINCH_END
+     * @fires Phaser.Input.Gestures.Events#ROTATE_END
+     * @since 3.60.0
+     *
+     * @param {Phaser.Input.Pointer} pointer - The Pointer.
+     * @param {number} time - The current time.
+     * @param {boolean} [cancel=false] - Is the Pointer being removed for another reason than being released, such as starting a drag? If so, taps and swipes aren't recognized.
+     */
+    removePointer: function (pointer, time, cancel)
+    {
+        var pointers = this.pointers;
+        var index = pointers.indexOf(pointer);
+
+        if (index === -1)
+        {
+            return;
+        }
+
+        pointers.splice(index, 1);
+
+        if (pointers.length > 0)
+        {
+            this.rebase();
+
+            return;
+        }
+
+        this.duration = time - this.startTime;
+
+        this.endPair();
+
+        if (this.isPanning)
+        {
+            this.isPanning = false;
+
+            this.emit(Events.PAN_END);
+        }
+
+        if (cancel || this._maxPointers > 1)
+        {
+            return;
+        }
+
+        if (this._moved)
+        {
+            this.checkSwipe();
+        }
+        else if (this.tap && !this._longPressed && this.duration <= this.tapTime)
+        {
+            this.emit(Events.TAP);
+
+            this.checkDoubleTap(time);
+        }
+    },
+
+    /**
+     * Releases all of the Pointers, ending any gestures in progress without recognizing taps or swipes.
+     *
+     * @method Phaser.Input.Gestures.Gesture#cancel
+     * @since 3.60.0
+     *
+     * @param {number} time - The current time.
+     */
+    cancel: function (time)
+    {
+        var pointers = this.pointers;
+
+        while (pointers.length > 0)
+        {
+            this.removePointer(pointers[pointers.length - 1], time, true);
+        }
+    },
+
+    /**
+     * Sets `x` and `y` to the center of the Pointers.
+     *
+     * @method Phaser.Input.Gestures.Gesture#updateCenter
+     * @private
+     * @since 3.60.0
+     */
+    updateCenter: function ()
+    {
+        var pointers = this.pointers;
+        var total = pointers.length;
+        var x = 0;
+        var y = 0;
+
+        for (var i = 0; i < total; i++)
+        {
+            x += pointers[i].x;
+            y += pointers[i].y;
+        }
+
+        this.x = x / total;
+        this.y = y / total;
+    },
+
+    /**
+     * Called when a Pointer is pressed or released while others are still pressed. It moves the start position by the
+     * jump in the center of the Pointers, so pans carry on smoothly, and restarts the pinch and rotation if the first
+     * two Pointers have changed.
+     *
+     * @method Phaser.Input.Gestures.Gesture#rebase
+     * @private
+     * @since 3.60.0
+     */
+    rebase: function ()
+    {
+        var last = this._last;
+
+        this.updateCenter();
+
+        this.startX += this.x - last.x;
+        this.startY += this.y - last.y;
+
+        last.x = this.x;
+        last.y = this.y;
+
+        var pointers = this.pointers;
+        var pair = this._pair;
+        var a = (pointers.length > 1) ? pointers[0] : null;
+        var b = (pointers.length > 1) ? pointers[1] : null;
+
+        if (a === pair[0] && b === pair[1])
+        {
+            return;
+        }
+
+        this.endPair();
+
+        pair[0] = a;
+        pair[1] = b;
+
+        if (a)
+        {
+            var span = this._span;
+
+            span.startDistance = DistanceBetween(a.x, a.y, b.x, b.y);
+            span.startAngle = AngleBetween(a.x, a.y, b.x, b.y);
+            span.distance = span.startDistance;
+            span.angle = span.startAngle;
+        }
+    },
+
+    /**
+     * Ends the pinch and rotation, if they are in progress.
+     *
+     * @method Phaser.Input.Gestures.Gesture#endPair
+     * @private
+     * @fires Phaser.Input.Gestures.Events#PINCH_END
+     * @fires Phaser.Input.Gestures.Events#ROTATE_END
+     * @since 3.60.0
+     */
+    endPair: function ()
+    {
+        this._pair[0] = null;
+        this._pair[1] = null;
+
+        if (this.isPinching)
+        {
+            this.isPinching = false;
+
+            this.emit(Events.PINCH_END);
+        }
+
+        if (this.isRotating)
+        {
+            this.isRotating = false;
+
+            this.emit(Events.ROTATE_END);
+        }
+    },
+
+    /**
+     * Updates this Gesture from the positions of its Pointers, recognizing long presses, pans, pinches and rotations.
+     * This is called by the Gesture Plugin every game step.
+     *
+     * @method Phaser.Input.Gestures.Gesture#update
+     * @fires Phaser.Input.Gestures.Events#LONG_PRESS
+     * @fires Phaser.Input.Gestures.Events#PAN_START
+     * @fires Phaser.Input.Gestures.Events#PAN
+     * @fires Phaser.Input.Gestures.Events#PINCH_START
+     * @fires Phaser.Input.Gestures.Events#PINCH
+     * @fires Phaser.Input.Gestures.Events#ROTATE_START
+     * @fires Phaser.Input.Gestures.Events#ROTATE
+     * @since 3.60.0
+     *
+     * @param {number} time - The current time.
+     * @param {number} delta - The delta time, in ms, since the last update.
+     */
+    update: function (time, delta)
+    {
+        if (this.pointers.length === 0)
+        {
+            return;
+        }
+
+        var last = this._last;
+
+        this.duration = time - this.startTime;
+
+        this.updateCenter();
+
+        var dx = this.x - last.x;
+        var dy = this.y - last.y;
+
+        last.x = this.x;
+        last.y = this.y;
+
+        if (delta > 0)
+        {
+            //  Smooth the velocity, as Pointers don't always move every step
+            this.velocityX = (this.velocityX + dx / delta) / 2;
+            this.velocityY = (this.velocityY + dy / delta) / 2;
+        }
+
+        this.distanceX = this.x - this.startX;
+        this.distanceY = this.y - this.startY;
+
+        if (!this._moved && Math.sqrt(this.distanceX * this.distanceX + this.distanceY * this.distanceY) > this.threshold)
+        {
+            this._moved = true;
+        }
+
+        if (this.longPress && !this._moved && !this._longPressed && this._maxPointers === 1 && this.duration >= this.longPressTime)
+        {
+            this._longPressed = true;
+
+            this.emit(Events.LONG_PRESS);
+        }
+
+        if (this.pan && this._moved)
+        {
+            if (!this.isPanning)
+            {
+                this.isPanning = true;
+
+                this.emit(Events.PAN_START);
+
+                //  Include the movement made before the threshold was passed, so the pan follows the Pointers exactly
+                dx = this.distanceX;
+                dy = this.distanceY;
+            }
+
+            if (dx !== 0 || dy !== 0)
+            {
+                this.deltaX = dx;
+                this.deltaY = dy;
+
+                this.emit(Events.PAN);
+            }
+        }
+
+        if (this._pair[0])
+        {
+            this.updatePair();
+        }
+    },
+
+    /**
+     * Recognizes pinches and rotations from the first two Pointers.
+     *
+     * @method Phaser.Input.Gestures.Gesture#updatePair
+     * @private
+     * @fires Phaser.Input.Gestures.Events#PINCH_START
+     * @fires Phaser.Input.Gestures.Events#PINCH
+     * @fires Phaser.Input.Gestures.Events#ROTATE_START
+     * @fires Phaser.Input.Gestures.Events#ROTATE
+     * @since 3.60.0
+     */
+    updatePair: function ()
+    {
+        var a = this._pair[0];
+        var b = this._pair[1];
+        var span = this._span;
+
+        var distance = DistanceBetween(a.x, a.y, b.x, b.y);
+        var angle = AngleBetween(a.x, a.y, b.x, b.y);
+
+        if (this.pinch && span.startDistance > 0)
+        {
+            if (!this.isPinching && Math.abs(distance - span.startDistance) > this.threshold)
+            {
+                this.isPinching = true;
+                this.scale = 1;
+
+                this.emit(Events.PINCH_START);
+
+                //  Include the change made before the threshold was passed
+                span.distance = span.startDistance;
+            }
+
+            if (this.isPinching && distance !== span.distance && span.distance > 0)
+            {
+                this.scale = distance / span.startDistance;
+                this.deltaScale = distance / span.distance;
+
+                this.emit(Events.PINCH);
+            }
+        }
+
+        if (this.rotate)
+        {
+            if (!this.isRotating && Math.abs(Wrap(angle - span.startAngle)) > this.rotateThreshold)
+            {
+                this.isRotating = true;
+                this.rotation = 0;
+
+                this.emit(Events.ROTATE_START);
+
+                span.angle = span.startAngle;
+            }
+
+            if (this.isRotating && angle !== span.angle)
+            {
+                this.rotation = Wrap(angle - span.startAngle);
+                this.deltaRotation = Wrap(angle - span.angle);
+
+                this.emit(Events.ROTATE);
+            }
+        }
+
+        span.distance = distance;
+        span.angle = angle;
+    },
+
+    /**
+     * Recognizes a swipe, after the last Pointer has been released.
+     *
+     * @method Phaser.Input.Gestures.Gesture#checkSwipe
+     * @private
+     * @fires Phaser.Input.Gestures.Events#SWIPE
+     * @since 3.60.0
+     */
+    checkSwipe: function ()
+    {
+        var dx = this.distanceX;
+        var dy = this.distanceY;
+        var vx = this.velocityX;
+        var vy = this.velocityY;
+
+        if (!this.swipe || Math.sqrt(dx * dx + dy * dy) < this.swipeDistance || Math.sqrt(vx * vx + vy * vy) < this.swipeVelocity)
+        {
+            return;
+        }
+
+        if (Math.abs(dx) > Math.abs(dy))
+        {
+            this.direction = (dx < 0) ? Gesture.LEFT : Gesture.RIGHT;
+        }
+        else
+        {
+            this.direction = (dy < 0) ? Gesture.UP : Gesture.DOWN;
+        }
+
+        this.emit(Events.SWIPE);
+    },
+
+    /**
+     * Recognizes a double tap, after a tap.
+     *
+     * @method Phaser.Input.Gestures.Gesture#checkDoubleTap
+     * @private
+     * @fires Phaser.Input.Gestures.Events#DOUBLE_TAP
+     * @since 3.60.0
+     *
+     * @param {number} time - The current time.
+     */
+    checkDoubleTap: function (time)
+    {
+        var lastTap = this._lastTap;
+
+        if (this.doubleTap && lastTap.time >= 0 && time - lastTap.time <= this.doubleTapTime && DistanceBetween(this.x, this.y, lastTap.x, lastTap.y) <= this.doubleTapDistance)
+        {
+            //  A third tap starts a new double tap, rather than making another one
+            lastTap.time = -1;
+
+            this.emit(Events.DOUBLE_TAP);
+        }
+        else
+        {
+            lastTap.time = time;
+            lastTap.x = this.x;
+            lastTap.y = this.y;
+        }
+    },
+
+    /**
+     * Emits a gesture event from the Game Object, if this Gesture has one, and from the Gesture Plugin.
+     *
+     * @method Phaser.Input.Gestures.Gesture#emit
+     * @private
+     * @since 3.60.0
+     *
+     * @param {string} event - The name of the event.
+     */
+    emit: function (event)
+    {
+        if (this.gameObject)
+        {
+            this.gameObject.emit(event, this);
+        }
+
+        //  The Game Object may have been destroyed by a listener
+        if (this.plugin)
+        {
+            this.plugin.emit(event, this);
+        }
+    },
+
+    /**
+     * Removes all external references.
+     *
+     * @method Phaser.Input.Gestures.Gesture#destroy
+     * @since 3.60.0
+     */
+    destroy: function ()
+    {
+        this.pointers.length = 0;
+        this._pair[0] = null;
+        this._pair[1] = null;
+
+        this.plugin = null;
+        this.gameObject = null;
+    }
+
+});
+
+/**
+ * A swipe to the left.
+ *
+ * @name Phaser.Input.Gestures.Gesture.LEFT
+ * @type {string}
+ * @const
+ * @since 3.60.0
+ */
+Gesture.LEFT = 'left';
+
+/**
+ * A swipe to the right.
+ *
+ * @name Phaser.Input.Gestures.Gesture.RIGHT
+ * @type {string}
+ * @const
+ * @since 3.60.0
+ */
+Gesture.RIGHT = 'right';
+
+/**
+ * An upwards swipe.
+ *
+ * @name Phaser.Input.Gestures.Gesture.UP
+ * @type {string}
+ * @const
+ * @since 3.60.0
+ */
+Gesture.UP = 'up';
+
+/**
+ * A downwards swipe.
+ *
+ * @name Phaser.Input.Gestures.Gesture.DOWN
+ * @type {string}
+ * @const
+ * @since 3.60.0
+ */
+Gesture.DOWN = 'down';
+
+module.exports = Gesture;
@@ -0,0 +1,609 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var Class = require('../../utils/Class');
+var EventEmitter = require('eventemitter3');
+var GameObjectEvents = require('../../gameobjects/events');
+var Gesture = require('./Gesture');
+var GetValue = require('../../utils/object/GetValue');
+var InputEvents = require('../events');
+var InputPluginCache = require('../InputPluginCache');
+var Merge = require('../../utils/object/Merge');
+
+/**
+ * @classdesc
+ * The Gesture Plugin is an input plugin that belongs to the Scene-owned Input system.
+ *
+ * It reads the Pointers of the Input Manager every game step and recognizes taps, double taps, long presses,
+ * swipes, pans, pinches and rotations, either on the whole Scene, or on the Game Objects you enable gestures on.
+ *
+ * You do not need to create this class directly, the Input system will create an instance of it automatically,
+ * if the `input.gestures` Game or Scene Config property is set, i.e. `input: { gestures: true }`.
+ *
+ * You can access it from within a Scene using `this.input.gestures`. For example, to pinch-zoom and pan a Camera:
+ *
+ * ```javascript
+ * this.input.addPointer(1);
+ *
+ * this.input.gestures.on('pinch', function (gesture) {
+ *     camera.zoom *= gesture.deltaScale;
+ * });
+ *
+ * this.input.gestures.on('pan', function (gesture) {
+ *     camera.scrollX -= gesture.deltaX / camera.zoom;
+ *     camera.scrollY -= gesture.deltaY / camera.zoom;
+ * });
+ * ```
+ *
+ * Or to recognize gestures on a Game Object:
+ *
+ * ```javascript
+ * this.input.gestures.enable(sprite, { pan: false });
+ *
+ * sprite.on('rotate', function (gesture) {
+ *     sprite.rotation += gesture.deltaRotation;
+ * });
+ * ```
+ *
+ * Each event is passed the Gesture that recognized it, which has the positions, velocities, scale and rotation
+ * deltas. Events are emitted from the Game Object the Gesture belongs to, if any, and always from this plugin.
+ *
+ * When a Pointer is pressed, it is added to the Gesture of the top-most gesture-enabled Game Object below it.
+ * If there isn't one, it joins a Game Object Gesture that already has one Pointer pressed, so you can pinch small
+ * objects, or otherwise it is added to the Scene Gesture. Pointers that are dragging Game Objects are taken out
+ * of the Scene Gesture, so dragging an object doesn't pan the Scene. Gestures on draggable Game Objects work
+ * alongside the drag, so you can drag with one finger and pinch with two.
+ *
+ * Pinches and rotations need two Pointers, so add one with `InputPlugin.addPointer` or the `input.activePointers`
+ * Game Config property.
+ *
+ * @class GesturePlugin
+ * @extends Phaser.Events.EventEmitter
+ * @memberof Phaser.Input.Gestures
+ * @constructor
+ * @since 3.60.0
+ *
+ * @param {Phaser.Input.InputPlugin} sceneInputPlugin - A reference to the Scene Input Plugin that the Gesture Plugin belongs to.
+ */
+var GesturePlugin = new Class({
+
+    Extends: EventEmitter,
+
+    initialize:
+
+    function GesturePlugin (sceneInputPlugin)
+    {
+        EventEmitter.call(this);
+
+        /**
+         * A reference to the Scene that this Input Plugin is responsible for.
+         *
+         * @name Phaser.Input.Gestures.GesturePlugin#scene
+         * @type {Phaser.Scene}
+         * @since 3.60.0
+         */
+        this.scene = sceneInputPlugin.scene;
+
+        /**
+         * A reference to the Scene Systems Settings.
+         *
+         * @name Phaser.Input.Gestures.GesturePlugin#settings
+         * @type {Phaser.Types.Scenes.SettingsObject}
+         * @since 3.60.0
+         */
+        this.settings = this.scene.sys.settings;
+
+        /**
+         * A reference to the Scene Input Plugin that created this Gesture Plugin.
+         *
+         * @name Phaser.Input.Gestures.GesturePlugin#sceneInputPlugin
+         * @type {Phaser.Input.InputPlugin}
+         * @since 3.60.0
+         */
+        this.sceneInputPlugin = sceneInputPlugin;
+
+        /**
+         * A boolean that controls if gestures are recognized or not.
+         * Can be toggled on the fly. Disabling it ends all gestures in progress.
+         *
+         * @name Phaser.Input.Gestures.GesturePlugin#enabled
+         * @type {boolean}
+         * @default true
+         * @since 3.60.0
+         */
+        this.enabled = true;
+
+        /**
+         * The default configuration of all Gestures, set by the `input.gestures` Scene or Game Config property.
+         *
+         * @name Phaser.Input.Gestures.GesturePlugin#defaults
+         * @type {Phaser.Types.Input.Gestures.GestureConfig}
+         * @since 3.60.0
+         */
+        this.defaults = GesturePlugin.DEFAULTS;
+
+        /**
+         * The Gesture of the Scene, which recognizes gestures made anywhere other than on a gesture-enabled Game Object.
+         * Change its properties to turn off the gestures you don't need, i.e. `this.input.gestures.sceneGesture.rotate = false`.
+         *
+         * @name Phaser.Input.Gestures.GesturePlugin#sceneGesture
+         * @type {Phaser.Input.Gestures.Gesture}
+         * @since 3.60.0
+         */
+        this.sceneGesture;
+
+        /**
+         * The Gestures of the gesture-enabled Game Objects.
+         *
+         * @name Phaser.Input.Gestures.GesturePlugin#gestures
+         * @type {Phaser.Input.Gestures.Gesture[]}
+         * @since 3.60.0
+         */
+        this.gestures = [];
+
+        /**
+         * The `downTime` of each Pointer when it was last added to a Gesture, and the Gesture it was added to, by Pointer id.
+         *
+         * @name Phaser.Input.Gestures.GesturePlugin#_pointers
+         * @type {object[]}
+         * @private
+         * @since 3.60.0
+         */
+        this._pointers = [];
+
+        /**
+         * A temporary array used for hit testing.
+         *
+         * @name Phaser.Input.Gestures.GesturePlugin#_temp
+         * @type {Phaser.GameObjects.GameObject[]}
+         * @private
+         * @since 3.60.0
+         */
+        this._temp = [];
+
+        /**
+         * The time of the last update.
+         *
+         * @name Phaser.Input.Gestures.GesturePlugin#_time
+         * @type {number}
+         * @private
+         * @since 3.60.0
+         */
+        this._time = 0;
+
+        sceneInputPlugin.pluginEvents.once(InputEvents.BOOT, this.boot, this);
+        sceneInputPlugin.pluginEvents.on(InputEvents.START, this.start, this);
+    },
+
+    /**
+     * This method is called automatically, only once, when the Scene is first created.
+     * Do not invoke it directly.
+     *
+     * @method Phaser.Input.Gestures.GesturePlugin#boot
+     * @private
+     * @since 3.60.0
+     */
+    boot: function ()
+    {
+        var config = GetValue(this.settings.input, 'gestures', this.scene.sys.game.config.inputGestures);
+
+        this.enabled = !!config;
+
+        if (typeof config === 'object')
+        {
+            this.defaults = Merge(config, GesturePlugin.DEFAULTS);
+        }
+
+        this.sceneGesture = new Gesture(this, null);
+
+        this.sceneInputPlugin.pluginEvents.once(InputEvents.DESTROY, this.destroy, this);
+    },
+
+    /**
+     * This method is called automatically by the Scene when it is starting up.
+     * It is responsible for creating local systems, properties and listening for Scene events.
+     * Do not invoke it directly.
+     *
+     * @method Phaser.Input.Gestures.GesturePlugin#start
+     * @private
+     * @since 3.60.0
+     */
+    start: function ()
+    {
+        this.sceneInputPlugin.pluginEvents.on(InputEvents.UPDATE, this.update, this);
+        this.sceneInputPlugin.pluginEvents.once(InputEvents.SHUTDOWN, this.shutdown, this);
+    },
+
+    /**
+     * Checks to see if both this plugin and the Scene to which it belongs is active.
+     *
+     * @method Phaser.Input.Gestures.GesturePlugin#isActive
+     * @since 3.60.0
+     *
+     * @return {boolean} `true` if the plugin and the Scene it belongs to is active.
+     */
+    isActive: function ()
+    {
+        return (this.enabled && this.scene.sys.isActive());
+    },
+
+    /**
+     * Enables gestures on a Game Object. If it isn't already interactive, `setInteractive` is called on it first.
+     * If gestures are already enabled on it, they are replaced with the new configuration.
+     *
+     * The gestures are disabled automatically when the Game Object is destroyed.
+     *
+     * @method Phaser.Input.Gestures.GesturePlugin#enable
+     * @since 3.60.0
+     *
+     * @param {Phaser.GameObjects.GameObject} gameObject - The Game Object to enable gestures on.
+     * @param {Phaser.Types.Input.Gestures.GestureConfig} [config] - The configuration of the Gesture. Missing properties are taken from `defaults`.
+     *
+     * @return {Phaser.Input.Gestures.Gesture} The Gesture of the Game Object.
+     */
+    enable: function (gameObject, config)
+    {
+        this.disable(gameObject);
+
+        if (!gameObject.input)
+        {
+            gameObject.setInteractive();
+        }
+
+        var gesture = new Gesture(this, gameObject, config);
+
+        this.gestures.push(gesture);
+
+        gameObject.once(GameObjectEvents.DESTROY, this.disable, this);
+
+        return gesture;
+    },
+
+    /**
+     * Disables gestures on a Game Object, ending any in progress. It doesn't change whether it is interactive.
+     *
+     * @method Phaser.Input.Gestures.GesturePlugin#disable
+     * @since 3.60.0
+     *
+     * @param {Phaser.GameObjects.GameObject} gameObject - The Game Object to disable gestures on.
+     *
+     * @return {this} This Gesture Plugin.
+     */
+    disable: function (gameObject)
+    {
+        var gesture = this.getGesture(gameObject);
+
+        if (gesture && gesture.gameObject)
+        {
+            this.release(gesture);
+
+            this.gestures.splice(this.gestures.indexOf(gesture), 1);
+
+            gameObject.off(GameObjectEvents.DESTROY, this.disable, this);
+
+            gesture.destroy();
+        }
+
+        return this;
+    },
+
+    /**
+     * Gets the Gesture of a Game Object, or of the Scene.
+     *
+     * @method Phaser.Input.Gestures.GesturePlugin#getGesture
+     * @since 3.60.0
+     *
+     * @param {Phaser.GameObjects.GameObject} [gameObject] - The Game Object to get the Gesture of. If not given, the Scene Gesture is returned.
+     *
+     * @return {?Phaser.Input.Gestures.Gesture} The Gesture, or `null` if gestures aren't enabled on the Game Object.
+     */
+    getGesture: function (gameObject)
+    {
+        if (!gameObject)
+        {
+            return this.sceneGesture;
+        }
+
+        var gestures = this.gestures;
+
+        for (var i = 0; i < gestures.length; i++)
+        {
+            if (gestures[i].gameObject === gameObject)
+            {
+                return gestures[i];
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Ends all gestures in progress on a Gesture, and forgets which Pointers were pressed on it.
+     *
+     * @method Phaser.Input.Gestures.GesturePlugin#release
+     * @private
+     * @since 3.60.0
+     *
+     * @param {Phaser.Input.Gestures.Gesture} gesture - The Gesture.
+     */
+    release: function (gesture)
+    {
+        var pointers = this._pointers;
+
+        for (var i = 0; i < pointers.length; i++)
+        {
+            if (pointers[i] && pointers[i].gesture === gesture)
+            {
+                pointers[i].gesture = null;
+            }
+        }
+
+        gesture.cancel(this._time);
+    },
+
+    /**
+     * Finds the Gesture that a newly pressed Pointer belongs to.
+     *
+     * @method Phaser.Input.Gestures.GesturePlugin#hitTest
+     * @private
+     * @since 3.60.0
+     *
+     * @param {Phaser.Input.Pointer} pointer - The Pointer.
+     *
+     * @return {Phaser.Input.Gestures.Gesture} The Gesture of the top-most gesture-enabled Game Object below the Pointer, or else one with a single Pointer pressed, or else the Scene Gesture.
+     */
+    hitTest: function (pointer)
+    {
+        var gestures = this.gestures;
+        var candidates = [];
+        var i;
+
+        for (i = 0; i < gestures.length; i++)
+        {
+            var gameObject = gestures[i].gameObject;
+
+            if (gameObject.input && gameObject.input.enabled)
+            {
+                candidates.push(gameObject);
+            }
+        }
+
+        if (candidates.length > 0)
+        {
+            var manager = this.sceneInputPlugin.manager;
+            var cameras = this.sceneInputPlugin.cameras.getCamerasBelowPointer(pointer);
+
+            for (i = 0; i < cameras.length; i++)
+            {
+                var over = manager.hitTest(pointer, candidates, cameras[i], this._temp);
+
+                if (over.length > 0)
+                {
+                    var list = cameras[i].renderList;
+
+                    over.sort(function (childA, childB)
+                    {
+                        return list.indexOf(childB) - list.indexOf(childA);
+                    });
+
+                    return this.getGesture(over[0]);
+                }
+            }
+        }
+
+        for (i = 0; i < gestures.length; i++)
+        {
+            if (gestures[i].pointers.length === 1)
+            {
+                return gestures[i];
+            }
+        }
+
+        return this.sceneGesture;
+    },
+
+    /**
+     * Updates the Gestures from the Pointers of the Input Manager.
+     * This is called automatically by the Input Plugin every game step.
+     *
+     * @method Phaser.Input.Gestures.GesturePlugin#update
+     * @private
+     * @since 3.60.0
+     *
+     * @param {number} time - The current time.
+     * @param {number} delta - The delta time, in ms, since the last update.
+     */
+    update: function (time, delta)
+    {
+        this._time = time;
+
+        if (!this.isActive())
+        {
+            this.cancel();
+
+            return;
+        }
+
+        var inputPlugin = this.sceneInputPlugin;
+        var pointers = inputPlugin.manager.pointers;
+        var states = this._pointers;
+        var sceneGesture = this.sceneGesture;
+        var gestures = this.gestures;
+        var pointer;
+        var state;
+        var i;
+
+        //  Add the Pointers pressed since the last update
+        for (i = 0; i < pointers.length; i++)
+        {
+            pointer = pointers[i];
+            state = states[pointer.id];
+
+            if (!state)
+            {
+                state = { downTime: pointer.downTime, gesture: null };
+
+                states[pointer.id] = state;
+
+                //  Ignore Pointers already pressed before this plugin started
+                continue;
+            }
+
+            if (pointer.downTime !== state.downTime)
+            {
+                //  Released and pressed again since the last update
+                if (state.gesture)
+                {
+                    state.gesture.removePointer(pointer, time);
+                }
+
+                state.downTime = pointer.downTime;
+                state.gesture = this.hitTest(pointer);
+                state.gesture.addPointer(pointer, time);
+            }
+
+            //  Dragging a Game Object shouldn't pan the Scene
+            if (state.gesture === sceneGesture && inputPlugin.getDragState(pointer) !== 0)
+            {
+                sceneGesture.removePointer(pointer, time, true);
+
+                state.gesture = null;
+            }
+        }
+
+        sceneGesture.update(time, delta);
+
+        //  Gesture listeners can disable gestures, so update a copy of the list
+        var active = gestures.slice();
+
+        for (i = 0; i < active.length; i++)
+        {
+            if (gestures.indexOf(active[i]) !== -1)
+            {
+                active[i].update(time, delta);
+            }
+        }
+
+        //  Remove the Pointers released since the last update
+        for (i = 0; i < pointers.length; i++)
+        {
+            pointer = pointers[i];
+            state = states[pointer.id];
+
+            if (state.gesture && !pointer.isDown)
+            {
+                var gesture = state.gesture;
+
+                state.gesture = null;
+
+                gesture.removePointer(pointer, time);
+            }
+        }
+    },
+
+    /**
+     * Ends all gestures in progress.
+     *
+     * @method Phaser.Input.Gestures.GesturePlugin#cancel
+     * @since 3.60.0
+     *
+     * @return {this} This Gesture Plugin.
+     */
+    cancel: function ()
+    {
+        for (var i = 0; i < this.gestures.length; i++)
+        {
+            this.release(this.gestures[i]);
+        }
+
+        this.release(this.sceneGesture);
+
+        return this;
+    },
+
+    /**
+     * Shuts this Gesture Plugin down. All gestures are ended and disabled, and all listeners are removed.
+     *
+     * @method Phaser.Input.Gestures.GesturePlugin#shutdown
+     * @private
+     * @since 3.60.0
+     */
+    shutdown: function ()
+    {
+        this.cancel();
+
+        var gestures = this.gestures;
+
+        while (gestures.length > 0)
+        {
+            this.disable(gestures[0].gameObject);
+        }
+
+        this._pointers = [];
+
+        this.sceneInputPlugin.pluginEvents.off(InputEvents.UPDATE, this.update, this);
+
+        this.removeAllListeners();
+    },
+
+    /**
+     * Destroys this Gesture Plugin and releases internal references.
+     *
+     * @method Phaser.Input.Gestures.GesturePlugin#destroy
+     * @private
+     * @since 3.60.0
+     */
+    destroy: function ()
+    {
+        this.shutdown();
+
+        this.sceneGesture.destroy();
+        this.sceneGesture = null;
+
+        this.scene = null;
+        this.settings = null;
+        this.sceneInputPlugin = null;
+    }
+
+});
+
+/**
+ * The default configuration of Gestures, used for any properties not set by the `input.gestures`
+ * Scene or Game Config property.
+ *
+ * @name Phaser.Input.Gestures.GesturePlugin.DEFAULTS
+ * @type {Phaser.Types.Input.Gestures.GestureConfig}
+ * @since 3.60.0
+ */
+GesturePlugin.DEFAULTS = {
+    tap: true,
+    doubleTap: true,
+    longPress: true,
+    swipe: true,
+    pan: true,
+    pinch: true,
+    rotate: true,
+    threshold: 10,
+    rotateThreshold: 0.1,
+    tapTime: 250,
+    doubleTapTime: 300,
+    doubleTapDistance: 30,
+    longPressTime: 500,
+    swipeDistance: 50,
+    swipeVelocity: 0.3
+};
+
+/**
+ * An instance of the Gesture Plugin class, if enabled via the `input.gestures` Scene or Game Config property.
+ * Use this to recognize taps, swipes, pans, pinches and rotations on the Scene and its Game Objects.
+ *
+ * @name Phaser.Input.InputPlugin#gestures
+ * @type {?Phaser.Input.Gestures.GesturePlugin}
+ * @since 3.60.0
+ */
+InputPluginCache.register('GesturePlugin', GesturePlugin, 'gestures', 'gestures', 'inputGestures');
+
+module.exports = GesturePlugin;
@@ -0,0 +1,20 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+/**
+ * The Gesture Double Tap Event.
+ *
+ * This event is dispatched by a Gesture when a second tap is made soon after, and close to, the first. Both taps also emit a `tap` event.
+ *
+ * It is emitted from the Game Object the Gesture belongs to, if any, and from the Gesture Plugin. Listen for it on a
+ * Game Object using `sprite.on('doubletap', listener)`, or for all Gestures in a Scene using `this.input.gestures.on('doubletap', listener)`.
+ *
+ * @event Phaser.Input.Gestures.Events#DOUBLE_TAP
+ * @since 3.60.0
+ *
+ * @param {Phaser.Input.Gestures.Gesture} gesture - The Gesture that recognized the double tap. Its `gameObject` is `null` if it belongs to the Scene.
+ */
+module.exports = 'doubletap';
@@ -0,0 +1,20 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+/**
+ * The Gesture Long Press Event.
+ *
+ * This event is dispatched by a Gesture when a single Pointer has been held still for the `longPressTime`. It is emitted while the Pointer is still pressed, and stops a tap being recognized when it is released.
+ *
+ * It is emitted from the Game Object the Gesture belongs to, if any, and from the Gesture Plugin. Listen for it on a
+ * Game Object using `sprite.on('longpress', listener)`, or for all Gestures in a Scene using `this.input.gestures.on('longpress', listener)`.
+ *
+ * @event Phaser.Input.Gestures.Events#LONG_PRESS
+ * @since 3.60.0
+ *
+ * @param {Phaser.Input.Gestures.Gesture} gesture - The Gesture that recognized the long press. Its `gameObject` is `null` if it belongs to the Scene.
+ */
+module.exports = 'longpress';
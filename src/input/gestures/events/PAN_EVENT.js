@@ -0,0 +1,27 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+/**
+ * The Gesture Pan Event.
+ *
+ * This event is dispatched by a Gesture when the center of the Pointers moves during a pan. The first `pan` event follows the `panstart` event and includes the movement made before the threshold was passed.
+ *
+ * Read `deltaX` and `deltaY` from the Gesture for the movement since the last `pan` event. To pan a Camera use:
+ *
+ * ```javascript
+ * camera.scrollX -= gesture.deltaX / camera.zoom;
+ * camera.scrollY -= gesture.deltaY / camera.zoom;
+ * ```
+ *
+ * It is emitted from the Game Object the Gesture belongs to, if any, and from the Gesture Plugin. Listen for it on a
+ * Game Object using `sprite.on('pan', listener)`, or for all Gestures in a Scene using `this.input.gestures.on('pan', listener)`.
+ *
+ * @event Phaser.Input.Gestures.Events#PAN
+ * @since 3.60.0
+ *
+ * @param {Phaser.Input.Gestures.Gesture} gesture - The Gesture that recognized the pan. Its `gameObject` is `null` if it belongs to the Scene.
+ */
+module.exports = 'pan';
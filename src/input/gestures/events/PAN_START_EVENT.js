@@ -0,0 +1,20 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+/**
+ * The Gesture Pan Start Event.
+ *
+ * This event is dispatched by a Gesture when the Pointers have moved further than the `threshold` since the first one was pressed.
+ *
+ * It is emitted from the Game Object the Gesture belongs to, if any, and from the Gesture Plugin. Listen for it on a
+ * Game Object using `sprite.on('panstart', listener)`, or for all Gestures in a Scene using `this.input.gestures.on('panstart', listener)`.
+ *
+ * @event Phaser.Input.Gestures.Events#PAN_START
+ * @since 3.60.0
+ *
+ * @param {Phaser.Input.Gestures.Gesture} gesture - The Gesture that recognized the pan start. Its `gameObject` is `null` if it belongs to the Scene.
+ */
+module.exports = 'panstart';
@@ -0,0 +1,22 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+/**
+ * The Gesture Pinch Event.
+ *
+ * This event is dispatched by a Gesture when the distance between the first two Pointers changes during a pinch.
+ *
+ * Read `scale` from the Gesture for the scale since the pinch started, and `deltaScale` for the change since the last `pinch` event. To zoom a Camera use: `camera.zoom *= gesture.deltaScale`.
+ *
+ * It is emitted from the Game Object the Gesture belongs to, if any, and from the Gesture Plugin. Listen for it on a
+ * Game Object using `sprite.on('pinch', listener)`, or for all Gestures in a Scene using `this.input.gestures.on('pinch', listener)`.
+ *
+ * @event Phaser.Input.Gestures.Events#PINCH
+ * @since 3.60.0
+ *
+ * @param {Phaser.Input.Gestures.Gesture} gesture - The Gesture that recognized the pinch. Its `gameObject` is `null` if it belongs to the Scene.
+ */
+module.exports = 'pinch';
@@ -0,0 +1,20 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+/**
+ * The Gesture Pinch Start Event.
+ *
+ * This event is dispatched by a Gesture when the distance between the first two Pointers pressed has changed by more than the `threshold`.
+ *
+ * It is emitted from the Game Object the Gesture belongs to, if any, and from the Gesture Plugin. Listen for it on a
+ * Game Object using `sprite.on('pinchstart', listener)`, or for all Gestures in a Scene using `this.input.gestures.on('pinchstart', listener)`.
+ *
+ * @event Phaser.Input.Gestures.Events#PINCH_START
+ * @since 3.60.0
+ *
+ * @param {Phaser.Input.Gestures.Gesture} gesture - The Gesture that recognized the pinch start. Its `gameObject` is `null` if it belongs to the Scene.
+ */
+module.exports = 'pinchstart';
@@ -0,0 +1,20 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+/**
+ * The Gesture Rotate End Event.
+ *
+ * This event is dispatched by a Gesture when one of the two Pointers of a rotation has been released.
+ *
+ * It is emitted from the Game Object the Gesture belongs to, if any, and from the Gesture Plugin. Listen for it on a
+ * Game Object using `sprite.on('rotateend', listener)`, or for all Gestures in a Scene using `this.input.gestures.on('rotateend', listener)`.
+ *
+ * @event Phaser.Input.Gestures.Events#ROTATE_END
+ * @since 3.60.0
+ *
+ * @param {Phaser.Input.Gestures.Gesture} gesture - The Gesture that recognized the rotate end. Its `gameObject` is `null` if it belongs to the Scene.
+ */
+module.exports = 'rotateend';
@@ -0,0 +1,22 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+/**
+ * The Gesture Rotate Event.
+ *
+ * This event is dispatched by a Gesture when the angle between the first two Pointers changes during a rotation.
+ *
+ * Read `rotation` from the Gesture for the angle, in radians, since the rotation started, and `deltaRotation` for the change since the last `rotate` event.
+ *
+ * It is emitted from the Game Object the Gesture belongs to, if any, and from the Gesture Plugin. Listen for it on a
+ * Game Object using `sprite.on('rotate', listener)`, or for all Gestures in a Scene using `this.input.gestures.on('rotate', listener)`.
+ *
+ * @event Phaser.Input.Gestures.Events#ROTATE
+ * @since 3.60.0
+ *
+ * @param {Phaser.Input.Gestures.Gesture} gesture - The Gesture that recognized the rotate. Its `gameObject` is `null` if it belongs to the Scene.
+ */
+module.exports = 'rotate';
@@ -0,0 +1,20 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+/**
+ * The Gesture Rotate Start Event.
+ *
+ * This event is dispatched by a Gesture when the angle between the first two Pointers pressed has turned by more than the `rotateThreshold`.
+ *
+ * It is emitted from the Game Object the Gesture belongs to, if any, and from the Gesture Plugin. Listen for it on a
+ * Game Object using `sprite.on('rotatestart', listener)`, or for all Gestures in a Scene using `this.input.gestures.on('rotatestart', listener)`.
+ *
+ * @event Phaser.Input.Gestures.Events#ROTATE_START
+ * @since 3.60.0
+ *
+ * @param {Phaser.Input.Gestures.Gesture} gesture - The Gesture that recognized the rotate start. Its `gameObject` is `null` if it belongs to the Scene.
+ */
+module.exports = 'rotatestart';
@@ -0,0 +1,22 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+/**
+ * The Gesture Swipe Event.
+ *
+ * This event is dispatched by a Gesture when a single Pointer is released after moving quickly for at least the `swipeDistance`.
+ *
+ * Read `direction`, `distanceX`, `distanceY`, `velocityX` and `velocityY` from the Gesture.
+ *
+ * It is emitted from the Game Object the Gesture belongs to, if any, and from the Gesture Plugin. Listen for it on a
+ * Game Object using `sprite.on('swipe', listener)`, or for all Gestures in a Scene using `this.input.gestures.on('swipe', listener)`.
+ *
+ * @event Phaser.Input.Gestures.Events#SWIPE
+ * @since 3.60.0
+ *
+ * @param {Phaser.Input.Gestures.Gesture} gesture - The Gesture that recognized the swipe. Its `gameObject` is `null` if it belongs to the Scene.
+ */
+module.exports = 'swipe';
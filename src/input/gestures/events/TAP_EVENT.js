@@ -0,0 +1,22 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+/**
+ * The Gesture Tap Event.
+ *
+ * This event is dispatched by a Gesture when a Pointer is pressed and released again quickly, without moving, and no other Pointers were pressed at the same time.
+ *
+ * Read `x` and `y` from the Gesture for the position of the tap.
+ *
+ * It is emitted from the Game Object the Gesture belongs to, if any, and from the Gesture Plugin. Listen for it on a
+ * Game Object using `sprite.on('tap', listener)`, or for all Gestures in a Scene using `this.input.gestures.on('tap', listener)`.
+ *
+ * @event Phaser.Input.Gestures.Events#TAP
+ * @since 3.60.0
+ *
+ * @param {Phaser.Input.Gestures.Gesture} gesture - The Gesture that recognized the tap. Its `gameObject` is `null` if it belongs to the Scene.
+ */
+module.exports = 'tap';
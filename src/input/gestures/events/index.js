@@ -0,0 +1,27 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+/**
+ * @namespace Phaser.Input.Gestures.Events
+ */
+
+module.exports = {
+
+    DOUBLE_TAP: require('./DOUBLE_TAP_EVENT'),
+    LONG_PRESS: require('./LONG_PRESS_EVENT'),
+    PAN: require('./PAN_EVENT'),
+    PAN_END: require('./PAN_END_EVENT'),
+    PAN_START: require('./PAN_START_EVENT'),
+    PINCH: require('./PINCH_EVENT'),
+    PINCH_END: require('./PINCH_END_EVENT'),
+    PINCH_START: require('./PINCH_START_EVENT'),
+    ROTATE: require('./ROTATE_EVENT'),
+    ROTATE_END: require('./ROTATE_END_EVENT'),
+    ROTATE_START: require('./ROTATE_START_EVENT'),
+    SWIPE: require('./SWIPE_EVENT'),
+    TAP: require('./TAP_EVENT')
+
+};
@@ -0,0 +1,20 @@
+/**
+ * @typedef {object} Phaser.Types.Input.Gestures.GestureConfig
+ * @since 3.60.0
+ *
+ * @property {boolean} [tap=true] - Recognize taps?
+ * @property {boolean} [doubleTap=true] - Recognize double taps?
+ * @property {boolean} [longPress=true] - Recognize long presses?
+ * @property {boolean} [swipe=true] - Recognize swipes?
+ * @property {boolean} [pan=true] - Recognize pans?
+ * @property {boolean} [pinch=true] - Recognize pinches?
+ * @property {boolean} [rotate=true] - Recognize rotations?
+ * @property {number} [threshold=10] - The distance, in pixels, the Pointers must move before a pan or pinch starts. Taps and long presses are cancelled by moving this far.
+ * @property {number} [rotateThreshold=0.1] - The angle, in radians, the first two Pointers must turn before a rotation starts.
+ * @property {number} [tapTime=250] - The longest time, in ms, a Pointer can be pressed for a tap.
+ * @property {number} [doubleTapTime=300] - The longest time, in ms, between two taps for them to be a double tap.
+ * @property {number} [doubleTapDistance=30] - The greatest distance, in pixels, between two taps for them to be a double tap.
+ * @property {number} [longPressTime=500] - The time, in ms, a Pointer must be held still for a long press.
+ * @property {number} [swipeDistance=50] - The shortest distance, in pixels, a Pointer must move for a swipe.
+ * @property {number} [swipeVelocity=0.3] - The lowest speed, in pixels per ms, a Pointer must be moving at when released for a swipe.
+ */
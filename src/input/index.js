@@ -13,16 +13,19 @@ var Extend = require('../utils/object/Extend');
 
 var Input = {
 
+    Actions: require('./actions'),
     CreatePixelPerfectHandler: require('./CreatePixelPerfectHandler'),
     CreateInteractiveObject: require('./CreateInteractiveObject'),
     Events: require('./events'),
     Gamepad: require('./gamepad'),
+    Gestures: require('./gestures'),
     InputManager: require('./InputManager'),
     InputPlugin: require('./InputPlugin'),
     InputPluginCache: require('./InputPluginCache'),
     Keyboard: require('./keyboard'),
     Mouse: require('./mouse'),
     Pointer: require('./Pointer'),
+    Replay: require('./replay'),
     Touch: require('./touch')
 
 };
@@ -159,7 +159,7 @@ var KeyboardManager = new Class({
 
         this.addCapture(config.inputKeyboardCapture);
 
-        if (!this.target && window)
+        if (!this.target && typeof window !== 'undefined')
         {
             this.target = window;
         }
@@ -185,9 +185,9 @@ var KeyboardManager = new Class({
 
         this.onKeyDown = function (event)
         {
-            if (event.defaultPrevented || !_this.enabled || !_this.manager)
+            if (event.defaultPrevented || !_this.enabled || !_this.manager || !_this.manager.filterEvent(event))
             {
-                // Do nothing if event already handled
+                // Do nothing if event already handled, or an input replay is playing
                 return;
             }
 
@@ -205,9 +205,9 @@ var KeyboardManager = new Class({
 
         this.onKeyUp = function (event)
         {
-            if (event.defaultPrevented || !_this.enabled || !_this.manager)
+            if (event.defaultPrevented || !_this.enabled || !_this.manager || !_this.manager.filterEvent(event))
             {
-                // Do nothing if event already handled
+                // Do nothing if event already handled, or an input replay is playing
                 return;
             }
 
@@ -245,8 +245,11 @@ var KeyboardManager = new Class({
     {
         var target = this.target;
 
-        target.removeEventListener('keydown', this.onKeyDown, false);
-        target.removeEventListener('keyup', this.onKeyUp, false);
+        if (target)
+        {
+            target.removeEventListener('keydown', this.onKeyDown, false);
+            target.removeEventListener('keyup', this.onKeyUp, false);
+        }
 
         this.enabled = false;
     },
@@ -284,6 +284,11 @@ var MouseManager = new Class({
      */
     disableContextMenu: function ()
     {
+        if (typeof document === 'undefined')
+        {
+            return this;
+        }
+
         document.body.addEventListener('contextmenu', function (event)
         {
             event.preventDefault();
@@ -362,7 +367,7 @@ var MouseManager = new Class({
         var _this = this;
         var manager = this.manager;
         var canvas = manager.canvas;
-        var autoFocus = (window && window.focus && manager.game.config.autoFocus);
+        var autoFocus = (typeof window !== 'undefined' && window.focus && manager.game.config.autoFocus);
 
         this.onMouseMove = function (event)
         {
@@ -472,7 +477,7 @@ var MouseManager = new Class({
             target.addEventListener('wheel', this.onMouseWheel, passive);
         }
 
-        if (window && manager.game.config.inputWindowEvents)
+        if (typeof window !== 'undefined' && manager.game.config.inputWindowEvents)
         {
             try
             {
@@ -524,7 +529,7 @@ var MouseManager = new Class({
         target.removeEventListener('mouseover', this.onMouseOver);
         target.removeEventListener('mouseout', this.onMouseOut);
 
-        if (window)
+        if (typeof window !== 'undefined')
         {
             target = (this.isTop) ? window.top : window;
 
@@ -0,0 +1,498 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var Class = require('../../utils/Class');
+var Events = require('../events');
+var GameEvents = require('../../core/events');
+var NOOP = require('../../utils/NOOP');
+var PhaserMath = require('../../math/');
+
+/**
+ * @classdesc
+ * The Input Player replays a recording made by the Input Recorder.
+ *
+ * While a recording is playing, input from the DOM is ignored. Instead, at the start of every game step, the
+ * Input Player feeds the Input Manager the events that were recorded before the same step, in the order they
+ * happened. The Input Plugins, Keyboard and Gamepad Plugins process them exactly as they would real input.
+ *
+ * When playback starts the `Phaser.Math.RND` generator is restored to the state it was in when recording started.
+ *
+ * ```javascript
+ * this.input.manager.player.play(recording);
+ *
+ * this.input.manager.events.once(Phaser.Input.Events.REPLAY_COMPLETE, function () {
+ *     console.log('Replay finished');
+ * });
+ * ```
+ *
+ * An Input Player is created automatically by the Input Manager and is available via its `player` property.
+ *
+ * @class InputPlayer
+ * @memberof Phaser.Input.Replay
+ * @constructor
+ * @since 3.60.0
+ *
+ * @param {Phaser.Input.InputManager} manager - A reference to the Input Manager.
+ */
+var InputPlayer = new Class({
+
+    initialize:
+
+    function InputPlayer (manager)
+    {
+        /**
+         * A reference to the Input Manager.
+         *
+         * @name Phaser.Input.Replay.InputPlayer#manager
+         * @type {Phaser.Input.InputManager}
+         * @since 3.60.0
+         */
+        this.manager = manager;
+
+        /**
+         * Is the Input Player currently replaying a recording?
+         *
+         * @name Phaser.Input.Replay.InputPlayer#isPlaying
+         * @type {boolean}
+         * @readonly
+         * @default false
+         * @since 3.60.0
+         */
+        this.isPlaying = false;
+
+        /**
+         * Is the Input Player currently feeding an event to the Input Manager?
+         * The Input Manager only processes events while this is set during playback.
+         *
+         * @name Phaser.Input.Replay.InputPlayer#isDispatching
+         * @type {boolean}
+         * @readonly
+         * @default false
+         * @since 3.60.0
+         */
+        this.isDispatching = false;
+
+        /**
+         * The recording being played.
+         *
+         * @name Phaser.Input.Replay.InputPlayer#recording
+         * @type {?Phaser.Types.Input.InputRecording}
+         * @default null
+         * @since 3.60.0
+         */
+        this.recording = null;
+
+        /**
+         * The number of game steps that have run since playback started.
+         *
+         * @name Phaser.Input.Replay.InputPlayer#frame
+         * @type {number}
+         * @readonly
+         * @default 0
+         * @since 3.60.0
+         */
+        this.frame = 0;
+
+        /**
+         * The index of the next event in the recording to be played.
+         *
+         * @name Phaser.Input.Replay.InputPlayer#index
+         * @type {number}
+         * @readonly
+         * @default 0
+         * @since 3.60.0
+         */
+        this.index = 0;
+
+        /**
+         * The time at which playback started. Event times are relative to this.
+         *
+         * @name Phaser.Input.Replay.InputPlayer#startTime
+         * @type {number}
+         * @readonly
+         * @default 0
+         * @since 3.60.0
+         */
+        this.startTime = 0;
+
+        /**
+         * The recorded gamepads, as returned by `getGamepads` during playback.
+         *
+         * @name Phaser.Input.Replay.InputPlayer#gamepads
+         * @type {object[]}
+         * @since 3.60.0
+         */
+        this.gamepads = [];
+    },
+
+    /**
+     * Starts playing a recording. If a recording is already playing it is stopped first.
+     *
+     * @method Phaser.Input.Replay.InputPlayer#play
+     * @since 3.60.0
+     *
+     * @param {Phaser.Types.Input.InputRecording} recording - The recording to play, as returned by `InputRecorder.stop`.
+     *
+     * @return {this} This Input Player.
+     */
+    play: function (recording)
+    {
+        var game = this.manager.game;
+
+        this.stop();
+
+        this.recording = recording;
+        this.isPlaying = true;
+        this.frame = 0;
+        this.index = 0;
+        this.startTime = game.loop.now;
+        this.gamepads = [];
+
+        if (recording.seed)
+        {
+            PhaserMath.RND.state(recording.seed);
+        }
+
+        game.events.on(GameEvents.PRE_STEP, this.preStep, this);
+
+        return this;
+    },
+
+    /**
+     * Stops playback. Input from the DOM is processed again.
+     *
+     * @method Phaser.Input.Replay.InputPlayer#stop
+     * @since 3.60.0
+     *
+     * @return {this} This Input Player.
+     */
+    stop: function ()
+    {
+        if (this.isPlaying)
+        {
+            this.isPlaying = false;
+
+            this.gamepads = [];
+
+            this.manager.game.events.off(GameEvents.PRE_STEP, this.preStep, this);
+        }
+
+        return this;
+    },
+
+    /**
+     * Called at the start of every game step during playback. Feeds in the events recorded before this step,
+     * then advances the frame counter, completing playback if the end of the recording has been reached.
+     *
+     * @method Phaser.Input.Replay.InputPlayer#preStep
+     * @fires Phaser.Input.Events#REPLAY_COMPLETE
+     * @private
+     * @since 3.60.0
+     */
+    preStep: function ()
+    {
+        var events = this.recording.events;
+
+        while (this.index < events.length && events[this.index].frame <= this.frame)
+        {
+            this.dispatch(events[this.index]);
+
+            this.index++;
+        }
+
+        this.frame++;
+
+        if (this.frame >= this.recording.frames && this.index >= events.length)
+        {
+            var recording = this.recording;
+
+            this.stop();
+
+            this.manager.events.emit(Events.REPLAY_COMPLETE, recording);
+        }
+    },
+
+    /**
+     * Creates a DOM-like event object from recorded event data.
+     *
+     * @method Phaser.Input.Replay.InputPlayer#createEvent
+     * @private
+     * @since 3.60.0
+     *
+     * @param {Phaser.Types.Input.InputRecordingEvent} data - The recorded event data.
+     *
+     * @return {object} The event object.
+     */
+    createEvent: function (data)
+    {
+        var event = {
+            type: data.type,
+            timeStamp: this.startTime + data.time,
+            defaultPrevented: false,
+            preventDefault: NOOP
+        };
+
+        for (var key in data)
+        {
+            if (key !== 'type' && key !== 'time' && key !== 'frame')
+            {
+                event[key] = data[key];
+            }
+        }
+
+        return event;
+    },
+
+    /**
+     * Gets the page x coordinate that the Scale Manager transforms into the given game x coordinate.
+     *
+     * @method Phaser.Input.Replay.InputPlayer#toPageX
+     * @private
+     * @since 3.60.0
+     *
+     * @param {number} x - The game x coordinate.
+     *
+     * @return {number} The page x coordinate.
+     */
+    toPageX: function (x)
+    {
+        var scale = this.manager.scaleManager;
+
+        return x / scale.displayScale.x + scale.canvasBounds.left;
+    },
+
+    /**
+     * Gets the page y coordinate that the Scale Manager transforms into the given game y coordinate.
+     *
+     * @method Phaser.Input.Replay.InputPlayer#toPageY
+     * @private
+     * @since 3.60.0
+     *
+     * @param {number} y - The game y coordinate.
+     *
+     * @return {number} The page y coordinate.
+     */
+    toPageY: function (y)
+    {
+        var scale = this.manager.scaleManager;
+
+        return y / scale.displayScale.y + scale.canvasBounds.top;
+    },
+
+    /**
+     * Feeds a recorded event to the Input Manager, or Keyboard Manager, as if it had come from the DOM.
+     *
+     * @method Phaser.Input.Replay.InputPlayer#dispatch
+     * @private
+     * @since 3.60.0
+     *
+     * @param {Phaser.Types.Input.InputRecordingEvent} data - The recorded event data.
+     */
+    dispatch: function (data)
+    {
+        var manager = this.manager;
+        var canvas = manager.canvas;
+        var event = this.createEvent(data);
+        var i;
+
+        if (data.type === 'gamepads')
+        {
+            this.setGamepads(data.pads);
+
+            return;
+        }
+
+        if (data.hasOwnProperty('x'))
+        {
+            event.pageX = this.toPageX(data.x);
+            event.pageY = this.toPageY(data.y);
+            event.target = (data.canvas) ? canvas : null;
+        }
+
+        if (data.touches)
+        {
+            event.changedTouches = [];
+
+            for (i = 0; i < data.touches.length; i++)
+            {
+                var touch = data.touches[i];
+
+                event.changedTouches.push({
+                    identifier: touch.identifier,
+                    pageX: this.toPageX(touch.x),
+                    pageY: this.toPageY(touch.y),
+                    target: (touch.canvas) ? canvas : null
+                });
+            }
+
+            event.target = (event.changedTouches.length && event.changedTouches[0].target) ? canvas : null;
+        }
+
+        this.isDispatching = true;
+
+        switch (data.type)
+        {
+            case 'mousedown':
+                manager.onMouseDown(event);
+                break;
+
+            case 'mousemove':
+                manager.onMouseMove(event);
+                break;
+
+            case 'mouseup':
+                manager.onMouseUp(event);
+                break;
+
+            case 'wheel':
+                manager.onMouseWheel(event);
+                break;
+
+            case 'mouseover':
+                manager.setCanvasOver(event);
+                break;
+
+            case 'mouseout':
+                manager.setCanvasOut(event);
+                break;
+
+            case 'touchstart':
+                manager.onTouchStart(event);
+                break;
+
+            case 'touchmove':
+                manager.onTouchMove(event);
+                break;
+
+            case 'touchend':
+                manager.onTouchEnd(event);
+                break;
+
+            case 'touchcancel':
+                manager.onTouchCancel(event);
+                break;
+
+            case 'keydown':
+            case 'keyup':
+
+                if (manager.keyboard)
+                {
+                    manager.keyboard.queue.push(event);
+
+                    manager.events.emit(Events.MANAGER_PROCESS);
+                }
+
+                break;
+
+            case 'gamepadconnected':
+            case 'gamepaddisconnected':
+
+                var target = manager.game.config.inputGamepadEventTarget;
+
+                //  The Gamepad Plugins listen for these on their event target, so send them a real DOM event
+                if (target && target.dispatchEvent && typeof Event === 'function')
+                {
+                    var domEvent = new Event(data.type);
+
+                    domEvent.gamepad = { index: data.index, id: data.id };
+
+                    target.dispatchEvent(domEvent);
+                }
+
+                break;
+        }
+
+        this.isDispatching = false;
+    },
+
+    /**
+     * Sets the gamepads returned by `getGamepads` from the recorded gamepad state.
+     *
+     * @method Phaser.Input.Replay.InputPlayer#setGamepads
+     * @private
+     * @since 3.60.0
+     *
+     * @param {array} pads - The recorded gamepad state.
+     */
+    setGamepads: function (pads)
+    {
+        var gamepads = [];
+
+        for (var i = 0; i < pads.length; i++)
+        {
+            var pad = pads[i];
+
+            if (!pad)
+            {
+                gamepads.push(null);
+
+                continue;
+            }
+
+            var buttons = [];
+
+            for (var b = 0; b < pad.buttons.length; b++)
+            {
+                buttons.push({ value: pad.buttons[b], pressed: (pad.buttons[b] > 0) });
+            }
+
+            gamepads.push({
+                index: pad.index,
+                id: pad.id,
+                mapping: pad.mapping,
+                connected: pad.connected,
+                timestamp: 0,
+                buttons: buttons,
+                axes: pad.axes.slice()
+            });
+        }
+
+        this.gamepads = gamepads;
+    },
+
+    /**
+     * Gets the recorded gamepads, in the same format as `navigator.getGamepads`.
+     *
+     * Each call stamps the gamepads with the current time, so Gamepads that already exist always read the new values.
+     *
+     * @method Phaser.Input.Replay.InputPlayer#getGamepads
+     * @since 3.60.0
+     *
+     * @return {object[]} The recorded gamepads.
+     */
+    getGamepads: function ()
+    {
+        var now = performance.now();
+        var gamepads = this.gamepads;
+
+        for (var i = 0; i < gamepads.length; i++)
+        {
+            if (gamepads[i])
+            {
+                gamepads[i].timestamp = now;
+            }
+        }
+
+        return gamepads;
+    },
+
+    /**
+     * Stops playback and removes all external references.
+     *
+     * @method Phaser.Input.Replay.InputPlayer#destroy
+     * @since 3.60.0
+     */
+    destroy: function ()
+    {
+        this.stop();
+
+        this.recording = null;
+        this.manager = null;
+    }
+
+});
+
+module.exports = InputPlayer;
@@ -0,0 +1,393 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var Class = require('../../utils/Class');
+var GameEvents = require('../../core/events');
+var PhaserMath = require('../../math/');
+
+/**
+ * @classdesc
+ * The Input Recorder captures the input a game receives, so it can be replayed later by the Input Player.
+ *
+ * While recording, every mouse, wheel, touch and keyboard DOM event the Input Manager processes is converted into
+ * a plain object and stamped with the number of game steps that have run since recording started. Pointer positions
+ * are stored in game coordinates, so a recording replays the same regardless of where the canvas is on the page.
+ * The state of all connected gamepads is stored whenever it changes.
+ *
+ * The recording is a plain object that can be saved as JSON, for example to attach it to a bug report:
+ *
+ * ```javascript
+ * this.input.manager.recorder.start();
+ *
+ * //  Later ...
+ * var recording = this.input.manager.recorder.stop();
+ *
+ * console.log(JSON.stringify(recording));
+ * ```
+ *
+ * The state of the `Phaser.Math.RND` generator is stored when recording starts. For a replay to match the original
+ * frame-exactly, start recording and playback from the same game state, for example by restarting the Scene, and run
+ * the game in fixed step mode, via the `fps.fixedStep` Game Config property.
+ *
+ * An Input Recorder is created automatically by the Input Manager and is available via its `recorder` property.
+ *
+ * @class InputRecorder
+ * @memberof Phaser.Input.Replay
+ * @constructor
+ * @since 3.60.0
+ *
+ * @param {Phaser.Input.InputManager} manager - A reference to the Input Manager.
+ */
+var InputRecorder = new Class({
+
+    initialize:
+
+    function InputRecorder (manager)
+    {
+        /**
+         * A reference to the Input Manager.
+         *
+         * @name Phaser.Input.Replay.InputRecorder#manager
+         * @type {Phaser.Input.InputManager}
+         * @since 3.60.0
+         */
+        this.manager = manager;
+
+        /**
+         * Is the Input Recorder currently recording?
+         *
+         * @name Phaser.Input.Replay.InputRecorder#isRecording
+         * @type {boolean}
+         * @readonly
+         * @default false
+         * @since 3.60.0
+         */
+        this.isRecording = false;
+
+        /**
+         * The number of game steps that have run since recording started.
+         * Every recorded event is stamped with this value.
+         *
+         * @name Phaser.Input.Replay.InputRecorder#frame
+         * @type {number}
+         * @readonly
+         * @default 0
+         * @since 3.60.0
+         */
+        this.frame = 0;
+
+        /**
+         * The time at which recording started. Event times are stored relative to this.
+         *
+         * @name Phaser.Input.Replay.InputRecorder#startTime
+         * @type {number}
+         * @readonly
+         * @default 0
+         * @since 3.60.0
+         */
+        this.startTime = 0;
+
+        /**
+         * The recording being made, or the last one made if the Input Recorder has stopped.
+         *
+         * @name Phaser.Input.Replay.InputRecorder#recording
+         * @type {?Phaser.Types.Input.InputRecording}
+         * @default null
+         * @since 3.60.0
+         */
+        this.recording = null;
+
+        /**
+         * The last event that was recorded, used to skip the same DOM event arriving more than once.
+         *
+         * @name Phaser.Input.Replay.InputRecorder#_lastEvent
+         * @type {any}
+         * @private
+         * @since 3.60.0
+         */
+        this._lastEvent = null;
+
+        /**
+         * The JSON string of the last gamepad state that was recorded.
+         *
+         * @name Phaser.Input.Replay.InputRecorder#_lastPads
+         * @type {string}
+         * @private
+         * @since 3.60.0
+         */
+        this._lastPads = '[]';
+    },
+
+    /**
+     * Starts a new recording. If the Input Recorder is already recording, the current recording is discarded.
+     *
+     * @method Phaser.Input.Replay.InputRecorder#start
+     * @since 3.60.0
+     *
+     * @return {this} This Input Recorder.
+     */
+    start: function ()
+    {
+        var game = this.manager.game;
+
+        this.stop();
+
+        this.isRecording = true;
+        this.frame = 0;
+        this.startTime = game.loop.now;
+
+        this._lastEvent = null;
+        this._lastPads = '[]';
+
+        this.recording = {
+            version: 1,
+            seed: PhaserMath.RND.state(),
+            width: game.scale.width,
+            height: game.scale.height,
+            frames: 0,
+            events: []
+        };
+
+        game.events.on(GameEvents.PRE_STEP, this.preStep, this);
+
+        return this;
+    },
+
+    /**
+     * Stops recording and returns the recording.
+     *
+     * @method Phaser.Input.Replay.InputRecorder#stop
+     * @since 3.60.0
+     *
+     * @return {?Phaser.Types.Input.InputRecording} The recording, or `null` if nothing has been recorded.
+     */
+    stop: function ()
+    {
+        if (this.isRecording)
+        {
+            this.isRecording = false;
+
+            this.recording.frames = this.frame;
+
+            this.manager.game.events.off(GameEvents.PRE_STEP, this.preStep, this);
+        }
+
+        return this.recording;
+    },
+
+    /**
+     * Called at the start of every game step while recording. Records the gamepad state, if it has changed,
+     * then advances the frame counter.
+     *
+     * @method Phaser.Input.Replay.InputRecorder#preStep
+     * @private
+     * @since 3.60.0
+     */
+    preStep: function ()
+    {
+        var pads = this.getGamepadState();
+        var json = JSON.stringify(pads);
+
+        if (json !== this._lastPads)
+        {
+            this._lastPads = json;
+
+            this.add({ type: 'gamepads', pads: pads });
+        }
+
+        this.frame++;
+    },
+
+    /**
+     * Gets the state of all of the connected gamepads, in the format stored in the recording.
+     *
+     * @method Phaser.Input.Replay.InputRecorder#getGamepadState
+     * @private
+     * @since 3.60.0
+     *
+     * @return {array} The state of each gamepad, or `null` for each empty gamepad slot.
+     */
+    getGamepadState: function ()
+    {
+        var pads = [];
+
+        if (typeof navigator === 'undefined' || !navigator.getGamepads)
+        {
+            return pads;
+        }
+
+        var livePads = navigator.getGamepads() || [];
+
+        for (var i = 0; i < livePads.length; i++)
+        {
+            var pad = livePads[i];
+
+            if (!pad)
+            {
+                pads.push(null);
+
+                continue;
+            }
+
+            var buttons = [];
+
+            for (var b = 0; b < pad.buttons.length; b++)
+            {
+                buttons.push(pad.buttons[b].value);
+            }
+
+            pads.push({
+                index: pad.index,
+                id: pad.id,
+                mapping: pad.mapping,
+                connected: pad.connected,
+                buttons: buttons,
+                axes: Array.prototype.slice.call(pad.axes)
+            });
+        }
+
+        return pads;
+    },
+
+    /**
+     * Adds an event to the recording, stamped with the current frame.
+     *
+     * @method Phaser.Input.Replay.InputRecorder#add
+     * @private
+     * @since 3.60.0
+     *
+     * @param {object} data - The event data.
+     */
+    add: function (data)
+    {
+        data.frame = this.frame;
+
+        this.recording.events.push(data);
+    },
+
+    /**
+     * Converts a DOM event into a plain object and adds it to the recording.
+     *
+     * This is called automatically by the Input Manager for every DOM event it processes while recording.
+     *
+     * @method Phaser.Input.Replay.InputRecorder#record
+     * @since 3.60.0
+     *
+     * @param {(MouseEvent|WheelEvent|TouchEvent|KeyboardEvent|GamepadEvent)} event - The DOM event.
+     */
+    record: function (event)
+    {
+        if (!this.isRecording || event === this._lastEvent)
+        {
+            return;
+        }
+
+        this._lastEvent = event;
+
+        var manager = this.manager;
+        var canvas = manager.canvas;
+        var scale = manager.scaleManager;
+        var type = event.type;
+
+        var data = {
+            type: type,
+            time: event.timeStamp - this.startTime
+        };
+
+        switch (type)
+        {
+            case 'mousedown':
+            case 'mousemove':
+            case 'mouseup':
+            case 'wheel':
+
+                data.x = scale.transformX(event.pageX);
+                data.y = scale.transformY(event.pageY);
+                data.button = event.button;
+                data.buttons = event.buttons;
+                data.ctrlKey = event.ctrlKey;
+                data.canvas = (event.target === canvas);
+
+                if (type === 'mousemove')
+                {
+                    data.movementX = event.movementX || event.mozMovementX || event.webkitMovementX || 0;
+                    data.movementY = event.movementY || event.mozMovementY || event.webkitMovementY || 0;
+                }
+                else if (type === 'wheel')
+                {
+                    data.deltaX = event.deltaX;
+                    data.deltaY = event.deltaY;
+                    data.deltaZ = event.deltaZ;
+                }
+
+                break;
+
+            case 'touchstart':
+            case 'touchmove':
+            case 'touchend':
+            case 'touchcancel':
+
+                data.touches = [];
+
+                for (var i = 0; i < event.changedTouches.length; i++)
+                {
+                    var touch = event.changedTouches[i];
+
+                    data.touches.push({
+                        identifier: touch.identifier,
+                        x: scale.transformX(touch.pageX),
+                        y: scale.transformY(touch.pageY),
+                        canvas: (touch.target === canvas)
+                    });
+                }
+
+                break;
+
+            case 'keydown':
+            case 'keyup':
+
+                data.keyCode = event.keyCode;
+                data.key = event.key;
+                data.code = event.code;
+                data.location = event.location;
+                data.altKey = event.altKey;
+                data.ctrlKey = event.ctrlKey;
+                data.shiftKey = event.shiftKey;
+                data.metaKey = event.metaKey;
+                data.repeat = event.repeat;
+
+                break;
+
+            case 'gamepadconnected':
+            case 'gamepaddisconnected':
+
+                data.index = event.gamepad.index;
+                data.id = event.gamepad.id;
+
+                break;
+        }
+
+        this.add(data);
+    },
+
+    /**
+     * Stops recording and removes all external references.
+     *
+     * @method Phaser.Input.Replay.InputRecorder#destroy
+     * @since 3.60.0
+     */
+    destroy: function ()
+    {
+        this.stop();
+
+        this.recording = null;
+        this._lastEvent = null;
+        this.manager = null;
+    }
+
+});
+
+module.exports = InputRecorder;
@@ -0,0 +1,16 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+/**
+ * @namespace Phaser.Input.Replay
+ */
+
+module.exports = {
+
+    InputPlayer: require('./InputPlayer'),
+    InputRecorder: require('./InputRecorder')
+
+};
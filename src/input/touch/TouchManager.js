@@ -211,6 +211,11 @@ var TouchManager = new Class({
      */
     disableContextMenu: function ()
     {
+        if (typeof document === 'undefined')
+        {
+            return this;
+        }
+
         document.body.addEventListener('contextmenu', function (event)
         {
             event.preventDefault();
@@ -234,7 +239,7 @@ var TouchManager = new Class({
     {
         var _this = this;
         var canvas = this.manager.canvas;
-        var autoFocus = (window && window.focus && this.manager.game.config.autoFocus);
+        var autoFocus = (typeof window !== 'undefined' && window.focus && this.manager.game.config.autoFocus);
 
         this.onTouchStart = function (event)
         {
@@ -352,7 +357,7 @@ var TouchManager = new Class({
         target.addEventListener('touchover', this.onTouchOver, (this.capture) ? nonPassive : passive);
         target.addEventListener('touchout', this.onTouchOut, (this.capture) ? nonPassive : passive);
 
-        if (window && this.manager.game.config.inputWindowEvents)
+        if (typeof window !== 'undefined' && this.manager.game.config.inputWindowEvents)
         {
             window.addEventListener('touchstart', this.onTouchStartWindow, nonPassive);
             window.addEventListener('touchend', this.onTouchEndWindow, nonPassive);
@@ -380,7 +385,7 @@ var TouchManager = new Class({
         target.removeEventListener('touchover', this.onTouchOver);
         target.removeEventListener('touchout', this.onTouchOut);
 
-        if (window)
+        if (typeof window !== 'undefined')
         {
             window.removeEventListener('touchstart', this.onTouchStartWindow);
             window.removeEventListener('touchend', this.onTouchEndWindow);
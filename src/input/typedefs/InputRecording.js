@@ -0,0 +1,20 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+/**
+ * A recording of the input a game received, as made by the Input Recorder and played by the Input Player.
+ * It only contains plain values, so it can be saved as JSON.
+ *
+ * @typedef {object} Phaser.Types.Input.InputRecording
+ * @since 3.60.0
+ *
+ * @property {number} version - The version of the recording format.
+ * @property {string} seed - The state of the `Phaser.Math.RND` generator when recording started.
+ * @property {number} width - The width of the game when recording started.
+ * @property {number} height - The height of the game when recording started.
+ * @property {number} frames - The number of game steps that ran while recording.
+ * @property {Phaser.Types.Input.InputRecordingEvent[]} events - The recorded events, in the order they happened.
+ */
@@ -0,0 +1,22 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+/**
+ * An event in an Input Recording. The properties it has depend on its type.
+ *
+ * @typedef {object} Phaser.Types.Input.InputRecordingEvent
+ * @since 3.60.0
+ *
+ * @property {string} type - The DOM event type, such as `mousedown`, `touchmove` or `keyup`, or `gamepads` for a change of gamepad state.
+ * @property {number} frame - The number of game steps that had run since recording started when the event happened. The event is replayed at the start of the next step.
+ * @property {number} [time] - The time the event happened, in ms since recording started.
+ * @property {number} [x] - The x coordinate of a mouse event, in game coordinates.
+ * @property {number} [y] - The y coordinate of a mouse event, in game coordinates.
+ * @property {boolean} [canvas] - Was the target of the mouse event the game canvas?
+ * @property {object[]} [touches] - The changed touches of a touch event, each with an `identifier`, `x`, `y` and `canvas` property.
+ * @property {number} [keyCode] - The key code of a keyboard event. Keyboard events also store the `key`, `code`, `location`, `repeat` and modifier key values.
+ * @property {array} [pads] - The state of each gamepad, for a `gamepads` event. Each is `null`, or has an `index`, `id`, `mapping`, `connected`, `buttons` and `axes` property.
+ */
@@ -0,0 +1,141 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var OS = require('../device/OS');
+
+/**
+ * Gets the Node.js file system module, if Phaser is running under Node.js.
+ *
+ * @ignore
+ *
+ * @return {?object} The Node.js `fs` module, or `null` if it isn't available.
+ */
+var getFileSystem = function ()
+{
+    if (!OS.node)
+    {
+        return null;
+    }
+
+    //  Webpack turns this into the Node.js require, rather than trying to bundle the module
+    // eslint-disable-next-line camelcase
+    if (typeof __non_webpack_require__ === 'function')
+    {
+        // eslint-disable-next-line no-undef
+        return __non_webpack_require__('fs');
+    }
+
+    //  Running the Phaser source directly
+    if (typeof process.getBuiltinModule === 'function')
+    {
+        return process.getBuiltinModule('fs');
+    }
+
+    //  Older versions of Node.js. Using module.require stops bundlers from trying to include the module.
+    if (typeof module !== 'undefined' && typeof module.require === 'function')
+    {
+        try
+        {
+            return module.require('fs');
+        }
+        catch (error)
+        {
+            return null;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Reads a File from the local file system, for when Phaser is running under Node.js, where there is no XMLHttpRequest.
+ *
+ * The file's URL is used as a path, relative to the current working directory of the process unless it's absolute.
+ * `file://` URLs are also supported. Remote URLs are not.
+ *
+ * It returns an object with the XMLHttpRequest properties the File Types read their data from. Text files set
+ * `responseText` and `response` to the contents of the file, any other type sets `response` to an ArrayBuffer.
+ * Once the file has been read, `File.onLoad` or `File.onError` is called, as they are for an XMLHttpRequest.
+ *
+ * This is called automatically by `File.load` when there is no XMLHttpRequest. You don't normally call it directly.
+ *
+ * Running headless under Node.js needs Node.js 16 or later.
+ *
+ * @function Phaser.Loader.FSLoader
+ * @since 3.60.0
+ *
+ * @param {Phaser.Loader.File} file - The File to read.
+ *
+ * @return {object} An object with the XMLHttpRequest properties of the file read.
+ */
+var FSLoader = function (file)
+{
+    var fs = getFileSystem();
+    var path = file.src;
+
+    var xhr = {
+        readyState: 1,
+        status: 0,
+        response: null,
+        responseText: '',
+        responseURL: path,
+        retryTimes: 1
+    };
+
+    var event = { target: xhr };
+
+    if (!fs)
+    {
+        console.warn('Cannot load files without XMLHttpRequest or a file system: ' + file.key);
+
+        setTimeout(function ()
+        {
+            file.onError(xhr, event);
+        }, 0);
+
+        return xhr;
+    }
+
+    if (path.indexOf('file://') === 0)
+    {
+        path = decodeURIComponent(path.substr(7));
+    }
+
+    fs.readFile(path, function (error, buffer)
+    {
+        xhr.readyState = 4;
+
+        if (error)
+        {
+            xhr.status = (error.code === 'ENOENT') ? 404 : 500;
+
+            file.onError(xhr, event);
+
+            return;
+        }
+
+        xhr.status = 200;
+
+        var responseType = file.xhrSettings.responseType;
+
+        if (responseType === 'text' || responseType === '')
+        {
+            xhr.responseText = buffer.toString('utf8');
+            xhr.response = xhr.responseText;
+        }
+        else
+        {
+            //  Blobs are given as an ArrayBuffer, as there is nothing to turn a Blob into an image without a DOM
+            xhr.response = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+        }
+
+        file.onLoad(xhr, event);
+    });
+
+    return xhr;
+};
+
+module.exports = FSLoader;
@@ -7,6 +7,7 @@
  var Class = require('../utils/Class');
  var CONST = require('./const');
  var Events = require('./events');
+ var FSLoader = require('./FSLoader');
  var GetFastValue = require('../utils/object/GetFastValue');
  var GetURL = require('./GetURL');
  var MergeXHRSettings = require('./MergeXHRSettings');
@@ -304,7 +305,13 @@
                  // xhr.onload = this.onLoad
                  // xhr.onerror = this.onError
                  // xhr.onprogress = this.onProgress
-                 if( this.xhrLoader ){
+                 //
+                 //  Without XMLHttpRequest, such as under Node.js, the file is read from the file system instead
+                 if (typeof XMLHttpRequest === 'undefined')
+                 {
+                     this.xhrLoader = FSLoader(this);
+                 }
+                 else if( this.xhrLoader ){
                     this.xhrLoader = XHRLoader(this, this.loader.xhr, this.xhrLoader);
                  } else {
                     this.xhrLoader = XHRLoader(this, this.loader.xhr);
@@ -6,13 +6,97 @@
 
  var Class = require('../../utils/Class');
  var FileTypesManager = require('../FileTypesManager');
+ var FilterMode = require('../../textures/const');
  var GetFastValue = require('../../utils/object/GetFastValue');
  var ImageFile = require('./ImageFile.js');
  var IsPlainObject = require('../../utils/object/IsPlainObject');
+ var JSONFile = require('./JSONFile.js');
  var MultiFile = require('../MultiFile.js');
+ var ParseJSONBitmapFont = require('../../gameobjects/bitmaptext/ParseJSONBitmapFont.js');
+ var ParseTextBitmapFont = require('../../gameobjects/bitmaptext/ParseTextBitmapFont.js');
+ var ParseXML = require('../../dom/ParseXML');
  var ParseXMLBitmapFont = require('../../gameobjects/bitmaptext/ParseXMLBitmapFont.js');
+ var TextFile = require('./TextFile.js');
  var XMLFile = require('./XMLFile.js');
  
+ /**
+  * Creates the File that loads the font data of a Bitmap Font, based on the extension of its URL.
+  *
+  * `xml` files are loaded as XML and `json` files as JSON. Any other extension, such as `fnt`, is loaded as text,
+  * which is then parsed as XML, JSON or the BMFont text format depending on its contents.
+  *
+  * @function createFontDataFile
+  * @since 3.60.0
+  * @private
+  *
+  * @param {Phaser.Loader.LoaderPlugin} loader - A reference to the Loader that is responsible for this file.
+  * @param {Phaser.Types.Loader.FileConfig} config - The key, url, extension and xhrSettings of the font data file.
+  *
+  * @return {Phaser.Loader.File} The font data File.
+  */
+ var createFontDataFile = function (loader, config)
+ {
+     var extension = config.extension;
+     var match = (typeof config.url === 'string') ? config.url.match((/\.([a-zA-Z0-9]+)($|\?)/)) : null;
+ 
+     if (match)
+     {
+         extension = match[1];
+     }
+ 
+     switch (extension.toLowerCase())
+     {
+         case 'xml':
+             return new XMLFile(loader, config);
+ 
+         case 'json':
+             return new JSONFile(loader, config);
+ 
+         default:
+             return new TextFile(loader, config);
+     }
+ };
+ 
+ /**
+  * Parses the data of a font data File to Bitmap Font data, using the parser that matches its format.
+  *
+  * @function parseFontData
+  * @since 3.60.0
+  * @private
+  *
+  * @param {Phaser.Loader.File} file - The font data File.
+  * @param {Phaser.Textures.Frame} frame - The texture frame to take into account when creating the uv data.
+  * @param {Phaser.Textures.Texture} texture - The texture each glyph of the Bitmap Font will be added to as a frame.
+  *
+  * @return {Phaser.Types.GameObjects.BitmapText.BitmapFontData} The parsed Bitmap Font data.
+  */
+ var parseFontData = function (file, frame, texture)
+ {
+     var data = file.data;
+ 
+     if (file.type === 'text')
+     {
+         var first = data.trim().charAt(0);
+ 
+         if (first === '<')
+         {
+             return ParseXMLBitmapFont(ParseXML(data), frame, 0, 0, texture);
+         }
+         else if (first === '{')
+         {
+             return ParseJSONBitmapFont(JSON.parse(data), frame, 0, 0, texture);
+         }
+ 
+         return ParseTextBitmapFont(data, frame, 0, 0, texture);
+     }
+     else if (file.type === 'json')
+     {
+         return ParseJSONBitmapFont(data, frame, 0, 0, texture);
+     }
+ 
+     return ParseXMLBitmapFont(data, frame, 0, 0, texture);
+ };
+ 
  /**
   * @classdesc
   * A single Bitmap Font based File suitable for loading by the Loader.
@@ -30,9 +114,9 @@
   * @param {Phaser.Loader.LoaderPlugin} loader - A reference to the Loader that is responsible for this file.
   * @param {(string|Phaser.Types.Loader.FileTypes.BitmapFontFileConfig)} key - The key to use for this file, or a file configuration object.
   * @param {string|string[]} [textureURL] - The absolute or relative URL to load the font image file from. If undefined or `null` it will be set to `<key>.png`, i.e. if `key` was "alien" then the URL will be "alien.png".
-  * @param {string} [fontDataURL] - The absolute or relative URL to load the font xml data file from. If undefined or `null` it will be set to `<key>.xml`, i.e. if `key` was "alien" then the URL will be "alien.xml".
+  * @param {string} [fontDataURL] - The absolute or relative URL to load the font data file from. If undefined or `null` it will be set to `<key>.xml`, i.e. if `key` was "alien" then the URL will be "alien.xml".
   * @param {Phaser.Types.Loader.XHRSettingsObject} [textureXhrSettings] - An XHR Settings configuration object for the font image file. Used in replacement of the Loaders default XHR Settings.
-  * @param {Phaser.Types.Loader.XHRSettingsObject} [fontDataXhrSettings] - An XHR Settings configuration object for the font data xml file. Used in replacement of the Loaders default XHR Settings.
+  * @param {Phaser.Types.Loader.XHRSettingsObject} [fontDataXhrSettings] - An XHR Settings configuration object for the font data file. Used in replacement of the Loaders default XHR Settings.
   */
  var BitmapFontFile = new Class({
  
@@ -59,7 +143,7 @@
                  xhrSettings: GetFastValue(config, 'textureXhrSettings')
              });
  
-             data = new XMLFile(loader, {
+             data = createFontDataFile(loader, {
                  key: key,
                  url: GetFastValue(config, 'fontDataURL'),
                  extension: GetFastValue(config, 'fontDataExtension', 'xml'),
@@ -69,7 +153,13 @@
          else
          {
              image = new ImageFile(loader, key, textureURL, textureXhrSettings);
-             data = new XMLFile(loader, key, fontDataURL, fontDataXhrSettings);
+ 
+             data = createFontDataFile(loader, {
+                 key: key,
+                 url: fontDataURL,
+                 extension: 'xml',
+                 xhrSettings: fontDataXhrSettings
+             });
          }
  
          if (image.linkFile)
@@ -94,13 +184,19 @@
          if (this.isReadyToProcess())
          {
              var image = this.files[0];
-             var xml = this.files[1];
+             var fontData = this.files[1];
  
              image.addToCache();
  
              var texture = image.cache.get(image.key);
  
-             var data = ParseXMLBitmapFont(xml.data, image.cache.getFrame(image.key), 0, 0, texture);
+             var data = parseFontData(fontData, image.cache.getFrame(image.key), texture);
+ 
+             if (data.distanceField)
+             {
+                 //  Distance fields rely on the texture being filtered, even in pixel art games
+                 texture.setFilter(FilterMode.LINEAR);
+             }
  
              this.loader.cacheManager.bitmapFont.add(image.key, { data: data, texture: image.key, frame: null });
  
@@ -111,7 +207,7 @@
  });
  
  /**
-  * Adds an XML based Bitmap Font, or array of fonts, to the current load queue.
+  * Adds a Bitmap Font, or array of fonts, to the current load queue.
   *
   * You can call this method from within your Scene's `preload`, along with any other files you wish to load:
  
@@ -133,10 +229,22 @@
   * If you call this from outside of `preload` then you are responsible for starting the Loader afterwards and monitoring
   * its events to know when it's safe to use the asset. Please see the Phaser.Loader.LoaderPlugin class for more details.
   *
-  * Phaser expects the font data to be provided in an XML file format.
+  * Phaser expects the font data to be provided in the XML, JSON or text formats of a BMFont file.
   * These files are created by software such as the [Angelcode Bitmap Font Generator](http://www.angelcode.com/products/bmfont/),
   * [Littera](http://kvazars.com/littera/) or [Glyph Designer](https://71squared.com/glyphdesigner)
   *
+  * The format is picked from the extension of the font data URL. `xml` files are loaded as XML and `json` files
+  * as JSON, in the format created by [msdf-bmfont](https://github.com/soimy/msdf-bmfont-xml). Any other extension,
+  * such as `fnt`, is loaded as text and parsed as XML, JSON or the BMFont text format, depending on its contents.
+  *
+  * Fonts with a signed distance field texture, such as those created by msdf-bmfont, have a `distanceField` entry
+  * in their data. Bitmap Text using them is rendered by the SDF Text Pipeline under WebGL, so it stays sharp at any
+  * scale and can have an outline and glow. Their texture is always given a linear filter.
+  *
+  * ```javascript
+  * this.load.bitmapFont('roboto', 'fonts/roboto-msdf.png', 'fonts/roboto-msdf.json');
+  * ```
+  *
   * Phaser can load all common image types: png, jpg, gif and any other format the browser can natively handle.
   *
   * The key must be a unique String. It is used to add the file to the global Texture Manager upon a successful load.
@@ -204,9 +312,9 @@
   *
   * @param {(string|Phaser.Types.Loader.FileTypes.BitmapFontFileConfig|Phaser.Types.Loader.FileTypes.BitmapFontFileConfig[])} key - The key to use for this file, or a file configuration object, or array of them.
   * @param {string|string[]} [textureURL] - The absolute or relative URL to load the font image file from. If undefined or `null` it will be set to `<key>.png`, i.e. if `key` was "alien" then the URL will be "alien.png".
-  * @param {string} [fontDataURL] - The absolute or relative URL to load the font xml data file from. If undefined or `null` it will be set to `<key>.xml`, i.e. if `key` was "alien" then the URL will be "alien.xml".
+  * @param {string} [fontDataURL] - The absolute or relative URL to load the font data file from. If undefined or `null` it will be set to `<key>.xml`, i.e. if `key` was "alien" then the URL will be "alien.xml".
   * @param {Phaser.Types.Loader.XHRSettingsObject} [textureXhrSettings] - An XHR Settings configuration object for the font image file. Used in replacement of the Loaders default XHR Settings.
-  * @param {Phaser.Types.Loader.XHRSettingsObject} [fontDataXhrSettings] - An XHR Settings configuration object for the font data xml file. Used in replacement of the Loaders default XHR Settings.
+  * @param {Phaser.Types.Loader.XHRSettingsObject} [fontDataXhrSettings] - An XHR Settings configuration object for the font data file. Used in replacement of the Loaders default XHR Settings.
   *
   * @return {this} The Loader instance.
   */
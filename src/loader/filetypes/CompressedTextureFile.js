@@ -18,6 +18,23 @@
  var MultiFile = require('../MultiFile');
  var PVRParser = require('../../textures/parsers/PVRParser');
  
+ /**
+  * Checks if the renderer can use the given compressed texture base format.
+  *
+  * The Canvas Renderer, or no renderer at all in Headless mode, can only ever use the `IMG` fallback format.
+  *
+  * @ignore
+  */
+ var SupportsCompressedTexture = function (renderer, baseFormat, format)
+ {
+     if (renderer && renderer.gl)
+     {
+         return renderer.supportsCompressedTexture(baseFormat, format);
+     }
+ 
+     return (baseFormat.toUpperCase() === 'IMG');
+ };
+ 
  /**
   * @classdesc
   * A Compressed Texture File suitable for loading by the Loader.
@@ -216,7 +233,7 @@
                      textureData = KTXParser(image.data);
                  }
  
-                 if (textureData && renderer.supportsCompressedTexture(entry.format, textureData.internalFormat))
+                 if (textureData && SupportsCompressedTexture(renderer, entry.format, textureData.internalFormat))
                  {
                      textureData.format = renderer.getCompressedTextureName(entry.format, textureData.internalFormat);
  
@@ -224,6 +241,10 @@
  
                      textureManager.addCompressedTexture(image.key, textureData, atlasData);
                  }
+                 else if (textureData)
+                 {
+                     console.warn('Unsupported ' + entry.format + ' internal format: 0x' + textureData.internalFormat.toString(16), image.key);
+                 }
              }
  
              this.complete = true;
@@ -279,7 +300,7 @@
                          textureData = KTXParser(image);
                      }
  
-                     if (textureData && renderer.supportsCompressedTexture(entry.format, textureData.internalFormat))
+                     if (textureData && SupportsCompressedTexture(renderer, entry.format, textureData.internalFormat))
                      {
                          textureData.format = renderer.getCompressedTextureName(entry.format, textureData.internalFormat);
  
@@ -478,7 +499,7 @@
  
          for (var textureBaseFormat in urls)
          {
-             if (renderer.supportsCompressedTexture(textureBaseFormat))
+             if (SupportsCompressedTexture(renderer, textureBaseFormat))
              {
                  var urlEntry = urls[textureBaseFormat];
  
@@ -499,8 +520,6 @@
              }
          }
  
-         console.log(entry);
- 
          if (!matched)
          {
              console.warn('No supported compressed texture format or IMG fallback', key);
@@ -510,7 +529,7 @@
              var multifile;
              if (entry.multiAtlasURL)
              {
-                 multifile = new MultiAtlasFile(this, key, entry.multiAtlasURL, entry.multiPath, entry.multiBaseURL, xhrSettings);
+                 multifile = new MultiAtlasFile(loader, key, entry.multiAtlasURL, entry.multiPath, entry.multiBaseURL, xhrSettings);
                  loader.addFile(multifile.files);
              }
              else if (entry.atlasURL)
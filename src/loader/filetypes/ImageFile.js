@@ -9,6 +9,8 @@
  var File = require('../File');
  var FileTypesManager = require('../FileTypesManager');
  var GetFastValue = require('../../utils/object/GetFastValue');
+ var GetImageSize = require('../../textures/GetImageSize');
+ var HeadlessCanvas = require('../../display/canvas/HeadlessCanvas');
  var IsPlainObject = require('../../utils/object/IsPlainObject');
  var GetURL = require('../GetURL');
  
@@ -86,7 +88,8 @@
              loader.addFile(normalMap);
          }
  
-         this.useImageElementLoad = loader.imageLoadType === 'HTMLImageElement';
+         //  There is no Image element to load into when running headless, such as under Node.js
+         this.useImageElementLoad = loader.imageLoadType === 'HTMLImageElement' && typeof Image !== 'undefined';
  
          if (this.useImageElementLoad)
          {
@@ -106,6 +109,13 @@
      {
          this.state = CONST.FILE_PROCESSING;
  
+         if (typeof Image === 'undefined')
+         {
+             this.onProcessHeadless();
+ 
+             return;
+         }
+ 
          this.data = new Image();
  
          this.data.crossOrigin = this.crossOrigin;
@@ -129,6 +139,32 @@
          File.createObjectURL(this.data, this.xhrLoader.response, 'image/png');
      },
  
+     /**
+      * Handles image processing when running headless, without a DOM to decode the image, such as under Node.js.
+      *
+      * The image data is not decoded. Instead its size is read from the file header and a blank Headless Canvas
+      * of the same size is used as the image, so Texture frames, such as those in a Sprite Sheet or Atlas, are correct.
+      *
+      * @method Phaser.Loader.FileTypes.ImageFile#onProcessHeadless
+      * @private
+      * @since 3.60.0
+      */
+     onProcessHeadless: function ()
+     {
+         var size = GetImageSize(this.xhrLoader.response);
+ 
+         if (size)
+         {
+             this.data = new HeadlessCanvas(size.width, size.height);
+ 
+             this.onProcessComplete();
+         }
+         else
+         {
+             this.onProcessError();
+         }
+     },
+ 
      /**
       * Handles image load processing.
       *
@@ -5,20 +5,30 @@
  */
 
  var Class = require('../../utils/Class');
+ var Clone = require('../../utils/object/Clone');
+ var Extend = require('../../utils/object/Extend');
  var FileTypesManager = require('../FileTypesManager');
+ var GetFastValue = require('../../utils/object/GetFastValue');
+ var IsPlainObject = require('../../utils/object/IsPlainObject');
  var JSONFile = require('./JSONFile.js');
+ var MultiFile = require('../MultiFile.js');
+ var ParseXMLTileset = require('../../tilemaps/parsers/tiled/ParseXMLTileset');
  var TILEMAP_FORMATS = require('../../tilemaps/Formats');
+ var XMLFile = require('./XMLFile.js');
  
  /**
   * @classdesc
   * A single Tiled Tilemap JSON File suitable for loading by the Loader.
   *
+  * Once the map has loaded, any external tilesets it uses, saved as `.tsj`, `.json` or `.tsx` files, are loaded as well,
+  * relative to the URL of the map. They are merged into the map before it is added to the Tilemap Cache.
+  *
   * These are created when you use the Phaser.Loader.LoaderPlugin#tilemapTiledJSON method and are not typically created directly.
   *
   * For documentation about what all the arguments and configuration options mean please see Phaser.Loader.LoaderPlugin#tilemapTiledJSON.
   *
   * @class TilemapJSONFile
-  * @extends Phaser.Loader.File
+  * @extends Phaser.Loader.MultiFile
   * @memberof Phaser.Loader.FileTypes
   * @constructor
   * @since 3.0.0
@@ -26,34 +36,133 @@
   * @param {Phaser.Loader.LoaderPlugin} loader - A reference to the Loader that is responsible for this file.
   * @param {(string|Phaser.Types.Loader.FileTypes.TilemapJSONFileConfig)} key - The key to use for this file, or a file configuration object.
   * @param {object|string} [url] - The absolute or relative URL to load this file from. If undefined or `null` it will be set to `<key>.json`, i.e. if `key` was "alien" then the URL will be "alien.json". Or, a well formed JSON object.
-  * @param {Phaser.Types.Loader.XHRSettingsObject} [xhrSettings] - Extra XHR Settings specifically for this file.
+  * @param {Phaser.Types.Loader.XHRSettingsObject} [xhrSettings] - Extra XHR Settings specifically for the map and tileset files.
   */
  var TilemapJSONFile = new Class({
  
-     Extends: JSONFile,
+     Extends: MultiFile,
  
      initialize:
  
      function TilemapJSONFile (loader, key, url, xhrSettings)
      {
-         JSONFile.call(this, loader, key, url, xhrSettings);
+         var mapFile = new JSONFile(loader, key, url, xhrSettings);
+ 
+         if (IsPlainObject(key))
+         {
+             xhrSettings = GetFastValue(key, 'xhrSettings');
+             key = GetFastValue(key, 'key');
+         }
+ 
+         MultiFile.call(this, loader, 'tilemapJSON', key, [ mapFile ]);
+ 
+         this.config.xhrSettings = xhrSettings;
+     },
+ 
+     /**
+      * Called by each File when it finishes loading.
+      *
+      * When the map has loaded, this queues the external tilesets it uses.
+      *
+      * @method Phaser.Loader.FileTypes.TilemapJSONFile#onFileComplete
+      * @since 3.60.0
+      *
+      * @param {Phaser.Loader.File} file - The File that has completed processing.
+      */
+     onFileComplete: function (file)
+     {
+         var index = this.files.indexOf(file);
+ 
+         if (index === -1)
+         {
+             return;
+         }
+ 
+         this.pending--;
+ 
+         if (index !== 0 || !Array.isArray(file.data.tilesets))
+         {
+             return;
+         }
+ 
+         var tilesets = file.data.tilesets;
+ 
+         var loader = this.loader;
  
-         this.type = 'tilemapJSON';
+         var currentPath = loader.path;
+         var currentPrefix = loader.prefix;
  
-         this.cache = loader.cacheManager.tilemap;
+         //  The tileset sources are relative to the map, which already includes the loader path.
+         //  If the map data was given as an object, they are relative to the loader path instead.
+         var path = (typeof file.url === 'string') ? file.url.substr(0, file.url.lastIndexOf('/') + 1) : this.path;
+ 
+         loader.setPath(path);
+         loader.setPrefix(this.prefix);
+ 
+         for (var i = 0; i < tilesets.length; i++)
+         {
+             var source = tilesets[i].source;
+ 
+             if (!source)
+             {
+                 continue;
+             }
+ 
+             var tilesetConfig = {
+                 key: 'TS' + this.multiKeyIndex + '_' + i,
+                 url: source,
+                 xhrSettings: GetFastValue(this.config, 'xhrSettings')
+             };
+ 
+             var tilesetFile = (source.substr(-4).toLowerCase() === '.tsx') ? new XMLFile(loader, tilesetConfig) : new JSONFile(loader, tilesetConfig);
+ 
+             tilesetFile.tilesetIndex = i;
+ 
+             this.addToMultiFile(tilesetFile);
+ 
+             loader.addFile(tilesetFile);
+         }
+ 
+         loader.setPath(currentPath);
+         loader.setPrefix(currentPrefix);
      },
  
      /**
       * Adds this file to its target cache upon successful loading and processing.
       *
+      * The external tilesets are merged into a copy of the map data, replacing the tilesets that refer to them.
+      *
       * @method Phaser.Loader.FileTypes.TilemapJSONFile#addToCache
       * @since 3.7.0
       */
      addToCache: function ()
      {
-         var tiledata = { format: TILEMAP_FORMATS.TILED_JSON, data: this.data };
+         if (this.isReadyToProcess())
+         {
+             var mapFile = this.files[0];
+             var data = mapFile.data;
+ 
+             if (this.files.length > 1)
+             {
+                 //  Don't modify the loaded data, in case it was given as an object. Clone copies the tilesets array.
+                 data = Clone(data);
+ 
+                 for (var i = 1; i < this.files.length; i++)
+                 {
+                     var file = this.files[i];
+                     var index = file.tilesetIndex;
+ 
+                     var tileset = (file.type === 'xml') ? ParseXMLTileset(file.data.documentElement) : file.data;
+ 
+                     data.tilesets[index] = Extend({}, tileset, { firstgid: data.tilesets[index].firstgid });
+                 }
+             }
+ 
+             //  The map file key includes the loader prefix
+             this.loader.cacheManager.tilemap.add(mapFile.key, { format: TILEMAP_FORMATS.TILED_JSON, data: data });
  
-         this.cache.add(this.key, tiledata);
+             this.complete = true;
+         }
      }
  
  });
@@ -72,6 +181,9 @@
   *
   * The Tilemap data is created using the Tiled Map Editor and selecting JSON as the export format.
   *
+  * If the map uses external tilesets, saved as `.tsj`, `.json` or `.tsx` files, they are loaded as well,
+  * relative to the URL of the map, and merged into the map before it is added to the Tilemap Cache.
+  *
   * The file is **not** loaded right away. It is added to a queue ready to be loaded either when the loader starts,
   * or if it's already running, when the next free load slot becomes available. This happens automatically if you
   * are calling this from within the Scene's `preload` method, or a related callback. Because the file is queued
@@ -129,17 +241,23 @@
   */
  FileTypesManager.register('tilemapTiledJSON', function (key, url, xhrSettings)
  {
+     var multifile;
+ 
      if (Array.isArray(key))
      {
          for (var i = 0; i < key.length; i++)
          {
              //  If it's an array it has to be an array of Objects, so we get everything out of the 'key' object
-             this.addFile(new TilemapJSONFile(this, key[i]));
+             multifile = new TilemapJSONFile(this, key[i]);
+ 
+             this.addFile(multifile.files);
          }
      }
      else
      {
-         this.addFile(new TilemapJSONFile(this, key, url, xhrSettings));
+         multifile = new TilemapJSONFile(this, key, url, xhrSettings);
+ 
+         this.addFile(multifile.files);
      }
  
      return this;
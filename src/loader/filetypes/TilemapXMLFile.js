@@ -0,0 +1,267 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var Class = require('../../utils/Class');
+var FileTypesManager = require('../FileTypesManager');
+var GetFastValue = require('../../utils/object/GetFastValue');
+var IsPlainObject = require('../../utils/object/IsPlainObject');
+var MultiFile = require('../MultiFile.js');
+var TILEMAP_FORMATS = require('../../tilemaps/Formats');
+var XMLFile = require('./XMLFile.js');
+
+/**
+ * @classdesc
+ * A single Tiled Tilemap XML File suitable for loading by the Loader.
+ *
+ * Once the map has loaded, any external `.tsx` tilesets it uses are loaded as well,
+ * relative to the URL of the map. They are merged into the map before it is added to the Tilemap Cache.
+ *
+ * These are created when you use the Phaser.Loader.LoaderPlugin#tilemapTiledXML method and are not typically created directly.
+ *
+ * For documentation about what all the arguments and configuration options mean please see Phaser.Loader.LoaderPlugin#tilemapTiledXML.
+ *
+ * @class TilemapXMLFile
+ * @extends Phaser.Loader.MultiFile
+ * @memberof Phaser.Loader.FileTypes
+ * @constructor
+ * @since 3.60.0
+ *
+ * @param {Phaser.Loader.LoaderPlugin} loader - A reference to the Loader that is responsible for this file.
+ * @param {(string|Phaser.Types.Loader.FileTypes.TilemapXMLFileConfig)} key - The key to use for this file, or a file configuration object.
+ * @param {string} [url] - The absolute or relative URL to load this file from. If undefined or `null` it will be set to `<key>.tmx`, i.e. if `key` was "alien" then the URL will be "alien.tmx".
+ * @param {Phaser.Types.Loader.XHRSettingsObject} [xhrSettings] - Extra XHR Settings specifically for the map and tileset files.
+ */
+var TilemapXMLFile = new Class({
+
+    Extends: MultiFile,
+
+    initialize:
+
+    function TilemapXMLFile (loader, key, url, xhrSettings)
+    {
+        var extension = 'tmx';
+
+        if (IsPlainObject(key))
+        {
+            var config = key;
+
+            key = GetFastValue(config, 'key');
+            url = GetFastValue(config, 'url');
+            xhrSettings = GetFastValue(config, 'xhrSettings');
+            extension = GetFastValue(config, 'extension', extension);
+        }
+
+        var mapFile = new XMLFile(loader, {
+            key: key,
+            url: url,
+            extension: extension,
+            xhrSettings: xhrSettings
+        });
+
+        MultiFile.call(this, loader, 'tilemapXML', key, [ mapFile ]);
+
+        this.config.xhrSettings = xhrSettings;
+    },
+
+    /**
+     * Called by each File when it finishes loading.
+     *
+     * When the map has loaded, this queues the external tilesets it uses.
+     *
+     * @method Phaser.Loader.FileTypes.TilemapXMLFile#onFileComplete
+     * @since 3.60.0
+     *
+     * @param {Phaser.Loader.File} file - The File that has completed processing.
+     */
+    onFileComplete: function (file)
+    {
+        var index = this.files.indexOf(file);
+
+        if (index === -1)
+        {
+            return;
+        }
+
+        this.pending--;
+
+        if (index !== 0)
+        {
+            return;
+        }
+
+        var tilesets = file.data.documentElement.getElementsByTagName('tileset');
+
+        var loader = this.loader;
+
+        var currentPath = loader.path;
+        var currentPrefix = loader.prefix;
+
+        //  The tileset sources are relative to the map, which already includes the loader path
+        var path = file.url.substr(0, file.url.lastIndexOf('/') + 1);
+
+        loader.setPath(path);
+        loader.setPrefix(this.prefix);
+
+        for (var i = 0; i < tilesets.length; i++)
+        {
+            var source = tilesets[i].getAttribute('source');
+
+            if (!source)
+            {
+                continue;
+            }
+
+            var tilesetFile = new XMLFile(loader, {
+                key: 'TSX' + this.multiKeyIndex + '_' + i,
+                url: source,
+                xhrSettings: GetFastValue(this.config, 'xhrSettings')
+            });
+
+            tilesetFile.tilesetNode = tilesets[i];
+
+            this.addToMultiFile(tilesetFile);
+
+            loader.addFile(tilesetFile);
+        }
+
+        loader.setPath(currentPath);
+        loader.setPrefix(currentPrefix);
+    },
+
+    /**
+     * Adds this file to its target cache upon successful loading and processing.
+     *
+     * The external tilesets are merged into the map, replacing the `tileset` elements that refer to them.
+     *
+     * @method Phaser.Loader.FileTypes.TilemapXMLFile#addToCache
+     * @since 3.60.0
+     */
+    addToCache: function ()
+    {
+        if (this.isReadyToProcess())
+        {
+            var mapFile = this.files[0];
+            var xml = mapFile.data;
+
+            for (var i = 1; i < this.files.length; i++)
+            {
+                var file = this.files[i];
+                var node = file.tilesetNode;
+
+                var tileset = xml.importNode(file.data.documentElement, true);
+
+                tileset.setAttribute('firstgid', node.getAttribute('firstgid'));
+
+                node.parentNode.replaceChild(tileset, node);
+            }
+
+            //  The map file key includes the loader prefix
+            this.loader.cacheManager.tilemap.add(mapFile.key, { format: TILEMAP_FORMATS.TILED_XML, data: xml });
+
+            this.complete = true;
+        }
+    }
+
+});
+
+/**
+ * Adds a Tiled XML Tilemap file, or array of map files, to the current load queue.
+ *
+ * You can call this method from within your Scene's `preload`, along with any other files you wish to load:
+ *
+ * ```javascript
+ * function preload ()
+ * {
+ *     this.load.tilemapTiledXML('level1', 'maps/Level1.tmx');
+ * }
+ * ```
+ *
+ * The Tilemap data is created using the Tiled Map Editor and saved in its default `.tmx` format.
+ * Tile layer data can be stored as XML, CSV or base64, optionally compressed with zlib or gzip.
+ * Zstandard compression is not supported.
+ *
+ * If the map uses external tilesets, saved as `.tsx` files, they are loaded as well, relative to the URL of the map.
+ *
+ * The file is **not** loaded right away. It is added to a queue ready to be loaded either when the loader starts,
+ * or if it's already running, when the next free load slot becomes available. This happens automatically if you
+ * are calling this from within the Scene's `preload` method, or a related callback. Because the file is queued
+ * it means you cannot use the file immediately after calling this method, but must wait for the file to complete.
+ * The typical flow for a Phaser Scene is that you load assets in the Scene's `preload` method and then when the
+ * Scene's `create` method is called you are guaranteed that all of those assets are ready for use and have been
+ * loaded.
+ *
+ * The key must be a unique String. It is used to add the file to the global Tilemap Cache upon a successful load.
+ * The key should be unique both in terms of files being loaded and files already present in the Tilemap Cache.
+ * Loading a file using a key that is already taken will result in a warning. If you wish to replace an existing file
+ * then remove it from the Tilemap Cache first, before loading a new one.
+ *
+ * Instead of passing arguments you can pass a configuration object, such as:
+ *
+ * ```javascript
+ * this.load.tilemapTiledXML({
+ *     key: 'level1',
+ *     url: 'maps/Level1.tmx'
+ * });
+ * ```
+ *
+ * See the documentation for `Phaser.Types.Loader.FileTypes.TilemapXMLFileConfig` for more details.
+ *
+ * Once the file has finished loading you can access it from its Cache using its key:
+ *
+ * ```javascript
+ * this.load.tilemapTiledXML('level1', 'maps/Level1.tmx');
+ * // and later in your game ...
+ * var map = this.make.tilemap({ key: 'level1' });
+ * ```
+ *
+ * If you have specified a prefix in the loader, via `Loader.setPrefix` then this value will be prepended to this files
+ * key. For example, if the prefix was `LEVEL1.` and the key was `Story` the final key will be `LEVEL1.Story` and
+ * this is what you would use to retrieve the text from the Tilemap Cache.
+ *
+ * The URL can be relative or absolute. If the URL is relative the `Loader.baseURL` and `Loader.path` values will be prepended to it.
+ *
+ * If the URL isn't specified the Loader will take the key and create a filename from that. For example if the key is "level"
+ * and no URL is given then the Loader will set the URL to be "level.tmx". It will always add `.tmx` as the extension, although
+ * this can be overridden if using an object instead of method arguments. If you do not desire this action then provide a URL.
+ *
+ * Note: The ability to load this type of file will only be available if the Tilemap XML File type has been built into Phaser.
+ * It is available in the default build but can be excluded from custom builds.
+ *
+ * @method Phaser.Loader.LoaderPlugin#tilemapTiledXML
+ * @fires Phaser.Loader.LoaderPlugin#ADD
+ * @since 3.60.0
+ *
+ * @param {(string|Phaser.Types.Loader.FileTypes.TilemapXMLFileConfig|Phaser.Types.Loader.FileTypes.TilemapXMLFileConfig[])} key - The key to use for this file, or a file configuration object, or array of them.
+ * @param {string} [url] - The absolute or relative URL to load this file from. If undefined or `null` it will be set to `<key>.tmx`, i.e. if `key` was "alien" then the URL will be "alien.tmx".
+ * @param {Phaser.Types.Loader.XHRSettingsObject} [xhrSettings] - An XHR Settings configuration object. Used in replacement of the Loaders default XHR Settings.
+ *
+ * @return {this} The Loader instance.
+ */
+FileTypesManager.register('tilemapTiledXML', function (key, url, xhrSettings)
+{
+    var multifile;
+
+    if (Array.isArray(key))
+    {
+        for (var i = 0; i < key.length; i++)
+        {
+            //  If it's an array it has to be an array of Objects, so we get everything out of the 'key' object
+            multifile = new TilemapXMLFile(this, key[i]);
+
+            this.addFile(multifile.files);
+        }
+    }
+    else
+    {
+        multifile = new TilemapXMLFile(this, key, url, xhrSettings);
+
+        this.addFile(multifile.files);
+    }
+
+    return this;
+});
+
+module.exports = TilemapXMLFile;
@@ -18,7 +18,7 @@
     AudioSpriteFile: require('./AudioSpriteFile'),
     BinaryFile: require('./BinaryFile'),
     BitmapFontFile: require('./BitmapFontFile'),
-    // CompressedTextureFile: require('./CompressedTextureFile'),
+    CompressedTextureFile: require('./CompressedTextureFile'),
     CSSFile: require('./CSSFile'),
     GLSLFile: require('./GLSLFile'),
     HTML5AudioFile: require('./HTML5AudioFile'),
@@ -40,6 +40,7 @@
     TilemapCSVFile: require('./TilemapCSVFile'),
     TilemapImpactFile: require('./TilemapImpactFile'),
     TilemapJSONFile: require('./TilemapJSONFile'),
+    TilemapXMLFile: require('./TilemapXMLFile'),
     UnityAtlasFile: require('./UnityAtlasFile'),
     VideoFile: require('./VideoFile'),
     XMLFile: require('./XMLFile')
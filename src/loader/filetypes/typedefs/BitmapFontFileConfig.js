@@ -6,7 +6,7 @@
  * @property {string} [textureExtension='png'] - The default file extension to use for the image texture if no url is provided.
  * @property {Phaser.Types.Loader.XHRSettingsObject} [textureXhrSettings] - Extra XHR Settings specifically for the texture image file.
  * @property {string} [normalMap] - The filename of an associated normal map. It uses the same path and url to load as the texture image.
- * @property {string} [fontDataURL] - The absolute or relative URL to load the font data xml file from.
- * @property {string} [fontDataExtension='xml'] - The default file extension to use for the font data xml if no url is provided.
- * @property {Phaser.Types.Loader.XHRSettingsObject} [fontDataXhrSettings] - Extra XHR Settings specifically for the font data xml file.
+ * @property {string} [fontDataURL] - The absolute or relative URL to load the font data file from. An `xml` or `json` extension selects the format, any other extension is loaded as text and detected from its contents.
+ * @property {string} [fontDataExtension='xml'] - The default file extension to use for the font data if no url is provided.
+ * @property {Phaser.Types.Loader.XHRSettingsObject} [fontDataXhrSettings] - Extra XHR Settings specifically for the font data file.
  */
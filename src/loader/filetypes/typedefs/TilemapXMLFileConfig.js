@@ -0,0 +1,8 @@
+/**
+ * @typedef {object} Phaser.Types.Loader.FileTypes.TilemapXMLFileConfig
+ *
+ * @property {string} key - The key of the file. Must be unique within both the Loader and the Tilemap Cache.
+ * @property {string} [url] - The absolute or relative URL to load the file from.
+ * @property {string} [extension='tmx'] - The default file extension to use if no url is provided.
+ * @property {Phaser.Types.Loader.XHRSettingsObject} [xhrSettings] - Extra XHR Settings specifically for the map and tileset files.
+ */
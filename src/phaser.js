@@ -32,8 +32,7 @@ var Phaser = {
     Input: require('./input'),
     Loader: require('./loader'),
     Math: require('./math'),
-
-    // Physics: require('./physics'),
+    Physics: require('./physics'),
     Plugins: require('./plugins'),
     Renderer: require('./renderer'),
     Scale: require('./scale'),
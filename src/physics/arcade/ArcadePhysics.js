@@ -0,0 +1,268 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var Class = require('../../utils/Class');
+var Factory = require('./Factory');
+var GetFastValue = require('../../utils/object/GetFastValue');
+var Merge = require('../../utils/object/Merge');
+var PluginCache = require('../../plugins/PluginCache');
+var SceneEvents = require('../../scene/events');
+var World = require('./World');
+
+/**
+ * @classdesc
+ * The Arcade Physics Plugin belongs to a Scene and sets up and manages the Scene's physics simulation.
+ * It also holds some useful methods for colliding objects.
+ *
+ * You can access it from within a Scene using `this.physics`.
+ *
+ * Arcade Physics uses the Projection Method of collision resolution and separation. While it's fast and suitable
+ * for 'arcade' style games it lacks stability when multiple objects are in close proximity or resting upon each other.
+ *
+ * To enable it, set `physics: { default: 'arcade' }` in either your Game or Scene configuration.
+ *
+ * @class ArcadePhysics
+ * @memberof Phaser.Physics.Arcade
+ * @constructor
+ * @since 3.60.0
+ *
+ * @param {Phaser.Scene} scene - The Scene that this Plugin belongs to.
+ */
+var ArcadePhysics = new Class({
+
+    initialize:
+
+    function ArcadePhysics (scene)
+    {
+        /**
+         * The Scene that this Plugin belongs to.
+         *
+         * @name Phaser.Physics.Arcade.ArcadePhysics#scene
+         * @type {Phaser.Scene}
+         * @since 3.60.0
+         */
+        this.scene = scene;
+
+        /**
+         * The Scene's Systems.
+         *
+         * @name Phaser.Physics.Arcade.ArcadePhysics#systems
+         * @type {Phaser.Scenes.Systems}
+         * @since 3.60.0
+         */
+        this.systems = scene.sys;
+
+        /**
+         * A configuration object. Union of the `physics.arcade.*` properties of the GameConfig and SceneConfig objects.
+         *
+         * @name Phaser.Physics.Arcade.ArcadePhysics#config
+         * @type {Phaser.Types.Physics.Arcade.ArcadeWorldConfig}
+         * @since 3.60.0
+         */
+        this.config = this.getConfig();
+
+        /**
+         * The physics simulation.
+         *
+         * @name Phaser.Physics.Arcade.ArcadePhysics#world
+         * @type {Phaser.Physics.Arcade.World}
+         * @since 3.60.0
+         */
+        this.world;
+
+        /**
+         * An object holding the Arcade Physics factory methods.
+         *
+         * @name Phaser.Physics.Arcade.ArcadePhysics#add
+         * @type {Phaser.Physics.Arcade.Factory}
+         * @since 3.60.0
+         */
+        this.add;
+
+        scene.sys.events.once(SceneEvents.BOOT, this.boot, this);
+        scene.sys.events.on(SceneEvents.START, this.start, this);
+    },
+
+    /**
+     * This method is called automatically, only once, when the Scene is first created.
+     * Do not invoke it directly.
+     *
+     * @method Phaser.Physics.Arcade.ArcadePhysics#boot
+     * @private
+     * @since 3.60.0
+     */
+    boot: function ()
+    {
+        this.world = new World(this.scene, this.config);
+        this.add = new Factory(this.world);
+
+        this.systems.events.once(SceneEvents.DESTROY, this.destroy, this);
+    },
+
+    /**
+     * This method is called automatically by the Scene when it is starting up.
+     * It is responsible for creating local systems, properties and listening for Scene events.
+     * Do not invoke it directly.
+     *
+     * @method Phaser.Physics.Arcade.ArcadePhysics#start
+     * @private
+     * @since 3.60.0
+     */
+    start: function ()
+    {
+        if (!this.world)
+        {
+            this.world = new World(this.scene, this.config);
+            this.add = new Factory(this.world);
+        }
+
+        var eventEmitter = this.systems.events;
+
+        eventEmitter.on(SceneEvents.UPDATE, this.world.update, this.world);
+        eventEmitter.on(SceneEvents.POST_UPDATE, this.world.postUpdate, this.world);
+        eventEmitter.once(SceneEvents.SHUTDOWN, this.shutdown, this);
+    },
+
+    /**
+     * Creates the physics configuration for the current Scene.
+     *
+     * The Scene `physics.arcade` settings take precedence over those in the Game config.
+     *
+     * @method Phaser.Physics.Arcade.ArcadePhysics#getConfig
+     * @since 3.60.0
+     *
+     * @return {Phaser.Types.Physics.Arcade.ArcadeWorldConfig} The physics configuration.
+     */
+    getConfig: function ()
+    {
+        var gameConfig = this.systems.game.config.physics;
+        var sceneConfig = this.systems.settings.physics;
+
+        return Merge(
+            GetFastValue(sceneConfig, 'arcade', {}),
+            GetFastValue(gameConfig, 'arcade', {})
+        );
+    },
+
+    /**
+     * Tests if two objects collide and separates them if they do.
+     *
+     * The objects can be Game Objects with bodies, Groups, Tilemap Layers, or arrays of any of them.
+     * If you don't require separation then use {@link #overlap} instead.
+     *
+     * @method Phaser.Physics.Arcade.ArcadePhysics#collide
+     * @since 3.60.0
+     *
+     * @param {Phaser.Types.Physics.Arcade.ArcadeColliderType} object1 - The first object to check for collision.
+     * @param {Phaser.Types.Physics.Arcade.ArcadeColliderType} [object2] - The second object to check for collision.
+     * @param {Phaser.Types.Physics.Arcade.ArcadePhysicsCallback} [collideCallback] - The callback to invoke when the two objects collide.
+     * @param {Phaser.Types.Physics.Arcade.ArcadePhysicsCallback} [processCallback] - If set, the objects will only collide if this callback returns `true`.
+     * @param {*} [callbackContext] - The context in which to run the callbacks.
+     *
+     * @return {boolean} `true` if any collision occurred, otherwise `false`.
+     */
+    collide: function (object1, object2, collideCallback, processCallback, callbackContext)
+    {
+        return this.world.collide(object1, object2, collideCallback, processCallback, callbackContext);
+    },
+
+    /**
+     * Tests if two objects overlap. No separation takes place.
+     *
+     * The objects can be Game Objects with bodies, Groups, Tilemap Layers, or arrays of any of them.
+     *
+     * @method Phaser.Physics.Arcade.ArcadePhysics#overlap
+     * @since 3.60.0
+     *
+     * @param {Phaser.Types.Physics.Arcade.ArcadeColliderType} object1 - The first object to check for overlap.
+     * @param {Phaser.Types.Physics.Arcade.ArcadeColliderType} [object2] - The second object to check for overlap.
+     * @param {Phaser.Types.Physics.Arcade.ArcadePhysicsCallback} [overlapCallback] - The callback to invoke when the two objects overlap.
+     * @param {Phaser.Types.Physics.Arcade.ArcadePhysicsCallback} [processCallback] - If set, the objects will only overlap if this callback returns `true`.
+     * @param {*} [callbackContext] - The context in which to run the callbacks.
+     *
+     * @return {boolean} `true` if any overlap occurred, otherwise `false`.
+     */
+    overlap: function (object1, object2, overlapCallback, processCallback, callbackContext)
+    {
+        return this.world.overlap(object1, object2, overlapCallback, processCallback, callbackContext);
+    },
+
+    /**
+     * Pauses the simulation.
+     *
+     * @method Phaser.Physics.Arcade.ArcadePhysics#pause
+     * @since 3.60.0
+     *
+     * @return {Phaser.Physics.Arcade.World} The simulation.
+     */
+    pause: function ()
+    {
+        return this.world.pause();
+    },
+
+    /**
+     * Resumes the simulation, if paused.
+     *
+     * @method Phaser.Physics.Arcade.ArcadePhysics#resume
+     * @since 3.60.0
+     *
+     * @return {Phaser.Physics.Arcade.World} The simulation.
+     */
+    resume: function ()
+    {
+        return this.world.resume();
+    },
+
+    /**
+     * The Scene that owns this plugin is shutting down.
+     * We need to kill and reset all internal properties as well as stop listening to Scene events.
+     *
+     * @method Phaser.Physics.Arcade.ArcadePhysics#shutdown
+     * @since 3.60.0
+     */
+    shutdown: function ()
+    {
+        if (!this.world)
+        {
+            //  Already destroyed
+            return;
+        }
+
+        var eventEmitter = this.systems.events;
+
+        eventEmitter.off(SceneEvents.UPDATE, this.world.update, this.world);
+        eventEmitter.off(SceneEvents.POST_UPDATE, this.world.postUpdate, this.world);
+        eventEmitter.off(SceneEvents.SHUTDOWN, this.shutdown, this);
+
+        this.add.destroy();
+        this.world.destroy();
+
+        this.add = null;
+        this.world = null;
+    },
+
+    /**
+     * The Scene that owns this plugin is being destroyed.
+     * We need to shutdown and then kill off all external references.
+     *
+     * @method Phaser.Physics.Arcade.ArcadePhysics#destroy
+     * @since 3.60.0
+     */
+    destroy: function ()
+    {
+        this.shutdown();
+
+        this.scene.sys.events.off(SceneEvents.START, this.start, this);
+
+        this.scene = null;
+        this.systems = null;
+    }
+
+});
+
+PluginCache.register('ArcadePhysics', ArcadePhysics, 'arcadePhysics');
+
+module.exports = ArcadePhysics;
@@ -0,0 +1,1384 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var Class = require('../../utils/Class');
+var Clamp = require('../../math/Clamp');
+var Events = require('./events');
+var Rectangle = require('../../geom/rectangle/Rectangle');
+var Vector2 = require('../../math/Vector2');
+
+/**
+ * @classdesc
+ * An Arcade Physics Body.
+ *
+ * A Body is an axis-aligned rectangle, or a circle, that is attached to a Game Object and moved
+ * by the Arcade Physics World. Every step the World integrates the velocity, acceleration and drag
+ * of the Body, resolves any collisions, and then syncs the new position back to the Game Object.
+ *
+ * The Body does not rotate with its Game Object. It is sized from the Game Object's frame and scale,
+ * unless you set a custom size via `setSize` or `setCircle`.
+ *
+ * Bodies are created via the Arcade Physics Factory, i.e. `this.physics.add.existing(sprite)`.
+ *
+ * @class Body
+ * @memberof Phaser.Physics.Arcade
+ * @constructor
+ * @since 3.60.0
+ *
+ * @param {Phaser.Physics.Arcade.World} world - The Arcade Physics World this Body belongs to.
+ * @param {Phaser.GameObjects.GameObject} gameObject - The Game Object this Body belongs to.
+ */
+var Body = new Class({
+
+    initialize:
+
+    function Body (world, gameObject)
+    {
+        var width = (gameObject.displayWidth) ? gameObject.displayWidth : 64;
+        var height = (gameObject.displayHeight) ? gameObject.displayHeight : 64;
+
+        /**
+         * The Arcade Physics World this Body belongs to.
+         *
+         * @name Phaser.Physics.Arcade.Body#world
+         * @type {Phaser.Physics.Arcade.World}
+         * @since 3.60.0
+         */
+        this.world = world;
+
+        /**
+         * The Game Object this Body belongs to.
+         *
+         * @name Phaser.Physics.Arcade.Body#gameObject
+         * @type {Phaser.GameObjects.GameObject}
+         * @since 3.60.0
+         */
+        this.gameObject = gameObject;
+
+        /**
+         * Whether the Body is updated by the World and collides with other bodies.
+         *
+         * @name Phaser.Physics.Arcade.Body#enable
+         * @type {boolean}
+         * @default true
+         * @since 3.60.0
+         */
+        this.enable = true;
+
+        /**
+         * Whether this Body is a circle, or an axis-aligned rectangle.
+         *
+         * @name Phaser.Physics.Arcade.Body#isCircle
+         * @type {boolean}
+         * @default false
+         * @since 3.60.0
+         */
+        this.isCircle = false;
+
+        /**
+         * The radius of this Body, if it is a circle. Otherwise zero.
+         *
+         * @name Phaser.Physics.Arcade.Body#radius
+         * @type {number}
+         * @default 0
+         * @since 3.60.0
+         */
+        this.radius = 0;
+
+        /**
+         * Has a custom size been set on this Body via `setSize` or `setCircle`?
+         * If not, the Body is sized from the Game Object every frame.
+         *
+         * @name Phaser.Physics.Arcade.Body#customSize
+         * @type {boolean}
+         * @default false
+         * @since 3.60.0
+         */
+        this.customSize = false;
+
+        /**
+         * The offset of this Body's position from the top-left of its Game Object, before scaling.
+         *
+         * @name Phaser.Physics.Arcade.Body#offset
+         * @type {Phaser.Math.Vector2}
+         * @since 3.60.0
+         */
+        this.offset = new Vector2();
+
+        /**
+         * The position of the top-left of this Body, in world space.
+         *
+         * @name Phaser.Physics.Arcade.Body#position
+         * @type {Phaser.Math.Vector2}
+         * @since 3.60.0
+         */
+        this.position = new Vector2();
+
+        /**
+         * The position of this Body at the start of the current frame.
+         *
+         * @name Phaser.Physics.Arcade.Body#prev
+         * @type {Phaser.Math.Vector2}
+         * @since 3.60.0
+         */
+        this.prev = new Vector2();
+
+        /**
+         * The width of this Body, in pixels. Use `setSize` to change it.
+         *
+         * @name Phaser.Physics.Arcade.Body#width
+         * @type {number}
+         * @readonly
+         * @since 3.60.0
+         */
+        this.width = width;
+
+        /**
+         * The height of this Body, in pixels. Use `setSize` to change it.
+         *
+         * @name Phaser.Physics.Arcade.Body#height
+         * @type {number}
+         * @readonly
+         * @since 3.60.0
+         */
+        this.height = height;
+
+        /**
+         * The unscaled width of this Body, as set via `setSize` or `setCircle`.
+         *
+         * @name Phaser.Physics.Arcade.Body#sourceWidth
+         * @type {number}
+         * @since 3.60.0
+         */
+        this.sourceWidth = width;
+
+        /**
+         * The unscaled height of this Body, as set via `setSize` or `setCircle`.
+         *
+         * @name Phaser.Physics.Arcade.Body#sourceHeight
+         * @type {number}
+         * @since 3.60.0
+         */
+        this.sourceHeight = height;
+
+        /**
+         * Half the width of this Body.
+         *
+         * @name Phaser.Physics.Arcade.Body#halfWidth
+         * @type {number}
+         * @readonly
+         * @since 3.60.0
+         */
+        this.halfWidth = width / 2;
+
+        /**
+         * Half the height of this Body.
+         *
+         * @name Phaser.Physics.Arcade.Body#halfHeight
+         * @type {number}
+         * @readonly
+         * @since 3.60.0
+         */
+        this.halfHeight = height / 2;
+
+        /**
+         * The center of this Body, in world space.
+         *
+         * @name Phaser.Physics.Arcade.Body#center
+         * @type {Phaser.Math.Vector2}
+         * @readonly
+         * @since 3.60.0
+         */
+        this.center = new Vector2();
+
+        /**
+         * The velocity of this Body, in pixels per second.
+         *
+         * @name Phaser.Physics.Arcade.Body#velocity
+         * @type {Phaser.Math.Vector2}
+         * @since 3.60.0
+         */
+        this.velocity = new Vector2();
+
+        /**
+         * The acceleration of this Body, in pixels per second squared.
+         *
+         * @name Phaser.Physics.Arcade.Body#acceleration
+         * @type {Phaser.Math.Vector2}
+         * @since 3.60.0
+         */
+        this.acceleration = new Vector2();
+
+        /**
+         * The deceleration applied to this Body when it is not being accelerated, in pixels per second squared.
+         *
+         * @name Phaser.Physics.Arcade.Body#drag
+         * @type {Phaser.Math.Vector2}
+         * @since 3.60.0
+         */
+        this.drag = new Vector2();
+
+        /**
+         * The maximum absolute velocity of this Body on each axis, in pixels per second.
+         *
+         * @name Phaser.Physics.Arcade.Body#maxVelocity
+         * @type {Phaser.Math.Vector2}
+         * @since 3.60.0
+         */
+        this.maxVelocity = new Vector2(10000, 10000);
+
+        /**
+         * The rebound of this Body after a collision, relative to 1. A value of 1 keeps all of its speed.
+         *
+         * @name Phaser.Physics.Arcade.Body#bounce
+         * @type {Phaser.Math.Vector2}
+         * @since 3.60.0
+         */
+        this.bounce = new Vector2();
+
+        /**
+         * The amount of movement this Body takes on from an immovable Body it is riding on, relative to 1.
+         * For example, a Body standing on a moving platform with a friction of 1 moves with the platform.
+         *
+         * @name Phaser.Physics.Arcade.Body#friction
+         * @type {Phaser.Math.Vector2}
+         * @since 3.60.0
+         */
+        this.friction = new Vector2(1, 0);
+
+        /**
+         * Additional gravity applied to this Body, on top of the World gravity, in pixels per second squared.
+         *
+         * @name Phaser.Physics.Arcade.Body#gravity
+         * @type {Phaser.Math.Vector2}
+         * @since 3.60.0
+         */
+        this.gravity = new Vector2();
+
+        /**
+         * Whether this Body is affected by the World gravity and its own `gravity`.
+         *
+         * @name Phaser.Physics.Arcade.Body#allowGravity
+         * @type {boolean}
+         * @default true
+         * @since 3.60.0
+         */
+        this.allowGravity = true;
+
+        /**
+         * Whether this Body is affected by its `drag`.
+         *
+         * @name Phaser.Physics.Arcade.Body#allowDrag
+         * @type {boolean}
+         * @default true
+         * @since 3.60.0
+         */
+        this.allowDrag = true;
+
+        /**
+         * The mass of this Body. Used when two movable bodies collide, to share their momentum.
+         *
+         * @name Phaser.Physics.Arcade.Body#mass
+         * @type {number}
+         * @default 1
+         * @since 3.60.0
+         */
+        this.mass = 1;
+
+        /**
+         * Whether this Body can be moved by collisions with other bodies.
+         * Immovable bodies still move under their own velocity, unless `moves` is `false`.
+         *
+         * @name Phaser.Physics.Arcade.Body#immovable
+         * @type {boolean}
+         * @default false
+         * @since 3.60.0
+         */
+        this.immovable = false;
+
+        /**
+         * Whether the World integrates the velocity of this Body into its position.
+         * If `false` you can move the Game Object yourself and the Body will follow it.
+         *
+         * @name Phaser.Physics.Arcade.Body#moves
+         * @type {boolean}
+         * @default true
+         * @since 3.60.0
+         */
+        this.moves = true;
+
+        /**
+         * Whether this Body is kept within the World bounds.
+         *
+         * @name Phaser.Physics.Arcade.Body#collideWorldBounds
+         * @type {boolean}
+         * @default false
+         * @since 3.60.0
+         */
+        this.collideWorldBounds = false;
+
+        /**
+         * Whether the World emits a `worldbounds` event when this Body hits the World bounds.
+         *
+         * @name Phaser.Physics.Arcade.Body#onWorldBounds
+         * @type {boolean}
+         * @default false
+         * @since 3.60.0
+         */
+        this.onWorldBounds = false;
+
+        /**
+         * Whether the World emits a `collide` event when this Body collides with another.
+         *
+         * @name Phaser.Physics.Arcade.Body#onCollide
+         * @type {boolean}
+         * @default false
+         * @since 3.60.0
+         */
+        this.onCollide = false;
+
+        /**
+         * Whether the World emits an `overlap` event when this Body overlaps with another.
+         *
+         * @name Phaser.Physics.Arcade.Body#onOverlap
+         * @type {boolean}
+         * @default false
+         * @since 3.60.0
+         */
+        this.onOverlap = false;
+
+        /**
+         * Which faces of this Body can collide with other bodies and tiles.
+         * Set `none` to `true` to disable all collisions for this Body.
+         *
+         * @name Phaser.Physics.Arcade.Body#checkCollision
+         * @type {Phaser.Types.Physics.Arcade.ArcadeBodyCollision}
+         * @since 3.60.0
+         */
+        this.checkCollision = { none: false, up: true, down: true, left: true, right: true };
+
+        /**
+         * Which faces of this Body touched another Body during the last step.
+         *
+         * @name Phaser.Physics.Arcade.Body#touching
+         * @type {Phaser.Types.Physics.Arcade.ArcadeBodyCollision}
+         * @since 3.60.0
+         */
+        this.touching = { none: true, up: false, down: false, left: false, right: false };
+
+        /**
+         * Which faces of this Body touched another Body during the previous step.
+         *
+         * @name Phaser.Physics.Arcade.Body#wasTouching
+         * @type {Phaser.Types.Physics.Arcade.ArcadeBodyCollision}
+         * @since 3.60.0
+         */
+        this.wasTouching = { none: true, up: false, down: false, left: false, right: false };
+
+        /**
+         * Which faces of this Body were blocked by a tile, an immovable Body or the World bounds during the last step.
+         *
+         * @name Phaser.Physics.Arcade.Body#blocked
+         * @type {Phaser.Types.Physics.Arcade.ArcadeBodyCollision}
+         * @since 3.60.0
+         */
+        this.blocked = { none: true, up: false, down: false, left: false, right: false };
+
+        /**
+         * Whether this Body is overlapping another Body which neither of them is moving out of.
+         *
+         * @name Phaser.Physics.Arcade.Body#embedded
+         * @type {boolean}
+         * @default false
+         * @since 3.60.0
+         */
+        this.embedded = false;
+
+        /**
+         * The amount this Body overlapped another on the x axis, during the last separation.
+         *
+         * @name Phaser.Physics.Arcade.Body#overlapX
+         * @type {number}
+         * @since 3.60.0
+         */
+        this.overlapX = 0;
+
+        /**
+         * The amount this Body overlapped another on the y axis, during the last separation.
+         *
+         * @name Phaser.Physics.Arcade.Body#overlapY
+         * @type {number}
+         * @since 3.60.0
+         */
+        this.overlapY = 0;
+
+        /**
+         * The horizontal distance moved by this Body during the current frame.
+         *
+         * @name Phaser.Physics.Arcade.Body#_dx
+         * @type {number}
+         * @private
+         * @since 3.60.0
+         */
+        this._dx = 0;
+
+        /**
+         * The vertical distance moved by this Body during the current frame.
+         *
+         * @name Phaser.Physics.Arcade.Body#_dy
+         * @type {number}
+         * @private
+         * @since 3.60.0
+         */
+        this._dy = 0;
+
+        /**
+         * Used by the World to flag the bodies of the second object during a collision check.
+         *
+         * @name Phaser.Physics.Arcade.Body#_stamp
+         * @type {number}
+         * @private
+         * @since 3.60.0
+         */
+        this._stamp = 0;
+
+        this.updateFromGameObject();
+
+        this.prev.copy(this.position);
+    },
+
+    /**
+     * Updates the size and position of this Body from its Game Object.
+     * Called automatically at the start of every frame.
+     *
+     * @method Phaser.Physics.Arcade.Body#updateFromGameObject
+     * @since 3.60.0
+     *
+     * @return {this} This Body object.
+     */
+    updateFromGameObject: function ()
+    {
+        var gameObject = this.gameObject;
+
+        var scaleX = (gameObject.scaleX === undefined) ? 1 : gameObject.scaleX;
+        var scaleY = (gameObject.scaleY === undefined) ? 1 : gameObject.scaleY;
+
+        var absScaleX = Math.abs(scaleX);
+        var absScaleY = Math.abs(scaleY);
+
+        if (this.customSize)
+        {
+            this.width = this.sourceWidth * absScaleX;
+            this.height = this.sourceHeight * absScaleY;
+        }
+        else if (gameObject.frame)
+        {
+            this.width = gameObject.frame.realWidth * absScaleX;
+            this.height = gameObject.frame.realHeight * absScaleY;
+        }
+        else if (gameObject.width)
+        {
+            this.width = gameObject.width * absScaleX;
+            this.height = gameObject.height * absScaleY;
+        }
+
+        if (this.isCircle)
+        {
+            this.radius = this.sourceWidth * 0.5 * absScaleX;
+        }
+
+        this.halfWidth = this.width / 2;
+        this.halfHeight = this.height / 2;
+
+        var originX = (gameObject.displayOriginX === undefined) ? 0 : gameObject.displayOriginX;
+        var originY = (gameObject.displayOriginY === undefined) ? 0 : gameObject.displayOriginY;
+
+        this.position.set(
+            gameObject.x + absScaleX * (this.offset.x - originX),
+            gameObject.y + absScaleY * (this.offset.y - originY)
+        );
+
+        return this.updateCenter();
+    },
+
+    /**
+     * Updates the `center` of this Body from its position and size.
+     *
+     * @method Phaser.Physics.Arcade.Body#updateCenter
+     * @since 3.60.0
+     *
+     * @return {this} This Body object.
+     */
+    updateCenter: function ()
+    {
+        this.center.set(this.position.x + this.halfWidth, this.position.y + this.halfHeight);
+
+        return this;
+    },
+
+    /**
+     * Syncs this Body with its Game Object and, if the World will step this frame, resets its collision state.
+     * Called automatically by the World at the start of every frame.
+     *
+     * @method Phaser.Physics.Arcade.Body#preUpdate
+     * @since 3.60.0
+     *
+     * @param {boolean} willStep - Will the World run at least one step this frame?
+     */
+    preUpdate: function (willStep)
+    {
+        this.updateFromGameObject();
+
+        this.prev.copy(this.position);
+
+        if (!willStep)
+        {
+            return;
+        }
+
+        var wasTouching = this.wasTouching;
+        var touching = this.touching;
+        var blocked = this.blocked;
+
+        wasTouching.none = touching.none;
+        wasTouching.up = touching.up;
+        wasTouching.down = touching.down;
+        wasTouching.left = touching.left;
+        wasTouching.right = touching.right;
+
+        touching.none = true;
+        touching.up = false;
+        touching.down = false;
+        touching.left = false;
+        touching.right = false;
+
+        blocked.none = true;
+        blocked.up = false;
+        blocked.down = false;
+        blocked.left = false;
+        blocked.right = false;
+
+        this.embedded = false;
+        this.overlapX = 0;
+        this.overlapY = 0;
+    },
+
+    /**
+     * Integrates the acceleration, gravity, drag and velocity of this Body into its position,
+     * and then keeps it within the World bounds, if enabled.
+     * Called automatically by the World every step.
+     *
+     * @method Phaser.Physics.Arcade.Body#update
+     * @since 3.60.0
+     *
+     * @param {number} delta - The delta time, in seconds, of the step.
+     */
+    update: function (delta)
+    {
+        if (this.moves)
+        {
+            var velocity = this.velocity;
+            var world = this.world;
+
+            var ax = this.acceleration.x;
+            var ay = this.acceleration.y;
+
+            if (this.allowGravity)
+            {
+                ax += world.gravity.x + this.gravity.x;
+                ay += world.gravity.y + this.gravity.y;
+            }
+
+            velocity.x = this.computeVelocity(velocity.x, ax, this.drag.x, this.maxVelocity.x, (this.acceleration.x === 0), delta);
+            velocity.y = this.computeVelocity(velocity.y, ay, this.drag.y, this.maxVelocity.y, (this.acceleration.y === 0), delta);
+
+            this.position.x += velocity.x * delta;
+            this.position.y += velocity.y * delta;
+
+            this.updateCenter();
+        }
+
+        if (this.collideWorldBounds && this.checkWorldBounds() && this.onWorldBounds)
+        {
+            var blocked = this.blocked;
+
+            this.world.emit(Events.WORLD_BOUNDS, this, blocked.up, blocked.down, blocked.left, blocked.right);
+        }
+
+        this._dx = this.position.x - this.prev.x;
+        this._dy = this.position.y - this.prev.y;
+    },
+
+    /**
+     * Calculates the new velocity of this Body on a single axis.
+     *
+     * @method Phaser.Physics.Arcade.Body#computeVelocity
+     * @private
+     * @since 3.60.0
+     *
+     * @param {number} velocity - The current velocity.
+     * @param {number} acceleration - The total acceleration, including gravity.
+     * @param {number} drag - The drag to apply if the Body is not being accelerated.
+     * @param {number} max - The maximum absolute velocity.
+     * @param {boolean} applyDrag - Should drag be applied?
+     * @param {number} delta - The delta time, in seconds, of the step.
+     *
+     * @return {number} The new velocity.
+     */
+    computeVelocity: function (velocity, acceleration, drag, max, applyDrag, delta)
+    {
+        velocity += acceleration * delta;
+
+        if (applyDrag && this.allowDrag && drag !== 0)
+        {
+            var amount = drag * delta;
+
+            if (velocity - amount > 0)
+            {
+                velocity -= amount;
+            }
+            else if (velocity + amount < 0)
+            {
+                velocity += amount;
+            }
+            else
+            {
+                velocity = 0;
+            }
+        }
+
+        return Clamp(velocity, -max, max);
+    },
+
+    /**
+     * Keeps this Body within the World bounds, adjusting its velocity based on its `bounce`.
+     *
+     * @method Phaser.Physics.Arcade.Body#checkWorldBounds
+     * @since 3.60.0
+     *
+     * @return {boolean} `true` if this Body is touching the World bounds, otherwise `false`.
+     */
+    checkWorldBounds: function ()
+    {
+        var position = this.position;
+        var velocity = this.velocity;
+        var blocked = this.blocked;
+        var bounds = this.world.bounds;
+        var check = this.world.checkCollision;
+
+        var set = false;
+
+        if (position.x < bounds.x && check.left)
+        {
+            position.x = bounds.x;
+            velocity.x *= -this.bounce.x;
+            blocked.left = true;
+            set = true;
+        }
+        else if (this.right > bounds.right && check.right)
+        {
+            position.x = bounds.right - this.width;
+            velocity.x *= -this.bounce.x;
+            blocked.right = true;
+            set = true;
+        }
+
+        if (position.y < bounds.y && check.up)
+        {
+            position.y = bounds.y;
+            velocity.y *= -this.bounce.y;
+            blocked.up = true;
+            set = true;
+        }
+        else if (this.bottom > bounds.bottom && check.down)
+        {
+            position.y = bounds.bottom - this.height;
+            velocity.y *= -this.bounce.y;
+            blocked.down = true;
+            set = true;
+        }
+
+        if (set)
+        {
+            blocked.none = false;
+
+            this.updateCenter();
+        }
+
+        return set;
+    },
+
+    /**
+     * Applies the movement of this Body, during the current frame, back to its Game Object.
+     * Called automatically by the World after the Scene has updated.
+     *
+     * @method Phaser.Physics.Arcade.Body#postUpdate
+     * @since 3.60.0
+     */
+    postUpdate: function ()
+    {
+        var dx = this.position.x - this.prev.x;
+        var dy = this.position.y - this.prev.y;
+
+        this._dx = dx;
+        this._dy = dy;
+
+        if (dx !== 0 || dy !== 0)
+        {
+            this.gameObject.x += dx;
+            this.gameObject.y += dy;
+        }
+
+        this.prev.copy(this.position);
+    },
+
+    /**
+     * Sets a custom size for this Body, before the Game Object scale is applied.
+     * This also makes the Body a rectangle, if it was a circle.
+     *
+     * @method Phaser.Physics.Arcade.Body#setSize
+     * @since 3.60.0
+     *
+     * @param {number} [width] - The width of the Body. If not given, the Game Object frame width is used.
+     * @param {number} [height] - The height of the Body. If not given, the Game Object frame height is used.
+     * @param {boolean} [center=true] - Should the Body be centered on the Game Object frame, by adjusting its `offset`?
+     *
+     * @return {this} This Body object.
+     */
+    setSize: function (width, height, center)
+    {
+        if (center === undefined) { center = true; }
+
+        var gameObject = this.gameObject;
+        var frame = gameObject.frame;
+
+        var frameWidth = (frame) ? frame.realWidth : (gameObject.width || this.sourceWidth);
+        var frameHeight = (frame) ? frame.realHeight : (gameObject.height || this.sourceHeight);
+
+        if (!width) { width = frameWidth; }
+        if (!height) { height = frameHeight; }
+
+        this.sourceWidth = width;
+        this.sourceHeight = height;
+
+        this.isCircle = false;
+        this.radius = 0;
+        this.customSize = true;
+
+        if (center)
+        {
+            this.offset.set((frameWidth - width) / 2, (frameHeight - height) / 2);
+        }
+
+        return this.updateFromGameObject();
+    },
+
+    /**
+     * Makes this Body a circle of the given radius, before the Game Object scale is applied.
+     *
+     * @method Phaser.Physics.Arcade.Body#setCircle
+     * @since 3.60.0
+     *
+     * @param {number} radius - The radius of the Body. A value of zero, or less, makes the Body a rectangle again.
+     * @param {number} [offsetX] - The horizontal offset of the top-left of the circle bounds from the Game Object frame.
+     * @param {number} [offsetY] - The vertical offset of the top-left of the circle bounds from the Game Object frame.
+     *
+     * @return {this} This Body object.
+     */
+    setCircle: function (radius, offsetX, offsetY)
+    {
+        if (offsetX === undefined) { offsetX = this.offset.x; }
+        if (offsetY === undefined) { offsetY = this.offset.y; }
+
+        if (radius > 0)
+        {
+            this.isCircle = true;
+            this.customSize = true;
+            this.sourceWidth = radius * 2;
+            this.sourceHeight = radius * 2;
+            this.offset.set(offsetX, offsetY);
+        }
+        else
+        {
+            this.isCircle = false;
+        }
+
+        return this.updateFromGameObject();
+    },
+
+    /**
+     * Sets the offset of this Body from the top-left of its Game Object frame, before scaling.
+     *
+     * @method Phaser.Physics.Arcade.Body#setOffset
+     * @since 3.60.0
+     *
+     * @param {number} x - The horizontal offset, in pixels.
+     * @param {number} [y=x] - The vertical offset, in pixels.
+     *
+     * @return {this} This Body object.
+     */
+    setOffset: function (x, y)
+    {
+        if (y === undefined) { y = x; }
+
+        this.offset.set(x, y);
+
+        return this.updateFromGameObject();
+    },
+
+    /**
+     * Moves this Body, and its Game Object, to the given position and stops all of its motion.
+     *
+     * @method Phaser.Physics.Arcade.Body#reset
+     * @since 3.60.0
+     *
+     * @param {number} x - The horizontal position of the Game Object.
+     * @param {number} y - The vertical position of the Game Object.
+     *
+     * @return {this} This Body object.
+     */
+    reset: function (x, y)
+    {
+        this.stop();
+
+        var gameObject = this.gameObject;
+
+        gameObject.x = x;
+        gameObject.y = y;
+
+        this.updateFromGameObject();
+
+        this.prev.copy(this.position);
+
+        return this;
+    },
+
+    /**
+     * Sets the velocity and acceleration of this Body to zero.
+     *
+     * @method Phaser.Physics.Arcade.Body#stop
+     * @since 3.60.0
+     *
+     * @return {this} This Body object.
+     */
+    stop: function ()
+    {
+        this.velocity.set(0);
+        this.acceleration.set(0);
+
+        return this;
+    },
+
+    /**
+     * Sets the velocity of this Body.
+     *
+     * @method Phaser.Physics.Arcade.Body#setVelocity
+     * @since 3.60.0
+     *
+     * @param {number} x - The horizontal velocity, in pixels per second.
+     * @param {number} [y=x] - The vertical velocity, in pixels per second.
+     *
+     * @return {this} This Body object.
+     */
+    setVelocity: function (x, y)
+    {
+        this.velocity.set(x, y);
+
+        return this;
+    },
+
+    /**
+     * Sets the horizontal velocity of this Body.
+     *
+     * @method Phaser.Physics.Arcade.Body#setVelocityX
+     * @since 3.60.0
+     *
+     * @param {number} value - The horizontal velocity, in pixels per second.
+     *
+     * @return {this} This Body object.
+     */
+    setVelocityX: function (value)
+    {
+        this.velocity.x = value;
+
+        return this;
+    },
+
+    /**
+     * Sets the vertical velocity of this Body.
+     *
+     * @method Phaser.Physics.Arcade.Body#setVelocityY
+     * @since 3.60.0
+     *
+     * @param {number} value - The vertical velocity, in pixels per second.
+     *
+     * @return {this} This Body object.
+     */
+    setVelocityY: function (value)
+    {
+        this.velocity.y = value;
+
+        return this;
+    },
+
+    /**
+     * Sets the acceleration of this Body.
+     *
+     * @method Phaser.Physics.Arcade.Body#setAcceleration
+     * @since 3.60.0
+     *
+     * @param {number} x - The horizontal acceleration, in pixels per second squared.
+     * @param {number} [y=x] - The vertical acceleration, in pixels per second squared.
+     *
+     * @return {this} This Body object.
+     */
+    setAcceleration: function (x, y)
+    {
+        this.acceleration.set(x, y);
+
+        return this;
+    },
+
+    /**
+     * Sets the drag of this Body.
+     *
+     * @method Phaser.Physics.Arcade.Body#setDrag
+     * @since 3.60.0
+     *
+     * @param {number} x - The horizontal drag, in pixels per second squared.
+     * @param {number} [y=x] - The vertical drag, in pixels per second squared.
+     *
+     * @return {this} This Body object.
+     */
+    setDrag: function (x, y)
+    {
+        this.drag.set(x, y);
+
+        return this;
+    },
+
+    /**
+     * Sets the maximum velocity of this Body.
+     *
+     * @method Phaser.Physics.Arcade.Body#setMaxVelocity
+     * @since 3.60.0
+     *
+     * @param {number} x - The maximum horizontal velocity, in pixels per second.
+     * @param {number} [y=x] - The maximum vertical velocity, in pixels per second.
+     *
+     * @return {this} This Body object.
+     */
+    setMaxVelocity: function (x, y)
+    {
+        this.maxVelocity.set(x, y);
+
+        return this;
+    },
+
+    /**
+     * Sets the bounce of this Body.
+     *
+     * @method Phaser.Physics.Arcade.Body#setBounce
+     * @since 3.60.0
+     *
+     * @param {number} x - The horizontal bounce, relative to 1.
+     * @param {number} [y=x] - The vertical bounce, relative to 1.
+     *
+     * @return {this} This Body object.
+     */
+    setBounce: function (x, y)
+    {
+        this.bounce.set(x, y);
+
+        return this;
+    },
+
+    /**
+     * Sets the friction of this Body.
+     *
+     * @method Phaser.Physics.Arcade.Body#setFriction
+     * @since 3.60.0
+     *
+     * @param {number} x - The horizontal friction, relative to 1.
+     * @param {number} [y=x] - The vertical friction, relative to 1.
+     *
+     * @return {this} This Body object.
+     */
+    setFriction: function (x, y)
+    {
+        this.friction.set(x, y);
+
+        return this;
+    },
+
+    /**
+     * Sets the additional gravity of this Body.
+     *
+     * @method Phaser.Physics.Arcade.Body#setGravity
+     * @since 3.60.0
+     *
+     * @param {number} x - The horizontal gravity, in pixels per second squared.
+     * @param {number} [y=x] - The vertical gravity, in pixels per second squared.
+     *
+     * @return {this} This Body object.
+     */
+    setGravity: function (x, y)
+    {
+        this.gravity.set(x, y);
+
+        return this;
+    },
+
+    /**
+     * Sets whether this Body is affected by gravity.
+     *
+     * @method Phaser.Physics.Arcade.Body#setAllowGravity
+     * @since 3.60.0
+     *
+     * @param {boolean} [value=true] - `true` to allow gravity on this Body, otherwise `false`.
+     *
+     * @return {this} This Body object.
+     */
+    setAllowGravity: function (value)
+    {
+        if (value === undefined) { value = true; }
+
+        this.allowGravity = value;
+
+        return this;
+    },
+
+    /**
+     * Sets the mass of this Body.
+     *
+     * @method Phaser.Physics.Arcade.Body#setMass
+     * @since 3.60.0
+     *
+     * @param {number} value - The mass of the Body. Must be greater than zero.
+     *
+     * @return {this} This Body object.
+     */
+    setMass: function (value)
+    {
+        this.mass = Math.max(value, 0.0001);
+
+        return this;
+    },
+
+    /**
+     * Sets whether this Body can be moved by collisions with other bodies.
+     *
+     * @method Phaser.Physics.Arcade.Body#setImmovable
+     * @since 3.60.0
+     *
+     * @param {boolean} [value=true] - `true` to make this Body immovable, otherwise `false`.
+     *
+     * @return {this} This Body object.
+     */
+    setImmovable: function (value)
+    {
+        if (value === undefined) { value = true; }
+
+        this.immovable = value;
+
+        return this;
+    },
+
+    /**
+     * Sets whether this Body is kept within the World bounds.
+     *
+     * @method Phaser.Physics.Arcade.Body#setCollideWorldBounds
+     * @since 3.60.0
+     *
+     * @param {boolean} [value=true] - `true` to keep the Body within the World bounds, otherwise `false`.
+     * @param {number} [bounceX] - If given, sets the horizontal bounce of this Body.
+     * @param {number} [bounceY] - If given, sets the vertical bounce of this Body.
+     * @param {boolean} [onWorldBounds] - If given, sets the `onWorldBounds` property of this Body.
+     *
+     * @return {this} This Body object.
+     */
+    setCollideWorldBounds: function (value, bounceX, bounceY, onWorldBounds)
+    {
+        if (value === undefined) { value = true; }
+
+        this.collideWorldBounds = value;
+
+        if (bounceX !== undefined)
+        {
+            this.bounce.x = bounceX;
+        }
+
+        if (bounceY !== undefined)
+        {
+            this.bounce.y = bounceY;
+        }
+
+        if (onWorldBounds !== undefined)
+        {
+            this.onWorldBounds = onWorldBounds;
+        }
+
+        return this;
+    },
+
+    /**
+     * Sets whether this Body is updated by the World and collides with other bodies.
+     *
+     * @method Phaser.Physics.Arcade.Body#setEnable
+     * @since 3.60.0
+     *
+     * @param {boolean} [value=true] - `true` to enable this Body, otherwise `false`.
+     *
+     * @return {this} This Body object.
+     */
+    setEnable: function (value)
+    {
+        if (value === undefined) { value = true; }
+
+        this.enable = value;
+
+        return this;
+    },
+
+    /**
+     * Checks if the given point, in world space, is within this Body.
+     *
+     * @method Phaser.Physics.Arcade.Body#hitTest
+     * @since 3.60.0
+     *
+     * @param {number} x - The x coordinate of the point.
+     * @param {number} y - The y coordinate of the point.
+     *
+     * @return {boolean} `true` if the point is within this Body, otherwise `false`.
+     */
+    hitTest: function (x, y)
+    {
+        if (this.isCircle)
+        {
+            var dx = x - this.center.x;
+            var dy = y - this.center.y;
+
+            return (dx * dx + dy * dy) <= this.radius * this.radius;
+        }
+
+        return (x >= this.position.x && x <= this.right && y >= this.position.y && y <= this.bottom);
+    },
+
+    /**
+     * Is this Body blocked on its bottom face, i.e. standing on a tile, an immovable Body or the World bounds?
+     *
+     * @method Phaser.Physics.Arcade.Body#onFloor
+     * @since 3.60.0
+     *
+     * @return {boolean} `true` if this Body is on the floor, otherwise `false`.
+     */
+    onFloor: function ()
+    {
+        return this.blocked.down;
+    },
+
+    /**
+     * Is this Body blocked on its top face?
+     *
+     * @method Phaser.Physics.Arcade.Body#onCeiling
+     * @since 3.60.0
+     *
+     * @return {boolean} `true` if this Body is touching a ceiling, otherwise `false`.
+     */
+    onCeiling: function ()
+    {
+        return this.blocked.up;
+    },
+
+    /**
+     * Is this Body blocked on its left or right face?
+     *
+     * @method Phaser.Physics.Arcade.Body#onWall
+     * @since 3.60.0
+     *
+     * @return {boolean} `true` if this Body is touching a wall, otherwise `false`.
+     */
+    onWall: function ()
+    {
+        return (this.blocked.left || this.blocked.right);
+    },
+
+    /**
+     * The horizontal distance this Body has moved during the current frame.
+     *
+     * @method Phaser.Physics.Arcade.Body#deltaX
+     * @since 3.60.0
+     *
+     * @return {number} The horizontal distance moved, in pixels.
+     */
+    deltaX: function ()
+    {
+        return this._dx;
+    },
+
+    /**
+     * The vertical distance this Body has moved during the current frame.
+     *
+     * @method Phaser.Physics.Arcade.Body#deltaY
+     * @since 3.60.0
+     *
+     * @return {number} The vertical distance moved, in pixels.
+     */
+    deltaY: function ()
+    {
+        return this._dy;
+    },
+
+    /**
+     * Copies the bounds of this Body into the given Rectangle.
+     *
+     * @method Phaser.Physics.Arcade.Body#getBounds
+     * @since 3.60.0
+     *
+     * @param {Phaser.Geom.Rectangle} [output] - The Rectangle to store the bounds in. If not given, a new one is created.
+     *
+     * @return {Phaser.Geom.Rectangle} The bounds of this Body.
+     */
+    getBounds: function (output)
+    {
+        if (output === undefined) { output = new Rectangle(); }
+
+        return output.setTo(this.position.x, this.position.y, this.width, this.height);
+    },
+
+    /**
+     * Removes this Body from its World and clears the reference to it from its Game Object.
+     *
+     * @method Phaser.Physics.Arcade.Body#destroy
+     * @since 3.60.0
+     */
+    destroy: function ()
+    {
+        this.enable = false;
+
+        if (this.world)
+        {
+            this.world.pendingDestroy.set(this);
+        }
+    },
+
+    /**
+     * The left edge of this Body, in world space. Also used by the World broadphase.
+     *
+     * @name Phaser.Physics.Arcade.Body#left
+     * @type {number}
+     * @readonly
+     * @since 3.60.0
+     */
+    left: {
+
+        get: function ()
+        {
+            return this.position.x;
+        }
+
+    },
+
+    /**
+     * The top edge of this Body, in world space. Also used by the World broadphase.
+     *
+     * @name Phaser.Physics.Arcade.Body#top
+     * @type {number}
+     * @readonly
+     * @since 3.60.0
+     */
+    top: {
+
+        get: function ()
+        {
+            return this.position.y;
+        }
+
+    },
+
+    /**
+     * The right edge of this Body, in world space.
+     *
+     * @name Phaser.Physics.Arcade.Body#right
+     * @type {number}
+     * @readonly
+     * @since 3.60.0
+     */
+    right: {
+
+        get: function ()
+        {
+            return this.position.x + this.width;
+        }
+
+    },
+
+    /**
+     * The bottom edge of this Body, in world space.
+     *
+     * @name Phaser.Physics.Arcade.Body#bottom
+     * @type {number}
+     * @readonly
+     * @since 3.60.0
+     */
+    bottom: {
+
+        get: function ()
+        {
+            return this.position.y + this.height;
+        }
+
+    },
+
+    /**
+     * The horizontal position of the top-left of this Body, in world space.
+     *
+     * @name Phaser.Physics.Arcade.Body#x
+     * @type {number}
+     * @since 3.60.0
+     */
+    x: {
+
+        get: function ()
+        {
+            return this.position.x;
+        },
+
+        set: function (value)
+        {
+            this.position.x = value;
+
+            this.updateCenter();
+        }
+
+    },
+
+    /**
+     * The vertical position of the top-left of this Body, in world space.
+     *
+     * @name Phaser.Physics.Arcade.Body#y
+     * @type {number}
+     * @since 3.60.0
+     */
+    y: {
+
+        get: function ()
+        {
+            return this.position.y;
+        },
+
+        set: function (value)
+        {
+            this.position.y = value;
+
+            this.updateCenter();
+        }
+
+    }
+
+});
+
+module.exports = Body;
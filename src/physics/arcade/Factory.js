@@ -0,0 +1,198 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var Class = require('../../utils/Class');
+
+/**
+ * @classdesc
+ * The Arcade Physics Factory allows you to easily create Arcade Physics enabled Game Objects.
+ * Objects that are created by this Factory are automatically added to the physics world.
+ *
+ * @class Factory
+ * @memberof Phaser.Physics.Arcade
+ * @constructor
+ * @since 3.60.0
+ *
+ * @param {Phaser.Physics.Arcade.World} world - The Arcade Physics World instance.
+ */
+var Factory = new Class({
+
+    initialize:
+
+    function Factory (world)
+    {
+        /**
+         * A reference to the Arcade Physics World.
+         *
+         * @name Phaser.Physics.Arcade.Factory#world
+         * @type {Phaser.Physics.Arcade.World}
+         * @since 3.60.0
+         */
+        this.world = world;
+
+        /**
+         * A reference to the Scene this Arcade Physics instance belongs to.
+         *
+         * @name Phaser.Physics.Arcade.Factory#scene
+         * @type {Phaser.Scene}
+         * @since 3.60.0
+         */
+        this.scene = world.scene;
+
+        /**
+         * A reference to the Scene.Systems this Arcade Physics instance belongs to.
+         *
+         * @name Phaser.Physics.Arcade.Factory#sys
+         * @type {Phaser.Scenes.Systems}
+         * @since 3.60.0
+         */
+        this.sys = world.scene.sys;
+    },
+
+    /**
+     * Creates a new Arcade Physics Collider object.
+     *
+     * @method Phaser.Physics.Arcade.Factory#collider
+     * @since 3.60.0
+     *
+     * @param {Phaser.Types.Physics.Arcade.ArcadeColliderType} object1 - The first object to check for collision.
+     * @param {Phaser.Types.Physics.Arcade.ArcadeColliderType} [object2] - The second object to check for collision.
+     * @param {Phaser.Types.Physics.Arcade.ArcadePhysicsCallback} [collideCallback] - The callback to invoke when the two objects collide.
+     * @param {Phaser.Types.Physics.Arcade.ArcadePhysicsCallback} [processCallback] - If set, the objects will only collide if this callback returns `true`.
+     * @param {*} [callbackContext] - The scope in which to call the callbacks.
+     *
+     * @return {Phaser.Physics.Arcade.Collider} The Collider that was created.
+     */
+    collider: function (object1, object2, collideCallback, processCallback, callbackContext)
+    {
+        return this.world.addCollider(object1, object2, collideCallback, processCallback, callbackContext);
+    },
+
+    /**
+     * Creates a new Arcade Physics Collider Overlap object.
+     *
+     * @method Phaser.Physics.Arcade.Factory#overlap
+     * @since 3.60.0
+     *
+     * @param {Phaser.Types.Physics.Arcade.ArcadeColliderType} object1 - The first object to check for overlap.
+     * @param {Phaser.Types.Physics.Arcade.ArcadeColliderType} [object2] - The second object to check for overlap.
+     * @param {Phaser.Types.Physics.Arcade.ArcadePhysicsCallback} [collideCallback] - The callback to invoke when the two objects overlap.
+     * @param {Phaser.Types.Physics.Arcade.ArcadePhysicsCallback} [processCallback] - If set, the objects will only overlap if this callback returns `true`.
+     * @param {*} [callbackContext] - The scope in which to call the callbacks.
+     *
+     * @return {Phaser.Physics.Arcade.Collider} The Collider that was created.
+     */
+    overlap: function (object1, object2, collideCallback, processCallback, callbackContext)
+    {
+        return this.world.addOverlap(object1, object2, collideCallback, processCallback, callbackContext);
+    },
+
+    /**
+     * Adds an Arcade Physics Body to the given Game Object.
+     *
+     * @method Phaser.Physics.Arcade.Factory#existing
+     * @since 3.60.0
+     *
+     * @generic {Phaser.GameObjects.GameObject} G - [gameObject,$return]
+     *
+     * @param {Phaser.GameObjects.GameObject} gameObject - A Game Object.
+     *
+     * @return {Phaser.GameObjects.GameObject} The Game Object.
+     */
+    existing: function (gameObject)
+    {
+        this.world.enableBody(gameObject);
+
+        return gameObject;
+    },
+
+    /**
+     * Creates a new Image Game Object with an Arcade Physics Body and adds it to the Scene.
+     *
+     * @method Phaser.Physics.Arcade.Factory#image
+     * @since 3.60.0
+     *
+     * @param {number} x - The horizontal position of this Game Object in the world.
+     * @param {number} y - The vertical position of this Game Object in the world.
+     * @param {(string|Phaser.Textures.Texture)} texture - The key, or instance of the Texture this Game Object will use to render with, as stored in the Texture Manager.
+     * @param {(string|number)} [frame] - An optional frame from the Texture this Game Object is rendering with.
+     *
+     * @return {Phaser.GameObjects.Image} The Image object that was created.
+     */
+    image: function (x, y, texture, frame)
+    {
+        return this.existing(this.sys.add.image(x, y, texture, frame));
+    },
+
+    /**
+     * Creates a new Sprite Game Object with an Arcade Physics Body and adds it to the Scene.
+     *
+     * @method Phaser.Physics.Arcade.Factory#sprite
+     * @since 3.60.0
+     *
+     * @param {number} x - The horizontal position of this Game Object in the world.
+     * @param {number} y - The vertical position of this Game Object in the world.
+     * @param {(string|Phaser.Textures.Texture)} texture - The key, or instance of the Texture this Game Object will use to render with, as stored in the Texture Manager.
+     * @param {(string|number)} [frame] - An optional frame from the Texture this Game Object is rendering with.
+     *
+     * @return {Phaser.GameObjects.Sprite} The Sprite object that was created.
+     */
+    sprite: function (x, y, texture, frame)
+    {
+        return this.existing(this.sys.add.sprite(x, y, texture, frame));
+    },
+
+    /**
+     * Creates a new Group and adds an Arcade Physics Body to all of its children,
+     * including any that are added, or created, by the Group in the future.
+     *
+     * Children removed from the Group have their Body disabled.
+     *
+     * @method Phaser.Physics.Arcade.Factory#group
+     * @since 3.60.0
+     *
+     * @param {(Phaser.GameObjects.GameObject[]|Phaser.Types.GameObjects.Group.GroupConfig|Phaser.Types.GameObjects.Group.GroupCreateConfig)} [children] - Game Objects to add to this group; or the `config` argument.
+     * @param {(Phaser.Types.GameObjects.Group.GroupConfig|Phaser.Types.GameObjects.Group.GroupCreateConfig)} [config] - Settings for this group.
+     *
+     * @return {Phaser.GameObjects.Group} The Group object that was created.
+     */
+    group: function (children, config)
+    {
+        var world = this.world;
+        var group = this.sys.add.group(children, config);
+
+        group.internalCreateCallback = function (child)
+        {
+            world.enableBody(child);
+        };
+
+        group.internalRemoveCallback = function (child)
+        {
+            world.disable(child);
+        };
+
+        //  Any children added by the Group constructor don't have a Body yet
+        world.enable(group);
+
+        return group;
+    },
+
+    /**
+     * Destroys this Factory.
+     *
+     * @method Phaser.Physics.Arcade.Factory#destroy
+     * @since 3.60.0
+     */
+    destroy: function ()
+    {
+        this.world = null;
+        this.scene = null;
+        this.sys = null;
+    }
+
+});
+
+module.exports = Factory;
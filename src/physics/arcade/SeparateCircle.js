@@ -0,0 +1,189 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var Clamp = require('../../math/Clamp');
+
+/**
+ * Sets the `touching` and, if the other body is immovable, the `blocked` faces of a Body
+ * from the direction of the collision normal.
+ *
+ * @ignore
+ */
+var SetTouching = function (body, other, nx, ny)
+{
+    var touching = body.touching;
+    var blocked = body.blocked;
+
+    touching.none = false;
+
+    var face;
+
+    if (Math.abs(nx) > Math.abs(ny))
+    {
+        face = (nx > 0) ? 'right' : 'left';
+    }
+    else
+    {
+        face = (ny > 0) ? 'down' : 'up';
+    }
+
+    touching[face] = true;
+
+    if (other.immovable)
+    {
+        blocked.none = false;
+        blocked[face] = true;
+    }
+};
+
+/**
+ * Separates two overlapping bodies where at least one of them is a circle.
+ *
+ * The bodies are pushed apart along the collision normal, sharing the separation if both of them can move,
+ * and their velocities are then resolved with an impulse based on their mass and bounce.
+ *
+ * @function Phaser.Physics.Arcade.SeparateCircle
+ * @since 3.60.0
+ *
+ * @param {Phaser.Physics.Arcade.Body} body1 - The first Body to separate.
+ * @param {Phaser.Physics.Arcade.Body} body2 - The second Body to separate.
+ * @param {boolean} overlapOnly - If `true`, the bodies will only have their overlap data set and no separation will take place.
+ *
+ * @return {boolean} `true` if the two bodies overlap, otherwise `false`.
+ */
+var SeparateCircle = function (body1, body2, overlapOnly)
+{
+    var nx = 0;
+    var ny = 0;
+    var overlap = 0;
+    var dx;
+    var dy;
+    var distance;
+
+    if (body1.isCircle && body2.isCircle)
+    {
+        dx = body2.center.x - body1.center.x;
+        dy = body2.center.y - body1.center.y;
+        distance = Math.sqrt(dx * dx + dy * dy);
+
+        overlap = body1.radius + body2.radius - distance;
+
+        if (distance > 0)
+        {
+            nx = dx / distance;
+            ny = dy / distance;
+        }
+        else
+        {
+            nx = 1;
+        }
+    }
+    else
+    {
+        var circle = (body1.isCircle) ? body1 : body2;
+        var rect = (body1.isCircle) ? body2 : body1;
+
+        var cx = circle.center.x;
+        var cy = circle.center.y;
+
+        //  The closest point on the rectangle to the center of the circle
+        var px = Clamp(cx, rect.left, rect.right);
+        var py = Clamp(cy, rect.top, rect.bottom);
+
+        dx = px - cx;
+        dy = py - cy;
+        distance = Math.sqrt(dx * dx + dy * dy);
+
+        if (distance > 0)
+        {
+            overlap = circle.radius - distance;
+            nx = dx / distance;
+            ny = dy / distance;
+        }
+        else
+        {
+            //  The center of the circle is inside the rectangle, push it out via the nearest edge
+            var left = cx - rect.left;
+            var right = rect.right - cx;
+            var top = cy - rect.top;
+            var bottom = rect.bottom - cy;
+            var min = Math.min(left, right, top, bottom);
+
+            overlap = circle.radius + min;
+
+            if (min === left)
+            {
+                nx = 1;
+            }
+            else if (min === right)
+            {
+                nx = -1;
+            }
+            else if (min === top)
+            {
+                ny = 1;
+            }
+            else
+            {
+                ny = -1;
+            }
+        }
+
+        //  The normal runs from the circle to the rectangle, flip it so it always runs from body1 to body2
+        if (circle === body2)
+        {
+            nx = -nx;
+            ny = -ny;
+        }
+    }
+
+    if (overlap <= 0)
+    {
+        return false;
+    }
+
+    body1.overlapX = overlap * nx;
+    body1.overlapY = overlap * ny;
+    body2.overlapX = body1.overlapX;
+    body2.overlapY = body1.overlapY;
+
+    SetTouching(body1, body2, nx, ny);
+    SetTouching(body2, body1, -nx, -ny);
+
+    if (overlapOnly || (body1.immovable && body2.immovable))
+    {
+        return true;
+    }
+
+    var inv1 = (body1.immovable) ? 0 : 1 / body1.mass;
+    var inv2 = (body2.immovable) ? 0 : 1 / body2.mass;
+    var share = overlap / (inv1 + inv2);
+
+    body1.x -= nx * share * inv1;
+    body1.y -= ny * share * inv1;
+    body2.x += nx * share * inv2;
+    body2.y += ny * share * inv2;
+
+    //  Only resolve the velocities if the bodies are moving towards each other
+    var vn = (body2.velocity.x - body1.velocity.x) * nx + (body2.velocity.y - body1.velocity.y) * ny;
+
+    if (vn < 0)
+    {
+        var e1 = (nx * nx * body1.bounce.x) + (ny * ny * body1.bounce.y);
+        var e2 = (nx * nx * body2.bounce.x) + (ny * ny * body2.bounce.y);
+
+        var impulse = -(1 + Math.max(e1, e2)) * vn / (inv1 + inv2);
+
+        body1.velocity.x -= impulse * inv1 * nx;
+        body1.velocity.y -= impulse * inv1 * ny;
+        body2.velocity.x += impulse * inv2 * nx;
+        body2.velocity.y += impulse * inv2 * ny;
+    }
+
+    return true;
+};
+
+module.exports = SeparateCircle;
@@ -0,0 +1,1175 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var Body = require('./Body');
+var Class = require('../../utils/Class');
+var Collider = require('./Collider');
+var EventEmitter = require('eventemitter3');
+var Events = require('./events');
+var GetValue = require('../../utils/object/GetValue');
+var Rectangle = require('../../geom/rectangle/Rectangle');
+var RTree = require('../../structs/RTree');
+var SeparateCircle = require('./SeparateCircle');
+var SeparateTile = require('./tilemap/SeparateTile');
+var SeparateX = require('./SeparateX');
+var SeparateY = require('./SeparateY');
+var Set = require('../../structs/Set');
+var TileIntersectsBody = require('./tilemap/TileIntersectsBody');
+var Vector2 = require('../../math/Vector2');
+
+/**
+ * @classdesc
+ * The Arcade Physics World.
+ *
+ * The World is responsible for creating, managing, colliding and updating all of the bodies within it.
+ *
+ * Every frame it syncs the bodies with their Game Objects, runs one or more fixed steps in which
+ * the bodies are moved and the colliders are checked, and then writes the new positions back
+ * to the Game Objects. The bodies are indexed in an RTree after every step, which is used as the
+ * broadphase for all body versus body checks.
+ *
+ * An instance of the World belongs to a Phaser.Scene and is accessed via the property `physics.world`.
+ *
+ * @class World
+ * @extends Phaser.Events.EventEmitter
+ * @memberof Phaser.Physics.Arcade
+ * @constructor
+ * @since 3.60.0
+ *
+ * @param {Phaser.Scene} scene - The Scene to which this World instance belongs.
+ * @param {Phaser.Types.Physics.Arcade.ArcadeWorldConfig} config - An Arcade Physics Configuration object.
+ */
+var World = new Class({
+
+    Extends: EventEmitter,
+
+    initialize:
+
+    function World (scene, config)
+    {
+        EventEmitter.call(this);
+
+        /**
+         * The Scene this simulation belongs to.
+         *
+         * @name Phaser.Physics.Arcade.World#scene
+         * @type {Phaser.Scene}
+         * @since 3.60.0
+         */
+        this.scene = scene;
+
+        /**
+         * All of the bodies in the simulation.
+         *
+         * @name Phaser.Physics.Arcade.World#bodies
+         * @type {Phaser.Structs.Set.<Phaser.Physics.Arcade.Body>}
+         * @since 3.60.0
+         */
+        this.bodies = new Set();
+
+        /**
+         * The bodies that will be removed from the simulation at the start of the next frame.
+         *
+         * @name Phaser.Physics.Arcade.World#pendingDestroy
+         * @type {Phaser.Structs.Set.<Phaser.Physics.Arcade.Body>}
+         * @since 3.60.0
+         */
+        this.pendingDestroy = new Set();
+
+        /**
+         * The colliders that are checked every step.
+         *
+         * @name Phaser.Physics.Arcade.World#colliders
+         * @type {Phaser.Physics.Arcade.Collider[]}
+         * @since 3.60.0
+         */
+        this.colliders = [];
+
+        /**
+         * The World gravity, in pixels per second squared.
+         *
+         * @name Phaser.Physics.Arcade.World#gravity
+         * @type {Phaser.Math.Vector2}
+         * @since 3.60.0
+         */
+        this.gravity = new Vector2(GetValue(config, 'gravity.x', 0), GetValue(config, 'gravity.y', 0));
+
+        /**
+         * The World bounds. Bodies with `collideWorldBounds` set are kept within these.
+         *
+         * @name Phaser.Physics.Arcade.World#bounds
+         * @type {Phaser.Geom.Rectangle}
+         * @since 3.60.0
+         */
+        this.bounds = new Rectangle(
+            GetValue(config, 'x', 0),
+            GetValue(config, 'y', 0),
+            GetValue(config, 'width', scene.sys.scale.width),
+            GetValue(config, 'height', scene.sys.scale.height)
+        );
+
+        /**
+         * Which edges of the World bounds bodies can collide with.
+         *
+         * @name Phaser.Physics.Arcade.World#checkCollision
+         * @type {Phaser.Types.Physics.Arcade.CheckCollisionObject}
+         * @since 3.60.0
+         */
+        this.checkCollision = {
+            up: GetValue(config, 'checkCollision.up', true),
+            down: GetValue(config, 'checkCollision.down', true),
+            left: GetValue(config, 'checkCollision.left', true),
+            right: GetValue(config, 'checkCollision.right', true)
+        };
+
+        /**
+         * The number of physics steps to be taken per second.
+         *
+         * Use `setFPS` to change this value.
+         *
+         * @name Phaser.Physics.Arcade.World#fps
+         * @type {number}
+         * @default 60
+         * @readonly
+         * @since 3.60.0
+         */
+        this.fps = GetValue(config, 'fps', 60);
+
+        /**
+         * Should the World run a fixed number of steps per second, as set by `fps`?
+         * If `false` it runs a single step every frame, using the frame delta.
+         *
+         * @name Phaser.Physics.Arcade.World#fixedStep
+         * @type {boolean}
+         * @default true
+         * @since 3.60.0
+         */
+        this.fixedStep = GetValue(config, 'fixedStep', true);
+
+        /**
+         * The maximum number of steps the World will run in a single frame.
+         * Stops the simulation from spiralling if the game stalls.
+         *
+         * @name Phaser.Physics.Arcade.World#maxSteps
+         * @type {number}
+         * @default 4
+         * @since 3.60.0
+         */
+        this.maxSteps = GetValue(config, 'maxSteps', 4);
+
+        /**
+         * Scaling factor applied to the frame delta before it is used to step the World.
+         * A value of 2 runs the simulation twice as fast, 0.5 at half speed.
+         *
+         * @name Phaser.Physics.Arcade.World#timeScale
+         * @type {number}
+         * @default 1
+         * @since 3.60.0
+         */
+        this.timeScale = GetValue(config, 'timeScale', 1);
+
+        /**
+         * The maximum absolute difference of a Body's per-step velocity and its overlap with another Body
+         * that will result in separation on *each axis*. Larger values favor separation, smaller values favor no separation.
+         *
+         * @name Phaser.Physics.Arcade.World#OVERLAP_BIAS
+         * @type {number}
+         * @default 4
+         * @since 3.60.0
+         */
+        this.OVERLAP_BIAS = GetValue(config, 'overlapBias', 4);
+
+        /**
+         * The maximum absolute value of a Body's overlap with a tile that will result in separation on *each axis*.
+         * Larger values favor separation, smaller values favor no separation. The optimum value may be similar to the tile size.
+         *
+         * @name Phaser.Physics.Arcade.World#TILE_BIAS
+         * @type {number}
+         * @default 16
+         * @since 3.60.0
+         */
+        this.TILE_BIAS = GetValue(config, 'tileBias', 16);
+
+        /**
+         * Always separate overlapping bodies horizontally before vertically.
+         * `false` (the default) means bodies are first separated on the axis of greater gravity, or the vertical axis if neither is greater.
+         *
+         * @name Phaser.Physics.Arcade.World#forceX
+         * @type {boolean}
+         * @default false
+         * @since 3.60.0
+         */
+        this.forceX = GetValue(config, 'forceX', false);
+
+        /**
+         * Is the simulation paused?
+         *
+         * @name Phaser.Physics.Arcade.World#isPaused
+         * @type {boolean}
+         * @default false
+         * @since 3.60.0
+         */
+        this.isPaused = GetValue(config, 'isPaused', false);
+
+        /**
+         * Should the World use the RTree broadphase for body versus body checks?
+         * With only a handful of bodies it can be faster to disable it.
+         *
+         * @name Phaser.Physics.Arcade.World#useTree
+         * @type {boolean}
+         * @default true
+         * @since 3.60.0
+         */
+        this.useTree = GetValue(config, 'useTree', true);
+
+        /**
+         * The spatial index of the enabled bodies, rebuilt after every step.
+         *
+         * @name Phaser.Physics.Arcade.World#tree
+         * @type {Phaser.Structs.RTree}
+         * @since 3.60.0
+         */
+        this.tree = new RTree(GetValue(config, 'maxEntries', 16));
+
+        /**
+         * The accumulated time, in seconds, that has not yet been stepped.
+         *
+         * @name Phaser.Physics.Arcade.World#_elapsed
+         * @type {number}
+         * @private
+         * @since 3.60.0
+         */
+        this._elapsed = 0;
+
+        /**
+         * The duration, in seconds, of a single fixed step.
+         *
+         * @name Phaser.Physics.Arcade.World#_frameTime
+         * @type {number}
+         * @private
+         * @since 3.60.0
+         */
+        this._frameTime = 1 / this.fps;
+
+        /**
+         * A counter used to flag the bodies of the second object during a collision check.
+         *
+         * @name Phaser.Physics.Arcade.World#_stamp
+         * @type {number}
+         * @private
+         * @since 3.60.0
+         */
+        this._stamp = 0;
+
+        /**
+         * The search area used when querying the RTree.
+         *
+         * @name Phaser.Physics.Arcade.World#_bbox
+         * @type {object}
+         * @private
+         * @since 3.60.0
+         */
+        this._bbox = { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+
+        /**
+         * The world space bounds of the tile being checked.
+         *
+         * @name Phaser.Physics.Arcade.World#_tileRect
+         * @type {object}
+         * @private
+         * @since 3.60.0
+         */
+        this._tileRect = { left: 0, top: 0, right: 0, bottom: 0 };
+    },
+
+    /**
+     * Adds an Arcade Physics Body to a Game Object, an array of Game Objects, or the children of a Group.
+     *
+     * Game Objects that already have a Body are left as they are.
+     *
+     * @method Phaser.Physics.Arcade.World#enable
+     * @since 3.60.0
+     *
+     * @param {(Phaser.GameObjects.GameObject|Phaser.GameObjects.GameObject[]|Phaser.GameObjects.Group)} object - The object, or objects, on which to create the bodies.
+     */
+    enable: function (object)
+    {
+        var list = this.getCollisionList(object, []);
+
+        for (var i = 0; i < list.length; i++)
+        {
+            if (!list[i].isTilemap)
+            {
+                this.enableBody(list[i]);
+            }
+        }
+    },
+
+    /**
+     * Creates an Arcade Physics Body on a single Game Object and adds it to the simulation.
+     *
+     * If the Game Object already has a Body, it is enabled and returned.
+     *
+     * @method Phaser.Physics.Arcade.World#enableBody
+     * @since 3.60.0
+     *
+     * @param {Phaser.GameObjects.GameObject} gameObject - The Game Object on which to create the body.
+     *
+     * @return {Phaser.Physics.Arcade.Body} The Body of the Game Object.
+     */
+    enableBody: function (gameObject)
+    {
+        var body = gameObject.body;
+
+        if (!body)
+        {
+            body = new Body(this, gameObject);
+
+            gameObject.body = body;
+        }
+
+        body.enable = true;
+
+        this.bodies.set(body);
+
+        return body;
+    },
+
+    /**
+     * Disables the Arcade Physics Body of a Game Object, an array of Game Objects, or the children of a Group,
+     * and removes it from the simulation. The Body remains on the Game Object and can be enabled again.
+     *
+     * @method Phaser.Physics.Arcade.World#disable
+     * @since 3.60.0
+     *
+     * @param {(Phaser.GameObjects.GameObject|Phaser.GameObjects.GameObject[]|Phaser.GameObjects.Group)} object - The object, or objects, on which to disable the bodies.
+     */
+    disable: function (object)
+    {
+        var list = this.getCollisionList(object, []);
+
+        for (var i = 0; i < list.length; i++)
+        {
+            var body = list[i].body;
+
+            if (body && !list[i].isTilemap)
+            {
+                body.enable = false;
+
+                this.bodies.delete(body);
+            }
+        }
+    },
+
+    /**
+     * Sets the position, size and properties of the World bounds.
+     *
+     * @method Phaser.Physics.Arcade.World#setBounds
+     * @since 3.60.0
+     *
+     * @param {number} x - The top-left x coordinate of the bounds.
+     * @param {number} y - The top-left y coordinate of the bounds.
+     * @param {number} width - The width of the bounds.
+     * @param {number} height - The height of the bounds.
+     * @param {boolean} [checkLeft] - Should bodies check against the left edge of the bounds?
+     * @param {boolean} [checkRight] - Should bodies check against the right edge of the bounds?
+     * @param {boolean} [checkUp] - Should bodies check against the top edge of the bounds?
+     * @param {boolean} [checkDown] - Should bodies check against the bottom edge of the bounds?
+     *
+     * @return {this} This World object.
+     */
+    setBounds: function (x, y, width, height, checkLeft, checkRight, checkUp, checkDown)
+    {
+        this.bounds.setTo(x, y, width, height);
+
+        if (checkLeft !== undefined)
+        {
+            this.setBoundsCollision(checkLeft, checkRight, checkUp, checkDown);
+        }
+
+        return this;
+    },
+
+    /**
+     * Enables or disables collisions on each edge of the World bounds.
+     *
+     * @method Phaser.Physics.Arcade.World#setBoundsCollision
+     * @since 3.60.0
+     *
+     * @param {boolean} [left=true] - Should bodies check against the left edge of the bounds?
+     * @param {boolean} [right=true] - Should bodies check against the right edge of the bounds?
+     * @param {boolean} [up=true] - Should bodies check against the top edge of the bounds?
+     * @param {boolean} [down=true] - Should bodies check against the bottom edge of the bounds?
+     *
+     * @return {this} This World object.
+     */
+    setBoundsCollision: function (left, right, up, down)
+    {
+        if (left === undefined) { left = true; }
+        if (right === undefined) { right = true; }
+        if (up === undefined) { up = true; }
+        if (down === undefined) { down = true; }
+
+        this.checkCollision.left = left;
+        this.checkCollision.right = right;
+        this.checkCollision.up = up;
+        this.checkCollision.down = down;
+
+        return this;
+    },
+
+    /**
+     * Sets the number of fixed physics steps to be taken per second.
+     *
+     * @method Phaser.Physics.Arcade.World#setFPS
+     * @since 3.60.0
+     *
+     * @param {number} framerate - The number of steps per second.
+     *
+     * @return {this} This World object.
+     */
+    setFPS: function (framerate)
+    {
+        this.fps = framerate;
+        this._frameTime = 1 / this.fps;
+
+        return this;
+    },
+
+    /**
+     * Pauses the simulation.
+     *
+     * @method Phaser.Physics.Arcade.World#pause
+     * @fires Phaser.Physics.Arcade.Events#PAUSE
+     * @since 3.60.0
+     *
+     * @return {this} This World object.
+     */
+    pause: function ()
+    {
+        this.isPaused = true;
+
+        this.emit(Events.PAUSE);
+
+        return this;
+    },
+
+    /**
+     * Resumes the simulation, if paused.
+     *
+     * @method Phaser.Physics.Arcade.World#resume
+     * @fires Phaser.Physics.Arcade.Events#RESUME
+     * @since 3.60.0
+     *
+     * @return {this} This World object.
+     */
+    resume: function ()
+    {
+        this.isPaused = false;
+
+        this.emit(Events.RESUME);
+
+        return this;
+    },
+
+    /**
+     * Creates a new Collider, which checks for collisions between the two objects every step.
+     *
+     * @method Phaser.Physics.Arcade.World#addCollider
+     * @since 3.60.0
+     *
+     * @param {Phaser.Types.Physics.Arcade.ArcadeColliderType} object1 - The first object to check for collision.
+     * @param {Phaser.Types.Physics.Arcade.ArcadeColliderType} [object2] - The second object to check for collision. If not given, `object1` is checked against itself.
+     * @param {Phaser.Types.Physics.Arcade.ArcadePhysicsCallback} [collideCallback] - The callback to invoke when the two objects collide.
+     * @param {Phaser.Types.Physics.Arcade.ArcadePhysicsCallback} [processCallback] - If set, the objects will only collide if this callback returns `true`.
+     * @param {any} [callbackContext] - The scope in which to call the callbacks.
+     *
+     * @return {Phaser.Physics.Arcade.Collider} The Collider that was created.
+     */
+    addCollider: function (object1, object2, collideCallback, processCallback, callbackContext)
+    {
+        var collider = new Collider(this, false, object1, object2, collideCallback, processCallback, callbackContext);
+
+        this.colliders.push(collider);
+
+        return collider;
+    },
+
+    /**
+     * Creates a new Overlap Collider, which checks for overlaps between the two objects every step.
+     *
+     * @method Phaser.Physics.Arcade.World#addOverlap
+     * @since 3.60.0
+     *
+     * @param {Phaser.Types.Physics.Arcade.ArcadeColliderType} object1 - The first object to check for overlap.
+     * @param {Phaser.Types.Physics.Arcade.ArcadeColliderType} [object2] - The second object to check for overlap. If not given, `object1` is checked against itself.
+     * @param {Phaser.Types.Physics.Arcade.ArcadePhysicsCallback} [collideCallback] - The callback to invoke when the two objects overlap.
+     * @param {Phaser.Types.Physics.Arcade.ArcadePhysicsCallback} [processCallback] - If set, the objects will only overlap if this callback returns `true`.
+     * @param {any} [callbackContext] - The scope in which to call the callbacks.
+     *
+     * @return {Phaser.Physics.Arcade.Collider} The Collider that was created.
+     */
+    addOverlap: function (object1, object2, collideCallback, processCallback, callbackContext)
+    {
+        var collider = new Collider(this, true, object1, object2, collideCallback, processCallback, callbackContext);
+
+        this.colliders.push(collider);
+
+        return collider;
+    },
+
+    /**
+     * Removes a Collider from the simulation so it is no longer processed.
+     *
+     * This method does not destroy the Collider. If you wish to add it back at a later stage you can call
+     * `World.colliders.push(collider)` to re-add it. Otherwise call `Collider.destroy` to remove and destroy it.
+     *
+     * @method Phaser.Physics.Arcade.World#removeCollider
+     * @since 3.60.0
+     *
+     * @param {Phaser.Physics.Arcade.Collider} collider - The Collider to remove.
+     *
+     * @return {this} This World object.
+     */
+    removeCollider: function (collider)
+    {
+        var index = this.colliders.indexOf(collider);
+
+        if (index !== -1)
+        {
+            this.colliders.splice(index, 1);
+        }
+
+        return this;
+    },
+
+    /**
+     * Advances the simulation based on the elapsed time.
+     * Called automatically by the Arcade Physics Plugin every Scene update.
+     *
+     * @method Phaser.Physics.Arcade.World#update
+     * @since 3.60.0
+     *
+     * @param {number} time - The current timestamp as generated by the Request Animation Frame or SetTimeout.
+     * @param {number} delta - The delta time, in ms, elapsed since the last frame.
+     */
+    update: function (time, delta)
+    {
+        this.processPendingDestroy();
+
+        if (this.isPaused || this.bodies.size === 0)
+        {
+            return;
+        }
+
+        var i;
+        var steps = 1;
+        var stepDelta = delta * this.timeScale / 1000;
+
+        if (this.fixedStep)
+        {
+            var frameTime = this._frameTime;
+
+            this._elapsed += stepDelta;
+
+            steps = 0;
+            stepDelta = frameTime;
+
+            while (this._elapsed >= frameTime)
+            {
+                this._elapsed -= frameTime;
+                steps++;
+            }
+
+            if (steps > this.maxSteps)
+            {
+                steps = this.maxSteps;
+                this._elapsed = 0;
+            }
+        }
+
+        var bodies = this.bodies.entries;
+
+        for (i = 0; i < bodies.length; i++)
+        {
+            if (bodies[i].enable)
+            {
+                bodies[i].preUpdate(steps > 0);
+            }
+        }
+
+        for (i = 0; i < steps; i++)
+        {
+            this.step(stepDelta);
+        }
+    },
+
+    /**
+     * Advances the simulation by a single step.
+     *
+     * Moves all of the enabled bodies, rebuilds the RTree and then checks all of the active colliders.
+     *
+     * @method Phaser.Physics.Arcade.World#step
+     * @fires Phaser.Physics.Arcade.Events#WORLD_STEP
+     * @since 3.60.0
+     *
+     * @param {number} delta - The delta time, in seconds, to advance the simulation by.
+     */
+    step: function (delta)
+    {
+        var i;
+        var bodies = this.bodies.entries;
+        var enabled = [];
+
+        for (i = 0; i < bodies.length; i++)
+        {
+            var body = bodies[i];
+
+            if (body.enable)
+            {
+                body.update(delta);
+
+                enabled.push(body);
+            }
+        }
+
+        if (this.useTree)
+        {
+            this.tree.clear();
+            this.tree.load(enabled);
+        }
+
+        //  Copy the list, as collider callbacks may add or remove colliders
+        var colliders = this.colliders.slice();
+
+        for (i = 0; i < colliders.length; i++)
+        {
+            if (colliders[i].active)
+            {
+                colliders[i].update();
+            }
+        }
+
+        this.emit(Events.WORLD_STEP, delta);
+    },
+
+    /**
+     * Writes the movement of all of the enabled bodies, during this frame, back to their Game Objects.
+     * Called automatically by the Arcade Physics Plugin after the Scene has updated, so that any
+     * manual calls to `collide` from within the Scene are also applied.
+     *
+     * @method Phaser.Physics.Arcade.World#postUpdate
+     * @since 3.60.0
+     */
+    postUpdate: function ()
+    {
+        var bodies = this.bodies.entries;
+
+        for (var i = 0; i < bodies.length; i++)
+        {
+            if (bodies[i].enable)
+            {
+                bodies[i].postUpdate();
+            }
+        }
+    },
+
+    /**
+     * Removes all of the bodies that were destroyed since the last frame from the simulation.
+     *
+     * @method Phaser.Physics.Arcade.World#processPendingDestroy
+     * @since 3.60.0
+     */
+    processPendingDestroy: function ()
+    {
+        if (this.pendingDestroy.size === 0)
+        {
+            return;
+        }
+
+        var pending = this.pendingDestroy.entries;
+
+        for (var i = 0; i < pending.length; i++)
+        {
+            var body = pending[i];
+
+            this.bodies.delete(body);
+
+            if (this.useTree)
+            {
+                this.tree.remove(body);
+            }
+
+            body.world = null;
+            body.gameObject = null;
+        }
+
+        this.pendingDestroy.clear();
+    },
+
+    /**
+     * Tests if two objects collide and separates them if they do.
+     *
+     * The objects can be Game Objects with bodies, Groups, Tilemap Layers, or arrays of any of them.
+     * If `object2` isn't given, `object1` is tested against itself, i.e. the children of a Group against each other.
+     *
+     * @method Phaser.Physics.Arcade.World#collide
+     * @since 3.60.0
+     *
+     * @param {Phaser.Types.Physics.Arcade.ArcadeColliderType} object1 - The first object to check for collision.
+     * @param {Phaser.Types.Physics.Arcade.ArcadeColliderType} [object2] - The second object to check for collision.
+     * @param {Phaser.Types.Physics.Arcade.ArcadePhysicsCallback} [collideCallback] - The callback to invoke when the two objects collide.
+     * @param {Phaser.Types.Physics.Arcade.ArcadePhysicsCallback} [processCallback] - If set, the objects will only collide if this callback returns `true`.
+     * @param {any} [callbackContext] - The scope in which to call the callbacks.
+     *
+     * @return {boolean} `true` if any collision occurred, otherwise `false`.
+     */
+    collide: function (object1, object2, collideCallback, processCallback, callbackContext)
+    {
+        return this.collideObjects(object1, object2, collideCallback, processCallback, callbackContext, false);
+    },
+
+    /**
+     * Tests if two objects overlap. No separation takes place.
+     *
+     * The objects can be Game Objects with bodies, Groups, Tilemap Layers, or arrays of any of them.
+     * If `object2` isn't given, `object1` is tested against itself, i.e. the children of a Group against each other.
+     *
+     * @method Phaser.Physics.Arcade.World#overlap
+     * @since 3.60.0
+     *
+     * @param {Phaser.Types.Physics.Arcade.ArcadeColliderType} object1 - The first object to check for overlap.
+     * @param {Phaser.Types.Physics.Arcade.ArcadeColliderType} [object2] - The second object to check for overlap.
+     * @param {Phaser.Types.Physics.Arcade.ArcadePhysicsCallback} [overlapCallback] - The callback to invoke when the two objects overlap.
+     * @param {Phaser.Types.Physics.Arcade.ArcadePhysicsCallback} [processCallback] - If set, the objects will only overlap if this callback returns `true`.
+     * @param {any} [callbackContext] - The scope in which to call the callbacks.
+     *
+     * @return {boolean} `true` if any overlap occurred, otherwise `false`.
+     */
+    overlap: function (object1, object2, overlapCallback, processCallback, callbackContext)
+    {
+        return this.collideObjects(object1, object2, overlapCallback, processCallback, callbackContext, true);
+    },
+
+    /**
+     * Flattens an object, or array of objects, into a list of Game Objects and Tilemap Layers.
+     * The children of Groups are added in place of the Group itself.
+     *
+     * @method Phaser.Physics.Arcade.World#getCollisionList
+     * @since 3.60.0
+     *
+     * @param {Phaser.Types.Physics.Arcade.ArcadeColliderType} object - The object to flatten.
+     * @param {array} output - The array to add the objects to.
+     *
+     * @return {array} The output array.
+     */
+    getCollisionList: function (object, output)
+    {
+        if (!object)
+        {
+            return output;
+        }
+
+        if (Array.isArray(object))
+        {
+            for (var i = 0; i < object.length; i++)
+            {
+                this.getCollisionList(object[i], output);
+            }
+        }
+        else if (object.isParent)
+        {
+            this.getCollisionList(object.getChildren(), output);
+        }
+        else
+        {
+            output.push(object);
+        }
+
+        return output;
+    },
+
+    /**
+     * Internal handler that tests two objects for collision or overlap, invoking the callbacks for every pair that does.
+     *
+     * Body versus body checks use the RTree broadphase, if enabled. Body versus Tilemap Layer checks only
+     * consider the colliding tiles within the area of the body.
+     *
+     * @method Phaser.Physics.Arcade.World#collideObjects
+     * @since 3.60.0
+     *
+     * @param {Phaser.Types.Physics.Arcade.ArcadeColliderType} object1 - The first object to check.
+     * @param {Phaser.Types.Physics.Arcade.ArcadeColliderType} [object2] - The second object to check. If not given, `object1` is checked against itself.
+     * @param {Phaser.Types.Physics.Arcade.ArcadePhysicsCallback} [collideCallback] - The callback to invoke when the two objects collide or overlap.
+     * @param {Phaser.Types.Physics.Arcade.ArcadePhysicsCallback} [processCallback] - If set, the objects will only collide if this callback returns `true`.
+     * @param {any} callbackContext - The scope in which to call the callbacks.
+     * @param {boolean} overlapOnly - Whether this is a collision or overlap check.
+     *
+     * @return {boolean} `true` if any collision or overlap occurred, otherwise `false`.
+     */
+    collideObjects: function (object1, object2, collideCallback, processCallback, callbackContext, overlapOnly)
+    {
+        var i;
+        var j;
+        var body;
+        var result = false;
+        var self = (object2 === undefined || object2 === null || object2 === object1);
+
+        var list1 = this.getCollisionList(object1, []);
+        var list2 = (self) ? list1 : this.getCollisionList(object2, []);
+
+        var layers2 = [];
+        var stamp = ++this._stamp;
+
+        //  Flag the bodies of the second object, so the broadphase results can be filtered
+        for (i = 0; i < list2.length; i++)
+        {
+            if (list2[i].isTilemap)
+            {
+                layers2.push(list2[i]);
+            }
+            else if (list2[i].body)
+            {
+                list2[i].body._stamp = stamp;
+            }
+        }
+
+        for (i = 0; i < list1.length; i++)
+        {
+            var item = list1[i];
+
+            if (item.isTilemap)
+            {
+                if (!self)
+                {
+                    //  Tilemap Layer versus the bodies of the second object
+                    for (j = 0; j < list2.length; j++)
+                    {
+                        body = list2[j].body;
+
+                        if (body && !list2[j].isTilemap && this.collideBodyVsTilemapLayer(body, item, collideCallback, processCallback, callbackContext, overlapOnly))
+                        {
+                            result = true;
+                        }
+                    }
+                }
+
+                continue;
+            }
+
+            var body1 = item.body;
+
+            if (!body1 || !body1.enable)
+            {
+                continue;
+            }
+
+            if (self)
+            {
+                //  Each pair is only tested once when a group collides with itself
+                body1._stamp = 0;
+            }
+
+            var candidates = (this.useTree) ? this.tree.search(this.getSearchArea(body1)) : this.bodies.entries;
+
+            for (j = 0; j < candidates.length; j++)
+            {
+                var body2 = candidates[j];
+
+                if (body2._stamp === stamp && this.collideBodies(body1, body2, collideCallback, processCallback, callbackContext, overlapOnly))
+                {
+                    result = true;
+                }
+            }
+
+            for (j = 0; j < layers2.length; j++)
+            {
+                if (this.collideBodyVsTilemapLayer(body1, layers2[j], collideCallback, processCallback, callbackContext, overlapOnly))
+                {
+                    result = true;
+                }
+            }
+        }
+
+        return result;
+    },
+
+    /**
+     * Sets the RTree search area to the bounds of the given body.
+     *
+     * @method Phaser.Physics.Arcade.World#getSearchArea
+     * @private
+     * @since 3.60.0
+     *
+     * @param {Phaser.Physics.Arcade.Body} body - The body to get the search area of.
+     *
+     * @return {object} The search area.
+     */
+    getSearchArea: function (body)
+    {
+        var bbox = this._bbox;
+
+        bbox.minX = body.left;
+        bbox.minY = body.top;
+        bbox.maxX = body.right;
+        bbox.maxY = body.bottom;
+
+        return bbox;
+    },
+
+    /**
+     * Checks if the bounds of two bodies intersect.
+     *
+     * @method Phaser.Physics.Arcade.World#intersects
+     * @since 3.60.0
+     *
+     * @param {Phaser.Physics.Arcade.Body} body1 - The first body to check.
+     * @param {Phaser.Physics.Arcade.Body} body2 - The second body to check.
+     *
+     * @return {boolean} `true` if the bounds of the two bodies intersect, otherwise `false`.
+     */
+    intersects: function (body1, body2)
+    {
+        return !(
+            body1.right <= body2.left ||
+            body1.bottom <= body2.top ||
+            body1.left >= body2.right ||
+            body1.top >= body2.bottom
+        );
+    },
+
+    /**
+     * Tests two bodies for collision or overlap, separating them if required, and invokes the callbacks.
+     *
+     * @method Phaser.Physics.Arcade.World#collideBodies
+     * @fires Phaser.Physics.Arcade.Events#COLLIDE
+     * @fires Phaser.Physics.Arcade.Events#OVERLAP
+     * @since 3.60.0
+     *
+     * @param {Phaser.Physics.Arcade.Body} body1 - The first body to check.
+     * @param {Phaser.Physics.Arcade.Body} body2 - The second body to check.
+     * @param {Phaser.Types.Physics.Arcade.ArcadePhysicsCallback} [collideCallback] - The callback to invoke when the two bodies collide or overlap.
+     * @param {Phaser.Types.Physics.Arcade.ArcadePhysicsCallback} [processCallback] - If set, the bodies will only collide if this callback returns `true`.
+     * @param {any} callbackContext - The scope in which to call the callbacks.
+     * @param {boolean} overlapOnly - Whether this is a collision or overlap check.
+     *
+     * @return {boolean} `true` if the bodies collided or overlapped, otherwise `false`.
+     */
+    collideBodies: function (body1, body2, collideCallback, processCallback, callbackContext, overlapOnly)
+    {
+        if (body1 === body2 || !body1.enable || !body2.enable || body1.checkCollision.none || body2.checkCollision.none)
+        {
+            return false;
+        }
+
+        if (!this.intersects(body1, body2))
+        {
+            return false;
+        }
+
+        var gameObject1 = body1.gameObject;
+        var gameObject2 = body2.gameObject;
+
+        if (processCallback && !processCallback.call(callbackContext, gameObject1, gameObject2))
+        {
+            return false;
+        }
+
+        var result;
+
+        if (body1.isCircle || body2.isCircle)
+        {
+            result = SeparateCircle(body1, body2, overlapOnly);
+        }
+        else
+        {
+            var resultX = false;
+            var resultY = false;
+            var bias = this.OVERLAP_BIAS;
+
+            if (this.forceX || Math.abs(this.gravity.y + body1.gravity.y) < Math.abs(this.gravity.x + body1.gravity.x))
+            {
+                resultX = SeparateX(body1, body2, overlapOnly, bias);
+
+                if (this.intersects(body1, body2))
+                {
+                    resultY = SeparateY(body1, body2, overlapOnly, bias);
+                }
+            }
+            else
+            {
+                resultY = SeparateY(body1, body2, overlapOnly, bias);
+
+                if (this.intersects(body1, body2))
+                {
+                    resultX = SeparateX(body1, body2, overlapOnly, bias);
+                }
+            }
+
+            result = (resultX || resultY);
+        }
+
+        if (result)
+        {
+            if (overlapOnly && (body1.onOverlap || body2.onOverlap))
+            {
+                this.emit(Events.OVERLAP, gameObject1, gameObject2, body1, body2);
+            }
+            else if (!overlapOnly && (body1.onCollide || body2.onCollide))
+            {
+                this.emit(Events.COLLIDE, gameObject1, gameObject2, body1, body2);
+            }
+
+            if (collideCallback)
+            {
+                collideCallback.call(callbackContext, gameObject1, gameObject2);
+            }
+        }
+
+        return result;
+    },
+
+    /**
+     * Tests a body against the tiles of a Tilemap Layer, separating it from the colliding tiles, and invokes the callbacks.
+     *
+     * For collisions only tiles with collision enabled are checked, for overlaps all non-empty tiles are checked.
+     * Tile collision callbacks, set via `Tile.setCollisionCallback` or `Tilemap.setTileIndexCallback`, must return
+     * `true` for the tile to be separated from the body.
+     *
+     * @method Phaser.Physics.Arcade.World#collideBodyVsTilemapLayer
+     * @fires Phaser.Physics.Arcade.Events#TILE_COLLIDE
+     * @fires Phaser.Physics.Arcade.Events#TILE_OVERLAP
+     * @since 3.60.0
+     *
+     * @param {Phaser.Physics.Arcade.Body} body - The body to check.
+     * @param {Phaser.Tilemaps.TilemapLayer} tilemapLayer - The Tilemap Layer to check.
+     * @param {Phaser.Types.Physics.Arcade.ArcadePhysicsCallback} [collideCallback] - The callback to invoke when the body collides with, or overlaps, a tile.
+     * @param {Phaser.Types.Physics.Arcade.ArcadePhysicsCallback} [processCallback] - If set, the body will only collide with a tile if this callback returns `true`.
+     * @param {any} callbackContext - The scope in which to call the callbacks.
+     * @param {boolean} overlapOnly - Whether this is a collision or overlap check.
+     *
+     * @return {boolean} `true` if the body collided with, or overlapped, any tile, otherwise `false`.
+     */
+    collideBodyVsTilemapLayer: function (body, tilemapLayer, collideCallback, processCallback, callbackContext, overlapOnly)
+    {
+        if (!body.enable || body.checkCollision.none)
+        {
+            return false;
+        }
+
+        var filter = (overlapOnly) ? { isNotEmpty: true } : { isColliding: true };
+
+        var tiles = tilemapLayer.getTilesWithinWorldXY(body.left, body.top, body.width, body.height, filter);
+
+        if (tiles.length === 0)
+        {
+            return false;
+        }
+
+        var result = false;
+        var gameObject = body.gameObject;
+        var tileRect = this._tileRect;
+        var callbacks = tilemapLayer.layer.callbacks;
+
+        for (var i = 0; i < tiles.length; i++)
+        {
+            var tile = tiles[i];
+
+            tileRect.left = tile.getLeft();
+            tileRect.top = tile.getTop();
+            tileRect.right = tile.getRight();
+            tileRect.bottom = tile.getBottom();
+
+            if (!TileIntersectsBody(tileRect, body))
+            {
+                continue;
+            }
+
+            if (processCallback && !processCallback.call(callbackContext, gameObject, tile))
+            {
+                continue;
+            }
+
+            var indexCallback = callbacks[tile.index];
+
+            if (tile.collisionCallback && !tile.collisionCallback.call(tile.collisionCallbackContext, gameObject, tile))
+            {
+                continue;
+            }
+            else if (indexCallback && !indexCallback.callback.call(indexCallback.callbackContext, gameObject, tile))
+            {
+                continue;
+            }
+
+            if (SeparateTile(body, tile, tileRect, this.TILE_BIAS, overlapOnly))
+            {
+                result = true;
+
+                if (overlapOnly && body.onOverlap)
+                {
+                    this.emit(Events.TILE_OVERLAP, gameObject, tile, body);
+                }
+                else if (!overlapOnly && body.onCollide)
+                {
+                    this.emit(Events.TILE_COLLIDE, gameObject, tile, body);
+                }
+
+                if (collideCallback)
+                {
+                    collideCallback.call(callbackContext, gameObject, tile);
+                }
+            }
+        }
+
+        return result;
+    },
+
+    /**
+     * Shuts down the simulation, clearing all of the bodies and colliders and removing all listeners.
+     *
+     * @method Phaser.Physics.Arcade.World#shutdown
+     * @since 3.60.0
+     */
+    shutdown: function ()
+    {
+        var bodies = this.bodies.entries;
+
+        for (var i = 0; i < bodies.length; i++)
+        {
+            var body = bodies[i];
+
+            if (body.gameObject && body.gameObject.body === body)
+            {
+                body.gameObject.body = null;
+            }
+
+            body.world = null;
+        }
+
+        this.bodies.clear();
+        this.pendingDestroy.clear();
+        this.tree.clear();
+        this.colliders.length = 0;
+
+        this.removeAllListeners();
+    },
+
+    /**
+     * Shuts down the simulation and disconnects it from the current scene.
+     *
+     * @method Phaser.Physics.Arcade.World#destroy
+     * @since 3.60.0
+     */
+    destroy: function ()
+    {
+        this.shutdown();
+
+        this.scene = null;
+    }
+
+});
+
+module.exports = World;
@@ -0,0 +1,17 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+/**
+ * The Arcade Physics World Pause Event.
+ *
+ * This event is dispatched by an Arcade Physics World instance when it is paused.
+ *
+ * Listen to it from a Scene using: `this.physics.world.on('pause', listener)`.
+ *
+ * @event Phaser.Physics.Arcade.Events#PAUSE
+ * @since 3.60.0
+ */
+module.exports = 'pause';
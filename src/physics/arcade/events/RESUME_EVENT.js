@@ -0,0 +1,17 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+/**
+ * The Arcade Physics World Resume Event.
+ *
+ * This event is dispatched by an Arcade Physics World instance when it resumes from a paused state.
+ *
+ * Listen to it from a Scene using: `this.physics.world.on('resume', listener)`.
+ *
+ * @event Phaser.Physics.Arcade.Events#RESUME
+ * @since 3.60.0
+ */
+module.exports = 'resume';
@@ -0,0 +1,20 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+/**
+ * The Arcade Physics World Step Event.
+ *
+ * This event is dispatched by an Arcade Physics World instance whenever a physics step is run,
+ * after all of the bodies have been moved and all of the colliders have been processed.
+ *
+ * Listen to it from a Scene using: `this.physics.world.on('worldstep', listener)`.
+ *
+ * @event Phaser.Physics.Arcade.Events#WORLD_STEP
+ * @since 3.60.0
+ *
+ * @param {number} delta - The delta time, in seconds, of the step.
+ */
+module.exports = 'worldstep';
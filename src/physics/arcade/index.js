@@ -0,0 +1,26 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+/**
+ * @namespace Phaser.Physics.Arcade
+ */
+
+module.exports = {
+
+    ArcadePhysics: require('./ArcadePhysics'),
+    Body: require('./Body'),
+    Collider: require('./Collider'),
+    Events: require('./events'),
+    Factory: require('./Factory'),
+    GetOverlapX: require('./GetOverlapX'),
+    GetOverlapY: require('./GetOverlapY'),
+    SeparateCircle: require('./SeparateCircle'),
+    SeparateX: require('./SeparateX'),
+    SeparateY: require('./SeparateY'),
+    Tilemap: require('./tilemap'),
+    World: require('./World')
+
+};
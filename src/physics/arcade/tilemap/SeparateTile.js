@@ -0,0 +1,153 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var ProcessTileSeparationX = require('./ProcessTileSeparationX');
+var ProcessTileSeparationY = require('./ProcessTileSeparationY');
+var TileIntersectsBody = require('./TileIntersectsBody');
+
+/**
+ * Calculates the horizontal overlap between a body and an interesting face of a tile.
+ *
+ * @ignore
+ */
+var TileOverlapX = function (body, tile, tileWorldRect, tileBias)
+{
+    var ox = 0;
+
+    if (body._dx < 0 && body.checkCollision.left && tile.collideRight && tile.faceRight)
+    {
+        //  Body is moving LEFT
+        ox = body.position.x - tileWorldRect.right;
+
+        if (ox < -tileBias || ox > 0)
+        {
+            ox = 0;
+        }
+    }
+    else if (body._dx > 0 && body.checkCollision.right && tile.collideLeft && tile.faceLeft)
+    {
+        //  Body is moving RIGHT
+        ox = body.right - tileWorldRect.left;
+
+        if (ox > tileBias || ox < 0)
+        {
+            ox = 0;
+        }
+    }
+
+    return ox;
+};
+
+/**
+ * Calculates the vertical overlap between a body and an interesting face of a tile.
+ *
+ * @ignore
+ */
+var TileOverlapY = function (body, tile, tileWorldRect, tileBias)
+{
+    var oy = 0;
+
+    if (body._dy < 0 && body.checkCollision.up && tile.collideDown && tile.faceBottom)
+    {
+        //  Body is moving UP
+        oy = body.position.y - tileWorldRect.bottom;
+
+        if (oy < -tileBias || oy > 0)
+        {
+            oy = 0;
+        }
+    }
+    else if (body._dy > 0 && body.checkCollision.down && tile.collideUp && tile.faceTop)
+    {
+        //  Body is moving DOWN
+        oy = body.bottom - tileWorldRect.top;
+
+        if (oy > tileBias || oy < 0)
+        {
+            oy = 0;
+        }
+    }
+
+    return oy;
+};
+
+/**
+ * The core separation function to separate a physics body and a tile.
+ *
+ * Only the faces of the tile that are both colliding and interesting, i.e. not shared with another
+ * colliding tile, are considered. The axis the body moved furthest on is separated first.
+ *
+ * @function Phaser.Physics.Arcade.Tilemap.SeparateTile
+ * @since 3.60.0
+ *
+ * @param {Phaser.Physics.Arcade.Body} body - The Body object to separate.
+ * @param {Phaser.Tilemaps.Tile} tile - The tile to collide against.
+ * @param {{ left: number, right: number, top: number, bottom: number }} tileWorldRect - A rectangle-like object defining the dimensions of the tile in world space.
+ * @param {number} tileBias - The tile bias value. Populated by the `World.TILE_BIAS` constant.
+ * @param {boolean} overlapOnly - Whether to only check for overlap, rather than separate the body.
+ *
+ * @return {boolean} `true` if the body was separated, or overlaps the tile when `overlapOnly` is set, otherwise `false`.
+ */
+var SeparateTile = function (body, tile, tileWorldRect, tileBias, overlapOnly)
+{
+    if (!TileIntersectsBody(tileWorldRect, body))
+    {
+        return false;
+    }
+
+    if (overlapOnly)
+    {
+        return true;
+    }
+
+    var ox = 0;
+    var oy = 0;
+
+    if (Math.abs(body._dx) >= Math.abs(body._dy))
+    {
+        ox = TileOverlapX(body, tile, tileWorldRect, tileBias);
+
+        if (ox !== 0)
+        {
+            ProcessTileSeparationX(body, ox);
+        }
+
+        //  The horizontal separation may have moved the body clear of the tile
+        if (TileIntersectsBody(tileWorldRect, body))
+        {
+            oy = TileOverlapY(body, tile, tileWorldRect, tileBias);
+
+            if (oy !== 0)
+            {
+                ProcessTileSeparationY(body, oy);
+            }
+        }
+    }
+    else
+    {
+        oy = TileOverlapY(body, tile, tileWorldRect, tileBias);
+
+        if (oy !== 0)
+        {
+            ProcessTileSeparationY(body, oy);
+        }
+
+        //  The vertical separation may have moved the body clear of the tile
+        if (TileIntersectsBody(tileWorldRect, body))
+        {
+            ox = TileOverlapX(body, tile, tileWorldRect, tileBias);
+
+            if (ox !== 0)
+            {
+                ProcessTileSeparationX(body, ox);
+            }
+        }
+    }
+
+    return (ox !== 0 || oy !== 0);
+};
+
+module.exports = SeparateTile;
@@ -0,0 +1,18 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+/**
+ * @namespace Phaser.Physics.Arcade.Tilemap
+ */
+
+module.exports = {
+
+    ProcessTileSeparationX: require('./ProcessTileSeparationX'),
+    ProcessTileSeparationY: require('./ProcessTileSeparationY'),
+    SeparateTile: require('./SeparateTile'),
+    TileIntersectsBody: require('./TileIntersectsBody')
+
+};
@@ -0,0 +1,10 @@
+/**
+ * @typedef {object} Phaser.Types.Physics.Arcade.ArcadeBodyCollision
+ * @since 3.60.0
+ *
+ * @property {boolean} none - True if the Body is not colliding.
+ * @property {boolean} up - True if the Body is colliding on its upper edge.
+ * @property {boolean} down - True if the Body is colliding on its lower edge.
+ * @property {boolean} left - True if the Body is colliding on its left edge.
+ * @property {boolean} right - True if the Body is colliding on its right edge.
+ */
@@ -0,0 +1,6 @@
+/**
+ * An Arcade Physics Collider Type.
+ *
+ * @typedef {(Phaser.GameObjects.GameObject|Phaser.GameObjects.Group|Phaser.Tilemaps.TilemapLayer|Phaser.GameObjects.GameObject[]|Phaser.GameObjects.Group[]|Phaser.Tilemaps.TilemapLayer[])} Phaser.Types.Physics.Arcade.ArcadeColliderType
+ * @since 3.60.0
+ */
@@ -0,0 +1,9 @@
+/**
+ * @callback Phaser.Types.Physics.Arcade.ArcadePhysicsCallback
+ * @since 3.60.0
+ *
+ * @param {Phaser.GameObjects.GameObject} object1 - The first Game Object of the collision.
+ * @param {(Phaser.GameObjects.GameObject|Phaser.Tilemaps.Tile)} object2 - The second Game Object of the collision, or the Tile it collided with.
+ *
+ * @return {boolean} When used as a process callback, return `true` to let the collision take place.
+ */
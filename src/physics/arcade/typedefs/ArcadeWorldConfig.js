@@ -0,0 +1,21 @@
+/**
+ * @typedef {object} Phaser.Types.Physics.Arcade.ArcadeWorldConfig
+ * @since 3.60.0
+ *
+ * @property {number} [fps=60] - Sets {@link Phaser.Physics.Arcade.World#fps}.
+ * @property {boolean} [fixedStep=true] - Sets {@link Phaser.Physics.Arcade.World#fixedStep}.
+ * @property {number} [maxSteps=4] - Sets {@link Phaser.Physics.Arcade.World#maxSteps}.
+ * @property {number} [timeScale=1] - Sets {@link Phaser.Physics.Arcade.World#timeScale}.
+ * @property {Phaser.Types.Math.Vector2Like} [gravity] - Sets {@link Phaser.Physics.Arcade.World#gravity}.
+ * @property {number} [x=0] - Sets {@link Phaser.Physics.Arcade.World#bounds bounds.x}.
+ * @property {number} [y=0] - Sets {@link Phaser.Physics.Arcade.World#bounds bounds.y}.
+ * @property {number} [width=0] - Sets {@link Phaser.Physics.Arcade.World#bounds bounds.width}. Defaults to the game width.
+ * @property {number} [height=0] - Sets {@link Phaser.Physics.Arcade.World#bounds bounds.height}. Defaults to the game height.
+ * @property {Phaser.Types.Physics.Arcade.CheckCollisionObject} [checkCollision] - Sets {@link Phaser.Physics.Arcade.World#checkCollision}.
+ * @property {number} [overlapBias=4] - Sets {@link Phaser.Physics.Arcade.World#OVERLAP_BIAS}.
+ * @property {number} [tileBias=16] - Sets {@link Phaser.Physics.Arcade.World#TILE_BIAS}.
+ * @property {boolean} [forceX=false] - Always separate overlapping bodies horizontally before vertically. False (the default) means Arcade Physics will first separate on the axis of greater gravity, or the vertical axis if neither is greater.
+ * @property {boolean} [isPaused=false] - Sets {@link Phaser.Physics.Arcade.World#isPaused}.
+ * @property {boolean} [useTree=true] - Sets {@link Phaser.Physics.Arcade.World#useTree}.
+ * @property {number} [maxEntries=16] - The maximum number of items per node on the RTree.
+ */
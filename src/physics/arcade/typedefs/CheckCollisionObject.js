@@ -0,0 +1,9 @@
+/**
+ * @typedef {object} Phaser.Types.Physics.Arcade.CheckCollisionObject
+ * @since 3.60.0
+ *
+ * @property {boolean} up - Will bodies collide with the top side of the world bounds?
+ * @property {boolean} down - Will bodies collide with the bottom side of the world bounds?
+ * @property {boolean} left - Will bodies collide with the left side of the world bounds?
+ * @property {boolean} right - Will bodies collide with the right side of the world bounds?
+ */
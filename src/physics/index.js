@@ -0,0 +1,19 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+/**
+ * @namespace Phaser.Physics
+ */
+
+/**
+ * @namespace Phaser.Types.Physics
+ */
+
+module.exports = {
+
+    Arcade: require('./arcade')
+
+};
@@ -10,11 +10,14 @@ var CustomMap = require('../../structs/Map');
 
 //  Default Phaser 3 Pipelines
 var BitmapMaskPipeline = require('./pipelines/BitmapMaskPipeline');
+var DissolveTransitionPipeline = require('./pipelines/DissolveTransitionPipeline');
 var GraphicsPipeline = require('./pipelines/GraphicsPipeline');
 var LightPipeline = require('./pipelines/LightPipeline');
 var MultiPipeline = require('./pipelines/MultiPipeline');
+var PixelateTransitionPipeline = require('./pipelines/PixelateTransitionPipeline');
 var PointLightPipeline = require('./pipelines/PointLightPipeline');
 var RopePipeline = require('./pipelines/RopePipeline');
+var SDFTextPipeline = require('./pipelines/SDFTextPipeline');
 var SinglePipeline = require('./pipelines/SinglePipeline');
 var UtilityPipeline = require('./pipelines/UtilityPipeline');
 
@@ -88,7 +91,8 @@ var PipelineManager = new Class({
             [ CONST.ROPE_PIPELINE, RopePipeline ],
             [ CONST.LIGHT_PIPELINE, LightPipeline ],
             [ CONST.POINTLIGHT_PIPELINE, PointLightPipeline ],
-            [ CONST.GRAPHICS_PIPELINE, GraphicsPipeline ]
+            [ CONST.GRAPHICS_PIPELINE, GraphicsPipeline ],
+            [ CONST.SDF_TEXT_PIPELINE, SDFTextPipeline ]
         ]);
 
         /**
@@ -98,7 +102,10 @@ var PipelineManager = new Class({
          * @type {Phaser.Structs.Map.<string, Class>}
          * @since 3.50.0
          */
-        this.postPipelineClasses = new CustomMap();
+        this.postPipelineClasses = new CustomMap([
+            [ CONST.PIXELATE_TRANSITION_PIPELINE, PixelateTransitionPipeline ],
+            [ CONST.DISSOLVE_TRANSITION_PIPELINE, DissolveTransitionPipeline ]
+        ]);
 
         /**
          * This map stores all pipeline instances in this manager.
@@ -425,9 +425,16 @@ var WebGLRenderer = new Class({
          * @since 3.8.0
          */
         this.compression = {
+            ETC: false,
             ETC1: false,
+            ATC: false,
+            ASTC: false,
+            BPTC: false,
+            RGTC: false,
             PVRTC: false,
-            S3TC: false
+            S3TC: false,
+            S3TCSRGB: false,
+            IMG: true
         };
 
         /**
@@ -780,12 +787,7 @@ var WebGLRenderer = new Class({
             config.maxTextureSize = gl.getParameter(gl.MAX_TEXTURE_SIZE);
         }
 
-        var extString = 'WEBGL_compressed_texture_';
-        var wkExtString = 'WEBKIT_' + extString;
-
-        this.compression.ETC1 = gl.getExtension(extString + 'etc1') || gl.getExtension(wkExtString + 'etc1');
-        this.compression.PVRTC = gl.getExtension(extString + 'pvrtc') || gl.getExtension(wkExtString + 'pvrtc');
-        this.compression.S3TC = gl.getExtension(extString + 's3tc') || gl.getExtension(wkExtString + 's3tc');
+        this.compression = this.getCompressedTextures();
 
         this.supportedExtensions = exts;
 
@@ -1053,6 +1055,111 @@ var WebGLRenderer = new Class({
         this.projectionMatrix.ortho(0, this.width, this.height, 0, -1000, 1000);
     },
 
+    /**
+     * Queries the GL context to find out which compressed texture formats are supported.
+     *
+     * Each supported format is returned as an object that maps the GLenum values of the
+     * extension to their constant names. Unsupported formats are set to `false`.
+     *
+     * Called automatically during the `init` method.
+     *
+     * @method Phaser.Renderer.WebGL.WebGLRenderer#getCompressedTextures
+     * @since 3.60.0
+     *
+     * @return {Phaser.Types.Renderer.WebGL.WebGLTextureCompression} The compression object.
+     */
+    getCompressedTextures: function ()
+    {
+        var extString = 'WEBGL_compressed_texture_';
+        var wkExtString = 'WEBKIT_' + extString;
+        var extEXTString = 'EXT_texture_compression_';
+
+        var hasExt = function (gl, format)
+        {
+            var results = gl.getExtension(extString + format) || gl.getExtension(wkExtString + format) || gl.getExtension(extEXTString + format);
+
+            if (results)
+            {
+                var glEnums = {};
+
+                for (var key in results)
+                {
+                    glEnums[results[key]] = key;
+                }
+
+                return glEnums;
+            }
+
+            return false;
+        };
+
+        var gl = this.gl;
+
+        return {
+            ETC: hasExt(gl, 'etc'),
+            ETC1: hasExt(gl, 'etc1'),
+            ATC: hasExt(gl, 'atc'),
+            ASTC: hasExt(gl, 'astc'),
+            BPTC: hasExt(gl, 'bptc'),
+            RGTC: hasExt(gl, 'rgtc'),
+            PVRTC: hasExt(gl, 'pvrtc'),
+            S3TC: hasExt(gl, 's3tc'),
+            S3TCSRGB: hasExt(gl, 's3tc_srgb'),
+            IMG: true
+        };
+    },
+
+    /**
+     * Returns a compressed texture format GLenum name based on the given format.
+     *
+     * @method Phaser.Renderer.WebGL.WebGLRenderer#getCompressedTextureName
+     * @since 3.60.0
+     *
+     * @param {string} baseFormat - The Base Format to check.
+     * @param {GLenum} [format] - An optional GLenum format to check within the base format.
+     *
+     * @return {string} The compressed texture format name, as a string.
+     */
+    getCompressedTextureName: function (baseFormat, format)
+    {
+        var supportedFormats = this.compression[baseFormat.toUpperCase()];
+
+        if (format in supportedFormats)
+        {
+            return supportedFormats[format];
+        }
+    },
+
+    /**
+     * Checks if the given compressed texture format is supported, or not.
+     *
+     * @method Phaser.Renderer.WebGL.WebGLRenderer#supportsCompressedTexture
+     * @since 3.60.0
+     *
+     * @param {string} baseFormat - The Base Format to check.
+     * @param {GLenum} [format] - An optional GLenum format to check within the base format.
+     *
+     * @return {boolean} True if the format is supported, otherwise false.
+     */
+    supportsCompressedTexture: function (baseFormat, format)
+    {
+        var supportedFormats = this.compression[baseFormat.toUpperCase()];
+
+        if (supportedFormats)
+        {
+            if (format)
+            {
+                return format in supportedFormats;
+            }
+            else
+            {
+                return true;
+            }
+        }
+
+        return false;
+    },
+
     /**
      * Checks if a WebGL extension is supported
      *
@@ -1911,7 +2018,26 @@ var WebGLRenderer = new Class({
 
         if (scaleMode === CONST.ScaleModes.LINEAR && this.config.antialias)
         {
-            minFilter = (pow) ? this.mipmapFilter : gl.LINEAR;
+            var isCompressed = source && source.compressed;
+            var isMip = pow;
+
+            if (isCompressed && pow)
+            {
+                //  Compressed textures can't generate their own mipmaps, so they need the full chain, down to 1x1,
+                //  or the texture is incomplete and samples as black
+                var levels = 1;
+                var size = Math.max(width, height);
+
+                while (size > 1)
+                {
+                    size >>= 1;
+                    levels++;
+                }
+
+                isMip = (source.mipmaps.length === levels);
+            }
+
+            minFilter = (this.mipmapFilter && isMip) ? this.mipmapFilter : gl.LINEAR;
             magFilter = gl.LINEAR;
         }
 
@@ -1939,7 +2065,7 @@ var WebGLRenderer = new Class({
      * @param {number} wrapT - Wrapping mode of the texture.
      * @param {number} wrapS - Wrapping mode of the texture.
      * @param {number} format - Which format does the texture use.
-     * @param {?object} pixels - pixel data.
+     * @param {?(object|Phaser.Types.Textures.CompressedTextureData)} pixels - pixel data, or a Compressed Texture data object.
      * @param {number} width - Width of the texture in pixels.
      * @param {number} height - Height of the texture in pixels.
      * @param {boolean} [pma=true] - Does the texture have premultiplied alpha?
@@ -1971,9 +2097,26 @@ var WebGLRenderer = new Class({
         gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, pma);
         gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, flipY);
 
+        var generateMipmap = false;
+
         if (pixels === null || pixels === undefined)
         {
             gl.texImage2D(gl.TEXTURE_2D, mipLevel, format, width, height, 0, format, gl.UNSIGNED_BYTE, null);
+
+            generateMipmap = IsSizePowerOfTwo(width, height);
+        }
+        else if (pixels.compressed)
+        {
+            width = pixels.width;
+            height = pixels.height;
+            generateMipmap = pixels.generateMipmap;
+
+            for (var i = 0; i < pixels.mipmaps.length; i++)
+            {
+                var mipmap = pixels.mipmaps[i];
+
+                gl.compressedTexImage2D(gl.TEXTURE_2D, i, pixels.internalFormat, mipmap.width, mipmap.height, 0, mipmap.data);
+            }
         }
         else
         {
@@ -1984,9 +2127,11 @@ var WebGLRenderer = new Class({
             }
 
             gl.texImage2D(gl.TEXTURE_2D, mipLevel, format, format, gl.UNSIGNED_BYTE, pixels);
+
+            generateMipmap = IsSizePowerOfTwo(width, height);
         }
 
-        if (IsSizePowerOfTwo(width, height))
+        if (generateMipmap)
         {
             gl.generateMipmap(gl.TEXTURE_2D);
         }
@@ -0,0 +1,125 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var Class = require('../../../utils/Class');
+var CONST = require('./const');
+var PostFXPipeline = require('./PostFXPipeline');
+var ShaderSourceFS = require('../shaders/DissolveTransition-frag.js');
+
+/**
+ * @classdesc
+ * The Dissolve Transition Pipeline is a Post FX Pipeline that gradually reveals a Camera, pixel by pixel,
+ * in the order given by a noise pattern. Where the Camera isn't revealed yet it is transparent, so whatever
+ * was rendered below it shows through.
+ *
+ * The noise is read from the red channel of a texture, if one is set, otherwise random noise is generated.
+ *
+ * It is used by the `dissolve` Scene Transition, which sets its `progress` every frame, but it can be set on
+ * any Camera or Game Object that supports Post Pipelines.
+ *
+ * The fragment shader it uses can be found in `shaders/src/DissolveTransition.frag`.
+ *
+ * @class DissolveTransitionPipeline
+ * @extends Phaser.Renderer.WebGL.Pipelines.PostFXPipeline
+ * @memberof Phaser.Renderer.WebGL.Pipelines
+ * @constructor
+ * @since 3.60.0
+ *
+ * @param {Phaser.Game} game - A reference to the Phaser Game instance.
+ */
+var DissolveTransitionPipeline = new Class({
+
+    Extends: PostFXPipeline,
+
+    initialize:
+
+    function DissolveTransitionPipeline (game)
+    {
+        PostFXPipeline.call(this, {
+            game: game,
+            name: CONST.DISSOLVE_TRANSITION_PIPELINE,
+            fragShader: ShaderSourceFS
+        });
+
+        /**
+         * How much of the Camera is revealed, between 0 (none of it) and 1 (all of it).
+         *
+         * @name Phaser.Renderer.WebGL.Pipelines.DissolveTransitionPipeline#progress
+         * @type {number}
+         * @default 0
+         * @since 3.60.0
+         */
+        this.progress = 0;
+
+        /**
+         * The width of the edge between revealed and hidden pixels, as a fraction of the noise range.
+         * Must be greater than zero.
+         *
+         * @name Phaser.Renderer.WebGL.Pipelines.DissolveTransitionPipeline#softness
+         * @type {number}
+         * @default 0.1
+         * @since 3.60.0
+         */
+        this.softness = 0.1;
+
+        /**
+         * The size, in screen pixels, of the cells of the generated noise. Not used if there is a noise texture.
+         *
+         * @name Phaser.Renderer.WebGL.Pipelines.DissolveTransitionPipeline#cellSize
+         * @type {number}
+         * @default 1
+         * @since 3.60.0
+         */
+        this.cellSize = 1;
+
+        /**
+         * The WebGL Texture the noise is read from, stretched to cover the Camera, or `null` to generate random noise.
+         *
+         * @name Phaser.Renderer.WebGL.Pipelines.DissolveTransitionPipeline#noiseTexture
+         * @type {?WebGLTexture}
+         * @default null
+         * @since 3.60.0
+         */
+        this.noiseTexture = null;
+    },
+
+    onDraw: function (renderTarget)
+    {
+        var noiseTexture = this.noiseTexture;
+
+        this.set1f('uProgress', this.progress);
+        this.set1f('uSoftness', Math.max(this.softness, 0.0001));
+        this.set1f('uCellSize', Math.max(this.cellSize, 1));
+        this.set2f('uResolution', renderTarget.width, renderTarget.height);
+        this.set1i('uUseNoiseSampler', (noiseTexture) ? 1 : 0);
+
+        var gl = this.gl;
+
+        if (noiseTexture)
+        {
+            this.set1i('uNoiseSampler', 1);
+
+            gl.activeTexture(gl.TEXTURE1);
+            gl.bindTexture(gl.TEXTURE_2D, noiseTexture);
+        }
+
+        this.bindAndDraw(renderTarget);
+
+        if (noiseTexture)
+        {
+            //  Give texture unit 1 back to the renderer
+            var renderer = this.renderer;
+
+            gl.activeTexture(gl.TEXTURE1);
+            gl.bindTexture(gl.TEXTURE_2D, renderer.tempTextures[1]);
+
+            gl.activeTexture(gl.TEXTURE0);
+        }
+    }
+
+});
+
+module.exports = DissolveTransitionPipeline;
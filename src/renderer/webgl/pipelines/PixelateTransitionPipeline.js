@@ -0,0 +1,64 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var Class = require('../../../utils/Class');
+var CONST = require('./const');
+var PostFXPipeline = require('./PostFXPipeline');
+var ShaderSourceFS = require('../shaders/PixelateTransition-frag.js');
+
+/**
+ * @classdesc
+ * The Pixelate Transition Pipeline is a Post FX Pipeline that renders a Camera as large square pixels.
+ *
+ * It is used by the `pixelate` Scene Transition, which sets its `amount` every frame, but it can be set on
+ * any Camera or Game Object that supports Post Pipelines.
+ *
+ * The fragment shader it uses can be found in `shaders/src/PixelateTransition.frag`.
+ *
+ * @class PixelateTransitionPipeline
+ * @extends Phaser.Renderer.WebGL.Pipelines.PostFXPipeline
+ * @memberof Phaser.Renderer.WebGL.Pipelines
+ * @constructor
+ * @since 3.60.0
+ *
+ * @param {Phaser.Game} game - A reference to the Phaser Game instance.
+ */
+var PixelateTransitionPipeline = new Class({
+
+    Extends: PostFXPipeline,
+
+    initialize:
+
+    function PixelateTransitionPipeline (game)
+    {
+        PostFXPipeline.call(this, {
+            game: game,
+            name: CONST.PIXELATE_TRANSITION_PIPELINE,
+            fragShader: ShaderSourceFS
+        });
+
+        /**
+         * The size of the pixels, in screen pixels. A value of 1 or less renders the Camera as normal.
+         *
+         * @name Phaser.Renderer.WebGL.Pipelines.PixelateTransitionPipeline#amount
+         * @type {number}
+         * @default 1
+         * @since 3.60.0
+         */
+        this.amount = 1;
+    },
+
+    onDraw: function (renderTarget)
+    {
+        this.set1f('uAmount', this.amount);
+        this.set2f('uResolution', renderTarget.width, renderTarget.height);
+
+        this.bindAndDraw(renderTarget);
+    }
+
+});
+
+module.exports = PixelateTransitionPipeline;
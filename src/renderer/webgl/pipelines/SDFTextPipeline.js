@@ -0,0 +1,171 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var Class = require('../../../utils/Class');
+var GetFastValue = require('../../../utils/object/GetFastValue');
+var ShaderSourceFS = require('../shaders/SDFText-frag.js');
+var SinglePipeline = require('./SinglePipeline');
+
+/**
+ * The value of the `uFieldType` uniform for each type of distance field.
+ *
+ * @ignore
+ */
+var FIELD_TYPES = { sdf: 0, psdf: 0, msdf: 1, mtsdf: 2 };
+
+/**
+ * @classdesc
+ * The SDF Text Pipeline is a variation of the Single Pipeline that renders Bitmap Text whose font texture is a
+ * signed distance field, such as those created by msdf-bmfont. Rather than sampling the colors of the glyphs,
+ * it works out how far each pixel is from the edge of a glyph, so the text stays sharp at any scale.
+ *
+ * Bitmap Text uses this pipeline automatically when its font data has a `distanceField` entry. The tint of the
+ * Bitmap Text, including per-character tints, is used as the fill color of the glyphs. The `outline`, `glow` and
+ * drop shadow settings of the Bitmap Text are applied by the fragment shader.
+ *
+ * Single channel (`sdf`, `psdf`), multi-channel (`msdf`) and multi-channel plus true distance (`mtsdf`) fields
+ * are supported. Single channel fields are read from the red channel of the texture.
+ *
+ * The fragment shader it uses can be found in `shaders/src/SDFText.frag`.
+ * The vertex shader it uses can be found in `shaders/src/Single.vert`.
+ *
+ * The default shader attributes for this pipeline are:
+ *
+ * `inPosition` (vec2, offset 0)
+ * `inTexCoord` (vec2, offset 8)
+ * `inTexId` (float, offset 16) - this value is always zero in the SDF Text Pipeline
+ * `inTintEffect` (float, offset 20) - a value of 2 renders the drop shadow of the glyph
+ * `inTint` (vec4, offset 24, normalized)
+ *
+ * The default shader uniforms for this pipeline are:
+ *
+ * `uProjectionMatrix` (mat4)
+ * `uMainSampler` (sampler2D)
+ * `uFieldType` (int)
+ * `uDistanceRange` (float)
+ * `uScreenScale` (float)
+ * `uOutlineWidth` (float)
+ * `uOutlineColor` (vec4)
+ * `uGlowWidth` (float)
+ * `uGlowColor` (vec4)
+ * `uShadowBlur` (float)
+ *
+ * @class SDFTextPipeline
+ * @extends Phaser.Renderer.WebGL.Pipelines.SinglePipeline
+ * @memberof Phaser.Renderer.WebGL.Pipelines
+ * @constructor
+ * @since 3.60.0
+ *
+ * @param {Phaser.Types.Renderer.WebGL.WebGLPipelineConfig} config - The configuration options for this pipeline.
+ */
+var SDFTextPipeline = new Class({
+
+    Extends: SinglePipeline,
+
+    initialize:
+
+    function SDFTextPipeline (config)
+    {
+        config.fragShader = GetFastValue(config, 'fragShader', ShaderSourceFS);
+
+        SinglePipeline.call(this, config);
+
+        /**
+         * The uniform values used by the glyphs in the current batch.
+         *
+         * @name Phaser.Renderer.WebGL.Pipelines.SDFTextPipeline#style
+         * @type {number[]}
+         * @private
+         * @since 3.60.0
+         */
+        this.style = [];
+    },
+
+    /**
+     * Sets the uniforms of this pipeline from the font and settings of a Bitmap Text, ready for its glyphs
+     * to be batched. If they differ from those of the current batch, the batch is flushed first.
+     *
+     * This is called automatically by the Bitmap Text renderers.
+     *
+     * @method Phaser.Renderer.WebGL.Pipelines.SDFTextPipeline#setBitmapText
+     * @since 3.60.0
+     *
+     * @param {(Phaser.GameObjects.BitmapText|Phaser.GameObjects.DynamicBitmapText)} src - The Bitmap Text about to be batched.
+     * @param {Phaser.GameObjects.Components.TransformMatrix} calcMatrix - The transform matrix the Bitmap Text is rendered with.
+     *
+     * @return {this} This SDF Text Pipeline.
+     */
+    setBitmapText: function (src, calcMatrix)
+    {
+        var fontData = src.fontData;
+        var distanceField = fontData.distanceField;
+
+        //  How many screen pixels one pixel of the font texture covers
+        var matrixScale = Math.sqrt(Math.abs(calcMatrix.a * calcMatrix.d - calcMatrix.b * calcMatrix.c));
+        var screenScale = Math.max(matrixScale * src.fontSize / fontData.size, 0.0001);
+
+        var style = [
+            GetFastValue(FIELD_TYPES, distanceField.fieldType, 0),
+            distanceField.distanceRange,
+            screenScale,
+            src.outlineWidth,
+            src.outlineColor,
+            src.outlineAlpha,
+            src.glowWidth,
+            src.glowColor,
+            src.glowAlpha,
+            src.dropShadowBlur
+        ];
+
+        var current = this.style;
+
+        for (var i = 0; i < style.length; i++)
+        {
+            if (style[i] !== current[i])
+            {
+                this.flush();
+
+                break;
+            }
+        }
+
+        this.style = style;
+
+        this.set1i('uFieldType', style[0]);
+        this.set1f('uDistanceRange', style[1]);
+        this.set1f('uScreenScale', screenScale);
+        this.set1f('uOutlineWidth', src.outlineWidth);
+        this.setColor('uOutlineColor', src.outlineColor, src.outlineAlpha);
+        this.set1f('uGlowWidth', src.glowWidth);
+        this.setColor('uGlowColor', src.glowColor, src.glowAlpha);
+        this.set1f('uShadowBlur', src.dropShadowBlur);
+
+        return this;
+    },
+
+    /**
+     * Sets a vec4 uniform to a color with premultiplied alpha.
+     *
+     * @method Phaser.Renderer.WebGL.Pipelines.SDFTextPipeline#setColor
+     * @private
+     * @since 3.60.0
+     *
+     * @param {string} name - The name of the uniform to set.
+     * @param {number} color - The color, given as a hex value, i.e. `0xff0000` for red.
+     * @param {number} alpha - The alpha of the color, between 0 and 1.
+     */
+    setColor: function (name, color, alpha)
+    {
+        var r = ((color >> 16) & 0xff) / 255;
+        var g = ((color >> 8) & 0xff) / 255;
+        var b = (color & 0xff) / 255;
+
+        this.set4f(name, r * alpha, g * alpha, b * alpha, alpha);
+    }
+
+});
+
+module.exports = SDFTextPipeline;
@@ -94,7 +94,37 @@ var PIPELINE_CONST = {
      * @const
      * @since 3.50.0
      */
-    UTILITY_PIPELINE: 'UtilityPipeline'
+    UTILITY_PIPELINE: 'UtilityPipeline',
+
+    /**
+     * The Pixelate Transition Post FX Pipeline.
+     *
+     * @name Phaser.Renderer.WebGL.Pipelines.PIXELATE_TRANSITION_PIPELINE
+     * @type {string}
+     * @const
+     * @since 3.60.0
+     */
+    PIXELATE_TRANSITION_PIPELINE: 'PixelateTransitionPipeline',
+
+    /**
+     * The Dissolve Transition Post FX Pipeline.
+     *
+     * @name Phaser.Renderer.WebGL.Pipelines.DISSOLVE_TRANSITION_PIPELINE
+     * @type {string}
+     * @const
+     * @since 3.60.0
+     */
+    DISSOLVE_TRANSITION_PIPELINE: 'DissolveTransitionPipeline',
+
+    /**
+     * The SDF Text Pipeline.
+     *
+     * @name Phaser.Renderer.WebGL.Pipelines.SDF_TEXT_PIPELINE
+     * @type {string}
+     * @const
+     * @since 3.60.0
+     */
+    SDF_TEXT_PIPELINE: 'SDFTextPipeline'
 };
 
 module.exports = PIPELINE_CONST;
@@ -14,13 +14,16 @@ var Extend = require('../../../utils/object/Extend');
 var Pipelines = {
 
     BitmapMaskPipeline: require('./BitmapMaskPipeline'),
+    DissolveTransitionPipeline: require('./DissolveTransitionPipeline'),
     Events: require('./events'),
     GraphicsPipeline: require('./GraphicsPipeline'),
     LightPipeline: require('./LightPipeline'),
     MultiPipeline: require('./MultiPipeline'),
+    PixelateTransitionPipeline: require('./PixelateTransitionPipeline'),
     PointLightPipeline: require('./PointLightPipeline'),
     PostFXPipeline: require('./PostFXPipeline'),
     RopePipeline: require('./RopePipeline'),
+    SDFTextPipeline: require('./SDFTextPipeline'),
     SinglePipeline: require('./SinglePipeline'),
     UtilityPipeline: require('./UtilityPipeline')
 
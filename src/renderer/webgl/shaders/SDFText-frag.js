@@ -0,0 +1,77 @@
+module.exports = [
+    '#define SHADER_NAME PHASER_SDF_TEXT_FS',
+    '',
+    'precision mediump float;',
+    '',
+    'uniform sampler2D uMainSampler;',
+    'uniform int uFieldType;',
+    'uniform float uDistanceRange;',
+    'uniform float uScreenScale;',
+    'uniform float uOutlineWidth;',
+    'uniform vec4 uOutlineColor;',
+    'uniform float uGlowWidth;',
+    'uniform vec4 uGlowColor;',
+    'uniform float uShadowBlur;',
+    '',
+    'varying vec2 outTexCoord;',
+    'varying float outTintEffect;',
+    'varying vec4 outTint;',
+    '',
+    'float median (float r, float g, float b)',
+    '{',
+    '    return max(min(r, g), min(max(r, g), b));',
+    '}',
+    '',
+    'void main ()',
+    '{',
+    '    vec4 texture = texture2D(uMainSampler, outTexCoord);',
+    '',
+    '    //  The texture has premultiplied alpha, which scales the color channels of a field that uses the alpha channel',
+    '    if (uFieldType == 2 && texture.a > 0.0)',
+    '    {',
+    '        texture.rgb /= texture.a;',
+    '    }',
+    '',
+    '    float sd = (uFieldType == 0) ? texture.r : median(texture.r, texture.g, texture.b);',
+    '',
+    '    //  The true distance field in the alpha channel of an mtsdf is smoother away from the edge of the glyph',
+    '    float softSd = (uFieldType == 2) ? texture.a : sd;',
+    '',
+    '    //  Signed distances from the edge of the glyph, in pixels of the font texture, positive inside it',
+    '    float dist = (sd - 0.5) * uDistanceRange;',
+    '    float softDist = (softSd - 0.5) * uDistanceRange;',
+    '',
+    '    vec4 tint = vec4(outTint.bgr * outTint.a, outTint.a);',
+    '',
+    '    if (outTintEffect == 2.0)',
+    '    {',
+    '        //  Drop shadow: the outlined glyph with a blurred edge',
+    '        float spread = uShadowBlur + 0.5 / uScreenScale;',
+    '',
+    '        gl_FragColor = tint * smoothstep(-spread, spread, softDist + uOutlineWidth);',
+    '',
+    '        return;',
+    '    }',
+    '',
+    '    float fill = clamp(dist * uScreenScale + 0.5, 0.0, 1.0);',
+    '',
+    '    vec4 color = tint * fill;',
+    '',
+    '    if (uOutlineWidth > 0.0)',
+    '    {',
+    '        float outline = clamp((dist + uOutlineWidth) * uScreenScale + 0.5, 0.0, 1.0);',
+    '',
+    '        color += uOutlineColor * outTint.a * outline * (1.0 - color.a);',
+    '    }',
+    '',
+    '    if (uGlowWidth > 0.0)',
+    '    {',
+    '        float glow = 1.0 - smoothstep(0.0, uGlowWidth, -(softDist + uOutlineWidth));',
+    '',
+    '        color += uGlowColor * outTint.a * glow * (1.0 - color.a);',
+    '    }',
+    '',
+    '    gl_FragColor = color;',
+    '}',
+    ''
+].join('\n');
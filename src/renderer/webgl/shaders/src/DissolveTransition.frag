@@ -0,0 +1,36 @@
+#define SHADER_NAME PHASER_DISSOLVE_TRANSITION_FS
+
+precision mediump float;
+
+uniform sampler2D uMainSampler;
+uniform sampler2D uNoiseSampler;
+uniform vec2 uResolution;
+uniform float uProgress;
+uniform float uSoftness;
+uniform float uCellSize;
+uniform bool uUseNoiseSampler;
+
+varying vec2 outTexCoord;
+
+void main ()
+{
+    float noise;
+
+    if (uUseNoiseSampler)
+    {
+        noise = texture2D(uNoiseSampler, outTexCoord).r;
+    }
+    else
+    {
+        vec2 cell = floor(outTexCoord * uResolution / uCellSize);
+
+        noise = fract(sin(dot(cell, vec2(12.9898, 78.233))) * 43758.5453);
+    }
+
+    //  Every pixel is fully shown when the progress is 1, even the ones with a noise value of 1
+    float threshold = uProgress * (1.0 + uSoftness);
+
+    float alpha = clamp((threshold - noise) / uSoftness, 0.0, 1.0);
+
+    gl_FragColor = texture2D(uMainSampler, outTexCoord) * alpha;
+}
@@ -0,0 +1,23 @@
+#define SHADER_NAME PHASER_PIXELATE_TRANSITION_FS
+
+precision mediump float;
+
+uniform sampler2D uMainSampler;
+uniform vec2 uResolution;
+uniform float uAmount;
+
+varying vec2 outTexCoord;
+
+void main ()
+{
+    vec2 uv = outTexCoord;
+
+    if (uAmount > 1.0)
+    {
+        vec2 size = uAmount / uResolution;
+
+        uv = (floor(uv / size) + 0.5) * size;
+    }
+
+    gl_FragColor = texture2D(uMainSampler, uv);
+}
@@ -2,7 +2,14 @@
  * @typedef {object} Phaser.Types.Renderer.WebGL.WebGLTextureCompression
  * @since 3.55.0
  *
- * @property {object|null} ETC1 - Indicates if ETC1 compression is supported on current device (mostly Android).
- * @property {object|null} PVRTC - Indicates if PVRTC compression is supported on current device (mostly iOS).
- * @property {object|null} S3TC - Indicates if S3TC compression is supported on current device.
+ * @property {object|false} ETC - Indicates if ETC compression is supported on current device (mostly Android).
+ * @property {object|false} ETC1 - Indicates if ETC1 compression is supported on current device (mostly Android).
+ * @property {object|false} ATC - Indicates if ATC compression is supported on current device (mostly Android).
+ * @property {object|false} ASTC - Indicates if ASTC compression is supported on current device (most modern mobile devices).
+ * @property {object|false} BPTC - Indicates if BPTC compression is supported on current device (desktop).
+ * @property {object|false} RGTC - Indicates if RGTC compression is supported on current device (desktop).
+ * @property {object|false} PVRTC - Indicates if PVRTC compression is supported on current device (mostly iOS).
+ * @property {object|false} S3TC - Indicates if S3TC compression is supported on current device.
+ * @property {object|false} S3TCSRGB - Indicates if S3TCSRGB compression is supported on current device.
+ * @property {boolean} IMG - Indicates if IMG format is supported on current device. This is always `true`.
  */
@@ -588,6 +588,12 @@ var ScaleManager = new Class({
             return;
         }
 
+        if (typeof document === 'undefined')
+        {
+            //  Running headless without a DOM, such as under Node.js, so there is no parent
+            return;
+        }
+
         this.parent = GetTarget(parent);
         this.parentIsWindow = (this.parent === document.body);
 
@@ -1123,8 +1129,15 @@ var ScaleManager = new Class({
         var bounds = this.canvasBounds;
         var clientRect = this.canvas.getBoundingClientRect();
 
-        bounds.x = clientRect.left + (window.pageXOffset || 0) - (document.documentElement.clientLeft || 0);
-        bounds.y = clientRect.top + (window.pageYOffset || 0) - (document.documentElement.clientTop || 0);
+        bounds.x = clientRect.left;
+        bounds.y = clientRect.top;
+
+        if (typeof document !== 'undefined')
+        {
+            bounds.x += (window.pageXOffset || 0) - (document.documentElement.clientLeft || 0);
+            bounds.y += (window.pageYOffset || 0) - (document.documentElement.clientTop || 0);
+        }
+
         bounds.width = clientRect.width;
         bounds.height = clientRect.height;
     },
@@ -1388,6 +1401,12 @@ var ScaleManager = new Class({
      */
     startListeners: function ()
     {
+        if (typeof window === 'undefined')
+        {
+            //  Running headless without a DOM, such as under Node.js
+            return;
+        }
+
         var _this = this;
         var listeners = this.listeners;
 
@@ -1508,6 +1527,11 @@ var ScaleManager = new Class({
      */
     stopListeners: function ()
     {
+        if (typeof window === 'undefined')
+        {
+            return;
+        }
+
         var listeners = this.listeners;
 
         window.removeEventListener('orientationchange', listeners.orientationChange, false);
@@ -39,9 +39,10 @@ var InjectionMap = {
     input: 'input',
     load: 'load',
     time: 'time',
-    tweens: 'tweens'
+    tweens: 'tweens',
+
+    arcadePhysics: 'physics'
 
-    // arcadePhysics: 'physics',
     // impactPhysics: 'impact',
     // matterPhysics: 'matter'
 
@@ -235,17 +235,17 @@ var Scene = new Class({
          */
         this.tweens;
 
-        // /**
-        //  * The Scene Arcade Physics Plugin.
-        //  *
-        //  * This property will only be available if defined in the Scene Injection Map, the plugin is installed and configured.
-        //  *
-        //  * @name Phaser.Scene#physics
-        //  * @type {Phaser.Physics.Arcade.ArcadePhysics}
-        //  * @since 3.0.0
-        //  */
-        // this.physics;
-        //
+        /**
+         * The Scene Arcade Physics Plugin.
+         *
+         * This property will only be available if defined in the Scene Injection Map, the plugin is installed and configured.
+         *
+         * @name Phaser.Scene#physics
+         * @type {Phaser.Physics.Arcade.ArcadePhysics}
+         * @since 3.0.0
+         */
+        this.physics;
+
         // /**
         //  * The Scene Matter Physics Plugin.
         //  *
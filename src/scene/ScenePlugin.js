@@ -7,8 +7,10 @@
 var Clamp = require('../math/Clamp');
 var Class = require('../utils/Class');
 var Events = require('./events');
+var GetEaseFunction = require('../tweens/builders/GetEaseFunction');
 var GetFastValue = require('../utils/object/GetFastValue');
 var PluginCache = require('../plugins/PluginCache');
+var Transitions = require('./transitions');
 
 /**
  * @classdesc
@@ -160,6 +162,26 @@ var ScenePlugin = new Class({
          */
         this._willRemove = false;
 
+        /**
+         * The visual effect of the transition, if any.
+         *
+         * @name Phaser.Scenes.ScenePlugin#_effect
+         * @type {?Phaser.Scenes.Transitions.BaseTransition}
+         * @private
+         * @since 3.60.0
+         */
+        this._effect = null;
+
+        /**
+         * The ease function applied to the progress of the transition before it is given to the effect.
+         *
+         * @name Phaser.Scenes.ScenePlugin#_ease
+         * @type {?function}
+         * @private
+         * @since 3.60.0
+         */
+        this._ease = null;
+
         scene.sys.events.once(Events.BOOT, this.boot, this);
         scene.sys.events.on(Events.START, this.pluginStart, this);
     },
@@ -261,6 +283,17 @@ var ScenePlugin = new Class({
      * When the duration of the transition has elapsed it will emit the event `transitioncomplete`.
      * These events are cleared of all listeners when the Scene shuts down, but not if it is sent to sleep.
      *
+     * You can give the transition a visual effect, by setting the `effect` property of the config to the name of
+     * one of the built-in effects: `crossfade`, `dissolve`, `fade`, `iris`, `pixelate`, `slide` or `wipe`,
+     * or to a class that extends `Phaser.Scenes.Transitions.BaseTransition`. The effect changes the Cameras
+     * of both Scenes as the transition progresses, using the `ease` given in the config, and restores them
+     * when it's over. The `dissolve` and `pixelate` effects use Post FX Pipelines and fall back to a crossfade
+     * under the Canvas Renderer. Unless `moveBelow` is set, the target Scene is moved above this one.
+     *
+     * ```javascript
+     * this.scene.transition({ target: 'Level2', duration: 800, effect: 'wipe', direction: 'left', ease: 'Cubic.easeInOut' });
+     * ```
+     *
      * It's important to understand that the duration of the transition begins the moment you call this method.
      * If the Scene you are transitioning to includes delayed processes, such as waiting for files to load, the
      * time still counts down even while that is happening. If the game itself pauses, or something else causes
@@ -297,6 +330,24 @@ var ScenePlugin = new Class({
         this._willSleep = GetFastValue(config, 'sleep', false);
         this._willRemove = GetFastValue(config, 'remove', false);
 
+        var Effect = GetFastValue(config, 'effect', null);
+
+        if (typeof Effect === 'string')
+        {
+            if (!Transitions.EFFECTS.hasOwnProperty(Effect))
+            {
+                console.warn('Unknown Scene Transition effect: ' + Effect);
+            }
+
+            Effect = Transitions.EFFECTS[Effect];
+        }
+
+        if (Effect)
+        {
+            this._effect = new Effect(this.scene, target, config);
+            this._ease = GetEaseFunction(GetFastValue(config, 'ease', 'Linear'), GetFastValue(config, 'easeParams', null));
+        }
+
         var callback = GetFastValue(config, 'onUpdate', null);
 
         if (callback)
@@ -324,6 +375,11 @@ var ScenePlugin = new Class({
         {
             this.manager.moveBelow(this.key, key);
         }
+        else if (this._effect)
+        {
+            //  The effects reveal the target Scene over this one
+            this.manager.moveAbove(this.key, key);
+        }
 
         if (target.sys.isSleeping())
         {
@@ -385,6 +441,11 @@ var ScenePlugin = new Class({
             this._onUpdate.call(this._onUpdateScope, this.transitionProgress);
         }
 
+        if (this._effect)
+        {
+            this._effect.update(this._ease(this.transitionProgress));
+        }
+
         if (this._elapsed >= this._duration)
         {
             this.transitionComplete();
@@ -407,6 +468,9 @@ var ScenePlugin = new Class({
         //  Stop the step
         this.systems.events.off(Events.UPDATE, this.step, this);
 
+        //  Restore the Cameras before the target Scene hears about it
+        this.destroyEffect();
+
         //  Notify target scene
         targetSys.events.emit(Events.TRANSITION_COMPLETE, this.scene);
 
@@ -435,6 +499,24 @@ var ScenePlugin = new Class({
         }
     },
 
+    /**
+     * Stops the visual effect of the transition, if any, restoring the Cameras of both Scenes, and destroys it.
+     *
+     * @method Phaser.Scenes.ScenePlugin#destroyEffect
+     * @private
+     * @since 3.60.0
+     */
+    destroyEffect: function ()
+    {
+        if (this._effect)
+        {
+            this._effect.destroy();
+
+            this._effect = null;
+            this._ease = null;
+        }
+    },
+
     /**
      * Add the Scene into the Scene Manager and start it if 'autoStart' is true or the Scene config 'active' property is set.
      *
@@ -984,6 +1066,8 @@ var ScenePlugin = new Class({
         eventEmitter.off(Events.SHUTDOWN, this.shutdown, this);
         eventEmitter.off(Events.POST_UPDATE, this.step, this);
         eventEmitter.off(Events.TRANSITION_OUT);
+
+        this.destroyEffect();
     },
 
     /**
@@ -0,0 +1,564 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var BitmapText = require('../gameobjects/bitmaptext/static/BitmapText');
+var ConfigFromJSON = require('../tweens/builders/ConfigFromJSON');
+var ConfigToJSON = require('../tweens/builders/ConfigToJSON');
+var Container = require('../gameobjects/container/Container');
+var CustomMap = require('../structs/Map');
+var Image = require('../gameobjects/image/Image');
+var Layer = require('../gameobjects/layer/Layer');
+var Sprite = require('../gameobjects/sprite/Sprite');
+var Text = require('../gameobjects/text/Text');
+var Tween = require('../tweens/tween/Tween');
+
+/**
+ * The functions that create the Game Objects of each type, stored by type.
+ *
+ * @ignore
+ */
+var factories = new CustomMap([
+    [ 'BitmapText', function (scene, json)
+    {
+        var data = json.data;
+        var text = new BitmapText(scene, json.x, json.y, data.font, data.text, data.fontSize, data.align);
+
+        return text.setLetterSpacing(data.letterSpacing);
+    } ],
+    [ 'Container', function (scene, json)
+    {
+        return new Container(scene, json.x, json.y);
+    } ],
+    [ 'Image', function (scene, json)
+    {
+        return new Image(scene, json.x, json.y, json.textureKey, json.frameKey);
+    } ],
+    [ 'Layer', function (scene)
+    {
+        return new Layer(scene);
+    } ],
+    [ 'Sprite', function (scene, json)
+    {
+        return new Sprite(scene, json.x, json.y, json.textureKey, json.frameKey);
+    } ],
+    [ 'Text', function (scene, json)
+    {
+        var data = json.data;
+        var text = new Text(scene, json.x, json.y, '');
+        var style = text.style;
+
+        //  The style is stored with the flat property names the Text Style uses internally
+        for (var key in data.style)
+        {
+            if (key !== 'metrics')
+            {
+                style[key] = data.style[key];
+            }
+        }
+
+        text.autoRound = data.autoRound;
+        text.padding = data.padding;
+        text.setText(data.text);
+
+        style.update(true);
+
+        return text;
+    } ]
+]);
+
+/**
+ * Creates the snapshot of a Game Object, and of its children, and adds them to the list of serialized Game Objects.
+ *
+ * @ignore
+ */
+var serializeGameObject = function (gameObject, objects)
+{
+    if (!factories.has(gameObject.type))
+    {
+        console.warn('Cannot serialize Game Object of type: ' + gameObject.type);
+
+        return null;
+    }
+
+    var json = gameObject.toJSON();
+
+    json.id = objects.length;
+    json.active = gameObject.active;
+
+    objects.push(gameObject);
+
+    if (gameObject.setScrollFactor)
+    {
+        json.scrollFactor = { x: gameObject.scrollFactorX, y: gameObject.scrollFactorY };
+    }
+
+    if (gameObject.setTint)
+    {
+        json.tint = [ gameObject.tintTopLeft, gameObject.tintTopRight, gameObject.tintBottomLeft, gameObject.tintBottomRight ];
+        json.tintFill = gameObject.tintFill;
+    }
+
+    if (gameObject.data)
+    {
+        json.values = gameObject.data.getAll();
+    }
+
+    if (gameObject.anims)
+    {
+        json.anims = gameObject.anims.toJSON();
+    }
+
+    if (gameObject.type === 'Container' || gameObject.type === 'Layer')
+    {
+        json.children = serializeList(gameObject.list, objects);
+    }
+
+    return json;
+};
+
+/**
+ * Creates the snapshots of a list of Game Objects, skipping those that can't be serialized.
+ *
+ * @ignore
+ */
+var serializeList = function (list, objects)
+{
+    var output = [];
+
+    for (var i = 0; i < list.length; i++)
+    {
+        var json = serializeGameObject(list[i], objects);
+
+        if (json)
+        {
+            output.push(json);
+        }
+    }
+
+    return output;
+};
+
+/**
+ * Creates the snapshot of a Tween, with its targets given by their Game Object ids.
+ *
+ * @ignore
+ */
+var serializeTween = function (manager, tween, objects)
+{
+    var targets = [];
+
+    for (var i = 0; i < tween.targets.length; i++)
+    {
+        var id = objects.indexOf(tween.targets[i]);
+
+        if (id === -1)
+        {
+            console.warn('Cannot serialize Tween with a target that is not a serialized Game Object');
+
+            return null;
+        }
+
+        targets.push(id);
+    }
+
+    var config = {};
+
+    for (var key in tween.config)
+    {
+        if (key !== 'targets')
+        {
+            config[key] = tween.config[key];
+        }
+    }
+
+    return {
+        targets: targets,
+        config: ConfigToJSON(manager, config),
+        state: tween.getState()
+    };
+};
+
+/**
+ * Sets the state shared by all Game Objects from their snapshot, after they have been created.
+ *
+ * @ignore
+ */
+var restoreGameObject = function (gameObject, json)
+{
+    gameObject.name = json.name;
+    gameObject.active = json.active;
+    gameObject.visible = json.visible;
+    gameObject.alpha = json.alpha;
+    gameObject.blendMode = json.blendMode;
+    gameObject.depth = json.depth;
+
+    if (gameObject.setScale)
+    {
+        gameObject.setScale(json.scale.x, json.scale.y);
+        gameObject.rotation = json.rotation;
+    }
+
+    if (gameObject.setOrigin)
+    {
+        gameObject.setOrigin(json.origin.x, json.origin.y);
+    }
+
+    if (gameObject.setFlip)
+    {
+        gameObject.setFlip(json.flipX, json.flipY);
+    }
+
+    if (json.scrollFactor && gameObject.setScrollFactor)
+    {
+        gameObject.setScrollFactor(json.scrollFactor.x, json.scrollFactor.y);
+    }
+
+    if (json.tint && gameObject.setTint)
+    {
+        gameObject.setTint(json.tint[0], json.tint[1], json.tint[2], json.tint[3]);
+        gameObject.tintFill = json.tintFill;
+    }
+
+    if (json.values)
+    {
+        gameObject.setData(json.values);
+    }
+
+    if (json.anims && gameObject.anims)
+    {
+        gameObject.anims.fromJSON(json.anims);
+    }
+};
+
+/**
+ * Creates a Game Object, and its children, from its snapshot and adds them to the list of deserialized Game Objects.
+ *
+ * @ignore
+ */
+var deserializeGameObject = function (scene, json, objects)
+{
+    var factory = factories.get(json.type);
+
+    if (!factory)
+    {
+        console.warn('Cannot deserialize Game Object of type: ' + json.type);
+
+        return null;
+    }
+
+    var gameObject = factory(scene, json);
+
+    objects[json.id] = gameObject;
+
+    restoreGameObject(gameObject, json);
+
+    if (json.children)
+    {
+        for (var i = 0; i < json.children.length; i++)
+        {
+            var child = deserializeGameObject(scene, json.children[i], objects);
+
+            if (child)
+            {
+                gameObject.add(child);
+            }
+        }
+    }
+
+    //  The hook for Game Objects to restore the fields they added in their `toJSON` method
+    if (gameObject.fromJSON)
+    {
+        gameObject.fromJSON(json);
+    }
+
+    return gameObject;
+};
+
+/**
+ * Sets the Cameras of a Scene from their JSON, updating the existing Cameras in order and adding any extra ones.
+ *
+ * @ignore
+ */
+var restoreCameras = function (cameraManager, cameras)
+{
+    var existing = cameraManager.cameras;
+
+    for (var i = 0; i < cameras.length && i < existing.length; i++)
+    {
+        var json = cameras[i];
+        var camera = existing[i];
+
+        camera.name = json.name;
+        camera.setViewport(json.x, json.y, json.width, json.height);
+        camera.setZoom(json.zoom);
+        camera.setRotation(json.rotation);
+        camera.setRoundPixels(json.roundPixels);
+        camera.setScroll(json.scrollX, json.scrollY);
+        camera.setBackgroundColor(json.backgroundColor);
+
+        if (json.bounds)
+        {
+            camera.setBounds(json.bounds.x, json.bounds.y, json.bounds.width, json.bounds.height);
+        }
+        else
+        {
+            camera.removeBounds();
+        }
+    }
+
+    if (cameras.length > existing.length)
+    {
+        cameraManager.fromJSON(cameras.slice(existing.length));
+    }
+};
+
+/**
+ * The Scene Serializer creates snapshots of the state of a Scene that can be stored as JSON, such as for save games,
+ * or to carry on from where the game was after the page reloads, and restores Scenes from them.
+ * It is used by `Systems.serialize` and `Systems.deserialize`.
+ *
+ * A snapshot holds:
+ *
+ * - The Game Objects on the display list, in order, including the children of Containers and Layers, with their
+ *   transforms, textures and frames, tints, Data Manager values and animation state.
+ * - The values in the Scene's Data Manager.
+ * - The position, size, zoom and scroll of the Scene's Cameras.
+ * - The Tweens of the Scene that target serialized Game Objects, and how far through they are.
+ * - The Timer Events of the Scene's Clock, and how far through they are.
+ *
+ * Only Game Objects whose type has been registered can be serialized. Images, Sprites, Text, Bitmap Text, Containers
+ * and Layers are registered by default. Other Game Objects are skipped with a warning. To add your own types, register
+ * a function that creates the Game Object from its snapshot:
+ *
+ * ```javascript
+ * Phaser.Scenes.SceneSerializer.register('Gem', function (scene, json)
+ * {
+ *     return new Gem(scene, json.x, json.y, json.data.color);
+ * });
+ * ```
+ *
+ * The snapshot of a Game Object is created by its `toJSON` method, to which the serializer adds the fields it
+ * restores. Override `toJSON` to add your own fields, in the `data` property, and add a `fromJSON` method to restore
+ * them, which is called with the snapshot once the Game Object has been created and its shared state restored.
+ *
+ * Anything stored must be JSON serializable, including Data Manager values and Timer Event arguments.
+ * Functions are stored by name: Tween callbacks must be registered with `TweenManager.registerCallback`, and Timer
+ * Event callbacks with `Clock.registerCallback`, in the Scene being restored too. Tween Timelines, number Tweens
+ * and Tweens of objects that are not serialized Game Objects are not stored.
+ *
+ * @namespace Phaser.Scenes.SceneSerializer
+ * @since 3.60.0
+ */
+var SceneSerializer = {
+
+    /**
+     * Registers the function that creates the Game Objects of the given type from their snapshots.
+     *
+     * The function is given the Scene and the snapshot of the Game Object, and must return the new Game Object.
+     * It doesn't need to restore the state shared by all Game Objects, such as their transform, or add them to the Scene.
+     *
+     * If a function is already registered for the type it is replaced.
+     *
+     * @function Phaser.Scenes.SceneSerializer.register
+     * @since 3.60.0
+     *
+     * @param {string} type - The type of the Game Object, as given by its `type` property.
+     * @param {Phaser.Types.Scenes.GameObjectSnapshotFactory} factory - The function that creates the Game Object.
+     */
+    register: function (type, factory)
+    {
+        factories.set(type, factory);
+    },
+
+    /**
+     * Removes the function registered for the given type of Game Object, so they are no longer serialized.
+     *
+     * @function Phaser.Scenes.SceneSerializer.remove
+     * @since 3.60.0
+     *
+     * @param {string} type - The type of the Game Object.
+     */
+    remove: function (type)
+    {
+        factories.delete(type);
+    },
+
+    /**
+     * Checks if the given type of Game Object can be serialized.
+     *
+     * @function Phaser.Scenes.SceneSerializer.has
+     * @since 3.60.0
+     *
+     * @param {string} type - The type of the Game Object.
+     *
+     * @return {boolean} `true` if a function is registered for the type, otherwise `false`.
+     */
+    has: function (type)
+    {
+        return factories.has(type);
+    },
+
+    /**
+     * Creates a snapshot of the state of a Scene.
+     *
+     * @function Phaser.Scenes.SceneSerializer.serialize
+     * @since 3.60.0
+     *
+     * @param {Phaser.Scenes.Systems} sys - The Systems of the Scene to serialize.
+     *
+     * @return {Phaser.Types.Scenes.SceneSnapshot} The snapshot of the Scene.
+     */
+    serialize: function (sys)
+    {
+        var objects = [];
+
+        var snapshot = {
+            key: sys.settings.key,
+            data: (sys.data) ? sys.data.getAll() : {},
+            displayList: serializeList(sys.displayList.list, objects),
+            cameras: [],
+            tweens: [],
+            time: null
+        };
+
+        if (sys.cameras)
+        {
+            snapshot.cameras = sys.cameras.cameras.map(function (camera)
+            {
+                return camera.toJSON();
+            });
+        }
+
+        if (sys.tweens)
+        {
+            var tweens = sys.tweens.getAllTweens(true);
+
+            for (var i = 0; i < tweens.length; i++)
+            {
+                var tween = tweens[i];
+
+                //  Timelines, and number tweens, don't have a config to store
+                if (tween.isTimeline || !tween.config)
+                {
+                    continue;
+                }
+
+                var json = serializeTween(sys.tweens, tween, objects);
+
+                if (json)
+                {
+                    snapshot.tweens.push(json);
+                }
+            }
+        }
+
+        if (sys.time)
+        {
+            snapshot.time = sys.time.toJSON();
+        }
+
+        return snapshot;
+    },
+
+    /**
+     * Restores the state of a Scene from a snapshot, as created by `serialize`.
+     *
+     * All of the Game Objects on the display list of the Scene are destroyed, and all of its Tweens and Timer Events
+     * removed, then they are recreated from the snapshot. The values in the Scene's Data Manager are replaced, and
+     * the existing Cameras updated in order, with any extra Cameras added.
+     *
+     * @function Phaser.Scenes.SceneSerializer.deserialize
+     * @since 3.60.0
+     *
+     * @param {Phaser.Scenes.Systems} sys - The Systems of the Scene to restore.
+     * @param {Phaser.Types.Scenes.SceneSnapshot} snapshot - The snapshot of the Scene.
+     *
+     * @return {Phaser.GameObjects.GameObject[]} The Game Objects that were created, by their id in the snapshot.
+     */
+    deserialize: function (sys, snapshot)
+    {
+        var scene = sys.scene;
+        var i;
+
+        if (sys.tweens)
+        {
+            sys.tweens.removeAll();
+        }
+
+        if (sys.time)
+        {
+            sys.time.removeAllEvents();
+            sys.time.clearPendingEvents();
+        }
+
+        var displayList = sys.displayList;
+        var children = displayList.list.slice();
+
+        for (i = 0; i < children.length; i++)
+        {
+            children[i].destroy();
+        }
+
+        if (sys.data)
+        {
+            sys.data.reset();
+            sys.data.set(snapshot.data);
+        }
+
+        var objects = [];
+
+        for (i = 0; i < snapshot.displayList.length; i++)
+        {
+            var gameObject = deserializeGameObject(scene, snapshot.displayList[i], objects);
+
+            if (gameObject)
+            {
+                displayList.add(gameObject);
+            }
+        }
+
+        if (sys.cameras)
+        {
+            restoreCameras(sys.cameras, snapshot.cameras);
+        }
+
+        if (sys.tweens)
+        {
+            for (i = 0; i < snapshot.tweens.length; i++)
+            {
+                var json = snapshot.tweens[i];
+
+                var targets = json.targets.map(function (id)
+                {
+                    return objects[id];
+                });
+
+                if (targets.indexOf(undefined) !== -1)
+                {
+                    console.warn('Cannot deserialize Tween with a target that was not deserialized');
+
+                    continue;
+                }
+
+                var config = ConfigFromJSON(sys.tweens, json.config, Tween.TYPES);
+
+                config.targets = targets;
+
+                sys.tweens.restore(config, json.state);
+            }
+        }
+
+        if (sys.time && snapshot.time)
+        {
+            sys.time.fromJSON(snapshot.time);
+        }
+
+        return objects;
+    }
+
+};
+
+module.exports = SceneSerializer;
@@ -8,9 +8,11 @@ var Class = require('../utils/Class');
 var CONST = require('./const');
 var DefaultPlugins = require('../plugins/DefaultPlugins');
 var Events = require('./events');
+var GetPhysicsPlugins = require('./GetPhysicsPlugins');
 var GetScenePlugins = require('./GetScenePlugins');
 var GLOBAL_CONST = require('../const');
 var NOOP = require('../utils/NOOP');
+var SceneSerializer = require('./SceneSerializer');
 var Settings = require('./Settings');
 
 /**
@@ -333,7 +335,7 @@ var Systems = new Class({
 
         this.plugins = pluginManager;
 
-        pluginManager.addToScene(this, DefaultPlugins.Global, [ DefaultPlugins.CoreScene, GetScenePlugins(this) ]);
+        pluginManager.addToScene(this, DefaultPlugins.Global, [ DefaultPlugins.CoreScene, GetScenePlugins(this), GetPhysicsPlugins(this) ]);
 
         this.events.emit(Events.BOOT, this);
 
@@ -547,6 +549,57 @@ var Systems = new Class({
         return this.settings.data;
     },
 
+    /**
+     * Creates a snapshot of the state of this Scene that can be stored as JSON, such as for a save game.
+     *
+     * It holds the Game Objects on the display list, including the children of Containers and Layers,
+     * with their transforms, textures, frames, Data Manager values and animation state, along with the
+     * values in the Scene's Data Manager, its Cameras, Tweens and Timer Events.
+     *
+     * See `Phaser.Scenes.SceneSerializer` for what can be serialized, and how to add your own Game Objects.
+     *
+     * ```javascript
+     * localStorage.setItem('save', JSON.stringify(this.sys.serialize()));
+     * ```
+     *
+     * @method Phaser.Scenes.Systems#serialize
+     * @since 3.60.0
+     *
+     * @return {Phaser.Types.Scenes.SceneSnapshot} The snapshot of this Scene.
+     */
+    serialize: function ()
+    {
+        return SceneSerializer.serialize(this);
+    },
+
+    /**
+     * Restores the state of this Scene from a snapshot, as created by `serialize`.
+     *
+     * All of the Game Objects on the display list are destroyed, and all of the Tweens and Timer Events removed,
+     * then they are recreated from the snapshot. Call it from the `create` method of the Scene, after registering
+     * any Tween and Timer Event callbacks the snapshot uses, to carry on from where the snapshot was taken.
+     *
+     * ```javascript
+     * var save = localStorage.getItem('save');
+     *
+     * if (save)
+     * {
+     *     this.sys.deserialize(JSON.parse(save));
+     * }
+     * ```
+     *
+     * @method Phaser.Scenes.Systems#deserialize
+     * @since 3.60.0
+     *
+     * @param {Phaser.Types.Scenes.SceneSnapshot} snapshot - The snapshot to restore.
+     *
+     * @return {Phaser.GameObjects.GameObject[]} The Game Objects that were created, by their id in the snapshot.
+     */
+    deserialize: function (snapshot)
+    {
+        return SceneSerializer.deserialize(this, snapshot);
+    },
+
     /**
      * Is this Scene sleeping?
      *
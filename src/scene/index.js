@@ -16,9 +16,11 @@ var Scene = {
     Events: require('./events'),
     GetPhysicsPlugins: require('./GetPhysicsPlugins'),
     SceneManager: require('./SceneManager'),
+    SceneSerializer: require('./SceneSerializer'),
     ScenePlugin: require('./ScenePlugin'),
     Settings: require('./Settings'),
-    Systems: require('./Systems')
+    Systems: require('./Systems'),
+    Transitions: require('./transitions')
 
 };
 
@@ -0,0 +1,345 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var Class = require('../../utils/Class');
+var CONST = require('../../const');
+var GeometryMask = require('../../display/mask/GeometryMask');
+var Graphics = require('../../gameobjects/graphics/Graphics');
+var NOOP = require('../../utils/NOOP');
+
+/**
+ * @classdesc
+ * The base class for the visual effects of Scene Transitions.
+ *
+ * A Transition is created by `ScenePlugin.transition` when its config has an `effect`. Every frame of the
+ * transition it is given the eased progress, from 0 to 1, and changes the Cameras of the two Scenes to match it,
+ * by moving, fading, hiding or masking them, or setting Post FX Pipelines on them. When the transition is over,
+ * or is stopped early, the Cameras are restored to how they were before it started.
+ *
+ * Transitions start on their first update, rather than when they are created, because the target Scene doesn't
+ * have its Cameras until it has started, which happens at the start of the next game step.
+ *
+ * To make your own effect, extend this class, implement the `onStart`, `onUpdate` and `onStop` hooks, and
+ * either pass the class as the `effect` of a transition config, or add it to `Phaser.Scenes.Transitions.EFFECTS`.
+ *
+ * @class BaseTransition
+ * @memberof Phaser.Scenes.Transitions
+ * @constructor
+ * @since 3.60.0
+ *
+ * @param {Phaser.Scene} fromScene - The Scene being transitioned from.
+ * @param {Phaser.Scene} toScene - The Scene being transitioned to.
+ * @param {Phaser.Types.Scenes.SceneTransitionConfig} config - The transition configuration object.
+ */
+var BaseTransition = new Class({
+
+    initialize:
+
+    function BaseTransition (fromScene, toScene, config)
+    {
+        /**
+         * The Scene being transitioned from.
+         *
+         * @name Phaser.Scenes.Transitions.BaseTransition#fromScene
+         * @type {Phaser.Scene}
+         * @since 3.60.0
+         */
+        this.fromScene = fromScene;
+
+        /**
+         * The Scene being transitioned to.
+         *
+         * @name Phaser.Scenes.Transitions.BaseTransition#toScene
+         * @type {Phaser.Scene}
+         * @since 3.60.0
+         */
+        this.toScene = toScene;
+
+        /**
+         * The transition configuration object.
+         *
+         * @name Phaser.Scenes.Transitions.BaseTransition#config
+         * @type {Phaser.Types.Scenes.SceneTransitionConfig}
+         * @since 3.60.0
+         */
+        this.config = config;
+
+        /**
+         * Has this Transition started and not yet stopped?
+         *
+         * @name Phaser.Scenes.Transitions.BaseTransition#isRunning
+         * @type {boolean}
+         * @readonly
+         * @default false
+         * @since 3.60.0
+         */
+        this.isRunning = false;
+
+        /**
+         * The eased progress of the transition, between 0 and 1.
+         *
+         * @name Phaser.Scenes.Transitions.BaseTransition#progress
+         * @type {number}
+         * @readonly
+         * @default 0
+         * @since 3.60.0
+         */
+        this.progress = 0;
+
+        /**
+         * The state of each Camera saved by `saveCameras`, restored when this Transition stops.
+         *
+         * @name Phaser.Scenes.Transitions.BaseTransition#cameraStates
+         * @type {object[]}
+         * @since 3.60.0
+         */
+        this.cameraStates = [];
+
+        /**
+         * The Graphics object that draws the mask created by `createMask`, if any.
+         *
+         * @name Phaser.Scenes.Transitions.BaseTransition#maskGraphics
+         * @type {?Phaser.GameObjects.Graphics}
+         * @default null
+         * @since 3.60.0
+         */
+        this.maskGraphics = null;
+    },
+
+    /**
+     * Updates this Transition, starting it first if needed.
+     *
+     * @method Phaser.Scenes.Transitions.BaseTransition#update
+     * @since 3.60.0
+     *
+     * @param {number} progress - The eased progress of the transition, between 0 and 1.
+     */
+    update: function (progress)
+    {
+        if (!this.isRunning)
+        {
+            this.isRunning = true;
+
+            this.onStart();
+        }
+
+        this.progress = progress;
+
+        this.onUpdate(progress);
+    },
+
+    /**
+     * Stops this Transition and restores the Cameras of both Scenes.
+     *
+     * @method Phaser.Scenes.Transitions.BaseTransition#stop
+     * @since 3.60.0
+     */
+    stop: function ()
+    {
+        if (!this.isRunning)
+        {
+            return;
+        }
+
+        this.onStop();
+
+        this.restoreCameras();
+
+        if (this.maskGraphics)
+        {
+            this.maskGraphics.destroy();
+            this.maskGraphics = null;
+        }
+
+        this.isRunning = false;
+    },
+
+    /**
+     * Gets the Cameras of a Scene.
+     *
+     * @method Phaser.Scenes.Transitions.BaseTransition#getCameras
+     * @since 3.60.0
+     *
+     * @param {Phaser.Scene} scene - The Scene to get the Cameras of.
+     *
+     * @return {Phaser.Cameras.Scene2D.Camera[]} The Cameras of the Scene.
+     */
+    getCameras: function (scene)
+    {
+        var cameras = scene.sys.cameras;
+
+        return (cameras) ? cameras.cameras : [];
+    },
+
+    /**
+     * Saves the position, alpha, visibility, mask and background alpha of the Cameras of a Scene,
+     * so they can be restored when this Transition stops.
+     *
+     * @method Phaser.Scenes.Transitions.BaseTransition#saveCameras
+     * @since 3.60.0
+     *
+     * @param {Phaser.Scene} scene - The Scene to save the Cameras of.
+     *
+     * @return {object[]} The saved states of the Cameras, each with a `camera` property.
+     */
+    saveCameras: function (scene)
+    {
+        var cameras = this.getCameras(scene);
+        var states = [];
+
+        for (var i = 0; i < cameras.length; i++)
+        {
+            var camera = cameras[i];
+
+            states.push({
+                camera: camera,
+                x: camera.x,
+                y: camera.y,
+                alpha: camera.alpha,
+                visible: camera.visible,
+                mask: camera.mask,
+                maskCamera: camera._maskCamera,
+                backgroundAlpha: camera.backgroundColor.alpha
+            });
+        }
+
+        this.cameraStates = this.cameraStates.concat(states);
+
+        return states;
+    },
+
+    /**
+     * Restores the Cameras saved by `saveCameras`.
+     *
+     * @method Phaser.Scenes.Transitions.BaseTransition#restoreCameras
+     * @since 3.60.0
+     */
+    restoreCameras: function ()
+    {
+        var states = this.cameraStates;
+
+        for (var i = 0; i < states.length; i++)
+        {
+            var state = states[i];
+            var camera = state.camera;
+
+            //  The Scene may have removed the Camera during the transition
+            if (!camera.cameraManager)
+            {
+                continue;
+            }
+
+            camera.x = state.x;
+            camera.y = state.y;
+            camera.alpha = state.alpha;
+            camera.visible = state.visible;
+            camera.mask = state.mask;
+            camera._maskCamera = state.maskCamera;
+            camera.backgroundColor.alpha = state.backgroundAlpha;
+        }
+
+        this.cameraStates = [];
+    },
+
+    /**
+     * Creates a Geometry Mask, in screen space, and sets it on the given Cameras.
+     * Draw the visible area into `maskGraphics` on every update. It is destroyed when this Transition stops.
+     *
+     * @method Phaser.Scenes.Transitions.BaseTransition#createMask
+     * @since 3.60.0
+     *
+     * @param {object[]} states - The saved states of the Cameras to mask, as returned by `saveCameras`.
+     *
+     * @return {Phaser.GameObjects.Graphics} The Graphics object that draws the mask.
+     */
+    createMask: function (states)
+    {
+        var graphics = new Graphics(this.toScene);
+        var mask = new GeometryMask(this.toScene, graphics);
+
+        for (var i = 0; i < states.length; i++)
+        {
+            states[i].camera.setMask(mask, true);
+        }
+
+        this.maskGraphics = graphics;
+
+        return graphics;
+    },
+
+    /**
+     * Checks if the game is using the WebGL Renderer, which effects that use Post FX Pipelines need.
+     *
+     * @method Phaser.Scenes.Transitions.BaseTransition#isWebGL
+     * @since 3.60.0
+     *
+     * @return {boolean} `true` if the game is using the WebGL Renderer, otherwise `false`.
+     */
+    isWebGL: function ()
+    {
+        var renderer = this.toScene.sys.renderer;
+
+        return (renderer && renderer.type === CONST.WEBGL);
+    },
+
+    /**
+     * Gets the size of the game, which is the distance effects like slides and wipes move across.
+     *
+     * @method Phaser.Scenes.Transitions.BaseTransition#getSize
+     * @since 3.60.0
+     *
+     * @return {Phaser.Structs.Size} The game size.
+     */
+    getSize: function ()
+    {
+        return this.toScene.sys.scale.gameSize;
+    },
+
+    /**
+     * Called when this Transition starts, on its first update. Save the Cameras you change here.
+     *
+     * @method Phaser.Scenes.Transitions.BaseTransition#onStart
+     * @since 3.60.0
+     */
+    onStart: NOOP,
+
+    /**
+     * Called on every update of this Transition, to change the Cameras to match the progress.
+     *
+     * @method Phaser.Scenes.Transitions.BaseTransition#onUpdate
+     * @since 3.60.0
+     *
+     * @param {number} progress - The eased progress of the transition, between 0 and 1.
+     */
+    onUpdate: NOOP,
+
+    /**
+     * Called when this Transition stops, before the saved Cameras are restored.
+     * Remove anything you added to the Cameras, other than the mask, here.
+     *
+     * @method Phaser.Scenes.Transitions.BaseTransition#onStop
+     * @since 3.60.0
+     */
+    onStop: NOOP,
+
+    /**
+     * Stops this Transition and removes all external references.
+     *
+     * @method Phaser.Scenes.Transitions.BaseTransition#destroy
+     * @since 3.60.0
+     */
+    destroy: function ()
+    {
+        this.stop();
+
+        this.fromScene = null;
+        this.toScene = null;
+        this.config = null;
+    }
+
+});
+
+module.exports = BaseTransition;
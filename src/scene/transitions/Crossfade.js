@@ -0,0 +1,65 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var BaseTransition = require('./BaseTransition');
+var Class = require('../../utils/Class');
+
+/**
+ * @classdesc
+ * The `crossfade` Scene Transition fades the target Scene in over the Scene being transitioned from,
+ * by changing the alpha of its Cameras, and their background colors, from 0 to their own values.
+ *
+ * @class Crossfade
+ * @extends Phaser.Scenes.Transitions.BaseTransition
+ * @memberof Phaser.Scenes.Transitions
+ * @constructor
+ * @since 3.60.0
+ *
+ * @param {Phaser.Scene} fromScene - The Scene being transitioned from.
+ * @param {Phaser.Scene} toScene - The Scene being transitioned to.
+ * @param {Phaser.Types.Scenes.SceneTransitionConfig} config - The transition configuration object.
+ */
+var Crossfade = new Class({
+
+    Extends: BaseTransition,
+
+    initialize:
+
+    function Crossfade (fromScene, toScene, config)
+    {
+        BaseTransition.call(this, fromScene, toScene, config);
+
+        /**
+         * The saved states of the Cameras of the target Scene.
+         *
+         * @name Phaser.Scenes.Transitions.Crossfade#fadeStates
+         * @type {object[]}
+         * @since 3.60.0
+         */
+        this.fadeStates = [];
+    },
+
+    onStart: function ()
+    {
+        this.fadeStates = this.saveCameras(this.toScene);
+    },
+
+    onUpdate: function (progress)
+    {
+        var states = this.fadeStates;
+
+        for (var i = 0; i < states.length; i++)
+        {
+            var state = states[i];
+
+            state.camera.alpha = state.alpha * progress;
+            state.camera.backgroundColor.alpha = state.backgroundAlpha * progress;
+        }
+    }
+
+});
+
+module.exports = Crossfade;
@@ -0,0 +1,174 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var Class = require('../../utils/Class');
+var Crossfade = require('./Crossfade');
+var GetFastValue = require('../../utils/object/GetFastValue');
+var PIPELINE_CONST = require('../../renderer/webgl/pipelines/const');
+
+/**
+ * @classdesc
+ * The `dissolve` Scene Transition reveals the target Scene over the Scene being transitioned from, pixel by pixel,
+ * in the order given by a noise pattern.
+ *
+ * The noise is read from the red channel of the texture given as `noise`, stretched to cover the game, where
+ * darker pixels are revealed first. Without one, random noise is used, in cells `cellSize` pixels across.
+ *
+ * It sets the Dissolve Transition Post FX Pipeline on the Cameras of the target Scene, so it needs the WebGL Renderer.
+ * With the Canvas Renderer it falls back to a crossfade.
+ *
+ * @class Dissolve
+ * @extends Phaser.Scenes.Transitions.Crossfade
+ * @memberof Phaser.Scenes.Transitions
+ * @constructor
+ * @since 3.60.0
+ *
+ * @param {Phaser.Scene} fromScene - The Scene being transitioned from.
+ * @param {Phaser.Scene} toScene - The Scene being transitioned to.
+ * @param {Phaser.Types.Scenes.SceneTransitionConfig} config - The transition configuration object.
+ */
+var Dissolve = new Class({
+
+    Extends: Crossfade,
+
+    initialize:
+
+    function Dissolve (fromScene, toScene, config)
+    {
+        Crossfade.call(this, fromScene, toScene, config);
+
+        /**
+         * The key of the texture the noise is read from, or `null` to use random noise.
+         *
+         * @name Phaser.Scenes.Transitions.Dissolve#noise
+         * @type {?string}
+         * @default null
+         * @since 3.60.0
+         */
+        this.noise = GetFastValue(config, 'noise', null);
+
+        /**
+         * The size, in pixels, of the cells of the random noise. Not used if there is a noise texture.
+         *
+         * @name Phaser.Scenes.Transitions.Dissolve#cellSize
+         * @type {number}
+         * @default 1
+         * @since 3.60.0
+         */
+        this.cellSize = GetFastValue(config, 'cellSize', 1);
+
+        /**
+         * The width of the edge between revealed and hidden pixels, as a fraction of the noise range.
+         *
+         * @name Phaser.Scenes.Transitions.Dissolve#softness
+         * @type {number}
+         * @default 0.1
+         * @since 3.60.0
+         */
+        this.softness = GetFastValue(config, 'softness', 0.1);
+
+        /**
+         * Is this Transition crossfading, because the WebGL Renderer isn't available?
+         *
+         * @name Phaser.Scenes.Transitions.Dissolve#useFallback
+         * @type {boolean}
+         * @readonly
+         * @default false
+         * @since 3.60.0
+         */
+        this.useFallback = false;
+
+        /**
+         * The Dissolve Transition Pipelines set on the Cameras of the target Scene.
+         *
+         * @name Phaser.Scenes.Transitions.Dissolve#pipelines
+         * @type {Phaser.Renderer.WebGL.Pipelines.DissolveTransitionPipeline[]}
+         * @since 3.60.0
+         */
+        this.pipelines = [];
+    },
+
+    onStart: function ()
+    {
+        this.useFallback = !this.isWebGL();
+
+        if (this.useFallback)
+        {
+            Crossfade.prototype.onStart.call(this);
+
+            return;
+        }
+
+        var states = this.saveCameras(this.toScene);
+        var noiseTexture = null;
+
+        if (this.noise)
+        {
+            var textures = this.toScene.sys.textures;
+
+            if (textures.exists(this.noise))
+            {
+                noiseTexture = textures.get(this.noise).source[0].glTexture;
+            }
+            else
+            {
+                console.warn('Dissolve noise texture not found: ' + this.noise);
+            }
+        }
+
+        for (var i = 0; i < states.length; i++)
+        {
+            var camera = states[i].camera;
+
+            camera.setPostPipeline(PIPELINE_CONST.DISSOLVE_TRANSITION_PIPELINE);
+
+            var pipeline = camera.postPipelines[camera.postPipelines.length - 1];
+
+            pipeline.noiseTexture = noiseTexture;
+            pipeline.cellSize = this.cellSize;
+            pipeline.softness = this.softness;
+
+            this.pipelines.push(pipeline);
+        }
+    },
+
+    onUpdate: function (progress)
+    {
+        if (this.useFallback)
+        {
+            Crossfade.prototype.onUpdate.call(this, progress);
+
+            return;
+        }
+
+        var pipelines = this.pipelines;
+
+        for (var i = 0; i < pipelines.length; i++)
+        {
+            pipelines[i].progress = progress;
+        }
+    },
+
+    onStop: function ()
+    {
+        var pipelines = this.pipelines;
+
+        for (var i = 0; i < pipelines.length; i++)
+        {
+            var camera = pipelines[i].gameObject;
+
+            if (camera.cameraManager)
+            {
+                camera.removePostPipeline(PIPELINE_CONST.DISSOLVE_TRANSITION_PIPELINE);
+            }
+        }
+
+        this.pipelines = [];
+    }
+
+});
+
+module.exports = Dissolve;
@@ -0,0 +1,134 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var BaseTransition = require('./BaseTransition');
+var Class = require('../../utils/Class');
+var GetFastValue = require('../../utils/object/GetFastValue');
+var IntegerToRGB = require('../../display/color/IntegerToRGB');
+
+/**
+ * @classdesc
+ * The `fade` Scene Transition fades the Scene being transitioned from out to a color, over the first half of
+ * the transition, then fades the target Scene in from that color over the second half.
+ *
+ * It uses the Fade effect of the Cameras to draw the color, so don't start Camera fades in either Scene
+ * while it runs.
+ *
+ * @class Fade
+ * @extends Phaser.Scenes.Transitions.BaseTransition
+ * @memberof Phaser.Scenes.Transitions
+ * @constructor
+ * @since 3.60.0
+ *
+ * @param {Phaser.Scene} fromScene - The Scene being transitioned from.
+ * @param {Phaser.Scene} toScene - The Scene being transitioned to.
+ * @param {Phaser.Types.Scenes.SceneTransitionConfig} config - The transition configuration object.
+ */
+var Fade = new Class({
+
+    Extends: BaseTransition,
+
+    initialize:
+
+    function Fade (fromScene, toScene, config)
+    {
+        BaseTransition.call(this, fromScene, toScene, config);
+
+        /**
+         * The color faded to, as returned by `IntegerToRGB`.
+         *
+         * @name Phaser.Scenes.Transitions.Fade#color
+         * @type {Phaser.Types.Display.ColorObject}
+         * @since 3.60.0
+         */
+        this.color = IntegerToRGB(GetFastValue(config, 'color', 0x000000));
+
+        /**
+         * The saved states of the Cameras of the Scene being transitioned from.
+         *
+         * @name Phaser.Scenes.Transitions.Fade#fromStates
+         * @type {object[]}
+         * @since 3.60.0
+         */
+        this.fromStates = [];
+
+        /**
+         * The saved states of the Cameras of the target Scene.
+         *
+         * @name Phaser.Scenes.Transitions.Fade#toStates
+         * @type {object[]}
+         * @since 3.60.0
+         */
+        this.toStates = [];
+    },
+
+    onStart: function ()
+    {
+        this.fromStates = this.saveCameras(this.fromScene);
+        this.toStates = this.saveCameras(this.toScene);
+    },
+
+    onUpdate: function (progress)
+    {
+        var fadingOut = (progress < 0.5);
+
+        var alpha = (fadingOut) ? progress * 2 : (1 - progress) * 2;
+
+        this.setFade(this.fromStates, fadingOut, alpha);
+        this.setFade(this.toStates, !fadingOut, alpha);
+    },
+
+    /**
+     * Shows or hides the given Cameras, and sets the alpha of the color drawn over them.
+     *
+     * @method Phaser.Scenes.Transitions.Fade#setFade
+     * @private
+     * @since 3.60.0
+     *
+     * @param {object[]} states - The saved states of the Cameras.
+     * @param {boolean} visible - Should the Cameras be visible?
+     * @param {number} alpha - The alpha of the color.
+     */
+    setFade: function (states, visible, alpha)
+    {
+        var color = this.color;
+
+        for (var i = 0; i < states.length; i++)
+        {
+            var state = states[i];
+            var fade = state.camera.fadeEffect;
+
+            state.camera.visible = (visible && state.visible);
+
+            //  A complete fade keeps drawing its color, without updating itself
+            fade.isRunning = false;
+            fade.isComplete = true;
+            fade.red = color.r;
+            fade.green = color.g;
+            fade.blue = color.b;
+            fade.alpha = alpha;
+        }
+    },
+
+    onStop: function ()
+    {
+        var states = this.cameraStates;
+
+        for (var i = 0; i < states.length; i++)
+        {
+            var fade = states[i].camera.fadeEffect;
+
+            if (fade.camera)
+            {
+                fade.reset();
+                fade.alpha = 0;
+            }
+        }
+    }
+
+});
+
+module.exports = Fade;
@@ -0,0 +1,89 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var BaseTransition = require('./BaseTransition');
+var Class = require('../../utils/Class');
+var GetFastValue = require('../../utils/object/GetFastValue');
+
+/**
+ * @classdesc
+ * The `iris` Scene Transition reveals the target Scene over the Scene being transitioned from, inside a circle
+ * that grows from a point until it covers the whole game. It masks the Cameras of the target Scene, so it works
+ * in both renderers.
+ *
+ * The circle grows from the center of the game, unless `x` and `y` are given.
+ *
+ * @class Iris
+ * @extends Phaser.Scenes.Transitions.BaseTransition
+ * @memberof Phaser.Scenes.Transitions
+ * @constructor
+ * @since 3.60.0
+ *
+ * @param {Phaser.Scene} fromScene - The Scene being transitioned from.
+ * @param {Phaser.Scene} toScene - The Scene being transitioned to.
+ * @param {Phaser.Types.Scenes.SceneTransitionConfig} config - The transition configuration object.
+ */
+var Iris = new Class({
+
+    Extends: BaseTransition,
+
+    initialize:
+
+    function Iris (fromScene, toScene, config)
+    {
+        BaseTransition.call(this, fromScene, toScene, config);
+
+        /**
+         * The x coordinate, in screen space, that the circle grows from, or `null` for the center of the game.
+         *
+         * @name Phaser.Scenes.Transitions.Iris#x
+         * @type {?number}
+         * @default null
+         * @since 3.60.0
+         */
+        this.x = GetFastValue(config, 'x', null);
+
+        /**
+         * The y coordinate, in screen space, that the circle grows from, or `null` for the center of the game.
+         *
+         * @name Phaser.Scenes.Transitions.Iris#y
+         * @type {?number}
+         * @default null
+         * @since 3.60.0
+         */
+        this.y = GetFastValue(config, 'y', null);
+    },
+
+    onStart: function ()
+    {
+        this.createMask(this.saveCameras(this.toScene));
+    },
+
+    onUpdate: function (progress)
+    {
+        var size = this.getSize();
+        var width = size.width;
+        var height = size.height;
+
+        var x = (this.x === null) ? width / 2 : this.x;
+        var y = (this.y === null) ? height / 2 : this.y;
+
+        //  The distance to the furthest corner
+        var dx = Math.max(x, width - x);
+        var dy = Math.max(y, height - y);
+
+        var radius = Math.sqrt(dx * dx + dy * dy) * progress;
+
+        var graphics = this.maskGraphics;
+
+        graphics.clear();
+        graphics.fillStyle(0xffffff);
+        graphics.fillCircle(x, y, radius);
+    }
+
+});
+
+module.exports = Iris;
@@ -0,0 +1,180 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var Class = require('../../utils/Class');
+var Crossfade = require('./Crossfade');
+var GetFastValue = require('../../utils/object/GetFastValue');
+var PIPELINE_CONST = require('../../renderer/webgl/pipelines/const');
+
+/**
+ * @classdesc
+ * The `pixelate` Scene Transition breaks the Scene being transitioned from up into ever larger pixels, over the
+ * first half of the transition, then swaps to the target Scene and sharpens it back up over the second half.
+ *
+ * It sets the Pixelate Transition Post FX Pipeline on the Cameras of both Scenes, so it needs the WebGL Renderer.
+ * With the Canvas Renderer it falls back to a crossfade.
+ *
+ * @class Pixelate
+ * @extends Phaser.Scenes.Transitions.Crossfade
+ * @memberof Phaser.Scenes.Transitions
+ * @constructor
+ * @since 3.60.0
+ *
+ * @param {Phaser.Scene} fromScene - The Scene being transitioned from.
+ * @param {Phaser.Scene} toScene - The Scene being transitioned to.
+ * @param {Phaser.Types.Scenes.SceneTransitionConfig} config - The transition configuration object.
+ */
+var Pixelate = new Class({
+
+    Extends: Crossfade,
+
+    initialize:
+
+    function Pixelate (fromScene, toScene, config)
+    {
+        Crossfade.call(this, fromScene, toScene, config);
+
+        /**
+         * The size of the pixels, in screen pixels, halfway through the transition.
+         *
+         * @name Phaser.Scenes.Transitions.Pixelate#amount
+         * @type {number}
+         * @default 32
+         * @since 3.60.0
+         */
+        this.amount = GetFastValue(config, 'amount', 32);
+
+        /**
+         * Is this Transition crossfading, because the WebGL Renderer isn't available?
+         *
+         * @name Phaser.Scenes.Transitions.Pixelate#useFallback
+         * @type {boolean}
+         * @readonly
+         * @default false
+         * @since 3.60.0
+         */
+        this.useFallback = false;
+
+        /**
+         * The saved states of the Cameras of the Scene being transitioned from.
+         *
+         * @name Phaser.Scenes.Transitions.Pixelate#fromStates
+         * @type {object[]}
+         * @since 3.60.0
+         */
+        this.fromStates = [];
+
+        /**
+         * The saved states of the Cameras of the target Scene.
+         *
+         * @name Phaser.Scenes.Transitions.Pixelate#toStates
+         * @type {object[]}
+         * @since 3.60.0
+         */
+        this.toStates = [];
+    },
+
+    onStart: function ()
+    {
+        this.useFallback = !this.isWebGL();
+
+        if (this.useFallback)
+        {
+            Crossfade.prototype.onStart.call(this);
+
+            return;
+        }
+
+        this.fromStates = this.saveCameras(this.fromScene);
+        this.toStates = this.saveCameras(this.toScene);
+
+        this.addPipelines(this.fromStates);
+        this.addPipelines(this.toStates);
+    },
+
+    onUpdate: function (progress)
+    {
+        if (this.useFallback)
+        {
+            Crossfade.prototype.onUpdate.call(this, progress);
+
+            return;
+        }
+
+        var pixelatingOut = (progress < 0.5);
+
+        var amount = 1 + (this.amount - 1) * ((pixelatingOut) ? progress * 2 : (1 - progress) * 2);
+
+        this.setPixelate(this.fromStates, pixelatingOut, amount);
+        this.setPixelate(this.toStates, !pixelatingOut, amount);
+    },
+
+    /**
+     * Sets a Pixelate Transition Pipeline on each of the given Cameras.
+     *
+     * @method Phaser.Scenes.Transitions.Pixelate#addPipelines
+     * @private
+     * @since 3.60.0
+     *
+     * @param {object[]} states - The saved states of the Cameras.
+     */
+    addPipelines: function (states)
+    {
+        for (var i = 0; i < states.length; i++)
+        {
+            var state = states[i];
+            var camera = state.camera;
+
+            camera.setPostPipeline(PIPELINE_CONST.PIXELATE_TRANSITION_PIPELINE);
+
+            state.pipeline = camera.postPipelines[camera.postPipelines.length - 1];
+        }
+    },
+
+    /**
+     * Shows or hides the given Cameras, and sets the size of their pixels.
+     *
+     * @method Phaser.Scenes.Transitions.Pixelate#setPixelate
+     * @private
+     * @since 3.60.0
+     *
+     * @param {object[]} states - The saved states of the Cameras.
+     * @param {boolean} visible - Should the Cameras be visible?
+     * @param {number} amount - The size of the pixels.
+     */
+    setPixelate: function (states, visible, amount)
+    {
+        for (var i = 0; i < states.length; i++)
+        {
+            var state = states[i];
+
+            state.camera.visible = (visible && state.visible);
+
+            if (state.pipeline)
+            {
+                state.pipeline.amount = amount;
+            }
+        }
+    },
+
+    onStop: function ()
+    {
+        var states = this.cameraStates;
+
+        for (var i = 0; i < states.length; i++)
+        {
+            var camera = states[i].camera;
+
+            if (states[i].pipeline && camera.cameraManager)
+            {
+                camera.removePostPipeline(PIPELINE_CONST.PIXELATE_TRANSITION_PIPELINE);
+            }
+        }
+    }
+
+});
+
+module.exports = Pixelate;
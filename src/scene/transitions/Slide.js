@@ -0,0 +1,143 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var BaseTransition = require('./BaseTransition');
+var Class = require('../../utils/Class');
+var GetFastValue = require('../../utils/object/GetFastValue');
+
+/**
+ * @classdesc
+ * The `slide` Scene Transition slides the Cameras of the target Scene in from the edge of the game,
+ * over the Scene being transitioned from. If `push` is set, the Cameras of the Scene being transitioned
+ * from slide out at the same time, as if pushed by the target Scene.
+ *
+ * The `direction` is the way the target Scene moves: `left`, `right`, `up` or `down`. The default is `left`,
+ * so it slides in from the right of the game.
+ *
+ * @class Slide
+ * @extends Phaser.Scenes.Transitions.BaseTransition
+ * @memberof Phaser.Scenes.Transitions
+ * @constructor
+ * @since 3.60.0
+ *
+ * @param {Phaser.Scene} fromScene - The Scene being transitioned from.
+ * @param {Phaser.Scene} toScene - The Scene being transitioned to.
+ * @param {Phaser.Types.Scenes.SceneTransitionConfig} config - The transition configuration object.
+ */
+var Slide = new Class({
+
+    Extends: BaseTransition,
+
+    initialize:
+
+    function Slide (fromScene, toScene, config)
+    {
+        BaseTransition.call(this, fromScene, toScene, config);
+
+        /**
+         * The direction the target Scene moves in: `left`, `right`, `up` or `down`.
+         *
+         * @name Phaser.Scenes.Transitions.Slide#direction
+         * @type {string}
+         * @default 'left'
+         * @since 3.60.0
+         */
+        this.direction = GetFastValue(config, 'direction', 'left');
+
+        /**
+         * Does the Scene being transitioned from slide out as the target Scene slides in?
+         *
+         * @name Phaser.Scenes.Transitions.Slide#push
+         * @type {boolean}
+         * @default false
+         * @since 3.60.0
+         */
+        this.push = GetFastValue(config, 'push', false);
+
+        /**
+         * The saved states of the Cameras of the Scene being transitioned from, if they are pushed.
+         *
+         * @name Phaser.Scenes.Transitions.Slide#fromStates
+         * @type {object[]}
+         * @since 3.60.0
+         */
+        this.fromStates = [];
+
+        /**
+         * The saved states of the Cameras of the target Scene.
+         *
+         * @name Phaser.Scenes.Transitions.Slide#toStates
+         * @type {object[]}
+         * @since 3.60.0
+         */
+        this.toStates = [];
+    },
+
+    onStart: function ()
+    {
+        if (this.push)
+        {
+            this.fromStates = this.saveCameras(this.fromScene);
+        }
+
+        this.toStates = this.saveCameras(this.toScene);
+    },
+
+    onUpdate: function (progress)
+    {
+        var size = this.getSize();
+        var dx = 0;
+        var dy = 0;
+
+        switch (this.direction)
+        {
+            case 'right':
+                dx = size.width;
+                break;
+
+            case 'up':
+                dy = -size.height;
+                break;
+
+            case 'down':
+                dy = size.height;
+                break;
+
+            default:
+                dx = -size.width;
+                break;
+        }
+
+        //  The target Scene ends where it started, the Scene being transitioned from moves a whole screen away
+        this.offsetCameras(this.toStates, dx * (progress - 1), dy * (progress - 1));
+        this.offsetCameras(this.fromStates, dx * progress, dy * progress);
+    },
+
+    /**
+     * Moves the given Cameras from their saved positions.
+     *
+     * @method Phaser.Scenes.Transitions.Slide#offsetCameras
+     * @private
+     * @since 3.60.0
+     *
+     * @param {object[]} states - The saved states of the Cameras.
+     * @param {number} x - The horizontal offset.
+     * @param {number} y - The vertical offset.
+     */
+    offsetCameras: function (states, x, y)
+    {
+        for (var i = 0; i < states.length; i++)
+        {
+            var state = states[i];
+
+            state.camera.x = state.x + x;
+            state.camera.y = state.y + y;
+        }
+    }
+
+});
+
+module.exports = Slide;
@@ -0,0 +1,88 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var BaseTransition = require('./BaseTransition');
+var Class = require('../../utils/Class');
+var GetFastValue = require('../../utils/object/GetFastValue');
+
+/**
+ * @classdesc
+ * The `wipe` Scene Transition reveals the target Scene over the Scene being transitioned from, behind an edge
+ * that sweeps across the game. It masks the Cameras of the target Scene, so it works in both renderers.
+ *
+ * The `direction` is the way the edge moves: `left`, `right`, `up` or `down`. The default is `right`,
+ * so the target Scene is revealed from the left of the game.
+ *
+ * @class Wipe
+ * @extends Phaser.Scenes.Transitions.BaseTransition
+ * @memberof Phaser.Scenes.Transitions
+ * @constructor
+ * @since 3.60.0
+ *
+ * @param {Phaser.Scene} fromScene - The Scene being transitioned from.
+ * @param {Phaser.Scene} toScene - The Scene being transitioned to.
+ * @param {Phaser.Types.Scenes.SceneTransitionConfig} config - The transition configuration object.
+ */
+var Wipe = new Class({
+
+    Extends: BaseTransition,
+
+    initialize:
+
+    function Wipe (fromScene, toScene, config)
+    {
+        BaseTransition.call(this, fromScene, toScene, config);
+
+        /**
+         * The direction the edge moves in: `left`, `right`, `up` or `down`.
+         *
+         * @name Phaser.Scenes.Transitions.Wipe#direction
+         * @type {string}
+         * @default 'right'
+         * @since 3.60.0
+         */
+        this.direction = GetFastValue(config, 'direction', 'right');
+    },
+
+    onStart: function ()
+    {
+        this.createMask(this.saveCameras(this.toScene));
+    },
+
+    onUpdate: function (progress)
+    {
+        var size = this.getSize();
+        var width = size.width;
+        var height = size.height;
+
+        var graphics = this.maskGraphics;
+
+        graphics.clear();
+        graphics.fillStyle(0xffffff);
+
+        switch (this.direction)
+        {
+            case 'left':
+                graphics.fillRect(width * (1 - progress), 0, width * progress, height);
+                break;
+
+            case 'up':
+                graphics.fillRect(0, height * (1 - progress), width, height * progress);
+                break;
+
+            case 'down':
+                graphics.fillRect(0, 0, width, height * progress);
+                break;
+
+            default:
+                graphics.fillRect(0, 0, width * progress, height);
+                break;
+        }
+    }
+
+});
+
+module.exports = Wipe;
@@ -0,0 +1,48 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var Crossfade = require('./Crossfade');
+var Dissolve = require('./Dissolve');
+var Fade = require('./Fade');
+var Iris = require('./Iris');
+var Pixelate = require('./Pixelate');
+var Slide = require('./Slide');
+var Wipe = require('./Wipe');
+
+/**
+ * @namespace Phaser.Scenes.Transitions
+ */
+
+module.exports = {
+
+    BaseTransition: require('./BaseTransition'),
+    Crossfade: Crossfade,
+    Dissolve: Dissolve,
+    Fade: Fade,
+    Iris: Iris,
+    Pixelate: Pixelate,
+    Slide: Slide,
+    Wipe: Wipe,
+
+    /**
+     * The Transition classes that can be selected by name via the `effect` property of a Scene Transition config.
+     * Add your own classes to this object to select them by name too.
+     *
+     * @name Phaser.Scenes.Transitions.EFFECTS
+     * @type {Object.<string, function>}
+     * @since 3.60.0
+     */
+    EFFECTS: {
+        crossfade: Crossfade,
+        dissolve: Dissolve,
+        fade: Fade,
+        iris: Iris,
+        pixelate: Pixelate,
+        slide: Slide,
+        wipe: Wipe
+    }
+
+};
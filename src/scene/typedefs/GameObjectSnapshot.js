@@ -0,0 +1,18 @@
+/**
+ * The snapshot of a Game Object in a Scene Snapshot.
+ *
+ * It is the JSON returned by the `toJSON` method of the Game Object, which can add its own fields to the `data`
+ * property, with the following properties added by the Scene Serializer.
+ *
+ * @typedef {Phaser.Types.GameObjects.JSONGameObject} Phaser.Types.Scenes.GameObjectSnapshot
+ * @since 3.60.0
+ *
+ * @property {number} id - The unique id of the Game Object in the snapshot, used to refer to it from Tweens.
+ * @property {boolean} active - The active state of the Game Object.
+ * @property {{x: number, y: number}} [scrollFactor] - The scroll factor of the Game Object, if it has one.
+ * @property {number[]} [tint] - The top-left, top-right, bottom-left and bottom-right tint of the Game Object, if it can be tinted.
+ * @property {boolean} [tintFill] - Is the tint of the Game Object a fill tint?
+ * @property {object} [values] - The values in the Data Manager of the Game Object, if it has one.
+ * @property {Phaser.Types.Animations.AnimationStateJSON} [anims] - The state of the Animation component of the Game Object, if it has one.
+ * @property {Phaser.Types.Scenes.GameObjectSnapshot[]} [children] - The children of a Container or Layer, in display order.
+ */
@@ -0,0 +1,9 @@
+/**
+ * @callback Phaser.Types.Scenes.GameObjectSnapshotFactory
+ * @since 3.60.0
+ *
+ * @param {Phaser.Scene} scene - The Scene the Game Object is being restored to.
+ * @param {Phaser.Types.Scenes.GameObjectSnapshot} json - The snapshot of the Game Object.
+ *
+ * @return {Phaser.GameObjects.GameObject} The new Game Object.
+ */
@@ -0,0 +1,14 @@
+/**
+ * A snapshot of the state of a Scene, created by `Systems.serialize` and restored by `Systems.deserialize`.
+ * It only holds values that can be stored as JSON.
+ *
+ * @typedef {object} Phaser.Types.Scenes.SceneSnapshot
+ * @since 3.60.0
+ *
+ * @property {string} key - The key of the Scene the snapshot was taken from.
+ * @property {object} data - The values in the Scene's Data Manager.
+ * @property {Phaser.Types.Scenes.GameObjectSnapshot[]} displayList - The Game Objects on the display list, in display order.
+ * @property {Phaser.Types.Cameras.Scene2D.JSONCamera[]} cameras - The Cameras of the Scene.
+ * @property {Phaser.Types.Scenes.TweenSnapshot[]} tweens - The Tweens of the Scene.
+ * @property {?Phaser.Types.Time.ClockJSON} time - The Clock of the Scene and its Timer Events.
+ */
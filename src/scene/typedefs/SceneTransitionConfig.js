@@ -11,5 +11,17 @@
  * @property {boolean} [moveBelow] - Move the target Scene to be below this one before the transition starts.
  * @property {function} [onUpdate] - This callback is invoked every frame for the duration of the transition.
  * @property {any} [onUpdateScope] - The context in which the callback is invoked.
+ * @property {(string|function)} [effect] - The visual effect of the transition: `crossfade`, `dissolve`, `fade`, `iris`, `pixelate`, `slide` or `wipe`, or a class that extends `Phaser.Scenes.Transitions.BaseTransition`. Since 3.60.0.
+ * @property {(string|function)} [ease='Linear'] - The ease applied to the progress of the effect. Since 3.60.0.
+ * @property {number[]} [easeParams] - The parameters of the ease, if it takes any. Since 3.60.0.
+ * @property {number} [color=0x000000] - The color the `fade` effect fades through. Since 3.60.0.
+ * @property {string} [direction] - The direction the `slide` effect moves the target Scene in, or the `wipe` effect moves its edge in: `left`, `right`, `up` or `down`. Since 3.60.0.
+ * @property {boolean} [push=false] - Should the `slide` effect push this Scene out as the target Scene slides in? Since 3.60.0.
+ * @property {number} [x] - The x coordinate of the center of the `iris` effect. Defaults to the center of the game. Since 3.60.0.
+ * @property {number} [y] - The y coordinate of the center of the `iris` effect. Defaults to the center of the game. Since 3.60.0.
+ * @property {number} [amount=32] - The size of the pixels halfway through the `pixelate` effect. Since 3.60.0.
+ * @property {string} [noise] - The key of the texture the `dissolve` effect reads its noise from. Since 3.60.0.
+ * @property {number} [softness=0.1] - The softness of the edge of the `dissolve` effect. Since 3.60.0.
+ * @property {number} [cellSize=1] - The size of the cells of the random noise of the `dissolve` effect, if there is no noise texture. Since 3.60.0.
  * @property {any} [data] - An object containing any data you wish to be passed to the target scene's init / create methods (if sleep is false) or to the target scene's wake event callback (if sleep is true).
  */
@@ -0,0 +1,10 @@
+/**
+ * The snapshot of a Tween in a Scene Snapshot.
+ *
+ * @typedef {object} Phaser.Types.Scenes.TweenSnapshot
+ * @since 3.60.0
+ *
+ * @property {number[]} targets - The ids of the Game Objects the Tween targets.
+ * @property {object} config - The config the Tween was created from, without its targets, as converted by `Phaser.Tweens.Builders.ConfigToJSON`.
+ * @property {Phaser.Types.Tweens.TweenStateJSON} state - The playback state of the Tween.
+ */
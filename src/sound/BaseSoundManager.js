@@ -13,6 +13,7 @@
  var NOOP = require('../utils/NOOP');
  var GetAll = require('../utils/array/GetAll');
  var GetFirst = require('../utils/array/GetFirst');
+ var MusicController = require('./MusicController');
  
  /**
   * @classdesc
@@ -161,6 +162,15 @@
           */
          this.pendingUnlock = false;
  
+         /**
+          * The Music Controller, which plays playlists of music tracks with crossfades between them.
+          *
+          * @name Phaser.Sound.BaseSoundManager#music
+          * @type {Phaser.Sound.MusicController}
+          * @since 3.60.0
+          */
+         this.music = new MusicController(this);
+ 
          game.events.on(GameEvents.BLUR, this.onGameBlur, this);
          game.events.on(GameEvents.FOCUS, this.onGameFocus, this);
          game.events.on(GameEvents.PRE_STEP, this.update, this);
@@ -608,6 +618,8 @@
          {
              sounds[i].update(time, delta);
          }
+ 
+         this.music.update(time, delta);
      },
  
      /**
@@ -756,6 +768,9 @@
  
          this.removeAllListeners();
  
+         this.music.destroy();
+         this.music = null;
+ 
          this.removeAll();
  
          this.sounds.length = 0;
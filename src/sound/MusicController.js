@@ -0,0 +1,1270 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var Clamp = require('../math/Clamp');
+var Class = require('../utils/Class');
+var EventEmitter = require('eventemitter3');
+var Events = require('./events');
+var Extend = require('../utils/object/Extend');
+var GetEaseFunction = require('../tweens/builders/GetEaseFunction');
+var GetFastValue = require('../utils/object/GetFastValue');
+var Shuffle = require('../utils/array/Shuffle');
+
+/**
+ * @classdesc
+ * The Music Controller plays a playlist of music tracks, with shuffle, repeat and eased crossfades between them.
+ *
+ * Every Sound Manager has one, available as `this.sound.music` from a Scene. As it belongs to the Sound Manager,
+ * and not to a Scene, the music carries on playing across Scene changes.
+ *
+ * ```javascript
+ * this.sound.music.setPlaylist([
+ *     { key: 'title' },
+ *     { key: 'boss', intro: { start: 0, duration: 4.8 }, loop: true },
+ *     { key: 'sprite', name: 'town', intro: 'townIntro', body: 'townLoop' }
+ * ], { shuffle: true, crossfade: 3 });
+ *
+ * this.sound.music.on('trackchange', function (music, track) { console.log('Now playing', track.key); });
+ *
+ * this.sound.music.play();
+ * ```
+ *
+ * A track can have an `intro` and a `body`, given as markers. The intro is played once and the body then plays
+ * straight after it, looping if the track has `loop` set. If a track has an intro but no body, the body is the rest
+ * of the audio after the intro. On Web Audio the body is scheduled on the audio clock, so there is no gap between them.
+ *
+ * Crossfades use the `ease` of the controller. On Web Audio they are scheduled as gain curves on the audio clock,
+ * otherwise the volume of the sounds is updated every game step.
+ *
+ * The controller creates its own sounds for each track and destroys them when the track has faded out.
+ *
+ * @class MusicController
+ * @extends Phaser.Events.EventEmitter
+ * @memberof Phaser.Sound
+ * @constructor
+ * @since 3.60.0
+ *
+ * @param {Phaser.Sound.BaseSoundManager} manager - The Sound Manager this controller belongs to.
+ */
+var MusicController = new Class({
+
+    Extends: EventEmitter,
+
+    initialize:
+
+    function MusicController (manager)
+    {
+        EventEmitter.call(this);
+
+        /**
+         * The Sound Manager this controller belongs to.
+         *
+         * @name Phaser.Sound.MusicController#manager
+         * @type {Phaser.Sound.BaseSoundManager}
+         * @since 3.60.0
+         */
+        this.manager = manager;
+
+        /**
+         * The tracks in the playlist.
+         *
+         * @name Phaser.Sound.MusicController#tracks
+         * @type {Phaser.Types.Sound.MusicTrackConfig[]}
+         * @since 3.60.0
+         */
+        this.tracks = [];
+
+        /**
+         * The indexes of the tracks in the order they are played. This is shuffled if `shuffle` is set.
+         *
+         * @name Phaser.Sound.MusicController#order
+         * @type {number[]}
+         * @since 3.60.0
+         */
+        this.order = [];
+
+        /**
+         * The position in the `order` of the current track, or -1 if the playlist hasn't started.
+         *
+         * @name Phaser.Sound.MusicController#position
+         * @type {number}
+         * @since 3.60.0
+         */
+        this.position = -1;
+
+        /**
+         * Are the tracks played in a random order? Use `setShuffle` to change it.
+         *
+         * @name Phaser.Sound.MusicController#shuffle
+         * @type {boolean}
+         * @default false
+         * @since 3.60.0
+         */
+        this.shuffle = false;
+
+        /**
+         * What happens when a track ends: `none` plays the next track and stops at the end of the playlist,
+         * `all` plays the playlist again from the start and `one` plays the same track again.
+         *
+         * @name Phaser.Sound.MusicController#repeat
+         * @type {string}
+         * @default 'all'
+         * @since 3.60.0
+         */
+        this.repeat = 'all';
+
+        /**
+         * The time, in seconds, to crossfade between tracks over.
+         *
+         * @name Phaser.Sound.MusicController#crossfade
+         * @type {number}
+         * @default 2
+         * @since 3.60.0
+         */
+        this.crossfade = 2;
+
+        /**
+         * The ease used when crossfading between tracks. Use `setCrossfade` to change it.
+         *
+         * @name Phaser.Sound.MusicController#ease
+         * @type {(string|function)}
+         * @default 'Sine.easeInOut'
+         * @since 3.60.0
+         */
+        this.ease = 'Sine.easeInOut';
+
+        /**
+         * The ease function used when crossfading between tracks.
+         *
+         * @name Phaser.Sound.MusicController#easeFunction
+         * @type {function}
+         * @private
+         * @since 3.60.0
+         */
+        this.easeFunction = GetEaseFunction(this.ease);
+
+        /**
+         * The volume of the music, between 0 (silence) and 1 (full volume). Use `setVolume` to change it.
+         *
+         * @name Phaser.Sound.MusicController#volume
+         * @type {number}
+         * @default 1
+         * @since 3.60.0
+         */
+        this.volume = 1;
+
+        /**
+         * Is the music playing?
+         *
+         * @name Phaser.Sound.MusicController#isPlaying
+         * @type {boolean}
+         * @readonly
+         * @since 3.60.0
+         */
+        this.isPlaying = false;
+
+        /**
+         * Is the music paused?
+         *
+         * @name Phaser.Sound.MusicController#isPaused
+         * @type {boolean}
+         * @readonly
+         * @since 3.60.0
+         */
+        this.isPaused = false;
+
+        /**
+         * The layer playing the current track. Each layer holds the sounds of one track and its fade.
+         *
+         * @name Phaser.Sound.MusicController#current
+         * @type {?object}
+         * @private
+         * @since 3.60.0
+         */
+        this.current = null;
+
+        /**
+         * All of the layers, including those fading out.
+         *
+         * @name Phaser.Sound.MusicController#layers
+         * @type {object[]}
+         * @private
+         * @since 3.60.0
+         */
+        this.layers = [];
+    },
+
+    /**
+     * Replaces the playlist. The current track carries on playing until the next one is played.
+     *
+     * @method Phaser.Sound.MusicController#setPlaylist
+     * @since 3.60.0
+     *
+     * @param {Phaser.Types.Sound.MusicTrackConfig[]} tracks - The tracks of the playlist.
+     * @param {Phaser.Types.Sound.MusicPlaylistConfig} [config] - The playlist settings.
+     *
+     * @return {this} This Music Controller.
+     */
+    setPlaylist: function (tracks, config)
+    {
+        this.tracks = tracks.slice();
+
+        if (this.current)
+        {
+            this.current.index = this.tracks.indexOf(this.current.track);
+        }
+
+        this.shuffle = GetFastValue(config, 'shuffle', this.shuffle);
+        this.repeat = GetFastValue(config, 'repeat', this.repeat);
+
+        this.setCrossfade(GetFastValue(config, 'crossfade', this.crossfade), GetFastValue(config, 'ease', this.ease));
+
+        return this.buildOrder();
+    },
+
+    /**
+     * Adds a track to the end of the playlist.
+     *
+     * @method Phaser.Sound.MusicController#add
+     * @since 3.60.0
+     *
+     * @param {Phaser.Types.Sound.MusicTrackConfig} track - The track to add.
+     *
+     * @return {this} This Music Controller.
+     */
+    add: function (track)
+    {
+        this.tracks.push(track);
+        this.order.push(this.tracks.length - 1);
+
+        return this;
+    },
+
+    /**
+     * Removes all of the tracks from the playlist. The current track carries on playing.
+     *
+     * @method Phaser.Sound.MusicController#clear
+     * @since 3.60.0
+     *
+     * @return {this} This Music Controller.
+     */
+    clear: function ()
+    {
+        this.tracks.length = 0;
+
+        if (this.current)
+        {
+            this.current.index = -1;
+        }
+
+        return this.buildOrder();
+    },
+
+    /**
+     * Sets the play order of the tracks, shuffling it if `shuffle` is set. The current track is moved to the start of a shuffled order.
+     *
+     * @method Phaser.Sound.MusicController#buildOrder
+     * @private
+     * @since 3.60.0
+     *
+     * @return {this} This Music Controller.
+     */
+    buildOrder: function ()
+    {
+        var order = [];
+
+        for (var i = 0; i < this.tracks.length; i++)
+        {
+            order.push(i);
+        }
+
+        if (this.shuffle)
+        {
+            Shuffle(order);
+        }
+
+        var index = (this.current) ? this.current.index : -1;
+        var position = order.indexOf(index);
+
+        if (this.shuffle && position > 0)
+        {
+            order.splice(position, 1);
+            order.unshift(index);
+
+            position = 0;
+        }
+
+        this.order = order;
+        this.position = position;
+
+        return this;
+    },
+
+    /**
+     * Gets the index of a track in the playlist.
+     *
+     * @method Phaser.Sound.MusicController#getTrackIndex
+     * @since 3.60.0
+     *
+     * @param {(number|string|Phaser.Types.Sound.MusicTrackConfig)} track - The index of the track, its name or key, or the track itself.
+     *
+     * @return {number} The index of the track, or -1 if it isn't in the playlist.
+     */
+    getTrackIndex: function (track)
+    {
+        var tracks = this.tracks;
+
+        if (typeof track === 'number')
+        {
+            return (track >= 0 && track < tracks.length) ? track : -1;
+        }
+
+        if (typeof track === 'string')
+        {
+            for (var i = 0; i < tracks.length; i++)
+            {
+                if (GetFastValue(tracks[i], 'name', tracks[i].key) === track)
+                {
+                    return i;
+                }
+            }
+
+            return -1;
+        }
+
+        return tracks.indexOf(track);
+    },
+
+    /**
+     * Plays a track, crossfading from the current track if there is one.
+     *
+     * If no track is given the music is resumed if it's paused, or the playlist is started if nothing is playing.
+     *
+     * A track that isn't in the playlist can also be played. When it ends the playlist carries on from the current position.
+     *
+     * @method Phaser.Sound.MusicController#play
+     * @fires Phaser.Sound.Events#TRACK_CHANGE
+     * @since 3.60.0
+     *
+     * @param {(number|string|Phaser.Types.Sound.MusicTrackConfig)} [track] - The index of the track in the playlist, its name or key, or a track config.
+     * @param {number} [duration] - The time, in seconds, to crossfade over. Defaults to `crossfade` if a track is playing, otherwise the track starts at full volume.
+     *
+     * @return {this} This Music Controller.
+     */
+    play: function (track, duration)
+    {
+        if (track === undefined)
+        {
+            if (this.isPaused)
+            {
+                return this.resume();
+            }
+
+            return (this.current) ? this : this.advance(false, duration);
+        }
+
+        var index = this.getTrackIndex(track);
+
+        if (index === -1)
+        {
+            if (typeof track !== 'object')
+            {
+                console.warn('Music track missing: ' + track);
+
+                return this;
+            }
+
+            return this.startTrack(track, -1, duration);
+        }
+
+        this.position = this.order.indexOf(index);
+
+        return this.startTrack(this.tracks[index], index, duration);
+    },
+
+    /**
+     * Plays the next track in the playlist, crossfading from the current track. After the last track it starts the playlist again.
+     *
+     * @method Phaser.Sound.MusicController#next
+     * @fires Phaser.Sound.Events#TRACK_CHANGE
+     * @since 3.60.0
+     *
+     * @param {number} [duration] - The time, in seconds, to crossfade over. Defaults to `crossfade`.
+     *
+     * @return {this} This Music Controller.
+     */
+    next: function (duration)
+    {
+        return this.advance(false, duration);
+    },
+
+    /**
+     * Plays the previous track in the playlist, crossfading from the current track. Before the first track it plays the last one.
+     *
+     * @method Phaser.Sound.MusicController#previous
+     * @fires Phaser.Sound.Events#TRACK_CHANGE
+     * @since 3.60.0
+     *
+     * @param {number} [duration] - The time, in seconds, to crossfade over. Defaults to `crossfade`.
+     *
+     * @return {this} This Music Controller.
+     */
+    previous: function (duration)
+    {
+        var length = this.order.length;
+
+        if (length === 0)
+        {
+            return this;
+        }
+
+        var position = this.position - 1;
+
+        if (position < 0)
+        {
+            position = length - 1;
+        }
+
+        this.position = position;
+
+        return this.startTrack(this.tracks[this.order[position]], this.order[position], duration);
+    },
+
+    /**
+     * Checks if there is a track to play after the current one.
+     *
+     * @method Phaser.Sound.MusicController#hasNext
+     * @since 3.60.0
+     *
+     * @param {boolean} [natural=false] - `true` if the current track is ending by itself, taking the `repeat` setting in to account.
+     *
+     * @return {boolean} `true` if there is a track to play next.
+     */
+    hasNext: function (natural)
+    {
+        if (natural && this.repeat === 'one' && this.current)
+        {
+            return true;
+        }
+
+        var length = this.order.length;
+
+        return (length > 0 && (!natural || this.repeat !== 'none' || this.position + 1 < length));
+    },
+
+    /**
+     * Plays the track after the current one.
+     *
+     * @method Phaser.Sound.MusicController#advance
+     * @private
+     * @since 3.60.0
+     *
+     * @param {boolean} natural - `true` if the current track is ending by itself, taking the `repeat` setting in to account.
+     * @param {number} [duration] - The time, in seconds, to crossfade over.
+     *
+     * @return {this} This Music Controller.
+     */
+    advance: function (natural, duration)
+    {
+        var current = this.current;
+
+        if (natural && current && this.repeat === 'one')
+        {
+            return this.startTrack(current.track, current.index, duration);
+        }
+
+        var order = this.order;
+        var length = order.length;
+
+        if (length === 0)
+        {
+            return this;
+        }
+
+        var position = this.position + 1;
+
+        if (position >= length)
+        {
+            position = 0;
+
+            if (this.shuffle && length > 1)
+            {
+                var last = order[length - 1];
+
+                Shuffle(order);
+
+                //  Don't play the same track twice in a row
+                if (order[0] === last)
+                {
+                    order[0] = order[length - 1];
+                    order[length - 1] = last;
+                }
+            }
+        }
+
+        this.position = position;
+
+        return this.startTrack(this.tracks[order[position]], order[position], duration);
+    },
+
+    /**
+     * Starts a track, fading out the current one.
+     *
+     * @method Phaser.Sound.MusicController#startTrack
+     * @private
+     * @fires Phaser.Sound.Events#TRACK_CHANGE
+     * @since 3.60.0
+     *
+     * @param {Phaser.Types.Sound.MusicTrackConfig} track - The track to start.
+     * @param {number} index - The index of the track in the playlist, or -1 if it isn't in it.
+     * @param {number} [duration] - The time, in seconds, to crossfade over.
+     *
+     * @return {this} This Music Controller.
+     */
+    startTrack: function (track, index, duration)
+    {
+        var previous = this.current;
+
+        if (duration === undefined)
+        {
+            duration = (previous) ? this.crossfade : 0;
+        }
+
+        if (this.isPaused)
+        {
+            duration = 0;
+
+            this.resume();
+        }
+
+        if (previous)
+        {
+            this.fadeLayer(previous, 0, duration, true);
+        }
+
+        var layer = {
+            track: track,
+            index: index,
+            sounds: [],
+            body: null,
+            bodyPending: false,
+            level: (duration > 0) ? 0 : 1,
+            fade: null,
+            elapsed: 0,
+            duration: 0,
+            started: false,
+            ended: false
+        };
+
+        this.layers.push(layer);
+
+        this.current = layer;
+        this.isPlaying = true;
+
+        this.startLayer(layer);
+
+        if (duration > 0)
+        {
+            this.fadeLayer(layer, 1, duration, false);
+        }
+
+        this.emit(Events.TRACK_CHANGE, this, track, (previous) ? previous.track : null);
+
+        return this;
+    },
+
+    /**
+     * Creates and plays the sounds of a layer, once the audio is unlocked and decoded.
+     *
+     * @method Phaser.Sound.MusicController#startLayer
+     * @private
+     * @since 3.60.0
+     *
+     * @param {object} layer - The layer to start.
+     */
+    startLayer: function (layer)
+    {
+        var manager = this.manager;
+        var track = layer.track;
+        var key = track.key;
+
+        if (manager.locked)
+        {
+            return;
+        }
+
+        //  Web Audio decodes on demand, and markers need to know the duration of the audio
+        if (manager.decodeQueue && !manager.cache.exists(key))
+        {
+            manager.decodeAudioQueue(key);
+
+            return;
+        }
+
+        var json = manager.game.cache.json.get(key);
+        var method = (json && json.spritemap) ? 'addAudioSprite' : 'add';
+        var config = GetFastValue(track, 'config', {});
+        var intro = GetFastValue(track, 'intro', null);
+        var body = GetFastValue(track, 'body', null);
+        var loop = GetFastValue(track, 'loop', false);
+        var volume = this.getLayerVolume(layer);
+        var delay = 0;
+        var sound;
+
+        if (intro)
+        {
+            sound = manager[method](key, config);
+
+            intro = this.getMarker(sound, intro, 'intro');
+        }
+
+        if (intro)
+        {
+            sound.play(intro.name, Extend({}, config, { volume: volume, loop: false }));
+
+            layer.sounds.push(sound);
+
+            delay = intro.duration / sound.totalRate;
+
+            if (!body)
+            {
+                body = { start: intro.start + intro.duration };
+            }
+        }
+
+        sound = manager[method](key, config);
+
+        body = (body) ? this.getMarker(sound, body, 'body') : null;
+
+        layer.body = {
+            sound: sound,
+            marker: (body) ? body.name : '',
+            config: Extend({}, config, { volume: volume, loop: loop, delay: delay })
+        };
+
+        sound.play(layer.body.marker, layer.body.config);
+
+        sound.once(Events.COMPLETE, function ()
+        {
+            this.trackComplete(layer);
+
+        }, this);
+
+        layer.sounds.push(sound);
+
+        layer.duration = (loop) ? Infinity : delay + (sound.duration / sound.totalRate);
+        layer.started = true;
+
+        if (layer.fade)
+        {
+            this.scheduleFade(layer);
+        }
+    },
+
+    /**
+     * Gets a marker of a sound, adding it to the sound first if it's given as a marker object.
+     *
+     * @method Phaser.Sound.MusicController#getMarker
+     * @private
+     * @since 3.60.0
+     *
+     * @param {Phaser.Sound.BaseSound} sound - The sound to get the marker from.
+     * @param {(string|Phaser.Types.Sound.SoundMarker)} marker - The name of a marker of the sound, or a marker to add to it.
+     * @param {string} name - The name to add the marker with.
+     *
+     * @return {?Phaser.Types.Sound.SoundMarker} The marker, or `null` if the sound doesn't have it.
+     */
+    getMarker: function (sound, marker, name)
+    {
+        if (typeof marker === 'string')
+        {
+            if (!sound.markers[marker])
+            {
+                console.warn('Marker: ' + marker + ' missing in Sound: ' + sound.key);
+
+                return null;
+            }
+
+            return sound.markers[marker];
+        }
+
+        sound.addMarker({
+            name: name,
+            start: GetFastValue(marker, 'start', 0),
+            duration: GetFastValue(marker, 'duration', undefined),
+            config: GetFastValue(marker, 'config', undefined)
+        });
+
+        return sound.markers[name];
+    },
+
+    /**
+     * Handles the body of a track completing playback.
+     *
+     * @method Phaser.Sound.MusicController#trackComplete
+     * @private
+     * @fires Phaser.Sound.Events#PLAYLIST_COMPLETE
+     * @since 3.60.0
+     *
+     * @param {object} layer - The layer of the track.
+     */
+    trackComplete: function (layer)
+    {
+        if (layer !== this.current || layer.ended)
+        {
+            return;
+        }
+
+        layer.ended = true;
+
+        if (this.hasNext(true))
+        {
+            this.advance(true, 0);
+        }
+        else
+        {
+            this.removeLayer(layer);
+
+            this.isPlaying = false;
+
+            this.emit(Events.PLAYLIST_COMPLETE, this);
+        }
+    },
+
+    /**
+     * Gets the volume the sounds of a layer should be at.
+     *
+     * @method Phaser.Sound.MusicController#getLayerVolume
+     * @private
+     * @since 3.60.0
+     *
+     * @param {object} layer - The layer.
+     * @param {number} [level] - The fade level. Defaults to the current level of the layer.
+     *
+     * @return {number} The volume.
+     */
+    getLayerVolume: function (layer, level)
+    {
+        if (level === undefined) { level = layer.level; }
+
+        return GetFastValue(layer.track, 'volume', 1) * this.volume * level;
+    },
+
+    /**
+     * Sets the volume of the sounds of a layer.
+     *
+     * @method Phaser.Sound.MusicController#applyVolume
+     * @private
+     * @since 3.60.0
+     *
+     * @param {object} layer - The layer.
+     */
+    applyVolume: function (layer)
+    {
+        var volume = this.getLayerVolume(layer);
+        var sounds = layer.sounds;
+
+        for (var i = 0; i < sounds.length; i++)
+        {
+            sounds[i].volume = volume;
+        }
+    },
+
+    /**
+     * Fades the sounds of a layer in or out.
+     *
+     * @method Phaser.Sound.MusicController#fadeLayer
+     * @private
+     * @since 3.60.0
+     *
+     * @param {object} layer - The layer to fade.
+     * @param {number} to - The fade level to fade to, between 0 and 1.
+     * @param {number} duration - The time, in seconds, to fade over.
+     * @param {boolean} stop - Should the layer be removed once it has faded?
+     */
+    fadeLayer: function (layer, to, duration, stop)
+    {
+        layer.fade = {
+            from: layer.level,
+            to: to,
+            duration: duration,
+            elapsed: 0,
+            stop: stop,
+            scheduled: false
+        };
+
+        if (duration <= 0 || (stop && !layer.started))
+        {
+            this.completeFade(layer);
+        }
+        else
+        {
+            this.scheduleFade(layer);
+        }
+    },
+
+    /**
+     * Schedules the rest of the fade of a layer as gain curves on the audio clock, if the sounds of the layer use Web Audio.
+     *
+     * @method Phaser.Sound.MusicController#scheduleFade
+     * @private
+     * @since 3.60.0
+     *
+     * @param {object} layer - The layer.
+     */
+    scheduleFade: function (layer)
+    {
+        var context = this.manager.context;
+        var sounds = layer.sounds;
+        var fade = layer.fade;
+        var i;
+
+        if (!context || sounds.length === 0)
+        {
+            return;
+        }
+
+        for (i = 0; i < sounds.length; i++)
+        {
+            if (!sounds[i].volumeNode)
+            {
+                return;
+            }
+        }
+
+        var remaining = fade.duration - fade.elapsed;
+        var length = Clamp(Math.ceil(remaining * 100), 2, 1000);
+        var curve = new Float32Array(length);
+
+        for (i = 0; i < length; i++)
+        {
+            var t = (fade.elapsed + remaining * i / (length - 1)) / fade.duration;
+
+            curve[i] = this.getLayerVolume(layer, fade.from + (fade.to - fade.from) * this.easeFunction(t));
+        }
+
+        var now = context.currentTime;
+
+        for (i = 0; i < sounds.length; i++)
+        {
+            var gain = sounds[i].volumeNode.gain;
+
+            gain.cancelScheduledValues(0);
+            gain.setValueCurveAtTime(curve, now, remaining);
+        }
+
+        fade.scheduled = true;
+    },
+
+    /**
+     * Ends the fade of a layer, setting the final volume of its sounds, or removing it if it was fading out to stop.
+     *
+     * @method Phaser.Sound.MusicController#completeFade
+     * @private
+     * @since 3.60.0
+     *
+     * @param {object} layer - The layer.
+     */
+    completeFade: function (layer)
+    {
+        var fade = layer.fade;
+
+        layer.fade = null;
+        layer.level = fade.to;
+
+        if (fade.stop)
+        {
+            this.removeLayer(layer);
+
+            return;
+        }
+
+        if (fade.scheduled)
+        {
+            //  Clear the curves, so the volume of the sounds can be set again
+            for (var i = 0; i < layer.sounds.length; i++)
+            {
+                layer.sounds[i].volumeNode.gain.cancelScheduledValues(0);
+            }
+        }
+
+        this.applyVolume(layer);
+    },
+
+    /**
+     * Destroys the sounds of a layer and removes it.
+     *
+     * @method Phaser.Sound.MusicController#removeLayer
+     * @private
+     * @since 3.60.0
+     *
+     * @param {object} layer - The layer to remove.
+     */
+    removeLayer: function (layer)
+    {
+        var index = this.layers.indexOf(layer);
+
+        if (index !== -1)
+        {
+            this.layers.splice(index, 1);
+        }
+
+        for (var i = 0; i < layer.sounds.length; i++)
+        {
+            if (!layer.sounds[i].pendingRemove)
+            {
+                layer.sounds[i].destroy();
+            }
+        }
+
+        layer.sounds.length = 0;
+        layer.body = null;
+
+        if (layer === this.current)
+        {
+            this.current = null;
+        }
+    },
+
+    /**
+     * Stops the music, fading out the current track.
+     *
+     * @method Phaser.Sound.MusicController#stop
+     * @since 3.60.0
+     *
+     * @param {number} [duration=0] - The time, in seconds, to fade out over.
+     *
+     * @return {this} This Music Controller.
+     */
+    stop: function (duration)
+    {
+        if (duration === undefined) { duration = 0; }
+
+        if (this.current)
+        {
+            this.fadeLayer(this.current, 0, (this.isPaused) ? 0 : duration, true);
+
+            this.current = null;
+        }
+
+        this.isPlaying = false;
+        this.isPaused = false;
+
+        return this;
+    },
+
+    /**
+     * Pauses the music. Any crossfade in progress is completed first.
+     *
+     * @method Phaser.Sound.MusicController#pause
+     * @since 3.60.0
+     *
+     * @return {this} This Music Controller.
+     */
+    pause: function ()
+    {
+        if (!this.isPlaying || this.isPaused)
+        {
+            return this;
+        }
+
+        var layers = this.layers;
+        var i;
+
+        for (i = layers.length - 1; i >= 0; i--)
+        {
+            if (layers[i].fade)
+            {
+                this.completeFade(layers[i]);
+            }
+        }
+
+        for (i = 0; i < layers.length; i++)
+        {
+            var layer = layers[i];
+
+            for (var j = 0; j < layer.sounds.length; j++)
+            {
+                var sound = layer.sounds[j];
+
+                //  A body waiting for its intro to finish can't be paused, so it's played again on resume
+                if (!sound.pause() && sound.isPlaying && layer.body && sound === layer.body.sound)
+                {
+                    sound.stop();
+
+                    layer.bodyPending = true;
+                }
+            }
+        }
+
+        this.isPaused = true;
+
+        return this;
+    },
+
+    /**
+     * Resumes the music after it was paused.
+     *
+     * @method Phaser.Sound.MusicController#resume
+     * @since 3.60.0
+     *
+     * @return {this} This Music Controller.
+     */
+    resume: function ()
+    {
+        if (!this.isPaused)
+        {
+            return this;
+        }
+
+        this.isPaused = false;
+
+        var layers = this.layers;
+
+        for (var i = 0; i < layers.length; i++)
+        {
+            var layer = layers[i];
+            var sounds = layer.sounds;
+
+            for (var j = 0; j < sounds.length; j++)
+            {
+                sounds[j].resume();
+            }
+
+            if (layer.bodyPending)
+            {
+                var intro = sounds[0];
+                var body = layer.body;
+
+                layer.bodyPending = false;
+
+                body.config.delay = Math.max(0, intro.duration - intro.seek) / intro.totalRate;
+
+                body.sound.play(body.marker, body.config);
+            }
+        }
+
+        return this;
+    },
+
+    /**
+     * Sets the volume of the music.
+     *
+     * @method Phaser.Sound.MusicController#setVolume
+     * @since 3.60.0
+     *
+     * @param {number} value - The volume, between 0 (silence) and 1 (full volume).
+     *
+     * @return {this} This Music Controller.
+     */
+    setVolume: function (value)
+    {
+        this.volume = value;
+
+        var layers = this.layers;
+
+        for (var i = 0; i < layers.length; i++)
+        {
+            if (!layers[i].fade || !layers[i].fade.scheduled)
+            {
+                this.applyVolume(layers[i]);
+            }
+        }
+
+        return this;
+    },
+
+    /**
+     * Sets if the tracks are played in a random order. The playlist carries on from the current track.
+     *
+     * @method Phaser.Sound.MusicController#setShuffle
+     * @since 3.60.0
+     *
+     * @param {boolean} value - `true` to shuffle the tracks, `false` to play them in order.
+     *
+     * @return {this} This Music Controller.
+     */
+    setShuffle: function (value)
+    {
+        this.shuffle = value;
+
+        return this.buildOrder();
+    },
+
+    /**
+     * Sets what happens when a track ends.
+     *
+     * @method Phaser.Sound.MusicController#setRepeat
+     * @since 3.60.0
+     *
+     * @param {string} value - `none` to stop at the end of the playlist, `all` to play the playlist again or `one` to play the same track again.
+     *
+     * @return {this} This Music Controller.
+     */
+    setRepeat: function (value)
+    {
+        this.repeat = value;
+
+        return this;
+    },
+
+    /**
+     * Sets the duration and ease of the crossfades between tracks.
+     *
+     * @method Phaser.Sound.MusicController#setCrossfade
+     * @since 3.60.0
+     *
+     * @param {number} duration - The time, in seconds, to crossfade over. 0 switches tracks immediately.
+     * @param {(string|function)} [ease] - The ease to use, as a string from the EaseMap or a custom function.
+     *
+     * @return {this} This Music Controller.
+     */
+    setCrossfade: function (duration, ease)
+    {
+        this.crossfade = duration;
+
+        if (ease !== undefined)
+        {
+            this.ease = ease;
+            this.easeFunction = GetEaseFunction(ease);
+        }
+
+        return this;
+    },
+
+    /**
+     * The current track, or `null` if nothing is playing.
+     *
+     * @name Phaser.Sound.MusicController#currentTrack
+     * @type {?Phaser.Types.Sound.MusicTrackConfig}
+     * @readonly
+     * @since 3.60.0
+     */
+    currentTrack: {
+
+        get: function ()
+        {
+            return (this.current) ? this.current.track : null;
+        }
+
+    },
+
+    /**
+     * Starts waiting tracks, updates the crossfades and starts the next track when the current one is about to end.
+     *
+     * Called automatically by the Sound Manager every game step.
+     *
+     * @method Phaser.Sound.MusicController#update
+     * @since 3.60.0
+     *
+     * @param {number} time - The current timestamp.
+     * @param {number} delta - The delta time, in ms, elapsed since the last frame.
+     */
+    update: function (time, delta)
+    {
+        if (this.manager.locked || this.isPaused)
+        {
+            return;
+        }
+
+        var seconds = delta / 1000;
+        var layers = this.layers;
+
+        for (var i = layers.length - 1; i >= 0; i--)
+        {
+            var layer = layers[i];
+
+            if (!layer.started)
+            {
+                this.startLayer(layer);
+
+                continue;
+            }
+
+            var body = layer.body.sound;
+
+            //  The sounds were stopped or destroyed outside of the controller
+            if (body.pendingRemove || (!body.isPlaying && !body.isPaused && !layer.ended))
+            {
+                if (layer === this.current)
+                {
+                    this.isPlaying = false;
+                }
+
+                this.removeLayer(layer);
+
+                continue;
+            }
+
+            layer.elapsed += seconds * body.totalRate;
+
+            var fade = layer.fade;
+
+            if (fade)
+            {
+                fade.elapsed += seconds;
+
+                if (fade.elapsed >= fade.duration)
+                {
+                    this.completeFade(layer);
+                }
+                else
+                {
+                    layer.level = fade.from + (fade.to - fade.from) * this.easeFunction(fade.elapsed / fade.duration);
+
+                    if (!fade.scheduled)
+                    {
+                        this.applyVolume(layer);
+                    }
+                }
+            }
+        }
+
+        var current = this.current;
+
+        //  Start crossfading to the next track before the current one ends
+        if (current && current.started && !current.ended && this.crossfade > 0 && current.elapsed >= current.duration - this.crossfade && this.hasNext(true))
+        {
+            current.ended = true;
+
+            this.advance(true, this.crossfade);
+        }
+    },
+
+    /**
+     * Stops the music, destroys its sounds and removes all listeners.
+     *
+     * @method Phaser.Sound.MusicController#destroy
+     * @since 3.60.0
+     */
+    destroy: function ()
+    {
+        var layers = this.layers;
+
+        for (var i = layers.length - 1; i >= 0; i--)
+        {
+            //  Remove the sounds from the Sound Manager now, as it destroys all of its sounds next
+            for (var j = 0; j < layers[i].sounds.length; j++)
+            {
+                this.manager.remove(layers[i].sounds[j]);
+            }
+
+            this.removeLayer(layers[i]);
+        }
+
+        this.removeAllListeners();
+
+        this.tracks.length = 0;
+        this.order.length = 0;
+
+        this.isPlaying = false;
+        this.isPaused = false;
+        this.manager = null;
+    }
+
+});
+
+module.exports = MusicController;
@@ -0,0 +1,22 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+/**
+ * The Sound Manager Bus Mute Event.
+ *
+ * This event is dispatched by the Web Audio Sound Manager when the `mute` property of one of its buses is changed,
+ * either directly or via the `setMute` method. This changes the muted state of all sounds routed through the bus.
+ *
+ * Listen to it from a Scene using: `this.sound.on('busmute', listener)`.
+ *
+ * @event Phaser.Sound.Events#BUS_MUTE
+ * @since 3.60.0
+ *
+ * @param {Phaser.Sound.WebAudioSoundManager} soundManager - A reference to the sound manager that emitted the event.
+ * @param {Phaser.Sound.WebAudioBus} bus - A reference to the bus that was muted or unmuted.
+ * @param {boolean} mute - The mute value. `true` if the bus is now muted, otherwise `false`.
+ */
+module.exports = 'busmute';
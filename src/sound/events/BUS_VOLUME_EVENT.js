@@ -0,0 +1,22 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+/**
+ * The Sound Manager Bus Volume Event.
+ *
+ * This event is dispatched by the Web Audio Sound Manager when the `volume` property of one of its buses is changed,
+ * either directly or via the `setVolume` method. This changes the volume of all sounds routed through the bus.
+ *
+ * Listen to it from a Scene using: `this.sound.on('busvolume', listener)`.
+ *
+ * @event Phaser.Sound.Events#BUS_VOLUME
+ * @since 3.60.0
+ *
+ * @param {Phaser.Sound.WebAudioSoundManager} soundManager - A reference to the sound manager that emitted the event.
+ * @param {Phaser.Sound.WebAudioBus} bus - A reference to the bus that had its volume changed.
+ * @param {number} volume - The new volume of the bus.
+ */
+module.exports = 'busvolume';
@@ -0,0 +1,20 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+/**
+ * The Music Playlist Complete Event.
+ *
+ * This event is dispatched by the Music Controller when the last track of its playlist ends and there is nothing
+ * left to play, because its `repeat` setting is `none`.
+ *
+ * Listen to it from a Scene using: `this.sound.music.on('playlistcomplete', listener)`.
+ *
+ * @event Phaser.Sound.Events#PLAYLIST_COMPLETE
+ * @since 3.60.0
+ *
+ * @param {Phaser.Sound.MusicController} music - A reference to the Music Controller that emitted the event.
+ */
+module.exports = 'playlistcomplete';
@@ -0,0 +1,22 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+/**
+ * The Music Track Change Event.
+ *
+ * This event is dispatched by the Music Controller when it starts playing a track, either from the playlist
+ * moving on or from a call to `play`, `next` or `previous`. If there was a track playing it is now fading out.
+ *
+ * Listen to it from a Scene using: `this.sound.music.on('trackchange', listener)`.
+ *
+ * @event Phaser.Sound.Events#TRACK_CHANGE
+ * @since 3.60.0
+ *
+ * @param {Phaser.Sound.MusicController} music - A reference to the Music Controller that emitted the event.
+ * @param {Phaser.Types.Sound.MusicTrackConfig} track - The track that started playing.
+ * @param {?Phaser.Types.Sound.MusicTrackConfig} previous - The track that was playing before, or `null` if there wasn't one.
+ */
+module.exports = 'trackchange';
@@ -10,6 +10,8 @@
 
 module.exports = {
 
+    BUS_MUTE: require('./BUS_MUTE_EVENT'),
+    BUS_VOLUME: require('./BUS_VOLUME_EVENT'),
     COMPLETE: require('./COMPLETE_EVENT'),
     DECODED: require('./DECODED_EVENT'),
     DECODED_ALL: require('./DECODED_ALL_EVENT'),
@@ -25,6 +27,7 @@ module.exports = {
     PAN: require('./PAN_EVENT'),
     PAUSE_ALL: require('./PAUSE_ALL_EVENT'),
     PAUSE: require('./PAUSE_EVENT'),
+    PLAYLIST_COMPLETE: require('./PLAYLIST_COMPLETE_EVENT'),
     PLAY: require('./PLAY_EVENT'),
     RATE: require('./RATE_EVENT'),
     RESUME_ALL: require('./RESUME_ALL_EVENT'),
@@ -32,6 +35,7 @@ module.exports = {
     SEEK: require('./SEEK_EVENT'),
     STOP_ALL: require('./STOP_ALL_EVENT'),
     STOP: require('./STOP_EVENT'),
+    TRACK_CHANGE: require('./TRACK_CHANGE_EVENT'),
     UNLOCKED: require('./UNLOCKED_EVENT'),
     VOLUME: require('./VOLUME_EVENT')
 
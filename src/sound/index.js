@@ -17,9 +17,14 @@ module.exports = {
 
     BaseSound: require('./BaseSound'),
     BaseSoundManager: require('./BaseSoundManager'),
+    MusicController: require('./MusicController'),
 
+    WebAudioBus: require('./webaudio/WebAudioBus'),
+    WebAudioEffect: require('./webaudio/WebAudioEffect'),
+    WebAudioEffectChain: require('./webaudio/WebAudioEffectChain'),
     WebAudioSound: require('./webaudio/WebAudioSound'),
     WebAudioSoundManager: require('./webaudio/WebAudioSoundManager'),
+    WebAudioSpatial: require('./webaudio/WebAudioSpatial'),
 
     HTML5AudioSound: require('./html5/HTML5AudioSound'),
     HTML5AudioSoundManager: require('./html5/HTML5AudioSoundManager'),
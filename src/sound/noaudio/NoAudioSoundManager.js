@@ -6,6 +6,7 @@
  */
 
  var BaseSoundManager = require('../BaseSoundManager');
+ var MusicController = require('../MusicController');
  var Class = require('../../utils/Class');
  var EventEmitter = require('eventemitter3');
  var NoAudioSound = require('./NoAudioSound');
@@ -123,6 +124,15 @@
           * @since 3.0.0
           */
          this.locked = false;
+ 
+         /**
+          * The Music Controller, which plays playlists of music tracks with crossfades between them.
+          *
+          * @name Phaser.Sound.NoAudioSoundManager#music
+          * @type {Phaser.Sound.MusicController}
+          * @since 3.60.0
+          */
+         this.music = new MusicController(this);
      },
  
      /**
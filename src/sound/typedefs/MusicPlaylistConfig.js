@@ -0,0 +1,11 @@
+/**
+ * Config object for the playlist of the Music Controller.
+ *
+ * @typedef {object} Phaser.Types.Sound.MusicPlaylistConfig
+ * @since 3.60.0
+ *
+ * @property {boolean} [shuffle] - Should the tracks be played in a random order?
+ * @property {string} [repeat] - What happens when a track ends: `none`, `all` or `one`.
+ * @property {number} [crossfade] - The time, in seconds, to crossfade between tracks over.
+ * @property {(string|function)} [ease] - The ease to crossfade with, as a string from the EaseMap or a custom function.
+ */
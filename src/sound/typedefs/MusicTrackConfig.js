@@ -0,0 +1,14 @@
+/**
+ * Config object for a track played by the Music Controller.
+ *
+ * @typedef {object} Phaser.Types.Sound.MusicTrackConfig
+ * @since 3.60.0
+ *
+ * @property {string} key - The key of the audio, or audio sprite, in the audio cache.
+ * @property {string} [name] - The name of the track, used to play it from the playlist. Defaults to the `key`.
+ * @property {(string|Phaser.Types.Sound.SoundMarker)} [intro] - A section played once before the body. Either the name of a marker of an audio sprite, or a marker with a `start` and `duration`.
+ * @property {(string|Phaser.Types.Sound.SoundMarker)} [body] - The main section of the track. Either the name of a marker of an audio sprite, or a marker with a `start` and `duration`. Defaults to the rest of the audio after the intro, or all of it.
+ * @property {boolean} [loop=false] - Should the body loop? A looping track plays until another track is played.
+ * @property {number} [volume=1] - The volume of the track, between 0 (silence) and 1 (full volume).
+ * @property {Phaser.Types.Sound.SoundConfig} [config] - Settings for the sounds of the track, such as the `bus` to route them through.
+ */
@@ -12,4 +12,7 @@
  * @property {boolean} [loop=false] - Whether or not the sound or current sound marker should loop.
  * @property {number} [delay=0] - Time, in seconds, that should elapse before the sound actually starts its playback.
  * @property {number} [pan=0] - A value between -1 (full left pan) and 1 (full right pan). 0 means no pan.
+ * @property {string} [bus] - Web Audio only. The name of the bus to route the sound through. Only used when the sound is added.
+ * @property {Phaser.Types.Sound.WebAudioEffectConfig[]} [effects] - Web Audio only. The effects to insert in to the sound. Only used when the sound is added.
+ * @property {Phaser.Types.Sound.WebAudioSpatialConfig} [spatial] - Web Audio only. The positional settings of the sound. Only used when the sound is added.
  */
@@ -0,0 +1,13 @@
+/**
+ * Config object for a Web Audio Bus.
+ *
+ * @typedef {object} Phaser.Types.Sound.WebAudioBusConfig
+ * @since 3.60.0
+ *
+ * @property {string} name - The unique name of the bus, such as `music` or `sfx`.
+ * @property {string} [parent] - The name of the bus this bus is routed in to. If not given, it is routed straight to the master output.
+ * @property {number} [volume=1] - The volume of the bus, between 0 (silence) and 1 (full volume).
+ * @property {boolean} [mute=false] - Whether the bus starts muted.
+ * @property {Phaser.Types.Sound.WebAudioEffectConfig[]} [effects] - The effects to insert in to the bus.
+ * @property {Phaser.Types.Sound.WebAudioDuckingConfig} [ducking] - Settings to automatically duck the bus while sounds are playing on other buses.
+ */
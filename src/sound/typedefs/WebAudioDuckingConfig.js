@@ -0,0 +1,11 @@
+/**
+ * Config object for the automatic ducking of a Web Audio Bus.
+ *
+ * @typedef {object} Phaser.Types.Sound.WebAudioDuckingConfig
+ * @since 3.60.0
+ *
+ * @property {(string|string[])} by - The name of the bus, or buses, that duck this bus while any sound routed to them, or to their child buses, is playing.
+ * @property {number} [volume=0.3] - The fraction of its volume the bus is lowered to while ducked.
+ * @property {number} [attack=0.1] - The time, in seconds, to fade down to the ducked volume over.
+ * @property {number} [release=0.5] - The time, in seconds, to fade back up to the full volume over.
+ */
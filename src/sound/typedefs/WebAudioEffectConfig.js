@@ -0,0 +1,25 @@
+/**
+ * Config object for a Web Audio Effect. Which properties are used depends on the `type` of the effect.
+ *
+ * @typedef {object} Phaser.Types.Sound.WebAudioEffectConfig
+ * @since 3.60.0
+ *
+ * @property {string} type - The type of effect: `filter`, `reverb`, `delay` or `compressor`.
+ * @property {string} [filter='lowpass'] - A `filter` effect: the type of `BiquadFilterNode`, such as `lowpass`, `highpass`, `bandpass` or `peaking`.
+ * @property {number} [frequency=350] - A `filter` effect: the frequency, in Hz.
+ * @property {number} [Q=1] - A `filter` effect: the quality factor.
+ * @property {number} [gain=0] - A `filter` effect: the gain, in dB, of the `lowshelf`, `highshelf` and `peaking` filters.
+ * @property {number} [detune=0] - A `filter` effect: the detuning of the frequency, in cents.
+ * @property {string} [key] - A `reverb` effect: the key of the impulse response in the audio cache.
+ * @property {boolean} [normalize=true] - A `reverb` effect: whether the impulse response is scaled by an equal-power normalization.
+ * @property {number} [time=0.25] - A `delay` effect: the delay time, in seconds.
+ * @property {number} [maxTime=1] - A `delay` effect: the longest delay time, in seconds, the effect can be set to.
+ * @property {number} [feedback=0.4] - A `delay` effect: the amount of the delayed signal fed back in to the delay.
+ * @property {number} [wet=0.5] - A `reverb` or `delay` effect: the level of the processed signal.
+ * @property {number} [dry=1] - A `reverb` or `delay` effect: the level of the unprocessed signal.
+ * @property {number} [threshold=-24] - A `compressor` effect: the level, in dB, above which compression starts.
+ * @property {number} [knee=30] - A `compressor` effect: the range, in dB, above the threshold where the curve smoothly transitions to the compressed portion.
+ * @property {number} [ratio=12] - A `compressor` effect: the amount of change, in dB, needed in the input for a 1 dB change in the output.
+ * @property {number} [attack=0.003] - A `compressor` effect: the time, in seconds, required to reduce the gain by 10 dB.
+ * @property {number} [release=0.25] - A `compressor` effect: the time, in seconds, required to increase the gain by 10 dB.
+ */
@@ -0,0 +1,18 @@
+/**
+ * Config object for the positional settings of a Web Audio Sound.
+ *
+ * @typedef {object} Phaser.Types.Sound.WebAudioSpatialConfig
+ * @since 3.60.0
+ *
+ * @property {Phaser.GameObjects.GameObject} [follow] - A Game Object the sound follows. If not given the sound stays at `x` and `y`.
+ * @property {Phaser.Scene} [scene] - The Scene the sound belongs to, whose main camera is the listener if the Sound Manager doesn't have one. Defaults to the Scene of the `follow` Game Object.
+ * @property {number} [x=0] - The horizontal position of the sound in the world.
+ * @property {number} [y=0] - The vertical position of the sound in the world.
+ * @property {string} [distanceModel='linear'] - How the volume falls off with distance: `linear`, `inverse` or `exponential`.
+ * @property {number} [refDistance=100] - The distance, in pixels, within which the sound plays at full volume.
+ * @property {number} [maxDistance=1000] - The distance, in pixels, beyond which the sound is culled.
+ * @property {number} [rolloffFactor=1] - How quickly the volume falls off with distance.
+ * @property {boolean} [pan=true] - Should the sound be panned left or right depending on where it is relative to the listener?
+ * @property {boolean} [hrtf=false] - Use a `PannerNode` with the HRTF panning model, instead of a gain and a stereo pan.
+ * @property {(string|boolean)} [cull='pause'] - What happens to the sound beyond the `maxDistance`: `pause` it until it comes back in range, `stop` it, or `false` to keep playing.
+ */
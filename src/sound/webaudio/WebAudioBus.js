@@ -0,0 +1,485 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var Class = require('../../utils/Class');
+var Events = require('../events');
+var GetFastValue = require('../../utils/object/GetFastValue');
+var WebAudioEffectChain = require('./WebAudioEffectChain');
+
+/**
+ * @classdesc
+ * A Web Audio Bus is a named group that sounds are routed through, such as `music`, `sfx`, `voice` or `ui`.
+ *
+ * Each bus has its own volume, mute and Effect Chain. The signal of a bus passes through its effects, then its
+ * ducking, mute and volume nodes, before going to its parent bus, or to the master mute and volume nodes of the
+ * Sound Manager. This means the global `volume` and `mute` of the Sound Manager always apply on top of every bus.
+ *
+ * A bus can duck automatically while sounds are playing on other buses, such as lowering the music while a voice
+ * line plays:
+ *
+ * ```javascript
+ * var config = {
+ *     audio: {
+ *         buses: [
+ *             { name: 'music', volume: 0.8, ducking: { by: 'voice', volume: 0.3 } },
+ *             { name: 'sfx' },
+ *             { name: 'voice' },
+ *             { name: 'ui', parent: 'sfx' }
+ *         ]
+ *     }
+ * };
+ *
+ * //  In a Scene
+ * this.sound.play('theme', { bus: 'music', loop: true });
+ * this.sound.getBus('sfx').setVolume(0.5);
+ * ```
+ *
+ * Buses are created with `WebAudioSoundManager.addBus`, or from the `audio.buses` game config.
+ *
+ * @class WebAudioBus
+ * @memberof Phaser.Sound
+ * @constructor
+ * @since 3.60.0
+ *
+ * @param {Phaser.Sound.WebAudioSoundManager} manager - The Sound Manager this bus belongs to.
+ * @param {Phaser.Types.Sound.WebAudioBusConfig} config - The bus settings.
+ */
+var WebAudioBus = new Class({
+
+    initialize:
+
+    function WebAudioBus (manager, config)
+    {
+        /**
+         * The Sound Manager this bus belongs to.
+         *
+         * @name Phaser.Sound.WebAudioBus#manager
+         * @type {Phaser.Sound.WebAudioSoundManager}
+         * @since 3.60.0
+         */
+        this.manager = manager;
+
+        /**
+         * The unique name of this bus.
+         *
+         * @name Phaser.Sound.WebAudioBus#name
+         * @type {string}
+         * @since 3.60.0
+         */
+        this.name = GetFastValue(config, 'name', '');
+
+        /**
+         * The name of the bus this bus is routed in to, or `null` to route straight to the master output.
+         *
+         * @name Phaser.Sound.WebAudioBus#parent
+         * @type {?string}
+         * @since 3.60.0
+         */
+        this.parent = GetFastValue(config, 'parent', null);
+
+        /**
+         * The effects the signal of this bus passes through, before its volume is applied.
+         *
+         * @name Phaser.Sound.WebAudioBus#effects
+         * @type {Phaser.Sound.WebAudioEffectChain}
+         * @since 3.60.0
+         */
+        this.effects = new WebAudioEffectChain(manager, GetFastValue(config, 'effects', null));
+
+        /**
+         * The automatic ducking settings of this bus, or `null` if it doesn't duck automatically.
+         *
+         * @name Phaser.Sound.WebAudioBus#ducking
+         * @type {?Phaser.Types.Sound.WebAudioDuckingConfig}
+         * @since 3.60.0
+         */
+        this.ducking = GetFastValue(config, 'ducking', null);
+
+        /**
+         * Is this bus currently ducked?
+         *
+         * @name Phaser.Sound.WebAudioBus#isDucked
+         * @type {boolean}
+         * @readonly
+         * @since 3.60.0
+         */
+        this.isDucked = false;
+
+        /**
+         * The node that sounds and child buses connect to. It's created when the Sound Manager has an Audio Context.
+         *
+         * @name Phaser.Sound.WebAudioBus#input
+         * @type {?AudioNode}
+         * @default null
+         * @since 3.60.0
+         */
+        this.input = null;
+
+        /**
+         * Gain node responsible for ducking this bus.
+         *
+         * @name Phaser.Sound.WebAudioBus#duckNode
+         * @type {?GainNode}
+         * @default null
+         * @since 3.60.0
+         */
+        this.duckNode = null;
+
+        /**
+         * Gain node responsible for muting this bus.
+         *
+         * @name Phaser.Sound.WebAudioBus#muteNode
+         * @type {?GainNode}
+         * @default null
+         * @since 3.60.0
+         */
+        this.muteNode = null;
+
+        /**
+         * Gain node responsible for the volume of this bus.
+         *
+         * @name Phaser.Sound.WebAudioBus#volumeNode
+         * @type {?GainNode}
+         * @default null
+         * @since 3.60.0
+         */
+        this.volumeNode = null;
+
+        /**
+         * The volume of this bus, kept here so it can be set before the nodes exist.
+         *
+         * @name Phaser.Sound.WebAudioBus#_volume
+         * @type {number}
+         * @private
+         * @since 3.60.0
+         */
+        this._volume = GetFastValue(config, 'volume', 1);
+
+        /**
+         * The muted state of this bus, kept here so it can be set before the nodes exist.
+         *
+         * @name Phaser.Sound.WebAudioBus#_mute
+         * @type {boolean}
+         * @private
+         * @since 3.60.0
+         */
+        this._mute = GetFastValue(config, 'mute', false);
+    },
+
+    /**
+     * Creates the nodes of this bus on the Audio Context of the Sound Manager and connects them.
+     *
+     * You don't normally call this yourself. The Sound Manager does it when it has an Audio Context.
+     *
+     * @method Phaser.Sound.WebAudioBus#init
+     * @since 3.60.0
+     *
+     * @return {this} This Bus.
+     */
+    init: function ()
+    {
+        var context = this.manager.context;
+
+        this.disconnect();
+
+        this.effects.init();
+
+        this.duckNode = context.createGain();
+        this.muteNode = context.createGain();
+        this.volumeNode = context.createGain();
+
+        this.effects.output.connect(this.duckNode);
+        this.duckNode.connect(this.muteNode);
+        this.muteNode.connect(this.volumeNode);
+
+        this.muteNode.gain.setValueAtTime(this._mute ? 0 : 1, 0);
+        this.volumeNode.gain.setValueAtTime(this._volume, 0);
+
+        this.input = this.effects.input;
+
+        this.isDucked = false;
+
+        return this.connect();
+    },
+
+    /**
+     * Connects the output of this bus to its parent bus, or to the master output if it has no parent.
+     *
+     * @method Phaser.Sound.WebAudioBus#connect
+     * @since 3.60.0
+     *
+     * @return {this} This Bus.
+     */
+    connect: function ()
+    {
+        if (this.volumeNode)
+        {
+            this.volumeNode.disconnect();
+            this.volumeNode.connect(this.manager.getBusInput(this.parent));
+        }
+
+        return this;
+    },
+
+    /**
+     * Disconnects the nodes of this bus.
+     *
+     * @method Phaser.Sound.WebAudioBus#disconnect
+     * @private
+     * @since 3.60.0
+     */
+    disconnect: function ()
+    {
+        var nodes = [ this.duckNode, this.muteNode, this.volumeNode ];
+
+        for (var i = 0; i < nodes.length; i++)
+        {
+            if (nodes[i])
+            {
+                nodes[i].disconnect();
+            }
+        }
+
+        this.input = null;
+        this.duckNode = null;
+        this.muteNode = null;
+        this.volumeNode = null;
+    },
+
+    /**
+     * Routes this bus in to another bus.
+     *
+     * @method Phaser.Sound.WebAudioBus#setParent
+     * @since 3.60.0
+     *
+     * @param {?string} parent - The name of the bus to route in to, or `null` to route straight to the master output.
+     *
+     * @return {this} This Bus.
+     */
+    setParent: function (parent)
+    {
+        this.parent = parent;
+
+        return this.connect();
+    },
+
+    /**
+     * Sets the muted state of this bus.
+     *
+     * @method Phaser.Sound.WebAudioBus#setMute
+     * @fires Phaser.Sound.Events#BUS_MUTE
+     * @since 3.60.0
+     *
+     * @param {boolean} value - `true` to mute this bus, `false` to unmute it.
+     *
+     * @return {this} This Bus.
+     */
+    setMute: function (value)
+    {
+        this.mute = value;
+
+        return this;
+    },
+
+    /**
+     * Sets the volume of this bus.
+     *
+     * @method Phaser.Sound.WebAudioBus#setVolume
+     * @fires Phaser.Sound.Events#BUS_VOLUME
+     * @since 3.60.0
+     *
+     * @param {number} value - The volume of this bus, between 0 (silence) and 1 (full volume).
+     *
+     * @return {this} This Bus.
+     */
+    setVolume: function (value)
+    {
+        this.volume = value;
+
+        return this;
+    },
+
+    /**
+     * Lowers the volume of this bus, without changing its `volume` setting.
+     *
+     * @method Phaser.Sound.WebAudioBus#duck
+     * @since 3.60.0
+     *
+     * @param {number} [volume=0.3] - The fraction of its volume to lower this bus to.
+     * @param {number} [duration=0.1] - The time, in seconds, to fade to the ducked volume over.
+     *
+     * @return {this} This Bus.
+     */
+    duck: function (volume, duration)
+    {
+        if (volume === undefined) { volume = 0.3; }
+        if (duration === undefined) { duration = 0.1; }
+
+        this.isDucked = true;
+
+        return this.rampDuck(volume, duration);
+    },
+
+    /**
+     * Returns this bus to its full volume after it has been ducked.
+     *
+     * @method Phaser.Sound.WebAudioBus#unduck
+     * @since 3.60.0
+     *
+     * @param {number} [duration=0.5] - The time, in seconds, to fade back to the full volume over.
+     *
+     * @return {this} This Bus.
+     */
+    unduck: function (duration)
+    {
+        if (duration === undefined) { duration = 0.5; }
+
+        this.isDucked = false;
+
+        return this.rampDuck(1, duration);
+    },
+
+    /**
+     * Fades the duck node of this bus to the given gain.
+     *
+     * @method Phaser.Sound.WebAudioBus#rampDuck
+     * @private
+     * @since 3.60.0
+     *
+     * @param {number} value - The gain to fade to.
+     * @param {number} duration - The time, in seconds, to fade over.
+     *
+     * @return {this} This Bus.
+     */
+    rampDuck: function (value, duration)
+    {
+        if (this.duckNode)
+        {
+            var gain = this.duckNode.gain;
+            var now = this.manager.context.currentTime;
+
+            gain.cancelScheduledValues(now);
+            gain.setValueAtTime(gain.value, now);
+            gain.linearRampToValueAtTime(value, now + duration);
+        }
+
+        return this;
+    },
+
+    /**
+     * Ducks or unducks this bus, depending on whether sounds are playing on the buses set in its `ducking` config.
+     *
+     * Called automatically by the Sound Manager every game step.
+     *
+     * @method Phaser.Sound.WebAudioBus#update
+     * @since 3.60.0
+     */
+    update: function ()
+    {
+        var ducking = this.ducking;
+
+        if (!ducking || !this.duckNode)
+        {
+            return;
+        }
+
+        var by = GetFastValue(ducking, 'by', []);
+
+        if (!Array.isArray(by))
+        {
+            by = [ by ];
+        }
+
+        var playing = false;
+
+        for (var i = 0; i < by.length && !playing; i++)
+        {
+            playing = this.manager.isBusPlaying(by[i]);
+        }
+
+        if (playing && !this.isDucked)
+        {
+            this.duck(GetFastValue(ducking, 'volume', 0.3), GetFastValue(ducking, 'attack', 0.1));
+        }
+        else if (!playing && this.isDucked)
+        {
+            this.unduck(GetFastValue(ducking, 'release', 0.5));
+        }
+    },
+
+    /**
+     * @name Phaser.Sound.WebAudioBus#mute
+     * @type {boolean}
+     * @fires Phaser.Sound.Events#BUS_MUTE
+     * @since 3.60.0
+     */
+    mute: {
+
+        get: function ()
+        {
+            return this._mute;
+        },
+
+        set: function (value)
+        {
+            this._mute = value;
+
+            if (this.muteNode)
+            {
+                this.muteNode.gain.setValueAtTime(value ? 0 : 1, 0);
+            }
+
+            this.manager.emit(Events.BUS_MUTE, this.manager, this, value);
+        }
+
+    },
+
+    /**
+     * @name Phaser.Sound.WebAudioBus#volume
+     * @type {number}
+     * @fires Phaser.Sound.Events#BUS_VOLUME
+     * @since 3.60.0
+     */
+    volume: {
+
+        get: function ()
+        {
+            return this._volume;
+        },
+
+        set: function (value)
+        {
+            this._volume = value;
+
+            if (this.volumeNode)
+            {
+                this.volumeNode.gain.setValueAtTime(value, 0);
+            }
+
+            this.manager.emit(Events.BUS_VOLUME, this.manager, this, value);
+        }
+
+    },
+
+    /**
+     * Destroys this bus, its effects and its nodes.
+     *
+     * @method Phaser.Sound.WebAudioBus#destroy
+     * @since 3.60.0
+     */
+    destroy: function ()
+    {
+        this.disconnect();
+
+        this.effects.destroy();
+
+        this.effects = null;
+        this.manager = null;
+    }
+
+});
+
+module.exports = WebAudioBus;
@@ -0,0 +1,352 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var Class = require('../../utils/Class');
+var Clone = require('../../utils/object/Clone');
+var Events = require('../events');
+var GetFastValue = require('../../utils/object/GetFastValue');
+
+/**
+ * @classdesc
+ * An audio effect that can be inserted in to the Effect Chain of a Web Audio Sound or Bus.
+ *
+ * The type of the effect is set in its config:
+ *
+ * * `filter` - A `BiquadFilterNode`, such as a low-pass or high-pass filter.
+ * * `reverb` - A `ConvolverNode` using an impulse response loaded in to the audio cache, mixed with the dry signal.
+ * * `delay` - A `DelayNode` with feedback, mixed with the dry signal.
+ * * `compressor` - A `DynamicsCompressorNode`.
+ *
+ * The Web Audio nodes are created when the Sound Manager has an Audio Context, which may not be until the audio
+ * is unlocked by a user gesture. Until then the effect only holds its config.
+ *
+ * @class WebAudioEffect
+ * @memberof Phaser.Sound
+ * @constructor
+ * @since 3.60.0
+ *
+ * @param {Phaser.Types.Sound.WebAudioEffectConfig} config - The effect settings.
+ */
+var WebAudioEffect = new Class({
+
+    initialize:
+
+    function WebAudioEffect (config)
+    {
+        /**
+         * The type of effect: `filter`, `reverb`, `delay` or `compressor`.
+         *
+         * @name Phaser.Sound.WebAudioEffect#type
+         * @type {string}
+         * @since 3.60.0
+         */
+        this.type = GetFastValue(config, 'type', 'filter');
+
+        /**
+         * The settings of this effect.
+         *
+         * @name Phaser.Sound.WebAudioEffect#config
+         * @type {Phaser.Types.Sound.WebAudioEffectConfig}
+         * @since 3.60.0
+         */
+        this.config = Clone(config);
+
+        /**
+         * The main Web Audio node of this effect, such as the `BiquadFilterNode` of a filter.
+         * Use it to automate the parameters of the effect.
+         *
+         * @name Phaser.Sound.WebAudioEffect#node
+         * @type {?AudioNode}
+         * @default null
+         * @since 3.60.0
+         */
+        this.node = null;
+
+        /**
+         * The node the signal enters this effect through.
+         *
+         * @name Phaser.Sound.WebAudioEffect#input
+         * @type {?AudioNode}
+         * @default null
+         * @since 3.60.0
+         */
+        this.input = null;
+
+        /**
+         * The node the signal leaves this effect through.
+         *
+         * @name Phaser.Sound.WebAudioEffect#output
+         * @type {?AudioNode}
+         * @default null
+         * @since 3.60.0
+         */
+        this.output = null;
+
+        /**
+         * The gain node controlling the level of the processed signal, for `reverb` and `delay` effects.
+         *
+         * @name Phaser.Sound.WebAudioEffect#wetNode
+         * @type {?GainNode}
+         * @default null
+         * @since 3.60.0
+         */
+        this.wetNode = null;
+
+        /**
+         * The gain node controlling the level of the unprocessed signal, for `reverb` and `delay` effects.
+         *
+         * @name Phaser.Sound.WebAudioEffect#dryNode
+         * @type {?GainNode}
+         * @default null
+         * @since 3.60.0
+         */
+        this.dryNode = null;
+
+        /**
+         * The gain node feeding the output of a `delay` effect back in to it.
+         *
+         * @name Phaser.Sound.WebAudioEffect#feedbackNode
+         * @type {?GainNode}
+         * @default null
+         * @since 3.60.0
+         */
+        this.feedbackNode = null;
+    },
+
+    /**
+     * Creates the Web Audio nodes of this effect.
+     *
+     * You don't normally call this yourself. The Effect Chain does it when it has an Audio Context.
+     *
+     * @method Phaser.Sound.WebAudioEffect#init
+     * @since 3.60.0
+     *
+     * @param {Phaser.Sound.WebAudioSoundManager} manager - The Sound Manager that owns the Audio Context.
+     */
+    init: function (manager)
+    {
+        var context = manager.context;
+        var config = this.config;
+
+        switch (this.type)
+        {
+            case 'filter':
+                this.node = context.createBiquadFilter();
+                this.input = this.node;
+                this.output = this.node;
+                break;
+
+            case 'compressor':
+                this.node = context.createDynamicsCompressor();
+                this.input = this.node;
+                this.output = this.node;
+                break;
+
+            case 'reverb':
+                this.node = context.createConvolver();
+                this.node.normalize = GetFastValue(config, 'normalize', true);
+                this.createMix(context);
+                this.setImpulse(manager, GetFastValue(config, 'key', null));
+                break;
+
+            case 'delay':
+                this.node = context.createDelay(GetFastValue(config, 'maxTime', 1));
+                this.feedbackNode = context.createGain();
+                this.createMix(context);
+                this.node.connect(this.feedbackNode);
+                this.feedbackNode.connect(this.node);
+                break;
+
+            default:
+                throw new Error('Unknown audio effect type: ' + this.type);
+        }
+
+        this.set(config);
+    },
+
+    /**
+     * Creates the input, output, wet and dry nodes of an effect that is mixed with the unprocessed signal.
+     *
+     * @method Phaser.Sound.WebAudioEffect#createMix
+     * @private
+     * @since 3.60.0
+     *
+     * @param {AudioContext} context - The Audio Context.
+     */
+    createMix: function (context)
+    {
+        this.input = context.createGain();
+        this.output = context.createGain();
+        this.wetNode = context.createGain();
+        this.dryNode = context.createGain();
+
+        this.input.connect(this.dryNode);
+        this.dryNode.connect(this.output);
+
+        this.input.connect(this.node);
+        this.node.connect(this.wetNode);
+        this.wetNode.connect(this.output);
+    },
+
+    /**
+     * Sets the impulse response of a `reverb` effect from the audio cache.
+     *
+     * If the audio is waiting to be decoded, it is decoded now and used when ready.
+     *
+     * @method Phaser.Sound.WebAudioEffect#setImpulse
+     * @since 3.60.0
+     *
+     * @param {Phaser.Sound.WebAudioSoundManager} manager - The Sound Manager that owns the audio cache.
+     * @param {string} key - The key of the impulse response in the audio cache.
+     *
+     * @return {this} This Effect.
+     */
+    setImpulse: function (manager, key)
+    {
+        if (!key || this.type !== 'reverb' || !this.node)
+        {
+            return this;
+        }
+
+        this.config.key = key;
+
+        var buffer = manager.cache.get(key);
+
+        if (buffer)
+        {
+            this.node.buffer = buffer;
+        }
+        else if (manager.decodeQueue.has(key))
+        {
+            manager.once(Events.DECODED_KEY + key, function (audioBuffer)
+            {
+                if (this.node && this.config.key === key)
+                {
+                    this.node.buffer = audioBuffer;
+                }
+            }, this);
+
+            manager.decodeAudioQueue(key);
+        }
+        else
+        {
+            throw new Error('Missing Audio: "' + key + '"');
+        }
+
+        return this;
+    },
+
+    /**
+     * Changes the settings of this effect. Only the given settings are changed.
+     *
+     * If the nodes haven't been created yet, the settings are used when they are.
+     *
+     * @method Phaser.Sound.WebAudioEffect#set
+     * @since 3.60.0
+     *
+     * @param {Phaser.Types.Sound.WebAudioEffectConfig} config - The settings to change.
+     *
+     * @return {this} This Effect.
+     */
+    set: function (config)
+    {
+        var node = this.node;
+
+        if (config !== this.config)
+        {
+            for (var key in config)
+            {
+                if (key !== 'type')
+                {
+                    this.config[key] = config[key];
+                }
+            }
+        }
+
+        if (!node)
+        {
+            return this;
+        }
+
+        var setParam = function (param, key)
+        {
+            if (config.hasOwnProperty(key))
+            {
+                param.setValueAtTime(config[key], node.context.currentTime);
+            }
+        };
+
+        switch (this.type)
+        {
+            case 'filter':
+                if (config.hasOwnProperty('filter'))
+                {
+                    node.type = config.filter;
+                }
+
+                setParam(node.frequency, 'frequency');
+                setParam(node.Q, 'Q');
+                setParam(node.gain, 'gain');
+                setParam(node.detune, 'detune');
+                break;
+
+            case 'compressor':
+                setParam(node.threshold, 'threshold');
+                setParam(node.knee, 'knee');
+                setParam(node.ratio, 'ratio');
+                setParam(node.attack, 'attack');
+                setParam(node.release, 'release');
+                break;
+        }
+
+        //  The mixed effects always have all of their settings applied, as they have defaults of their own
+        if (this.wetNode)
+        {
+            var now = node.context.currentTime;
+
+            this.wetNode.gain.setValueAtTime(GetFastValue(this.config, 'wet', 0.5), now);
+            this.dryNode.gain.setValueAtTime(GetFastValue(this.config, 'dry', 1), now);
+
+            if (this.feedbackNode)
+            {
+                this.feedbackNode.gain.setValueAtTime(GetFastValue(this.config, 'feedback', 0.4), now);
+
+                node.delayTime.setValueAtTime(GetFastValue(this.config, 'time', 0.25), now);
+            }
+        }
+
+        return this;
+    },
+
+    /**
+     * Disconnects the nodes of this effect from each other and from the rest of the chain.
+     *
+     * @method Phaser.Sound.WebAudioEffect#destroy
+     * @since 3.60.0
+     */
+    destroy: function ()
+    {
+        var nodes = [ this.input, this.output, this.node, this.wetNode, this.dryNode, this.feedbackNode ];
+
+        for (var i = 0; i < nodes.length; i++)
+        {
+            if (nodes[i])
+            {
+                nodes[i].disconnect();
+            }
+        }
+
+        this.node = null;
+        this.input = null;
+        this.output = null;
+        this.wetNode = null;
+        this.dryNode = null;
+        this.feedbackNode = null;
+    }
+
+});
+
+module.exports = WebAudioEffect;
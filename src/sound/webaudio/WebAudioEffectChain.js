@@ -0,0 +1,301 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var Class = require('../../utils/Class');
+var WebAudioEffect = require('./WebAudioEffect');
+
+/**
+ * @classdesc
+ * An ordered chain of audio effects, inserted in to the signal of a Web Audio Sound or Bus.
+ *
+ * The signal enters the chain through its `input` node, passes through each effect in turn and leaves through its
+ * `output` node. With no effects the input is connected straight to the output.
+ *
+ * ```javascript
+ * var music = this.sound.getBus('music');
+ *
+ * music.effects.add({ type: 'filter', filter: 'lowpass', frequency: 800 });
+ * music.effects.add({ type: 'reverb', key: 'hall', wet: 0.3 });
+ * ```
+ *
+ * Effects can be added before the audio is unlocked. Their nodes are created once the Sound Manager has an Audio Context.
+ *
+ * @class WebAudioEffectChain
+ * @memberof Phaser.Sound
+ * @constructor
+ * @since 3.60.0
+ *
+ * @param {Phaser.Sound.WebAudioSoundManager} manager - The Sound Manager that owns the Audio Context.
+ * @param {Phaser.Types.Sound.WebAudioEffectConfig[]} [effects] - The effects to start the chain with.
+ */
+var WebAudioEffectChain = new Class({
+
+    initialize:
+
+    function WebAudioEffectChain (manager, effects)
+    {
+        /**
+         * The Sound Manager that owns the Audio Context.
+         *
+         * @name Phaser.Sound.WebAudioEffectChain#manager
+         * @type {Phaser.Sound.WebAudioSoundManager}
+         * @since 3.60.0
+         */
+        this.manager = manager;
+
+        /**
+         * The effects in this chain, in the order the signal passes through them.
+         *
+         * @name Phaser.Sound.WebAudioEffectChain#list
+         * @type {Phaser.Sound.WebAudioEffect[]}
+         * @since 3.60.0
+         */
+        this.list = [];
+
+        /**
+         * The node the signal enters this chain through.
+         *
+         * @name Phaser.Sound.WebAudioEffectChain#input
+         * @type {?GainNode}
+         * @default null
+         * @since 3.60.0
+         */
+        this.input = null;
+
+        /**
+         * The node the signal leaves this chain through.
+         *
+         * @name Phaser.Sound.WebAudioEffectChain#output
+         * @type {?GainNode}
+         * @default null
+         * @since 3.60.0
+         */
+        this.output = null;
+
+        if (effects)
+        {
+            for (var i = 0; i < effects.length; i++)
+            {
+                this.add(effects[i]);
+            }
+        }
+    },
+
+    /**
+     * Creates the input and output nodes of this chain and the nodes of all of its effects.
+     *
+     * You don't normally call this yourself. The Sound or Bus that owns the chain does it when the Sound Manager has an Audio Context.
+     *
+     * @method Phaser.Sound.WebAudioEffectChain#init
+     * @since 3.60.0
+     *
+     * @return {this} This Effect Chain.
+     */
+    init: function ()
+    {
+        var context = this.manager.context;
+
+        this.input = context.createGain();
+        this.output = context.createGain();
+
+        for (var i = 0; i < this.list.length; i++)
+        {
+            this.list[i].init(this.manager);
+        }
+
+        return this.connect();
+    },
+
+    /**
+     * Connects the input, the effects and the output of this chain in order.
+     *
+     * @method Phaser.Sound.WebAudioEffectChain#connect
+     * @private
+     * @since 3.60.0
+     *
+     * @return {this} This Effect Chain.
+     */
+    connect: function ()
+    {
+        if (!this.input)
+        {
+            return this;
+        }
+
+        var list = this.list;
+        var i;
+
+        this.input.disconnect();
+
+        for (i = 0; i < list.length; i++)
+        {
+            list[i].output.disconnect();
+        }
+
+        var node = this.input;
+
+        for (i = 0; i < list.length; i++)
+        {
+            node.connect(list[i].input);
+
+            node = list[i].output;
+        }
+
+        node.connect(this.output);
+
+        return this;
+    },
+
+    /**
+     * Adds an effect to this chain.
+     *
+     * @method Phaser.Sound.WebAudioEffectChain#add
+     * @since 3.60.0
+     *
+     * @param {(Phaser.Types.Sound.WebAudioEffectConfig|Phaser.Sound.WebAudioEffect)} effect - The effect, or the settings to create one from.
+     * @param {number} [index] - The position in the chain to insert the effect at. If not given, it is added to the end.
+     *
+     * @return {Phaser.Sound.WebAudioEffect} The effect that was added.
+     */
+    add: function (effect, index)
+    {
+        var list = this.list;
+
+        if (!(effect instanceof WebAudioEffect))
+        {
+            effect = new WebAudioEffect(effect);
+        }
+
+        if (index === undefined || index < 0 || index > list.length)
+        {
+            index = list.length;
+        }
+
+        if (this.input && !effect.input)
+        {
+            effect.init(this.manager);
+        }
+
+        list.splice(index, 0, effect);
+
+        this.connect();
+
+        return effect;
+    },
+
+    /**
+     * Gets the effect at the given position in this chain.
+     *
+     * @method Phaser.Sound.WebAudioEffectChain#getAt
+     * @since 3.60.0
+     *
+     * @param {number} index - The position of the effect.
+     *
+     * @return {?Phaser.Sound.WebAudioEffect} The effect, or `null` if there isn't one at the position.
+     */
+    getAt: function (index)
+    {
+        return this.list[index] || null;
+    },
+
+    /**
+     * Gets the first effect of the given type in this chain.
+     *
+     * @method Phaser.Sound.WebAudioEffectChain#getByType
+     * @since 3.60.0
+     *
+     * @param {string} type - The type of effect: `filter`, `reverb`, `delay` or `compressor`.
+     *
+     * @return {?Phaser.Sound.WebAudioEffect} The effect, or `null` if there isn't one of the type.
+     */
+    getByType: function (type)
+    {
+        for (var i = 0; i < this.list.length; i++)
+        {
+            if (this.list[i].type === type)
+            {
+                return this.list[i];
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Removes an effect from this chain and destroys it.
+     *
+     * @method Phaser.Sound.WebAudioEffectChain#remove
+     * @since 3.60.0
+     *
+     * @param {(Phaser.Sound.WebAudioEffect|number)} effect - The effect, or its position in the chain.
+     *
+     * @return {this} This Effect Chain.
+     */
+    remove: function (effect)
+    {
+        var list = this.list;
+        var index = (typeof effect === 'number') ? effect : list.indexOf(effect);
+
+        if (index >= 0 && index < list.length)
+        {
+            effect = list[index];
+
+            list.splice(index, 1);
+
+            effect.destroy();
+
+            this.connect();
+        }
+
+        return this;
+    },
+
+    /**
+     * Removes all of the effects from this chain and destroys them.
+     *
+     * @method Phaser.Sound.WebAudioEffectChain#removeAll
+     * @since 3.60.0
+     *
+     * @return {this} This Effect Chain.
+     */
+    removeAll: function ()
+    {
+        var list = this.list;
+
+        for (var i = 0; i < list.length; i++)
+        {
+            list[i].destroy();
+        }
+
+        list.length = 0;
+
+        return this.connect();
+    },
+
+    /**
+     * Destroys all of the effects in this chain and disconnects its nodes.
+     *
+     * @method Phaser.Sound.WebAudioEffectChain#destroy
+     * @since 3.60.0
+     */
+    destroy: function ()
+    {
+        this.removeAll();
+
+        if (this.input)
+        {
+            this.input.disconnect();
+            this.output.disconnect();
+        }
+
+        this.input = null;
+        this.output = null;
+        this.manager = null;
+    }
+
+});
+
+module.exports = WebAudioEffectChain;
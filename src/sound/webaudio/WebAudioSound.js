@@ -8,6 +8,9 @@
  var BaseSound = require('../BaseSound');
  var Class = require('../../utils/Class');
  var Events = require('../events');
+ var GetFastValue = require('../../utils/object/GetFastValue');
+ var WebAudioEffectChain = require('./WebAudioEffectChain');
+ var WebAudioSpatial = require('./WebAudioSpatial');
  
  /**
   * @classdesc
@@ -92,6 +95,40 @@
           */
          this.pannerNode = null;
  
+         /**
+          * The name of the bus this sound is routed through, or `null` if it is routed straight to the master output.
+          *
+          * @name Phaser.Sound.WebAudioSound#bus
+          * @type {?string}
+          * @since 3.60.0
+          */
+         this.bus = GetFastValue(config, 'bus', null);
+ 
+         /**
+          * The effects the signal of this sound passes through, before its mute, volume and pan are applied.
+          *
+          * @name Phaser.Sound.WebAudioSound#effects
+          * @type {Phaser.Sound.WebAudioEffectChain}
+          * @since 3.60.0
+          */
+         this.effects = new WebAudioEffectChain(manager, GetFastValue(config, 'effects', null));
+ 
+         /**
+          * The positional settings of this sound, or `null` if it isn't positioned in the world.
+          *
+          * @name Phaser.Sound.WebAudioSound#spatial
+          * @type {?Phaser.Sound.WebAudioSpatial}
+          * @since 3.60.0
+          */
+         this.spatial = null;
+ 
+         var spatial = GetFastValue(config, 'spatial', null);
+ 
+         if (spatial)
+         {
+             this.spatial = new WebAudioSpatial(this, spatial);
+         }
+ 
          /**
           * The time at which the sound should have started playback from the beginning.
           * Based on BaseAudioContext.currentTime value.
@@ -179,7 +216,7 @@
      },
  
      /**
-      * This internal method handles the creation of the mute, volume and panner nodes
+      * This internal method handles the creation of the effect chain, mute, volume and panner nodes
       * as well as the setting of the audio buffer, or requesting the decode of the audio
       * if it's not already decoded.
       *
@@ -195,24 +232,26 @@
  
          var context = manager.context;
  
+         this.effects.init();
+ 
          this.muteNode = context.createGain();
          this.volumeNode = context.createGain();
  
+         this.effects.output.connect(this.muteNode);
          this.muteNode.connect(this.volumeNode);
  
          if (context.createStereoPanner)
          {
              this.pannerNode = context.createStereoPanner();
- 
-             this.volumeNode.connect(this.pannerNode);
- 
-             this.pannerNode.connect(manager.destination);
          }
-         else
+ 
+         if (this.spatial)
          {
-             this.volumeNode.connect(manager.destination);
+             this.spatial.init();
          }
  
+         this.connectOutput();
+ 
          //  AudioBuffer
          var key = this.key;
  
@@ -458,7 +497,7 @@
  
          source.buffer = this.audioBuffer;
  
-         source.connect(this.muteNode);
+         source.connect(this.effects.input);
  
          source.onended = function (ev)
          {
@@ -552,6 +591,11 @@
       */
      update: function ()
      {
+         if (this.spatial)
+         {
+             this.spatial.update();
+         }
+ 
          if (this.hasEnded)
          {
              this.hasEnded = false;
@@ -797,6 +841,105 @@
  
          return this;
      },
+  
+     /**
+      * Routes this sound through a bus of the Sound Manager.
+      *
+      * If there is no bus with the given name, the sound is routed straight to the master output
+      * until a bus with the name is added.
+      *
+      * @method Phaser.Sound.WebAudioSound#setBus
+      * @since 3.60.0
+      *
+      * @param {?string} name - The name of the bus, or `null` to route straight to the master output.
+      *
+      * @return {this} This Sound instance.
+      */
+     setBus: function (name)
+     {
+         this.bus = name;
+ 
+         return this.connectOutput();
+     },
+ 
+     /**
+      * Places this sound in the world, so its volume and pan depend on its distance from the listener
+      * of the Sound Manager. See {@link Phaser.Sound.WebAudioSpatial} for details.
+      *
+      * While a sound is positioned, its stereo pan is set by its position.
+      *
+      * @method Phaser.Sound.WebAudioSound#setSpatial
+      * @since 3.60.0
+      *
+      * @param {?Phaser.Types.Sound.WebAudioSpatialConfig} config - The positional settings, or `null` to stop positioning this sound.
+      *
+      * @return {this} This Sound instance.
+      */
+     setSpatial: function (config)
+     {
+         if (this.spatial)
+         {
+             this.spatial.destroy();
+             this.spatial = null;
+         }
+ 
+         if (config)
+         {
+             this.spatial = new WebAudioSpatial(this, config);
+ 
+             if (this.volumeNode)
+             {
+                 this.spatial.init();
+             }
+         }
+ 
+         if (this.pannerNode)
+         {
+             this.pannerNode.pan.setValueAtTime(this.currentConfig.pan, 0);
+         }
+ 
+         return this.connectOutput();
+     },
+ 
+     /**
+      * Connects the volume node of this sound, through its positional and panner nodes, to its bus.
+      *
+      * @method Phaser.Sound.WebAudioSound#connectOutput
+      * @private
+      * @since 3.60.0
+      *
+      * @return {this} This Sound instance.
+      */
+     connectOutput: function ()
+     {
+         if (!this.volumeNode)
+         {
+             return this;
+         }
+ 
+         var output = this.volumeNode;
+ 
+         if (this.spatial && this.spatial.input)
+         {
+             output.disconnect();
+             output.connect(this.spatial.input);
+ 
+             output = this.spatial.output;
+         }
+ 
+         if (this.pannerNode)
+         {
+             output.disconnect();
+             output.connect(this.pannerNode);
+ 
+             output = this.pannerNode;
+         }
+ 
+         output.disconnect();
+         output.connect(this.manager.getBusInput(this.bus));
+ 
+         return this;
+     },
  
      /**
       * Rate at which this Sound will be played.
@@ -1086,6 +1229,15 @@
              this.pannerNode = null;
          }
  
+         this.effects.destroy();
+         this.effects = null;
+ 
+         if (this.spatial)
+         {
+             this.spatial.destroy();
+             this.spatial = null;
+         }
+ 
          this.rateUpdates.length = 0;
          this.rateUpdates = null;
      }
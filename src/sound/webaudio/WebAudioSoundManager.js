@@ -11,6 +11,7 @@
  var Events = require('../events');
  var GetFastValue = require('../../utils/object/GetFastValue');
  var Map = require('../../structs/Map');
+ var WebAudioBus = require('./WebAudioBus');
  var WebAudioSound = require('./WebAudioSound');
  
  /**
@@ -23,6 +24,9 @@
   *
   * Audio cannot be played without a user-gesture in the browser: https://developer.chrome.com/blog/autoplay/
   *
+  * Sounds can be grouped in to named buses, such as `music`, `sfx`, `voice` and `ui`, each with its own volume,
+  * mute, ducking and effects. See {@link Phaser.Sound.WebAudioBus} for details.
+  *
   * @class WebAudioSoundManager
   * @extends Phaser.Sound.BaseSoundManager
   * @memberof Phaser.Sound
@@ -112,6 +116,37 @@
           */
          this.cache = game.cache.audio;
  
+         /**
+          * The buses that sounds can be routed through, by name.
+          *
+          * @name Phaser.Sound.WebAudioSoundManager#buses
+          * @type {Phaser.Structs.Map.<string, Phaser.Sound.WebAudioBus>}
+          * @since 3.60.0
+          */
+         this.buses = new Map();
+ 
+         /**
+          * The listener that positional sounds are heard from. Either a Camera, in which case the centre of its view is used,
+          * or any object with `x` and `y` properties, such as a Game Object or Vector2.
+          *
+          * If `null`, the main camera of the Scene that a positional sound belongs to is used. Positional sounds that don't
+          * belong to a Scene, and aren't following a Game Object, have no listener, so they aren't attenuated or panned.
+          * Set a listener for those with `setListener`.
+          *
+          * @name Phaser.Sound.WebAudioSoundManager#listener
+          * @type {?(Phaser.Cameras.Scene2D.BaseCamera|Phaser.Types.Math.Vector2Like)}
+          * @default null
+          * @since 3.60.0
+          */
+         this.listener = null;
+ 
+         var buses = GetFastValue(this.config, 'buses', []);
+ 
+         for (var i = 0; i < buses.length; i++)
+         {
+             this.addBus(buses[i]);
+         }
+ 
          BaseSoundManager.call(this, game);
      },
  
@@ -213,9 +248,237 @@
  
          this.destination = this.masterMuteNode;
  
+         var buses = this.buses;
+ 
+         //  Create all of the buses before connecting them, so they can be routed in to each other
+         buses.each(function (name, bus)
+         {
+             bus.init();
+         });
+ 
+         buses.each(function (name, bus)
+         {
+             bus.connect();
+         });
+ 
+         return this;
+     },
+ 
+     /**
+      * Adds a new bus to this Sound Manager. Sounds can then be routed through it with the `bus` property
+      * of their config, or with `WebAudioSound.setBus`.
+      *
+      * If a bus with the same name already exists, it is replaced.
+      *
+      * @method Phaser.Sound.WebAudioSoundManager#addBus
+      * @since 3.60.0
+      *
+      * @param {Phaser.Types.Sound.WebAudioBusConfig} config - The bus settings.
+      *
+      * @return {Phaser.Sound.WebAudioBus} The new bus.
+      */
+     addBus: function (config)
+     {
+         var bus = new WebAudioBus(this, config);
+         var name = bus.name;
+ 
+         if (this.buses.has(name))
+         {
+             this.buses.get(name).destroy();
+         }
+ 
+         this.buses.set(name, bus);
+ 
+         if (this.context)
+         {
+             bus.init();
+ 
+             //  Reconnect anything that was waiting for this bus
+             this.buses.each(function (key, child)
+             {
+                 if (child.parent === name)
+                 {
+                     child.connect();
+                 }
+             });
+ 
+             this.sounds.forEach(function (sound)
+             {
+                 if (sound.bus === name)
+                 {
+                     sound.setBus(name);
+                 }
+             });
+         }
+ 
+         return bus;
+     },
+ 
+     /**
+      * Gets a bus by its name.
+      *
+      * @method Phaser.Sound.WebAudioSoundManager#getBus
+      * @since 3.60.0
+      *
+      * @param {string} name - The name of the bus.
+      *
+      * @return {?Phaser.Sound.WebAudioBus} The bus, or `null` if there isn't one with the name.
+      */
+     getBus: function (name)
+     {
+         return this.buses.get(name) || null;
+     },
+ 
+     /**
+      * Removes a bus from this Sound Manager and destroys it. Sounds and buses that were routed through it
+      * are routed straight to the master output instead.
+      *
+      * @method Phaser.Sound.WebAudioSoundManager#removeBus
+      * @since 3.60.0
+      *
+      * @param {string} name - The name of the bus.
+      *
+      * @return {this} This Sound Manager.
+      */
+     removeBus: function (name)
+     {
+         var bus = this.buses.get(name);
+ 
+         if (!bus)
+         {
+             return this;
+         }
+ 
+         this.buses.delete(name);
+ 
+         bus.destroy();
+ 
+         this.buses.each(function (key, child)
+         {
+             if (child.parent === name)
+             {
+                 child.setParent(null);
+             }
+         });
+ 
+         this.sounds.forEach(function (sound)
+         {
+             if (sound.bus === name)
+             {
+                 sound.setBus(null);
+             }
+         });
+ 
          return this;
      },
  
+     /**
+      * Gets the node that sounds routed through a bus should connect to.
+      *
+      * @method Phaser.Sound.WebAudioSoundManager#getBusInput
+      * @since 3.60.0
+      *
+      * @param {?string} name - The name of the bus.
+      *
+      * @return {AudioNode} The input node of the bus, or the master destination if there is no bus with the name.
+      */
+     getBusInput: function (name)
+     {
+         var bus = (name) ? this.buses.get(name) : null;
+ 
+         return (bus && bus.input) ? bus.input : this.destination;
+     },
+ 
+     /**
+      * Sets the listener that positional sounds are heard from.
+      *
+      * @method Phaser.Sound.WebAudioSoundManager#setListener
+      * @since 3.60.0
+      *
+      * @param {?(Phaser.Cameras.Scene2D.BaseCamera|Phaser.Types.Math.Vector2Like)} listener - A Camera, whose centre is used, or any object with `x` and `y` properties. Pass `null` to use the main camera.
+      *
+      * @return {this} This Sound Manager.
+      */
+     setListener: function (listener)
+     {
+         this.listener = listener;
+ 
+         return this;
+     },
+ 
+     /**
+      * Gets the position in the world of the listener that positional sounds are heard from.
+      *
+      * @method Phaser.Sound.WebAudioSoundManager#getListenerPosition
+      * @since 3.60.0
+      *
+      * @param {Phaser.Scene} [scene] - The Scene a positional sound belongs to, whose main camera is used if no listener is set.
+      *
+      * @return {?Phaser.Types.Math.Vector2Like} The position of the listener, or `null` if there isn't one.
+      */
+     getListenerPosition: function (scene)
+     {
+         var listener = this.listener;
+ 
+         if (!listener && scene && scene.cameras)
+         {
+             listener = scene.cameras.main;
+         }
+ 
+         if (!listener)
+         {
+             return null;
+         }
+ 
+         return (listener.midPoint) ? listener.midPoint : listener;
+     },
+ 
+     /**
+      * Checks if any sound routed through a bus, either directly or via one of its child buses, is playing.
+      *
+      * @method Phaser.Sound.WebAudioSoundManager#isBusPlaying
+      * @since 3.60.0
+      *
+      * @param {string} name - The name of the bus.
+      *
+      * @return {boolean} `true` if a sound on the bus, or on any of its child buses, is playing, otherwise `false`.
+      */
+     isBusPlaying: function (name)
+     {
+         var sounds = this.sounds;
+         var buses = this.buses;
+ 
+         for (var i = 0; i < sounds.length; i++)
+         {
+             var sound = sounds[i];
+ 
+             if (!sound.isPlaying || sound.pendingRemove)
+             {
+                 continue;
+             }
+ 
+             //  Walk up the parents of the bus of the sound. The depth limit guards against buses routed in a loop.
+             var busName = sound.bus;
+             var depth = buses.size;
+ 
+             while (busName && depth >= 0)
+             {
+                 if (busName === name)
+                 {
+                     return true;
+                 }
+ 
+                 var bus = buses.get(busName);
+ 
+                 busName = (bus) ? bus.parent : null;
+ 
+                 depth--;
+             }
+         }
+ 
+         return false;
+     },
+ 
      /**
       * Adds a new sound into the sound manager.
       *
@@ -444,6 +707,11 @@
      {
          BaseSoundManager.prototype.update.call(this, time, delta);
  
+         this.buses.each(function (name, bus)
+         {
+             bus.update();
+         });
+ 
          var context = this.context;
  
          //  Resume interrupted audio on iOS
@@ -567,10 +835,19 @@
  
          this.decodeQueue.clear();
  
+         this.buses.each(function (name, bus)
+         {
+             bus.destroy();
+         });
+ 
+         this.buses.clear();
+ 
          this.destination = null;
          this.masterVolumeNode = null;
          this.masterMuteNode = null;
          this.decodeQueue = null;
+         this.buses = null;
+         this.listener = null;
  
          if (this.context)
          {
@@ -0,0 +1,499 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var Clamp = require('../../math/Clamp');
+var Class = require('../../utils/Class');
+var GetFastValue = require('../../utils/object/GetFastValue');
+var TransformMatrix = require('../../gameobjects/components/TransformMatrix');
+
+//  Used when getting the world position of Game Objects inside of Containers
+var tempMatrix = new TransformMatrix();
+
+/**
+ * @classdesc
+ * The positional settings of a Web Audio Sound, placing it in the 2D world of the game.
+ *
+ * Each game step the distance between the sound and the listener of the Sound Manager is used to attenuate
+ * the volume of the sound and pan it left or right. The listener is the centre of the main camera of the Scene
+ * the sound belongs to, unless set with `WebAudioSoundManager.setListener`. A sound belongs to the Scene of the
+ * Game Object it follows, or the `scene` given in its config. If there is no listener, the sound isn't attenuated.
+ *
+ * ```javascript
+ * //  An ambient sound that fades out as the camera pans away from the waterfall
+ * this.sound.play('waterfall', { loop: true, spatial: { follow: waterfall, refDistance: 100, maxDistance: 600 } });
+ * ```
+ *
+ * The volume falls off with distance following the `distanceModel`, the same as a Web Audio `PannerNode`.
+ * Sounds further away than the `maxDistance` are culled: paused until they come back in range, or stopped.
+ *
+ * In `hrtf` mode a `PannerNode` using the HRTF panning model does the attenuation and panning instead,
+ * with the world `x` and `y` of the sound mapped to its `x` and `z` axes.
+ *
+ * You don't normally create this yourself. Use the `spatial` property of the Sound Config, or `WebAudioSound.setSpatial`.
+ *
+ * @class WebAudioSpatial
+ * @memberof Phaser.Sound
+ * @constructor
+ * @since 3.60.0
+ *
+ * @param {Phaser.Sound.WebAudioSound} sound - The sound these settings belong to.
+ * @param {Phaser.Types.Sound.WebAudioSpatialConfig} [config] - The positional settings.
+ */
+var WebAudioSpatial = new Class({
+
+    initialize:
+
+    function WebAudioSpatial (sound, config)
+    {
+        /**
+         * The sound these settings belong to.
+         *
+         * @name Phaser.Sound.WebAudioSpatial#sound
+         * @type {Phaser.Sound.WebAudioSound}
+         * @since 3.60.0
+         */
+        this.sound = sound;
+
+        /**
+         * The Game Object the sound follows, if any.
+         *
+         * @name Phaser.Sound.WebAudioSpatial#target
+         * @type {?Phaser.GameObjects.GameObject}
+         * @since 3.60.0
+         */
+        this.target = GetFastValue(config, 'follow', null);
+
+        /**
+         * The Scene the sound belongs to. The main camera of this Scene is the listener of the sound,
+         * if the Sound Manager doesn't have one. Set automatically from the Game Object the sound follows.
+         *
+         * @name Phaser.Sound.WebAudioSpatial#scene
+         * @type {?Phaser.Scene}
+         * @since 3.60.0
+         */
+        this.scene = GetFastValue(config, 'scene', (this.target) ? this.target.scene : null);
+
+        /**
+         * The horizontal position of the sound in the world.
+         * If it follows a Game Object, this is updated every game step.
+         *
+         * @name Phaser.Sound.WebAudioSpatial#x
+         * @type {number}
+         * @since 3.60.0
+         */
+        this.x = GetFastValue(config, 'x', 0);
+
+        /**
+         * The vertical position of the sound in the world.
+         * If it follows a Game Object, this is updated every game step.
+         *
+         * @name Phaser.Sound.WebAudioSpatial#y
+         * @type {number}
+         * @since 3.60.0
+         */
+        this.y = GetFastValue(config, 'y', 0);
+
+        /**
+         * How the volume falls off with distance: `linear`, `inverse` or `exponential`.
+         *
+         * @name Phaser.Sound.WebAudioSpatial#distanceModel
+         * @type {string}
+         * @default 'linear'
+         * @since 3.60.0
+         */
+        this.distanceModel = GetFastValue(config, 'distanceModel', 'linear');
+
+        /**
+         * The distance, in pixels, within which the sound plays at full volume.
+         *
+         * @name Phaser.Sound.WebAudioSpatial#refDistance
+         * @type {number}
+         * @default 100
+         * @since 3.60.0
+         */
+        this.refDistance = GetFastValue(config, 'refDistance', 100);
+
+        /**
+         * The distance, in pixels, beyond which the sound is culled.
+         *
+         * @name Phaser.Sound.WebAudioSpatial#maxDistance
+         * @type {number}
+         * @default 1000
+         * @since 3.60.0
+         */
+        this.maxDistance = GetFastValue(config, 'maxDistance', 1000);
+
+        /**
+         * How quickly the volume falls off with distance.
+         *
+         * @name Phaser.Sound.WebAudioSpatial#rolloffFactor
+         * @type {number}
+         * @default 1
+         * @since 3.60.0
+         */
+        this.rolloffFactor = GetFastValue(config, 'rolloffFactor', 1);
+
+        /**
+         * Is the sound panned left and right by its position?
+         *
+         * @name Phaser.Sound.WebAudioSpatial#pan
+         * @type {boolean}
+         * @default true
+         * @since 3.60.0
+         */
+        this.pan = GetFastValue(config, 'pan', true);
+
+        /**
+         * Does a `PannerNode` with the HRTF panning model position the sound?
+         *
+         * @name Phaser.Sound.WebAudioSpatial#hrtf
+         * @type {boolean}
+         * @default false
+         * @since 3.60.0
+         */
+        this.hrtf = GetFastValue(config, 'hrtf', false);
+
+        /**
+         * What happens to the sound when it is further from the listener than the `maxDistance`.
+         * `pause` pauses it until it comes back in range, `stop` stops it and `false` leaves it playing.
+         *
+         * @name Phaser.Sound.WebAudioSpatial#cull
+         * @type {(string|boolean)}
+         * @default 'pause'
+         * @since 3.60.0
+         */
+        this.cull = GetFastValue(config, 'cull', 'pause');
+
+        /**
+         * Has the sound been paused because it is out of range?
+         *
+         * @name Phaser.Sound.WebAudioSpatial#isCulled
+         * @type {boolean}
+         * @readonly
+         * @since 3.60.0
+         */
+        this.isCulled = false;
+
+        /**
+         * The distance between the sound and the listener in the last game step.
+         *
+         * @name Phaser.Sound.WebAudioSpatial#distance
+         * @type {number}
+         * @readonly
+         * @since 3.60.0
+         */
+        this.distance = 0;
+
+        /**
+         * Gain node responsible for the attenuation of the sound.
+         *
+         * @name Phaser.Sound.WebAudioSpatial#gainNode
+         * @type {?GainNode}
+         * @default null
+         * @since 3.60.0
+         */
+        this.gainNode = null;
+
+        /**
+         * The HRTF panner node, in `hrtf` mode.
+         *
+         * @name Phaser.Sound.WebAudioSpatial#pannerNode
+         * @type {?PannerNode}
+         * @default null
+         * @since 3.60.0
+         */
+        this.pannerNode = null;
+    },
+
+    /**
+     * Creates the Web Audio nodes for these settings.
+     *
+     * You don't normally call this yourself. The sound does it when the Sound Manager has an Audio Context.
+     *
+     * @method Phaser.Sound.WebAudioSpatial#init
+     * @since 3.60.0
+     *
+     * @return {this} This Spatial instance.
+     */
+    init: function ()
+    {
+        var context = this.sound.manager.context;
+
+        this.gainNode = context.createGain();
+
+        if (this.hrtf && context.createPanner)
+        {
+            var panner = context.createPanner();
+
+            panner.panningModel = 'HRTF';
+            panner.distanceModel = this.distanceModel;
+            panner.refDistance = this.refDistance;
+            panner.maxDistance = this.maxDistance;
+            panner.rolloffFactor = this.rolloffFactor;
+
+            this.gainNode.connect(panner);
+
+            this.pannerNode = panner;
+        }
+
+        return this;
+    },
+
+    /**
+     * The node the signal of the sound enters through.
+     *
+     * @name Phaser.Sound.WebAudioSpatial#input
+     * @type {?AudioNode}
+     * @readonly
+     * @since 3.60.0
+     */
+    input: {
+
+        get: function ()
+        {
+            return this.gainNode;
+        }
+
+    },
+
+    /**
+     * The node the signal of the sound leaves through.
+     *
+     * @name Phaser.Sound.WebAudioSpatial#output
+     * @type {?AudioNode}
+     * @readonly
+     * @since 3.60.0
+     */
+    output: {
+
+        get: function ()
+        {
+            return this.pannerNode || this.gainNode;
+        }
+
+    },
+
+    /**
+     * Places the sound at a position in the world and stops it following a Game Object.
+     *
+     * @method Phaser.Sound.WebAudioSpatial#setPosition
+     * @since 3.60.0
+     *
+     * @param {number} x - The horizontal position of the sound.
+     * @param {number} y - The vertical position of the sound.
+     *
+     * @return {this} This Spatial instance.
+     */
+    setPosition: function (x, y)
+    {
+        this.target = null;
+        this.x = x;
+        this.y = y;
+
+        return this;
+    },
+
+    /**
+     * Makes the sound follow a Game Object.
+     *
+     * If the Game Object is destroyed, the sound stays where the Game Object last was.
+     *
+     * @method Phaser.Sound.WebAudioSpatial#follow
+     * @since 3.60.0
+     *
+     * @param {Phaser.GameObjects.GameObject} gameObject - The Game Object to follow. It must have a Transform component.
+     *
+     * @return {this} This Spatial instance.
+     */
+    follow: function (gameObject)
+    {
+        this.target = gameObject;
+        this.scene = gameObject.scene;
+
+        return this;
+    },
+
+    /**
+     * Calculates the volume of the sound at the given distance from the listener, using the `distanceModel`.
+     *
+     * @method Phaser.Sound.WebAudioSpatial#getGain
+     * @since 3.60.0
+     *
+     * @param {number} distance - The distance between the sound and the listener.
+     *
+     * @return {number} The volume, between 0 and 1.
+     */
+    getGain: function (distance)
+    {
+        var ref = this.refDistance;
+        var max = this.maxDistance;
+        var rolloff = this.rolloffFactor;
+
+        switch (this.distanceModel)
+        {
+            case 'inverse':
+                return ref / (ref + rolloff * (Math.max(distance, ref) - ref));
+
+            case 'exponential':
+                return Math.pow(Math.max(distance, ref) / ref, -rolloff);
+
+            default:
+                if (max <= ref)
+                {
+                    return (distance <= ref) ? 1 : 0;
+                }
+
+                return 1 - Clamp(rolloff, 0, 1) * (Clamp(distance, ref, max) - ref) / (max - ref);
+        }
+    },
+
+    /**
+     * Moves the sound to the position of the Game Object it follows, then attenuates, pans and culls it
+     * based on its distance from the listener.
+     *
+     * Called automatically by the sound every game step.
+     *
+     * @method Phaser.Sound.WebAudioSpatial#update
+     * @since 3.60.0
+     */
+    update: function ()
+    {
+        var sound = this.sound;
+        var target = this.target;
+
+        if (target)
+        {
+            if (!target.scene)
+            {
+                //  The Game Object was destroyed, so the sound stays where it was
+                this.target = null;
+            }
+            else if (target.parentContainer)
+            {
+                target.getWorldTransformMatrix(tempMatrix);
+
+                this.x = tempMatrix.tx;
+                this.y = tempMatrix.ty;
+            }
+            else
+            {
+                this.x = target.x;
+                this.y = target.y;
+            }
+        }
+
+        var listener = sound.manager.getListenerPosition(this.scene);
+
+        var dx = (listener) ? this.x - listener.x : 0;
+        var dy = (listener) ? this.y - listener.y : 0;
+        var distance = Math.sqrt(dx * dx + dy * dy);
+
+        this.distance = distance;
+
+        this.updateCull(distance > this.maxDistance);
+
+        if (!this.gainNode)
+        {
+            return;
+        }
+
+        var now = sound.manager.context.currentTime;
+
+        if (this.pannerNode)
+        {
+            var panner = this.pannerNode;
+
+            if (panner.positionX)
+            {
+                panner.positionX.setValueAtTime(dx, now);
+                panner.positionY.setValueAtTime(0, now);
+                panner.positionZ.setValueAtTime(dy, now);
+            }
+            else
+            {
+                panner.setPosition(dx, 0, dy);
+            }
+
+            return;
+        }
+
+        this.gainNode.gain.setValueAtTime(this.getGain(distance), now);
+
+        if (this.pan && sound.pannerNode)
+        {
+            //  Full pan once the sound is directly to the side, easing to the centre within the refDistance
+            var pan = Clamp(dx / Math.max(distance, this.refDistance), -1, 1);
+
+            sound.pannerNode.pan.setValueAtTime(pan, now);
+        }
+    },
+
+    /**
+     * Pauses or stops the sound when it moves out of range, and resumes it when it comes back.
+     *
+     * @method Phaser.Sound.WebAudioSpatial#updateCull
+     * @private
+     * @since 3.60.0
+     *
+     * @param {boolean} outOfRange - Is the sound further from the listener than the `maxDistance`?
+     */
+    updateCull: function (outOfRange)
+    {
+        var sound = this.sound;
+
+        //  The sound was played or stopped since it was culled
+        if (this.isCulled && !sound.isPaused)
+        {
+            this.isCulled = false;
+        }
+
+        if (outOfRange && sound.isPlaying)
+        {
+            if (this.cull === 'pause')
+            {
+                this.isCulled = sound.pause();
+            }
+            else if (this.cull === 'stop')
+            {
+                sound.stop();
+            }
+        }
+        else if (!outOfRange && this.isCulled)
+        {
+            this.isCulled = false;
+
+            sound.resume();
+        }
+    },
+
+    /**
+     * Disconnects the nodes of these settings and removes the references to the sound, Game Object and Scene.
+     *
+     * @method Phaser.Sound.WebAudioSpatial#destroy
+     * @since 3.60.0
+     */
+    destroy: function ()
+    {
+        if (this.gainNode)
+        {
+            this.gainNode.disconnect();
+        }
+
+        if (this.pannerNode)
+        {
+            this.pannerNode.disconnect();
+        }
+
+        this.gainNode = null;
+        this.pannerNode = null;
+        this.target = null;
+        this.scene = null;
+        this.sound = null;
+    }
+
+});
+
+module.exports = WebAudioSpatial;
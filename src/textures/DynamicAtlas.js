@@ -0,0 +1,741 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var CanvasPool = require('../display/canvas/CanvasPool');
+var Class = require('../utils/Class');
+var CONST = require('../const');
+var GameEvents = require('../core/events');
+var GetFastValue = require('../utils/object/GetFastValue');
+var Smoothing = require('../display/canvas/Smoothing');
+var Texture = require('./Texture');
+var TextureSource = require('./TextureSource');
+
+/**
+ * @classdesc
+ * A Dynamic Atlas is a Texture that packs images, canvases and rendered Game Objects in to one or more
+ * shared pages at run-time, so that Game Objects using them can be batched together, just as they
+ * would with an atlas made by Texture Packer.
+ *
+ * Each item added becomes a normal Frame of this Texture, which any Game Object can use:
+ *
+ * ```javascript
+ * var atlas = this.textures.addDynamicAtlas('runtime', { width: 2048, padding: 2, extrude: 1 });
+ *
+ * atlas.addImage('avatar', avatarImage);
+ * atlas.addFrame('coin', 'items', 'coin0001');
+ * atlas.addFrame('label', scoreText.frame);
+ *
+ * this.add.image(400, 300, 'runtime', 'avatar');
+ * ```
+ *
+ * The frames are packed using the MaxRects algorithm. Removing a frame returns its area to the page, where
+ * it can be re-used by the frames added after it. When an item doesn't fit on any page a new page is
+ * created, up to the `maxPages` limit. Each page is a Texture Source of this Texture.
+ *
+ * The `padding` is left empty between frames. The `extrude` setting repeats the edge pixels of each frame
+ * outwards, which stops texture filtering from sampling neighbouring frames, or the empty space around them.
+ *
+ * When running under WebGL the changed pages are uploaded to the GPU once per frame, before the game renders.
+ *
+ * @class DynamicAtlas
+ * @extends Phaser.Textures.Texture
+ * @memberof Phaser.Textures
+ * @constructor
+ * @since 3.60.0
+ *
+ * @param {Phaser.Textures.TextureManager} manager - A reference to the Texture Manager this Texture belongs to.
+ * @param {string} key - The unique string-based key of this Texture.
+ * @param {Phaser.Types.Textures.DynamicAtlasConfig} [config] - The settings of the atlas.
+ */
+var DynamicAtlas = new Class({
+
+    Extends: Texture,
+
+    initialize:
+
+    function DynamicAtlas (manager, key, config)
+    {
+        var width = GetFastValue(config, 'width', 1024);
+        var height = GetFastValue(config, 'height', width);
+
+        var canvas = CanvasPool.create(this, width, height, CONST.CANVAS, true);
+
+        Texture.call(this, manager, key, canvas, width, height);
+
+        this.add('__BASE', 0, 0, 0, width, height);
+
+        /**
+         * The width of each page of this atlas.
+         *
+         * @name Phaser.Textures.DynamicAtlas#width
+         * @type {number}
+         * @readonly
+         * @since 3.60.0
+         */
+        this.width = width;
+
+        /**
+         * The height of each page of this atlas.
+         *
+         * @name Phaser.Textures.DynamicAtlas#height
+         * @type {number}
+         * @readonly
+         * @since 3.60.0
+         */
+        this.height = height;
+
+        /**
+         * The number of empty pixels left between frames.
+         *
+         * @name Phaser.Textures.DynamicAtlas#padding
+         * @type {number}
+         * @readonly
+         * @since 3.60.0
+         */
+        this.padding = GetFastValue(config, 'padding', 2);
+
+        /**
+         * The number of pixels the edges of each frame are repeated outwards by.
+         *
+         * @name Phaser.Textures.DynamicAtlas#extrude
+         * @type {number}
+         * @readonly
+         * @since 3.60.0
+         */
+        this.extrude = GetFastValue(config, 'extrude', 0);
+
+        /**
+         * The maximum number of pages this atlas can create. Zero means there is no limit.
+         *
+         * @name Phaser.Textures.DynamicAtlas#maxPages
+         * @type {number}
+         * @since 3.60.0
+         */
+        this.maxPages = GetFastValue(config, 'maxPages', 0);
+
+        /**
+         * The pages of this atlas. Each one holds a canvas, its context, the areas of it that are free
+         * and whether it has changed since it was last uploaded to the GPU.
+         *
+         * @name Phaser.Textures.DynamicAtlas#pages
+         * @type {object[]}
+         * @private
+         * @since 3.60.0
+         */
+        this.pages = [];
+
+        /**
+         * The area each frame takes up on its page, including its extrusion and padding, keyed by frame name.
+         *
+         * @name Phaser.Textures.DynamicAtlas#regions
+         * @type {object}
+         * @private
+         * @since 3.60.0
+         */
+        this.regions = {};
+
+        this.createPage(canvas);
+
+        manager.game.events.on(GameEvents.PRE_RENDER, this.preRender, this);
+    },
+
+    /**
+     * Creates a new page for this atlas.
+     *
+     * @method Phaser.Textures.DynamicAtlas#createPage
+     * @private
+     * @since 3.60.0
+     *
+     * @param {HTMLCanvasElement} [canvas] - The canvas of the page. If not given, a new one is taken from the Canvas Pool and added as a new Texture Source.
+     *
+     * @return {object} The new page.
+     */
+    createPage: function (canvas)
+    {
+        if (!canvas)
+        {
+            canvas = CanvasPool.create(this, this.width, this.height, CONST.CANVAS, true);
+
+            this.source.push(new TextureSource(this, canvas, this.width, this.height));
+        }
+
+        var context = canvas.getContext('2d');
+
+        Smoothing.disable(context);
+
+        var page = {
+            canvas: canvas,
+            context: context,
+            freeRects: [ { x: 0, y: 0, width: this.width, height: this.height } ],
+            dirty: false
+        };
+
+        this.pages.push(page);
+
+        return page;
+    },
+
+    /**
+     * Adds an Image or Canvas to this atlas as a new Frame.
+     *
+     * @method Phaser.Textures.DynamicAtlas#addImage
+     * @since 3.60.0
+     *
+     * @param {string} name - The name of the new Frame. It must be unique within this atlas.
+     * @param {(HTMLImageElement|HTMLCanvasElement)} source - The Image or Canvas to copy in to this atlas.
+     *
+     * @return {?Phaser.Textures.Frame} The new Frame, or `null` if it couldn't be added.
+     */
+    addImage: function (name, source)
+    {
+        var width = source.naturalWidth || source.width;
+        var height = source.naturalHeight || source.height;
+
+        var frame = this.pack(name, width, height);
+
+        if (frame)
+        {
+            this.drawRegion(name, source, 0, 0, width, height);
+        }
+
+        return frame;
+    },
+
+    /**
+     * Copies a Frame from another Texture in to this atlas as a new Frame.
+     *
+     * The trim of the original Frame is kept, so the new Frame displays at the same size.
+     * The Frame must be backed by an Image or Canvas, not a Compressed Texture.
+     *
+     * @method Phaser.Textures.DynamicAtlas#addFrame
+     * @since 3.60.0
+     *
+     * @param {string} name - The name of the new Frame. It must be unique within this atlas.
+     * @param {(string|Phaser.Textures.Texture|Phaser.Textures.Frame)} key - The key of the Texture to copy from, the Texture itself, or the Frame to copy.
+     * @param {(string|number)} [frame] - The name or index of the Frame to copy, if `key` isn't a Frame.
+     *
+     * @return {?Phaser.Textures.Frame} The new Frame, or `null` if it couldn't be added.
+     */
+    addFrame: function (name, key, frame)
+    {
+        var original = key;
+
+        if (typeof key === 'string')
+        {
+            original = this.manager.getFrame(key, frame);
+        }
+        else if (key instanceof Texture)
+        {
+            original = key.get(frame);
+        }
+
+        if (!original || !original.source.image)
+        {
+            console.warn('DynamicAtlas cannot copy Frame: ' + name);
+
+            return null;
+        }
+
+        var result = this.pack(name, original.cutWidth, original.cutHeight);
+
+        if (result)
+        {
+            this.drawRegion(name, original.source.image, original.cutX, original.cutY, original.cutWidth, original.cutHeight);
+
+            if (original.trimmed)
+            {
+                var data = original.data;
+
+                result.setTrim(data.sourceSize.w, data.sourceSize.h, data.spriteSourceSize.x, data.spriteSourceSize.y, data.spriteSourceSize.w, data.spriteSourceSize.h);
+            }
+
+            if (original.rotated)
+            {
+                result.rotated = true;
+                result.updateUVsInverted();
+            }
+        }
+
+        return result;
+    },
+
+    /**
+     * Renders a Game Object in to this atlas as a new Frame.
+     *
+     * The Game Object is drawn with its origin at the top-left of the Frame, using its current scale, rotation,
+     * alpha and tint, through a temporary Render Texture.
+     *
+     * Under the Canvas Renderer the Frame is ready straight away. Under WebGL the pixels have to be read back
+     * from the GPU, so the Frame is returned at once but is only drawn when the `callback` is invoked.
+     *
+     * To copy the texture of a Text or Image Game Object as it is, without its transform, use `addFrame` with
+     * its `frame` instead.
+     *
+     * @method Phaser.Textures.DynamicAtlas#addGameObject
+     * @since 3.60.0
+     *
+     * @param {string} name - The name of the new Frame. It must be unique within this atlas.
+     * @param {Phaser.GameObjects.GameObject} gameObject - The Game Object to render. It must belong to a Scene.
+     * @param {number} [width] - The width of the area to render. Defaults to the display width of the Game Object.
+     * @param {number} [height] - The height of the area to render. Defaults to the display height of the Game Object.
+     * @param {function} [callback] - A function to invoke once the Game Object has been drawn in to this atlas. It is sent the new Frame.
+     * @param {*} [context] - The context in which to invoke the callback.
+     *
+     * @return {?Phaser.Textures.Frame} The new Frame, or `null` if it couldn't be added.
+     */
+    addGameObject: function (name, gameObject, width, height, callback, context)
+    {
+        if (width === undefined) { width = Math.ceil(gameObject.displayWidth); }
+        if (height === undefined) { height = Math.ceil(gameObject.displayHeight); }
+
+        var frame = this.pack(name, width, height);
+
+        if (!frame)
+        {
+            return null;
+        }
+
+        var renderTexture = gameObject.scene.make.renderTexture({ width: width, height: height }, false);
+
+        var x = GetFastValue(gameObject, 'displayOriginX', 0) * GetFastValue(gameObject, 'scaleX', 1);
+        var y = GetFastValue(gameObject, 'displayOriginY', 0) * GetFastValue(gameObject, 'scaleY', 1);
+
+        renderTexture.draw(gameObject, x, y);
+
+        var _this = this;
+
+        var complete = function (image)
+        {
+            //  The Frame may have been removed while the pixels were read back
+            if (_this.regions[name] && _this.frames[name] === frame)
+            {
+                _this.drawRegion(name, image, 0, 0, width, height);
+            }
+
+            renderTexture.destroy();
+
+            if (callback)
+            {
+                callback.call(context, frame);
+            }
+        };
+
+        if (renderTexture.renderTarget)
+        {
+            renderTexture.snapshot(complete);
+        }
+        else
+        {
+            complete(renderTexture.canvas);
+        }
+
+        return frame;
+    },
+
+    /**
+     * Finds space for an item on one of the pages of this atlas, creating a new page if needed,
+     * and adds a Frame for it.
+     *
+     * @method Phaser.Textures.DynamicAtlas#pack
+     * @private
+     * @since 3.60.0
+     *
+     * @param {string} name - The name of the new Frame.
+     * @param {number} width - The width of the item.
+     * @param {number} height - The height of the item.
+     *
+     * @return {?Phaser.Textures.Frame} The new Frame, or `null` if there isn't space for it.
+     */
+    pack: function (name, width, height)
+    {
+        if (this.has(name))
+        {
+            console.warn('DynamicAtlas Frame already exists: ' + name);
+
+            return null;
+        }
+
+        var extrude = this.extrude;
+        var padding = this.padding;
+        var boxWidth = width + extrude * 2;
+        var boxHeight = height + extrude * 2;
+
+        //  The padding is only left out when it alone would stop the item fitting on a page
+        if (boxWidth + padding <= this.width) { boxWidth += padding; }
+        if (boxHeight + padding <= this.height) { boxHeight += padding; }
+
+        if (width <= 0 || height <= 0 || boxWidth > this.width || boxHeight > this.height)
+        {
+            console.warn('DynamicAtlas cannot fit Frame: ' + name);
+
+            return null;
+        }
+
+        var pages = this.pages;
+        var box = null;
+        var pageIndex;
+
+        for (pageIndex = 0; pageIndex < pages.length; pageIndex++)
+        {
+            box = this.findPosition(pages[pageIndex], boxWidth, boxHeight);
+
+            if (box)
+            {
+                break;
+            }
+        }
+
+        if (!box)
+        {
+            if (this.maxPages > 0 && pages.length >= this.maxPages)
+            {
+                console.warn('DynamicAtlas is full: ' + this.key);
+
+                return null;
+            }
+
+            box = this.findPosition(this.createPage(), boxWidth, boxHeight);
+            pageIndex = pages.length - 1;
+        }
+
+        this.placeRect(pages[pageIndex], box);
+
+        this.regions[name] = { page: pageIndex, x: box.x, y: box.y, width: box.width, height: box.height };
+
+        return this.add(name, pageIndex, box.x + extrude, box.y + extrude, width, height);
+    },
+
+    /**
+     * Finds the free area of a page that fits the given size best, using the MaxRects best short side fit rule.
+     *
+     * @method Phaser.Textures.DynamicAtlas#findPosition
+     * @private
+     * @since 3.60.0
+     *
+     * @param {object} page - The page to search.
+     * @param {number} width - The width of the area needed.
+     * @param {number} height - The height of the area needed.
+     *
+     * @return {?object} The area, or `null` if there isn't space on the page.
+     */
+    findPosition: function (page, width, height)
+    {
+        var freeRects = page.freeRects;
+        var bestShort = Number.MAX_VALUE;
+        var bestLong = Number.MAX_VALUE;
+        var result = null;
+
+        for (var i = 0; i < freeRects.length; i++)
+        {
+            var rect = freeRects[i];
+
+            if (rect.width >= width && rect.height >= height)
+            {
+                var leftoverX = rect.width - width;
+                var leftoverY = rect.height - height;
+                var shortSide = Math.min(leftoverX, leftoverY);
+                var longSide = Math.max(leftoverX, leftoverY);
+
+                if (shortSide < bestShort || (shortSide === bestShort && longSide < bestLong))
+                {
+                    bestShort = shortSide;
+                    bestLong = longSide;
+
+                    result = { x: rect.x, y: rect.y, width: width, height: height };
+                }
+            }
+        }
+
+        return result;
+    },
+
+    /**
+     * Marks an area of a page as used, splitting the free areas it overlaps.
+     *
+     * @method Phaser.Textures.DynamicAtlas#placeRect
+     * @private
+     * @since 3.60.0
+     *
+     * @param {object} page - The page the area is on.
+     * @param {object} used - The area to mark as used.
+     */
+    placeRect: function (page, used)
+    {
+        var freeRects = page.freeRects;
+        var output = [];
+
+        for (var i = 0; i < freeRects.length; i++)
+        {
+            var rect = freeRects[i];
+
+            if (used.x >= rect.x + rect.width || used.x + used.width <= rect.x || used.y >= rect.y + rect.height || used.y + used.height <= rect.y)
+            {
+                output.push(rect);
+
+                continue;
+            }
+
+            if (used.x > rect.x)
+            {
+                output.push({ x: rect.x, y: rect.y, width: used.x - rect.x, height: rect.height });
+            }
+
+            if (used.x + used.width < rect.x + rect.width)
+            {
+                output.push({ x: used.x + used.width, y: rect.y, width: rect.x + rect.width - used.x - used.width, height: rect.height });
+            }
+
+            if (used.y > rect.y)
+            {
+                output.push({ x: rect.x, y: rect.y, width: rect.width, height: used.y - rect.y });
+            }
+
+            if (used.y + used.height < rect.y + rect.height)
+            {
+                output.push({ x: rect.x, y: used.y + used.height, width: rect.width, height: rect.y + rect.height - used.y - used.height });
+            }
+        }
+
+        page.freeRects = this.pruneRects(output);
+    },
+
+    /**
+     * Rebuilds the free areas of a page from the Frames still on it, so the area of a removed Frame
+     * is merged with the free space around it.
+     *
+     * @method Phaser.Textures.DynamicAtlas#rebuildPage
+     * @private
+     * @since 3.60.0
+     *
+     * @param {number} index - The index of the page to rebuild.
+     */
+    rebuildPage: function (index)
+    {
+        var page = this.pages[index];
+
+        page.freeRects = [ { x: 0, y: 0, width: this.width, height: this.height } ];
+
+        for (var name in this.regions)
+        {
+            var region = this.regions[name];
+
+            if (region.page === index)
+            {
+                this.placeRect(page, region);
+            }
+        }
+    },
+
+    /**
+     * Removes the free areas that are wholly contained within another free area.
+     *
+     * @method Phaser.Textures.DynamicAtlas#pruneRects
+     * @private
+     * @since 3.60.0
+     *
+     * @param {object[]} rects - The free areas.
+     *
+     * @return {object[]} The free areas that remain.
+     */
+    pruneRects: function (rects)
+    {
+        var output = [];
+
+        for (var i = 0; i < rects.length; i++)
+        {
+            var a = rects[i];
+            var contained = false;
+
+            for (var j = 0; j < rects.length && !contained; j++)
+            {
+                var b = rects[j];
+
+                if (i !== j && a.x >= b.x && a.y >= b.y && a.x + a.width <= b.x + b.width && a.y + a.height <= b.y + b.height)
+                {
+                    //  Of two identical areas, only the first is kept
+                    contained = (j < i || a.x !== b.x || a.y !== b.y || a.width !== b.width || a.height !== b.height);
+                }
+            }
+
+            if (!contained)
+            {
+                output.push(a);
+            }
+        }
+
+        return output;
+    },
+
+    /**
+     * Draws an item in to the area of a Frame, then repeats its edge pixels outwards by the `extrude` amount.
+     *
+     * @method Phaser.Textures.DynamicAtlas#drawRegion
+     * @private
+     * @since 3.60.0
+     *
+     * @param {string} name - The name of the Frame to draw in to.
+     * @param {(HTMLImageElement|HTMLCanvasElement)} image - The image to draw.
+     * @param {number} sx - The x coordinate of the area of the image to draw.
+     * @param {number} sy - The y coordinate of the area of the image to draw.
+     * @param {number} sw - The width of the area of the image to draw.
+     * @param {number} sh - The height of the area of the image to draw.
+     */
+    drawRegion: function (name, image, sx, sy, sw, sh)
+    {
+        var region = this.regions[name];
+        var page = this.pages[region.page];
+        var ctx = page.context;
+        var e = this.extrude;
+        var x = region.x + e;
+        var y = region.y + e;
+
+        ctx.clearRect(region.x, region.y, region.width, region.height);
+
+        ctx.drawImage(image, sx, sy, sw, sh, x, y, sw, sh);
+
+        if (e > 0)
+        {
+            var right = sx + sw - 1;
+            var bottom = sy + sh - 1;
+
+            //  Edges
+            ctx.drawImage(image, sx, sy, sw, 1, x, y - e, sw, e);
+            ctx.drawImage(image, sx, bottom, sw, 1, x, y + sh, sw, e);
+            ctx.drawImage(image, sx, sy, 1, sh, x - e, y, e, sh);
+            ctx.drawImage(image, right, sy, 1, sh, x + sw, y, e, sh);
+
+            //  Corners
+            ctx.drawImage(image, sx, sy, 1, 1, x - e, y - e, e, e);
+            ctx.drawImage(image, right, sy, 1, 1, x + sw, y - e, e, e);
+            ctx.drawImage(image, sx, bottom, 1, 1, x - e, y + sh, e, e);
+            ctx.drawImage(image, right, bottom, 1, 1, x + sw, y + sh, e, e);
+        }
+
+        page.dirty = true;
+    },
+
+    /**
+     * Removes the given Frame from this atlas and frees the area it used, so new Frames can be packed in to it.
+     * The Frame is destroyed immediately.
+     *
+     * Any Game Objects using this Frame should stop using it _before_ you remove it,
+     * as it does not happen automatically.
+     *
+     * @method Phaser.Textures.DynamicAtlas#remove
+     * @since 3.60.0
+     *
+     * @param {string} name - The key of the Frame to remove.
+     *
+     * @return {boolean} True if a Frame with the matching key was removed from this atlas.
+     */
+    remove: function (name)
+    {
+        var region = this.regions[name];
+
+        if (!region || !Texture.prototype.remove.call(this, name))
+        {
+            return false;
+        }
+
+        var page = this.pages[region.page];
+
+        page.context.clearRect(region.x, region.y, region.width, region.height);
+        page.dirty = true;
+
+        delete this.regions[name];
+
+        this.rebuildPage(region.page);
+
+        this.frameTotal--;
+
+        if (this.firstFrame === name)
+        {
+            this.firstFrame = '__BASE';
+
+            for (var key in this.regions)
+            {
+                this.firstFrame = key;
+
+                break;
+            }
+        }
+
+        return true;
+    },
+
+    /**
+     * Removes all of the Frames from this atlas and clears its pages.
+     *
+     * Any Game Objects using these Frames should stop using them _before_ you clear the atlas,
+     * as it does not happen automatically.
+     *
+     * @method Phaser.Textures.DynamicAtlas#clear
+     * @since 3.60.0
+     *
+     * @return {this} This Dynamic Atlas.
+     */
+    clear: function ()
+    {
+        for (var name in this.regions)
+        {
+            this.remove(name);
+        }
+
+        for (var i = 0; i < this.pages.length; i++)
+        {
+            var page = this.pages[i];
+
+            page.context.clearRect(0, 0, this.width, this.height);
+            page.freeRects = [ { x: 0, y: 0, width: this.width, height: this.height } ];
+            page.dirty = true;
+        }
+
+        return this;
+    },
+
+    /**
+     * Uploads the pages that have changed to the GPU. Called automatically before the game renders.
+     *
+     * @method Phaser.Textures.DynamicAtlas#preRender
+     * @private
+     * @since 3.60.0
+     */
+    preRender: function ()
+    {
+        var pages = this.pages;
+
+        for (var i = 0; i < pages.length; i++)
+        {
+            var source = this.source[i];
+
+            if (pages[i].dirty && source.renderer)
+            {
+                source.update();
+            }
+
+            pages[i].dirty = false;
+        }
+    },
+
+    /**
+     * Destroys this atlas, returns its canvases to the Canvas Pool and releases references to its sources and frames.
+     *
+     * @method Phaser.Textures.DynamicAtlas#destroy
+     * @since 3.60.0
+     */
+    destroy: function ()
+    {
+        this.manager.game.events.off(GameEvents.PRE_RENDER, this.preRender, this);
+
+        this.pages = [];
+        this.regions = {};
+
+        Texture.prototype.destroy.call(this);
+    }
+
+});
+
+module.exports = DynamicAtlas;
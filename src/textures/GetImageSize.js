@@ -0,0 +1,137 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+/**
+ * Reads the size of a JPEG image from its Start Of Frame segment.
+ *
+ * @ignore
+ *
+ * @param {Uint8Array} bytes - The image data.
+ *
+ * @return {?{width: number, height: number}} The size of the image, or `null` if it couldn't be found.
+ */
+var getJPEGSize = function (bytes)
+{
+    var offset = 2;
+
+    while (offset + 9 < bytes.length)
+    {
+        if (bytes[offset] !== 0xFF)
+        {
+            return null;
+        }
+
+        var marker = bytes[offset + 1];
+
+        //  SOF0 to SOF15, except DHT (C4), JPG (C8) and DAC (CC), hold the frame size
+        if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC)
+        {
+            return {
+                width: (bytes[offset + 7] << 8) | bytes[offset + 8],
+                height: (bytes[offset + 5] << 8) | bytes[offset + 6]
+            };
+        }
+
+        offset += 2 + ((bytes[offset + 2] << 8) | bytes[offset + 3]);
+    }
+
+    return null;
+};
+
+/**
+ * Reads the width and height of a PNG, JPEG, GIF, BMP or WebP image from its file header, without decoding it.
+ *
+ * This is used to create Textures of the right size when running headless, without a DOM to decode images,
+ * such as under Node.js.
+ *
+ * @function Phaser.Textures.GetImageSize
+ * @since 3.60.0
+ *
+ * @param {(ArrayBuffer|Uint8Array)} data - The image file data.
+ *
+ * @return {?{width: number, height: number}} The size of the image, or `null` if the format isn't recognized.
+ */
+var GetImageSize = function (data)
+{
+    var bytes = (data instanceof Uint8Array) ? data : new Uint8Array(data);
+
+    var readUint16LE = function (offset)
+    {
+        return bytes[offset] | (bytes[offset + 1] << 8);
+    };
+
+    var readUint32BE = function (offset)
+    {
+        return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+    };
+
+    var readInt32LE = function (offset)
+    {
+        return bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24);
+    };
+
+    var readTag = function (offset)
+    {
+        return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+    };
+
+    if (bytes.length < 26)
+    {
+        return null;
+    }
+
+    //  PNG: the IHDR chunk is always first
+    if (bytes[0] === 0x89 && readTag(1).substr(0, 3) === 'PNG')
+    {
+        return { width: readUint32BE(16), height: readUint32BE(20) };
+    }
+
+    //  JPEG
+    if (bytes[0] === 0xFF && bytes[1] === 0xD8)
+    {
+        return getJPEGSize(bytes);
+    }
+
+    //  GIF87a and GIF89a
+    if (readTag(0) === 'GIF8')
+    {
+        return { width: readUint16LE(6), height: readUint16LE(8) };
+    }
+
+    //  BMP: the height is negative for top-down bitmaps
+    if (bytes[0] === 0x42 && bytes[1] === 0x4D)
+    {
+        return { width: Math.abs(readInt32LE(18)), height: Math.abs(readInt32LE(22)) };
+    }
+
+    //  WebP
+    if (readTag(0) === 'RIFF' && readTag(8) === 'WEBP' && bytes.length >= 30)
+    {
+        var format = readTag(12);
+
+        if (format === 'VP8 ')
+        {
+            return { width: readUint16LE(26) & 0x3FFF, height: readUint16LE(28) & 0x3FFF };
+        }
+        else if (format === 'VP8L')
+        {
+            var bits = (bytes[21] | (bytes[22] << 8) | (bytes[23] << 16) | (bytes[24] << 24)) >>> 0;
+
+            return { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+        }
+        else if (format === 'VP8X')
+        {
+            return {
+                width: (bytes[24] | (bytes[25] << 8) | (bytes[26] << 16)) + 1,
+                height: (bytes[27] | (bytes[28] << 8) | (bytes[29] << 16)) + 1
+            };
+        }
+    }
+
+    return null;
+};
+
+module.exports = GetImageSize;
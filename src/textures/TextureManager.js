@@ -4,16 +4,20 @@
  * @license      {@link https://opensource.org/licenses/MIT|MIT License}
  */
 
+var Base64ToArrayBuffer = require('../utils/base64/Base64ToArrayBuffer');
 var CanvasPool = require('../display/canvas/CanvasPool');
 var CanvasTexture = require('./CanvasTexture');
 var Class = require('../utils/Class');
 var Color = require('../display/color/Color');
 var CONST = require('../const');
+var DynamicAtlas = require('./DynamicAtlas');
 var EventEmitter = require('eventemitter3');
 var Events = require('./events');
 var GameEvents = require('../core/events');
 var GenerateTexture = require('../create/GenerateTexture');
+var GetImageSize = require('./GetImageSize');
 var GetValue = require('../utils/object/GetValue');
+var HeadlessCanvas = require('../display/canvas/HeadlessCanvas');
 var Parser = require('./parsers');
 var Texture = require('./Texture');
 
@@ -268,6 +272,13 @@ var TextureManager = new Class({
         {
             var _this = this;
 
+            if (typeof Image === 'undefined')
+            {
+                this.addHeadlessBase64(key, data);
+
+                return this;
+            }
+
             var image = new Image();
 
             image.onerror = function ()
@@ -292,6 +303,48 @@ var TextureManager = new Class({
         return this;
     },
 
+    /**
+     * Adds a new Texture from base64 encoded image data when running headless, without a DOM to decode it,
+     * such as under Node.js. The Texture source is a blank Headless Canvas the same size as the image.
+     *
+     * Called automatically by `addBase64`. The events are emitted on the next tick, as they would be when an image loads.
+     *
+     * @method Phaser.Textures.TextureManager#addHeadlessBase64
+     * @fires Phaser.Textures.Events#ADD
+     * @fires Phaser.Textures.Events#ERROR
+     * @fires Phaser.Textures.Events#LOAD
+     * @private
+     * @since 3.60.0
+     *
+     * @param {string} key - The unique string-based key of the Texture.
+     * @param {string} data - The Base64 encoded data.
+     */
+    addHeadlessBase64: function (key, data)
+    {
+        var _this = this;
+
+        //  Stay asynchronous, as an image load would be, so the Game boots in the same order
+        setTimeout(function ()
+        {
+            var size = GetImageSize(Base64ToArrayBuffer(data));
+
+            if (!size)
+            {
+                _this.emit(Events.ERROR, key);
+
+                return;
+            }
+
+            var texture = _this.create(key, new HeadlessCanvas(size.width, size.height));
+
+            Parser.Image(texture, 0);
+
+            _this.emit(Events.ADD, key, texture);
+
+            _this.emit(Events.LOAD, key, texture);
+        }, 0);
+    },
+
     /**
      * Gets an existing texture frame and converts it into a base64 encoded image and returns the base64 data.
      *
@@ -385,6 +438,56 @@ var TextureManager = new Class({
         return texture;
     },
 
+    /**
+     * Adds a Compressed Texture to this Texture Manager.
+     *
+     * The texture should typically have been loaded via the `CompressedTextureFile` loader,
+     * in order to prepare the correct data object this method requires.
+     *
+     * You can optionally also pass atlas data to this method, in which case a texture atlas
+     * will be generated from the given compressed texture, combined with the atlas data.
+     * Both the JSON Array and JSON Hash atlas formats are supported.
+     *
+     * This is a WebGL only feature. Under Canvas the loader will fall back to the `IMG` entry
+     * of the texture configuration instead of calling this method.
+     *
+     * @method Phaser.Textures.TextureManager#addCompressedTexture
+     * @fires Phaser.Textures.Events#ADD
+     * @since 3.60.0
+     *
+     * @param {string} key - The unique string-based key of the Texture.
+     * @param {Phaser.Types.Textures.CompressedTextureData} textureData - The Compressed Texture data object.
+     * @param {object} [atlasData] - Optional Texture Atlas data.
+     *
+     * @return {?Phaser.Textures.Texture} The Texture that was created, or `null` if the key is already in use.
+     */
+    addCompressedTexture: function (key, textureData, atlasData)
+    {
+        var texture = null;
+
+        if (this.checkKey(key))
+        {
+            texture = this.create(key, textureData);
+
+            if (!atlasData)
+            {
+                texture.add('__BASE', 0, 0, 0, textureData.width, textureData.height);
+            }
+            else if (Array.isArray(atlasData.textures) || Array.isArray(atlasData.frames))
+            {
+                Parser.JSONArray(texture, 0, atlasData);
+            }
+            else
+            {
+                Parser.JSONHash(texture, 0, atlasData);
+            }
+
+            this.emit(Events.ADD, key, texture);
+        }
+
+        return texture;
+    },
+
     /**
      * Takes a WebGL Texture and creates a Phaser Texture from it, which is added to the Texture Manager using the given key.
      *
@@ -581,6 +684,37 @@ var TextureManager = new Class({
         return texture;
     },
 
+    /**
+     * Creates a new Dynamic Atlas and adds it to this Texture Manager.
+     *
+     * A Dynamic Atlas packs images, canvases and rendered Game Objects in to shared pages at run-time.
+     * See the `DynamicAtlas` class for details.
+     *
+     * @method Phaser.Textures.TextureManager#addDynamicAtlas
+     * @fires Phaser.Textures.Events#ADD
+     * @since 3.60.0
+     *
+     * @param {string} key - The unique string-based key of the Texture.
+     * @param {Phaser.Types.Textures.DynamicAtlasConfig} [config] - The settings of the atlas.
+     *
+     * @return {?Phaser.Textures.DynamicAtlas} The Dynamic Atlas that was created, or `null` if the key is already in use.
+     */
+    addDynamicAtlas: function (key, config)
+    {
+        var texture = null;
+
+        if (this.checkKey(key))
+        {
+            texture = new DynamicAtlas(this, key, config);
+
+            this.list[key] = texture;
+
+            this.emit(Events.ADD, key, texture);
+        }
+
+        return texture;
+    },
+
     /**
      * Adds a new Texture Atlas to this Texture Manager.
      * It can accept either JSON Array or JSON Hash formats, as exported by Texture Packer and similar software.
@@ -23,7 +23,7 @@ var ScaleModes = require('../renderer/ScaleModes');
  * @since 3.0.0
  *
  * @param {Phaser.Textures.Texture} texture - The Texture this TextureSource belongs to.
- * @param {(HTMLImageElement|HTMLCanvasElement|HTMLVideoElement|Phaser.GameObjects.RenderTexture|WebGLTexture)} source - The source image data.
+ * @param {(HTMLImageElement|HTMLCanvasElement|HTMLVideoElement|Phaser.GameObjects.RenderTexture|WebGLTexture|Phaser.Types.Textures.CompressedTextureData)} source - The source image data.
  * @param {number} [width] - Optional width of the source image. If not given it's derived from the source itself.
  * @param {number} [height] - Optional height of the source image. If not given it's derived from the source itself.
  * @param {boolean} [flipY=false] - Sets the `UNPACK_FLIP_Y_WEBGL` flag the WebGL Texture uses during upload.
@@ -59,10 +59,11 @@ var TextureSource = new Class({
         /**
          * The source of the image data.
          *
-         * This is either an Image Element, a Canvas Element, a Video Element, a RenderTexture or a WebGLTexture.
+         * This is either an Image Element, a Canvas Element, a Video Element, a RenderTexture,
+         * a WebGLTexture or the data object of a Compressed Texture.
          *
          * @name Phaser.Textures.TextureSource#source
-         * @type {(HTMLImageElement|HTMLCanvasElement|HTMLVideoElement|Phaser.GameObjects.RenderTexture|WebGLTexture)}
+         * @type {(HTMLImageElement|HTMLCanvasElement|HTMLVideoElement|Phaser.GameObjects.RenderTexture|WebGLTexture|Phaser.Types.Textures.CompressedTextureData)}
          * @since 3.12.0
          */
         this.source = source;
@@ -71,22 +72,25 @@ var TextureSource = new Class({
          * The image data.
          *
          * This is either an Image element, Canvas element or a Video Element.
+         * It is `null` if this source is a Compressed Texture.
          *
          * @name Phaser.Textures.TextureSource#image
-         * @type {(HTMLImageElement|HTMLCanvasElement|HTMLVideoElement)}
+         * @type {?(HTMLImageElement|HTMLCanvasElement|HTMLVideoElement)}
          * @since 3.0.0
          */
-        this.image = source;
+        this.image = (source.compressed) ? null : source;
 
         /**
-         * Currently un-used.
+         * If this TextureSource is backed by a Compressed Texture, this holds the name of
+         * the WebGL compressed texture format it uses, as set by the loader, or the raw
+         * internal format if no name was given. Otherwise `null`.
          *
          * @name Phaser.Textures.TextureSource#compressionAlgorithm
-         * @type {number}
+         * @type {?(string|number)}
          * @default null
          * @since 3.0.0
          */
-        this.compressionAlgorithm = null;
+        this.compressionAlgorithm = (source.compressed) ? (source.format || source.internalFormat) : null;
 
         /**
          * The resolution of the source image.
@@ -135,7 +139,7 @@ var TextureSource = new Class({
          * @type {boolean}
          * @since 3.0.0
          */
-        this.isCanvas = (source instanceof HTMLCanvasElement);
+        this.isCanvas = (typeof HTMLCanvasElement !== 'undefined' && source instanceof HTMLCanvasElement);
 
         /**
          * Is the source image a Video Element?
@@ -144,7 +148,7 @@ var TextureSource = new Class({
          * @type {boolean}
          * @since 3.20.0
          */
-        this.isVideo = (window.hasOwnProperty('HTMLVideoElement') && source instanceof HTMLVideoElement);
+        this.isVideo = (typeof HTMLVideoElement !== 'undefined' && source instanceof HTMLVideoElement);
 
         /**
          * Is the source image a Render Texture?
@@ -162,7 +166,7 @@ var TextureSource = new Class({
          * @type {boolean}
          * @since 3.19.0
          */
-        this.isGLTexture = (window.hasOwnProperty('WebGLTexture') && source instanceof WebGLTexture);
+        this.isGLTexture = (typeof WebGLTexture !== 'undefined' && source instanceof WebGLTexture);
 
         /**
          * Are the source image dimensions a power of two?
@@ -252,6 +256,10 @@ var TextureSource = new Class({
                 {
                     this.glTexture = this.source;
                 }
+                else if (this.compressionAlgorithm)
+                {
+                    this.glTexture = renderer.createTextureFromSource(this.source, this.width, this.height, this.scaleMode);
+                }
                 else
                 {
                     this.glTexture = renderer.createTextureFromSource(this.image, this.width, this.height, this.scaleMode);
@@ -32,9 +32,11 @@ var FilterMode = require('./const');
 var Textures = {
 
     CanvasTexture: require('./CanvasTexture'),
+    DynamicAtlas: require('./DynamicAtlas'),
     Events: require('./events'),
     FilterMode: FilterMode,
     Frame: require('./Frame'),
+    GetImageSize: require('./GetImageSize'),
     Parsers: require('./parsers'),
     Texture: require('./Texture'),
     TextureManager: require('./TextureManager'),
@@ -0,0 +1,142 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2021 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+/**
+ * The 12 byte identifier that every KTX 1.1 file starts with: «KTX 11»\r\n\x1A\n
+ *
+ * @ignore
+ */
+var IDENTIFIER = [ 0xab, 0x4b, 0x54, 0x58, 0x20, 0x31, 0x31, 0xbb, 0x0d, 0x0a, 0x1a, 0x0a ];
+
+/**
+ * The value of the KTX endianness field when read with the same byte order the file was written in.
+ *
+ * @ignore
+ */
+var ENDIANNESS = 0x04030201;
+
+/**
+ * Parses a KTX 1.1 format Compressed Texture file and generates texture data suitable for WebGL from it.
+ *
+ * Only compressed formats are supported, i.e. the `glType` field of the header must be zero.
+ * Cube maps and texture arrays are not supported, only the first face of the first array element is extracted.
+ *
+ * See https://www.khronos.org/registry/KTX/specs/1.0/ktxspec_v1.html for the file format specification.
+ *
+ * @function Phaser.Textures.Parsers.KTXParser
+ * @memberof Phaser.Textures.Parsers
+ * @since 3.60.0
+ *
+ * @param {ArrayBuffer} data - The data object created by the Compressed Texture File Loader.
+ *
+ * @return {?Phaser.Types.Textures.CompressedTextureData} The Compressed Texture data, or `undefined` if the file could not be parsed.
+ */
+var KTXParser = function (data)
+{
+    var i;
+
+    if (!data || data.byteLength < 64)
+    {
+        console.warn('KTXParser - Invalid file size');
+
+        return;
+    }
+
+    var id = new Uint8Array(data, 0, 12);
+
+    for (i = 0; i < IDENTIFIER.length; i++)
+    {
+        if (id[i] !== IDENTIFIER[i])
+        {
+            console.warn('KTXParser - Invalid file format');
+
+            return;
+        }
+    }
+
+    //  The header is 13 x uint32 fields following the identifier
+    var head = new DataView(data, 12, 13 * 4);
+
+    var littleEndian = (head.getUint32(0, true) === ENDIANNESS);
+
+    var glType = head.getUint32(4, littleEndian);
+
+    if (glType !== 0)
+    {
+        console.warn('KTXParser - Only compressed formats supported');
+
+        return;
+    }
+
+    var internalFormat = head.getUint32(16, littleEndian);
+    var width = head.getUint32(24, littleEndian);
+    var height = Math.max(1, head.getUint32(28, littleEndian));
+    var faces = Math.max(1, head.getUint32(40, littleEndian));
+    var mipmapLevels = Math.max(1, head.getUint32(44, littleEndian));
+    var bytesOfKeyValueData = head.getUint32(48, littleEndian);
+
+    var view = new DataView(data);
+
+    var offset = 12 + (13 * 4) + bytesOfKeyValueData;
+
+    var mipmaps = [];
+
+    var levelWidth = width;
+    var levelHeight = height;
+
+    for (i = 0; i < mipmapLevels; i++)
+    {
+        if (offset + 4 > data.byteLength)
+        {
+            break;
+        }
+
+        //  For cube maps imageSize is the size of a single face, otherwise the whole level
+        var imageSize = view.getUint32(offset, littleEndian);
+
+        //  Rows are aligned to 4 bytes, so this is both the cube and the mip padding
+        var padding = 3 - ((imageSize + 3) % 4);
+
+        offset += 4;
+
+        if (offset + imageSize > data.byteLength)
+        {
+            console.warn('KTXParser - Truncated mipmap data');
+
+            break;
+        }
+
+        mipmaps.push({
+            data: new Uint8Array(data, offset, imageSize),
+            width: levelWidth,
+            height: levelHeight
+        });
+
+        //  Skip every face of this level, we only keep the first
+        offset += (imageSize + padding) * faces;
+
+        levelWidth = Math.max(1, levelWidth >> 1);
+        levelHeight = Math.max(1, levelHeight >> 1);
+    }
+
+    if (mipmaps.length === 0)
+    {
+        console.warn('KTXParser - No texture data found');
+
+        return;
+    }
+
+    return {
+        mipmaps: mipmaps,
+        width: width,
+        height: height,
+        internalFormat: internalFormat,
+        compressed: true,
+        generateMipmap: false
+    };
+};
+
+module.exports = KTXParser;
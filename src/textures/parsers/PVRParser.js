@@ -0,0 +1,226 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2021 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+/**
+ * Returns the byte size of a PVRTC texture level.
+ *
+ * @ignore
+ */
+var PVRTCSize = function (width, height, bpp)
+{
+    var blockWidth = (bpp === 2) ? 16 : 8;
+
+    return Math.floor((Math.max(width, blockWidth) * Math.max(height, 8) * bpp + 7) / 8);
+};
+
+/**
+ * Returns a size function for block based formats, such as S3TC, ETC and ASTC.
+ *
+ * @ignore
+ */
+var BlockSize = function (blockWidth, blockHeight, blockBytes)
+{
+    return function (width, height)
+    {
+        return Math.ceil(width / blockWidth) * Math.ceil(height / blockHeight) * blockBytes;
+    };
+};
+
+var PVRTC2BPP = function (width, height) { return PVRTCSize(width, height, 2); };
+var PVRTC4BPP = function (width, height) { return PVRTCSize(width, height, 4); };
+
+//  64 and 128 bit 4x4 pixel blocks
+var BLOCK64 = BlockSize(4, 4, 8);
+var BLOCK128 = BlockSize(4, 4, 16);
+
+/**
+ * Maps the PVR3 pixel format ids to the WebGL internal formats, in both linear
+ * and sRGB color spaces, along with the function to calculate the level size.
+ *
+ * A format of zero means that color space is not supported by WebGL.
+ *
+ * @ignore
+ */
+var FORMATS = {
+
+    //  PVRTC (WEBGL_compressed_texture_pvrtc)
+    0: { linear: 0x8C01, srgb: 0, size: PVRTC2BPP },
+    1: { linear: 0x8C03, srgb: 0, size: PVRTC2BPP },
+    2: { linear: 0x8C00, srgb: 0, size: PVRTC4BPP },
+    3: { linear: 0x8C02, srgb: 0, size: PVRTC4BPP },
+
+    //  ETC1 (WEBGL_compressed_texture_etc1)
+    6: { linear: 0x8D64, srgb: 0, size: BLOCK64 },
+
+    //  S3TC (WEBGL_compressed_texture_s3tc and s3tc_srgb)
+    7: { linear: 0x83F1, srgb: 0x8C4D, size: BLOCK64 },
+    8: { linear: 0x83F2, srgb: 0x8C4E, size: BLOCK128 },
+    9: { linear: 0x83F2, srgb: 0x8C4E, size: BLOCK128 },
+    10: { linear: 0x83F3, srgb: 0x8C4F, size: BLOCK128 },
+    11: { linear: 0x83F3, srgb: 0x8C4F, size: BLOCK128 },
+
+    //  RGTC (EXT_texture_compression_rgtc)
+    12: { linear: 0x8DBB, srgb: 0, size: BLOCK64 },
+    13: { linear: 0x8DBD, srgb: 0, size: BLOCK128 },
+
+    //  BPTC (EXT_texture_compression_bptc)
+    14: { linear: 0x8E8F, srgb: 0, size: BLOCK128 },
+    15: { linear: 0x8E8C, srgb: 0x8E8D, size: BLOCK128 },
+
+    //  ETC2 and EAC (WEBGL_compressed_texture_etc)
+    22: { linear: 0x9274, srgb: 0x9275, size: BLOCK64 },
+    23: { linear: 0x9278, srgb: 0x9279, size: BLOCK128 },
+    24: { linear: 0x9276, srgb: 0x9277, size: BLOCK64 },
+    25: { linear: 0x9270, srgb: 0, size: BLOCK64 },
+    26: { linear: 0x9272, srgb: 0, size: BLOCK128 },
+
+    //  ASTC (WEBGL_compressed_texture_astc)
+    27: { linear: 0x93B0, srgb: 0x93D0, size: BlockSize(4, 4, 16) },
+    28: { linear: 0x93B1, srgb: 0x93D1, size: BlockSize(5, 4, 16) },
+    29: { linear: 0x93B2, srgb: 0x93D2, size: BlockSize(5, 5, 16) },
+    30: { linear: 0x93B3, srgb: 0x93D3, size: BlockSize(6, 5, 16) },
+    31: { linear: 0x93B4, srgb: 0x93D4, size: BlockSize(6, 6, 16) },
+    32: { linear: 0x93B5, srgb: 0x93D5, size: BlockSize(8, 5, 16) },
+    33: { linear: 0x93B6, srgb: 0x93D6, size: BlockSize(8, 6, 16) },
+    34: { linear: 0x93B7, srgb: 0x93D7, size: BlockSize(8, 8, 16) },
+    35: { linear: 0x93B8, srgb: 0x93D8, size: BlockSize(10, 5, 16) },
+    36: { linear: 0x93B9, srgb: 0x93D9, size: BlockSize(10, 6, 16) },
+    37: { linear: 0x93BA, srgb: 0x93DA, size: BlockSize(10, 8, 16) },
+    38: { linear: 0x93BB, srgb: 0x93DB, size: BlockSize(10, 10, 16) },
+    39: { linear: 0x93BC, srgb: 0x93DC, size: BlockSize(12, 10, 16) },
+    40: { linear: 0x93BD, srgb: 0x93DD, size: BlockSize(12, 12, 16) }
+
+};
+
+/**
+ * The PVR3 version field, 'PVR' followed by 0x03, in both byte orders.
+ *
+ * @ignore
+ */
+var VERSION = 0x03525650;
+var VERSION_SWAPPED = 0x50565203;
+
+/**
+ * The size, in bytes, of the PVR3 header.
+ *
+ * @ignore
+ */
+var HEADER_SIZE = 52;
+
+/**
+ * Parses a PVR version 3 format Compressed Texture file and generates texture data suitable for WebGL from it.
+ *
+ * Only compressed pixel formats are supported. If the file contains multiple surfaces, faces or depth slices
+ * then only the first of each is extracted for every mipmap level.
+ *
+ * See http://cdn.imgtec.com/sdk-documentation/PVR+File+Format.Specification.pdf for the file format specification.
+ *
+ * @function Phaser.Textures.Parsers.PVRParser
+ * @memberof Phaser.Textures.Parsers
+ * @since 3.60.0
+ *
+ * @param {ArrayBuffer} data - The data object created by the Compressed Texture File Loader.
+ *
+ * @return {?Phaser.Types.Textures.CompressedTextureData} The Compressed Texture data, or `undefined` if the file could not be parsed.
+ */
+var PVRParser = function (data)
+{
+    if (!data || data.byteLength < HEADER_SIZE)
+    {
+        console.warn('PVRParser - Invalid file size');
+
+        return;
+    }
+
+    var header = new DataView(data, 0, HEADER_SIZE);
+
+    var version = header.getUint32(0, true);
+
+    if (version !== VERSION && version !== VERSION_SWAPPED)
+    {
+        console.warn('PVRParser - Invalid file format');
+
+        return;
+    }
+
+    var littleEndian = (version === VERSION);
+
+    //  The pixel format is a uint64. If the high 32 bits are set it's an uncompressed channel layout.
+    var pixelFormatLow = header.getUint32(8, littleEndian);
+    var pixelFormatHigh = header.getUint32(12, littleEndian);
+
+    var format = FORMATS[pixelFormatLow];
+
+    if (pixelFormatHigh !== 0 || !format)
+    {
+        console.warn('PVRParser - Only compressed formats supported');
+
+        return;
+    }
+
+    var colorSpace = header.getUint32(16, littleEndian);
+    var height = header.getUint32(24, littleEndian);
+    var width = header.getUint32(28, littleEndian);
+    var depth = Math.max(1, header.getUint32(32, littleEndian));
+    var surfaces = Math.max(1, header.getUint32(36, littleEndian));
+    var faces = Math.max(1, header.getUint32(40, littleEndian));
+    var mipmapLevels = Math.max(1, header.getUint32(44, littleEndian));
+    var metaDataSize = header.getUint32(48, littleEndian);
+
+    //  Color space 1 is sRGB, fall back to linear if WebGL has no sRGB variant of this format
+    var internalFormat = (colorSpace === 1 && format.srgb) ? format.srgb : format.linear;
+
+    var offset = HEADER_SIZE + metaDataSize;
+
+    var mipmaps = [];
+
+    var levelWidth = width;
+    var levelHeight = height;
+    var levelDepth = depth;
+
+    for (var i = 0; i < mipmapLevels; i++)
+    {
+        var levelSize = format.size(levelWidth, levelHeight);
+
+        if (offset + levelSize > data.byteLength)
+        {
+            console.warn('PVRParser - Truncated mipmap data');
+
+            break;
+        }
+
+        mipmaps.push({
+            data: new Uint8Array(data, offset, levelSize),
+            width: levelWidth,
+            height: levelHeight
+        });
+
+        //  Level data is stored as: surfaces > faces > depth slices, we only keep the first of each
+        offset += levelSize * levelDepth * faces * surfaces;
+
+        levelWidth = Math.max(1, levelWidth >> 1);
+        levelHeight = Math.max(1, levelHeight >> 1);
+        levelDepth = Math.max(1, levelDepth >> 1);
+    }
+
+    if (mipmaps.length === 0)
+    {
+        console.warn('PVRParser - No texture data found');
+
+        return;
+    }
+
+    return {
+        mipmaps: mipmaps,
+        width: width,
+        height: height,
+        internalFormat: internalFormat,
+        compressed: true,
+        generateMipmap: false
+    };
+};
+
+module.exports = PVRParser;
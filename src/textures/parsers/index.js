@@ -15,6 +15,8 @@ module.exports = {
     Image: require('./Image'),
     JSONArray: require('./JSONArray'),
     JSONHash: require('./JSONHash'),
+    KTXParser: require('./KTXParser'),
+    PVRParser: require('./PVRParser'),
     SpriteSheet: require('./SpriteSheet'),
     SpriteSheetFromAtlas: require('./SpriteSheetFromAtlas'),
     UnityYAML: require('./UnityYAML')
@@ -0,0 +1,17 @@
+/**
+ * An object containing the dimensions and mipmap data for a Compressed Texture.
+ *
+ * These are created by the KTX and PVR parsers and are used by the Texture Manager
+ * and WebGL Renderer when uploading a compressed texture to the GPU.
+ *
+ * @typedef {object} Phaser.Types.Textures.CompressedTextureData
+ * @since 3.60.0
+ *
+ * @property {boolean} compressed - Is this a compressed texture?
+ * @property {boolean} generateMipmap - Should this texture have mipmaps generated?
+ * @property {number} width - The width of the maximum size of the texture.
+ * @property {number} height - The height of the maximum size of the texture.
+ * @property {GLenum} internalFormat - The WebGL internal texture format.
+ * @property {Phaser.Types.Textures.MipmapType[]} mipmaps - An array of MipmapType objects.
+ * @property {string} [format] - The name of the WebGL internal format, as set by the loader once the renderer has confirmed support for it.
+ */
@@ -0,0 +1,10 @@
+/**
+ * @typedef {object} Phaser.Types.Textures.DynamicAtlasConfig
+ * @since 3.60.0
+ *
+ * @property {number} [width=1024] - The width of each page of the atlas.
+ * @property {number} [height] - The height of each page of the atlas. If not set it will use the width as the height.
+ * @property {number} [padding=2] - The number of empty pixels to leave between frames.
+ * @property {number} [extrude=0] - The number of pixels to repeat the edges of each frame outwards by, to stop texture filtering sampling the space around it.
+ * @property {number} [maxPages=0] - The maximum number of pages the atlas can create. Zero means there is no limit.
+ */
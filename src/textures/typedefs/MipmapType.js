@@ -0,0 +1,10 @@
+/**
+ * A single mipmap level of a Compressed Texture.
+ *
+ * @typedef {object} Phaser.Types.Textures.MipmapType
+ * @since 3.60.0
+ *
+ * @property {number} width - The width of this level of the mipmap.
+ * @property {number} height - The height of this level of the mipmap.
+ * @property {Uint8Array} data - The compressed pixel data of this level of the mipmap.
+ */
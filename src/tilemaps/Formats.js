@@ -44,6 +44,15 @@ module.exports = {
      * @type {number}
      * @since 3.0.0
      */
-    WELTMEISTER: 3
+    WELTMEISTER: 3,
+
+    /**
+     * Tiled XML (TMX) Map Type
+     * 
+     * @name Phaser.Tilemaps.Formats.TILED_XML
+     * @type {number}
+     * @since 3.60.0
+     */
+    TILED_XML: 4
 
 };
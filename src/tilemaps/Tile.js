@@ -389,6 +389,32 @@ var Tile = new Class({
         return this.tileset ? this.tileset.getTileData(this.index) : null;
     },
 
+    /**
+     * Returns the tile index that is currently being displayed for this Tile.
+     *
+     * If this Tile has animation data defined within its Tileset, such as from Tiled's tile
+     * animation editor, this is the index of the current animation frame, based on the
+     * animation clock of the Tilemap Layer this Tile belongs to. Otherwise, it is the same
+     * as the `index` property.
+     *
+     * @method Phaser.Tilemaps.Tile#getAnimatedIndex
+     * @since 3.60.0
+     *
+     * @return {number} The unique id of the tile currently being displayed, across all tilesets in the map.
+     */
+    getAnimatedIndex: function ()
+    {
+        var tilemapLayer = this.layer.tilemapLayer;
+        var tileset = this.tileset;
+
+        if (!tilemapLayer || !tileset)
+        {
+            return this.index;
+        }
+
+        return tileset.getAnimatedTileId(this.index, tilemapLayer.animationTime);
+    },
+
     /**
      * Gets the world X position of the left side of the tile, factoring in the layers position,
      * scale and scroll.
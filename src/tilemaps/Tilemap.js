@@ -10,6 +10,7 @@ var Formats = require('./Formats');
 var GetFastValue = require('../utils/object/GetFastValue');
 var LayerData = require('./mapdata/LayerData');
 var ORIENTATION = require('./const/ORIENTATION_CONST');
+var Pathfinder = require('./pathfinding/Pathfinder');
 var Rotate = require('../math/Rotate');
 var SpliceOne = require('../utils/array/SpliceOne');
 var Sprite = require('../gameobjects/sprite/Sprite');
@@ -417,7 +418,7 @@ var Tilemap = new Class({
 
         var index = this.getTilesetIndex(tilesetName);
 
-        if (index === null && this.format === Formats.TILED_JSON)
+        if (index === null && (this.format === Formats.TILED_JSON || this.format === Formats.TILED_XML))
         {
             console.warn('No data found for Tileset: ' + tilesetName);
             return null;
@@ -907,6 +908,28 @@ var Tilemap = new Class({
         return TilemapComponents.CreateFromTiles(indexes, replacements, spriteConfig, scene, camera, layer);
     },
 
+    /**
+     * Creates a Pathfinder that finds paths between the tiles of a layer, using its collision data.
+     *
+     * If no layer specified, the map's current layer is used.
+     *
+     * @method Phaser.Tilemaps.Tilemap#createPathfinder
+     * @since 3.60.0
+     *
+     * @param {Phaser.Types.Tilemaps.PathfinderConfig} [config] - The configuration for the Pathfinder.
+     * @param {(string|number|Phaser.Tilemaps.TilemapLayer)} [layer] - The tile layer to use. If not given the current layer is used.
+     *
+     * @return {?Phaser.Tilemaps.Pathfinding.Pathfinder} The Pathfinder that was created, or null if the layer given was invalid.
+     */
+    createPathfinder: function (config, layer)
+    {
+        layer = this.getLayer(layer);
+
+        if (layer === null) { return null; }
+
+        return new Pathfinder(this.scene, layer, config);
+    },
+
     /**
      * Sets the tiles in the given rectangular area (in tile coordinates) of the layer with the
      * specified index. Tiles will be set to collide if the given index is a colliding index.
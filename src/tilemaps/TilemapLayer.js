@@ -7,6 +7,7 @@
 var Class = require('../utils/Class');
 var Components = require('../gameobjects/components');
 var GameObject = require('../gameobjects/GameObject');
+var Pathfinder = require('./pathfinding/Pathfinder');
 var TilemapComponents = require('./components');
 var TilemapLayerRender = require('./TilemapLayerRender');
 
@@ -241,6 +242,47 @@ var TilemapLayer = new Class({
          */
         this.gidMap = [];
 
+        /**
+         * The time, in ms, that the tile animations in this layer have been playing for.
+         *
+         * Tiles that have animation data defined in their Tileset, such as from Tiled's tile
+         * animation editor, use this value to work out which frame they should render.
+         *
+         * It is advanced every frame by the Scene's Update List, scaled by the `timeScale` of the Scene Clock
+         * and by `animationTimeScale`, unless the Scene Clock is paused, or the animations have been paused
+         * via `pauseTileAnimations`.
+         *
+         * @name Phaser.Tilemaps.TilemapLayer#animationTime
+         * @type {number}
+         * @default 0
+         * @since 3.60.0
+         */
+        this.animationTime = 0;
+
+        /**
+         * The scale applied to the delta time when advancing the tile animations in this layer.
+         *
+         * A value of 1 plays them at the speed defined in the Tileset, 2 at double speed, 0.5 at half speed, etc.
+         *
+         * @name Phaser.Tilemaps.TilemapLayer#animationTimeScale
+         * @type {number}
+         * @default 1
+         * @since 3.60.0
+         */
+        this.animationTimeScale = 1;
+
+        /**
+         * Are the tile animations in this layer paused?
+         *
+         * See the `pauseTileAnimations` and `resumeTileAnimations` methods.
+         *
+         * @name Phaser.Tilemaps.TilemapLayer#animationPaused
+         * @type {boolean}
+         * @default false
+         * @since 3.60.0
+         */
+        this.animationPaused = false;
+
         this.setTilesets(tileset);
         this.setAlpha(this.layer.alpha);
         this.setPosition(x, y);
@@ -296,6 +338,98 @@ var TilemapLayer = new Class({
         this.tileset = setList;
     },
 
+    //  Overrides Game Object method
+    addedToScene: function ()
+    {
+        this.scene.sys.updateList.add(this);
+    },
+
+    //  Overrides Game Object method
+    removedFromScene: function ()
+    {
+        this.scene.sys.updateList.remove(this);
+    },
+
+    /**
+     * Advances the clock used by the tile animations in this layer.
+     *
+     * The delta is scaled by the `timeScale` of the Scene Clock, then by the `animationTimeScale` of this layer.
+     * The animations don't advance while the Scene Clock is paused.
+     *
+     * @method Phaser.Tilemaps.TilemapLayer#preUpdate
+     * @protected
+     * @since 3.60.0
+     *
+     * @param {number} time - The current timestamp.
+     * @param {number} delta - The delta time, in ms, elapsed since the last frame.
+     */
+    preUpdate: function (time, delta)
+    {
+        var clock = this.scene.sys.time;
+
+        if (this.animationPaused || (clock && clock.paused))
+        {
+            return;
+        }
+
+        if (clock)
+        {
+            delta *= clock.timeScale;
+        }
+
+        this.animationTime += delta * this.animationTimeScale;
+    },
+
+    /**
+     * Pauses all of the tile animations in this layer. Each animated tile will remain on
+     * its current frame until `resumeTileAnimations` is called.
+     *
+     * @method Phaser.Tilemaps.TilemapLayer#pauseTileAnimations
+     * @since 3.60.0
+     *
+     * @return {this} This Tilemap Layer object.
+     */
+    pauseTileAnimations: function ()
+    {
+        this.animationPaused = true;
+
+        return this;
+    },
+
+    /**
+     * Resumes all of the tile animations in this layer, if previously paused.
+     *
+     * @method Phaser.Tilemaps.TilemapLayer#resumeTileAnimations
+     * @since 3.60.0
+     *
+     * @return {this} This Tilemap Layer object.
+     */
+    resumeTileAnimations: function ()
+    {
+        this.animationPaused = false;
+
+        return this;
+    },
+
+    /**
+     * Sets the scale applied to the delta time when advancing the tile animations in this layer.
+     *
+     * @method Phaser.Tilemaps.TilemapLayer#setTileAnimationTimeScale
+     * @since 3.60.0
+     *
+     * @param {number} [value=1] - The time scale. 1 is normal speed, 2 is double speed, 0.5 is half speed, etc.
+     *
+     * @return {this} This Tilemap Layer object.
+     */
+    setTileAnimationTimeScale: function (value)
+    {
+        if (value === undefined) { value = 1; }
+
+        this.animationTimeScale = value;
+
+        return this;
+    },
+
     /**
      * Sets the rendering (draw) order of the tiles in this layer.
      *
@@ -405,6 +539,21 @@ var TilemapLayer = new Class({
         return TilemapComponents.CreateFromTiles(indexes, replacements, spriteConfig, scene, camera, this.layer);
     },
 
+    /**
+     * Creates a Pathfinder that finds paths between the tiles of this layer, using its collision data.
+     *
+     * @method Phaser.Tilemaps.TilemapLayer#createPathfinder
+     * @since 3.60.0
+     *
+     * @param {Phaser.Types.Tilemaps.PathfinderConfig} [config] - The configuration for the Pathfinder.
+     *
+     * @return {Phaser.Tilemaps.Pathfinding.Pathfinder} The Pathfinder that was created.
+     */
+    createPathfinder: function (config)
+    {
+        return new Pathfinder(this.scene, this.layer, config);
+    },
+
     /**
      * Returns the tiles in the given layer that are within the cameras viewport.
      * This is used internally during rendering.
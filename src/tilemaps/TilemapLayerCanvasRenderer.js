@@ -46,6 +46,7 @@ var TilemapLayerCanvasRenderer = function (renderer, src, camera, parentMatrix)
 
     var ctx = renderer.currentContext;
     var gidMap = src.gidMap;
+    var animationTime = src.animationTime;
 
     ctx.save();
 
@@ -89,7 +90,9 @@ var TilemapLayerCanvasRenderer = function (renderer, src, camera, parentMatrix)
 
         var image = tileset.image.getSourceImage();
 
-        var tileTexCoords = tileset.getTileTextureCoordinates(tile.index);
+        var tileIndex = tileset.getAnimatedTileId(tile.index, animationTime);
+
+        var tileTexCoords = tileset.getTileTextureCoordinates(tileIndex);
 
         if (tileTexCoords === null)
         {
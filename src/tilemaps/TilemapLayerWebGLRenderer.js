@@ -32,6 +32,7 @@ var TilemapLayerWebGLRenderer = function (renderer, src, camera)
     }
 
     var gidMap = src.gidMap;
+    var animationTime = src.animationTime;
     var pipeline = renderer.pipelines.set(src.pipeline, src);
 
     var getTint = Utils.getTintAppendFloatAlpha;
@@ -58,7 +59,9 @@ var TilemapLayerWebGLRenderer = function (renderer, src, camera)
             continue;
         }
 
-        var tileTexCoords = tileset.getTileTextureCoordinates(tile.index);
+        var tileIndex = tileset.getAnimatedTileId(tile.index, animationTime);
+
+        var tileTexCoords = tileset.getTileTextureCoordinates(tileIndex);
 
         if (tileTexCoords === null)
         {
@@ -246,6 +246,80 @@ var Tileset = new Class({
         return (data && data.objectgroup) ? data.objectgroup : null;
     },
 
+    /**
+     * Get the animation data for the given tile index, as defined within Tiled's tileset
+     * animation editor. Returns null if the tile index is not contained in this Tileset,
+     * or the tile has no animation.
+     *
+     * Each frame of the animation is an object in the form `{ tileid, duration }`, where
+     * `tileid` is the local id of the tile within this Tileset and `duration` is in ms.
+     *
+     * @method Phaser.Tilemaps.Tileset#getTileAnimationData
+     * @since 3.60.0
+     *
+     * @param {number} tileIndex - The unique id of the tile across all tilesets in the map.
+     *
+     * @return {?object[]} The animation frames of the tile, or `null` if it isn't animated.
+     */
+    getTileAnimationData: function (tileIndex)
+    {
+        var data = this.getTileData(tileIndex);
+
+        return (data && Array.isArray(data.animation) && data.animation.length > 0) ? data.animation : null;
+    },
+
+    /**
+     * Returns the tile index that should be displayed for the given tile index at the given
+     * point in time, based on the Tiled animation data of the tile.
+     *
+     * If the tile has no animation data, or all of its frames have a zero duration, the given
+     * tile index is returned unchanged.
+     *
+     * @method Phaser.Tilemaps.Tileset#getAnimatedTileId
+     * @since 3.60.0
+     *
+     * @param {number} tileIndex - The unique id of the tile across all tilesets in the map.
+     * @param {number} milliseconds - The amount of time, in ms, the animation has been playing for.
+     *
+     * @return {number} The unique id of the animation frame to display, across all tilesets in the map.
+     */
+    getAnimatedTileId: function (tileIndex, milliseconds)
+    {
+        var animation = this.getTileAnimationData(tileIndex);
+
+        if (!animation)
+        {
+            return tileIndex;
+        }
+
+        var i;
+        var total = 0;
+
+        for (i = 0; i < animation.length; i++)
+        {
+            total += animation[i].duration;
+        }
+
+        if (total <= 0)
+        {
+            return tileIndex;
+        }
+
+        var time = milliseconds % total;
+
+        for (i = 0; i < animation.length; i++)
+        {
+            time -= animation[i].duration;
+
+            if (time < 0)
+            {
+                break;
+            }
+        }
+
+        return this.firstgid + animation[Math.min(i, animation.length - 1)].tileid;
+    },
+
     /**
      * Returns true if and only if this Tileset contains the given tile index.
      *
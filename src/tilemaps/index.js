@@ -20,6 +20,7 @@ var Tilemaps = {
 
     Components: require('./components'),
     Parsers: require('./parsers'),
+    Pathfinding: require('./pathfinding'),
 
     Formats: require('./Formats'),
     ImageCollection: require('./ImageCollection'),
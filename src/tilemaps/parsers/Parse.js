@@ -9,6 +9,7 @@ var Parse2DArray = require('./Parse2DArray');
 var ParseCSV = require('./ParseCSV');
 var ParseJSONTiled = require('./tiled/ParseJSONTiled');
 var ParseWeltmeister = require('./impact/ParseWeltmeister');
+var ParseXMLTiled = require('./tiled/ParseXMLTiled');
 
 /**
  * Parses raw data of a given Tilemap format into a new MapData object. If no recognized data format
@@ -21,7 +22,7 @@ var ParseWeltmeister = require('./impact/ParseWeltmeister');
  *
  * @param {string} name - The name of the tilemap, used to set the name on the MapData.
  * @param {number} mapFormat - See ../Formats.js.
- * @param {(number[][]|string|object)} data - 2D array, CSV string or Tiled JSON object.
+ * @param {(number[][]|string|object)} data - 2D array, CSV string, Tiled JSON object or Tiled XML document.
  * @param {number} tileWidth - The width of a tile in pixels. Required for 2D array and CSV, but
  * ignored for Tiled JSON.
  * @param {number} tileHeight - The height of a tile in pixels. Required for 2D array and CSV, but
@@ -50,6 +51,9 @@ var Parse = function (name, mapFormat, data, tileWidth, tileHeight, insertNull)
         case (Formats.TILED_JSON):
             newMap = ParseJSONTiled(name, data, insertNull);
             break;
+        case (Formats.TILED_XML):
+            newMap = ParseXMLTiled(name, data, insertNull);
+            break;
         case (Formats.WELTMEISTER):
             newMap = ParseWeltmeister(name, data, insertNull);
             break;
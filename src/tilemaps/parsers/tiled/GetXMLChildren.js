@@ -0,0 +1,36 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+/**
+ * Gets the direct children of a Tiled XML element, optionally only those with the given tag name.
+ *
+ * Unlike `getElementsByTagName` this doesn't return nested elements, such as the objects of a tile
+ * when looking for the objects of an object layer.
+ *
+ * @function Phaser.Tilemaps.Parsers.Tiled.GetXMLChildren
+ * @since 3.60.0
+ *
+ * @param {Element} node - The parent element.
+ * @param {string} [tagName] - The tag name of the children to return. If not given all child elements are returned.
+ *
+ * @return {Element[]} The child elements, in document order.
+ */
+var GetXMLChildren = function (node, tagName)
+{
+    var children = [];
+
+    for (var child = node.firstChild; child; child = child.nextSibling)
+    {
+        if (child.nodeType === 1 && (tagName === undefined || child.nodeName === tagName))
+        {
+            children.push(child);
+        }
+    }
+
+    return children;
+};
+
+module.exports = GetXMLChildren;
@@ -0,0 +1,42 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+/**
+ * Reads an attribute from a Tiled XML element, converting it to the type of the default value.
+ *
+ * Numbers are parsed as floats and booleans are `true` if the attribute is `1` or `true`.
+ *
+ * @function Phaser.Tilemaps.Parsers.Tiled.GetXMLValue
+ * @since 3.60.0
+ *
+ * @param {Element} node - The XML element to read the attribute from.
+ * @param {string} attribute - The name of the attribute.
+ * @param {(string|number|boolean)} [defaultValue] - The value to return if the element doesn't have the attribute.
+ *
+ * @return {(string|number|boolean)} The value of the attribute, or the default value.
+ */
+var GetXMLValue = function (node, attribute, defaultValue)
+{
+    if (!node.hasAttribute(attribute))
+    {
+        return defaultValue;
+    }
+
+    var value = node.getAttribute(attribute);
+
+    if (typeof defaultValue === 'number')
+    {
+        return parseFloat(value);
+    }
+    else if (typeof defaultValue === 'boolean')
+    {
+        return (value === '1' || value === 'true');
+    }
+
+    return value;
+};
+
+module.exports = GetXMLValue;
@@ -0,0 +1,357 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+//  Base values and extra bits for the length codes 257 to 285
+var LENGTH_BASE = [ 3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258 ];
+var LENGTH_EXTRA = [ 0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0 ];
+
+//  Base values and extra bits for the distance codes 0 to 29
+var DIST_BASE = [ 1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577 ];
+var DIST_EXTRA = [ 0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13 ];
+
+//  The order the code length code lengths are stored in
+var CLEN_ORDER = [ 16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15 ];
+
+/**
+ * Builds a canonical Huffman tree from a list of code lengths.
+ *
+ * @ignore
+ *
+ * @param {number[]} lengths - The code length of each symbol.
+ * @param {number} offset - The index of the first symbol in the lengths array.
+ * @param {number} total - The number of symbols.
+ *
+ * @return {{counts:number[],symbols:number[]}} The tree.
+ */
+var buildTree = function (lengths, offset, total)
+{
+    var counts = [];
+    var offsets = [ 0 ];
+    var symbols = [];
+    var i;
+
+    for (i = 0; i < 16; i++)
+    {
+        counts[i] = 0;
+    }
+
+    for (i = 0; i < total; i++)
+    {
+        counts[lengths[offset + i]]++;
+    }
+
+    counts[0] = 0;
+
+    for (i = 0; i < 16; i++)
+    {
+        offsets[i + 1] = offsets[i] + counts[i];
+    }
+
+    for (i = 0; i < total; i++)
+    {
+        var length = lengths[offset + i];
+
+        if (length)
+        {
+            symbols[offsets[length]++] = i;
+        }
+    }
+
+    return { counts: counts, symbols: symbols };
+};
+
+/**
+ * Reads a single bit from the stream.
+ *
+ * @ignore
+ *
+ * @param {object} stream - The stream state.
+ *
+ * @return {number} The bit.
+ */
+var readBit = function (stream)
+{
+    if (stream.bitCount === 0)
+    {
+        if (stream.pos >= stream.data.length)
+        {
+            throw new Error('Unexpected end of deflate data');
+        }
+
+        stream.bitBuffer = stream.data[stream.pos++];
+        stream.bitCount = 8;
+    }
+
+    var bit = stream.bitBuffer & 1;
+
+    stream.bitBuffer >>>= 1;
+    stream.bitCount--;
+
+    return bit;
+};
+
+/**
+ * Reads a number of bits from the stream, least significant bit first, and adds them to a base value.
+ *
+ * @ignore
+ *
+ * @param {object} stream - The stream state.
+ * @param {number} total - The number of bits to read.
+ * @param {number} base - The value to add to the bits.
+ *
+ * @return {number} The value.
+ */
+var readBits = function (stream, total, base)
+{
+    var value = 0;
+
+    for (var i = 0; i < total; i++)
+    {
+        value |= readBit(stream) << i;
+    }
+
+    return value + base;
+};
+
+/**
+ * Reads a symbol from the stream using the given Huffman tree.
+ *
+ * @ignore
+ *
+ * @param {object} stream - The stream state.
+ * @param {{counts:number[],symbols:number[]}} tree - The Huffman tree.
+ *
+ * @return {number} The symbol.
+ */
+var readSymbol = function (stream, tree)
+{
+    var counts = tree.counts;
+    var sum = 0;
+    var code = 0;
+    var length = 0;
+
+    do
+    {
+        code = (code << 1) | readBit(stream);
+        length++;
+
+        if (length > 15)
+        {
+            throw new Error('Invalid deflate Huffman code');
+        }
+
+        sum += counts[length];
+        code -= counts[length];
+    }
+    while (code >= 0);
+
+    return tree.symbols[sum + code];
+};
+
+/**
+ * Reads the Huffman trees of a dynamic block.
+ *
+ * @ignore
+ *
+ * @param {object} stream - The stream state.
+ *
+ * @return {Array.<{counts:number[],symbols:number[]}>} The literal / length tree and the distance tree.
+ */
+var readDynamicTrees = function (stream)
+{
+    var hlit = readBits(stream, 5, 257);
+    var hdist = readBits(stream, 5, 1);
+    var hclen = readBits(stream, 4, 4);
+    var lengths = [];
+    var i;
+
+    for (i = 0; i < 19; i++)
+    {
+        lengths[i] = 0;
+    }
+
+    for (i = 0; i < hclen; i++)
+    {
+        lengths[CLEN_ORDER[i]] = readBits(stream, 3, 0);
+    }
+
+    var codeTree = buildTree(lengths, 0, 19);
+
+    lengths = [];
+
+    while (lengths.length < hlit + hdist)
+    {
+        var symbol = readSymbol(stream, codeTree);
+        var value = 0;
+        var repeat = 1;
+
+        if (symbol < 16)
+        {
+            value = symbol;
+        }
+        else if (symbol === 16)
+        {
+            if (lengths.length === 0)
+            {
+                throw new Error('Invalid deflate code lengths');
+            }
+
+            value = lengths[lengths.length - 1];
+            repeat = readBits(stream, 2, 3);
+        }
+        else if (symbol === 17)
+        {
+            repeat = readBits(stream, 3, 3);
+        }
+        else
+        {
+            repeat = readBits(stream, 7, 11);
+        }
+
+        while (repeat--)
+        {
+            lengths.push(value);
+        }
+    }
+
+    return [ buildTree(lengths, 0, hlit), buildTree(lengths, hlit, hdist) ];
+};
+
+/**
+ * The fixed Huffman trees, created the first time they are needed.
+ *
+ * @ignore
+ */
+var fixedTrees = null;
+
+/**
+ * Gets the fixed Huffman trees defined by the DEFLATE specification.
+ *
+ * @ignore
+ *
+ * @return {Array.<{counts:number[],symbols:number[]}>} The literal / length tree and the distance tree.
+ */
+var getFixedTrees = function ()
+{
+    if (!fixedTrees)
+    {
+        var lengths = [];
+        var i;
+
+        for (i = 0; i < 288; i++)
+        {
+            lengths[i] = (i < 144) ? 8 : (i < 256) ? 9 : (i < 280) ? 7 : 8;
+        }
+
+        for (i = 0; i < 30; i++)
+        {
+            lengths[288 + i] = 5;
+        }
+
+        fixedTrees = [ buildTree(lengths, 0, 288), buildTree(lengths, 288, 30) ];
+    }
+
+    return fixedTrees;
+};
+
+/**
+ * Decompresses data compressed with the DEFLATE algorithm, as used by the zlib and gzip formats.
+ *
+ * This is a small synchronous decoder, used to read the compressed layer data of Tiled maps.
+ * The data must be raw DEFLATE data. Skip the zlib or gzip header by passing its length as the offset.
+ *
+ * @function Phaser.Tilemaps.Parsers.Tiled.Inflate
+ * @since 3.60.0
+ *
+ * @param {(Uint8Array|number[])} data - The compressed bytes.
+ * @param {number} [offset=0] - The index of the first byte of the DEFLATE data.
+ *
+ * @return {Uint8Array} The decompressed bytes.
+ */
+var Inflate = function (data, offset)
+{
+    if (offset === undefined) { offset = 0; }
+
+    var stream = { data: data, pos: offset, bitBuffer: 0, bitCount: 0 };
+    var output = [];
+    var final = 0;
+
+    while (!final)
+    {
+        final = readBit(stream);
+
+        var type = readBits(stream, 2, 0);
+
+        if (type === 0)
+        {
+            //  Stored block, starts at the next byte boundary
+            stream.bitCount = 0;
+
+            var pos = stream.pos;
+            var length = data[pos] | (data[pos + 1] << 8);
+
+            if (pos + 4 + length > data.length)
+            {
+                throw new Error('Unexpected end of deflate data');
+            }
+
+            for (var i = 0; i < length; i++)
+            {
+                output.push(data[pos + 4 + i]);
+            }
+
+            stream.pos = pos + 4 + length;
+        }
+        else if (type === 1 || type === 2)
+        {
+            var trees = (type === 1) ? getFixedTrees() : readDynamicTrees(stream);
+            var literalTree = trees[0];
+            var distanceTree = trees[1];
+
+            for (;;)
+            {
+                var symbol = readSymbol(stream, literalTree);
+
+                if (symbol < 256)
+                {
+                    output.push(symbol);
+                }
+                else if (symbol === 256)
+                {
+                    break;
+                }
+                else
+                {
+                    symbol -= 257;
+
+                    var size = readBits(stream, LENGTH_EXTRA[symbol], LENGTH_BASE[symbol]);
+                    var distance = readSymbol(stream, distanceTree);
+
+                    var start = output.length - readBits(stream, DIST_EXTRA[distance], DIST_BASE[distance]);
+
+                    if (start < 0)
+                    {
+                        throw new Error('Invalid deflate distance');
+                    }
+
+                    //  The copy can overlap the bytes it is writing, so it has to be done one byte at a time
+                    for (var c = 0; c < size; c++)
+                    {
+                        output.push(output[start + c]);
+                    }
+                }
+            }
+        }
+        else
+        {
+            throw new Error('Invalid deflate block type');
+        }
+    }
+
+    return new Uint8Array(output);
+};
+
+module.exports = Inflate;
@@ -33,7 +33,8 @@ var ParseTilesets = function (json)
 
         if (set.source)
         {
-            console.warn('External tilesets unsupported. Use Embed Tileset and re-export');
+            //  External tilesets are merged into the map by the Loader, so this one wasn't loaded
+            console.warn('External tileset not loaded: ' + set.source + '. Load the map with tilemapTiledJSON, or embed the tileset and re-export');
         }
         else if (set.image)
         {
@@ -0,0 +1,116 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var GetXMLChildren = require('./GetXMLChildren');
+var GetXMLValue = require('./GetXMLValue');
+var ParseXMLProperties = require('./ParseXMLProperties');
+
+/**
+ * Converts a list of points, as stored in the `points` attribute of a Tiled polygon or polyline, into an array of objects.
+ *
+ * @ignore
+ *
+ * @param {string} points - The points, i.e. `0,0 32,0 32,32`.
+ *
+ * @return {Phaser.Types.Math.Vector2Like[]} The points.
+ */
+var parsePoints = function (points)
+{
+    return points.trim().split(/\s+/).map(function (point)
+    {
+        var xy = point.split(',');
+
+        return { x: parseFloat(xy[0]), y: parseFloat(xy[1]) };
+    });
+};
+
+/**
+ * Converts an `object` element of a Tiled XML map into the Tiled JSON object format,
+ * ready to be passed to {@link Phaser.Tilemaps.Parsers.Tiled.ParseObject}.
+ *
+ * @function Phaser.Tilemaps.Parsers.Tiled.ParseXMLObject
+ * @since 3.60.0
+ *
+ * @param {Element} node - The `object` element.
+ *
+ * @return {object} The object, in the Tiled JSON format.
+ */
+var ParseXMLObject = function (node)
+{
+    var json = {
+        id: GetXMLValue(node, 'id', 0),
+        name: GetXMLValue(node, 'name', ''),
+
+        //  Tiled 1.9 renamed `type` to `class`
+        type: GetXMLValue(node, 'type', GetXMLValue(node, 'class', '')),
+        x: GetXMLValue(node, 'x', 0),
+        y: GetXMLValue(node, 'y', 0),
+        width: GetXMLValue(node, 'width', 0),
+        height: GetXMLValue(node, 'height', 0),
+        rotation: GetXMLValue(node, 'rotation', 0),
+        visible: GetXMLValue(node, 'visible', true)
+    };
+
+    if (node.hasAttribute('gid'))
+    {
+        //  Parse as an unsigned int, to keep the flipped flags
+        json.gid = parseInt(node.getAttribute('gid'), 10);
+    }
+
+    var properties = ParseXMLProperties(node);
+
+    if (properties)
+    {
+        json.properties = properties;
+    }
+
+    var children = GetXMLChildren(node);
+
+    for (var i = 0; i < children.length; i++)
+    {
+        var child = children[i];
+
+        switch (child.nodeName)
+        {
+            case 'ellipse':
+                json.ellipse = true;
+                break;
+
+            case 'point':
+                json.point = true;
+                break;
+
+            case 'polygon':
+                json.polygon = parsePoints(child.getAttribute('points'));
+                break;
+
+            case 'polyline':
+                json.polyline = parsePoints(child.getAttribute('points'));
+                break;
+
+            case 'text':
+                json.text = {
+                    text: child.textContent,
+                    fontfamily: GetXMLValue(child, 'fontfamily', 'sans-serif'),
+                    pixelsize: GetXMLValue(child, 'pixelsize', 16),
+                    wrap: GetXMLValue(child, 'wrap', false),
+                    color: GetXMLValue(child, 'color', '#000000'),
+                    bold: GetXMLValue(child, 'bold', false),
+                    italic: GetXMLValue(child, 'italic', false),
+                    underline: GetXMLValue(child, 'underline', false),
+                    strikeout: GetXMLValue(child, 'strikeout', false),
+                    kerning: GetXMLValue(child, 'kerning', true),
+                    halign: GetXMLValue(child, 'halign', 'left'),
+                    valign: GetXMLValue(child, 'valign', 'top')
+                };
+                break;
+        }
+    }
+
+    return json;
+};
+
+module.exports = ParseXMLObject;
@@ -0,0 +1,74 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var GetXMLChildren = require('./GetXMLChildren');
+var GetXMLValue = require('./GetXMLValue');
+
+/**
+ * Converts the `properties` child of a Tiled XML element into the Tiled JSON properties format,
+ * an array of objects with `name`, `type` and `value` properties.
+ *
+ * Numeric, boolean and object properties are converted to numbers and booleans. Class properties
+ * become objects, holding the values of their members.
+ *
+ * @function Phaser.Tilemaps.Parsers.Tiled.ParseXMLProperties
+ * @since 3.60.0
+ *
+ * @param {Element} node - The XML element the properties belong to, such as a `map`, `layer` or `tile`.
+ *
+ * @return {?object[]} The properties, or `null` if the element has no properties.
+ */
+var ParseXMLProperties = function (node)
+{
+    var propertiesNode = GetXMLChildren(node, 'properties')[0];
+
+    if (!propertiesNode)
+    {
+        return null;
+    }
+
+    var properties = [];
+
+    var children = GetXMLChildren(propertiesNode, 'property');
+
+    for (var c = 0; c < children.length; c++)
+    {
+        var child = children[c];
+        var type = GetXMLValue(child, 'type', 'string');
+
+        //  Multi-line strings are stored as the text content instead of the value attribute
+        var value = GetXMLValue(child, 'value', child.textContent);
+
+        if (type === 'int' || type === 'float' || type === 'object')
+        {
+            value = parseFloat(value);
+        }
+        else if (type === 'bool')
+        {
+            value = (value === 'true');
+        }
+        else if (type === 'class')
+        {
+            var members = ParseXMLProperties(child);
+
+            value = {};
+
+            if (members)
+            {
+                for (var i = 0; i < members.length; i++)
+                {
+                    value[members[i].name] = members[i].value;
+                }
+            }
+        }
+
+        properties.push({ name: child.getAttribute('name'), type: type, value: value });
+    }
+
+    return properties;
+};
+
+module.exports = ParseXMLProperties;
@@ -0,0 +1,146 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var GetXMLChildren = require('./GetXMLChildren');
+var Inflate = require('./Inflate');
+
+/**
+ * Gets the length of the header of zlib or gzip compressed data.
+ *
+ * @ignore
+ *
+ * @param {Uint8Array} bytes - The compressed data.
+ * @param {string} compression - The compression format, either `zlib` or `gzip`.
+ *
+ * @return {number} The length of the header, in bytes.
+ */
+var getHeaderLength = function (bytes, compression)
+{
+    if (compression === 'zlib')
+    {
+        return 2;
+    }
+
+    //  gzip: a 10 byte header, followed by the optional fields given by the flags
+    var flags = bytes[3];
+    var pos = 10;
+
+    //  FEXTRA
+    if (flags & 4)
+    {
+        pos += 2 + (bytes[pos] | (bytes[pos + 1] << 8));
+    }
+
+    //  FNAME and FCOMMENT are zero terminated strings
+    if (flags & 8)
+    {
+        while (pos < bytes.length && bytes[pos] !== 0)
+        {
+            pos++;
+        }
+
+        pos++;
+    }
+
+    if (flags & 16)
+    {
+        while (pos < bytes.length && bytes[pos] !== 0)
+        {
+            pos++;
+        }
+
+        pos++;
+    }
+
+    //  FHCRC
+    if (flags & 2)
+    {
+        pos += 2;
+    }
+
+    return pos;
+};
+
+/**
+ * Decodes the tile data of a Tiled XML `data` or `chunk` element into an array of global tile IDs.
+ *
+ * The data can be stored as `tile` elements, as CSV, or as base64, which can also be compressed with zlib or gzip.
+ * Zstandard compression isn't supported.
+ *
+ * @function Phaser.Tilemaps.Parsers.Tiled.ParseXMLTileData
+ * @since 3.60.0
+ *
+ * @param {Element} node - The `data` or `chunk` element.
+ * @param {string} [encoding] - The `encoding` attribute of the `data` element.
+ * @param {string} [compression] - The `compression` attribute of the `data` element.
+ *
+ * @return {?number[]} The global tile IDs, including their flipped flags, or `null` if the data couldn't be decoded.
+ */
+var ParseXMLTileData = function (node, encoding, compression)
+{
+    var data = [];
+    var i;
+
+    if (encoding === 'csv')
+    {
+        var csv = node.textContent.trim();
+
+        if (csv !== '')
+        {
+            var values = csv.split(',');
+
+            for (i = 0; i < values.length; i++)
+            {
+                data.push(parseInt(values[i], 10));
+            }
+        }
+    }
+    else if (encoding === 'base64')
+    {
+        var binaryString = window.atob(node.textContent.trim());
+        var bytes = new Uint8Array(binaryString.length);
+
+        for (i = 0; i < bytes.length; i++)
+        {
+            bytes[i] = binaryString.charCodeAt(i);
+        }
+
+        if (compression === 'zlib' || compression === 'gzip')
+        {
+            try
+            {
+                bytes = Inflate(bytes, getHeaderLength(bytes, compression));
+            }
+            catch (e)
+            {
+                return null;
+            }
+        }
+        else if (compression)
+        {
+            return null;
+        }
+
+        //  Little-endian unsigned 32-bit ints
+        for (i = 0; i < bytes.length; i += 4)
+        {
+            data.push((bytes[i] | bytes[i + 1] << 8 | bytes[i + 2] << 16 | bytes[i + 3] << 24) >>> 0);
+        }
+    }
+    else
+    {
+        var tiles = GetXMLChildren(node, 'tile');
+
+        for (i = 0; i < tiles.length; i++)
+        {
+            data.push(tiles[i].hasAttribute('gid') ? parseInt(tiles[i].getAttribute('gid'), 10) : 0);
+        }
+    }
+
+    return data;
+};
+
+module.exports = ParseXMLTileData;
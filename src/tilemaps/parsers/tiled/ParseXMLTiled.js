@@ -0,0 +1,52 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var Formats = require('../../Formats');
+var ParseJSONTiled = require('./ParseJSONTiled');
+var ParseXML = require('../../../dom/ParseXML');
+var ParseXMLToJSON = require('./ParseXMLToJSON');
+
+/**
+ * Parses a Tiled XML map, as saved in the `.tmx` format, into a new MapData object.
+ *
+ * The map is converted to the Tiled JSON format and then parsed by
+ * {@link Phaser.Tilemaps.Parsers.Tiled.ParseJSONTiled}, so the MapData is the same as it would be
+ * had the map been exported from Tiled as JSON.
+ *
+ * @function Phaser.Tilemaps.Parsers.Tiled.ParseXMLTiled
+ * @since 3.60.0
+ *
+ * @param {string} name - The name of the tilemap, used to set the name on the MapData.
+ * @param {(Document|string)} xml - The Tiled XML document, or the XML source as a string.
+ * @param {boolean} insertNull - Controls how empty tiles, tiles with an index of -1, in the map
+ * data are handled (see {@link Phaser.Tilemaps.Parsers.Tiled.ParseJSONTiled}).
+ *
+ * @return {?Phaser.Tilemaps.MapData} The created MapData object, or `null` if the data can't be parsed.
+ */
+var ParseXMLTiled = function (name, xml, insertNull)
+{
+    if (typeof xml === 'string')
+    {
+        xml = ParseXML(xml);
+    }
+
+    var json = (xml) ? ParseXMLToJSON(xml) : null;
+
+    if (!json)
+    {
+        console.warn('Invalid Tiled XML map data: ' + name);
+
+        return null;
+    }
+
+    var mapData = ParseJSONTiled(name, json, insertNull);
+
+    mapData.format = Formats.TILED_XML;
+
+    return mapData;
+};
+
+module.exports = ParseXMLTiled;
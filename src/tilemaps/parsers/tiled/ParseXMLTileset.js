@@ -0,0 +1,210 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var GetXMLChildren = require('./GetXMLChildren');
+var GetXMLValue = require('./GetXMLValue');
+var ParseXMLObject = require('./ParseXMLObject');
+var ParseXMLProperties = require('./ParseXMLProperties');
+
+/**
+ * Converts the `objectgroup` element of a tile, holding its collision shapes, into the Tiled JSON format.
+ *
+ * @ignore
+ *
+ * @param {Element} node - The `objectgroup` element.
+ *
+ * @return {object} The object group, in the Tiled JSON format.
+ */
+var parseObjectGroup = function (node)
+{
+    return {
+        type: 'objectgroup',
+        name: GetXMLValue(node, 'name', ''),
+        draworder: GetXMLValue(node, 'draworder', 'topdown'),
+        opacity: GetXMLValue(node, 'opacity', 1),
+        visible: GetXMLValue(node, 'visible', true),
+        x: 0,
+        y: 0,
+        objects: GetXMLChildren(node, 'object').map(ParseXMLObject)
+    };
+};
+
+/**
+ * Converts the `wangsets` element of a tileset into the Tiled JSON format.
+ *
+ * Only the comma separated `wangid` format, used since Tiled 1.5, is supported.
+ *
+ * @ignore
+ *
+ * @param {Element} node - The `wangsets` element.
+ *
+ * @return {object[]} The wangsets, in the Tiled JSON format.
+ */
+var parseWangsets = function (node)
+{
+    return GetXMLChildren(node, 'wangset').map(function (wangsetNode)
+    {
+        var colors = GetXMLChildren(wangsetNode, 'wangcolor').map(function (colorNode)
+        {
+            return {
+                name: GetXMLValue(colorNode, 'name', ''),
+                color: GetXMLValue(colorNode, 'color', ''),
+                tile: GetXMLValue(colorNode, 'tile', -1),
+                probability: GetXMLValue(colorNode, 'probability', 1)
+            };
+        });
+
+        var wangtiles = GetXMLChildren(wangsetNode, 'wangtile').map(function (tileNode)
+        {
+            return {
+                tileid: GetXMLValue(tileNode, 'tileid', 0),
+                wangid: tileNode.getAttribute('wangid').split(',').map(Number)
+            };
+        });
+
+        return {
+            name: GetXMLValue(wangsetNode, 'name', ''),
+            type: GetXMLValue(wangsetNode, 'type', 'corner'),
+            tile: GetXMLValue(wangsetNode, 'tile', -1),
+            colors: colors,
+            wangtiles: wangtiles
+        };
+    });
+};
+
+/**
+ * Converts a `tileset` element of a Tiled XML map, or the root element of a Tiled `.tsx` tileset file,
+ * into the Tiled JSON tileset format.
+ *
+ * A `tileset` element that refers to an external `.tsx` file is returned with just its `firstgid` and `source` values.
+ *
+ * @function Phaser.Tilemaps.Parsers.Tiled.ParseXMLTileset
+ * @since 3.60.0
+ *
+ * @param {Element} node - The `tileset` element.
+ *
+ * @return {object} The tileset, in the Tiled JSON format.
+ */
+var ParseXMLTileset = function (node)
+{
+    var json = {
+        firstgid: GetXMLValue(node, 'firstgid', 1)
+    };
+
+    if (node.hasAttribute('source'))
+    {
+        json.source = node.getAttribute('source');
+
+        return json;
+    }
+
+    json.name = GetXMLValue(node, 'name', '');
+    json.tilewidth = GetXMLValue(node, 'tilewidth', 0);
+    json.tileheight = GetXMLValue(node, 'tileheight', 0);
+    json.spacing = GetXMLValue(node, 'spacing', 0);
+    json.margin = GetXMLValue(node, 'margin', 0);
+    json.tilecount = GetXMLValue(node, 'tilecount', 0);
+    json.columns = GetXMLValue(node, 'columns', 0);
+
+    var properties = ParseXMLProperties(node);
+
+    if (properties)
+    {
+        json.properties = properties;
+    }
+
+    var tileOffset = GetXMLChildren(node, 'tileoffset')[0];
+
+    if (tileOffset)
+    {
+        json.tileoffset = {
+            x: GetXMLValue(tileOffset, 'x', 0),
+            y: GetXMLValue(tileOffset, 'y', 0)
+        };
+    }
+
+    var image = GetXMLChildren(node, 'image')[0];
+
+    if (image)
+    {
+        json.image = image.getAttribute('source');
+        json.imagewidth = GetXMLValue(image, 'width', 0);
+        json.imageheight = GetXMLValue(image, 'height', 0);
+    }
+
+    var tiles = GetXMLChildren(node, 'tile');
+
+    if (tiles.length > 0 || !image)
+    {
+        json.tiles = [];
+    }
+
+    for (var i = 0; i < tiles.length; i++)
+    {
+        var tileNode = tiles[i];
+
+        var tile = {
+            id: GetXMLValue(tileNode, 'id', 0)
+        };
+
+        //  Tiled 1.9 renamed `type` to `class`
+        var type = GetXMLValue(tileNode, 'type', GetXMLValue(tileNode, 'class'));
+
+        if (type)
+        {
+            tile.type = type;
+        }
+
+        var tileProperties = ParseXMLProperties(tileNode);
+
+        if (tileProperties)
+        {
+            tile.properties = tileProperties;
+        }
+
+        var tileImage = GetXMLChildren(tileNode, 'image')[0];
+
+        if (tileImage)
+        {
+            tile.image = tileImage.getAttribute('source');
+            tile.imagewidth = GetXMLValue(tileImage, 'width', 0);
+            tile.imageheight = GetXMLValue(tileImage, 'height', 0);
+        }
+
+        var objectGroup = GetXMLChildren(tileNode, 'objectgroup')[0];
+
+        if (objectGroup)
+        {
+            tile.objectgroup = parseObjectGroup(objectGroup);
+        }
+
+        var animation = GetXMLChildren(tileNode, 'animation')[0];
+
+        if (animation)
+        {
+            tile.animation = GetXMLChildren(animation, 'frame').map(function (frame)
+            {
+                return {
+                    tileid: GetXMLValue(frame, 'tileid', 0),
+                    duration: GetXMLValue(frame, 'duration', 0)
+                };
+            });
+        }
+
+        json.tiles.push(tile);
+    }
+
+    var wangsets = GetXMLChildren(node, 'wangsets')[0];
+
+    if (wangsets)
+    {
+        json.wangsets = parseWangsets(wangsets);
+    }
+
+    return json;
+};
+
+module.exports = ParseXMLTileset;
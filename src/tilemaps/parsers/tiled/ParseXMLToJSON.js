@@ -0,0 +1,273 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var GetXMLChildren = require('./GetXMLChildren');
+var GetXMLValue = require('./GetXMLValue');
+var ParseXMLObject = require('./ParseXMLObject');
+var ParseXMLProperties = require('./ParseXMLProperties');
+var ParseXMLTileData = require('./ParseXMLTileData');
+var ParseXMLTileset = require('./ParseXMLTileset');
+
+/**
+ * Creates the values shared by all Tiled layer types.
+ *
+ * @ignore
+ *
+ * @param {Element} node - The layer element.
+ * @param {string} type - The Tiled JSON layer type.
+ *
+ * @return {object} The layer, in the Tiled JSON format.
+ */
+var createLayer = function (node, type)
+{
+    var layer = {
+        type: type,
+        id: GetXMLValue(node, 'id', 0),
+        name: GetXMLValue(node, 'name', ''),
+        x: 0,
+        y: 0,
+        offsetx: GetXMLValue(node, 'offsetx', 0),
+        offsety: GetXMLValue(node, 'offsety', 0),
+        opacity: GetXMLValue(node, 'opacity', 1),
+        visible: GetXMLValue(node, 'visible', true)
+    };
+
+    var properties = ParseXMLProperties(node);
+
+    if (properties)
+    {
+        layer.properties = properties;
+    }
+
+    return layer;
+};
+
+/**
+ * Converts a `layer` element into a Tiled JSON tile layer, decoding its tile data.
+ *
+ * @ignore
+ *
+ * @param {Element} node - The `layer` element.
+ * @param {boolean} infinite - Is the map infinite? If so the tile data is stored in chunks.
+ *
+ * @return {?object} The layer, in the Tiled JSON format, or `null` if its tile data couldn't be decoded.
+ */
+var parseTileLayer = function (node, infinite)
+{
+    var layer = createLayer(node, 'tilelayer');
+
+    layer.width = GetXMLValue(node, 'width', 0);
+    layer.height = GetXMLValue(node, 'height', 0);
+
+    var dataNode = GetXMLChildren(node, 'data')[0];
+
+    if (!dataNode)
+    {
+        layer.data = [];
+
+        return layer;
+    }
+
+    var encoding = GetXMLValue(dataNode, 'encoding');
+    var compression = GetXMLValue(dataNode, 'compression');
+
+    if (!infinite)
+    {
+        layer.data = ParseXMLTileData(dataNode, encoding, compression);
+
+        return (layer.data) ? layer : null;
+    }
+
+    //  Infinite maps store their tiles in chunks. The layer covers the area of all of them.
+    var chunks = GetXMLChildren(dataNode, 'chunk');
+    var left = Infinity;
+    var top = Infinity;
+    var right = -Infinity;
+    var bottom = -Infinity;
+
+    layer.chunks = [];
+
+    for (var i = 0; i < chunks.length; i++)
+    {
+        var chunk = {
+            x: GetXMLValue(chunks[i], 'x', 0),
+            y: GetXMLValue(chunks[i], 'y', 0),
+            width: GetXMLValue(chunks[i], 'width', 0),
+            height: GetXMLValue(chunks[i], 'height', 0),
+            data: ParseXMLTileData(chunks[i], encoding, compression)
+        };
+
+        if (!chunk.data)
+        {
+            return null;
+        }
+
+        left = Math.min(left, chunk.x);
+        top = Math.min(top, chunk.y);
+        right = Math.max(right, chunk.x + chunk.width);
+        bottom = Math.max(bottom, chunk.y + chunk.height);
+
+        layer.chunks.push(chunk);
+    }
+
+    if (layer.chunks.length === 0)
+    {
+        left = top = right = bottom = 0;
+    }
+
+    layer.startx = left;
+    layer.starty = top;
+    layer.width = right - left;
+    layer.height = bottom - top;
+
+    return layer;
+};
+
+/**
+ * Converts the layer elements that are direct children of a `map` or `group` element into Tiled JSON layers.
+ *
+ * @ignore
+ *
+ * @param {Element} parent - The `map` or `group` element.
+ * @param {boolean} infinite - Is the map infinite?
+ *
+ * @return {object[]} The layers, in the Tiled JSON format and in document order.
+ */
+var parseLayers = function (parent, infinite)
+{
+    var layers = [];
+    var children = GetXMLChildren(parent);
+
+    for (var i = 0; i < children.length; i++)
+    {
+        var node = children[i];
+        var layer;
+
+        switch (node.nodeName)
+        {
+            case 'layer':
+
+                layer = parseTileLayer(node, infinite);
+
+                if (!layer)
+                {
+                    console.warn('Unsupported Tiled XML layer data, skipping layer \'' + GetXMLValue(node, 'name', '') + '\'');
+                    continue;
+                }
+
+                break;
+
+            case 'objectgroup':
+
+                layer = createLayer(node, 'objectgroup');
+                layer.draworder = GetXMLValue(node, 'draworder', 'topdown');
+                layer.objects = GetXMLChildren(node, 'object').map(ParseXMLObject);
+                break;
+
+            case 'imagelayer':
+
+                layer = createLayer(node, 'imagelayer');
+
+                var image = GetXMLChildren(node, 'image')[0];
+
+                layer.image = (image) ? image.getAttribute('source') : '';
+                break;
+
+            case 'group':
+
+                layer = createLayer(node, 'group');
+                layer.layers = parseLayers(node, infinite);
+                break;
+
+            default:
+                continue;
+        }
+
+        layers.push(layer);
+    }
+
+    return layers;
+};
+
+/**
+ * Converts a Tiled XML map, as saved in the `.tmx` format, into the Tiled JSON map format,
+ * so it can be parsed by {@link Phaser.Tilemaps.Parsers.Tiled.ParseJSONTiled}.
+ *
+ * Tile layer data stored as `tile` elements, CSV or base64 is decoded, including zlib and gzip
+ * compressed data. Layers compressed with Zstandard are skipped.
+ *
+ * Tilesets stored in external `.tsx` files are returned with just their `firstgid` and `source` values,
+ * unless the Loader has already replaced them with the contents of the `.tsx` file.
+ *
+ * @function Phaser.Tilemaps.Parsers.Tiled.ParseXMLToJSON
+ * @since 3.60.0
+ *
+ * @param {(Document|Element)} xml - The Tiled XML document, or its `map` element.
+ *
+ * @return {?object} The map, in the Tiled JSON format, or `null` if the XML doesn't contain a Tiled map.
+ */
+var ParseXMLToJSON = function (xml)
+{
+    var map = (xml.documentElement) ? xml.documentElement : xml;
+
+    if (!map || map.nodeName !== 'map')
+    {
+        return null;
+    }
+
+    var infinite = GetXMLValue(map, 'infinite', false);
+
+    //  The tilesets are always converted to the Tiled 1.2+ JSON layout, so older maps need their version raising to match
+    var version = GetXMLValue(map, 'version', '1.0');
+    var versionParts = version.split('.');
+
+    if (parseInt(versionParts[0], 10) === 1 && parseInt(versionParts[1] || '0', 10) < 2)
+    {
+        version = '1.2';
+    }
+
+    var json = {
+        type: 'map',
+        version: version,
+        tiledversion: GetXMLValue(map, 'tiledversion', ''),
+        orientation: GetXMLValue(map, 'orientation', 'orthogonal'),
+        renderorder: GetXMLValue(map, 'renderorder', 'right-down'),
+        width: GetXMLValue(map, 'width', 0),
+        height: GetXMLValue(map, 'height', 0),
+        tilewidth: GetXMLValue(map, 'tilewidth', 0),
+        tileheight: GetXMLValue(map, 'tileheight', 0),
+        infinite: infinite,
+        layers: parseLayers(map, infinite),
+        tilesets: GetXMLChildren(map, 'tileset').map(ParseXMLTileset)
+    };
+
+    if (map.hasAttribute('hexsidelength'))
+    {
+        json.hexsidelength = GetXMLValue(map, 'hexsidelength', 0);
+    }
+
+    if (map.hasAttribute('staggeraxis'))
+    {
+        json.staggeraxis = map.getAttribute('staggeraxis');
+        json.staggerindex = GetXMLValue(map, 'staggerindex', 'odd');
+    }
+
+    if (map.hasAttribute('backgroundcolor'))
+    {
+        json.backgroundcolor = map.getAttribute('backgroundcolor');
+    }
+
+    var properties = ParseXMLProperties(map);
+
+    if (properties)
+    {
+        json.properties = properties;
+    }
+
+    return json;
+};
+
+module.exports = ParseXMLToJSON;
@@ -14,12 +14,21 @@ module.exports = {
     Base64Decode: require('./Base64Decode'),
     BuildTilesetIndex: require('./BuildTilesetIndex'),
     CreateGroupLayer: require('./CreateGroupLayer'),
+    GetXMLChildren: require('./GetXMLChildren'),
+    GetXMLValue: require('./GetXMLValue'),
+    Inflate: require('./Inflate'),
     ParseGID: require('./ParseGID'),
     ParseImageLayers: require('./ParseImageLayers'),
     ParseJSONTiled: require('./ParseJSONTiled'),
     ParseObject: require('./ParseObject'),
     ParseObjectLayers: require('./ParseObjectLayers'),
     ParseTileLayers: require('./ParseTileLayers'),
-    ParseTilesets: require('./ParseTilesets')
+    ParseTilesets: require('./ParseTilesets'),
+    ParseXMLObject: require('./ParseXMLObject'),
+    ParseXMLProperties: require('./ParseXMLProperties'),
+    ParseXMLTileData: require('./ParseXMLTileData'),
+    ParseXMLTiled: require('./ParseXMLTiled'),
+    ParseXMLTileset: require('./ParseXMLTileset'),
+    ParseXMLToJSON: require('./ParseXMLToJSON')
 
 };
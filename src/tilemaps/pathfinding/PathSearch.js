@@ -0,0 +1,726 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var Class = require('../../utils/Class');
+var CONST = require('./const');
+
+var SQRT2 = Math.SQRT2;
+
+/**
+ * @classdesc
+ * A single path search between two tiles, created by a Pathfinder.
+ *
+ * The search state is kept between calls to `step`, which allows a search to be spread over several
+ * frames. You don't normally create these yourself, they are returned by `Pathfinder.findPathAsync`
+ * and can be used to cancel the search, or check its progress.
+ *
+ * The open list is a binary heap that uses lazy deletion, so a node may be pushed more than once
+ * and the stale entries are skipped when they are popped.
+ *
+ * @class PathSearch
+ * @memberof Phaser.Tilemaps.Pathfinding
+ * @constructor
+ * @since 3.60.0
+ *
+ * @param {Phaser.Tilemaps.Pathfinding.Pathfinder} pathfinder - The Pathfinder running this search.
+ * @param {number} startX - The x coordinate, in tiles, of the start of the path.
+ * @param {number} startY - The y coordinate, in tiles, of the start of the path.
+ * @param {number} endX - The x coordinate, in tiles, of the end of the path.
+ * @param {number} endY - The y coordinate, in tiles, of the end of the path.
+ * @param {boolean} useJPS - Use Jump Point Search rather than A*?
+ */
+var PathSearch = new Class({
+
+    initialize:
+
+    function PathSearch (pathfinder, startX, startY, endX, endY, useJPS)
+    {
+        var width = pathfinder.layer.width;
+        var size = width * pathfinder.layer.height;
+
+        /**
+         * The Pathfinder running this search.
+         *
+         * @name Phaser.Tilemaps.Pathfinding.PathSearch#pathfinder
+         * @type {Phaser.Tilemaps.Pathfinding.Pathfinder}
+         * @since 3.60.0
+         */
+        this.pathfinder = pathfinder;
+
+        /**
+         * The x coordinate, in tiles, of the start of the path.
+         *
+         * @name Phaser.Tilemaps.Pathfinding.PathSearch#startX
+         * @type {number}
+         * @since 3.60.0
+         */
+        this.startX = startX;
+
+        /**
+         * The y coordinate, in tiles, of the start of the path.
+         *
+         * @name Phaser.Tilemaps.Pathfinding.PathSearch#startY
+         * @type {number}
+         * @since 3.60.0
+         */
+        this.startY = startY;
+
+        /**
+         * The x coordinate, in tiles, of the end of the path.
+         *
+         * @name Phaser.Tilemaps.Pathfinding.PathSearch#endX
+         * @type {number}
+         * @since 3.60.0
+         */
+        this.endX = endX;
+
+        /**
+         * The y coordinate, in tiles, of the end of the path.
+         *
+         * @name Phaser.Tilemaps.Pathfinding.PathSearch#endY
+         * @type {number}
+         * @since 3.60.0
+         */
+        this.endY = endY;
+
+        /**
+         * Is this search using Jump Point Search, rather than A*?
+         *
+         * @name Phaser.Tilemaps.Pathfinding.PathSearch#useJPS
+         * @type {boolean}
+         * @since 3.60.0
+         */
+        this.useJPS = useJPS;
+
+        /**
+         * The state of this search. One of the `Phaser.Tilemaps.Pathfinding.SEARCHING`, `FOUND`,
+         * `NOT_FOUND` or `CANCELLED` constants.
+         *
+         * @name Phaser.Tilemaps.Pathfinding.PathSearch#state
+         * @type {number}
+         * @since 3.60.0
+         */
+        this.state = CONST.SEARCHING;
+
+        /**
+         * The total number of nodes expanded by this search so far.
+         *
+         * @name Phaser.Tilemaps.Pathfinding.PathSearch#iterations
+         * @type {number}
+         * @since 3.60.0
+         */
+        this.iterations = 0;
+
+        /**
+         * The path found by this search, as an array of tile coordinates, starting with the start tile.
+         * Empty until the search has completed successfully.
+         *
+         * @name Phaser.Tilemaps.Pathfinding.PathSearch#tiles
+         * @type {Phaser.Types.Math.Vector2Like[]}
+         * @since 3.60.0
+         */
+        this.tiles = [];
+
+        /**
+         * The callback to invoke when an async search completes.
+         *
+         * @name Phaser.Tilemaps.Pathfinding.PathSearch#callback
+         * @type {?Phaser.Types.Tilemaps.PathfinderCallback}
+         * @since 3.60.0
+         */
+        this.callback = null;
+
+        /**
+         * The context in which the callback is invoked.
+         *
+         * @name Phaser.Tilemaps.Pathfinding.PathSearch#callbackContext
+         * @type {any}
+         * @since 3.60.0
+         */
+        this.callbackContext = null;
+
+        /**
+         * The width of the layer, in tiles.
+         *
+         * @name Phaser.Tilemaps.Pathfinding.PathSearch#_width
+         * @type {number}
+         * @private
+         * @since 3.60.0
+         */
+        this._width = width;
+
+        /**
+         * The cost of the cheapest known route to each tile.
+         *
+         * @name Phaser.Tilemaps.Pathfinding.PathSearch#_g
+         * @type {Float64Array}
+         * @private
+         * @since 3.60.0
+         */
+        this._g = new Float64Array(size);
+
+        /**
+         * The index of the tile each tile was reached from, plus one. Zero means not reached.
+         *
+         * @name Phaser.Tilemaps.Pathfinding.PathSearch#_parent
+         * @type {Int32Array}
+         * @private
+         * @since 3.60.0
+         */
+        this._parent = new Int32Array(size);
+
+        /**
+         * The list each tile is in: 0 for none, 1 for the open list and 2 for the closed list.
+         *
+         * @name Phaser.Tilemaps.Pathfinding.PathSearch#_list
+         * @type {Uint8Array}
+         * @private
+         * @since 3.60.0
+         */
+        this._list = new Uint8Array(size);
+
+        /**
+         * The tile indexes in the open list heap.
+         *
+         * @name Phaser.Tilemaps.Pathfinding.PathSearch#_heap
+         * @type {number[]}
+         * @private
+         * @since 3.60.0
+         */
+        this._heap = [];
+
+        /**
+         * The f scores of the entries in the open list heap.
+         *
+         * @name Phaser.Tilemaps.Pathfinding.PathSearch#_heapF
+         * @type {number[]}
+         * @private
+         * @since 3.60.0
+         */
+        this._heapF = [];
+
+        /**
+         * A reusable array that neighbours are written in to.
+         *
+         * @name Phaser.Tilemaps.Pathfinding.PathSearch#_neighbours
+         * @type {number[]}
+         * @private
+         * @since 3.60.0
+         */
+        this._neighbours = [];
+
+        if (!pathfinder.isWalkable(startX, startY) || !pathfinder.isWalkable(endX, endY))
+        {
+            this.state = CONST.NOT_FOUND;
+        }
+        else
+        {
+            var start = startY * width + startX;
+
+            this._list[start] = 1;
+            this.push(start, pathfinder.heuristic(startX, startY, endX, endY));
+        }
+    },
+
+    /**
+     * Runs the search for up to the given number of iterations.
+     *
+     * @method Phaser.Tilemaps.Pathfinding.PathSearch#step
+     * @since 3.60.0
+     *
+     * @param {number} [maxIterations=Infinity] - The maximum number of nodes to expand before returning.
+     *
+     * @return {number} The number of iterations used.
+     */
+    step: function (maxIterations)
+    {
+        if (maxIterations === undefined) { maxIterations = Infinity; }
+
+        var pathfinder = this.pathfinder;
+        var limit = pathfinder.maxIterations;
+        var width = this._width;
+        var end = this.endY * width + this.endX;
+        var g = this._g;
+        var list = this._list;
+        var used = 0;
+
+        while (this.state === CONST.SEARCHING && used < maxIterations)
+        {
+            if (this._heap.length === 0 || (limit > 0 && this.iterations >= limit))
+            {
+                this.state = CONST.NOT_FOUND;
+
+                break;
+            }
+
+            var node = this.pop();
+
+            if (list[node] === 2)
+            {
+                //  A stale entry, a cheaper route to this node was already expanded
+                continue;
+            }
+
+            list[node] = 2;
+
+            used++;
+            this.iterations++;
+
+            if (node === end)
+            {
+                this.buildPath(end);
+
+                this.state = CONST.FOUND;
+
+                break;
+            }
+
+            var x = node % width;
+            var y = (node - x) / width;
+
+            var neighbours = (this.useJPS) ? this.getJumpPoints(x, y) : pathfinder.getNeighbours(x, y, this._neighbours);
+
+            for (var i = 0; i < neighbours.length; i += 3)
+            {
+                var nx = neighbours[i];
+                var ny = neighbours[i + 1];
+                var next = ny * width + nx;
+
+                if (list[next] === 2)
+                {
+                    continue;
+                }
+
+                var cost = g[node] + neighbours[i + 2];
+
+                if (list[next] === 0 || cost < g[next])
+                {
+                    g[next] = cost;
+
+                    this._parent[next] = node + 1;
+
+                    list[next] = 1;
+
+                    this.push(next, cost + pathfinder.heuristic(nx, ny, this.endX, this.endY));
+                }
+            }
+        }
+
+        return used;
+    },
+
+    /**
+     * Stops this search. If it's an async search its callback will not be invoked.
+     *
+     * @method Phaser.Tilemaps.Pathfinding.PathSearch#cancel
+     * @since 3.60.0
+     */
+    cancel: function ()
+    {
+        if (this.state === CONST.SEARCHING)
+        {
+            this.state = CONST.CANCELLED;
+        }
+    },
+
+    /**
+     * Walks back from the end tile to the start tile and stores the path in `tiles`.
+     *
+     * Jump Point Search only stores the jump points, so the straight and diagonal runs between them are filled in.
+     *
+     * @method Phaser.Tilemaps.Pathfinding.PathSearch#buildPath
+     * @private
+     * @since 3.60.0
+     *
+     * @param {number} end - The index of the end tile.
+     */
+    buildPath: function (end)
+    {
+        var width = this._width;
+        var parent = this._parent;
+        var tiles = this.tiles;
+
+        var node = end;
+        var x = node % width;
+        var y = (node - x) / width;
+
+        tiles.push({ x: x, y: y });
+
+        while (parent[node] !== 0)
+        {
+            node = parent[node] - 1;
+
+            var px = node % width;
+            var py = (node - px) / width;
+
+            //  Fill in the run between two jump points. For A* this loop never runs.
+            var dx = (px > x) ? 1 : (px < x) ? -1 : 0;
+            var dy = (py > y) ? 1 : (py < y) ? -1 : 0;
+
+            while (x + dx !== px || y + dy !== py)
+            {
+                x += dx;
+                y += dy;
+
+                tiles.push({ x: x, y: y });
+            }
+
+            x = px;
+            y = py;
+
+            tiles.push({ x: x, y: y });
+        }
+
+        tiles.reverse();
+    },
+
+    /**
+     * Gets the jump points reachable from the given tile, for Jump Point Search.
+     *
+     * Neighbours are pruned based on the direction of travel from the parent tile. Diagonal moves are only
+     * allowed if both of the adjacent orthogonal tiles are walkable.
+     *
+     * @method Phaser.Tilemaps.Pathfinding.PathSearch#getJumpPoints
+     * @private
+     * @since 3.60.0
+     *
+     * @param {number} x - The x coordinate of the tile, in tiles.
+     * @param {number} y - The y coordinate of the tile, in tiles.
+     *
+     * @return {number[]} A flat array of the x, y and cost of every jump point.
+     */
+    getJumpPoints: function (x, y)
+    {
+        var pathfinder = this.pathfinder;
+        var width = this._width;
+        var node = y * width + x;
+        var parent = this._parent[node] - 1;
+        var output = this._neighbours;
+        var directions = [];
+        var i;
+
+        output.length = 0;
+
+        if (parent === -1)
+        {
+            //  The start tile, every neighbour is a candidate
+            pathfinder.getNeighbours(x, y, output);
+
+            for (i = 0; i < output.length; i += 3)
+            {
+                directions.push(output[i] - x, output[i + 1] - y);
+            }
+
+            output.length = 0;
+        }
+        else
+        {
+            var px = parent % width;
+            var py = (parent - px) / width;
+
+            var dx = (x > px) ? 1 : (x < px) ? -1 : 0;
+            var dy = (y > py) ? 1 : (y < py) ? -1 : 0;
+
+            this.getPrunedDirections(x, y, dx, dy, directions);
+        }
+
+        for (i = 0; i < directions.length; i += 2)
+        {
+            var jump = this.jump(x + directions[i], y + directions[i + 1], directions[i], directions[i + 1]);
+
+            if (jump !== -1)
+            {
+                var jx = jump % width;
+                var jy = (jump - jx) / width;
+
+                var ax = Math.abs(jx - x);
+                var ay = Math.abs(jy - y);
+
+                //  Octile distance, as every tile has the same cost
+                output.push(jx, jy, Math.max(ax, ay) + (SQRT2 - 1) * Math.min(ax, ay));
+            }
+        }
+
+        return output;
+    },
+
+    /**
+     * Adds the natural and forced neighbour directions of a tile, given the direction of travel.
+     *
+     * @method Phaser.Tilemaps.Pathfinding.PathSearch#getPrunedDirections
+     * @private
+     * @since 3.60.0
+     *
+     * @param {number} x - The x coordinate of the tile, in tiles.
+     * @param {number} y - The y coordinate of the tile, in tiles.
+     * @param {number} dx - The horizontal direction of travel.
+     * @param {number} dy - The vertical direction of travel.
+     * @param {number[]} directions - The array to add the directions to, as x and y pairs.
+     */
+    getPrunedDirections: function (x, y, dx, dy, directions)
+    {
+        var pathfinder = this.pathfinder;
+
+        if (dx !== 0 && dy !== 0)
+        {
+            var walkX = pathfinder.isWalkable(x + dx, y);
+            var walkY = pathfinder.isWalkable(x, y + dy);
+
+            if (walkY)
+            {
+                directions.push(0, dy);
+            }
+
+            if (walkX)
+            {
+                directions.push(dx, 0);
+            }
+
+            if (walkX && walkY)
+            {
+                directions.push(dx, dy);
+            }
+        }
+        else if (dx !== 0)
+        {
+            var down = pathfinder.isWalkable(x, y + 1);
+            var up = pathfinder.isWalkable(x, y - 1);
+
+            if (pathfinder.isWalkable(x + dx, y))
+            {
+                directions.push(dx, 0);
+
+                if (down)
+                {
+                    directions.push(dx, 1);
+                }
+
+                if (up)
+                {
+                    directions.push(dx, -1);
+                }
+            }
+
+            if (down)
+            {
+                directions.push(0, 1);
+            }
+
+            if (up)
+            {
+                directions.push(0, -1);
+            }
+        }
+        else
+        {
+            var right = pathfinder.isWalkable(x + 1, y);
+            var left = pathfinder.isWalkable(x - 1, y);
+
+            if (pathfinder.isWalkable(x, y + dy))
+            {
+                directions.push(0, dy);
+
+                if (right)
+                {
+                    directions.push(1, dy);
+                }
+
+                if (left)
+                {
+                    directions.push(-1, dy);
+                }
+            }
+
+            if (right)
+            {
+                directions.push(1, 0);
+            }
+
+            if (left)
+            {
+                directions.push(-1, 0);
+            }
+        }
+    },
+
+    /**
+     * Travels from the given tile in the given direction until it reaches a jump point, or is blocked.
+     *
+     * @method Phaser.Tilemaps.Pathfinding.PathSearch#jump
+     * @private
+     * @since 3.60.0
+     *
+     * @param {number} x - The x coordinate of the tile to start from, in tiles.
+     * @param {number} y - The y coordinate of the tile to start from, in tiles.
+     * @param {number} dx - The horizontal direction of travel.
+     * @param {number} dy - The vertical direction of travel.
+     *
+     * @return {number} The index of the jump point, or -1 if there isn't one.
+     */
+    jump: function (x, y, dx, dy)
+    {
+        var pathfinder = this.pathfinder;
+        var endX = this.endX;
+        var endY = this.endY;
+
+        while (pathfinder.isWalkable(x, y))
+        {
+            if (x === endX && y === endY)
+            {
+                return y * this._width + x;
+            }
+
+            if (dx !== 0 && dy !== 0)
+            {
+                //  A diagonal move is a jump point if either of its straight runs finds one
+                if (this.jump(x + dx, y, dx, 0) !== -1 || this.jump(x, y + dy, 0, dy) !== -1)
+                {
+                    return y * this._width + x;
+                }
+
+                if (!pathfinder.isWalkable(x + dx, y) || !pathfinder.isWalkable(x, y + dy))
+                {
+                    return -1;
+                }
+            }
+            else if (dx !== 0)
+            {
+                if ((pathfinder.isWalkable(x, y - 1) && !pathfinder.isWalkable(x - dx, y - 1)) ||
+                    (pathfinder.isWalkable(x, y + 1) && !pathfinder.isWalkable(x - dx, y + 1)))
+                {
+                    return y * this._width + x;
+                }
+            }
+            else if ((pathfinder.isWalkable(x - 1, y) && !pathfinder.isWalkable(x - 1, y - dy)) ||
+                (pathfinder.isWalkable(x + 1, y) && !pathfinder.isWalkable(x + 1, y - dy)))
+            {
+                return y * this._width + x;
+            }
+
+            x += dx;
+            y += dy;
+        }
+
+        return -1;
+    },
+
+    /**
+     * Adds a tile to the open list heap.
+     *
+     * @method Phaser.Tilemaps.Pathfinding.PathSearch#push
+     * @private
+     * @since 3.60.0
+     *
+     * @param {number} node - The index of the tile.
+     * @param {number} f - The f score of the tile.
+     */
+    push: function (node, f)
+    {
+        var heap = this._heap;
+        var heapF = this._heapF;
+        var i = heap.length;
+
+        heap.push(node);
+        heapF.push(f);
+
+        while (i > 0)
+        {
+            var parent = (i - 1) >> 1;
+
+            if (heapF[parent] <= f)
+            {
+                break;
+            }
+
+            heap[i] = heap[parent];
+            heapF[i] = heapF[parent];
+
+            i = parent;
+        }
+
+        heap[i] = node;
+        heapF[i] = f;
+    },
+
+    /**
+     * Removes and returns the tile with the lowest f score from the open list heap.
+     *
+     * @method Phaser.Tilemaps.Pathfinding.PathSearch#pop
+     * @private
+     * @since 3.60.0
+     *
+     * @return {number} The index of the tile.
+     */
+    pop: function ()
+    {
+        var heap = this._heap;
+        var heapF = this._heapF;
+
+        var top = heap[0];
+        var node = heap.pop();
+        var f = heapF.pop();
+        var length = heap.length;
+
+        if (length > 0)
+        {
+            var i = 0;
+
+            while (true)
+            {
+                var child = (i << 1) + 1;
+
+                if (child >= length)
+                {
+                    break;
+                }
+
+                if (child + 1 < length && heapF[child + 1] < heapF[child])
+                {
+                    child++;
+                }
+
+                if (heapF[child] >= f)
+                {
+                    break;
+                }
+
+                heap[i] = heap[child];
+                heapF[i] = heapF[child];
+
+                i = child;
+            }
+
+            heap[i] = node;
+            heapF[i] = f;
+        }
+
+        return top;
+    },
+
+    /**
+     * Releases the search data.
+     *
+     * @method Phaser.Tilemaps.Pathfinding.PathSearch#destroy
+     * @since 3.60.0
+     */
+    destroy: function ()
+    {
+        this.cancel();
+
+        this.pathfinder = null;
+        this.callback = null;
+        this.callbackContext = null;
+
+        this._g = null;
+        this._parent = null;
+        this._list = null;
+        this._heap = null;
+        this._heapF = null;
+    }
+
+});
+
+module.exports = PathSearch;
@@ -0,0 +1,757 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var Class = require('../../utils/Class');
+var CONST = require('./const');
+var GetFastValue = require('../../utils/object/GetFastValue');
+var GetTileToWorldXYFunction = require('../components/GetTileToWorldXYFunction');
+var ORIENTATION = require('../const/ORIENTATION_CONST');
+var Path = require('../../curves/path/Path');
+var PathSearch = require('./PathSearch');
+var SceneEvents = require('../../scene/events');
+var Vector2 = require('../../math/Vector2');
+
+var SQRT2 = Math.SQRT2;
+
+/**
+ * @classdesc
+ * A Pathfinder finds paths between two tiles of a Tilemap Layer, using its collision data.
+ *
+ * Tiles with collision enabled, via `setCollision`, `setCollisionByProperty` and similar, can't be entered.
+ * Every other tile in the layer, including empty ones, can be walked on.
+ *
+ * The cost of entering a tile is read from its `cost` property, which you can set on the tiles of a tileset
+ * in Tiled, or from `setTileCost`. Tiles without a cost have a cost of 1. Costs should be 1 or more, otherwise
+ * the paths found may not be the shortest ones.
+ *
+ * The neighbour rules follow the orientation of the layer:
+ *
+ * Orthogonal and Isometric layers use the 4 tiles that share an edge, plus the 4 diagonal tiles if `allowDiagonal` is set.
+ * Staggered layers use the 4 tiles that share an edge, plus the 4 tiles that share a corner if `allowDiagonal` is set.
+ * Hexagonal layers use the 6 tiles that share an edge.
+ *
+ * Searches use A* by default. Jump Point Search can be much faster on large open maps, but it ignores tile costs and
+ * is only used on Orthogonal and Isometric layers, with `allowDiagonal` set and `cutCorners` not set. In every other
+ * case A* is used instead.
+ *
+ * Searches can run synchronously, via `findPath`, or be spread over several frames, via `findPathAsync`.
+ *
+ * Create a Pathfinder via `TilemapLayer.createPathfinder` or `Tilemap.createPathfinder`.
+ *
+ * @class Pathfinder
+ * @memberof Phaser.Tilemaps.Pathfinding
+ * @constructor
+ * @since 3.60.0
+ *
+ * @param {Phaser.Scene} scene - The Scene the layer belongs to. Async searches run during its update.
+ * @param {Phaser.Tilemaps.LayerData} layer - The layer to find paths in.
+ * @param {Phaser.Types.Tilemaps.PathfinderConfig} [config] - The configuration for this Pathfinder.
+ */
+var Pathfinder = new Class({
+
+    initialize:
+
+    function Pathfinder (scene, layer, config)
+    {
+        /**
+         * The Scene the layer belongs to.
+         *
+         * @name Phaser.Tilemaps.Pathfinding.Pathfinder#scene
+         * @type {Phaser.Scene}
+         * @since 3.60.0
+         */
+        this.scene = scene;
+
+        /**
+         * The layer to find paths in.
+         *
+         * @name Phaser.Tilemaps.Pathfinding.Pathfinder#layer
+         * @type {Phaser.Tilemaps.LayerData}
+         * @since 3.60.0
+         */
+        this.layer = layer;
+
+        /**
+         * The search algorithm to use, either 'astar' or 'jps'.
+         *
+         * @name Phaser.Tilemaps.Pathfinding.Pathfinder#algorithm
+         * @type {string}
+         * @default 'astar'
+         * @since 3.60.0
+         */
+        this.algorithm = GetFastValue(config, 'algorithm', 'astar');
+
+        /**
+         * Can paths move diagonally? Orthogonal, Isometric and Staggered layers only.
+         *
+         * @name Phaser.Tilemaps.Pathfinding.Pathfinder#allowDiagonal
+         * @type {boolean}
+         * @default false
+         * @since 3.60.0
+         */
+        this.allowDiagonal = GetFastValue(config, 'allowDiagonal', false);
+
+        /**
+         * Can diagonal moves pass a blocked tile? If `false` both of the tiles next to a diagonal move must be walkable,
+         * if `true` only one of them must be.
+         *
+         * @name Phaser.Tilemaps.Pathfinding.Pathfinder#cutCorners
+         * @type {boolean}
+         * @default false
+         * @since 3.60.0
+         */
+        this.cutCorners = GetFastValue(config, 'cutCorners', false);
+
+        /**
+         * The name of the tile property the cost of a tile is read from.
+         *
+         * @name Phaser.Tilemaps.Pathfinding.Pathfinder#costProperty
+         * @type {string}
+         * @default 'cost'
+         * @since 3.60.0
+         */
+        this.costProperty = GetFastValue(config, 'costProperty', 'cost');
+
+        /**
+         * The costs of tiles by tile index. These take priority over the tile `cost` properties.
+         *
+         * @name Phaser.Tilemaps.Pathfinding.Pathfinder#tileCosts
+         * @type {Object.<number, number>}
+         * @since 3.60.0
+         */
+        this.tileCosts = GetFastValue(config, 'tileCosts', {});
+
+        /**
+         * The maximum number of tiles a single search can expand before giving up. Zero means no limit.
+         *
+         * @name Phaser.Tilemaps.Pathfinding.Pathfinder#maxIterations
+         * @type {number}
+         * @default 0
+         * @since 3.60.0
+         */
+        this.maxIterations = GetFastValue(config, 'maxIterations', 0);
+
+        /**
+         * The number of tiles expanded, across all async searches, each frame.
+         *
+         * @name Phaser.Tilemaps.Pathfinding.Pathfinder#iterationsPerFrame
+         * @type {number}
+         * @default 1000
+         * @since 3.60.0
+         */
+        this.iterationsPerFrame = GetFastValue(config, 'iterationsPerFrame', 1000);
+
+        /**
+         * The async searches waiting to complete, in the order they were started.
+         *
+         * @name Phaser.Tilemaps.Pathfinding.Pathfinder#queue
+         * @type {Phaser.Tilemaps.Pathfinding.PathSearch[]}
+         * @since 3.60.0
+         */
+        this.queue = [];
+
+        /**
+         * The function used to convert tile coordinates to world coordinates, based on the layer orientation.
+         *
+         * @name Phaser.Tilemaps.Pathfinding.Pathfinder#_tileToWorldXY
+         * @type {function}
+         * @private
+         * @since 3.60.0
+         */
+        this._tileToWorldXY = GetTileToWorldXYFunction(layer.orientation);
+
+        /**
+         * Is this Pathfinder listening to the Scene update event?
+         *
+         * @name Phaser.Tilemaps.Pathfinding.Pathfinder#_listening
+         * @type {boolean}
+         * @private
+         * @since 3.60.0
+         */
+        this._listening = false;
+
+        scene.sys.events.once(SceneEvents.SHUTDOWN, this.destroy, this);
+    },
+
+    /**
+     * Sets the cost of entering all tiles with the given index, or indexes.
+     * This takes priority over the tile `cost` property.
+     *
+     * @method Phaser.Tilemaps.Pathfinding.Pathfinder#setTileCost
+     * @since 3.60.0
+     *
+     * @param {(number|number[])} indexes - The tile index, or array of indexes, to set the cost of.
+     * @param {?number} cost - The cost of entering the tiles. Pass `null` to use the tile `cost` property again.
+     *
+     * @return {this} This Pathfinder instance.
+     */
+    setTileCost: function (indexes, cost)
+    {
+        if (!Array.isArray(indexes))
+        {
+            indexes = [ indexes ];
+        }
+
+        for (var i = 0; i < indexes.length; i++)
+        {
+            if (cost === null)
+            {
+                delete this.tileCosts[indexes[i]];
+            }
+            else
+            {
+                this.tileCosts[indexes[i]] = cost;
+            }
+        }
+
+        return this;
+    },
+
+    /**
+     * Can the given tile be entered? Tiles outside of the layer, and tiles with collision enabled, can't be.
+     *
+     * @method Phaser.Tilemaps.Pathfinding.Pathfinder#isWalkable
+     * @since 3.60.0
+     *
+     * @param {number} tileX - The x coordinate of the tile, in tiles.
+     * @param {number} tileY - The y coordinate of the tile, in tiles.
+     *
+     * @return {boolean} `true` if the tile can be entered, otherwise `false`.
+     */
+    isWalkable: function (tileX, tileY)
+    {
+        var layer = this.layer;
+
+        if (tileX < 0 || tileY < 0 || tileX >= layer.width || tileY >= layer.height)
+        {
+            return false;
+        }
+
+        var tile = layer.data[tileY][tileX];
+
+        return (!tile || !tile.collides);
+    },
+
+    /**
+     * Gets the cost of entering the given tile.
+     *
+     * @method Phaser.Tilemaps.Pathfinding.Pathfinder#getTileCost
+     * @since 3.60.0
+     *
+     * @param {number} tileX - The x coordinate of the tile, in tiles.
+     * @param {number} tileY - The y coordinate of the tile, in tiles.
+     *
+     * @return {number} The cost of entering the tile.
+     */
+    getTileCost: function (tileX, tileY)
+    {
+        var tile = this.layer.data[tileY][tileX];
+
+        if (!tile)
+        {
+            return 1;
+        }
+
+        var cost = this.tileCosts[tile.index];
+
+        if (cost === undefined && tile.properties)
+        {
+            cost = tile.properties[this.costProperty];
+        }
+
+        return (typeof cost === 'number') ? cost : 1;
+    },
+
+    /**
+     * Checks if a diagonal move can pass between the two tiles next to it.
+     *
+     * @method Phaser.Tilemaps.Pathfinding.Pathfinder#canPassCorner
+     * @private
+     * @since 3.60.0
+     *
+     * @param {number} x1 - The x coordinate of the first tile next to the move.
+     * @param {number} y1 - The y coordinate of the first tile next to the move.
+     * @param {number} x2 - The x coordinate of the second tile next to the move.
+     * @param {number} y2 - The y coordinate of the second tile next to the move.
+     *
+     * @return {boolean} `true` if the diagonal move is allowed, otherwise `false`.
+     */
+    canPassCorner: function (x1, y1, x2, y2)
+    {
+        var walk1 = this.isWalkable(x1, y1);
+        var walk2 = this.isWalkable(x2, y2);
+
+        return (this.cutCorners) ? (walk1 || walk2) : (walk1 && walk2);
+    },
+
+    /**
+     * Adds a neighbour to the output array, if it can be entered.
+     *
+     * @method Phaser.Tilemaps.Pathfinding.Pathfinder#addNeighbour
+     * @private
+     * @since 3.60.0
+     *
+     * @param {number} x - The x coordinate of the neighbour, in tiles.
+     * @param {number} y - The y coordinate of the neighbour, in tiles.
+     * @param {number} distance - The distance to the neighbour, in steps.
+     * @param {number[]} output - The array to add the neighbour to.
+     */
+    addNeighbour: function (x, y, distance, output)
+    {
+        if (this.isWalkable(x, y))
+        {
+            output.push(x, y, distance * this.getTileCost(x, y));
+        }
+    },
+
+    /**
+     * Gets the tiles that can be entered from the given tile, based on the layer orientation.
+     *
+     * @method Phaser.Tilemaps.Pathfinding.Pathfinder#getNeighbours
+     * @since 3.60.0
+     *
+     * @param {number} x - The x coordinate of the tile, in tiles.
+     * @param {number} y - The y coordinate of the tile, in tiles.
+     * @param {number[]} [output] - An array to store the neighbours in. It is emptied first.
+     *
+     * @return {number[]} A flat array of the x, y and cost of entering every neighbour.
+     */
+    getNeighbours: function (x, y, output)
+    {
+        if (output === undefined) { output = []; }
+
+        output.length = 0;
+
+        var orientation = this.layer.orientation;
+        var diagonal = this.allowDiagonal;
+
+        if (orientation === ORIENTATION.HEXAGONAL)
+        {
+            //  Odd rows are shifted half a tile to the right
+            var hx = (y & 1) ? x : x - 1;
+
+            this.addNeighbour(x - 1, y, 1, output);
+            this.addNeighbour(x + 1, y, 1, output);
+            this.addNeighbour(hx, y - 1, 1, output);
+            this.addNeighbour(hx + 1, y - 1, 1, output);
+            this.addNeighbour(hx, y + 1, 1, output);
+            this.addNeighbour(hx + 1, y + 1, 1, output);
+        }
+        else if (orientation === ORIENTATION.STAGGERED)
+        {
+            //  The 4 edge neighbours are in the rows above and below, odd rows are shifted half a tile to the right
+            var left = (y & 1) ? x : x - 1;
+            var right = left + 1;
+
+            this.addNeighbour(left, y - 1, 1, output);
+            this.addNeighbour(right, y - 1, 1, output);
+            this.addNeighbour(left, y + 1, 1, output);
+            this.addNeighbour(right, y + 1, 1, output);
+
+            if (diagonal)
+            {
+                //  The corner neighbours, each one sits between two of the edge neighbours
+                if (this.canPassCorner(left, y - 1, right, y - 1))
+                {
+                    this.addNeighbour(x, y - 2, SQRT2, output);
+                }
+
+                if (this.canPassCorner(left, y + 1, right, y + 1))
+                {
+                    this.addNeighbour(x, y + 2, SQRT2, output);
+                }
+
+                if (this.canPassCorner(left, y - 1, left, y + 1))
+                {
+                    this.addNeighbour(x - 1, y, SQRT2, output);
+                }
+
+                if (this.canPassCorner(right, y - 1, right, y + 1))
+                {
+                    this.addNeighbour(x + 1, y, SQRT2, output);
+                }
+            }
+        }
+        else
+        {
+            //  Orthogonal and Isometric layers share the same grid layout
+            this.addNeighbour(x, y - 1, 1, output);
+            this.addNeighbour(x + 1, y, 1, output);
+            this.addNeighbour(x, y + 1, 1, output);
+            this.addNeighbour(x - 1, y, 1, output);
+
+            if (diagonal)
+            {
+                if (this.canPassCorner(x - 1, y, x, y - 1))
+                {
+                    this.addNeighbour(x - 1, y - 1, SQRT2, output);
+                }
+
+                if (this.canPassCorner(x + 1, y, x, y - 1))
+                {
+                    this.addNeighbour(x + 1, y - 1, SQRT2, output);
+                }
+
+                if (this.canPassCorner(x + 1, y, x, y + 1))
+                {
+                    this.addNeighbour(x + 1, y + 1, SQRT2, output);
+                }
+
+                if (this.canPassCorner(x - 1, y, x, y + 1))
+                {
+                    this.addNeighbour(x - 1, y + 1, SQRT2, output);
+                }
+            }
+        }
+
+        return output;
+    },
+
+    /**
+     * Estimates the cost of the path between two tiles, based on the layer orientation.
+     *
+     * @method Phaser.Tilemaps.Pathfinding.Pathfinder#heuristic
+     * @since 3.60.0
+     *
+     * @param {number} x1 - The x coordinate of the first tile, in tiles.
+     * @param {number} y1 - The y coordinate of the first tile, in tiles.
+     * @param {number} x2 - The x coordinate of the second tile, in tiles.
+     * @param {number} y2 - The y coordinate of the second tile, in tiles.
+     *
+     * @return {number} The estimated cost.
+     */
+    heuristic: function (x1, y1, x2, y2)
+    {
+        var orientation = this.layer.orientation;
+        var dx;
+        var dy;
+
+        if (orientation === ORIENTATION.HEXAGONAL)
+        {
+            //  Convert the odd row offset coordinates to axial coordinates
+            var q1 = x1 - (y1 - (y1 & 1)) / 2;
+            var q2 = x2 - (y2 - (y2 & 1)) / 2;
+
+            dx = q2 - q1;
+            dy = y2 - y1;
+
+            return (Math.abs(dx) + Math.abs(dy) + Math.abs(dx + dy)) / 2;
+        }
+        else if (orientation === ORIENTATION.STAGGERED)
+        {
+            //  Convert to the coordinates of the equivalent Isometric grid
+            var u1 = 2 * x1 + (y1 & 1);
+            var u2 = 2 * x2 + (y2 & 1);
+
+            dx = Math.abs(((u2 + y2) - (u1 + y1)) / 2);
+            dy = Math.abs(((y2 - u2) - (y1 - u1)) / 2);
+        }
+        else
+        {
+            dx = Math.abs(x2 - x1);
+            dy = Math.abs(y2 - y1);
+        }
+
+        if (this.allowDiagonal)
+        {
+            return Math.max(dx, dy) + (SQRT2 - 1) * Math.min(dx, dy);
+        }
+
+        return dx + dy;
+    },
+
+    /**
+     * Creates a new search between two tiles, using Jump Point Search if it is enabled and supported by the layer.
+     *
+     * @method Phaser.Tilemaps.Pathfinding.Pathfinder#createSearch
+     * @since 3.60.0
+     *
+     * @param {number} startX - The x coordinate, in tiles, of the start of the path.
+     * @param {number} startY - The y coordinate, in tiles, of the start of the path.
+     * @param {number} endX - The x coordinate, in tiles, of the end of the path.
+     * @param {number} endY - The y coordinate, in tiles, of the end of the path.
+     *
+     * @return {Phaser.Tilemaps.Pathfinding.PathSearch} The new search. It hasn't been stepped yet.
+     */
+    createSearch: function (startX, startY, endX, endY)
+    {
+        var orientation = this.layer.orientation;
+
+        var useJPS = (
+            this.algorithm === 'jps' &&
+            this.allowDiagonal &&
+            !this.cutCorners &&
+            (orientation === ORIENTATION.ORTHOGONAL || orientation === ORIENTATION.ISOMETRIC)
+        );
+
+        return new PathSearch(this, startX, startY, endX, endY, useJPS);
+    },
+
+    /**
+     * Finds a path between two tiles and returns the tile coordinates of every tile on it.
+     *
+     * @method Phaser.Tilemaps.Pathfinding.Pathfinder#findTilePath
+     * @since 3.60.0
+     *
+     * @param {number} startX - The x coordinate, in tiles, of the start of the path.
+     * @param {number} startY - The y coordinate, in tiles, of the start of the path.
+     * @param {number} endX - The x coordinate, in tiles, of the end of the path.
+     * @param {number} endY - The y coordinate, in tiles, of the end of the path.
+     *
+     * @return {?Phaser.Types.Math.Vector2Like[]} The tiles on the path, including the start and end tiles, or `null` if there is no path.
+     */
+    findTilePath: function (startX, startY, endX, endY)
+    {
+        var search = this.createSearch(startX, startY, endX, endY);
+
+        search.step();
+
+        var tiles = (search.state === CONST.FOUND) ? search.tiles : null;
+
+        search.destroy();
+
+        return tiles;
+    },
+
+    /**
+     * Finds a path between two tiles and returns the world position of the center of every tile on it.
+     *
+     * The points can be passed to `createPath` to create a Path for a PathFollower.
+     *
+     * @method Phaser.Tilemaps.Pathfinding.Pathfinder#findPath
+     * @since 3.60.0
+     *
+     * @param {number} startX - The x coordinate, in tiles, of the start of the path.
+     * @param {number} startY - The y coordinate, in tiles, of the start of the path.
+     * @param {number} endX - The x coordinate, in tiles, of the end of the path.
+     * @param {number} endY - The y coordinate, in tiles, of the end of the path.
+     * @param {Phaser.Cameras.Scene2D.Camera} [camera] - The Camera to use when calculating the world values. Defaults to the main camera.
+     *
+     * @return {?Phaser.Math.Vector2[]} The world points of the path, or `null` if there is no path.
+     */
+    findPath: function (startX, startY, endX, endY, camera)
+    {
+        var tiles = this.findTilePath(startX, startY, endX, endY);
+
+        return (tiles) ? this.toWorldPoints(tiles, camera) : null;
+    },
+
+    /**
+     * Starts a search between two tiles that runs over several frames, during the Scene update.
+     *
+     * Each frame up to `iterationsPerFrame` tiles are expanded, shared between all of the running searches in
+     * the order they were started. When the search completes the callback is invoked with the world points of
+     * the path, or `null` if there is no path.
+     *
+     * @method Phaser.Tilemaps.Pathfinding.Pathfinder#findPathAsync
+     * @since 3.60.0
+     *
+     * @param {number} startX - The x coordinate, in tiles, of the start of the path.
+     * @param {number} startY - The y coordinate, in tiles, of the start of the path.
+     * @param {number} endX - The x coordinate, in tiles, of the end of the path.
+     * @param {number} endY - The y coordinate, in tiles, of the end of the path.
+     * @param {Phaser.Types.Tilemaps.PathfinderCallback} callback - The callback to invoke when the search completes.
+     * @param {any} [callbackContext] - The context in which the callback is invoked.
+     *
+     * @return {Phaser.Tilemaps.Pathfinding.PathSearch} The search. Call its `cancel` method to stop it.
+     */
+    findPathAsync: function (startX, startY, endX, endY, callback, callbackContext)
+    {
+        var search = this.createSearch(startX, startY, endX, endY);
+
+        search.callback = callback;
+        search.callbackContext = callbackContext;
+
+        this.queue.push(search);
+
+        if (!this._listening)
+        {
+            this.scene.sys.events.on(SceneEvents.UPDATE, this.update, this);
+
+            this._listening = true;
+        }
+
+        return search;
+    },
+
+    /**
+     * Steps the async searches. Called automatically during the Scene update while there are searches running.
+     *
+     * @method Phaser.Tilemaps.Pathfinding.Pathfinder#update
+     * @private
+     * @since 3.60.0
+     */
+    update: function ()
+    {
+        var queue = this.queue;
+        var budget = this.iterationsPerFrame;
+
+        while (queue.length > 0 && budget > 0)
+        {
+            var search = queue[0];
+
+            budget -= search.step(budget);
+
+            if (search.state === CONST.SEARCHING)
+            {
+                break;
+            }
+
+            queue.shift();
+
+            if (search.state !== CONST.CANCELLED && search.callback)
+            {
+                var points = (search.state === CONST.FOUND) ? this.toWorldPoints(search.tiles) : null;
+
+                search.callback.call(search.callbackContext, points, search);
+            }
+
+            search.destroy();
+        }
+
+        if (queue.length === 0)
+        {
+            this.stopListening();
+        }
+    },
+
+    /**
+     * Converts tile coordinates to the world position of the center of each tile, based on the layer orientation.
+     *
+     * @method Phaser.Tilemaps.Pathfinding.Pathfinder#toWorldPoints
+     * @since 3.60.0
+     *
+     * @param {Phaser.Types.Math.Vector2Like[]} tiles - The tile coordinates to convert.
+     * @param {Phaser.Cameras.Scene2D.Camera} [camera] - The Camera to use when calculating the world values. Defaults to the main camera.
+     * @param {Phaser.Math.Vector2[]} [output] - An array to add the points to. If not given a new array is created.
+     *
+     * @return {Phaser.Math.Vector2[]} The world points.
+     */
+    toWorldPoints: function (tiles, camera, output)
+    {
+        if (output === undefined) { output = []; }
+
+        var layer = this.layer;
+        var tilemapLayer = layer.tilemapLayer;
+        var orientation = layer.orientation;
+
+        var tileWidth = layer.baseTileWidth;
+        var tileHeight = layer.baseTileHeight;
+
+        if (tilemapLayer)
+        {
+            tileWidth *= tilemapLayer.scaleX;
+            tileHeight *= tilemapLayer.scaleY;
+        }
+
+        //  Isometric tiles are positioned by their top corner, the others by their top-left
+        var offsetX = (orientation === ORIENTATION.ISOMETRIC) ? 0 : tileWidth / 2;
+        var offsetY = tileHeight / 2;
+
+        for (var i = 0; i < tiles.length; i++)
+        {
+            var point = this._tileToWorldXY(tiles[i].x, tiles[i].y, new Vector2(), camera, layer);
+
+            output.push(point.add({ x: offsetX, y: offsetY }));
+        }
+
+        return output;
+    },
+
+    /**
+     * Creates a Path from an array of world points, such as those returned by `findPath`,
+     * ready to be given to a PathFollower.
+     *
+     * @method Phaser.Tilemaps.Pathfinding.Pathfinder#createPath
+     * @since 3.60.0
+     *
+     * @param {Phaser.Math.Vector2[]} points - The world points of the path.
+     *
+     * @return {?Phaser.Curves.Path} A Path made of a line between each pair of points, or `null` if no points were given.
+     */
+    createPath: function (points)
+    {
+        if (!points || points.length === 0)
+        {
+            return null;
+        }
+
+        var path = new Path(points[0].x, points[0].y);
+
+        for (var i = 1; i < points.length; i++)
+        {
+            path.lineTo(points[i].x, points[i].y);
+        }
+
+        return path;
+    },
+
+    /**
+     * Cancels all of the async searches. Their callbacks will not be invoked.
+     *
+     * @method Phaser.Tilemaps.Pathfinding.Pathfinder#cancelAll
+     * @since 3.60.0
+     *
+     * @return {this} This Pathfinder instance.
+     */
+    cancelAll: function ()
+    {
+        var queue = this.queue;
+
+        for (var i = 0; i < queue.length; i++)
+        {
+            queue[i].destroy();
+        }
+
+        queue.length = 0;
+
+        this.stopListening();
+
+        return this;
+    },
+
+    /**
+     * Stops listening to the Scene update event.
+     *
+     * @method Phaser.Tilemaps.Pathfinding.Pathfinder#stopListening
+     * @private
+     * @since 3.60.0
+     */
+    stopListening: function ()
+    {
+        if (this._listening)
+        {
+            this.scene.sys.events.off(SceneEvents.UPDATE, this.update, this);
+
+            this._listening = false;
+        }
+    },
+
+    /**
+     * Cancels all of the async searches and removes the references to the Scene and layer.
+     * Called automatically when the Scene shuts down.
+     *
+     * @method Phaser.Tilemaps.Pathfinding.Pathfinder#destroy
+     * @since 3.60.0
+     */
+    destroy: function ()
+    {
+        if (!this.scene)
+        {
+            return;
+        }
+
+        this.cancelAll();
+
+        this.scene.sys.events.off(SceneEvents.SHUTDOWN, this.destroy, this);
+
+        this.scene = null;
+        this.layer = null;
+    }
+
+});
+
+module.exports = Pathfinder;
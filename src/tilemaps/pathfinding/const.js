@@ -0,0 +1,47 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var PATHFINDING_CONST = {
+
+    /**
+     * PathSearch state. The search is still running.
+     *
+     * @name Phaser.Tilemaps.Pathfinding.SEARCHING
+     * @type {number}
+     * @since 3.60.0
+     */
+    SEARCHING: 0,
+
+    /**
+     * PathSearch state. A path was found.
+     *
+     * @name Phaser.Tilemaps.Pathfinding.FOUND
+     * @type {number}
+     * @since 3.60.0
+     */
+    FOUND: 1,
+
+    /**
+     * PathSearch state. There is no path between the tiles, or the iteration limit was reached.
+     *
+     * @name Phaser.Tilemaps.Pathfinding.NOT_FOUND
+     * @type {number}
+     * @since 3.60.0
+     */
+    NOT_FOUND: 2,
+
+    /**
+     * PathSearch state. The search was cancelled before it completed.
+     *
+     * @name Phaser.Tilemaps.Pathfinding.CANCELLED
+     * @type {number}
+     * @since 3.60.0
+     */
+    CANCELLED: 3
+
+};
+
+module.exports = PATHFINDING_CONST;
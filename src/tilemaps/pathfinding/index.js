@@ -0,0 +1,23 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var CONST = require('./const');
+var Extend = require('../../utils/object/Extend');
+
+/**
+ * @namespace Phaser.Tilemaps.Pathfinding
+ */
+
+var Pathfinding = {
+
+    Pathfinder: require('./Pathfinder'),
+    PathSearch: require('./PathSearch')
+
+};
+
+Pathfinding = Extend(false, Pathfinding, CONST);
+
+module.exports = Pathfinding;
@@ -0,0 +1,7 @@
+/**
+ * @callback Phaser.Types.Tilemaps.PathfinderCallback
+ * @since 3.60.0
+ *
+ * @param {?Phaser.Math.Vector2[]} path - The world points of the path, or `null` if there is no path.
+ * @param {Phaser.Tilemaps.Pathfinding.PathSearch} search - The search that completed.
+ */
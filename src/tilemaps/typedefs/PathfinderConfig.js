@@ -0,0 +1,12 @@
+/**
+ * @typedef {object} Phaser.Types.Tilemaps.PathfinderConfig
+ * @since 3.60.0
+ *
+ * @property {string} [algorithm='astar'] - The search algorithm to use, either 'astar' or 'jps'. Jump Point Search is only used on Orthogonal and Isometric layers, with `allowDiagonal` set and `cutCorners` not set.
+ * @property {boolean} [allowDiagonal=false] - Can paths move diagonally? Orthogonal, Isometric and Staggered layers only.
+ * @property {boolean} [cutCorners=false] - Can diagonal moves pass a blocked tile?
+ * @property {string} [costProperty='cost'] - The name of the tile property the cost of entering a tile is read from.
+ * @property {Object.<number, number>} [tileCosts] - The costs of entering tiles, by tile index. These take priority over the tile properties.
+ * @property {number} [maxIterations=0] - The maximum number of tiles a single search can expand before giving up. Zero means no limit.
+ * @property {number} [iterationsPerFrame=1000] - The number of tiles expanded, across all async searches, each frame.
+ */
@@ -113,6 +113,19 @@ var Clock = new Class({
          */
         this._pendingRemoval = [];
 
+        /**
+         * The callbacks registered with this Clock, stored by name.
+         *
+         * `toJSON` stores the callbacks of Timer Events by the name they were registered under,
+         * and `fromJSON` looks them up in here.
+         *
+         * @name Phaser.Time.Clock#_callbacks
+         * @type {Object.<string, {callback: function, scope: any}>}
+         * @private
+         * @since 3.60.0
+         */
+        this._callbacks = {};
+
         scene.sys.events.once(SceneEvents.BOOT, this.boot, this);
         scene.sys.events.on(SceneEvents.START, this.start, this);
     },
@@ -277,6 +290,199 @@ var Clock = new Class({
         return this;
     },
 
+    /**
+     * Registers a callback under the given name, so the Timer Events that use it can be converted to JSON
+     * by `toJSON`, and created from JSON by `fromJSON`.
+     *
+     * If a callback is already registered under the name it is replaced.
+     *
+     * @method Phaser.Time.Clock#registerCallback
+     * @since 3.60.0
+     *
+     * @param {string} name - The unique name of the callback.
+     * @param {function} callback - The callback.
+     * @param {any} [scope] - The scope (`this` value) to invoke the callback with.
+     *
+     * @return {this} This Clock object.
+     */
+    registerCallback: function (name, callback, scope)
+    {
+        this._callbacks[name] = { callback: callback, scope: scope };
+
+        return this;
+    },
+
+    /**
+     * Removes the callback registered under the given name.
+     *
+     * @method Phaser.Time.Clock#removeCallback
+     * @since 3.60.0
+     *
+     * @param {string} name - The name of the callback.
+     *
+     * @return {this} This Clock object.
+     */
+    removeCallback: function (name)
+    {
+        delete this._callbacks[name];
+
+        return this;
+    },
+
+    /**
+     * Gets the callback registered under the given name.
+     *
+     * @method Phaser.Time.Clock#getCallback
+     * @since 3.60.0
+     *
+     * @param {string} name - The name of the callback.
+     *
+     * @return {?{callback: function, scope: any}} The registered callback and its scope, or `null` if there is no callback with the name.
+     */
+    getCallback: function (name)
+    {
+        return (this._callbacks.hasOwnProperty(name)) ? this._callbacks[name] : null;
+    },
+
+    /**
+     * Gets the name a callback was registered under.
+     *
+     * @method Phaser.Time.Clock#getCallbackName
+     * @since 3.60.0
+     *
+     * @param {function} callback - The callback.
+     *
+     * @return {?string} The name of the callback, or `null` if it isn't registered.
+     */
+    getCallbackName: function (callback)
+    {
+        for (var name in this._callbacks)
+        {
+            if (this._callbacks[name].callback === callback)
+            {
+                return name;
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Creates a description of this Clock, and of its Timer Events, that can be stored as JSON.
+     *
+     * The callbacks of the Timer Events are stored by the name they were registered under, via `registerCallback`.
+     * A Timer Event with a callback that isn't registered is stored without it, and a warning is logged.
+     * Their `args` must be JSON serializable too. Timer Events that have finished, or are being removed, are left out.
+     *
+     * @method Phaser.Time.Clock#toJSON
+     * @since 3.60.0
+     *
+     * @return {Phaser.Types.Time.ClockJSON} A JSON representation of this Clock.
+     */
+    toJSON: function ()
+    {
+        var events = [];
+        var list = this._active.concat(this._pendingInsertion);
+
+        for (var i = 0; i < list.length; i++)
+        {
+            var event = list[i];
+
+            if (this._pendingRemoval.indexOf(event) !== -1 || (event.hasDispatched && event.repeatCount === 0))
+            {
+                continue;
+            }
+
+            var callback = null;
+
+            if (event.callback)
+            {
+                callback = this.getCallbackName(event.callback);
+
+                if (callback === null)
+                {
+                    console.warn('Timer Event callback cannot be serialized. Register it with the Clock.');
+                }
+            }
+
+            events.push({
+                delay: event.delay,
+                repeat: event.repeat,
+                loop: event.loop,
+                callback: callback,
+                args: event.args,
+                timeScale: event.timeScale,
+                startAt: event.startAt,
+                paused: event.paused,
+                elapsed: event.elapsed,
+                repeatCount: event.repeatCount
+            });
+        }
+
+        return {
+            timeScale: this.timeScale,
+            paused: this.paused,
+            events: events
+        };
+    },
+
+    /**
+     * Sets the time scale and paused state of this Clock from a JSON object, as returned by `toJSON`,
+     * and adds the Timer Events it describes, which carry on from where they were.
+     *
+     * The callbacks of the Timer Events are looked up by the name they were registered under, via `registerCallback`,
+     * so register them before calling this. The Timer Events already on this Clock are not removed.
+     *
+     * @method Phaser.Time.Clock#fromJSON
+     * @since 3.60.0
+     *
+     * @param {Phaser.Types.Time.ClockJSON} json - The JSON representation of a Clock.
+     *
+     * @return {Phaser.Time.TimerEvent[]} The Timer Events that were added.
+     */
+    fromJSON: function (json)
+    {
+        this.timeScale = json.timeScale;
+        this.paused = json.paused;
+
+        var output = [];
+
+        for (var i = 0; i < json.events.length; i++)
+        {
+            var config = json.events[i];
+            var entry = null;
+
+            if (config.callback)
+            {
+                entry = this.getCallback(config.callback);
+
+                if (!entry)
+                {
+                    console.warn('Timer Event callback not registered: ' + config.callback);
+                }
+            }
+
+            var event = this.addEvent({
+                delay: config.delay,
+                repeat: config.repeat,
+                loop: config.loop,
+                callback: (entry) ? entry.callback : undefined,
+                callbackScope: (entry) ? entry.scope : undefined,
+                args: config.args,
+                timeScale: config.timeScale,
+                startAt: config.startAt,
+                paused: config.paused
+            });
+
+            event.elapsed = config.elapsed;
+            event.repeatCount = config.repeatCount;
+
+            output.push(event);
+        }
+
+        return output;
+    },
+
     /**
      * Updates the arrays of active and pending Timer Events. Called at the start of the frame.
      *
@@ -423,6 +629,8 @@ var Clock = new Class({
         this._pendingRemoval.length = 0;
         this._pendingInsertion.length = 0;
 
+        this._callbacks = {};
+
         var eventEmitter = this.systems.events;
 
         eventEmitter.off(SceneEvents.PRE_UPDATE, this.preUpdate, this);
@@ -0,0 +1,11 @@
+/**
+ * Describes a Clock and its Timer Events in a form that can be stored as JSON.
+ * Created by `Clock.toJSON` and used by `Clock.fromJSON`.
+ *
+ * @typedef {object} Phaser.Types.Time.ClockJSON
+ * @since 3.60.0
+ *
+ * @property {number} timeScale - The time scale of the Clock.
+ * @property {boolean} paused - Is the Clock paused?
+ * @property {Phaser.Types.Time.TimerEventJSON[]} events - The Timer Events of the Clock.
+ */
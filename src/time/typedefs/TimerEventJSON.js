@@ -0,0 +1,22 @@
+/**
+ * Describes a Timer Event, and how far through it is, in a form that can be stored as JSON.
+ *
+ * It takes the same properties as a Timer Event configuration object, except that the callback is given
+ * by the name it was registered under with `Clock.registerCallback`, and its scope can't be set.
+ *
+ * @typedef {object} Phaser.Types.Time.TimerEventJSON
+ * @since 3.60.0
+ *
+ * @property {number} delay - The delay after which the Timer Event fires, in milliseconds.
+ * @property {number} repeat - The total number of times the Timer Event repeats before finishing.
+ * @property {boolean} loop - `true` if the Timer Event repeats indefinitely.
+ * @property {?string} callback - The name of the registered callback, or `null` if it has none.
+ * @property {Array.<*>} args - Additional arguments to be passed to the callback.
+ * @property {number} timeScale - The scale of the elapsed time.
+ * @property {number} startAt - The initial elapsed time in milliseconds.
+ * @property {boolean} paused - `true` if the Timer Event is paused.
+ * @property {number} elapsed - The time elapsed since the Timer Event last fired, in milliseconds.
+ * @property {number} repeatCount - The number of repeats left.
+ *
+ * @see Phaser.Types.Time.TimerEventConfig
+ */
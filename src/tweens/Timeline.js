@@ -5,6 +5,7 @@
  */
 
 var Class = require('../utils/Class');
+var ConfigToJSON = require('./builders/ConfigToJSON');
 var EventEmitter = require('eventemitter3');
 var Events = require('./events');
 var TweenBuilder = require('./builders/TweenBuilder');
@@ -266,6 +267,18 @@ var Timeline = new Class({
          * @since 3.0.0
          */
         this.callbackScope;
+
+        /**
+         * The configuration object this Timeline was built from, if any.
+         *
+         * It is used by `Timeline.toJSON` and should be treated as read-only.
+         *
+         * @name Phaser.Tweens.Timeline#config
+         * @type {?object}
+         * @default null
+         * @since 3.60.0
+         */
+        this.config = null;
     },
 
     /**
@@ -877,6 +890,63 @@ var Timeline = new Class({
         return false;
     },
 
+    /**
+     * Returns a JSON object that describes this Timeline and its Tweens. It can be saved and then used to
+     * create the same Timeline again with `TweenManager.timelineFromJSON`.
+     *
+     * The Timeline and its Tweens are described by the configuration objects they were built from.
+     * The `loop`, `loopDelay`, `completeDelay` and `useFrames` values are taken from the Timeline itself.
+     * Tweens that were not created from a configuration object, such as those added via `Timeline.queue`, are skipped.
+     *
+     * Targets are stored by name, or by the descriptors used to create the Timeline if it was made from JSON.
+     * Callbacks must be registered with `TweenManager.registerCallback` so they can be stored by name.
+     * Eases are stored by their name in the Ease Map.
+     * Any value that can't be stored as JSON is left out and a warning is logged.
+     *
+     * @method Phaser.Tweens.Timeline#toJSON
+     * @since 3.60.0
+     *
+     * @return {Phaser.Types.Tweens.TimelineJSON} A JSON object describing this Timeline.
+     */
+    toJSON: function ()
+    {
+        var manager = this.manager;
+        var config = {};
+
+        for (var key in this.config)
+        {
+            if (key !== 'tweens')
+            {
+                config[key] = this.config[key];
+            }
+        }
+
+        var json = ConfigToJSON(manager, config);
+
+        json.completeDelay = this.completeDelay;
+        json.loop = this.loop;
+        json.loopDelay = this.loopDelay;
+        json.useFrames = this.useFrames;
+
+        json.tweens = [];
+
+        for (var i = 0; i < this.data.length; i++)
+        {
+            var tween = this.data[i];
+
+            if (tween.config)
+            {
+                json.tweens.push(ConfigToJSON(manager, tween.config));
+            }
+            else
+            {
+                console.warn('Timeline Tween has no config and was not serialized');
+            }
+        }
+
+        return json;
+    },
+
     /**
      * Stops all the Tweens in the Timeline immediately, whatever stage of progress they are at and flags
      * them for removal by the TweenManager.
@@ -6,6 +6,7 @@
 
 var ArrayRemove = require('../utils/array/Remove');
 var Class = require('../utils/Class');
+var ConfigFromJSON = require('./builders/ConfigFromJSON');
 var NumberTweenBuilder = require('./builders/NumberTweenBuilder');
 var PluginCache = require('../plugins/PluginCache');
 var SceneEvents = require('../scene/events');
@@ -112,6 +113,19 @@ var TweenManager = new Class({
          */
         this._toProcess = 0;
 
+        /**
+         * The callbacks registered with this Tween Manager, stored by name.
+         *
+         * Timelines created from JSON look up their callbacks in here, and `Timeline.toJSON` uses it
+         * to get the names of the callbacks it stores.
+         *
+         * @name Phaser.Tweens.TweenManager#_callbacks
+         * @type {Object.<string, {callback: function, scope: any}>}
+         * @private
+         * @since 3.60.0
+         */
+        this._callbacks = {};
+
         scene.sys.events.once(SceneEvents.BOOT, this.boot, this);
         scene.sys.events.on(SceneEvents.START, this.start, this);
     },
@@ -188,6 +202,120 @@ var TweenManager = new Class({
         return timeline;
     },
 
+    /**
+     * Create a Tween Timeline from a JSON object, such as one returned by `Timeline.toJSON`, and add it to the active Tween list.
+     *
+     * The JSON object uses the same keys as a Timeline configuration object, with these differences:
+     *
+     * Targets are given as the name of a Game Object, as an object with a `name` property, or as an object with
+     * a `data` property, which matches all Game Objects that have that data key. Add a `value` property to only
+     * match Game Objects where the data key holds that value. Targets are looked for on the display list of this
+     * Scene, including inside of Containers.
+     *
+     * Callbacks are given as the name they were registered under, via `registerCallback`.
+     *
+     * Eases are given by their name, such as `Sine.easeInOut`.
+     *
+     * ```javascript
+     * this.tweens.registerCallback('shake', function () { this.cameras.main.shake(200); }, this);
+     *
+     * this.tweens.timelineFromJSON({
+     *     tweens: [
+     *         { targets: 'hero', x: 400, duration: 1000, ease: 'Sine.easeInOut' },
+     *         { targets: { data: 'team', value: 'enemy' }, alpha: 0, offset: '-=500', onComplete: 'shake' }
+     *     ]
+     * });
+     * ```
+     *
+     * @method Phaser.Tweens.TweenManager#timelineFromJSON
+     * @since 3.60.0
+     *
+     * @param {Phaser.Types.Tweens.TimelineJSON} json - The JSON object describing the Timeline and its Tweens.
+     *
+     * @return {Phaser.Tweens.Timeline} The created Timeline object.
+     */
+    timelineFromJSON: function (json)
+    {
+        return this.timeline(ConfigFromJSON(this, json));
+    },
+
+    /**
+     * Registers a callback under the given name, so it can be used by Timelines created from JSON
+     * and stored by name when a Timeline is converted to JSON.
+     *
+     * If a callback is already registered under the name it is replaced.
+     *
+     * @method Phaser.Tweens.TweenManager#registerCallback
+     * @since 3.60.0
+     *
+     * @param {string} name - The unique name of the callback.
+     * @param {function} callback - The callback.
+     * @param {any} [scope] - The scope (`this` value) to invoke the callback with. If not given, the Tween or Timeline is used.
+     *
+     * @return {this} This Tween Manager object.
+     */
+    registerCallback: function (name, callback, scope)
+    {
+        this._callbacks[name] = { callback: callback, scope: scope };
+
+        return this;
+    },
+
+    /**
+     * Removes the callback registered under the given name.
+     *
+     * @method Phaser.Tweens.TweenManager#removeCallback
+     * @since 3.60.0
+     *
+     * @param {string} name - The name of the callback.
+     *
+     * @return {this} This Tween Manager object.
+     */
+    removeCallback: function (name)
+    {
+        delete this._callbacks[name];
+
+        return this;
+    },
+
+    /**
+     * Gets the callback registered under the given name.
+     *
+     * @method Phaser.Tweens.TweenManager#getCallback
+     * @since 3.60.0
+     *
+     * @param {string} name - The name of the callback.
+     *
+     * @return {?{callback: function, scope: any}} The registered callback and its scope, or `null` if there is no callback with the name.
+     */
+    getCallback: function (name)
+    {
+        return (this._callbacks.hasOwnProperty(name)) ? this._callbacks[name] : null;
+    },
+
+    /**
+     * Gets the name a callback was registered under.
+     *
+     * @method Phaser.Tweens.TweenManager#getCallbackName
+     * @since 3.60.0
+     *
+     * @param {function} callback - The callback.
+     *
+     * @return {?string} The name of the callback, or `null` if it isn't registered.
+     */
+    getCallbackName: function (callback)
+    {
+        for (var name in this._callbacks)
+        {
+            if (this._callbacks[name].callback === callback)
+            {
+                return name;
+            }
+        }
+
+        return null;
+    },
+
     /**
      * Create a Tween and return it, but do NOT add it to the active or pending Tween lists.
      *
@@ -203,6 +331,42 @@ var TweenManager = new Class({
         return TweenBuilder(this, config);
     },
 
+    /**
+     * Create a Tween and set its playback state, as returned by `Tween.getState`, so it carries on from where
+     * the Tween the state was taken from was, then add it to the Tween Manager.
+     *
+     * The config must be the same as the one the Tween the state was taken from was created with,
+     * and its targets should already be in the state they were in when it was taken.
+     *
+     * @method Phaser.Tweens.TweenManager#restore
+     * @since 3.60.0
+     *
+     * @param {Phaser.Types.Tweens.TweenBuilderConfig|object} config - The configuration object for the Tween.
+     * @param {Phaser.Types.Tweens.TweenStateJSON} state - The playback state of the Tween.
+     *
+     * @return {Phaser.Tweens.Tween} The created Tween.
+     */
+    restore: function (config, state)
+    {
+        var tween = TweenBuilder(this, config);
+
+        tween.setState(state);
+
+        if (tween.state === TWEEN_CONST.PENDING_ADD)
+        {
+            //  It hadn't started, so it's set up when it's added, as normal
+            this._add.push(tween);
+
+            this._toProcess++;
+        }
+        else
+        {
+            this._active.push(tween);
+        }
+
+        return tween;
+    },
+
     /**
      * Create a Tween and add it to the active Tween list.
      *
@@ -512,9 +676,11 @@ var TweenManager = new Class({
      * @method Phaser.Tweens.TweenManager#getAllTweens
      * @since 3.0.0
      *
+     * @param {boolean} [includePending=false] - Also include the Tweens and Timelines that have been added, or are paused, but haven't started yet.
+     *
      * @return {Phaser.Tweens.Tween[]} A new array containing references to all active Tweens and Timelines.
      */
-    getAllTweens: function ()
+    getAllTweens: function (includePending)
     {
         var list = this._active;
         var output = [];
@@ -524,6 +690,21 @@ var TweenManager = new Class({
             output.push(list[i]);
         }
 
+        if (includePending)
+        {
+            output = output.concat(this._pending);
+
+            list = this._add;
+
+            for (i = 0; i < list.length; i++)
+            {
+                if (output.indexOf(list[i]) === -1)
+                {
+                    output.push(list[i]);
+                }
+            }
+        }
+
         return output;
     },
 
@@ -653,6 +834,34 @@ var TweenManager = new Class({
         return this;
     },
 
+    /**
+     * Removes all Tweens and Timelines from this Tween Manager immediately, whatever state they are in,
+     * without stopping them or invoking any of their callbacks.
+     *
+     * @method Phaser.Tweens.TweenManager#removeAll
+     * @since 3.60.0
+     *
+     * @return {this} This Tween Manager object.
+     */
+    removeAll: function ()
+    {
+        var tweens = this.getAllTweens(true);
+
+        for (var i = 0; i < tweens.length; i++)
+        {
+            tweens[i].state = TWEEN_CONST.REMOVED;
+        }
+
+        this._add.length = 0;
+        this._pending.length = 0;
+        this._active.length = 0;
+        this._destroy.length = 0;
+
+        this._toProcess = 0;
+
+        return this;
+    },
+
     /**
      * Stops all Tweens which affect the given target or array of targets. The Tweens will be removed from the Tween Manager at the start of the frame.
      *
@@ -754,6 +963,8 @@ var TweenManager = new Class({
 
         this._toProcess = 0;
 
+        this._callbacks = {};
+
         var eventEmitter = this.systems.events;
 
         eventEmitter.off(SceneEvents.PRE_UPDATE, this.preUpdate, this);
@@ -0,0 +1,197 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var DeepCopy = require('../../utils/object/DeepCopy');
+var Timeline = require('../Timeline');
+var Tween = require('../tween/Tween');
+
+/**
+ * Checks if a Game Object matches a Tween target descriptor.
+ *
+ * @ignore
+ *
+ * @param {Phaser.GameObjects.GameObject} gameObject - The Game Object to check.
+ * @param {Phaser.Types.Tweens.TweenTargetJSON} descriptor - The target descriptor.
+ *
+ * @return {boolean} `true` if the Game Object matches the descriptor.
+ */
+var matchTarget = function (gameObject, descriptor)
+{
+    if (typeof descriptor === 'string')
+    {
+        return (gameObject.name === descriptor);
+    }
+
+    if (descriptor.hasOwnProperty('name'))
+    {
+        return (gameObject.name === descriptor.name);
+    }
+
+    //  Don't use getData, as it would create a Data Manager on every Game Object it checks
+    var data = gameObject.data;
+
+    if (!data || !data.has(descriptor.data))
+    {
+        return false;
+    }
+
+    return (!descriptor.hasOwnProperty('value') || data.get(descriptor.data) === descriptor.value);
+};
+
+/**
+ * Adds all Game Objects in the list, and in any Containers within it, that match the descriptor to the results array.
+ *
+ * @ignore
+ *
+ * @param {Phaser.GameObjects.GameObject[]} list - The Game Objects to search.
+ * @param {Phaser.Types.Tweens.TweenTargetJSON} descriptor - The target descriptor.
+ * @param {Phaser.GameObjects.GameObject[]} results - The array to add the matching Game Objects to.
+ */
+var findTargets = function (list, descriptor, results)
+{
+    for (var i = 0; i < list.length; i++)
+    {
+        var gameObject = list[i];
+
+        if (matchTarget(gameObject, descriptor) && results.indexOf(gameObject) === -1)
+        {
+            results.push(gameObject);
+        }
+
+        if (Array.isArray(gameObject.list))
+        {
+            findTargets(gameObject.list, descriptor, results);
+        }
+    }
+};
+
+/**
+ * Swaps the callback names in a configuration object for the callbacks registered with the Tween Manager.
+ *
+ * @ignore
+ *
+ * @param {Phaser.Tweens.TweenManager} manager - The Tween Manager the callbacks are registered with.
+ * @param {object} config - The configuration object to update.
+ * @param {string[]} types - The callback types that can be set in the configuration object.
+ */
+var setCallbacks = function (manager, config, types)
+{
+    for (var i = 0; i < types.length; i++)
+    {
+        var type = types[i];
+        var name = config[type];
+
+        if (typeof name !== 'string')
+        {
+            continue;
+        }
+
+        var entry = manager.getCallback(name);
+
+        if (entry)
+        {
+            config[type] = entry.callback;
+
+            if (entry.scope !== undefined)
+            {
+                config[type + 'Scope'] = entry.scope;
+            }
+        }
+        else
+        {
+            console.warn('Tween callback not registered: ' + name);
+
+            delete config[type];
+        }
+    }
+};
+
+/**
+ * Swaps the target descriptors in a configuration object for the Game Objects they describe.
+ *
+ * The descriptors are kept in the `_targets` property, so the configuration can be converted back to JSON.
+ *
+ * @ignore
+ *
+ * @param {Phaser.Tweens.TweenManager} manager - The Tween Manager the targets are found for.
+ * @param {object} config - The configuration object to update.
+ */
+var setTargets = function (manager, config)
+{
+    if (!config.hasOwnProperty('targets'))
+    {
+        return;
+    }
+
+    var descriptors = config.targets;
+
+    if (!Array.isArray(descriptors))
+    {
+        descriptors = [ descriptors ];
+    }
+
+    var list = manager.systems.displayList.list;
+    var targets = [];
+
+    for (var i = 0; i < descriptors.length; i++)
+    {
+        var total = targets.length;
+
+        findTargets(list, descriptors[i], targets);
+
+        if (targets.length === total)
+        {
+            console.warn('Tween target not found: ' + JSON.stringify(descriptors[i]));
+        }
+    }
+
+    config._targets = config.targets;
+    config.targets = targets;
+};
+
+/**
+ * Converts a Timeline JSON object, as created by `Timeline.toJSON`, into a configuration object
+ * that can be passed to the Timeline Builder.
+ *
+ * Target descriptors are resolved by searching the display list of the Tween Manager's Scene,
+ * including the children of any Containers on it. Callback names are replaced with the callbacks
+ * registered under them with `TweenManager.registerCallback`. Eases are given by name and
+ * need no conversion.
+ *
+ * It can also convert the JSON of a single Tween config, as created by `ConfigToJSON`, by passing `Tween.TYPES` as the `types`.
+ *
+ * The JSON object is not modified.
+ *
+ * @function Phaser.Tweens.Builders.ConfigFromJSON
+ * @since 3.60.0
+ *
+ * @param {Phaser.Tweens.TweenManager} manager - The Tween Manager that will own the Timeline.
+ * @param {Phaser.Types.Tweens.TimelineJSON} json - The Timeline JSON object.
+ * @param {string[]} [types=Timeline.TYPES] - The callback types of the top-level config.
+ *
+ * @return {Phaser.Types.Tweens.TimelineBuilderConfig} The Timeline configuration object.
+ */
+var ConfigFromJSON = function (manager, json, types)
+{
+    if (types === undefined) { types = Timeline.TYPES; }
+
+    var config = DeepCopy(json);
+
+    setTargets(manager, config);
+    setCallbacks(manager, config, types);
+
+    var tweens = (Array.isArray(config.tweens)) ? config.tweens : [];
+
+    for (var i = 0; i < tweens.length; i++)
+    {
+        setTargets(manager, tweens[i]);
+        setCallbacks(manager, tweens[i], Tween.TYPES);
+    }
+
+    return config;
+};
+
+module.exports = ConfigFromJSON;
@@ -0,0 +1,196 @@
+/**
+ * @author       Richard Davey <rich@photonstorm.com>
+ * @copyright    2020 Photon Storm Ltd.
+ * @license      {@link https://opensource.org/licenses/MIT|MIT License}
+ */
+
+var EaseMap = require('../../math/easing/EaseMap');
+var IsPlainObject = require('../../utils/object/IsPlainObject');
+var Tween = require('../tween/Tween');
+
+/**
+ * Gets the name of an ease function in the Ease Map.
+ *
+ * @ignore
+ *
+ * @param {function} ease - The ease function.
+ *
+ * @return {?string} The name of the ease, or `null` if it isn't in the Ease Map.
+ */
+var getEaseName = function (ease)
+{
+    for (var name in EaseMap)
+    {
+        if (EaseMap[name] === ease)
+        {
+            return name;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Converts Tween targets into target descriptors. Only targets with a name can be described.
+ *
+ * @ignore
+ *
+ * @param {any} targets - The Tween targets.
+ *
+ * @return {Phaser.Types.Tweens.TweenTargetJSON[]} The target descriptors.
+ */
+var getTargetNames = function (targets)
+{
+    var names = [];
+
+    if (typeof targets === 'function')
+    {
+        targets = targets.call();
+    }
+
+    if (!Array.isArray(targets))
+    {
+        targets = [ targets ];
+    }
+
+    for (var i = 0; i < targets.length; i++)
+    {
+        var target = targets[i];
+
+        if (target && typeof target.name === 'string' && target.name !== '')
+        {
+            names.push(target.name);
+        }
+        else
+        {
+            console.warn('Tween target has no name and was not serialized');
+        }
+    }
+
+    return names;
+};
+
+/**
+ * Converts a configuration value into a value that can be stored as JSON.
+ *
+ * @ignore
+ *
+ * @param {Phaser.Tweens.TweenManager} manager - The Tween Manager the callbacks are registered with.
+ * @param {string} key - The key of the value.
+ * @param {any} value - The value to convert.
+ *
+ * @return {any} The JSON value, or `undefined` if the value can't be stored as JSON.
+ */
+var toJSON = function (manager, key, value)
+{
+    var type = typeof value;
+    var result;
+
+    if (value === null || type === 'number' || type === 'string' || type === 'boolean')
+    {
+        return value;
+    }
+
+    if (type === 'function')
+    {
+        if (key === 'ease')
+        {
+            result = getEaseName(value);
+        }
+        else if (Tween.TYPES.indexOf(key) !== -1)
+        {
+            result = manager.getCallbackName(value);
+        }
+
+        if (result === null || result === undefined)
+        {
+            console.warn('Tween ' + key + ' function cannot be serialized. Register it with the Tween Manager, or use an ease name.');
+
+            return undefined;
+        }
+
+        return result;
+    }
+
+    if (Array.isArray(value))
+    {
+        result = [];
+
+        for (var i = 0; i < value.length; i++)
+        {
+            var item = toJSON(manager, key, value[i]);
+
+            if (item !== undefined)
+            {
+                result.push(item);
+            }
+        }
+
+        return result;
+    }
+
+    if (IsPlainObject(value))
+    {
+        result = {};
+
+        for (var property in value)
+        {
+            //  Scopes can't be serialized. They are restored from the callback registry instead.
+            if (property.substr(0, 1) === '_' || property === 'callbackScope' || (/^on[A-Z]\w*Scope$/).test(property))
+            {
+                continue;
+            }
+
+            var json;
+
+            if (property !== 'targets')
+            {
+                json = toJSON(manager, property, value[property]);
+            }
+            else if (value.hasOwnProperty('_targets'))
+            {
+                //  Targets created from JSON keep their original descriptors
+                json = value._targets;
+            }
+            else
+            {
+                json = getTargetNames(value.targets);
+            }
+
+            if (json !== undefined)
+            {
+                result[property] = json;
+            }
+        }
+
+        return result;
+    }
+
+    console.warn('Tween ' + key + ' value cannot be serialized');
+
+    return undefined;
+};
+
+/**
+ * Converts a Tween or Timeline configuration object into a JSON object, which can be saved and
+ * then turned back into a configuration object with `ConfigFromJSON`.
+ *
+ * Targets are stored by name, callbacks by the name they were registered under with
+ * `TweenManager.registerCallback` and eases by their name in the Ease Map. Callback scopes are not
+ * stored. Any other value that can't be stored as JSON, such as a function used to get a property
+ * value, is left out and a warning is logged.
+ *
+ * @function Phaser.Tweens.Builders.ConfigToJSON
+ * @since 3.60.0
+ *
+ * @param {Phaser.Tweens.TweenManager} manager - The Tween Manager the callbacks are registered with.
+ * @param {(Phaser.Types.Tweens.TimelineBuilderConfig|Phaser.Types.Tweens.TweenBuilderConfig|object)} config - The configuration object to convert.
+ *
+ * @return {(Phaser.Types.Tweens.TimelineJSON|Phaser.Types.Tweens.TimelineTweenJSON)} The JSON object.
+ */
+var ConfigToJSON = function (manager, config)
+{
+    return toJSON(manager, 'config', config || {});
+};
+
+module.exports = ConfigToJSON;
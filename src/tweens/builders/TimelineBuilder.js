@@ -36,6 +36,7 @@ var TimelineBuilder = function (manager, config)
     timeline.loopDelay = Math.round(GetAdvancedValue(config, 'loopDelay', 0));
     timeline.paused = GetBoolean(config, 'paused', false);
     timeline.useFrames = GetBoolean(config, 'useFrames', false);
+    timeline.config = config;
 
     //  Callbacks
 
@@ -96,6 +96,7 @@ var TweenBuilder = function (parent, config, defaults)
     tween.loopDelay = Math.round(GetAdvancedValue(config, 'loopDelay', 0));
     tween.paused = GetBoolean(config, 'paused', false);
     tween.useFrames = GetBoolean(config, 'useFrames', false);
+    tween.config = config;
 
     //  Set the Callbacks
     var scope = GetValue(config, 'callbackScope', tween);
@@ -10,6 +10,8 @@
 
 module.exports = {
 
+    ConfigFromJSON: require('./ConfigFromJSON'),
+    ConfigToJSON: require('./ConfigToJSON'),
     GetBoolean: require('./GetBoolean'),
     GetEaseFunction: require('./GetEaseFunction'),
     GetNewValue: require('./GetNewValue'),
@@ -346,6 +346,18 @@ var Tween = new Class({
          * @since 3.0.0
          */
         this.callbackScope;
+
+        /**
+         * The configuration object this Tween was built from, if any.
+         *
+         * It is used by `Timeline.toJSON` and should be treated as read-only.
+         *
+         * @name Phaser.Tweens.Tween#config
+         * @type {?object}
+         * @default null
+         * @since 3.60.0
+         */
+        this.config = null;
     },
 
     /**
@@ -1013,6 +1025,106 @@ var Tween = new Class({
         return this;
     },
 
+    /**
+     * Gets the playback state of this Tween, and of each of its Tween Data, as a JSON object.
+     *
+     * It can be given to `TweenManager.restore`, along with the config this Tween was created from,
+     * to create a new Tween that carries on from exactly where this one is, such as when restoring a saved game.
+     *
+     * @method Phaser.Tweens.Tween#getState
+     * @since 3.60.0
+     *
+     * @return {Phaser.Types.Tweens.TweenStateJSON} The playback state of this Tween.
+     */
+    getState: function ()
+    {
+        var data = [];
+
+        for (var i = 0; i < this.totalData; i++)
+        {
+            var tweenData = this.data[i];
+            var state = {};
+
+            for (var j = 0; j < Tween.DATA_STATE.length; j++)
+            {
+                var key = Tween.DATA_STATE[j];
+
+                state[key] = tweenData[key];
+            }
+
+            data.push(state);
+        }
+
+        return {
+            state: this.state,
+            pausedState: this._pausedState,
+            paused: this.paused,
+            hasStarted: this.hasStarted,
+            timeScale: this.timeScale,
+            loopCounter: this.loopCounter,
+            countdown: this.countdown,
+            elapsed: this.elapsed,
+            progress: this.progress,
+            totalElapsed: this.totalElapsed,
+            totalProgress: this.totalProgress,
+            duration: this.duration,
+            totalDuration: this.totalDuration,
+            startDelay: this.startDelay,
+            data: data
+        };
+    },
+
+    /**
+     * Sets the playback state of this Tween, and of each of its Tween Data, from a JSON object returned by `getState`.
+     *
+     * This Tween must have been created from the same config as the Tween the state was taken from.
+     * The state of a Tween that hadn't yet started is only partially restored, as it is set up when it starts.
+     *
+     * @method Phaser.Tweens.Tween#setState
+     * @since 3.60.0
+     *
+     * @param {Phaser.Types.Tweens.TweenStateJSON} json - The playback state to set.
+     *
+     * @return {this} This Tween instance.
+     */
+    setState: function (json)
+    {
+        this.state = json.state;
+        this._pausedState = json.pausedState;
+        this.paused = json.paused;
+        this.hasStarted = json.hasStarted;
+        this.timeScale = json.timeScale;
+        this.loopCounter = json.loopCounter;
+        this.countdown = json.countdown;
+        this.elapsed = json.elapsed;
+        this.progress = json.progress;
+        this.totalElapsed = json.totalElapsed;
+        this.totalProgress = json.totalProgress;
+        this.duration = json.duration;
+        this.totalDuration = json.totalDuration;
+        this.startDelay = json.startDelay;
+
+        var total = Math.min(this.totalData, json.data.length);
+
+        for (var i = 0; i < total; i++)
+        {
+            var tweenData = this.data[i];
+            var state = json.data[i];
+
+            for (var j = 0; j < Tween.DATA_STATE.length; j++)
+            {
+                var key = Tween.DATA_STATE[j];
+
+                if (state.hasOwnProperty(key))
+                {
+                    tweenData[key] = state[key];
+                }
+            }
+        }
+
+        return this;
+    },
+
     /**
      * Flags the Tween as being complete, whatever stage of progress it is at.
      *
@@ -1592,6 +1704,32 @@ Tween.TYPES = [
     'onYoyo'
 ];
 
+/**
+ * The properties of each Tween Data that are stored by `Tween.getState`.
+ *
+ * @name Phaser.Tweens.Tween.DATA_STATE
+ * @type {string[]}
+ * @since 3.60.0
+ */
+Tween.DATA_STATE = [
+    'state',
+    'start',
+    'previous',
+    'current',
+    'end',
+    'elapsed',
+    'progress',
+    'repeatCounter',
+    'delay',
+    'duration',
+    'totalDuration',
+    'hold',
+    'repeat',
+    'repeatDelay',
+    't1',
+    't2'
+];
+
 /**
  * Creates a new Tween object.
  *
@@ -0,0 +1,24 @@
+/**
+ * Describes a Timeline and its Tweens in a form that can be stored as JSON.
+ * Created by `Timeline.toJSON` and used by `TweenManager.timelineFromJSON`.
+ *
+ * It takes the same properties as a Timeline configuration object, except that targets are given as
+ * descriptors, callbacks by the name they were registered under with `TweenManager.registerCallback`
+ * and eases by name. Callback scopes can't be set. Callbacks use the scope they were registered with.
+ *
+ * @typedef {object} Phaser.Types.Tweens.TimelineJSON
+ * @since 3.60.0
+ *
+ * @property {Phaser.Types.Tweens.TimelineTweenJSON[]} [tweens] - The Tweens in the Timeline.
+ * @property {(Phaser.Types.Tweens.TweenTargetJSON|Phaser.Types.Tweens.TweenTargetJSON[])} [targets] - The default targets of the Tweens in the Timeline.
+ * @property {string} [ease] - The name of the default ease of the Tweens in the Timeline.
+ * @property {number} [completeDelay=0] - The time to wait, usually in milliseconds, before the Timeline completes.
+ * @property {number} [loop=0] - How many times the Timeline should loop, or -1 to loop indefinitely.
+ * @property {number} [loopDelay=0] - The time, usually in milliseconds, between each loop.
+ * @property {boolean} [paused=false] - If `true`, the Timeline will start paused.
+ * @property {boolean} [useFrames=false] - If `true`, all duration in the Timeline will be in frames instead of milliseconds.
+ * @property {string} [onStart] - The name of the registered callback to use for `onStart`. The `onUpdate`, `onLoop`, `onYoyo` and `onComplete` callbacks are set in the same way.
+ * @property {array} [onStartParams] - Additional arguments to pass to the `onStart` callback.
+ *
+ * @see Phaser.Types.Tweens.TimelineBuilderConfig
+ */
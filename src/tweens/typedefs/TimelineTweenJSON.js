@@ -0,0 +1,16 @@
+/**
+ * A Tween in a Timeline JSON object. It takes the same properties as a Tween configuration object,
+ * with the targets, callbacks and eases given in a form that can be stored as JSON.
+ *
+ * @typedef {object} Phaser.Types.Tweens.TimelineTweenJSON
+ * @since 3.60.0
+ *
+ * @property {(Phaser.Types.Tweens.TweenTargetJSON|Phaser.Types.Tweens.TweenTargetJSON[])} [targets] - The targets of the Tween.
+ * @property {(number|string)} [offset] - The offset of the Tween in the Timeline. Either a number of milliseconds, or a relative value such as `'-=500'`.
+ * @property {string} [ease] - The name of the ease to use, such as `'Sine.easeInOut'`.
+ * @property {string} [onStart] - The name of the registered callback to use for `onStart`. The other Tween callbacks are set in the same way.
+ * @property {array} [onStartParams] - Additional arguments to pass to the `onStart` callback.
+ * @property {object} [props] - The properties to tween.
+ *
+ * @see Phaser.Types.Tweens.TweenBuilderConfig
+ */
@@ -0,0 +1,22 @@
+/**
+ * The playback state of a Tween, as returned by `Tween.getState` and used by `TweenManager.restore`.
+ *
+ * @typedef {object} Phaser.Types.Tweens.TweenStateJSON
+ * @since 3.60.0
+ *
+ * @property {number} state - The current state of the Tween.
+ * @property {number} pausedState - The state the Tween was in before it was paused.
+ * @property {boolean} paused - Is the Tween paused?
+ * @property {boolean} hasStarted - Has the Tween started playback?
+ * @property {number} timeScale - The time scale of the Tween.
+ * @property {number} loopCounter - How many loops are left to run.
+ * @property {number} countdown - The countdown timer of the current loop delay or complete delay.
+ * @property {number} elapsed - The time elapsed in the current loop.
+ * @property {number} progress - The progress of the current loop.
+ * @property {number} totalElapsed - The time elapsed in the whole Tween.
+ * @property {number} totalProgress - The progress of the whole Tween.
+ * @property {number} duration - The duration of a single loop.
+ * @property {number} totalDuration - The duration of the whole Tween.
+ * @property {number} startDelay - The delay before the Tween starts.
+ * @property {object[]} data - The state of each Tween Data, in order, holding the properties listed in `Tween.DATA_STATE`.
+ */
@@ -0,0 +1,14 @@
+/**
+ * Describes the targets of a Tween in a Timeline JSON object.
+ *
+ * It can be the name of a Game Object, or an object with either a `name` property, or a `data` property.
+ * A `data` descriptor matches every Game Object with that data key. If `value` is also given, it only
+ * matches the Game Objects where the data key holds that value.
+ *
+ * @typedef {(string|object)} Phaser.Types.Tweens.TweenTargetJSON
+ * @since 3.60.0
+ *
+ * @property {string} [name] - The name of the Game Object.
+ * @property {string} [data] - The data key the Game Objects must have.
+ * @property {any} [value] - The value the data key must hold.
+ */